@@ -0,0 +1,55 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('olts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      codigo: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      modelo: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      firmware: {
+        type: Sequelize.STRING
+      },
+      ip_gestion: {
+        type: Sequelize.STRING
+      },
+      estado: {
+        type: Sequelize.ENUM('ACTIVO', 'MANTENIMIENTO', 'FUERA_SERVICIO'),
+        allowNull: false,
+        defaultValue: 'ACTIVO'
+      },
+      ubicacion: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      latitud: {
+        type: Sequelize.DECIMAL(10, 8)
+      },
+      longitud: {
+        type: Sequelize.DECIMAL(11, 8)
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('olts');
+  }
+};
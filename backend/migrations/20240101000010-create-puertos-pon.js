@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('puertos_pon', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      olt_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'olts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      slot: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      numero: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      estado: {
+        type: Sequelize.ENUM('ACTIVO', 'INACTIVO', 'FALLA'),
+        allowNull: false,
+        defaultValue: 'ACTIVO'
+      },
+      nota: {
+        type: Sequelize.TEXT
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('puertos_pon', ['olt_id', 'slot', 'numero'], {
+      unique: true,
+      name: 'puertos_pon_olt_slot_numero_unique'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('puertos_pon');
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('cables_alimentadores', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      codigo: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      longitud_m: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      cantidad_fibras: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      descripcion: {
+        type: Sequelize.TEXT
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('cables_alimentadores');
+  }
+};
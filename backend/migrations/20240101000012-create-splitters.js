@@ -0,0 +1,72 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('splitters', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      codigo: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      ratio: {
+        type: Sequelize.ENUM('1:2', '1:4', '1:8', '1:16', '1:32', '1:64'),
+        allowNull: false
+      },
+      nivel: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      puerto_pon_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'puertos_pon',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      splitter_padre_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'splitters',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      cable_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'cables_alimentadores',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      ubicacion: {
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('splitters');
+  }
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('naps', 'splitter_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'splitters',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('naps', 'cable_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'cables_alimentadores',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('naps', 'cable_id');
+    await queryInterface.removeColumn('naps', 'splitter_id');
+  }
+};
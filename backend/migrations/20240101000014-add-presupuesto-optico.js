@@ -0,0 +1,34 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('olts', 'potencia_tx_dbm', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('naps', 'conectores', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 2
+    });
+
+    await queryInterface.addColumn('naps', 'empalmes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.addColumn('puertos', 'longitud_acometida_m', {
+      type: Sequelize.DECIMAL(8, 2),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('puertos', 'longitud_acometida_m');
+    await queryInterface.removeColumn('naps', 'empalmes');
+    await queryInterface.removeColumn('naps', 'conectores');
+    await queryInterface.removeColumn('olts', 'potencia_tx_dbm');
+  }
+};
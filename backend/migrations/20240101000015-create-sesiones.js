@@ -0,0 +1,62 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('sesiones', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      usuario_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      refresh_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      refresh_token_anterior_hash: {
+        type: Sequelize.STRING(64)
+      },
+      expira_en: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revocada_en: {
+        type: Sequelize.DATE
+      },
+      ip: {
+        type: Sequelize.STRING
+      },
+      user_agent: {
+        type: Sequelize.STRING(500)
+      },
+      ultimo_uso: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('sesiones', ['usuario_id']);
+    await queryInterface.addIndex('sesiones', ['refresh_token_anterior_hash']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('sesiones');
+  }
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('intentos_login', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      tipo: {
+        type: Sequelize.ENUM('CUENTA', 'IP'),
+        allowNull: false
+      },
+      clave: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      intentos: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      primer_intento: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      ultimo_intento: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      bloqueado_hasta: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('intentos_login', ['tipo', 'clave'], { unique: true });
+
+    // Acciones de auditoría para accesos
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_auditoria_accion" ADD VALUE IF NOT EXISTS 'LOGIN'`);
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_auditoria_accion" ADD VALUE IF NOT EXISTS 'BLOQUEO'`);
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_auditoria_accion" ADD VALUE IF NOT EXISTS 'DESBLOQUEO'`);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('intentos_login');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_intentos_login_tipo"');
+    // Postgres no permite quitar valores de un ENUM; LOGIN/BLOQUEO/DESBLOQUEO quedan en enum_auditoria_accion
+  }
+};
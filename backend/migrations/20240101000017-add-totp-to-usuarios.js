@@ -0,0 +1,34 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('usuarios', 'totp_secreto', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('usuarios', 'totp_activo', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('usuarios', 'totp_ultimo_paso', {
+      type: Sequelize.BIGINT,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('usuarios', 'totp_codigos_recuperacion', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('usuarios', 'totp_codigos_recuperacion');
+    await queryInterface.removeColumn('usuarios', 'totp_ultimo_paso');
+    await queryInterface.removeColumn('usuarios', 'totp_activo');
+    await queryInterface.removeColumn('usuarios', 'totp_secreto');
+  }
+};
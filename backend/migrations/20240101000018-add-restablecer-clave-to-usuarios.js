@@ -0,0 +1,30 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('usuarios', 'debe_cambiar_clave', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('usuarios', 'reset_clave_hash', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('usuarios', 'reset_clave_expira', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('usuarios', ['reset_clave_hash']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('usuarios', ['reset_clave_hash']);
+    await queryInterface.removeColumn('usuarios', 'reset_clave_expira');
+    await queryInterface.removeColumn('usuarios', 'reset_clave_hash');
+    await queryInterface.removeColumn('usuarios', 'debe_cambiar_clave');
+  }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('permisos', {
+      clave: {
+        type: Sequelize.STRING(64),
+        primaryKey: true
+      },
+      descripcion: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('roles_permisos', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      rol: {
+        type: Sequelize.ENUM('ADMIN', 'TECNICO', 'SUPERVISOR'),
+        allowNull: false
+      },
+      permiso: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        references: {
+          model: 'permisos',
+          key: 'clave'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('roles_permisos', ['rol', 'permiso'], { unique: true });
+
+    // El catálogo y la asignación por defecto los carga el servidor al iniciar (sincronizarCatalogoPermisos)
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('roles_permisos');
+    await queryInterface.dropTable('permisos');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_roles_permisos_rol"');
+  }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('zonas', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      nombre: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      descripcion: {
+        type: Sequelize.TEXT
+      },
+      activo: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('usuarios_zonas', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      usuario_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      zona_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'zonas',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('usuarios_zonas', ['usuario_id', 'zona_id'], { unique: true });
+
+    await queryInterface.addColumn('naps', 'zona_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'zonas',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('naps', ['zona_id']);
+
+    await queryInterface.addColumn('clientes', 'zona_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'zonas',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('clientes', ['zona_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('clientes', 'zona_id');
+    await queryInterface.removeColumn('naps', 'zona_id');
+    await queryInterface.dropTable('usuarios_zonas');
+    await queryInterface.dropTable('zonas');
+  }
+};
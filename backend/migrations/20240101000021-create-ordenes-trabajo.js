@@ -0,0 +1,85 @@
+'use strict';
+
+const referencia = (Sequelize, tabla, allowNull = true) => ({
+  type: Sequelize.UUID,
+  allowNull,
+  references: {
+    model: tabla,
+    key: 'id'
+  },
+  onUpdate: 'CASCADE',
+  onDelete: allowNull ? 'SET NULL' : 'CASCADE'
+});
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ordenes_trabajo', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      tipo: {
+        type: Sequelize.ENUM('INSTALACION', 'REPARACION', 'RETIRO', 'TRASLADO'),
+        allowNull: false
+      },
+      estado: {
+        type: Sequelize.ENUM('PENDIENTE', 'ASIGNADA', 'EN_CURSO', 'COMPLETADA', 'CANCELADA'),
+        allowNull: false,
+        defaultValue: 'PENDIENTE'
+      },
+      descripcion: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      nap_id: referencia(Sequelize, 'naps', false),
+      puerto_id: referencia(Sequelize, 'puertos'),
+      puerto_destino_id: referencia(Sequelize, 'puertos'),
+      cliente_id: referencia(Sequelize, 'clientes'),
+      plan_id: referencia(Sequelize, 'planes'),
+      tecnico_id: referencia(Sequelize, 'usuarios'),
+      creado_por: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        }
+      },
+      fecha_programada: {
+        type: Sequelize.DATEONLY
+      },
+      fecha_inicio: {
+        type: Sequelize.DATE
+      },
+      fecha_cierre: {
+        type: Sequelize.DATE
+      },
+      resultado: {
+        type: Sequelize.TEXT
+      },
+      motivo_cancelacion: {
+        type: Sequelize.TEXT
+      },
+      conexion_id: referencia(Sequelize, 'conexiones'),
+      mantenimiento_id: referencia(Sequelize, 'mantenimientos'),
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('ordenes_trabajo', ['tecnico_id', 'estado']);
+    await queryInterface.addIndex('ordenes_trabajo', ['nap_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ordenes_trabajo');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ordenes_trabajo_tipo"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ordenes_trabajo_estado"');
+  }
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('planes_mantenimiento', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      nombre: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      descripcion: {
+        type: Sequelize.TEXT
+      },
+      nap_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'naps',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      modelo_nap: {
+        type: Sequelize.STRING
+      },
+      intervalo: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      unidad: {
+        type: Sequelize.ENUM('DIAS', 'SEMANAS', 'MESES'),
+        allowNull: false
+      },
+      fecha_inicio: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      dias_aviso: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 7
+      },
+      tecnico_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      activo: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('planes_mantenimiento', ['nap_id']);
+    await queryInterface.addIndex('planes_mantenimiento', ['modelo_nap']);
+
+    // Un mantenimiento PREVENTIVO registrado con un plan hace avanzar su próxima fecha
+    await queryInterface.addColumn('mantenimientos', 'plan_mantenimiento_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'planes_mantenimiento',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('mantenimientos', ['plan_mantenimiento_id', 'nap_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('mantenimientos', 'plan_mantenimiento_id');
+    await queryInterface.dropTable('planes_mantenimiento');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_planes_mantenimiento_unidad"');
+  }
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('incidentes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      titulo: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      descripcion: {
+        type: Sequelize.TEXT
+      },
+      categoria: {
+        type: Sequelize.ENUM(
+          'CORTE_FIBRA',
+          'FALLA_ENERGIA',
+          'FALLA_EQUIPO',
+          'VANDALISMO',
+          'CLIMA',
+          'CONFIGURACION',
+          'MANTENIMIENTO_PROGRAMADO',
+          'OTRO'
+        ),
+        allowNull: false
+      },
+      estado: {
+        type: Sequelize.ENUM('ABIERTO', 'RESUELTO'),
+        allowNull: false,
+        defaultValue: 'ABIERTO'
+      },
+      fecha_inicio: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      fecha_resolucion: {
+        type: Sequelize.DATE
+      },
+      solucion: {
+        type: Sequelize.TEXT
+      },
+      abierto_por: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        }
+      },
+      resuelto_por: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        }
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('incidentes', ['fecha_inicio']);
+    await queryInterface.addIndex('incidentes', ['estado']);
+
+    await queryInterface.createTable('incidentes_afectados', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      incidente_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'incidentes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      nap_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'naps',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      puerto_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'puertos',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('incidentes_afectados', ['incidente_id']);
+    await queryInterface.addIndex('incidentes_afectados', ['nap_id']);
+
+    await queryInterface.createTable('incidentes_conexiones', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      incidente_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'incidentes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      conexion_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'conexiones',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      cliente_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'clientes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      nap_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'naps',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      puerto_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'puertos',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('incidentes_conexiones', ['incidente_id']);
+    await queryInterface.addIndex('incidentes_conexiones', ['nap_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('incidentes_conexiones');
+    await queryInterface.dropTable('incidentes_afectados');
+    await queryInterface.dropTable('incidentes');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_incidentes_categoria"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_incidentes_estado"');
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Ubicación oficial de la zona para los reportes regulatorios (ATT)
+    await queryInterface.addColumn('zonas', 'departamento', {
+      type: Sequelize.STRING(50),
+      allowNull: true
+    });
+    await queryInterface.addColumn('zonas', 'municipio', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+    await queryInterface.addColumn('zonas', 'codigo_municipio', {
+      type: Sequelize.STRING(6),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('zonas', 'codigo_municipio');
+    await queryInterface.removeColumn('zonas', 'municipio');
+    await queryInterface.removeColumn('zonas', 'departamento');
+  }
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('reportes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      tipo: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      formato: {
+        type: Sequelize.ENUM('pdf', 'excel', 'csv'),
+        allowNull: false
+      },
+      parametros: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      estado: {
+        type: Sequelize.ENUM('PENDIENTE', 'PROCESANDO', 'COMPLETADO', 'ERROR'),
+        allowNull: false,
+        defaultValue: 'PENDIENTE'
+      },
+      progreso: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      intentos: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      error: {
+        type: Sequelize.TEXT
+      },
+      archivo: {
+        type: Sequelize.STRING(200)
+      },
+      tipo_contenido: {
+        type: Sequelize.STRING(100)
+      },
+      tamano: {
+        type: Sequelize.INTEGER
+      },
+      contenido: {
+        type: Sequelize.BLOB
+      },
+      fecha_inicio: {
+        type: Sequelize.DATE
+      },
+      fecha_fin: {
+        type: Sequelize.DATE
+      },
+      generado_por: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('reportes', ['estado', 'createdAt']);
+    await queryInterface.addIndex('reportes', ['generado_por']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('reportes');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_reportes_formato"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_reportes_estado"');
+  }
+};
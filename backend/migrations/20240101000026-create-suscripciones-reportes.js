@@ -0,0 +1,152 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('suscripciones_reportes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      nombre: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      tipo: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      formato: {
+        type: Sequelize.ENUM('pdf', 'excel', 'csv'),
+        allowNull: false
+      },
+      parametros: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      rango: {
+        type: Sequelize.ENUM('ULTIMA_SEMANA', 'ULTIMO_MES', 'MES_ANTERIOR', 'TRIMESTRE_ANTERIOR'),
+        allowNull: true
+      },
+      programacion: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      destinatarios: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      activo: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      proxima_ejecucion: {
+        type: Sequelize.DATE
+      },
+      ultima_ejecucion: {
+        type: Sequelize.DATE
+      },
+      fallos_consecutivos: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      creado_por: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('suscripciones_reportes', ['activo', 'proxima_ejecucion']);
+    await queryInterface.addIndex('suscripciones_reportes', ['creado_por']);
+
+    await queryInterface.createTable('ejecuciones_suscripciones', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      suscripcion_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'suscripciones_reportes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      estado: {
+        type: Sequelize.ENUM('EXITOSA', 'FALLIDA'),
+        allowNull: false
+      },
+      manual: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      parametros: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      destinatarios: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      archivo: {
+        type: Sequelize.STRING(200)
+      },
+      tamano: {
+        type: Sequelize.INTEGER
+      },
+      error: {
+        type: Sequelize.TEXT
+      },
+      fecha_inicio: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      fecha_fin: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('ejecuciones_suscripciones', ['suscripcion_id', 'fecha_inicio']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ejecuciones_suscripciones');
+    await queryInterface.dropTable('suscripciones_reportes');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ejecuciones_suscripciones_estado"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_suscripciones_reportes_formato"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_suscripciones_reportes_rango"');
+  }
+};
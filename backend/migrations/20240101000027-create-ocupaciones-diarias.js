@@ -0,0 +1,61 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('ocupaciones_diarias', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      nap_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'naps',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      fecha: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      total_puertos: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      puertos_libres: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      puertos_ocupados: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      puertos_mantenimiento: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('ocupaciones_diarias', ['nap_id', 'fecha'], { unique: true });
+    await queryInterface.addIndex('ocupaciones_diarias', ['fecha']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ocupaciones_diarias');
+  }
+};
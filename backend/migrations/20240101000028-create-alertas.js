@@ -0,0 +1,150 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('alertas', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      tipo: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      nivel: {
+        type: Sequelize.ENUM('CRITICO', 'ADVERTENCIA', 'INFO'),
+        allowNull: false
+      },
+      estado: {
+        type: Sequelize.ENUM('ABIERTA', 'RECONOCIDA', 'RESUELTA'),
+        allowNull: false,
+        defaultValue: 'ABIERTA'
+      },
+      mensaje: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      detalle: {
+        type: Sequelize.TEXT
+      },
+      nap_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'naps',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      primera_deteccion: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      ultima_deteccion: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      reconocida_por: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        }
+      },
+      reconocida_en: {
+        type: Sequelize.DATE
+      },
+      asignada_a: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        }
+      },
+      resolucion: {
+        type: Sequelize.ENUM('AUTOMATICA', 'MANUAL'),
+        allowNull: true
+      },
+      resuelta_por: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        }
+      },
+      resuelta_en: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Una sola alerta sin resolver por NAP y tipo
+    await queryInterface.addIndex('alertas', ['nap_id', 'tipo'], {
+      unique: true,
+      name: 'alertas_nap_tipo_sin_resolver',
+      where: { estado: ['ABIERTA', 'RECONOCIDA'] }
+    });
+    await queryInterface.addIndex('alertas', ['estado', 'nivel']);
+    await queryInterface.addIndex('alertas', ['asignada_a']);
+
+    await queryInterface.createTable('alertas_notas', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      alerta_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'alertas',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      usuario_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        }
+      },
+      texto: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('alertas_notas', ['alerta_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('alertas_notas');
+    await queryInterface.dropTable('alertas');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_alertas_nivel"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_alertas_estado"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_alertas_resolucion"');
+  }
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Reglas iniciales: las dos primeras reproducen los umbrales que antes estaban fijos en el código
+const REGLAS_INICIALES = [
+  { nombre: 'NAP próximo a saturación', metrica: 'OCUPACION', comparador: '>=', umbral: 80, nivel: 'ADVERTENCIA', ventana_horas: null },
+  { nombre: 'Mantenimiento correctivo reciente', metrica: 'CORRECTIVOS_RECIENTES', comparador: '>=', umbral: 1, nivel: 'INFO', ventana_horas: 24 },
+  { nombre: 'Puertos en mantenimiento', metrica: 'PUERTOS_MANTENIMIENTO', comparador: '>', umbral: 2, nivel: 'ADVERTENCIA', ventana_horas: null },
+  { nombre: 'Sin mantenimiento preventivo', metrica: 'DIAS_SIN_PREVENTIVO', comparador: '>=', umbral: 180, nivel: 'ADVERTENCIA', ventana_horas: null },
+  { nombre: 'Conexiones suspendidas', metrica: 'CONEXIONES_SUSPENDIDAS', comparador: '>=', umbral: 20, nivel: 'ADVERTENCIA', ventana_horas: null }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('reglas_alerta', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      nombre: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      metrica: {
+        type: Sequelize.ENUM('OCUPACION', 'PUERTOS_MANTENIMIENTO', 'DIAS_SIN_PREVENTIVO', 'CONEXIONES_SUSPENDIDAS', 'CORRECTIVOS_RECIENTES'),
+        allowNull: false
+      },
+      comparador: {
+        type: Sequelize.ENUM('>', '>=', '<', '<=', '='),
+        allowNull: false
+      },
+      umbral: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      ventana_horas: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      alcance: {
+        type: Sequelize.ENUM('TODOS', 'ZONA', 'MODELO', 'NAP'),
+        allowNull: false,
+        defaultValue: 'TODOS'
+      },
+      zona_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'zonas',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      modelo_nap: {
+        type: Sequelize.STRING
+      },
+      nap_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'naps',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      nivel: {
+        type: Sequelize.ENUM('CRITICO', 'ADVERTENCIA', 'INFO'),
+        allowNull: false
+      },
+      enfriamiento_minutos: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      activa: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      creado_por: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('reglas_alerta', ['activa']);
+
+    // Regla que abrió (o escaló por última vez) cada alerta
+    await queryInterface.addColumn('alertas', 'regla_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'reglas_alerta',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    const ahora = new Date();
+    await queryInterface.bulkInsert('reglas_alerta', REGLAS_INICIALES.map(regla => ({
+      id: crypto.randomUUID(),
+      ...regla,
+      alcance: 'TODOS',
+      enfriamiento_minutos: 0,
+      activa: true,
+      createdAt: ahora,
+      updatedAt: ahora
+    })));
+
+    // La ocupación ya no es sólo "próximo a saturación": cualquier umbral configurado
+    await queryInterface.sequelize.query(
+      "UPDATE alertas SET tipo = 'NAP_OCUPACION' WHERE tipo = 'NAP_PROXIMO_SATURACION'"
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(
+      "UPDATE alertas SET tipo = 'NAP_PROXIMO_SATURACION' WHERE tipo = 'NAP_OCUPACION'"
+    );
+    await queryInterface.removeColumn('alertas', 'regla_id');
+    await queryInterface.dropTable('reglas_alerta');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_reglas_alerta_metrica"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_reglas_alerta_comparador"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_reglas_alerta_alcance"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_reglas_alerta_nivel"');
+  }
+};
@@ -0,0 +1,154 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('canales_notificacion', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      usuario_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tipo: {
+        type: Sequelize.ENUM('CORREO', 'WEBHOOK', 'CHAT'),
+        allowNull: false
+      },
+      nombre: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      destino: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      secreto: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      niveles: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: ['CRITICO']
+      },
+      activo: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('canales_notificacion', ['usuario_id']);
+
+    await queryInterface.createTable('notificaciones', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      alerta_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'alertas',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      canal_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'canales_notificacion',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      usuario_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      canal: {
+        type: Sequelize.ENUM('CORREO', 'WEBHOOK', 'CHAT'),
+        allowNull: false
+      },
+      destino: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      evento: {
+        type: Sequelize.ENUM('ABIERTA', 'ESCALADA'),
+        allowNull: false
+      },
+      nivel: {
+        type: Sequelize.ENUM('CRITICO', 'ADVERTENCIA', 'INFO'),
+        allowNull: false
+      },
+      estado: {
+        type: Sequelize.ENUM('PENDIENTE', 'ENVIADA', 'FALLIDA'),
+        allowNull: false,
+        defaultValue: 'PENDIENTE'
+      },
+      intentos: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      proximo_intento: {
+        type: Sequelize.DATE
+      },
+      ultimo_error: {
+        type: Sequelize.TEXT
+      },
+      enviada_en: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('notificaciones', ['estado', 'proximo_intento']);
+    await queryInterface.addIndex('notificaciones', ['usuario_id', 'createdAt']);
+    await queryInterface.addIndex('notificaciones', ['alerta_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('notificaciones');
+    await queryInterface.dropTable('canales_notificacion');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_notificaciones_canal"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_notificaciones_evento"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_notificaciones_nivel"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_notificaciones_estado"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_canales_notificacion_tipo"');
+  }
+};
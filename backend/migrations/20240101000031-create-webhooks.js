@@ -0,0 +1,151 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('webhooks', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      nombre: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      url: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      eventos: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      secreto: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      activo: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      creado_por: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('eventos_webhook', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      evento: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      datos: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('eventos_webhook', ['evento', 'createdAt']);
+    await queryInterface.addIndex('eventos_webhook', ['createdAt']);
+
+    await queryInterface.createTable('entregas_webhook', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      evento_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'eventos_webhook',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      webhook_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'webhooks',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reenvio: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      estado: {
+        type: Sequelize.ENUM('PENDIENTE', 'ENVIADA', 'FALLIDA'),
+        allowNull: false,
+        defaultValue: 'PENDIENTE'
+      },
+      intentos: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      proximo_intento: {
+        type: Sequelize.DATE
+      },
+      ultimo_error: {
+        type: Sequelize.TEXT
+      },
+      enviada_en: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('entregas_webhook', ['estado', 'proximo_intento']);
+    await queryInterface.addIndex('entregas_webhook', ['webhook_id', 'createdAt']);
+    await queryInterface.addIndex('entregas_webhook', ['evento_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('entregas_webhook');
+    await queryInterface.dropTable('eventos_webhook');
+    await queryInterface.dropTable('webhooks');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_entregas_webhook_estado"');
+  }
+};
@@ -0,0 +1,286 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Precios del plan (sin impuesto); el impuesto se suma al facturar
+    await queryInterface.addColumn('planes', 'precio_mensual', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('planes', 'costo_instalacion', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('planes', 'moneda', {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: 'BOB'
+    });
+    await queryInterface.addColumn('planes', 'impuesto_porcentaje', {
+      type: Sequelize.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    await queryInterface.createTable('facturas', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      numero: {
+        type: Sequelize.INTEGER,
+        autoIncrement: true,
+        allowNull: false,
+        unique: true
+      },
+      cliente_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'clientes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      cliente_nombre: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      cliente_ci: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      cliente_direccion: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      periodo: {
+        type: Sequelize.STRING(7),
+        allowNull: false
+      },
+      moneda: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      fecha_emision: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      fecha_vencimiento: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      impuesto: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      pagado: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      estado: {
+        type: Sequelize.ENUM('PENDIENTE', 'PARCIAL', 'PAGADA', 'ANULADA'),
+        allowNull: false,
+        defaultValue: 'PENDIENTE'
+      },
+      motivo_anulacion: {
+        type: Sequelize.TEXT
+      },
+      creado_por: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Una factura vigente por cliente, periodo y moneda: generar dos veces el mismo mes no duplica
+    await queryInterface.addIndex('facturas', ['cliente_id', 'periodo', 'moneda'], {
+      unique: true,
+      name: 'facturas_cliente_periodo_moneda_vigente',
+      where: { estado: ['PENDIENTE', 'PARCIAL', 'PAGADA'] }
+    });
+    await queryInterface.addIndex('facturas', ['estado', 'fecha_vencimiento']);
+    await queryInterface.addIndex('facturas', ['periodo']);
+
+    await queryInterface.createTable('lineas_factura', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      factura_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'facturas',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      conexion_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'conexiones',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      tipo: {
+        type: Sequelize.ENUM('MENSUALIDAD', 'INSTALACION'),
+        allowNull: false
+      },
+      concepto: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      desde: {
+        type: Sequelize.DATEONLY
+      },
+      hasta: {
+        type: Sequelize.DATEONLY
+      },
+      dias: {
+        type: Sequelize.INTEGER
+      },
+      dias_periodo: {
+        type: Sequelize.INTEGER
+      },
+      precio: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      importe: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      impuesto_porcentaje: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      impuesto: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('lineas_factura', ['factura_id']);
+    await queryInterface.addIndex('lineas_factura', ['conexion_id', 'tipo']);
+
+    await queryInterface.createTable('pagos', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      cliente_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'clientes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      monto: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      moneda: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      fecha: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      metodo: {
+        type: Sequelize.ENUM('EFECTIVO', 'TRANSFERENCIA', 'TARJETA', 'QR', 'OTRO'),
+        allowNull: false
+      },
+      referencia: {
+        type: Sequelize.STRING(100)
+      },
+      nota: {
+        type: Sequelize.TEXT
+      },
+      anulado: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      registrado_por: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('pagos', ['cliente_id', 'fecha']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('pagos');
+    await queryInterface.dropTable('lineas_factura');
+    await queryInterface.dropTable('facturas');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_pagos_metodo"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_lineas_factura_tipo"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_facturas_estado"');
+    await queryInterface.removeColumn('planes', 'impuesto_porcentaje');
+    await queryInterface.removeColumn('planes', 'moneda');
+    await queryInterface.removeColumn('planes', 'costo_instalacion');
+    await queryInterface.removeColumn('planes', 'precio_mensual');
+  }
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Cambios hechos por un proceso automático: sin usuario, con el proceso en origen
+    await queryInterface.sequelize.query('ALTER TABLE "auditoria" ALTER COLUMN "cambiado_por" DROP NOT NULL');
+    await queryInterface.addColumn('auditoria', 'origen', {
+      type: Sequelize.STRING(50)
+    });
+
+    // Suspendida por mora: sólo estas conexiones se reactivan solas al ponerse al día
+    await queryInterface.addColumn('conexiones', 'suspension_automatica', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.createTable('acciones_cobranza', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      cliente_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'clientes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      factura_id: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'facturas',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      conexion_id: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'conexiones',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      tipo: {
+        type: Sequelize.ENUM('RECORDATORIO', 'SUSPENSION', 'REACTIVACION'),
+        allowNull: false
+      },
+      paso: {
+        type: Sequelize.INTEGER
+      },
+      fecha: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      deuda: {
+        type: Sequelize.DECIMAL(12, 2)
+      },
+      moneda: {
+        type: Sequelize.STRING(3)
+      },
+      destino: {
+        type: Sequelize.STRING(150)
+      },
+      exito: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      detalle: {
+        type: Sequelize.TEXT
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('acciones_cobranza', ['cliente_id', 'fecha']);
+    await queryInterface.addIndex('acciones_cobranza', ['fecha', 'tipo']);
+    // Un recordatorio por factura y paso, aunque varias instancias corran el proceso a la vez
+    await queryInterface.addIndex('acciones_cobranza', ['factura_id', 'paso'], {
+      unique: true,
+      where: { tipo: 'RECORDATORIO' }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('acciones_cobranza');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_acciones_cobranza_tipo"');
+    await queryInterface.removeColumn('conexiones', 'suspension_automatica');
+    await queryInterface.removeColumn('auditoria', 'origen');
+    await queryInterface.sequelize.query('DELETE FROM "auditoria" WHERE "cambiado_por" IS NULL');
+    await queryInterface.sequelize.query('ALTER TABLE "auditoria" ALTER COLUMN "cambiado_por" SET NOT NULL');
+  }
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Fecha local "AAAA-MM-DD" del cambio, como la escribe utils/historialConexiones.js
+const fechaLocal = (fecha) => {
+  const d = new Date(fecha);
+  const dos = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${dos(d.getMonth() + 1)}-${dos(d.getDate())}`;
+};
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('cambios_estado_conexion', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      conexion_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'conexiones',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      estado_anterior: {
+        type: Sequelize.ENUM('ACTIVA', 'SUSPENDIDA', 'FINALIZADA')
+      },
+      estado_nuevo: {
+        type: Sequelize.ENUM('ACTIVA', 'SUSPENDIDA', 'FINALIZADA'),
+        allowNull: false
+      },
+      fecha: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      cambiado_por: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'usuarios',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      origen: {
+        type: Sequelize.STRING(50)
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('cambios_estado_conexion', ['conexion_id', 'fecha']);
+
+    // Los cambios anteriores a esta tabla sólo quedaron en la auditoría: se copian una vez
+    const [filas] = await queryInterface.sequelize.query(`
+      SELECT a.registro_id, a.datos_anteriores, a.datos_nuevos, a.cambiado_por, a.origen, a.fecha
+      FROM auditoria a
+      JOIN conexiones c ON c.id = a.registro_id
+      WHERE a.tabla = 'conexiones' AND a.accion = 'UPDATE' AND a.datos_nuevos LIKE '%"estado"%'
+      ORDER BY a.fecha, a.id
+    `);
+
+    const cambios = filas.map(fila => ({
+      anterior: JSON.parse(fila.datos_anteriores || '{}').estado || null,
+      nuevo: JSON.parse(fila.datos_nuevos || '{}').estado,
+      fila
+    })).filter(({ anterior, nuevo }) => nuevo && anterior !== nuevo);
+
+    if (cambios.length) {
+      await queryInterface.bulkInsert('cambios_estado_conexion', cambios.map(({ anterior, nuevo, fila }) => ({
+        id: crypto.randomUUID(),
+        conexion_id: fila.registro_id,
+        estado_anterior: anterior,
+        estado_nuevo: nuevo,
+        fecha: fechaLocal(fila.fecha),
+        cambiado_por: fila.cambiado_por,
+        origen: fila.origen,
+        createdAt: fila.fecha,
+        updatedAt: fila.fecha
+      })));
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('cambios_estado_conexion');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_cambios_estado_conexion_estado_anterior"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_cambios_estado_conexion_estado_nuevo"');
+  }
+};
@@ -0,0 +1,98 @@
+/**
+ * Catálogo de permisos del sistema
+ *
+ * @description
+ * - Cada permiso tiene la forma "recurso:accion" y protege uno o más endpoints (requierePermiso)
+ * - roles: asignación por defecto; se copia a roles_permisos la primera vez que el permiso aparece
+ * - Después de eso la asignación vive en la base de datos y la edita un ADMIN desde /permisos
+ * - Agregar un permiso aquí basta: al iniciar, sincronizarCatalogoPermisos lo crea con sus roles por defecto
+ */
+
+const ROLES = ['ADMIN', 'SUPERVISOR', 'TECNICO'];
+
+const TODOS = ROLES;
+const ADMIN_SUPERVISOR = ['ADMIN', 'SUPERVISOR'];
+const ADMIN_TECNICO = ['ADMIN', 'TECNICO'];
+const SOLO_ADMIN = ['ADMIN'];
+
+const PERMISOS = {
+  'naps:ver': { descripcion: 'Ver NAPs y el mapa', roles: TODOS },
+  'naps:crear': { descripcion: 'Crear NAPs', roles: ADMIN_SUPERVISOR },
+  'naps:editar': { descripcion: 'Editar NAPs', roles: ADMIN_TECNICO },
+
+  'puertos:ver': { descripcion: 'Ver puertos y presupuesto óptico', roles: TODOS },
+  'puertos:crear': { descripcion: 'Crear puertos de una NAP', roles: ADMIN_SUPERVISOR },
+  'puertos:editar': { descripcion: 'Editar puertos', roles: ADMIN_TECNICO },
+  'puertos:asignar': { descripcion: 'Asignar clientes a puertos', roles: ADMIN_TECNICO },
+  'puertos:liberar': { descripcion: 'Liberar puertos', roles: ADMIN_TECNICO },
+
+  'clientes:ver': { descripcion: 'Ver clientes', roles: TODOS },
+  'clientes:crear': { descripcion: 'Crear clientes', roles: ADMIN_SUPERVISOR },
+  'clientes:editar': { descripcion: 'Editar clientes', roles: ADMIN_SUPERVISOR },
+  'clientes:eliminar': { descripcion: 'Eliminar clientes', roles: ADMIN_SUPERVISOR },
+
+  'planes:ver': { descripcion: 'Ver planes', roles: TODOS },
+  'planes:crear': { descripcion: 'Crear planes', roles: ADMIN_SUPERVISOR },
+  'planes:editar': { descripcion: 'Editar planes', roles: ADMIN_SUPERVISOR },
+  'planes:eliminar': { descripcion: 'Eliminar planes', roles: ADMIN_SUPERVISOR },
+
+  'conexiones:ver': { descripcion: 'Ver conexiones', roles: TODOS },
+  'conexiones:crear': { descripcion: 'Crear conexiones', roles: ADMIN_SUPERVISOR },
+  'conexiones:editar': { descripcion: 'Editar conexiones', roles: ADMIN_TECNICO },
+  'conexiones:finalizar': { descripcion: 'Finalizar conexiones', roles: ADMIN_SUPERVISOR },
+
+  'mantenimientos:ver': { descripcion: 'Ver mantenimientos', roles: TODOS },
+  'mantenimientos:crear': { descripcion: 'Registrar mantenimientos', roles: ADMIN_TECNICO },
+  'mantenimientos:editar': { descripcion: 'Editar mantenimientos', roles: ADMIN_TECNICO },
+  'mantenimientos:eliminar': { descripcion: 'Eliminar mantenimientos', roles: ADMIN_SUPERVISOR },
+  'mantenimientos:planificar': { descripcion: 'Crear y editar planes de mantenimiento preventivo', roles: ADMIN_SUPERVISOR },
+
+  'topologia:ver': { descripcion: 'Ver OLTs, splitters, cables y clientes afectados', roles: TODOS },
+  'topologia:gestionar': { descripcion: 'Crear, editar y eliminar OLTs, puertos PON, splitters y cables', roles: ADMIN_SUPERVISOR },
+
+  'dashboard:ver': { descripcion: 'Ver el dashboard y sus estadísticas', roles: TODOS },
+
+  'alertas:ver': { descripcion: 'Ver alertas de la red y su historial', roles: TODOS },
+  'alertas:gestionar': { descripcion: 'Reconocer, tomar, resolver y comentar alertas', roles: TODOS },
+  'alertas:asignar': { descripcion: 'Asignar alertas a otros usuarios', roles: ADMIN_SUPERVISOR },
+  'alertas:configurar': { descripcion: 'Crear y editar las reglas que abren alertas', roles: SOLO_ADMIN },
+  'notificaciones:gestionar': { descripcion: 'Ver los envíos de notificaciones de todos los usuarios y reintentar los fallidos', roles: SOLO_ADMIN },
+  'webhooks:gestionar': { descripcion: 'Registrar webhooks de eventos para sistemas externos y reenviar eventos', roles: SOLO_ADMIN },
+  'facturacion:ver': { descripcion: 'Ver facturas, pagos y el estado de cuenta de los clientes', roles: ADMIN_SUPERVISOR },
+  'facturacion:cobrar': { descripcion: 'Registrar pagos de clientes', roles: ADMIN_SUPERVISOR },
+  'facturacion:gestionar': { descripcion: 'Generar facturas y anular facturas o pagos', roles: SOLO_ADMIN },
+
+  'reportes:ver': { descripcion: 'Generar reportes en pantalla', roles: ADMIN_SUPERVISOR },
+  'reportes:exportar': { descripcion: 'Exportar reportes a PDF, Excel y CSV', roles: ADMIN_SUPERVISOR },
+  'reportes:att': { descripcion: 'Generar los reportes regulatorios para la ATT', roles: ADMIN_SUPERVISOR },
+  'reportes:programar': { descripcion: 'Programar el envío de reportes por correo', roles: ADMIN_SUPERVISOR },
+
+  'auditoria:ver': { descripcion: 'Ver el historial de auditoría', roles: ADMIN_SUPERVISOR },
+  'auditoria:exportar': { descripcion: 'Exportar la auditoría a Excel', roles: ADMIN_SUPERVISOR },
+
+  'usuarios:ver': { descripcion: 'Ver usuarios', roles: SOLO_ADMIN },
+  'usuarios:gestionar': { descripcion: 'Crear, editar, desactivar y desbloquear usuarios', roles: SOLO_ADMIN },
+
+  'permisos:gestionar': { descripcion: 'Editar los permisos de cada rol', roles: SOLO_ADMIN },
+
+  'zonas:ver': { descripcion: 'Ver zonas', roles: TODOS },
+  'zonas:gestionar': { descripcion: 'Crear y editar zonas y asignarlas a usuarios', roles: SOLO_ADMIN },
+  'zonas:todas': { descripcion: 'Ver y operar en todas las zonas, no sólo en las asignadas', roles: SOLO_ADMIN },
+
+  'ordenes:ver': { descripcion: 'Ver órdenes de trabajo (el técnico ve las suyas)', roles: TODOS },
+  'ordenes:crear': { descripcion: 'Crear órdenes de trabajo', roles: ADMIN_SUPERVISOR },
+  'ordenes:asignar': { descripcion: 'Asignar órdenes a técnicos y ver todas las órdenes', roles: ADMIN_SUPERVISOR },
+  'ordenes:ejecutar': { descripcion: 'Iniciar y completar órdenes de trabajo', roles: ADMIN_TECNICO },
+  'ordenes:cancelar': { descripcion: 'Cancelar órdenes de trabajo', roles: ADMIN_SUPERVISOR },
+  'incidentes:ver': { descripcion: 'Ver incidentes de servicio', roles: TODOS },
+  'incidentes:gestionar': { descripcion: 'Abrir y resolver incidentes de servicio', roles: TODOS }
+};
+
+// El ADMIN no puede quitarse este permiso: sin él nadie podría volver a editar la matriz
+const PERMISO_GESTIONAR_PERMISOS = 'permisos:gestionar';
+
+module.exports = {
+  ROLES,
+  PERMISOS,
+  PERMISO_GESTIONAR_PERMISOS
+};
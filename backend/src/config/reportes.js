@@ -0,0 +1,129 @@
+/**
+ * Catálogo de reportes
+ *
+ * @description
+ * - id: ruta del reporte bajo /reportes (y clave en reportesAsincronos)
+ * - parametros: query que acepta; fecha_desde/fecha_hasta y periodo se resuelven solos en los reportes programados
+ * - permiso: permiso extra para verlo además de reportes:ver (sin él no aparece en GET /reportes/tipos)
+ */
+
+const TIPOS_REPORTE = [
+  {
+    id: 'ocupacion',
+    nombre: 'Ocupación por NAP',
+    descripcion: 'Estado actual de ocupación de puertos por cada NAP y conexiones activas',
+    categoria: 'Infraestructura',
+    parametros: ['zona_id'],
+    formatos: ['json', 'pdf', 'excel']
+  },
+  {
+    id: 'tecnico',
+    nombre: 'Estado Técnico de NAPs',
+    descripcion: 'Estado técnico actual, ocupación y últimos mantenimientos de cada NAP',
+    categoria: 'Infraestructura',
+    parametros: ['zona_id'],
+    formatos: ['json', 'pdf', 'excel']
+  },
+  {
+    id: 'caidas-interrupciones',
+    nombre: 'Caídas e Interrupciones',
+    descripcion: 'Incidentes del periodo: inicio y resolución, causa raíz, NAPs afectadas, minutos de caída y usuarios impactados',
+    categoria: 'Infraestructura',
+    parametros: ['fecha_desde', 'fecha_hasta', 'zona_id'],
+    formatos: ['json', 'pdf', 'excel']
+  },
+  {
+    id: 'disponibilidad',
+    nombre: 'Disponibilidad de Servicio',
+    descripcion: 'Porcentaje de disponibilidad (SLA) por NAP según los minutos reales fuera de servicio registrados en incidentes',
+    categoria: 'Infraestructura',
+    parametros: ['fecha_desde', 'fecha_hasta', 'zona_id'],
+    formatos: ['json', 'pdf', 'excel']
+  },
+  {
+    id: 'planificacion-capacidad',
+    nombre: 'Planificación de Capacidad',
+    descripcion: 'Fecha estimada de saturación de cada NAP según su ritmo de altas y zonas donde instalar NAPs nuevos',
+    categoria: 'Infraestructura',
+    parametros: ['horizonte_dias', 'zona_id'],
+    formatos: ['json', 'pdf', 'excel']
+  },
+  {
+    id: 'consumo',
+    nombre: 'Consumo por Cliente',
+    descripcion: 'Detalle del historial de conexiones y planes utilizados por cliente',
+    categoria: 'Clientes',
+    parametros: ['fecha_desde', 'fecha_hasta', 'cliente_id', 'zona_id'],
+    formatos: ['json', 'pdf', 'excel']
+  },
+  {
+    id: 'altas-bajas',
+    nombre: 'Altas y Bajas de Servicio',
+    descripcion: 'Movimiento de clientes en el periodo: nuevas contrataciones y cancelaciones',
+    categoria: 'Clientes',
+    parametros: ['fecha_desde', 'fecha_hasta', 'zona_id'],
+    formatos: ['json', 'pdf', 'excel']
+  },
+  {
+    id: 'clientes',
+    nombre: 'Reporte de Clientes',
+    descripcion: 'Lista completa de clientes con su estado de servicio, plan y NAP asignada',
+    categoria: 'Clientes',
+    parametros: ['zona_id'],
+    formatos: ['json', 'pdf', 'excel']
+  },
+  {
+    id: 'cortes-reconexiones',
+    nombre: 'Cortes y Reconexiones del Día',
+    descripcion: 'Conexiones suspendidas por mora y reactivadas por pago hoy, y las que quedan por suspender o reactivar',
+    categoria: 'Clientes',
+    parametros: ['zona_id'],
+    formatos: ['json', 'pdf', 'excel']
+  },
+  {
+    id: 'att/suscriptores',
+    nombre: 'ATT - Suscriptores',
+    descripcion: 'Suscriptores al cierre del periodo, altas y bajas por municipio y velocidad de plan',
+    categoria: 'Regulatorio',
+    parametros: ['periodo', 'zona_id'],
+    formatos: ['json', 'pdf', 'excel', 'csv'],
+    permiso: 'reportes:att'
+  },
+  {
+    id: 'att/calidad-servicio',
+    nombre: 'ATT - Calidad de Servicio',
+    descripcion: 'Disponibilidad ponderada por usuarios, minutos de interrupción e incidentes por municipio',
+    categoria: 'Regulatorio',
+    parametros: ['periodo', 'zona_id'],
+    formatos: ['json', 'pdf', 'excel', 'csv'],
+    permiso: 'reportes:att'
+  },
+  {
+    id: 'att/incidentes',
+    nombre: 'ATT - Incidentes sobre Umbral',
+    descripcion: 'Interrupciones iniciadas en el periodo que superan los umbrales de duración y usuarios afectados',
+    categoria: 'Regulatorio',
+    parametros: ['periodo', 'umbral_minutos', 'umbral_usuarios', 'zona_id'],
+    formatos: ['json', 'pdf', 'excel', 'csv'],
+    permiso: 'reportes:att'
+  }
+];
+
+// ?formato=xlsx es un alias de excel
+const ALIAS_FORMATO = { xlsx: 'excel' };
+
+/**
+ * Indica si un reporte del catálogo se puede pedir en un formato
+ *
+ * @function admiteFormato
+ * @param {string} tipo - id del reporte
+ * @param {string} formato - json, pdf, excel (o xlsx) o csv
+ * @returns {boolean} false también si el reporte no está en el catálogo
+ */
+const admiteFormato = (tipo, formato) => {
+  const formatos = TIPOS_REPORTE.find(t => t.id === tipo)?.formatos ?? [];
+  const clave = String(formato).toLowerCase();
+  return formatos.includes(ALIAS_FORMATO[clave] ?? clave);
+};
+
+module.exports = { TIPOS_REPORTE, admiteFormato };
@@ -0,0 +1,503 @@
+const { sequelize, Alerta, AlertaNota, NAP, Usuario, UsuarioZona } = require('../models');
+const { Op } = require('sequelize');
+const { obtenerAlcanceZonas, filtroPorNAP, napEnAlcance } = require('../utils/zonas');
+const { rolTienePermiso } = require('../utils/permisos');
+
+const atributosUsuario = ['id', 'nombre', 'correo'];
+
+const includeAlerta = [
+  { model: NAP, as: 'nap', attributes: ['id', 'codigo', 'ubicacion', 'estado', 'zona_id'] },
+  { model: Usuario, as: 'reconocida_por_usuario', attributes: atributosUsuario },
+  { model: Usuario, as: 'asignada_a_usuario', attributes: atributosUsuario },
+  { model: Usuario, as: 'resuelta_por_usuario', attributes: atributosUsuario }
+];
+
+const includeNotas = {
+  model: AlertaNota,
+  as: 'notas',
+  separate: true,
+  order: [['createdAt', 'ASC']],
+  include: [{ model: Usuario, as: 'usuario', attributes: atributosUsuario }]
+};
+
+/**
+ * Busca una alerta de un NAP en las zonas del usuario
+ *
+ * @async
+ * @function buscarAlertaVisible
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} id - ID de la alerta
+ * @param {Object} [options] - Opciones de Sequelize (por ejemplo transaction o lock)
+ * @returns {Promise<Object|null>} La alerta, o null si no existe o su NAP no es visible
+ */
+async function buscarAlertaVisible(req, id, options = {}) {
+  const alerta = await Alerta.findByPk(id, options);
+
+  if (!alerta || !(await napEnAlcance(req, alerta.nap_id, { transaction: options.transaction }))) {
+    return null;
+  }
+
+  return alerta;
+}
+
+/**
+ * Verifica que un usuario pueda hacerse cargo de una alerta
+ *
+ * @async
+ * @function verificarResponsable
+ * @param {string} usuarioId - Usuario a asignar
+ * @param {string|null} zonaId - Zona del NAP de la alerta
+ * @returns {Promise<Object|null>} null si es válido, o { status, message }
+ *
+ * @description
+ * - Debe ser un usuario activo con alertas:gestionar
+ * - Debe tener asignada la zona del NAP, salvo que su rol tenga zonas:todas
+ */
+async function verificarResponsable(usuarioId, zonaId) {
+  const usuario = await Usuario.findByPk(usuarioId, { attributes: ['id', 'rol', 'activo'] });
+
+  if (!usuario || !usuario.activo || !(await rolTienePermiso(usuario.rol, 'alertas:gestionar'))) {
+    return { status: 400, message: 'El usuario asignado debe estar activo y poder gestionar alertas' };
+  }
+
+  if (await rolTienePermiso(usuario.rol, 'zonas:todas')) {
+    return null;
+  }
+
+  const enZona = zonaId && await UsuarioZona.count({
+    where: { usuario_id: usuarioId, zona_id: zonaId }
+  });
+
+  if (!enZona) {
+    return { status: 400, message: 'El usuario no tiene asignada la zona del NAP' };
+  }
+
+  return null;
+}
+
+const alertaCompleta = (id) => Alerta.findByPk(id, { include: [...includeAlerta, includeNotas] });
+
+/**
+ * Lista las alertas de los NAPs en las zonas del usuario
+ *
+ * @async
+ * @function obtenerAlertas
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.estado] - Uno o varios estados separados por coma (default: ABIERTA,RECONOCIDA)
+ * @param {string} [req.query.nivel] - CRITICO, ADVERTENCIA o INFO
+ * @param {string} [req.query.tipo] - Tipo de alerta (NAP_SATURADO, MANTENIMIENTO_VENCIDO, ...)
+ * @param {string} [req.query.nap_id] - Sólo alertas de este NAP
+ * @param {string} [req.query.zona_id] - Sólo alertas de NAPs de esta zona
+ * @param {string} [req.query.asignada_a] - Usuario responsable
+ * @param {number} [req.query.page=1] - Página
+ * @param {number} [req.query.limit=20] - Alertas por página
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con las alertas, la paginación y el conteo por estado y nivel
+ *
+ * @example
+ * // GET /api/alertas?estado=ABIERTA&nivel=CRITICO
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   data: [{ id, tipo, nivel, estado, mensaje, detalle, nap, primera_deteccion, ultima_deteccion, ... }],
+ * //   pagination: { total: 3, pages: 1, currentPage: 1, limit: 20 },
+ * //   resumen: { ABIERTA: 3, RECONOCIDA: 1, RESUELTA: 40, CRITICO: 1, ADVERTENCIA: 2, INFO: 1 }
+ * // }
+ *
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Ordena por nivel (CRÍTICO primero) y luego por primera detección, la más reciente primero
+ * - resumen cuenta todas las alertas visibles por estado y, las sin resolver, por nivel
+ */
+const obtenerAlertas = async (req, res) => {
+  try {
+    const { estado = 'ABIERTA,RECONOCIDA', nivel, tipo, nap_id, zona_id, asignada_a, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const whereCondition = {
+      estado: { [Op.in]: estado.split(',') },
+      ...filtroPorNAP(alcance)
+    };
+    if (nivel) whereCondition.nivel = nivel;
+    if (tipo) whereCondition.tipo = tipo;
+    if (nap_id) whereCondition.nap_id = nap_id;
+    if (asignada_a) whereCondition.asignada_a = asignada_a;
+
+    const include = includeAlerta.map(relacion => relacion.as === 'nap' && zona_id
+      ? { ...relacion, where: { zona_id }, required: true }
+      : relacion);
+
+    const alertas = await Alerta.findAndCountAll({
+      where: whereCondition,
+      include,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [
+        [sequelize.literal(`CASE "Alerta"."nivel" WHEN 'CRITICO' THEN 1 WHEN 'ADVERTENCIA' THEN 2 ELSE 3 END`), 'ASC'],
+        ['primera_deteccion', 'DESC']
+      ]
+    });
+
+    const [porEstado, porNivel] = await Promise.all([
+      Alerta.count({ where: filtroPorNAP(alcance), group: ['estado'] }),
+      Alerta.count({
+        where: { estado: { [Op.in]: ['ABIERTA', 'RECONOCIDA'] }, ...filtroPorNAP(alcance) },
+        group: ['nivel']
+      })
+    ]);
+
+    const resumen = { ABIERTA: 0, RECONOCIDA: 0, RESUELTA: 0, CRITICO: 0, ADVERTENCIA: 0, INFO: 0 };
+    for (const fila of porEstado) resumen[fila.estado] = parseInt(fila.count, 10);
+    for (const fila of porNivel) resumen[fila.nivel] = parseInt(fila.count, 10);
+
+    res.json({
+      success: true,
+      data: alertas.rows,
+      pagination: {
+        total: alertas.count,
+        pages: Math.ceil(alertas.count / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      },
+      resumen
+    });
+  } catch (error) {
+    console.error('Error al obtener alertas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Obtiene una alerta con su bitácora de notas
+ *
+ * @async
+ * @function obtenerAlertaPorId
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la alerta
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la alerta, sus responsables y sus notas
+ *
+ * @example
+ * // GET /api/alertas/:id
+ *
+ * @throws {404} Alerta no encontrada (o de un NAP fuera de las zonas del usuario)
+ * @throws {500} Error interno del servidor
+ */
+const obtenerAlertaPorId = async (req, res) => {
+  try {
+    const alerta = await buscarAlertaVisible(req, req.params.id);
+    if (!alerta) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alerta no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await alertaCompleta(alerta.id)
+    });
+  } catch (error) {
+    console.error('Error al obtener alerta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Marca una alerta abierta como reconocida por el usuario
+ *
+ * @async
+ * @function reconocerAlerta
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la alerta
+ * @param {string} [req.body.nota] - Comentario que queda en la bitácora
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la alerta reconocida
+ *
+ * @example
+ * // PATCH /api/alertas/:id/reconocer
+ * // Body: { nota: "Voy en camino" }
+ *
+ * @throws {400} La alerta no está ABIERTA
+ * @throws {404} Alerta no encontrada
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Si nadie la tenía asignada, queda asignada a quien la reconoce
+ */
+const reconocerAlerta = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  // Pasar userId para auditoría
+  transaction.userId = req.usuario?.id;
+
+  try {
+    const alerta = await buscarAlertaVisible(req, req.params.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!alerta) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Alerta no encontrada'
+      });
+    }
+
+    if (alerta.estado !== 'ABIERTA') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Sólo se pueden reconocer alertas abiertas'
+      });
+    }
+
+    await alerta.update({
+      estado: 'RECONOCIDA',
+      reconocida_por: req.usuario.id,
+      reconocida_en: new Date(),
+      asignada_a: alerta.asignada_a || req.usuario.id
+    }, { transaction, userId: req.usuario?.id });
+
+    if (req.body.nota) {
+      await AlertaNota.create({ alerta_id: alerta.id, usuario_id: req.usuario.id, texto: req.body.nota }, { transaction });
+    }
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Alerta reconocida exitosamente',
+      data: await alertaCompleta(alerta.id)
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error al reconocer alerta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Asigna una alerta sin resolver a un responsable
+ *
+ * @async
+ * @function asignarAlerta
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la alerta
+ * @param {string} req.body.usuario_id - Responsable
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la alerta asignada
+ *
+ * @example
+ * // PATCH /api/alertas/:id/asignar
+ * // Body: { usuario_id: "3b9e..." }
+ *
+ * @throws {400} Alerta resuelta, o responsable inactivo, sin permiso o fuera de la zona del NAP
+ * @throws {403} Asignar a otro usuario requiere alertas:asignar
+ * @throws {404} Alerta no encontrada
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Con alertas:gestionar cada usuario puede tomar una alerta para sí mismo
+ */
+const asignarAlerta = async (req, res) => {
+  try {
+    const { usuario_id } = req.body;
+
+    if (usuario_id !== req.usuario.id && !(await rolTienePermiso(req.usuario.rol, 'alertas:asignar'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permiso para asignar alertas a otros usuarios'
+      });
+    }
+
+    const alerta = await buscarAlertaVisible(req, req.params.id, {
+      include: [{ model: NAP, as: 'nap', attributes: ['id', 'zona_id'] }]
+    });
+    if (!alerta) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alerta no encontrada'
+      });
+    }
+
+    if (alerta.estado === 'RESUELTA') {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede asignar una alerta resuelta'
+      });
+    }
+
+    const errorResponsable = await verificarResponsable(usuario_id, alerta.nap.zona_id);
+    if (errorResponsable) {
+      return res.status(errorResponsable.status).json({
+        success: false,
+        message: errorResponsable.message
+      });
+    }
+
+    await alerta.update({ asignada_a: usuario_id }, { userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      message: 'Alerta asignada exitosamente',
+      data: await alertaCompleta(alerta.id)
+    });
+  } catch (error) {
+    console.error('Error al asignar alerta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Resuelve a mano una alerta abierta o reconocida
+ *
+ * @async
+ * @function resolverAlerta
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la alerta
+ * @param {string} [req.body.nota] - Qué se hizo; queda en la bitácora
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la alerta resuelta
+ *
+ * @example
+ * // PATCH /api/alertas/:id/resolver
+ * // Body: { nota: "Se liberaron dos puertos de clientes dados de baja" }
+ *
+ * @throws {400} La alerta ya está resuelta
+ * @throws {404} Alerta no encontrada
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Si la condición sigue vigente, la próxima evaluación abre una alerta nueva
+ */
+const resolverAlerta = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  // Pasar userId para auditoría
+  transaction.userId = req.usuario?.id;
+
+  try {
+    const alerta = await buscarAlertaVisible(req, req.params.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!alerta) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Alerta no encontrada'
+      });
+    }
+
+    if (alerta.estado === 'RESUELTA') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'La alerta ya está resuelta'
+      });
+    }
+
+    await alerta.update({
+      estado: 'RESUELTA',
+      resolucion: 'MANUAL',
+      resuelta_por: req.usuario.id,
+      resuelta_en: new Date()
+    }, { transaction, userId: req.usuario?.id });
+
+    if (req.body.nota) {
+      await AlertaNota.create({ alerta_id: alerta.id, usuario_id: req.usuario.id, texto: req.body.nota }, { transaction });
+    }
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      message: 'Alerta resuelta exitosamente',
+      data: await alertaCompleta(alerta.id)
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error al resolver alerta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Agrega una nota a la bitácora de una alerta
+ *
+ * @async
+ * @function agregarNotaAlerta
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la alerta
+ * @param {string} req.body.texto - Nota
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la nota creada
+ *
+ * @example
+ * // POST /api/alertas/:id/notas
+ * // Body: { texto: "El cliente reporta corte intermitente" }
+ *
+ * @throws {404} Alerta no encontrada
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - También se puede comentar una alerta resuelta
+ */
+const agregarNotaAlerta = async (req, res) => {
+  try {
+    const alerta = await buscarAlertaVisible(req, req.params.id);
+    if (!alerta) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alerta no encontrada'
+      });
+    }
+
+    const nota = await AlertaNota.create({
+      alerta_id: alerta.id,
+      usuario_id: req.usuario.id,
+      texto: req.body.texto
+    });
+
+    const notaCompleta = await AlertaNota.findByPk(nota.id, {
+      include: [{ model: Usuario, as: 'usuario', attributes: atributosUsuario }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Nota agregada exitosamente',
+      data: notaCompleta
+    });
+  } catch (error) {
+    console.error('Error al agregar nota a la alerta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerAlertas,
+  obtenerAlertaPorId,
+  reconocerAlerta,
+  asignarAlerta,
+  resolverAlerta,
+  agregarNotaAlerta
+};
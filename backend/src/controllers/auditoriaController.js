@@ -97,7 +97,8 @@ const obtenerHistorialCambios = async (req, res) => {
         datos_anteriores,
         datos_nuevos,
         fecha: auditoria.fecha,
-        usuario: auditoria.usuario
+        usuario: auditoria.usuario,
+        origen: auditoria.origen
       };
     });
 
@@ -173,7 +174,8 @@ const obtenerHistorialPorRegistro = async (req, res) => {
         accion: auditoria.accion,
         cambios,
         fecha: auditoria.fecha,
-        usuario: auditoria.usuario
+        usuario: auditoria.usuario,
+        origen: auditoria.origen
       };
     });
 
@@ -259,8 +261,9 @@ const obtenerEstadisticasAuditoria = async (req, res) => {
         }, {}),
         por_usuario: estadisticasPorUsuario.map(stat => ({
           usuario_id: stat.cambiado_por,
-          nombre: stat.usuario.nombre,
-          correo: stat.usuario.correo,
+          // Sin usuario: cambios de procesos automáticos (cobranza)
+          nombre: stat.usuario?.nombre || 'Proceso automático',
+          correo: stat.usuario?.correo || null,
           cantidad: parseInt(stat.dataValues.cantidad)
         }))
       }
@@ -407,6 +410,8 @@ const exportarAExcel = async (req, res) => {
           }
         });
         cambiosTexto = cambios.join(' | ');
+      } else if (['LOGIN', 'BLOQUEO', 'DESBLOQUEO'].includes(auditoria.accion) && datos_nuevos) {
+        cambiosTexto = Object.entries(datos_nuevos).map(([campo, valor]) => `${campo}: ${valor}`).join(' | ');
       }
 
       worksheet.addRow({
@@ -415,7 +420,7 @@ const exportarAExcel = async (req, res) => {
         tabla: auditoria.tabla,
         registro_id: auditoria.registro_id,
         accion: auditoria.accion,
-        usuario_nombre: auditoria.usuario?.nombre || 'N/A',
+        usuario_nombre: auditoria.usuario?.nombre || (auditoria.origen ? `Proceso ${auditoria.origen}` : 'N/A'),
         usuario_correo: auditoria.usuario?.correo || 'N/A',
         usuario_rol: auditoria.usuario?.rol || 'N/A',
         cambios: cambiosTexto
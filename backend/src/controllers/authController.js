@@ -1,32 +1,103 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
 const { Usuario } = require('../models');
+const {
+  hashToken,
+  crearSesion,
+  rotarSesion,
+  revocarSesion,
+  revocarSesionesDeUsuario,
+  obtenerSesionesActivas
+} = require('../utils/sesiones');
+const { verificarIntentos, registrarFallo, limpiarIntentosCuenta, BLOQUEO_MINUTOS } = require('../utils/intentosLogin');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { obtenerPermisosDeRol } = require('../utils/permisos');
+const { generarSecreto, verificarCodigo, uriProvisionamiento } = require('../utils/totp');
+const {
+  rolRequiere2FA,
+  generarChallengeToken,
+  verificarChallengeToken,
+  generarCodigosRecuperacion,
+  verificarSegundoFactor
+} = require('../utils/segundoFactor');
+const { enviarCorreo, escaparHtml } = require('../utils/correo');
 
-/**
- * Genera un token JWT para un usuario específico
- * 
- * @function generarToken
- * @param {number} id - ID único del usuario para el cual generar el token
- * 
- * @returns {string} Token JWT firmado con tiempo de expiración
- * 
- * @example
- * const token = generarToken(123);
- * // Retorna: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
- * 
- * @description
- * - Utiliza JWT_SECRET del entorno para firmar el token
- * - El tiempo de expiración se define en JWT_EXPIRES_IN del entorno
- * - El payload solo contiene el ID del usuario por seguridad
- * - Token usado para autenticación en endpoints protegidos
- */
-const generarToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN
+const RESET_CLAVE_MINUTOS = parseInt(process.env.RESET_CLAVE_EXPIRA_MINUTOS || '30');
+
+const responderIntentoRechazado = (res, verificacion) => {
+  res.set('Retry-After', String(verificacion.reintentar_en));
+  return res.status(429).json({
+    success: false,
+    message: verificacion.motivo === 'BLOQUEO'
+      ? `Demasiados intentos fallidos. Acceso bloqueado temporalmente, intente en ${Math.ceil(verificacion.reintentar_en / 60)} minuto(s)`
+      : `Espere ${verificacion.reintentar_en} segundo(s) antes de volver a intentar`,
+    reintentar_en: verificacion.reintentar_en
+  });
+};
+
+// Cuenta el fallo (contraseña o segundo factor) y responde 429 si corresponde bloquear, o 401
+const responderFallo = async (req, res, correo, usuario, mensaje) => {
+  const fallo = await registrarFallo(correo, req.ip);
+
+  if (fallo.cuenta.bloqueado && usuario) {
+    await registrarAuditoria('usuarios', usuario.id, 'BLOQUEO', null, {
+      motivo: 'INTENTOS_FALLIDOS',
+      intentos: fallo.cuenta.intentos,
+      bloqueado_hasta: fallo.cuenta.bloqueado_hasta,
+      ip: req.ip,
+      user_agent: req.get('user-agent')
+    }, usuario.id);
+  }
+
+  if (fallo.cuenta.bloqueado || fallo.ip.bloqueado) {
+    res.set('Retry-After', String(BLOQUEO_MINUTOS * 60));
+    return res.status(429).json({
+      success: false,
+      message: `Demasiados intentos fallidos. Acceso bloqueado temporalmente por ${BLOQUEO_MINUTOS} minutos`,
+      reintentar_en: BLOQUEO_MINUTOS * 60
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: mensaje
+  });
+};
+
+// Abre la sesión, audita el LOGIN y responde con el par de tokens
+const completarLogin = async (req, res, usuario, datosAuditoria = {}, datosExtra = {}) => {
+  await limpiarIntentosCuenta(usuario.correo);
+
+  const { token, refresh_token } = await crearSesion(usuario, req);
+
+  await registrarAuditoria('usuarios', usuario.id, 'LOGIN', null, {
+    ip: req.ip,
+    user_agent: req.get('user-agent'),
+    ...datosAuditoria
+  }, usuario.id);
+
+  res.json({
+    success: true,
+    data: {
+      token,
+      refresh_token,
+      usuario: {
+        id: usuario.id,
+        nombre: usuario.nombre,
+        correo: usuario.correo,
+        rol: usuario.rol,
+        totp_activo: usuario.totp_activo,
+        requiere_2fa: rolRequiere2FA(usuario.rol),
+        debe_cambiar_clave: usuario.debe_cambiar_clave,
+        permisos: await obtenerPermisosDeRol(usuario.rol)
+      },
+      ...datosExtra
+    }
   });
 };
 
 /**
- * Autentica a un usuario y genera un token JWT
+ * Autentica a un usuario, abre una sesión y genera el par de tokens
  * 
  * @async
  * @function login
@@ -49,54 +120,70 @@ const generarToken = (id) => {
  * //   success: true,
  * //   data: {
  * //     token: "eyJhbGciOiJIUzI1NiIs...",
+ * //     refresh_token: "9f2c4e...",
  * //     usuario: {
  * //       id: 1,
  * //       nombre: "Juan Pérez",
  * //       correo: "usuario@empresa.com",
- * //       rol: "ADMIN"
+ * //       rol: "ADMIN",
+ * //       totp_activo: false,
+ * //       requiere_2fa: true,
+ * //       debe_cambiar_clave: false,
+ * //       permisos: ["naps:ver", "naps:crear", ...]
  * //     }
  * //   }
  * // }
  * 
+ * // Si el usuario tiene 2FA activo, en lugar de los tokens:
+ * // {
+ * //   success: true,
+ * //   data: { requiere_2fa: true, challenge_token: "eyJhbGciOiJIUzI1NiIs..." }
+ * // }
+ * 
  * @throws {401} Credenciales inválidas (correo/contraseña incorrectos o usuario inactivo)
+ * @throws {429} Cuenta o IP bloqueada temporalmente, o intento antes del retraso exigido (header Retry-After)
  * @throws {500} Error interno del servidor
  * 
  * @description
  * - Valida que el usuario exista y esté activo
  * - Compara la contraseña usando el método del modelo Usuario
- * - Genera token JWT válido tras autenticación exitosa
+ * - Crea una sesión (tabla sesiones) con un refresh token rotativo
+ * - El access token es de vida corta y lleva el ID de la sesión
  * - Retorna datos del usuario sin información sensible
- * - Implementa seguridad contra ataques de fuerza bruta
+ * - Cuenta los fallos por correo y por IP: retraso progresivo y bloqueo temporal (ver utils/intentosLogin)
+ * - Registra en auditoría los bloqueos de cuenta (BLOQUEO) y los ingresos exitosos (LOGIN)
+ * - Con 2FA activo no abre sesión: devuelve un challenge_token para POST /auth/2fa/verificar
  */
 const login = async (req, res) => {
   try {
     const { correo, clave } = req.body;
 
+    const verificacion = await verificarIntentos(correo, req.ip);
+
+    if (!verificacion.permitido) {
+      return responderIntentoRechazado(res, verificacion);
+    }
+
     const usuario = await Usuario.findOne({
       where: { correo, activo: true }
     });
 
     if (!usuario || !(await usuario.compararClave(clave))) {
-      return res.status(401).json({
-        success: false,
-        message: 'Credenciales inválidas'
-      });
+      return responderFallo(req, res, correo, usuario, 'Credenciales inválidas');
     }
 
-    const token = generarToken(usuario.id);
-
-    res.json({
-      success: true,
-      data: {
-        token,
-        usuario: {
-          id: usuario.id,
-          nombre: usuario.nombre,
-          correo: usuario.correo,
-          rol: usuario.rol
+    if (usuario.totp_activo) {
+      // La contraseña es correcta pero el contador se limpia recién al validar el segundo factor
+      return res.json({
+        success: true,
+        data: {
+          requiere_2fa: true,
+          challenge_token: generarChallengeToken(usuario.id)
         }
-      }
-    });
+      });
+    }
+
+    await completarLogin(req, res, usuario);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -130,30 +217,667 @@ const login = async (req, res) => {
  * //     id: 1,
  * //     nombre: "Juan Pérez",
  * //     correo: "usuario@empresa.com",
- * //     rol: "ADMIN"
+ * //     rol: "ADMIN",
+ * //     totp_activo: true,
+ * //     requiere_2fa: true,
+ * //     debe_cambiar_clave: false,
+ * //     permisos: ["naps:ver", "naps:crear", ...]
  * //   }
  * // }
  * 
  * @description
  * - Endpoint protegido que requiere token JWT válido
+ * - requiere_2fa indica si el rol del usuario tiene el segundo factor obligatorio
+ * - permisos son los permisos efectivos del rol; el frontend los usa para ocultar acciones
  * - Los datos del usuario son inyectados por el middleware de autenticación
  * - Retorna información del perfil sin datos sensibles
  * - Útil para validar sesión y obtener datos del usuario logueado
- * - No realiza consultas adicionales a la base de datos
  */
 const perfil = async (req, res) => {
+  let permisos;
+  try {
+    permisos = await obtenerPermisosDeRol(req.usuario.rol);
+  } catch (error) {
+    console.error('Error al obtener permisos del perfil:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+
   res.json({
     success: true,
     data: {
       id: req.usuario.id,
       nombre: req.usuario.nombre,
       correo: req.usuario.correo,
-      rol: req.usuario.rol
+      rol: req.usuario.rol,
+      totp_activo: req.usuario.totp_activo,
+      requiere_2fa: rolRequiere2FA(req.usuario.rol),
+      debe_cambiar_clave: req.usuario.debe_cambiar_clave,
+      permisos
     }
   });
 };
 
+/**
+ * Renueva el access token usando un refresh token
+ * 
+ * @async
+ * @function refrescarToken
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} req.body.refresh_token - Refresh token entregado en login o en el último refresh
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Promise<void>} Respuesta JSON con el nuevo par de tokens
+ * 
+ * @example
+ * // POST /api/auth/refresh
+ * // Body: { refresh_token: "9f2c4e..." }
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   data: { token: "eyJhbGciOiJIUzI1NiIs...", refresh_token: "a71b0d..." }
+ * // }
+ * 
+ * @throws {401} Refresh token inválido, expirado, revocado o reutilizado
+ * 
+ * @description
+ * - No requiere access token: se usa justamente cuando éste expiró
+ * - El refresh token rota en cada llamada; el anterior deja de servir
+ * - El token recién rotado se acepta unos segundos más (REFRESH_TOKEN_GRACIA_SEGUNDOS):
+ *   devuelve sólo el access token, con refresh_token null
+ * - Pasada esa gracia, presentar un refresh token ya rotado revoca la sesión completa
+ * - Rechaza la renovación si el usuario fue desactivado
+ */
+const refrescarToken = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    const resultado = await rotarSesion(refresh_token);
+
+    if (resultado.error) {
+      return res.status(401).json({
+        success: false,
+        message: resultado.error === 'REUTILIZADO'
+          ? 'Sesión revocada por reutilización del token'
+          : 'Sesión inválida o expirada'
+      });
+    }
+
+    const usuario = await Usuario.findByPk(resultado.sesion.usuario_id);
+
+    if (!usuario || !usuario.activo) {
+      await revocarSesion(resultado.sesion.id);
+      return res.status(401).json({
+        success: false,
+        message: 'Usuario inactivo'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: resultado.token,
+        refresh_token: resultado.refresh_token
+      }
+    });
+  } catch (error) {
+    console.error('Error al refrescar token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Cierra la sesión actual
+ * 
+ * @async
+ * @function logout
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.sesionId - ID de la sesión (inyectado por verificarToken)
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @description
+ * - Revoca la sesión del access token usado: su refresh token deja de servir
+ *   y el access token es rechazado por verificarToken desde ese momento
+ */
+const logout = async (req, res) => {
+  try {
+    await revocarSesion(req.sesionId);
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al cerrar sesión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Cierra todas las sesiones del usuario autenticado ("cerrar sesión en todos mis dispositivos")
+ * 
+ * @async
+ * @function logoutTodas
+ * 
+ * @returns {Promise<void>} Respuesta JSON con la cantidad de sesiones revocadas
+ */
+const logoutTodas = async (req, res) => {
+  try {
+    const revocadas = await revocarSesionesDeUsuario(req.usuario.id);
+
+    res.json({
+      success: true,
+      data: { sesiones_revocadas: revocadas },
+      message: 'Se cerraron todas las sesiones'
+    });
+  } catch (error) {
+    console.error('Error al cerrar sesiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Lista las sesiones activas del usuario autenticado
+ * 
+ * @async
+ * @function obtenerMisSesiones
+ * 
+ * @description
+ * - Marca con actual = true la sesión desde la que se hace la consulta
+ */
+const obtenerMisSesiones = async (req, res) => {
+  try {
+    const sesiones = await obtenerSesionesActivas(req.usuario.id);
+
+    res.json({
+      success: true,
+      data: sesiones.map(s => ({ ...s.toJSON(), actual: s.id === req.sesionId }))
+    });
+  } catch (error) {
+    console.error('Error al obtener sesiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Completa un login con segundo factor
+ * 
+ * @async
+ * @function verificarLogin2FA
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} req.body.challenge_token - Token devuelto por login
+ * @param {string} req.body.codigo - Código TOTP de 6 dígitos o código de recuperación
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Promise<void>} Misma respuesta que un login sin 2FA (token, refresh_token, usuario)
+ * 
+ * @example
+ * // POST /api/auth/2fa/verificar
+ * // Body: { challenge_token: "eyJhbGciOiJIUzI1NiIs...", codigo: "492039" }
+ * 
+ * @throws {401} Desafío inválido o expirado, o código incorrecto
+ * @throws {429} Cuenta o IP bloqueada por intentos fallidos
+ * 
+ * @description
+ * - Los códigos incorrectos cuentan como intentos fallidos de login de la cuenta
+ * - Un código de recuperación usado se descarta; la respuesta informa cuántos quedan
+ */
+const verificarLogin2FA = async (req, res) => {
+  try {
+    const { challenge_token, codigo } = req.body;
+
+    const usuarioId = verificarChallengeToken(challenge_token);
+    const usuario = usuarioId ? await Usuario.findByPk(usuarioId) : null;
+
+    if (!usuario || !usuario.activo || !usuario.totp_activo) {
+      return res.status(401).json({
+        success: false,
+        message: 'Desafío inválido o expirado, inicie sesión nuevamente'
+      });
+    }
+
+    const verificacion = await verificarIntentos(usuario.correo, req.ip);
+
+    if (!verificacion.permitido) {
+      return responderIntentoRechazado(res, verificacion);
+    }
+
+    const metodo = await verificarSegundoFactor(usuario, codigo);
+
+    if (!metodo) {
+      return responderFallo(req, res, usuario.correo, usuario, 'Código de verificación inválido');
+    }
+
+    const datosExtra = metodo === 'RECUPERACION'
+      ? { codigos_recuperacion_restantes: usuario.totp_codigos_recuperacion.length }
+      : {};
+
+    await completarLogin(req, res, usuario, { segundo_factor: metodo }, datosExtra);
+  } catch (error) {
+    console.error('Error al verificar segundo factor:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Inicia el enrolamiento de 2FA del usuario autenticado
+ * 
+ * @async
+ * @function iniciar2FA
+ * 
+ * @returns {Promise<void>} Respuesta JSON con el secreto y la URI otpauth:// para el QR
+ * 
+ * @example
+ * // POST /api/auth/2fa/iniciar
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   data: {
+ * //     secreto: "JBSWY3DPEHPK3PXP...",
+ * //     uri: "otpauth://totp/Gestion%20NAPs%3Ausuario%40empresa.com?secret=..."
+ * //   }
+ * // }
+ * 
+ * @throws {400} El 2FA ya está activo
+ * 
+ * @description
+ * - Genera un secreto nuevo en cada llamada; el 2FA no queda activo hasta POST /auth/2fa/activar
+ */
+const iniciar2FA = async (req, res) => {
+  try {
+    const usuario = req.usuario;
+
+    if (usuario.totp_activo) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores ya está activa'
+      });
+    }
+
+    const secreto = generarSecreto();
+
+    // Sin userId: el secreto no debe quedar en la auditoría
+    await usuario.update({ totp_secreto: secreto, totp_ultimo_paso: null });
+
+    res.json({
+      success: true,
+      data: {
+        secreto,
+        uri: uriProvisionamiento(secreto, usuario.correo)
+      }
+    });
+  } catch (error) {
+    console.error('Error al iniciar 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Activa el 2FA confirmando un código de la app autenticadora
+ * 
+ * @async
+ * @function activar2FA
+ * @param {Object} req.body - { codigo }
+ * 
+ * @returns {Promise<void>} Respuesta JSON con los códigos de recuperación (se muestran una sola vez)
+ * 
+ * @throws {400} 2FA ya activo, enrolamiento no iniciado o código inválido
+ */
+const activar2FA = async (req, res) => {
+  try {
+    const usuario = req.usuario;
+
+    if (usuario.totp_activo) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores ya está activa'
+      });
+    }
+
+    if (!usuario.totp_secreto) {
+      return res.status(400).json({
+        success: false,
+        message: 'Primero debe iniciar el enrolamiento'
+      });
+    }
+
+    const paso = verificarCodigo(usuario.totp_secreto, req.body.codigo);
+
+    if (paso === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código de verificación inválido'
+      });
+    }
+
+    const { codigos, hashes } = generarCodigosRecuperacion();
+
+    await usuario.update({
+      totp_activo: true,
+      totp_ultimo_paso: paso,
+      totp_codigos_recuperacion: hashes
+    });
+
+    await registrarAuditoria('usuarios', usuario.id, 'UPDATE', { totp_activo: false }, { totp_activo: true }, usuario.id);
+
+    res.json({
+      success: true,
+      data: { codigos_recuperacion: codigos },
+      message: 'Autenticación de dos factores activada'
+    });
+  } catch (error) {
+    console.error('Error al activar 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Desactiva el 2FA del usuario autenticado
+ * 
+ * @async
+ * @function desactivar2FA
+ * @param {Object} req.body - { clave, codigo }
+ * 
+ * @throws {400} El 2FA no está activo
+ * @throws {401} Contraseña o código inválido
+ * @throws {403} El rol del usuario tiene el 2FA obligatorio
+ * 
+ * @description
+ * - Pide contraseña y código vigente para que un token robado no alcance para quitar el 2FA
+ * - Si el usuario perdió el dispositivo y su rol exige 2FA, un ADMIN lo reinicia en DELETE /usuarios/:id/2fa
+ */
+const desactivar2FA = async (req, res) => {
+  try {
+    const usuario = req.usuario;
+    const { clave, codigo } = req.body;
+
+    if (!usuario.totp_activo) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores no está activa'
+      });
+    }
+
+    if (rolRequiere2FA(usuario.rol)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Tu rol requiere autenticación de dos factores; no se puede desactivar'
+      });
+    }
+
+    if (!(await usuario.compararClave(clave)) || !(await verificarSegundoFactor(usuario, codigo))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Contraseña o código de verificación inválido'
+      });
+    }
+
+    await usuario.update({
+      totp_secreto: null,
+      totp_activo: false,
+      totp_ultimo_paso: null,
+      totp_codigos_recuperacion: []
+    });
+
+    await registrarAuditoria('usuarios', usuario.id, 'UPDATE', { totp_activo: true }, { totp_activo: false }, usuario.id);
+
+    res.json({
+      success: true,
+      message: 'Autenticación de dos factores desactivada'
+    });
+  } catch (error) {
+    console.error('Error al desactivar 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Genera un juego nuevo de códigos de recuperación (invalida los anteriores)
+ * 
+ * @async
+ * @function regenerarCodigosRecuperacion
+ * @param {Object} req.body - { codigo } - Código TOTP vigente
+ * 
+ * @throws {400} El 2FA no está activo
+ * @throws {401} Código inválido
+ */
+const regenerarCodigosRecuperacion = async (req, res) => {
+  try {
+    const usuario = req.usuario;
+
+    if (!usuario.totp_activo) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores no está activa'
+      });
+    }
+
+    const ultimoPaso = usuario.totp_ultimo_paso !== null ? Number(usuario.totp_ultimo_paso) : null;
+    const paso = verificarCodigo(usuario.totp_secreto, req.body.codigo, ultimoPaso);
+
+    if (paso === null) {
+      return res.status(401).json({
+        success: false,
+        message: 'Código de verificación inválido'
+      });
+    }
+
+    const { codigos, hashes } = generarCodigosRecuperacion();
+
+    await usuario.update({ totp_ultimo_paso: paso, totp_codigos_recuperacion: hashes });
+
+    res.json({
+      success: true,
+      data: { codigos_recuperacion: codigos }
+    });
+  } catch (error) {
+    console.error('Error al regenerar códigos de recuperación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Envía por correo un enlace para restablecer la contraseña
+ * 
+ * @async
+ * @function olvideClave
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} req.body.correo - Correo de la cuenta
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Promise<void>} Siempre la misma respuesta, exista o no la cuenta
+ * 
+ * @example
+ * // POST /api/auth/olvide-clave
+ * // Body: { correo: "tecnico@empresa.com" }
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   message: "Si el correo está registrado, recibirá un enlace para restablecer la contraseña"
+ * // }
+ * 
+ * @description
+ * - No revela si el correo existe (misma respuesta en ambos casos)
+ * - Genera un token aleatorio; en la base sólo se guarda su hash SHA-256
+ * - El token vence a los RESET_CLAVE_EXPIRA_MINUTOS (30 por defecto) y pedir otro invalida el anterior
+ * - El enlace apunta a FRONTEND_URL/restablecer-clave?token=...
+ * - El correo sale por el transporte configurado en CORREO_TRANSPORTE (ver utils/correo)
+ * - Si el envío falla se registra en el log y se responde igual
+ */
+const olvideClave = async (req, res) => {
+  const respuesta = {
+    success: true,
+    message: 'Si el correo está registrado, recibirá un enlace para restablecer la contraseña'
+  };
+
+  try {
+    const { correo } = req.body;
+
+    const usuario = await Usuario.findOne({
+      where: { correo, activo: true }
+    });
+
+    if (!usuario) {
+      return res.json(respuesta);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await usuario.update({
+      reset_clave_hash: hashToken(token),
+      reset_clave_expira: new Date(Date.now() + RESET_CLAVE_MINUTOS * 60000)
+    });
+
+    const enlace = `${(process.env.FRONTEND_URL || 'http://localhost:4200').replace(/\/$/, '')}/restablecer-clave?token=${token}`;
+
+    // Un envío fallido responde lo mismo: un 500 sólo para cuentas existentes revelaría cuáles lo son
+    try {
+      await enviarCorreo({
+        para: usuario.correo,
+        asunto: 'Restablecer contraseña',
+        texto: [
+          `Hola ${usuario.nombre},`,
+          '',
+          'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+          `Ingresa al siguiente enlace dentro de los próximos ${RESET_CLAVE_MINUTOS} minutos:`,
+          '',
+          enlace,
+          '',
+          'Si no fuiste tú, ignora este correo: tu contraseña no cambiará.'
+        ].join('\n'),
+        html: `<p>Hola ${escaparHtml(usuario.nombre)},</p>
+<p>Recibimos una solicitud para restablecer la contraseña de tu cuenta.
+Ingresa al siguiente enlace dentro de los próximos ${RESET_CLAVE_MINUTOS} minutos:</p>
+<p><a href="${escaparHtml(enlace)}">Restablecer contraseña</a></p>
+<p>Si no fuiste tú, ignora este correo: tu contraseña no cambiará.</p>`
+      });
+    } catch (error) {
+      console.error(`Error al enviar el correo de restablecimiento del usuario ${usuario.id}:`, error.message);
+    }
+
+    res.json(respuesta);
+  } catch (error) {
+    console.error('Error al solicitar restablecimiento de clave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Define una contraseña nueva usando el token recibido por correo
+ * 
+ * @async
+ * @function restablecerClave
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.body - Datos de la solicitud
+ * @param {string} req.body.token - Token del enlace
+ * @param {string} req.body.claveNueva - Nueva contraseña (validarPasswordFuerte)
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @example
+ * // POST /api/auth/restablecer-clave
+ * // Body: { token: "5be1c0...", claveNueva: "NuevaClave#2024" }
+ * 
+ * @throws {400} Token inválido o expirado
+ * 
+ * @description
+ * - El token sirve una sola vez
+ * - Quita debe_cambiar_clave: la clave la eligió el propio usuario
+ * - Cierra todas las sesiones abiertas y limpia el bloqueo por intentos fallidos
+ */
+const restablecerClave = async (req, res) => {
+  try {
+    const { token, claveNueva } = req.body;
+
+    const usuario = await Usuario.findOne({
+      where: {
+        reset_clave_hash: hashToken(token),
+        reset_clave_expira: { [Op.gt]: new Date() },
+        activo: true
+      }
+    });
+
+    if (!usuario) {
+      return res.status(400).json({
+        success: false,
+        message: 'El enlace para restablecer la contraseña es inválido o expiró'
+      });
+    }
+
+    await usuario.update({
+      clave: claveNueva,
+      debe_cambiar_clave: false,
+      reset_clave_hash: null,
+      reset_clave_expira: null
+    });
+
+    await revocarSesionesDeUsuario(usuario.id);
+    await limpiarIntentosCuenta(usuario.correo);
+
+    await registrarAuditoria('usuarios', usuario.id, 'UPDATE', null, {
+      motivo: 'RESTABLECER_CLAVE',
+      ip: req.ip
+    }, usuario.id);
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente. Ya puede iniciar sesión'
+    });
+  } catch (error) {
+    console.error('Error al restablecer clave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 module.exports = {
   login,
-  perfil
+  perfil,
+  refrescarToken,
+  logout,
+  logoutTodas,
+  obtenerMisSesiones,
+  verificarLogin2FA,
+  iniciar2FA,
+  activar2FA,
+  desactivar2FA,
+  regenerarCodigosRecuperacion,
+  olvideClave,
+  restablecerClave
 };
\ No newline at end of file
@@ -0,0 +1,210 @@
+const { CableAlimentador, Splitter, NAP } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Obtiene la lista de cables alimentadores
+ *
+ * @async
+ * @function obtenerCables
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.busqueda] - Búsqueda por código o descripción
+ */
+const obtenerCables = async (req, res) => {
+  try {
+    const { busqueda } = req.query;
+
+    const whereClause = {};
+
+    if (busqueda) {
+      whereClause[Op.or] = [
+        { codigo: { [Op.iLike]: `%${busqueda}%` } },
+        { descripcion: { [Op.iLike]: `%${busqueda}%` } }
+      ];
+    }
+
+    const cables = await CableAlimentador.findAll({
+      where: whereClause,
+      order: [['codigo', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: cables
+    });
+  } catch (error) {
+    console.error('Error al obtener cables:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener cables'
+    });
+  }
+};
+
+/**
+ * Obtiene un cable alimentador por ID con los splitters y NAPs a los que llega
+ *
+ * @async
+ * @function obtenerCablePorId
+ * @throws {404} Cable no encontrado
+ */
+const obtenerCablePorId = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const cable = await CableAlimentador.findByPk(id, {
+      include: [
+        { model: Splitter, as: 'splitters', attributes: ['id', 'codigo', 'ratio', 'nivel'] },
+        { model: NAP, as: 'naps', attributes: ['id', 'codigo', 'estado'] }
+      ]
+    });
+
+    if (!cable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cable no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: cable
+    });
+  } catch (error) {
+    console.error('Error al obtener cable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener cable'
+    });
+  }
+};
+
+/**
+ * Crea un cable alimentador
+ *
+ * @async
+ * @function crearCable
+ * @throws {400} El código del cable ya existe
+ */
+const crearCable = async (req, res) => {
+  try {
+    const cable = await CableAlimentador.create(req.body, { userId: req.usuario?.id });
+
+    res.status(201).json({
+      success: true,
+      data: cable,
+      message: 'Cable creado exitosamente'
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({
+        success: false,
+        message: 'El código del cable ya existe'
+      });
+    }
+
+    console.error('Error al crear cable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear cable'
+    });
+  }
+};
+
+/**
+ * Actualiza un cable alimentador
+ *
+ * @async
+ * @function actualizarCable
+ * @throws {404} Cable no encontrado
+ */
+const actualizarCable = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const cable = await CableAlimentador.findByPk(id);
+
+    if (!cable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cable no encontrado'
+      });
+    }
+
+    await cable.update(req.body, { userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      data: cable,
+      message: 'Cable actualizado exitosamente'
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({
+        success: false,
+        message: 'El código del cable ya existe'
+      });
+    }
+
+    console.error('Error al actualizar cable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar cable'
+    });
+  }
+};
+
+/**
+ * Elimina un cable alimentador que no esté en uso
+ *
+ * @async
+ * @function eliminarCable
+ * @throws {404} Cable no encontrado
+ * @throws {400} El cable está asignado a splitters o NAPs
+ */
+const eliminarCable = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const cable = await CableAlimentador.findByPk(id, {
+      include: [
+        { model: Splitter, as: 'splitters', attributes: ['id'] },
+        { model: NAP, as: 'naps', attributes: ['id'] }
+      ]
+    });
+
+    if (!cable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cable no encontrado'
+      });
+    }
+
+    if (cable.splitters.length > 0 || cable.naps.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede eliminar el cable porque está asignado a splitters o NAPs'
+      });
+    }
+
+    await cable.destroy({ userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      message: 'Cable eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar cable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar cable'
+    });
+  }
+};
+
+module.exports = {
+  obtenerCables,
+  obtenerCablePorId,
+  crearCable,
+  actualizarCable,
+  eliminarCable
+};
@@ -1,6 +1,27 @@
-const { Cliente, Conexion, Plan, Puerto, NAP } = require('../models');
+const { Cliente, Conexion, Plan, Puerto, NAP, Zona, Factura, Pago } = require('../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
+const { obtenerAlcanceZonas, filtroCliente, clienteEnAlcance } = require('../utils/zonas');
+
+// Zona de un cliente nuevo o editado: debe existir y estar entre las zonas del usuario.
+// Si el usuario tiene una sola zona y no se indica ninguna, se usa esa.
+const resolverZonaCliente = async (req, zonaId) => {
+  const alcance = await obtenerAlcanceZonas(req);
+
+  if (!zonaId) {
+    if (alcance && alcance.length === 1) return { zona_id: alcance[0] };
+    if (alcance) return { status: 400, message: 'Debe indicar la zona del cliente' };
+    return { zona_id: null };
+  }
+
+  if (!(await Zona.findByPk(zonaId))) {
+    return { status: 400, message: 'La zona no existe' };
+  }
+  if (alcance && !alcance.includes(zonaId)) {
+    return { status: 403, message: 'No puede asignar clientes a una zona que no tiene asignada' };
+  }
+  return { zona_id: zonaId };
+};
 
 /**
  * Obtiene una lista paginada de clientes con sus conexiones asociadas
@@ -36,6 +57,7 @@ const { Op } = require('sequelize');
  * @description
  * - Implementa paginación con offset y limit
  * - Búsqueda flexible en nombre, CI y correo electrónico (case-insensitive)
+ * - Sólo clientes de las zonas del usuario: por su zona o por el NAP de alguna de sus conexiones
  * - Incluye relaciones: conexiones → planes, puertos → NAPs
  * - Ordena resultados por fecha de creación descendente
  * - Proporciona metadatos de paginación completos
@@ -57,8 +79,11 @@ const obtenerClientes = async (req, res) => {
       };
     }
 
+    const alcance = await obtenerAlcanceZonas(req);
+
     const clientes = await Cliente.findAndCountAll({
-      where: whereCondition,
+      where: { [Op.and]: [whereCondition, filtroCliente(alcance)] },
+      distinct: true,
       include: [{
         model: Conexion,
         as: 'conexiones',
@@ -149,7 +174,7 @@ const obtenerClientePorId = async (req, res) => {
       }]
     });
 
-    if (!cliente) {
+    if (!cliente || !(await clienteEnAlcance(req, cliente.id))) {
       return res.status(404).json({
         success: false,
         message: 'Cliente no encontrado'
@@ -181,6 +206,7 @@ const obtenerClientePorId = async (req, res) => {
  * @param {string} req.body.telefono - Número de teléfono del cliente
  * @param {string} req.body.correo - Correo electrónico del cliente
  * @param {string} req.body.direccion - Dirección física del cliente
+ * @param {string} [req.body.zona_id] - Zona del cliente (obligatoria si el usuario tiene varias zonas)
  * @param {Object} res - Objeto de respuesta Express
  * 
  * @returns {Promise<void>} Respuesta JSON con cliente creado
@@ -215,7 +241,15 @@ const crearCliente = async (req, res) => {
       });
     }
 
-    const { ci, nombre, telefono, correo, direccion } = req.body;
+    const { ci, nombre, telefono, correo, direccion, zona_id } = req.body;
+
+    const zona = await resolverZonaCliente(req, zona_id);
+    if (zona.status) {
+      return res.status(zona.status).json({
+        success: false,
+        message: zona.message
+      });
+    }
 
     const clienteExistente = await Cliente.findOne({ where: { ci } });
     if (clienteExistente) {
@@ -230,7 +264,8 @@ const crearCliente = async (req, res) => {
       nombre,
       telefono,
       correo,
-      direccion
+      direccion,
+      zona_id: zona.zona_id
     });
 
     res.status(201).json({
@@ -294,16 +329,28 @@ const actualizarCliente = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { ci, nombre, telefono, correo, direccion } = req.body;
+    const { ci, nombre, telefono, correo, direccion, zona_id } = req.body;
 
     const cliente = await Cliente.findByPk(id);
-    if (!cliente) {
+    if (!cliente || !(await clienteEnAlcance(req, id))) {
       return res.status(404).json({
         success: false,
         message: 'Cliente no encontrado'
       });
     }
 
+    let zonaCliente = cliente.zona_id;
+    if (zona_id !== undefined && zona_id !== cliente.zona_id) {
+      const zona = await resolverZonaCliente(req, zona_id);
+      if (zona.status) {
+        return res.status(zona.status).json({
+          success: false,
+          message: zona.message
+        });
+      }
+      zonaCliente = zona.zona_id;
+    }
+
     if (ci !== cliente.ci) {
       const clienteExistente = await Cliente.findOne({ where: { ci } });
       if (clienteExistente) {
@@ -319,7 +366,8 @@ const actualizarCliente = async (req, res) => {
       nombre,
       telefono,
       correo,
-      direccion
+      direccion,
+      zona_id: zonaCliente
     });
 
     res.json({
@@ -362,6 +410,7 @@ const actualizarCliente = async (req, res) => {
  * //   }
  * // }
  * 
+ * @throws {400} El cliente tiene facturas o pagos
  * @throws {404} Cliente no encontrado
  * @throws {500} Error interno del servidor
  * 
@@ -391,7 +440,7 @@ const eliminarCliente = async (req, res) => {
       transaction
     });
 
-    if (!cliente) {
+    if (!cliente || !(await clienteEnAlcance(req, id, { transaction }))) {
       await transaction.rollback();
       return res.status(404).json({
         success: false,
@@ -399,6 +448,17 @@ const eliminarCliente = async (req, res) => {
       });
     }
 
+    // Las facturas y pagos son registro contable: un cliente con cuenta no se borra
+    const movimientos = await Factura.count({ where: { cliente_id: id }, transaction }) +
+      await Pago.count({ where: { cliente_id: id }, transaction });
+    if (movimientos > 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'El cliente tiene facturas o pagos registrados y no se puede eliminar'
+      });
+    }
+
     // Finalizar todas las conexiones activas del cliente y liberar puertos
     if (cliente.conexiones && cliente.conexiones.length > 0) {
       const conexionesActivas = cliente.conexiones.filter(c => c.estado === 'ACTIVA');
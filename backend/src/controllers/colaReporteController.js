@@ -0,0 +1,295 @@
+const { Reporte } = require('../models');
+const { Op } = require('sequelize');
+const { reportesAsincronos } = require('./reporteController');
+const { despertarColaReportes } = require('../utils/colaReportes');
+const { admiteFormato } = require('../config/reportes');
+
+// Reportes PENDIENTE o PROCESANDO que puede tener un usuario a la vez
+const MAX_EN_COLA = parseInt(process.env.REPORTES_MAX_EN_COLA || '5', 10);
+
+// Formatos que se generan en segundo plano (json siempre es inmediato)
+const FORMATOS_ASINCRONOS = { pdf: 'pdf', excel: 'excel', xlsx: 'excel', csv: 'csv' };
+
+// Estado del reporte para el cliente: sin el archivo, con su posición en la cola y la URL de descarga
+const serializarReporte = async (reporte) => {
+  const datos = reporte.toJSON();
+  delete datos.contenido;
+
+  if (reporte.estado === 'PENDIENTE') {
+    datos.posicion_cola = await Reporte.count({
+      where: { estado: 'PENDIENTE', createdAt: { [Op.lte]: reporte.createdAt } }
+    });
+  }
+  if (reporte.estado === 'COMPLETADO') {
+    datos.url_descarga = `/reportes/jobs/${reporte.id}/archivo`;
+  }
+
+  return datos;
+};
+
+// Sólo quien pidió el reporte lo ve; el de otro usuario responde 404
+const buscarReportePropio = (req, conArchivo = false) => Reporte.findOne({
+  where: { id: req.params.id, generado_por: req.usuario.id },
+  attributes: conArchivo ? undefined : { exclude: ['contenido'] }
+});
+
+/**
+ * Encola el reporte de la ruta en lugar de generarlo en la petición (?async=true)
+ *
+ * @async
+ * @function encolarReporte
+ * @param {Object} req - Objeto de solicitud Express (ya validado por la ruta del reporte)
+ * @param {string} [req.query.async] - 'true' para generar en segundo plano
+ * @param {string} req.query.formato - pdf, excel o csv
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Sin ?async=true sigue al handler del reporte
+ *
+ * @returns {Promise<void>} 202 con el id del reporte encolado
+ *
+ * @example
+ * // GET /api/v1/reportes/ocupacion?formato=pdf&async=true
+ * // → 202 { success: true, data: { id, estado: 'PENDIENTE', ... } }
+ *
+ * @throws {400} Formato json, reporte que no admite segundo plano o formato fuera de su catálogo
+ * @throws {429} El usuario ya tiene REPORTES_MAX_EN_COLA reportes en cola
+ * @throws {500} Error interno del servidor
+ */
+const encolarReporte = async (req, res, next) => {
+  if (String(req.query.async).toLowerCase() !== 'true') return next();
+
+  try {
+    const { formato = 'json', async: _async, ...parametros } = req.query;
+    const tipo = req.path.replace(/^\//, '');
+    const formatoArchivo = FORMATOS_ASINCRONOS[String(formato).toLowerCase()];
+
+    if (!formatoArchivo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sólo los reportes en PDF, Excel o CSV se generan en segundo plano'
+      });
+    }
+
+    if (!reportesAsincronos[tipo]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este reporte no se puede generar en segundo plano'
+      });
+    }
+
+    if (!admiteFormato(tipo, formato)) {
+      return res.status(400).json({
+        success: false,
+        message: `El reporte no admite el formato ${formato}`
+      });
+    }
+
+    const enCola = await Reporte.count({
+      where: { generado_por: req.usuario.id, estado: { [Op.in]: ['PENDIENTE', 'PROCESANDO'] } }
+    });
+    if (enCola >= MAX_EN_COLA) {
+      return res.status(429).json({
+        success: false,
+        message: `Ya tiene ${enCola} reportes en cola; espere a que terminen`
+      });
+    }
+
+    const reporte = await Reporte.create({
+      tipo,
+      formato: formatoArchivo,
+      parametros,
+      generado_por: req.usuario.id
+    });
+
+    despertarColaReportes();
+
+    res.status(202).json({
+      success: true,
+      data: await serializarReporte(reporte),
+      message: 'Reporte en cola de generación'
+    });
+  } catch (error) {
+    console.error('Error al encolar reporte:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Lista los reportes generados en segundo plano por el usuario
+ *
+ * @async
+ * @function obtenerMisReportes
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con los últimos 50 reportes, más recientes primero
+ *
+ * @throws {500} Error interno del servidor
+ */
+const obtenerMisReportes = async (req, res) => {
+  try {
+    const reportes = await Reporte.findAll({
+      where: { generado_por: req.usuario.id },
+      attributes: { exclude: ['contenido'] },
+      order: [['createdAt', 'DESC']],
+      limit: 50
+    });
+
+    res.json({
+      success: true,
+      data: await Promise.all(reportes.map(serializarReporte))
+    });
+  } catch (error) {
+    console.error('Error al obtener reportes generados:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Estado y avance de un reporte en segundo plano
+ *
+ * @async
+ * @function obtenerReporteGenerado
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del reporte
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con estado, progreso (0-100), posicion_cola si está
+ * PENDIENTE, error si falló y url_descarga si está COMPLETADO
+ *
+ * @throws {404} Reporte no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const obtenerReporteGenerado = async (req, res) => {
+  try {
+    const reporte = await buscarReportePropio(req);
+
+    if (!reporte) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reporte no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await serializarReporte(reporte)
+    });
+  } catch (error) {
+    console.error('Error al obtener reporte generado:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Descarga el archivo de un reporte COMPLETADO
+ *
+ * @async
+ * @function descargarReporteGenerado
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del reporte
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} El archivo como adjunto
+ *
+ * @throws {404} Reporte no encontrado
+ * @throws {409} El reporte todavía no está listo o falló
+ * @throws {500} Error interno del servidor
+ */
+const descargarReporteGenerado = async (req, res) => {
+  try {
+    const reporte = await buscarReportePropio(req, true);
+
+    if (!reporte) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reporte no encontrado'
+      });
+    }
+
+    if (reporte.estado !== 'COMPLETADO') {
+      return res.status(409).json({
+        success: false,
+        message: reporte.estado === 'ERROR'
+          ? `El reporte falló: ${reporte.error}`
+          : 'El reporte todavía se está generando'
+      });
+    }
+
+    res.setHeader('Content-Type', reporte.tipo_contenido);
+    res.setHeader('Content-Length', reporte.contenido.length);
+    res.setHeader('Content-Disposition', `attachment; filename=${reporte.archivo}`);
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    return res.end(reporte.contenido, 'binary');
+  } catch (error) {
+    console.error('Error al descargar reporte generado:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Elimina un reporte propio (y su archivo); uno en PROCESANDO no se puede eliminar
+ *
+ * @async
+ * @function eliminarReporteGenerado
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del reporte
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON de confirmación
+ *
+ * @throws {404} Reporte no encontrado
+ * @throws {409} El reporte se está generando
+ * @throws {500} Error interno del servidor
+ */
+const eliminarReporteGenerado = async (req, res) => {
+  try {
+    const reporte = await buscarReportePropio(req);
+
+    if (!reporte) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reporte no encontrado'
+      });
+    }
+
+    if (reporte.estado === 'PROCESANDO') {
+      return res.status(409).json({
+        success: false,
+        message: 'El reporte se está generando; elimínelo cuando termine'
+      });
+    }
+
+    await reporte.destroy();
+
+    res.json({
+      success: true,
+      message: 'Reporte eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar reporte generado:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  encolarReporte,
+  obtenerMisReportes,
+  obtenerReporteGenerado,
+  descargarReporteGenerado,
+  eliminarReporteGenerado
+};
@@ -1,6 +1,8 @@
-const { Conexion, Cliente, Plan, Puerto, NAP, Usuario } = require('../models');
+const { sequelize, Conexion, Cliente, Plan, Puerto, NAP, Usuario } = require('../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
+const { obtenerAlcanceZonas, filtroPorPuerto, napEnAlcance, clienteEnAlcance } = require('../utils/zonas');
+const { actualizarDatosConexion } = require('../utils/operacionesPuerto');
 
 /**
  * Obtiene una lista paginada de conexiones con filtros opcionales
@@ -39,6 +41,7 @@ const { Op } = require('sequelize');
  * - Implementa paginación completa con metadatos
  * - Filtros combinables por estado, cliente y NAP
  * - Búsqueda en nombre y CI del cliente
+ * - Sólo conexiones en NAPs de las zonas del usuario
  * - Incluye relaciones: cliente, plan, puerto, NAP y usuario creador
  * - Ordena por fecha de creación descendente
  */
@@ -100,8 +103,10 @@ const obtenerConexiones = async (req, res) => {
       });
     }
 
+    const alcance = await obtenerAlcanceZonas(req);
+
     const conexiones = await Conexion.findAndCountAll({
-      where: whereCondition,
+      where: { [Op.and]: [whereCondition, filtroPorPuerto(alcance)] },
       include: includeCondition,
       limit: parseInt(limit),
       offset: parseInt(offset),
@@ -180,7 +185,7 @@ const obtenerConexionPorId = async (req, res) => {
       ]
     });
 
-    if (!conexion) {
+    if (!conexion || !(await napEnAlcance(req, conexion.puerto.nap))) {
       return res.status(404).json({
         success: false,
         message: 'Conexión no encontrada'
@@ -235,6 +240,7 @@ const obtenerConexionPorId = async (req, res) => {
  * @description
  * - Valida disponibilidad del puerto (estado LIBRE)
  * - Verifica existencia de cliente y plan
+ * - Puerto y cliente deben estar en las zonas del usuario (si no, 404)
  * - Previene conexiones duplicadas en el mismo puerto
  * - Actualiza puerto a estado OCUPADO
  * - Registra usuario creador para auditoría
@@ -255,7 +261,7 @@ const crearConexion = async (req, res) => {
     const creado_por = req.usuario.id;
 
     const puerto = await Puerto.findByPk(puerto_id);
-    if (!puerto) {
+    if (!puerto || !(await napEnAlcance(req, puerto.nap_id))) {
       return res.status(404).json({
         success: false,
         message: 'Puerto no encontrado'
@@ -270,7 +276,7 @@ const crearConexion = async (req, res) => {
     }
 
     const cliente = await Cliente.findByPk(cliente_id);
-    if (!cliente) {
+    if (!cliente || !(await clienteEnAlcance(req, cliente_id))) {
       return res.status(404).json({
         success: false,
         message: 'Cliente no encontrado'
@@ -372,6 +378,8 @@ const crearConexion = async (req, res) => {
  * - Actualiza estado del puerto según el estado de conexión:
  *   - FINALIZADA: libera puerto (LIBRE)
  *   - ACTIVA/SUSPENDIDA: mantiene puerto ocupado (OCUPADO)
+ * - Un cambio de estado a mano quita la marca de suspensión por mora
+ *   (la cobranza no reactiva sola una conexión suspendida a mano)
  * - Valida existencia del nuevo plan si se cambia
  * - Registra auditoría de los cambios
  */
@@ -393,7 +401,7 @@ const actualizarConexion = async (req, res) => {
       include: [{ model: Puerto, as: 'puerto' }]
     });
 
-    if (!conexion) {
+    if (!conexion || !(await napEnAlcance(req, conexion.puerto.nap_id))) {
       return res.status(404).json({
         success: false,
         message: 'Conexión no encontrada'
@@ -410,24 +418,11 @@ const actualizarConexion = async (req, res) => {
       }
     }
 
-    const estadoAnterior = conexion.estado;
-
-    await conexion.update({
-      plan_id: plan_id || conexion.plan_id,
-      fecha_fin,
-      estado: estado || conexion.estado
-    }, { userId: req.usuario?.id });
-
-    // Actualizar el estado del puerto según el estado de la conexión
-    if (estado && estado !== estadoAnterior) {
-      if (estado === 'FINALIZADA') {
-        // Solo liberar el puerto cuando la conexión se finaliza
-        await conexion.puerto.update({ estado: 'LIBRE' }, { userId: req.usuario?.id });
-      } else if (estado === 'ACTIVA' || estado === 'SUSPENDIDA') {
-        // ACTIVA y SUSPENDIDA mantienen el puerto ocupado
-        await conexion.puerto.update({ estado: 'OCUPADO' }, { userId: req.usuario?.id });
-      }
-    }
+    // Conexión y puerto juntos; la cobranza suspende y reactiva por el mismo camino
+    await sequelize.transaction(async (transaction) => {
+      transaction.userId = req.usuario?.id;
+      await actualizarDatosConexion(conexion, { plan_id, fecha_fin, estado }, transaction);
+    });
 
     const conexionActualizada = await Conexion.findByPk(id, {
       include: [
@@ -502,7 +497,7 @@ const finalizarConexion = async (req, res) => {
       include: [{ model: Puerto, as: 'puerto' }]
     });
 
-    if (!conexion) {
+    if (!conexion || !(await napEnAlcance(req, conexion.puerto.nap_id))) {
       return res.status(404).json({
         success: false,
         message: 'Conexión no encontrada'
@@ -617,8 +612,10 @@ const obtenerConexionesPorCliente = async (req, res) => {
       whereCondition.estado = estado;
     }
 
+    const alcance = await obtenerAlcanceZonas(req);
+
     const conexiones = await Conexion.findAll({
-      where: whereCondition,
+      where: { [Op.and]: [whereCondition, filtroPorPuerto(alcance)] },
       include: [
         { model: Plan, as: 'plan' },
         {
@@ -1,5 +1,13 @@
-const { NAP, Puerto, Cliente, Conexion, Plan, Mantenimiento, Usuario } = require('../models');
+const { NAP, Puerto, Cliente, Conexion, Plan, Mantenimiento, Usuario, Alerta } = require('../models');
 const { Op } = require('sequelize');
+const {
+  obtenerAlcanceZonas,
+  filtroZonaNAP,
+  filtroPorNAP,
+  filtroPorPuerto,
+  filtroCliente
+} = require('../utils/zonas');
+const { ESTADOS_SIN_RESOLVER, compararAlertas } = require('../utils/alertas');
 
 /**
  * Obtiene las estadísticas generales del sistema para el dashboard principal
@@ -40,45 +48,51 @@ const { Op } = require('sequelize');
  * - Resumen de conexiones por estado
  * - Datos optimizados para widgets de dashboard
  * - Incluye KPIs principales del negocio
+ * - NAPs, puertos, clientes y conexiones se limitan a las zonas del usuario
  */
 const obtenerEstadisticasGenerales = async (req, res) => {
   try {
-    const totalNAPs = await NAP.count();
-    const totalClientes = await Cliente.count();
+    const alcance = await obtenerAlcanceZonas(req);
+    const enZonaNAP = filtroZonaNAP(alcance);
+    const enZonaPuerto = filtroPorNAP(alcance);
+    const enZonaConexion = filtroPorPuerto(alcance);
+
+    const totalNAPs = await NAP.count({ where: enZonaNAP });
+    const totalClientes = await Cliente.count({ where: filtroCliente(alcance) });
     const totalPlanes = await Plan.count();
-    const totalConexiones = await Conexion.count();
+    const totalConexiones = await Conexion.count({ where: enZonaConexion });
 
     const conexionesActivas = await Conexion.count({
-      where: { estado: 'ACTIVA' }
+      where: { estado: 'ACTIVA', ...enZonaConexion }
     });
 
     const conexionesSuspendidas = await Conexion.count({
-      where: { estado: 'SUSPENDIDA' }
+      where: { estado: 'SUSPENDIDA', ...enZonaConexion }
     });
 
     const conexionesFinalizadas = await Conexion.count({
-      where: { estado: 'FINALIZADA' }
+      where: { estado: 'FINALIZADA', ...enZonaConexion }
     });
 
-    const totalPuertos = await Puerto.count();
+    const totalPuertos = await Puerto.count({ where: enZonaPuerto });
     const puertosLibres = await Puerto.count({
-      where: { estado: 'LIBRE' }
+      where: { estado: 'LIBRE', ...enZonaPuerto }
     });
     const puertosOcupados = await Puerto.count({
-      where: { estado: 'OCUPADO' }
+      where: { estado: 'OCUPADO', ...enZonaPuerto }
     });
     const puertosMantenimiento = await Puerto.count({
-      where: { estado: 'MANTENIMIENTO' }
+      where: { estado: 'MANTENIMIENTO', ...enZonaPuerto }
     });
 
     const napsActivos = await NAP.count({
-      where: { estado: 'ACTIVO' }
+      where: { estado: 'ACTIVO', ...enZonaNAP }
     });
     const napsMantenimiento = await NAP.count({
-      where: { estado: 'MANTENIMIENTO' }
+      where: { estado: 'MANTENIMIENTO', ...enZonaNAP }
     });
     const napsSaturados = await NAP.count({
-      where: { estado: 'SATURADO' }
+      where: { estado: 'SATURADO', ...enZonaNAP }
     });
 
     const porcentajeOcupacion = totalPuertos > 0
@@ -143,8 +157,10 @@ const obtenerEstadisticasGenerales = async (req, res) => {
  * //   success: true,
  * //   data: [
  * //     {
+ * //       id: "6f1c...",
  * //       tipo: "NAP_SATURADO",
  * //       nivel: "CRITICO",
+ * //       estado: "ABIERTA",
  * //       mensaje: "NAP NAP001 está saturado",
  * //       detalle: "Ubicación: Av. Principal 123",
  * //       nap_id: 1,
@@ -157,110 +173,32 @@ const obtenerEstadisticasGenerales = async (req, res) => {
  * @throws {500} Error interno del servidor
  * 
  * @description
- * - Detecta NAPs saturados (100% ocupación) - CRÍTICO
- * - Identifica NAPs en mantenimiento - ADVERTENCIA
- * - Alerta NAPs próximos a saturación (80-99%) - ADVERTENCIA
- * - Reporta mantenimientos correctivos recientes - INFO
- * - Actualiza automáticamente estado de NAPs a SATURADO
+ * - Lee las alertas sin resolver (ABIERTA o RECONOCIDA) de las zonas del usuario; las detecta y
+ *   resuelve la evaluación periódica de utils/alertas.js con las reglas de /reglas-alerta
+ * - fecha es la primera detección de la condición
  * - Ordena alertas por nivel de prioridad (CRÍTICO > ADVERTENCIA > INFO)
- * - Sistema de monitoreo proactivo
+ * - El ciclo de vida completo (reconocer, asignar, resolver, notas) está en /alertas
  */
 const obtenerAlertas = async (req, res) => {
   try {
-    const alertas = [];
-
-    const napsSaturados = await NAP.findAll({
-      where: { estado: 'SATURADO' },
-      attributes: ['id', 'codigo', 'ubicacion', 'total_puertos']
-    });
-
-    for (const nap of napsSaturados) {
-      alertas.push({
-        tipo: 'NAP_SATURADO',
-        nivel: 'CRITICO',
-        mensaje: `NAP ${nap.codigo} está saturado`,
-        detalle: `Ubicación: ${nap.ubicacion}`,
-        nap_id: nap.id,
-        fecha: new Date()
-      });
-    }
-
-    const napsMantenimiento = await NAP.findAll({
-      where: { estado: 'MANTENIMIENTO' },
-      attributes: ['id', 'codigo', 'ubicacion']
-    });
-
-    for (const nap of napsMantenimiento) {
-      alertas.push({
-        tipo: 'NAP_MANTENIMIENTO',
-        nivel: 'ADVERTENCIA',
-        mensaje: `NAP ${nap.codigo} en mantenimiento`,
-        detalle: `Ubicación: ${nap.ubicacion}`,
-        nap_id: nap.id,
-        fecha: new Date()
-      });
-    }
+    const alcance = await obtenerAlcanceZonas(req);
 
-    // Buscar NAPs activos para verificar ocupación (excluir los que ya están en mantenimiento o saturados)
-    const napsProximosSaturacion = await NAP.findAll({
-      where: {
-        estado: 'ACTIVO'
-      },
-      attributes: ['id', 'codigo', 'ubicacion', 'total_puertos'],
-      include: [{
-        model: Puerto,
-        as: 'puertos',
-        attributes: ['estado']
-      }]
+    const abiertas = await Alerta.findAll({
+      where: { estado: { [Op.in]: ESTADOS_SIN_RESOLVER }, ...filtroPorNAP(alcance) }
     });
 
-    for (const nap of napsProximosSaturacion) {
-      const puertosOcupados = nap.puertos.filter(p => p.estado === 'OCUPADO').length;
-      const porcentajeOcupacion = (puertosOcupados / nap.total_puertos) * 100;
-
-      // Alerta cuando está entre 80% y 99%
-      if (porcentajeOcupacion >= 80 && porcentajeOcupacion < 100) {
-        alertas.push({
-          tipo: 'NAP_PROXIMO_SATURACION',
-          nivel: 'ADVERTENCIA',
-          mensaje: `NAP ${nap.codigo} próximo a saturación (${Math.round(porcentajeOcupacion)}%)`,
-          detalle: `Ubicación: ${nap.ubicacion}, ${puertosOcupados}/${nap.total_puertos} puertos ocupados`,
-          nap_id: nap.id,
-          fecha: new Date()
-        });
-      }
-
-      // Actualizar estado del NAP a SATURADO si llega al 100%
-      if (porcentajeOcupacion >= 100) {
-        await nap.update({ estado: 'SATURADO' });
-      }
-    }
-
-    const mantenimientosRecientes = await Mantenimiento.findAll({
-      where: {
-        tipo: 'CORRECTIVO',
-        fecha: {
-          [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) // Últimas 24 horas
-        }
-      },
-      include: [{ model: NAP, as: 'nap', attributes: ['codigo', 'ubicacion'] }]
-    });
-
-    for (const mantenimiento of mantenimientosRecientes) {
-      alertas.push({
-        tipo: 'MANTENIMIENTO_CORRECTIVO',
-        nivel: 'INFO',
-        mensaje: `Mantenimiento correctivo en NAP ${mantenimiento.nap.codigo}`,
-        detalle: `${mantenimiento.descripcion.substring(0, 100)}...`,
-        nap_id: mantenimiento.nap_id,
-        fecha: mantenimiento.fecha
-      });
-    }
-
-    alertas.sort((a, b) => {
-      const nivelesOrden = { 'CRITICO': 3, 'ADVERTENCIA': 2, 'INFO': 1 };
-      return nivelesOrden[b.nivel] - nivelesOrden[a.nivel];
-    });
+    const alertas = abiertas
+      .sort(compararAlertas)
+      .map(alerta => ({
+        id: alerta.id,
+        tipo: alerta.tipo,
+        nivel: alerta.nivel,
+        estado: alerta.estado,
+        mensaje: alerta.mensaje,
+        detalle: alerta.detalle,
+        nap_id: alerta.nap_id,
+        fecha: alerta.primera_deteccion
+      }));
 
     res.json({
       success: true,
@@ -321,7 +259,10 @@ const obtenerAlertas = async (req, res) => {
  */
 const obtenerOcupacionNAPs = async (req, res) => {
   try {
+    const alcance = await obtenerAlcanceZonas(req);
+
     const naps = await NAP.findAll({
+      where: filtroZonaNAP(alcance),
       attributes: ['id', 'codigo', 'ubicacion', 'estado', 'total_puertos', 'latitud', 'longitud'],
       include: [{
         model: Puerto,
@@ -414,43 +355,52 @@ const obtenerEstadisticasPorPeriodo = async (req, res) => {
   try {
     const { periodo = '30' } = req.query; // días
     const fechaDesde = new Date(Date.now() - parseInt(periodo) * 24 * 60 * 60 * 1000);
+    const alcance = await obtenerAlcanceZonas(req);
+    const enZonaConexion = filtroPorPuerto(alcance);
+    const enZonaMantenimiento = filtroPorNAP(alcance);
 
     const nuevasConexiones = await Conexion.count({
       where: {
-        createdAt: { [Op.gte]: fechaDesde }
+        createdAt: { [Op.gte]: fechaDesde },
+        ...enZonaConexion
       }
     });
 
     const conexionesFinalizadas = await Conexion.count({
       where: {
         estado: 'FINALIZADA',
-        updatedAt: { [Op.gte]: fechaDesde }
+        updatedAt: { [Op.gte]: fechaDesde },
+        ...enZonaConexion
       }
     });
 
     const nuevosClientes = await Cliente.count({
       where: {
-        createdAt: { [Op.gte]: fechaDesde }
+        createdAt: { [Op.gte]: fechaDesde },
+        ...filtroCliente(alcance)
       }
     });
 
     const mantenimientosRealizados = await Mantenimiento.count({
       where: {
-        fecha: { [Op.gte]: fechaDesde }
+        fecha: { [Op.gte]: fechaDesde },
+        ...enZonaMantenimiento
       }
     });
 
     const mantenimientosCorrectivos = await Mantenimiento.count({
       where: {
         tipo: 'CORRECTIVO',
-        fecha: { [Op.gte]: fechaDesde }
+        fecha: { [Op.gte]: fechaDesde },
+        ...enZonaMantenimiento
       }
     });
 
     const mantenimientosPreventivos = await Mantenimiento.count({
       where: {
         tipo: 'PREVENTIVO',
-        fecha: { [Op.gte]: fechaDesde }
+        fecha: { [Op.gte]: fechaDesde },
+        ...enZonaMantenimiento
       }
     });
 
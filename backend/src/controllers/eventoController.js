@@ -0,0 +1,118 @@
+const { PERMISO_POR_EVENTO, suscribirEventos } = require('../utils/eventos');
+const { obtenerAlcanceZonas } = require('../utils/zonas');
+const { rolTienePermiso } = require('../utils/permisos');
+const { sesionVigente, generarTicketEventos } = require('../utils/sesiones');
+
+// Cada cuánto se manda un comentario para que proxies y navegador no den la conexión por muerta
+const LATIDO_MS = parseInt(process.env.EVENTOS_LATIDO_MS || '25000', 10);
+
+// Espera que sugiere el servidor al EventSource antes de reconectar
+const REINTENTO_CLIENTE_MS = 5000;
+
+const escribirEvento = (res, evento) => {
+  res.write(`id: ${evento.id}\ndata: ${JSON.stringify(evento)}\n\n`);
+};
+
+/**
+ * Emite el ticket de vida corta para abrir el canal de eventos
+ *
+ * @function emitirTicketEventos
+ * @param {Object} req - Objeto de solicitud Express (autenticado con el access token)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @example
+ * // POST /api/v1/eventos/ticket
+ * // Respuesta: { success: true, data: { ticket: "eyJhbGciOi..." } }
+ *
+ * @description
+ * - El ticket queda ligado a la sesión del access token (sid) y vence a los EVENTOS_TICKET_EXPIRES_IN
+ * - Se pide uno nuevo cada vez que se abre el canal; el access token nunca va en la URL
+ */
+const emitirTicketEventos = (req, res) => {
+  res.json({
+    success: true,
+    data: { ticket: generarTicketEventos(req.usuario.id, req.sesionId) }
+  });
+};
+
+/**
+ * Canal de eventos en tiempo real (Server-Sent Events)
+ *
+ * @async
+ * @function abrirCanalEventos
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.usuario - Usuario autenticado con el ticket de ?ticket= (emitirTicketEventos)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Mantiene la respuesta abierta hasta que el cliente se desconecta
+ *
+ * @example
+ * // const { data } = await POST /api/v1/eventos/ticket  (con Authorization: Bearer <access token>)
+ * // const fuente = new EventSource(`/api/v1/eventos?ticket=${data.ticket}`);
+ * // Cada mensaje:
+ * // id: 0d6c...
+ * // data: {"id":"0d6c...","tipo":"puerto.actualizado","datos":{"nap_id":"...","zona_id":"...",...},"fecha":"..."}
+ *
+ * @description
+ * - Tipos: puerto.actualizado, nap.actualizado, mantenimiento.creado y alerta (ver utils/eventos.js)
+ * - Sólo llegan los eventos de NAPs de las zonas del usuario y los tipos que su rol puede ver
+ * - Cada EVENTOS_LATIDO_MS (default: 25000) manda un latido y revisa que la sesión siga vigente;
+ *   si fue revocada, avisa con un evento sesion.finalizada y cierra
+ * - Las zonas y permisos se vuelven a consultar en cada latido: un cambio de asignación se aplica sin reconectar
+ * - No hay reenvío de lo perdido durante una desconexión: al reconectar, el cliente recarga lo que muestra
+ */
+const abrirCanalEventos = async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${REINTENTO_CLIENTE_MS}\n\n`);
+
+  let cerrado = false;
+  // Los eventos se filtran y escriben en orden, uno detrás de otro
+  let cola = Promise.resolve();
+
+  const puedeRecibir = async (evento) => {
+    const permiso = PERMISO_POR_EVENTO[evento.tipo];
+    if (permiso && !(await rolTienePermiso(req.usuario.rol, permiso))) return false;
+
+    const alcance = await obtenerAlcanceZonas(req);
+    return !alcance || alcance.includes(evento.datos?.zona_id);
+  };
+
+  const cancelarSuscripcion = suscribirEventos((evento) => {
+    cola = cola
+      .then(async () => {
+        if (!cerrado && await puedeRecibir(evento)) escribirEvento(res, evento);
+      })
+      .catch(error => console.error('Error al enviar evento en tiempo real:', error));
+  });
+
+  const latido = setInterval(async () => {
+    try {
+      if (!(await sesionVigente(req.sesionId))) {
+        escribirEvento(res, { id: 'sesion', tipo: 'sesion.finalizada', datos: {}, fecha: new Date().toISOString() });
+        res.end();
+        return;
+      }
+      req.alcanceZonas = undefined;
+      if (!cerrado) res.write(': latido\n\n');
+    } catch (error) {
+      console.error('Error al verificar la sesión del canal de eventos:', error);
+    }
+  }, LATIDO_MS);
+
+  res.on('close', () => {
+    cerrado = true;
+    clearInterval(latido);
+    cancelarSuscripcion();
+  });
+};
+
+module.exports = {
+  emitirTicketEventos,
+  abrirCanalEventos
+};
@@ -0,0 +1,546 @@
+const { Op } = require('sequelize');
+const { sequelize, Factura, LineaFactura, Pago, Cliente, Usuario } = require('../models');
+const PDFGenerator = require('../utils/pdfGenerator');
+const { fechaISOLocal } = require('../utils/fechas');
+const { obtenerAlcanceZonas, filtroCliente, clienteEnAlcance } = require('../utils/zonas');
+const {
+  periodoAnterior,
+  aplicarPagos,
+  generarFacturas: generarFacturasPeriodo,
+  estadoCuenta,
+  datosPDFFactura
+} = require('../utils/facturacion');
+const { revisarCliente } = require('../utils/cobranza');
+
+const ATRIBUTOS_CLIENTE = ['id', 'nombre', 'apellido', 'ci', 'telefono'];
+
+const LINEAS = { model: LineaFactura, as: 'lineas' };
+
+// Factura visible para el usuario (por la zona del cliente), por defecto con sus líneas
+const buscarFactura = async (req, { include = [LINEAS], transaction } = {}) => {
+  const factura = await Factura.findByPk(req.params.id, {
+    include,
+    order: include.includes(LINEAS) ? [[LINEAS, 'tipo', 'ASC'], [LINEAS, 'concepto', 'ASC']] : [],
+    transaction
+  });
+  if (!factura || !(await clienteEnAlcance(req, factura.cliente_id, { transaction }))) return null;
+  return factura;
+};
+
+const noEncontrada = (res, mensaje = 'Factura no encontrada') => res.status(404).json({
+  success: false,
+  message: mensaje
+});
+
+/**
+ * Lista las facturas de los clientes de las zonas del usuario
+ *
+ * @async
+ * @function obtenerFacturas
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.estado] - PENDIENTE, PARCIAL, PAGADA o ANULADA
+ * @param {string} [req.query.cliente_id] - Facturas de un cliente
+ * @param {string} [req.query.periodo] - Mes facturado, "AAAA-MM"
+ * @param {string} [req.query.vencidas] - "true": impagas con la fecha de vencimiento pasada
+ * @param {number} [req.query.page=1] - Página
+ * @param {number} [req.query.limit=20] - Registros por página
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con las facturas (sin líneas), más recientes primero, y paginación
+ *
+ * @throws {500} Error interno del servidor
+ */
+const obtenerFacturas = async (req, res) => {
+  try {
+    const { estado, cliente_id, periodo, vencidas, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const whereCondition = {};
+    if (estado) whereCondition.estado = estado;
+    if (cliente_id) whereCondition.cliente_id = cliente_id;
+    if (periodo) whereCondition.periodo = periodo;
+    if (vencidas === 'true') {
+      whereCondition.estado = { [Op.in]: ['PENDIENTE', 'PARCIAL'] };
+      whereCondition.fecha_vencimiento = { [Op.lt]: fechaISOLocal(new Date()) };
+    }
+
+    const facturas = await Factura.findAndCountAll({
+      where: whereCondition,
+      include: [{
+        model: Cliente,
+        as: 'cliente',
+        attributes: ATRIBUTOS_CLIENTE,
+        where: filtroCliente(alcance)
+      }],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['fecha_emision', 'DESC'], ['numero', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: facturas.rows,
+      pagination: {
+        total: facturas.count,
+        pages: Math.ceil(facturas.count / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener facturas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Detalle de una factura con sus líneas
+ *
+ * @async
+ * @function obtenerFacturaPorId
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la factura
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la factura, sus líneas y quién la generó
+ *
+ * @throws {404} Factura no encontrada o de un cliente fuera de las zonas del usuario
+ * @throws {500} Error interno del servidor
+ */
+const obtenerFacturaPorId = async (req, res) => {
+  try {
+    const factura = await buscarFactura(req, {
+      include: [LINEAS, { model: Usuario, as: 'creador', attributes: ['id', 'nombre', 'correo'] }]
+    });
+    if (!factura) return noEncontrada(res);
+
+    res.json({
+      success: true,
+      data: factura
+    });
+  } catch (error) {
+    console.error('Error al obtener factura:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Descarga una factura en PDF
+ *
+ * @async
+ * @function descargarFacturaPDF
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la factura
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Archivo factura_<numero>.pdf (plantilla 'factura' de utils/plantillasPDF.js)
+ *
+ * @throws {404} Factura no encontrada
+ * @throws {500} Error al generar el PDF
+ */
+const descargarFacturaPDF = async (req, res) => {
+  try {
+    const factura = await buscarFactura(req);
+    if (!factura) return noEncontrada(res);
+
+    const pdfBuffer = await PDFGenerator.generarPDF(datosPDFFactura(factura), 'factura');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('Content-Disposition', `attachment; filename=factura_${factura.numero}.pdf`);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.end(pdfBuffer, 'binary');
+  } catch (error) {
+    console.error('Error al descargar factura:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Genera las facturas de un mes para los clientes de las zonas del usuario
+ *
+ * @async
+ * @function generarFacturas
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.body.periodo] - "AAAA-MM" ya cerrado (default: el mes anterior)
+ * @param {string} [req.body.cliente_id] - Sólo este cliente
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con las facturas emitidas y cuántas ya existían
+ *
+ * @example
+ * // POST /api/v1/facturacion/facturas/generar
+ * // Body: { periodo: "2024-05" }
+ *
+ * @description
+ * - Es lo mismo que hace el proceso mensual; repetirlo no duplica facturas
+ * - Para refacturar a un cliente, anule su factura del periodo y vuelva a generar
+ *
+ * @throws {404} Cliente no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const generarFacturas = async (req, res) => {
+  try {
+    const { periodo = periodoAnterior(), cliente_id } = req.body;
+
+    if (cliente_id && !(await clienteEnAlcance(req, cliente_id))) {
+      return noEncontrada(res, 'Cliente no encontrado');
+    }
+
+    const resultado = await generarFacturasPeriodo({
+      periodo,
+      clienteId: cliente_id,
+      alcance: await obtenerAlcanceZonas(req),
+      usuarioId: req.usuario?.id
+    });
+
+    res.json({
+      success: true,
+      data: {
+        periodo,
+        emitidas: resultado.creadas.length,
+        existentes: resultado.existentes,
+        facturas: resultado.creadas
+      },
+      message: resultado.creadas.length
+        ? `Se emitieron ${resultado.creadas.length} facturas del periodo ${periodo}`
+        : `No hay facturas nuevas para el periodo ${periodo}`
+    });
+  } catch (error) {
+    console.error('Error al generar facturas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Anula una factura; lo que tenía pagado pasa a las demás facturas del cliente
+ *
+ * @async
+ * @function anularFactura
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la factura
+ * @param {string} req.body.motivo - Motivo de la anulación
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la factura ANULADA
+ *
+ * @throws {400} La factura ya está anulada
+ * @throws {404} Factura no encontrada
+ * @throws {500} Error interno del servidor
+ */
+const anularFactura = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  transaction.userId = req.usuario?.id;
+
+  try {
+    const factura = await buscarFactura(req, { include: [], transaction });
+    if (!factura) {
+      await transaction.rollback();
+      return noEncontrada(res);
+    }
+
+    if (factura.estado === 'ANULADA') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'La factura ya está anulada'
+      });
+    }
+
+    await factura.update({ estado: 'ANULADA', pagado: 0, motivo_anulacion: req.body.motivo }, { transaction });
+    await aplicarPagos(factura.cliente_id, factura.moneda, transaction);
+
+    await transaction.commit();
+
+    // Sin esa deuda el cliente puede dejar de estar en mora
+    await revisarCliente(factura.cliente_id, req.usuario?.id);
+
+    res.json({
+      success: true,
+      data: factura,
+      message: 'Factura anulada exitosamente'
+    });
+  } catch (error) {
+    // El error pudo llegar después del commit (revisión de cobranza, respuesta)
+    if (!transaction.finished) await transaction.rollback();
+    console.error('Error al anular factura:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Lista los pagos de los clientes de las zonas del usuario
+ *
+ * @async
+ * @function obtenerPagos
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.cliente_id] - Pagos de un cliente
+ * @param {string} [req.query.desde] - Fecha de pago desde
+ * @param {string} [req.query.hasta] - Fecha de pago hasta
+ * @param {number} [req.query.page=1] - Página
+ * @param {number} [req.query.limit=20] - Registros por página
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con los pagos (incluidos los anulados), más recientes primero
+ *
+ * @throws {500} Error interno del servidor
+ */
+const obtenerPagos = async (req, res) => {
+  try {
+    const { cliente_id, desde, hasta, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const whereCondition = {};
+    if (cliente_id) whereCondition.cliente_id = cliente_id;
+    if (desde || hasta) {
+      whereCondition.fecha = {};
+      if (desde) whereCondition.fecha[Op.gte] = desde.slice(0, 10);
+      if (hasta) whereCondition.fecha[Op.lte] = hasta.slice(0, 10);
+    }
+
+    const pagos = await Pago.findAndCountAll({
+      where: whereCondition,
+      include: [
+        { model: Cliente, as: 'cliente', attributes: ATRIBUTOS_CLIENTE, where: filtroCliente(alcance) },
+        { model: Usuario, as: 'registrador', attributes: ['id', 'nombre'] }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['fecha', 'DESC'], ['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: pagos.rows,
+      pagination: {
+        total: pagos.count,
+        pages: Math.ceil(pagos.count / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener pagos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Registra un pago de un cliente y lo aplica a sus facturas impagas
+ *
+ * @async
+ * @function registrarPago
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.body.cliente_id - ID del cliente
+ * @param {number} req.body.monto - Importe pagado
+ * @param {string} req.body.moneda - Moneda del pago (la de las facturas que cubre)
+ * @param {string} [req.body.fecha] - Fecha del pago (default: hoy)
+ * @param {string} req.body.metodo - EFECTIVO, TRANSFERENCIA, TARJETA, QR u OTRO
+ * @param {string} [req.body.referencia] - Nro. de comprobante
+ * @param {string} [req.body.nota]
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el pago y el estado de cuenta resultante
+ *
+ * @example
+ * // POST /api/v1/facturacion/pagos
+ * // Body: { cliente_id: "...", monto: 150, moneda: "BOB", metodo: "QR", referencia: "TX-88121" }
+ *
+ * @description
+ * - El pago cubre las facturas de la moneda de la más antigua a la más nueva; lo que sobra queda
+ *   como saldo a favor para las próximas
+ * - Si el cliente deja de estar en mora, sus conexiones suspendidas por la cobranza se reactivan
+ *
+ * @throws {404} Cliente no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const registrarPago = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  transaction.userId = req.usuario?.id;
+
+  try {
+    const { cliente_id, monto, moneda, fecha, metodo, referencia, nota } = req.body;
+
+    if (!(await clienteEnAlcance(req, cliente_id, { transaction }))) {
+      await transaction.rollback();
+      return noEncontrada(res, 'Cliente no encontrado');
+    }
+
+    const pago = await Pago.create({
+      cliente_id,
+      monto,
+      moneda: moneda.toUpperCase(),
+      fecha: fecha ? fecha.slice(0, 10) : fechaISOLocal(new Date()),
+      metodo,
+      referencia,
+      nota,
+      registrado_por: req.usuario?.id
+    }, { transaction });
+    await aplicarPagos(cliente_id, pago.moneda, transaction);
+
+    await transaction.commit();
+
+    // Reactivación por pago: las conexiones suspendidas por mora vuelven si el cliente quedó al día
+    const cobranza = await revisarCliente(cliente_id, req.usuario?.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        pago,
+        estado_cuenta: await estadoCuenta(cliente_id),
+        conexiones_reactivadas: cobranza?.reactivadas ?? 0
+      },
+      message: cobranza?.reactivadas
+        ? `Pago registrado exitosamente; ${cobranza.reactivadas} conexión(es) reactivada(s)`
+        : 'Pago registrado exitosamente'
+    });
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    console.error('Error al registrar pago:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Anula un pago mal registrado; las facturas que cubría vuelven a quedar impagas
+ *
+ * @async
+ * @function anularPago
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del pago
+ * @param {string} req.body.motivo - Motivo (se agrega a la nota del pago)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el pago anulado
+ *
+ * @throws {400} El pago ya está anulado
+ * @throws {404} Pago no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const anularPago = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  transaction.userId = req.usuario?.id;
+
+  try {
+    const pago = await Pago.findByPk(req.params.id, { transaction });
+    if (!pago || !(await clienteEnAlcance(req, pago.cliente_id, { transaction }))) {
+      await transaction.rollback();
+      return noEncontrada(res, 'Pago no encontrado');
+    }
+
+    if (pago.anulado) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'El pago ya está anulado'
+      });
+    }
+
+    await pago.update({
+      anulado: true,
+      nota: [pago.nota, `Anulado: ${req.body.motivo}`].filter(Boolean).join('\n')
+    }, { transaction });
+    await aplicarPagos(pago.cliente_id, pago.moneda, transaction);
+
+    await transaction.commit();
+
+    res.json({
+      success: true,
+      data: pago,
+      message: 'Pago anulado exitosamente'
+    });
+  } catch (error) {
+    if (!transaction.finished) await transaction.rollback();
+    console.error('Error al anular pago:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Estado de cuenta de un cliente: saldo por moneda y facturas impagas
+ *
+ * @async
+ * @function obtenerEstadoCuenta
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del cliente
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con { cliente, cuentas, facturas_impagas }
+ *
+ * @example
+ * // GET /api/v1/facturacion/clientes/:id/estado-cuenta
+ * // data.cuentas: [{ moneda: "BOB", facturado: 450, pagado: 300, saldo: 150, vencido: 150, ... }]
+ *
+ * @throws {404} Cliente no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const obtenerEstadoCuenta = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const cliente = await Cliente.findByPk(id, { attributes: ATRIBUTOS_CLIENTE });
+    if (!cliente || !(await clienteEnAlcance(req, id))) {
+      return noEncontrada(res, 'Cliente no encontrado');
+    }
+
+    const [cuentas, facturasImpagas] = await Promise.all([
+      estadoCuenta(id),
+      Factura.findAll({
+        where: { cliente_id: id, estado: { [Op.in]: ['PENDIENTE', 'PARCIAL'] } },
+        order: [['fecha_emision', 'ASC'], ['numero', 'ASC']]
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        cliente,
+        cuentas,
+        facturas_impagas: facturasImpagas
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener estado de cuenta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerFacturas,
+  obtenerFacturaPorId,
+  descargarFacturaPDF,
+  generarFacturas,
+  anularFactura,
+  obtenerPagos,
+  registrarPago,
+  anularPago,
+  obtenerEstadoCuenta
+};
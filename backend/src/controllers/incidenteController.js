@@ -0,0 +1,386 @@
+const {
+  sequelize,
+  Incidente,
+  IncidenteAfectado,
+  IncidenteConexion,
+  NAP,
+  Puerto,
+  Cliente,
+  Conexion,
+  Usuario
+} = require('../models');
+const { Op } = require('sequelize');
+const { obtenerAlcanceZonas, filtroPorNAP, napEnAlcance } = require('../utils/zonas');
+const { minutosEntre } = require('../utils/incidentes');
+
+/**
+ * Relaciones de un incidente limitadas a las zonas del usuario
+ *
+ * @function includeIncidente
+ * @param {string[]|null} alcance - Resultado de obtenerAlcanceZonas
+ * @param {boolean} [conClientes=false] - Incluir la foto de conexiones con sus clientes
+ * @returns {Object[]} include para Incidente.findAll / findOne
+ */
+const includeIncidente = (alcance, conClientes = false) => {
+  const include = [
+    {
+      model: IncidenteAfectado,
+      as: 'afectados',
+      where: filtroPorNAP(alcance),
+      required: true,
+      include: [
+        { model: NAP, as: 'nap', attributes: ['id', 'codigo', 'ubicacion', 'estado', 'zona_id'] },
+        { model: Puerto, as: 'puerto', attributes: ['id', 'numero'] }
+      ]
+    },
+    { model: Usuario, as: 'abierto_por_usuario', attributes: ['id', 'nombre', 'correo'] },
+    { model: Usuario, as: 'resuelto_por_usuario', attributes: ['id', 'nombre', 'correo'] }
+  ];
+
+  if (conClientes) {
+    include.push({
+      model: IncidenteConexion,
+      as: 'conexiones',
+      where: filtroPorNAP(alcance),
+      required: false,
+      separate: true,
+      include: [
+        { model: Cliente, as: 'cliente', attributes: ['id', 'ci', 'nombre', 'apellido', 'telefono'] },
+        { model: NAP, as: 'nap', attributes: ['id', 'codigo'] },
+        { model: Puerto, as: 'puerto', attributes: ['id', 'numero'] }
+      ]
+    });
+  }
+
+  return include;
+};
+
+// Minutos de caída hasta la resolución, o hasta ahora si sigue abierto
+const conDuracion = (incidente) => ({
+  ...incidente.toJSON(),
+  minutos_caida: minutosEntre(new Date(incidente.fecha_inicio), incidente.fecha_resolucion ? new Date(incidente.fecha_resolucion) : new Date())
+});
+
+/**
+ * Lista los incidentes con algún NAP afectado en las zonas del usuario
+ *
+ * @async
+ * @function obtenerIncidentes
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.estado] - ABIERTO o RESUELTO
+ * @param {string} [req.query.categoria] - Causa raíz
+ * @param {string} [req.query.nap_id] - Sólo incidentes que afectan a este NAP
+ * @param {string} [req.query.fecha_desde] - Incidentes activos desde esta fecha
+ * @param {string} [req.query.fecha_hasta] - Incidentes iniciados hasta esta fecha
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con los incidentes y sus minutos de caída
+ *
+ * @example
+ * // GET /api/incidentes?estado=ABIERTO
+ *
+ * @throws {500} Error interno del servidor
+ */
+const obtenerIncidentes = async (req, res) => {
+  try {
+    const { estado, categoria, nap_id, fecha_desde, fecha_hasta } = req.query;
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const condiciones = [];
+    if (estado) condiciones.push({ estado });
+    if (categoria) condiciones.push({ categoria });
+    if (nap_id) {
+      condiciones.push({
+        id: {
+          [Op.in]: sequelize.literal(`(SELECT incidente_id FROM incidentes_afectados WHERE nap_id = ${sequelize.escape(nap_id)})`)
+        }
+      });
+    }
+    if (fecha_desde) {
+      condiciones.push({ [Op.or]: [{ fecha_resolucion: null }, { fecha_resolucion: { [Op.gte]: new Date(fecha_desde) } }] });
+    }
+    if (fecha_hasta) {
+      const hasta = new Date(fecha_hasta);
+      hasta.setHours(23, 59, 59, 999);
+      condiciones.push({ fecha_inicio: { [Op.lte]: hasta } });
+    }
+
+    const incidentes = await Incidente.findAll({
+      where: { [Op.and]: condiciones },
+      include: includeIncidente(alcance),
+      order: [['fecha_inicio', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: incidentes.map(conDuracion)
+    });
+  } catch (error) {
+    console.error('Error al obtener incidentes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Obtiene un incidente con sus afectados y la foto de conexiones
+ *
+ * @async
+ * @function obtenerIncidentePorId
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del incidente
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el incidente
+ *
+ * @example
+ * // GET /api/incidentes/:id
+ *
+ * @throws {404} Incidente no encontrado (o sin NAPs en las zonas del usuario)
+ * @throws {500} Error interno del servidor
+ */
+const obtenerIncidentePorId = async (req, res) => {
+  try {
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const incidente = await Incidente.findOne({
+      where: { id: req.params.id },
+      include: includeIncidente(alcance, true)
+    });
+
+    if (!incidente) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incidente no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: conDuracion(incidente)
+    });
+  } catch (error) {
+    console.error('Error al obtener incidente:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Abre un incidente y guarda la foto de las conexiones afectadas
+ *
+ * @async
+ * @function crearIncidente
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.body.titulo - Resumen corto
+ * @param {string} [req.body.descripcion] - Detalle de la falla
+ * @param {string} req.body.categoria - Causa raíz
+ * @param {string} [req.body.fecha_inicio] - Comienzo real de la caída (ahora si no se indica)
+ * @param {Object[]} req.body.afectados - [{ nap_id, puerto_ids? }]; sin puerto_ids cae el NAP completo
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el incidente creado
+ *
+ * @example
+ * // POST /api/incidentes
+ * // Body: {
+ * //   titulo: "Corte de troncal en Av. Busch",
+ * //   categoria: "CORTE_FIBRA",
+ * //   fecha_inicio: "2024-03-10T14:20:00-04:00",
+ * //   afectados: [{ nap_id: "a1b2..." }, { nap_id: "c3d4...", puerto_ids: ["e5f6..."] }]
+ * // }
+ *
+ * @throws {400} NAP repetido o puerto que no pertenece a su NAP
+ * @throws {404} NAP o puerto no encontrado
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Todos los NAPs deben estar en las zonas del usuario
+ * - La foto son las conexiones ACTIVA en los puertos afectados al momento de registrarlo;
+ *   no cambia aunque luego haya altas, bajas o traslados
+ */
+const crearIncidente = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  // Pasar userId para auditoría
+  transaction.userId = req.usuario?.id;
+
+  const rechazar = async (status, message) => {
+    await transaction.rollback();
+    return res.status(status).json({ success: false, message });
+  };
+
+  try {
+    const { titulo, descripcion, categoria, fecha_inicio, afectados } = req.body;
+
+    const napIds = afectados.map(afectado => afectado.nap_id);
+    if (new Set(napIds).size !== napIds.length) {
+      return rechazar(400, 'Cada NAP afectado debe indicarse una sola vez');
+    }
+
+    for (const { nap_id, puerto_ids } of afectados) {
+      if (!(await napEnAlcance(req, nap_id, { transaction }))) {
+        return rechazar(404, 'NAP no encontrado');
+      }
+
+      if (puerto_ids) {
+        const delNAP = await Puerto.count({
+          where: { id: { [Op.in]: puerto_ids }, nap_id },
+          transaction
+        });
+        if (delNAP !== new Set(puerto_ids).size) {
+          return rechazar(400, 'Algún puerto afectado no pertenece a su NAP');
+        }
+      }
+    }
+
+    const incidente = await Incidente.create({
+      titulo,
+      descripcion,
+      categoria,
+      fecha_inicio: fecha_inicio || new Date(),
+      abierto_por: req.usuario.id
+    }, { transaction });
+
+    const filas = afectados.flatMap(({ nap_id, puerto_ids }) => puerto_ids
+      ? [...new Set(puerto_ids)].map(puerto_id => ({ incidente_id: incidente.id, nap_id, puerto_id }))
+      : [{ incidente_id: incidente.id, nap_id, puerto_id: null }]);
+
+    await IncidenteAfectado.bulkCreate(filas, { transaction });
+
+    const conexiones = await Conexion.findAll({
+      where: { estado: 'ACTIVA' },
+      attributes: ['id', 'cliente_id', 'puerto_id'],
+      include: [{
+        model: Puerto,
+        as: 'puerto',
+        attributes: ['id', 'nap_id'],
+        required: true,
+        where: {
+          [Op.or]: filas.map(fila => fila.puerto_id ? { id: fila.puerto_id } : { nap_id: fila.nap_id })
+        }
+      }],
+      transaction
+    });
+
+    await IncidenteConexion.bulkCreate(conexiones.map(conexion => ({
+      incidente_id: incidente.id,
+      conexion_id: conexion.id,
+      cliente_id: conexion.cliente_id,
+      nap_id: conexion.puerto.nap_id,
+      puerto_id: conexion.puerto_id
+    })), { transaction });
+
+    await transaction.commit();
+
+    const alcance = await obtenerAlcanceZonas(req);
+    const incidenteCompleto = await Incidente.findOne({
+      where: { id: incidente.id },
+      include: includeIncidente(alcance, true)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Incidente registrado exitosamente',
+      data: conDuracion(incidenteCompleto)
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error al crear incidente:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Cierra un incidente con la hora real de restablecimiento
+ *
+ * @async
+ * @function resolverIncidente
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del incidente
+ * @param {string} req.body.solucion - Qué se hizo para resolverlo
+ * @param {string} [req.body.fecha_resolucion] - Restablecimiento del servicio (ahora si no se indica)
+ * @param {string} [req.body.categoria] - Causa raíz confirmada, si difiere de la inicial
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el incidente resuelto
+ *
+ * @example
+ * // PATCH /api/incidentes/:id/resolver
+ * // Body: { solucion: "Empalme de troncal rehecho", fecha_resolucion: "2024-03-10T18:05:00-04:00" }
+ *
+ * @throws {400} Ya resuelto, o resolución anterior al inicio
+ * @throws {404} Incidente no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const resolverIncidente = async (req, res) => {
+  try {
+    const { solucion, fecha_resolucion, categoria } = req.body;
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const incidente = await Incidente.findOne({
+      where: { id: req.params.id },
+      include: [{ model: IncidenteAfectado, as: 'afectados', where: filtroPorNAP(alcance), required: true, attributes: ['id'] }]
+    });
+
+    if (!incidente) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incidente no encontrado'
+      });
+    }
+
+    if (incidente.estado === 'RESUELTO') {
+      return res.status(400).json({
+        success: false,
+        message: 'El incidente ya está resuelto'
+      });
+    }
+
+    const resolucion = fecha_resolucion ? new Date(fecha_resolucion) : new Date();
+    if (resolucion < new Date(incidente.fecha_inicio)) {
+      return res.status(400).json({
+        success: false,
+        message: 'La fecha de resolución no puede ser anterior al inicio del incidente'
+      });
+    }
+
+    await incidente.update({
+      estado: 'RESUELTO',
+      fecha_resolucion: resolucion,
+      solucion,
+      categoria: categoria || incidente.categoria,
+      resuelto_por: req.usuario.id
+    }, { userId: req.usuario?.id });
+
+    const incidenteResuelto = await Incidente.findOne({
+      where: { id: incidente.id },
+      include: includeIncidente(alcance)
+    });
+
+    res.json({
+      success: true,
+      message: 'Incidente resuelto exitosamente',
+      data: conDuracion(incidenteResuelto)
+    });
+  } catch (error) {
+    console.error('Error al resolver incidente:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerIncidentes,
+  obtenerIncidentePorId,
+  crearIncidente,
+  resolverIncidente
+};
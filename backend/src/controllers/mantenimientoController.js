@@ -1,6 +1,8 @@
-const { Mantenimiento, NAP, Usuario } = require('../models');
+const { Mantenimiento, NAP, Usuario, PlanMantenimiento, sequelize } = require('../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
+const { obtenerAlcanceZonas, filtroPorNAP, napEnAlcance } = require('../utils/zonas');
+const { registrarMantenimiento } = require('../utils/operacionesPuerto');
 
 const obtenerMantenimientos = async (req, res) => {
   try {
@@ -31,8 +33,10 @@ const obtenerMantenimientos = async (req, res) => {
       }
     }
 
+    const alcance = await obtenerAlcanceZonas(req);
+
     const mantenimientos = await Mantenimiento.findAndCountAll({
-      where: whereCondition,
+      where: { [Op.and]: [whereCondition, filtroPorNAP(alcance)] },
       include: [
         { model: NAP, as: 'nap' },
         { model: Usuario, as: 'tecnico', attributes: ['id', 'nombre', 'correo'] }
@@ -68,11 +72,12 @@ const obtenerMantenimientoPorId = async (req, res) => {
     const mantenimiento = await Mantenimiento.findByPk(id, {
       include: [
         { model: NAP, as: 'nap' },
-        { model: Usuario, as: 'tecnico', attributes: ['id', 'nombre', 'correo'] }
+        { model: Usuario, as: 'tecnico', attributes: ['id', 'nombre', 'correo'] },
+        { model: PlanMantenimiento, as: 'plan_mantenimiento', attributes: ['id', 'nombre'] }
       ]
     });
 
-    if (!mantenimiento) {
+    if (!mantenimiento || !(await napEnAlcance(req, mantenimiento.nap))) {
       return res.status(404).json({
         success: false,
         message: 'Mantenimiento no encontrado'
@@ -93,9 +98,14 @@ const obtenerMantenimientoPorId = async (req, res) => {
 };
 
 const crearMantenimiento = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  // Pasar userId para auditoría
+  transaction.userId = req.usuario?.id;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await transaction.rollback();
       return res.status(400).json({
         success: false,
         message: 'Datos de entrada inválidos',
@@ -103,33 +113,40 @@ const crearMantenimiento = async (req, res) => {
       });
     }
 
-    const { nap_id, tipo, descripcion, fecha } = req.body;
-    const realizado_por = req.usuario.id;
+    const { nap_id, tipo, descripcion, fecha, plan_mantenimiento_id } = req.body;
 
-    const nap = await NAP.findByPk(nap_id);
-    if (!nap) {
+    if (!(await napEnAlcance(req, nap_id, { transaction }))) {
+      await transaction.rollback();
       return res.status(404).json({
         success: false,
         message: 'NAP no encontrado'
       });
     }
 
-    const mantenimiento = await Mantenimiento.create({
-      nap_id,
+    const resultado = await registrarMantenimiento({
+      napId: nap_id,
       tipo,
       descripcion,
-      fecha: fecha || new Date(),
-      realizado_por
-    });
-
-    if (tipo === 'CORRECTIVO') {
-      await nap.update({ estado: 'MANTENIMIENTO' });
+      fecha,
+      realizadoPor: req.usuario.id,
+      planMantenimientoId: plan_mantenimiento_id
+    }, transaction);
+
+    if (resultado.error) {
+      await transaction.rollback();
+      return res.status(resultado.error.status).json({
+        success: false,
+        message: resultado.error.message
+      });
     }
 
-    const mantenimientoCompleto = await Mantenimiento.findByPk(mantenimiento.id, {
+    await transaction.commit();
+
+    const mantenimientoCompleto = await Mantenimiento.findByPk(resultado.mantenimiento.id, {
       include: [
         { model: NAP, as: 'nap' },
-        { model: Usuario, as: 'tecnico', attributes: ['id', 'nombre', 'correo'] }
+        { model: Usuario, as: 'tecnico', attributes: ['id', 'nombre', 'correo'] },
+        { model: PlanMantenimiento, as: 'plan_mantenimiento', attributes: ['id', 'nombre'] }
       ]
     });
 
@@ -139,6 +156,7 @@ const crearMantenimiento = async (req, res) => {
       data: mantenimientoCompleto
     });
   } catch (error) {
+    await transaction.rollback();
     console.error('Error al crear mantenimiento:', error);
     res.status(500).json({
       success: false,
@@ -162,23 +180,28 @@ const actualizarMantenimiento = async (req, res) => {
     const { tipo, descripcion, fecha } = req.body;
 
     const mantenimiento = await Mantenimiento.findByPk(id);
-    if (!mantenimiento) {
+    if (!mantenimiento || !(await napEnAlcance(req, mantenimiento.nap_id))) {
       return res.status(404).json({
         success: false,
         message: 'Mantenimiento no encontrado'
       });
     }
 
+    const tipoFinal = tipo || mantenimiento.tipo;
+
     await mantenimiento.update({
-      tipo: tipo || mantenimiento.tipo,
+      tipo: tipoFinal,
       descripcion: descripcion || mantenimiento.descripcion,
-      fecha: fecha || mantenimiento.fecha
+      fecha: fecha || mantenimiento.fecha,
+      // Un correctivo no cuenta como visita del plan preventivo
+      plan_mantenimiento_id: tipoFinal === 'PREVENTIVO' ? mantenimiento.plan_mantenimiento_id : null
     });
 
     const mantenimientoActualizado = await Mantenimiento.findByPk(id, {
       include: [
         { model: NAP, as: 'nap' },
-        { model: Usuario, as: 'tecnico', attributes: ['id', 'nombre', 'correo'] }
+        { model: Usuario, as: 'tecnico', attributes: ['id', 'nombre', 'correo'] },
+        { model: PlanMantenimiento, as: 'plan_mantenimiento', attributes: ['id', 'nombre'] }
       ]
     });
 
@@ -201,6 +224,13 @@ const obtenerMantenimientosPorNAP = async (req, res) => {
     const { nap_id } = req.params;
     const { tipo, limite = 10 } = req.query;
 
+    if (!(await napEnAlcance(req, nap_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'NAP no encontrado'
+      });
+    }
+
     let whereCondition = { nap_id };
     if (tipo) {
       whereCondition.tipo = tipo;
@@ -233,7 +263,7 @@ const eliminarMantenimiento = async (req, res) => {
     const { id } = req.params;
 
     const mantenimiento = await Mantenimiento.findByPk(id);
-    if (!mantenimiento) {
+    if (!mantenimiento || !(await napEnAlcance(req, mantenimiento.nap_id))) {
       return res.status(404).json({
         success: false,
         message: 'Mantenimiento no encontrado'
@@ -275,6 +305,9 @@ const obtenerEstadisticasMantenimiento = async (req, res) => {
       }
     }
 
+    const alcance = await obtenerAlcanceZonas(req);
+    whereCondition = { [Op.and]: [whereCondition, filtroPorNAP(alcance)] };
+
     const estadisticas = await Mantenimiento.findAll({
       where: whereCondition,
       attributes: [
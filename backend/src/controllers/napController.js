@@ -1,5 +1,18 @@
-const { NAP, Puerto, Conexion, Cliente, Plan } = require('../models');
+const { NAP, Puerto, Conexion, Cliente, Plan, Zona } = require('../models');
 const { Op } = require('sequelize');
+const { obtenerRutaAscendente } = require('../utils/topologia');
+const { obtenerAlcanceZonas, filtroZonaNAP, napEnAlcance, zonaEnAlcance } = require('../utils/zonas');
+
+// Valida que la zona exista y que el usuario pueda operar en ella; devuelve { status, message } o null
+const verificarZonaDestino = async (req, zonaId) => {
+  if (zonaId && !(await Zona.findByPk(zonaId))) {
+    return { status: 400, message: 'La zona no existe' };
+  }
+  if (!(await zonaEnAlcance(req, zonaId || null))) {
+    return { status: 403, message: 'No puede asignar NAPs a una zona que no tiene asignada' };
+  }
+  return null;
+};
 
 /**
  * Obtiene una lista paginada de NAPs con filtros opcionales y estadísticas de ocupación
@@ -10,6 +23,7 @@ const { Op } = require('sequelize');
  * @param {Object} req.query - Parámetros de consulta
  * @param {string} [req.query.estado] - Filtro por estado del NAP
  * @param {string} [req.query.busqueda] - Búsqueda por código, modelo o ubicación (case-insensitive)
+ * @param {string} [req.query.zona_id] - Filtro por zona
  * @param {number} [req.query.limite=10] - Número de registros por página
  * @param {number} [req.query.pagina=1] - Página actual
  * @param {Object} res - Objeto de respuesta Express
@@ -32,6 +46,7 @@ const { Op } = require('sequelize');
  * 
  * @description
  * - Implementa paginación con offset y limit
+ * - Sólo devuelve NAPs de las zonas del usuario (todas con el permiso zonas:todas)
  * - Permite búsqueda flexible en campos: código, modelo, ubicación
  * - Calcula estadísticas de ocupación para cada NAP
  * - Incluye relaciones: puertos → conexiones → clientes/planes
@@ -39,7 +54,7 @@ const { Op } = require('sequelize');
  */
 const obtenerNAPs = async (req, res) => {
   try {
-    const { estado, busqueda, limite = 10, pagina = 1 } = req.query;
+    const { estado, busqueda, zona_id, limite = 10, pagina = 1 } = req.query;
 
     const whereClause = {};
 
@@ -47,6 +62,10 @@ const obtenerNAPs = async (req, res) => {
       whereClause.estado = estado;
     }
 
+    if (zona_id) {
+      whereClause.zona_id = zona_id;
+    }
+
     if (busqueda) {
       whereClause[Op.or] = [
         { codigo: { [Op.iLike]: `%${busqueda}%` } },
@@ -57,9 +76,12 @@ const obtenerNAPs = async (req, res) => {
 
     const offset = (pagina - 1) * limite;
 
+    const alcance = await obtenerAlcanceZonas(req);
+
     const { count, rows: naps } = await NAP.findAndCountAll({
-      where: whereClause,
+      where: { [Op.and]: [whereClause, filtroZonaNAP(alcance)] },
       include: [
+        { model: Zona, as: 'zona', attributes: ['id', 'nombre'] },
         {
           model: Puerto,
           as: 'puertos',
@@ -135,6 +157,7 @@ const obtenerNAPs = async (req, res) => {
  * //     codigo: "NAP001",
  * //     modelo: "Huawei 16P",
  * //     puertos: [...],
+ * //     ruta_ascendente: { olt: {...}, puerto_pon: {...}, splitters: [...], cable_nap: {...}, completa: true },
  * //     ...
  * //   }
  * // }
@@ -146,7 +169,9 @@ const obtenerNAPs = async (req, res) => {
  * - Incluye todas las relaciones: puertos, conexiones, clientes y planes
  * - Solo muestra conexiones con estado ACTIVA o SUSPENDIDA
  * - Valida existencia del NAP antes de responder
+ * - Un NAP de otra zona responde 404, igual que uno inexistente
  * - Utiliza eager loading para optimizar consultas
+ * - Agrega la ruta de fibra aguas arriba (OLT → puerto PON → splitters) en ruta_ascendente
  */
 const obtenerNAPPorId = async (req, res) => {
   try {
@@ -154,6 +179,7 @@ const obtenerNAPPorId = async (req, res) => {
 
     const nap = await NAP.findByPk(id, {
       include: [
+        { model: Zona, as: 'zona', attributes: ['id', 'nombre'] },
         {
           model: Puerto,
           as: 'puertos',
@@ -177,16 +203,21 @@ const obtenerNAPPorId = async (req, res) => {
       ]
     });
 
-    if (!nap) {
+    if (!nap || !(await napEnAlcance(req, nap))) {
       return res.status(404).json({
         success: false,
         message: 'NAP no encontrado'
       });
     }
 
+    const rutaAscendente = await obtenerRutaAscendente(nap);
+
     res.json({
       success: true,
-      data: nap
+      data: {
+        ...nap.toJSON(),
+        ruta_ascendente: rutaAscendente
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -229,10 +260,13 @@ const obtenerNAPPorId = async (req, res) => {
  * // }
  * 
  * @throws {400} El código del NAP ya existe (SequelizeUniqueConstraintError)
+ * @throws {400} La zona no existe
+ * @throws {403} La zona no está entre las zonas del usuario
  * @throws {500} Error interno del servidor
  * 
  * @description
  * - Crea el NAP con auditoría (userId)
+ * - zona_id es obligatoria para quien no tiene el permiso zonas:todas
  * - Genera automáticamente puertos numerados del 1 al total_puertos
  * - Todos los puertos se crean con estado 'LIBRE'
  * - Utiliza bulkCreate para eficiencia en la creación de puertos
@@ -243,6 +277,14 @@ const crearNAP = async (req, res) => {
   try {
     const napData = req.body;
 
+    const errorZona = await verificarZonaDestino(req, napData.zona_id);
+    if (errorZona) {
+      return res.status(errorZona.status).json({
+        success: false,
+        message: errorZona.message
+      });
+    }
+
     const nap = await NAP.create(napData, { userId: req.usuario?.id });
 
     const puertos = [];
@@ -308,11 +350,13 @@ const crearNAP = async (req, res) => {
  * //   ubicacion: "Nueva Calle 456"
  * // }
  * 
- * @throws {404} NAP no encontrado
+ * @throws {404} NAP no encontrado (o de otra zona)
+ * @throws {403} La zona nueva no está entre las zonas del usuario
  * @throws {500} Error interno del servidor
  * 
  * @description
  * - Valida existencia del NAP antes de actualizar
+ * - Sólo se puede mover un NAP a otra de las zonas del usuario
  * - Registra auditoría con userId del usuario que realiza la actualización
  * - Retorna el NAP actualizado con sus puertos asociados
  * - Permite actualización parcial de campos
@@ -325,13 +369,23 @@ const actualizarNAP = async (req, res) => {
 
     const nap = await NAP.findByPk(id);
 
-    if (!nap) {
+    if (!nap || !(await napEnAlcance(req, nap))) {
       return res.status(404).json({
         success: false,
         message: 'NAP no encontrado'
       });
     }
 
+    if (datosActualizacion.zona_id !== undefined && datosActualizacion.zona_id !== nap.zona_id) {
+      const errorZona = await verificarZonaDestino(req, datosActualizacion.zona_id);
+      if (errorZona) {
+        return res.status(errorZona.status).json({
+          success: false,
+          message: errorZona.message
+        });
+      }
+    }
+
     await nap.update(datosActualizacion, { userId: req.usuario?.id });
 
     const napActualizado = await NAP.findByPk(id, {
@@ -390,6 +444,7 @@ const actualizarNAP = async (req, res) => {
  * 
  * @description
  * - Optimizado para rendimiento en mapas con muchos NAPs
+ * - Sólo incluye NAPs de las zonas del usuario
  * - Solo incluye atributos esenciales para visualización
  * - Convierte coordenadas a números para compatibilidad con librerías de mapas
  * - Calcula estadísticas de ocupación sin incluir relaciones completas
@@ -398,8 +453,11 @@ const actualizarNAP = async (req, res) => {
  */
 const obtenerNAPsEnMapa = async (req, res) => {
   try {
+    const alcance = await obtenerAlcanceZonas(req);
+
     const naps = await NAP.findAll({
-      attributes: ['id', 'codigo', 'modelo', 'estado', 'ubicacion', 'latitud', 'longitud'],
+      where: filtroZonaNAP(alcance),
+      attributes: ['id', 'codigo', 'modelo', 'estado', 'ubicacion', 'latitud', 'longitud', 'zona_id'],
       include: [
         {
           model: Puerto,
@@ -419,6 +477,7 @@ const obtenerNAPsEnMapa = async (req, res) => {
         modelo: nap.modelo,
         estado: nap.estado,
         ubicacion: nap.ubicacion,
+        zona_id: nap.zona_id,
         coordenadas: {
           latitud: parseFloat(nap.latitud),
           longitud: parseFloat(nap.longitud)
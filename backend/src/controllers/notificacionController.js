@@ -0,0 +1,378 @@
+const crypto = require('crypto');
+const { CanalNotificacion, Notificacion, Alerta, Usuario } = require('../models');
+const { rolTienePermiso } = require('../utils/permisos');
+const { generarSecreto, enviarPorCanal } = require('../utils/canalesNotificacion');
+const { solicitarEnvio } = require('../utils/notificaciones');
+
+// El secreto del webhook sólo se muestra al crearlo o regenerarlo
+const sinSecreto = (canal) => {
+  const { secreto, ...datos } = canal.toJSON();
+  return datos;
+};
+
+// Sólo el dueño ve y edita sus canales; el de otro usuario responde 404
+const buscarCanalPropio = (req) => CanalNotificacion.findOne({
+  where: { id: req.params.id, usuario_id: req.usuario.id }
+});
+
+const datosCanal = (body) => ({
+  tipo: body.tipo,
+  nombre: body.nombre,
+  // Un canal de correo sin dirección usa la del usuario
+  destino: body.destino ? body.destino.trim() : null,
+  niveles: [...new Set(body.niveles)],
+  activo: body.activo ?? true
+});
+
+/**
+ * Lista los canales de notificación del usuario
+ *
+ * @async
+ * @function obtenerCanales
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con los canales (sin el secreto de los webhooks)
+ *
+ * @throws {500} Error interno del servidor
+ */
+const obtenerCanales = async (req, res) => {
+  try {
+    const canales = await CanalNotificacion.findAll({
+      where: { usuario_id: req.usuario.id },
+      attributes: { exclude: ['secreto'] },
+      order: [['tipo', 'ASC'], ['nombre', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: canales
+    });
+  } catch (error) {
+    console.error('Error al obtener canales de notificación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Crea un canal de notificación del usuario
+ *
+ * @async
+ * @function crearCanal
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.body.tipo - CORREO, WEBHOOK o CHAT
+ * @param {string} req.body.nombre - Nombre del canal
+ * @param {string} [req.body.destino] - Correo (default: el del usuario), URL del webhook o ID del chat
+ * @param {string[]} req.body.niveles - Niveles de alerta que se envían (CRITICO, ADVERTENCIA, INFO)
+ * @param {boolean} [req.body.activo=true]
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el canal; un WEBHOOK incluye su secreto por única vez
+ *
+ * @example
+ * // POST /api/v1/notificaciones/canales
+ * // Body: { tipo: "WEBHOOK", nombre: "NOC", destino: "https://noc.empresa.com/hooks/naps", niveles: ["CRITICO"] }
+ *
+ * @throws {500} Error interno del servidor
+ */
+const crearCanal = async (req, res) => {
+  try {
+    const datos = datosCanal(req.body);
+
+    const canal = await CanalNotificacion.create({
+      ...datos,
+      usuario_id: req.usuario.id,
+      secreto: datos.tipo === 'WEBHOOK' ? generarSecreto() : null
+    }, { userId: req.usuario?.id });
+
+    res.status(201).json({
+      success: true,
+      data: canal.tipo === 'WEBHOOK' ? canal : sinSecreto(canal),
+      message: canal.tipo === 'WEBHOOK'
+        ? 'Canal creado. Guarde el secreto para verificar la firma: no se vuelve a mostrar'
+        : 'Canal creado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al crear canal de notificación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Actualiza un canal propio
+ *
+ * @async
+ * @function actualizarCanal
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del canal
+ * @param {Object} req.body - Mismos campos que crearCanal
+ * @param {boolean} [req.body.regenerar_secreto] - Nuevo secreto para un WEBHOOK
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el canal; incluye el secreto si se generó uno nuevo
+ *
+ * @throws {404} Canal no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const actualizarCanal = async (req, res) => {
+  try {
+    const canal = await buscarCanalPropio(req);
+    if (!canal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canal no encontrado'
+      });
+    }
+
+    const datos = datosCanal(req.body);
+    let secretoNuevo = false;
+    if (datos.tipo !== 'WEBHOOK') {
+      datos.secreto = null;
+    } else if (!canal.secreto || req.body.regenerar_secreto) {
+      datos.secreto = generarSecreto();
+      secretoNuevo = true;
+    }
+
+    await canal.update(datos, { userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      data: secretoNuevo ? canal : sinSecreto(canal),
+      message: secretoNuevo
+        ? 'Canal actualizado. Guarde el nuevo secreto: no se vuelve a mostrar'
+        : 'Canal actualizado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al actualizar canal de notificación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Elimina un canal propio; su registro de envíos se conserva
+ *
+ * @async
+ * @function eliminarCanal
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del canal
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON de confirmación
+ *
+ * @throws {404} Canal no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const eliminarCanal = async (req, res) => {
+  try {
+    const canal = await buscarCanalPropio(req);
+    if (!canal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canal no encontrado'
+      });
+    }
+
+    await canal.destroy({ userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      message: 'Canal eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar canal de notificación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Envía un mensaje de prueba por un canal propio, sin reintentos ni registro
+ *
+ * @async
+ * @function probarCanal
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del canal
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con success según se haya entregado o no
+ *
+ * @description
+ * - El webhook recibe { id, evento: "prueba", fecha } firmado con el secreto del canal
+ *
+ * @throws {404} Canal no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const probarCanal = async (req, res) => {
+  try {
+    const canal = await buscarCanalPropio(req);
+    if (!canal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Canal no encontrado'
+      });
+    }
+
+    try {
+      await enviarPorCanal(canal.tipo, canal.destino || req.usuario.correo, {
+        asunto: 'Prueba de notificación - Gestión NAPs',
+        texto: `Este es un mensaje de prueba del canal "${canal.nombre}". Las alertas de nivel ${canal.niveles.join(', ')} llegarán por aquí.`,
+        datos: { id: crypto.randomUUID(), evento: 'prueba', fecha: new Date().toISOString() }
+      }, canal.secreto);
+    } catch (errorEnvio) {
+      return res.json({
+        success: false,
+        message: `No se pudo entregar el mensaje de prueba: ${errorEnvio.message}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Mensaje de prueba enviado'
+    });
+  } catch (error) {
+    console.error('Error al probar canal de notificación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Registro de envíos de notificaciones
+ *
+ * @async
+ * @function obtenerNotificaciones
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.estado] - PENDIENTE, ENVIADA o FALLIDA
+ * @param {string} [req.query.canal] - CORREO, WEBHOOK o CHAT
+ * @param {string} [req.query.alerta_id] - Envíos de una alerta
+ * @param {string} [req.query.todas] - "true": de todos los usuarios (permiso notificaciones:gestionar)
+ * @param {number} [req.query.page=1] - Página
+ * @param {number} [req.query.limit=20] - Registros por página
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con los envíos, más recientes primero, y paginación
+ *
+ * @throws {403} todas=true sin permiso notificaciones:gestionar
+ * @throws {500} Error interno del servidor
+ */
+const obtenerNotificaciones = async (req, res) => {
+  try {
+    const { estado, canal, alerta_id, todas, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereCondition = {};
+    if (todas === 'true') {
+      if (!(await rolTienePermiso(req.usuario.rol, 'notificaciones:gestionar'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene permiso para ver las notificaciones de otros usuarios'
+        });
+      }
+    } else {
+      whereCondition.usuario_id = req.usuario.id;
+    }
+    if (estado) whereCondition.estado = estado;
+    if (canal) whereCondition.canal = canal;
+    if (alerta_id) whereCondition.alerta_id = alerta_id;
+
+    const notificaciones = await Notificacion.findAndCountAll({
+      where: whereCondition,
+      include: [
+        { model: Alerta, as: 'alerta', attributes: ['id', 'tipo', 'nivel', 'estado', 'mensaje'] },
+        { model: Usuario, as: 'usuario', attributes: ['id', 'nombre', 'correo'] }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: notificaciones.rows,
+      pagination: {
+        total: notificaciones.count,
+        pages: Math.ceil(notificaciones.count / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener notificaciones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Vuelve a encolar una notificación FALLIDA con los intentos en cero
+ *
+ * @async
+ * @function reintentarNotificacion
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la notificación
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la notificación PENDIENTE
+ *
+ * @throws {400} La notificación no está FALLIDA
+ * @throws {404} Notificación no encontrada
+ * @throws {500} Error interno del servidor
+ */
+const reintentarNotificacion = async (req, res) => {
+  try {
+    const notificacion = await Notificacion.findByPk(req.params.id);
+    if (!notificacion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notificación no encontrada'
+      });
+    }
+
+    if (notificacion.estado !== 'FALLIDA') {
+      return res.status(400).json({
+        success: false,
+        message: 'Sólo se reintentan notificaciones fallidas'
+      });
+    }
+
+    await notificacion.update({ estado: 'PENDIENTE', intentos: 0, proximo_intento: new Date() });
+    solicitarEnvio();
+
+    res.json({
+      success: true,
+      data: notificacion,
+      message: 'Notificación encolada nuevamente'
+    });
+  } catch (error) {
+    console.error('Error al reintentar notificación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerCanales,
+  crearCanal,
+  actualizarCanal,
+  eliminarCanal,
+  probarCanal,
+  obtenerNotificaciones,
+  reintentarNotificacion
+};
@@ -0,0 +1,257 @@
+const { NAP, Zona } = require('../models');
+const { obtenerAlcanceZonas, filtroZonaNAP, filtroPorNAP, napEnAlcance, zonaEnAlcance } = require('../utils/zonas');
+const {
+  rangoHistorico,
+  serieOcupacion,
+  crecimientoOcupacion,
+  crecimientoPorNAP,
+  crecimientoPorZona
+} = require('../utils/ocupacionHistorica');
+const { HORIZONTE_PLANIFICACION_DIAS, pronosticarCapacidad } = require('../utils/pronosticoCapacidad');
+
+// Condición sobre ocupaciones_diarias: la zona pedida o, sin zona, todas las del usuario
+const filtroHistorico = async (req) => {
+  const { zona_id } = req.query;
+  return zona_id ? filtroPorNAP([zona_id]) : filtroPorNAP(await obtenerAlcanceZonas(req));
+};
+
+/**
+ * Histórico diario de ocupación de la red o de una zona, con su tasa de crecimiento
+ *
+ * @async
+ * @function obtenerHistoricoOcupacion
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.zona_id] - Zona; sin zona, todas las del usuario
+ * @param {string} [req.query.desde] - Primer día (default: 90 días antes de hasta)
+ * @param {string} [req.query.hasta] - Último día (default: hoy)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la serie diaria y el crecimiento
+ *
+ * @example
+ * // GET /api/v1/dashboard/ocupacion/historico?desde=2024-01-01
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   data: {
+ * //     zona: null,
+ * //     desde: '2024-01-01',
+ * //     hasta: '2024-03-30',
+ * //     serie: [{ fecha: '2024-01-01', total_puertos: 800, puertos_libres: 260, puertos_ocupados: 530,
+ * //               puertos_mantenimiento: 10, porcentaje_ocupacion: 66.25 }, ...],
+ * //     crecimiento: { dias: 89, variacion_puertos: 42, puertos_por_mes: 14.2, puntos_por_mes: 1.78, ... }
+ * //   }
+ * // }
+ *
+ * @throws {404} Zona fuera del alcance del usuario
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Suma los NAPs según su zona actual; un NAP nuevo suma su capacidad desde el día en que aparece
+ * - crecimiento es null con menos de dos días de datos
+ */
+const obtenerHistoricoOcupacion = async (req, res) => {
+  try {
+    const { zona_id } = req.query;
+
+    if (zona_id && !(await zonaEnAlcance(req, zona_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Zona no encontrada'
+      });
+    }
+
+    const { desde, hasta } = rangoHistorico(req.query);
+    const serie = await serieOcupacion({ where: await filtroHistorico(req), desde, hasta });
+
+    res.json({
+      success: true,
+      data: {
+        zona: zona_id ? await Zona.findByPk(zona_id, { attributes: ['id', 'nombre'] }) : null,
+        desde,
+        hasta,
+        serie,
+        crecimiento: crecimientoOcupacion(serie)
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener histórico de ocupación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Ranking de crecimiento de ocupación por NAP o por zona
+ *
+ * @async
+ * @function obtenerCrecimientoOcupacion
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.agrupar='nap'] - nap o zona
+ * @param {string} [req.query.zona_id] - Limitar a una zona
+ * @param {string} [req.query.desde] - Primer día (default: 90 días antes de hasta)
+ * @param {string} [req.query.hasta] - Último día (default: hoy)
+ * @param {number} [req.query.limite=20] - Cantidad de filas
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con { nap | zona, ocupacion_inicial, ocupacion_actual,
+ * crecimiento }, los que más puertos suman por mes primero
+ *
+ * @throws {404} Zona fuera del alcance del usuario
+ * @throws {500} Error interno del servidor
+ */
+const obtenerCrecimientoOcupacion = async (req, res) => {
+  try {
+    const { agrupar = 'nap', zona_id, limite = 20 } = req.query;
+
+    if (zona_id && !(await zonaEnAlcance(req, zona_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Zona no encontrada'
+      });
+    }
+
+    const { desde, hasta } = rangoHistorico(req.query);
+    const opciones = { where: await filtroHistorico(req), desde, hasta };
+    const crecimientos = agrupar === 'zona'
+      ? await crecimientoPorZona(opciones)
+      : await crecimientoPorNAP(opciones);
+
+    res.json({
+      success: true,
+      data: crecimientos.slice(0, parseInt(limite, 10)),
+      total: crecimientos.length,
+      desde,
+      hasta
+    });
+  } catch (error) {
+    console.error('Error al obtener crecimiento de ocupación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Histórico diario de ocupación de un NAP, con su tasa de crecimiento
+ *
+ * @async
+ * @function obtenerHistoricoNAP
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del NAP
+ * @param {string} [req.query.desde] - Primer día (default: 90 días antes de hasta)
+ * @param {string} [req.query.hasta] - Último día (default: hoy)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con { nap, desde, hasta, serie, crecimiento, pronostico }
+ *
+ * @description
+ * pronostico es el de utils/pronosticoCapacidad.js (tendencia de sus conexiones y fecha estimada de saturación)
+ *
+ * @throws {404} NAP no encontrado o fuera de las zonas del usuario
+ * @throws {500} Error interno del servidor
+ */
+const obtenerHistoricoNAP = async (req, res) => {
+  try {
+    const nap = await NAP.findByPk(req.params.id, { attributes: ['id', 'codigo', 'zona_id', 'total_puertos'] });
+
+    if (!nap || !(await napEnAlcance(req, nap))) {
+      return res.status(404).json({
+        success: false,
+        message: 'NAP no encontrado'
+      });
+    }
+
+    const { desde, hasta } = rangoHistorico(req.query);
+    const [serie, [pronostico]] = await Promise.all([
+      serieOcupacion({ where: { nap_id: nap.id }, desde, hasta }),
+      pronosticarCapacidad({ where: { id: nap.id } })
+    ]);
+    // El NAP ya va en data.nap
+    const { nap: _nap, ...pronosticoNAP } = pronostico;
+
+    res.json({
+      success: true,
+      data: {
+        nap: { id: nap.id, codigo: nap.codigo, total_puertos: nap.total_puertos },
+        desde,
+        hasta,
+        serie,
+        crecimiento: crecimientoOcupacion(serie),
+        pronostico: pronosticoNAP
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener histórico de ocupación del NAP:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * NAPs que se saturarán dentro del horizonte, con su fecha estimada
+ *
+ * @async
+ * @function obtenerPronosticoCapacidad
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.zona_id] - Limitar a una zona
+ * @param {number} [req.query.horizonte_dias=90] - Sólo saturaciones dentro de este plazo
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con los pronósticos de pronosticarCapacidad, los que se
+ * saturan antes primero (los ya saturados con dias_para_saturar 0)
+ *
+ * @example
+ * // GET /api/v1/dashboard/capacidad/pronostico?horizonte_dias=60
+ * // { success: true, data: [{ nap: { codigo: 'NAP-014', ... }, puertos_libres: 3,
+ * //   dias_para_saturar: 43, semanas_para_saturar: 6, fecha_saturacion: '2024-05-02', ... }],
+ * //   total: 1, horizonte_dias: 60 }
+ *
+ * @throws {404} Zona fuera del alcance del usuario
+ * @throws {500} Error interno del servidor
+ */
+const obtenerPronosticoCapacidad = async (req, res) => {
+  try {
+    const { zona_id } = req.query;
+    const horizonte = parseInt(req.query.horizonte_dias || HORIZONTE_PLANIFICACION_DIAS, 10);
+
+    if (zona_id && !(await zonaEnAlcance(req, zona_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Zona no encontrada'
+      });
+    }
+
+    const where = zona_id ? { zona_id } : filtroZonaNAP(await obtenerAlcanceZonas(req));
+    const pronosticos = (await pronosticarCapacidad({ where }))
+      .filter(p => p.dias_para_saturar !== null && p.dias_para_saturar <= horizonte);
+
+    res.json({
+      success: true,
+      data: pronosticos,
+      total: pronosticos.length,
+      horizonte_dias: horizonte
+    });
+  } catch (error) {
+    console.error('Error al obtener pronóstico de capacidad:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerHistoricoOcupacion,
+  obtenerCrecimientoOcupacion,
+  obtenerHistoricoNAP,
+  obtenerPronosticoCapacidad
+};
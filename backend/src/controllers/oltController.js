@@ -0,0 +1,459 @@
+const { OLT, PuertoPON, Splitter } = require('../models');
+const { Op } = require('sequelize');
+const { obtenerAfectadosAguasAbajo } = require('../utils/topologia');
+const { obtenerAlcanceZonas } = require('../utils/zonas');
+
+/**
+ * Obtiene la lista de OLTs con sus puertos PON
+ *
+ * @async
+ * @function obtenerOLTs
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.estado] - Filtro por estado de la OLT
+ * @param {string} [req.query.busqueda] - Búsqueda por código, modelo o ubicación
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con OLTs y su cantidad de puertos PON
+ */
+const obtenerOLTs = async (req, res) => {
+  try {
+    const { estado, busqueda } = req.query;
+
+    const whereClause = {};
+
+    if (estado) {
+      whereClause.estado = estado;
+    }
+
+    if (busqueda) {
+      whereClause[Op.or] = [
+        { codigo: { [Op.iLike]: `%${busqueda}%` } },
+        { modelo: { [Op.iLike]: `%${busqueda}%` } },
+        { ubicacion: { [Op.iLike]: `%${busqueda}%` } }
+      ];
+    }
+
+    const olts = await OLT.findAll({
+      where: whereClause,
+      include: [{ model: PuertoPON, as: 'puertos_pon' }],
+      order: [['codigo', 'ASC'], ['puertos_pon', 'slot', 'ASC'], ['puertos_pon', 'numero', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: olts
+    });
+  } catch (error) {
+    console.error('Error al obtener OLTs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener OLTs'
+    });
+  }
+};
+
+/**
+ * Obtiene una OLT por ID con sus puertos PON y los splitters de primer nivel
+ *
+ * @async
+ * @function obtenerOLTPorId
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la OLT
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @throws {404} OLT no encontrada
+ */
+const obtenerOLTPorId = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const olt = await OLT.findByPk(id, {
+      include: [{
+        model: PuertoPON,
+        as: 'puertos_pon',
+        include: [{ model: Splitter, as: 'splitters' }]
+      }],
+      order: [['puertos_pon', 'slot', 'ASC'], ['puertos_pon', 'numero', 'ASC']]
+    });
+
+    if (!olt) {
+      return res.status(404).json({
+        success: false,
+        message: 'OLT no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: olt
+    });
+  } catch (error) {
+    console.error('Error al obtener OLT:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener OLT'
+    });
+  }
+};
+
+/**
+ * Crea una OLT y, opcionalmente, sus puertos PON
+ *
+ * @async
+ * @function crearOLT
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.body - Datos de la OLT
+ * @param {number} [req.body.slots=1] - Cantidad de tarjetas PON a generar
+ * @param {number} [req.body.puertos_por_slot=0] - Puertos PON por tarjeta (0 = no generar)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @throws {400} El código de la OLT ya existe
+ *
+ * @description
+ * - Igual que crearNAP con sus puertos: genera los puertos PON con bulkCreate
+ * - Los puertos PON se numeran desde 0 dentro de cada slot, como en la consola de la OLT
+ */
+const crearOLT = async (req, res) => {
+  try {
+    const { slots = 1, puertos_por_slot = 0, ...oltData } = req.body;
+
+    const olt = await OLT.create(oltData, { userId: req.usuario?.id });
+
+    const puertosPON = [];
+    for (let slot = 0; slot < parseInt(slots); slot++) {
+      for (let numero = 0; numero < parseInt(puertos_por_slot); numero++) {
+        puertosPON.push({ olt_id: olt.id, slot, numero, estado: 'ACTIVO' });
+      }
+    }
+
+    if (puertosPON.length > 0) {
+      await PuertoPON.bulkCreate(puertosPON, { userId: req.usuario?.id });
+    }
+
+    const oltCompleta = await OLT.findByPk(olt.id, {
+      include: [{ model: PuertoPON, as: 'puertos_pon' }]
+    });
+
+    res.status(201).json({
+      success: true,
+      data: oltCompleta,
+      message: 'OLT creada exitosamente'
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({
+        success: false,
+        message: 'El código de la OLT ya existe'
+      });
+    }
+
+    console.error('Error al crear OLT:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear OLT'
+    });
+  }
+};
+
+/**
+ * Actualiza los datos de una OLT
+ *
+ * @async
+ * @function actualizarOLT
+ * @throws {404} OLT no encontrada
+ */
+const actualizarOLT = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const olt = await OLT.findByPk(id);
+
+    if (!olt) {
+      return res.status(404).json({
+        success: false,
+        message: 'OLT no encontrada'
+      });
+    }
+
+    await olt.update(req.body, { userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      data: olt,
+      message: 'OLT actualizada exitosamente'
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({
+        success: false,
+        message: 'El código de la OLT ya existe'
+      });
+    }
+
+    console.error('Error al actualizar OLT:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar OLT'
+    });
+  }
+};
+
+/**
+ * Elimina una OLT si ninguno de sus puertos PON alimenta splitters
+ *
+ * @async
+ * @function eliminarOLT
+ * @throws {404} OLT no encontrada
+ * @throws {400} La OLT tiene splitters conectados
+ */
+const eliminarOLT = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const olt = await OLT.findByPk(id, {
+      include: [{
+        model: PuertoPON,
+        as: 'puertos_pon',
+        include: [{ model: Splitter, as: 'splitters', attributes: ['id'] }]
+      }]
+    });
+
+    if (!olt) {
+      return res.status(404).json({
+        success: false,
+        message: 'OLT no encontrada'
+      });
+    }
+
+    if (olt.puertos_pon.some(p => p.splitters.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede eliminar la OLT porque tiene splitters conectados'
+      });
+    }
+
+    await PuertoPON.destroy({ where: { olt_id: id }, individualHooks: true, userId: req.usuario?.id });
+    await olt.destroy({ userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      message: 'OLT eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar OLT:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar OLT'
+    });
+  }
+};
+
+/**
+ * Agrega un puerto PON a una OLT
+ *
+ * @async
+ * @function crearPuertoPON
+ * @param {string} req.params.id - ID de la OLT
+ * @param {Object} req.body - { slot, numero, estado, nota }
+ *
+ * @throws {404} OLT no encontrada
+ * @throws {400} Ya existe un puerto PON con ese slot/número
+ */
+const crearPuertoPON = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { slot = 0, numero, estado, nota } = req.body;
+
+    const olt = await OLT.findByPk(id);
+    if (!olt) {
+      return res.status(404).json({
+        success: false,
+        message: 'OLT no encontrada'
+      });
+    }
+
+    const puertoPON = await PuertoPON.create({
+      olt_id: id,
+      slot,
+      numero,
+      estado,
+      nota
+    }, { userId: req.usuario?.id });
+
+    res.status(201).json({
+      success: true,
+      data: puertoPON,
+      message: 'Puerto PON creado exitosamente'
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe un puerto PON con ese slot y número en la OLT'
+      });
+    }
+
+    console.error('Error al crear puerto PON:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear puerto PON'
+    });
+  }
+};
+
+/**
+ * Actualiza el estado o la nota de un puerto PON
+ *
+ * @async
+ * @function actualizarPuertoPON
+ * @throws {404} Puerto PON no encontrado
+ */
+const actualizarPuertoPON = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { estado, nota } = req.body;
+
+    const puertoPON = await PuertoPON.findByPk(id);
+
+    if (!puertoPON) {
+      return res.status(404).json({
+        success: false,
+        message: 'Puerto PON no encontrado'
+      });
+    }
+
+    await puertoPON.update({
+      estado: estado || puertoPON.estado,
+      nota: nota !== undefined ? nota : puertoPON.nota
+    }, { userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      data: puertoPON,
+      message: 'Puerto PON actualizado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al actualizar puerto PON:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar puerto PON'
+    });
+  }
+};
+
+/**
+ * Elimina un puerto PON que no alimenta splitters
+ *
+ * @async
+ * @function eliminarPuertoPON
+ * @throws {404} Puerto PON no encontrado
+ * @throws {400} El puerto PON tiene splitters conectados
+ */
+const eliminarPuertoPON = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const puertoPON = await PuertoPON.findByPk(id, {
+      include: [{ model: Splitter, as: 'splitters', attributes: ['id'] }]
+    });
+
+    if (!puertoPON) {
+      return res.status(404).json({
+        success: false,
+        message: 'Puerto PON no encontrado'
+      });
+    }
+
+    if (puertoPON.splitters.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede eliminar el puerto PON porque tiene splitters conectados'
+      });
+    }
+
+    await puertoPON.destroy({ userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      message: 'Puerto PON eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar puerto PON:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar puerto PON'
+    });
+  }
+};
+
+/**
+ * Lista todos los NAPs, puertos y clientes que dependen de un puerto PON
+ *
+ * @async
+ * @function obtenerAfectadosPorPuertoPON
+ * @param {string} req.params.id - ID del puerto PON
+ *
+ * @returns {Promise<void>} Respuesta JSON con el puerto PON, su OLT y los elementos aguas abajo
+ *
+ * @example
+ * // GET /api/v1/olts/puertos-pon/:id/afectados
+ * // {
+ * //   success: true,
+ * //   data: {
+ * //     puerto_pon: {...},
+ * //     naps: [...], // con puertos y conexiones ACTIVA/SUSPENDIDA
+ * //     totales: { splitters: 3, naps: 6, puertos: 96, puertos_ocupados: 71, clientes_afectados: 71 }
+ * //   }
+ * // }
+ *
+ * @throws {404} Puerto PON no encontrado
+ *
+ * @description
+ * - Permite saber a quién afecta una caída de un puerto PON antes de llamar a los clientes
+ * - Un usuario limitado a zonas sólo ve los NAPs y clientes de sus zonas
+ */
+const obtenerAfectadosPorPuertoPON = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const puertoPON = await PuertoPON.findByPk(id, {
+      include: [{ model: OLT, as: 'olt' }]
+    });
+
+    if (!puertoPON) {
+      return res.status(404).json({
+        success: false,
+        message: 'Puerto PON no encontrado'
+      });
+    }
+
+    const afectados = await obtenerAfectadosAguasAbajo({ puerto_pon_id: id }, await obtenerAlcanceZonas(req));
+
+    res.json({
+      success: true,
+      data: {
+        puerto_pon: puertoPON,
+        ...afectados
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener afectados del puerto PON:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerOLTs,
+  obtenerOLTPorId,
+  crearOLT,
+  actualizarOLT,
+  eliminarOLT,
+  crearPuertoPON,
+  actualizarPuertoPON,
+  eliminarPuertoPON,
+  obtenerAfectadosPorPuertoPON
+};
@@ -0,0 +1,772 @@
+const {
+  sequelize,
+  OrdenTrabajo,
+  NAP,
+  Puerto,
+  Cliente,
+  Plan,
+  Conexion,
+  Mantenimiento,
+  Usuario,
+  UsuarioZona
+} = require('../models');
+const { Op } = require('sequelize');
+const { obtenerAlcanceZonas, filtroPorNAP, napEnAlcance, clienteEnAlcance } = require('../utils/zonas');
+const { rolTienePermiso } = require('../utils/permisos');
+const {
+  asignarClienteEnPuerto,
+  liberarPuertoConConexion,
+  registrarMantenimiento
+} = require('../utils/operacionesPuerto');
+
+const ESTADOS_FINALES = ['COMPLETADA', 'CANCELADA'];
+
+const includeOrden = [
+  { model: NAP, as: 'nap', attributes: ['id', 'codigo', 'ubicacion', 'estado', 'zona_id'] },
+  { model: Puerto, as: 'puerto', attributes: ['id', 'numero', 'estado'] },
+  { model: Puerto, as: 'puerto_destino', attributes: ['id', 'numero', 'estado', 'nap_id'] },
+  { model: Cliente, as: 'cliente', attributes: ['id', 'ci', 'nombre', 'apellido', 'telefono', 'direccion'] },
+  { model: Plan, as: 'plan', attributes: ['id', 'nombre'] },
+  { model: Usuario, as: 'tecnico', attributes: ['id', 'nombre', 'correo'] },
+  { model: Usuario, as: 'creador', attributes: ['id', 'nombre', 'correo'] }
+];
+
+// Un técnico sin ordenes:asignar sólo ve y opera sus propias órdenes
+const veTodasLasOrdenes = (req) => rolTienePermiso(req.usuario.rol, 'ordenes:asignar');
+
+const fechaHoy = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Verifica que un usuario pueda recibir una orden en un NAP
+ *
+ * @async
+ * @function verificarTecnico
+ * @param {string} tecnicoId - Usuario a asignar
+ * @param {string|null} zonaId - Zona del NAP de la orden
+ * @param {Object} transaction - Transacción de Sequelize
+ * @returns {Promise<Object|null>} null si es válido, o { status, message }
+ *
+ * @description
+ * - Debe ser un TECNICO activo
+ * - Debe tener asignada la zona del NAP, salvo que el rol TECNICO tenga zonas:todas
+ */
+async function verificarTecnico(tecnicoId, zonaId, transaction) {
+  const tecnico = await Usuario.findByPk(tecnicoId, { attributes: ['id', 'rol', 'activo'], transaction });
+
+  if (!tecnico || tecnico.rol !== 'TECNICO' || !tecnico.activo) {
+    return { status: 400, message: 'El usuario asignado debe ser un técnico activo' };
+  }
+
+  if (await rolTienePermiso(tecnico.rol, 'zonas:todas')) {
+    return null;
+  }
+
+  const enZona = zonaId && await UsuarioZona.count({
+    where: { usuario_id: tecnicoId, zona_id: zonaId },
+    transaction
+  });
+
+  if (!enZona) {
+    return { status: 400, message: 'El técnico no tiene asignada la zona del NAP' };
+  }
+
+  return null;
+}
+
+/**
+ * Busca una orden visible para el usuario (zona y, para técnicos, asignación)
+ *
+ * @async
+ * @function buscarOrdenVisible
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} id - ID de la orden
+ * @param {Object} [options] - Opciones de Sequelize (por ejemplo transaction o lock)
+ * @returns {Promise<Object|null>} La orden, o null si no existe o no es visible
+ */
+async function buscarOrdenVisible(req, id, options = {}) {
+  const orden = await OrdenTrabajo.findByPk(id, options);
+
+  if (!orden || !(await napEnAlcance(req, orden.nap_id, { transaction: options.transaction }))) {
+    return null;
+  }
+
+  if (orden.tecnico_id !== req.usuario.id && !(await veTodasLasOrdenes(req))) {
+    return null;
+  }
+
+  return orden;
+}
+
+/**
+ * Aplica en la red el trabajo de una orden que se completa
+ *
+ * @async
+ * @function aplicarCierreOrden
+ * @param {Object} orden - Orden EN_CURSO
+ * @param {string} resultado - Descripción del trabajo realizado
+ * @param {string} usuarioId - Usuario que completa la orden
+ * @param {Object} transaction - Transacción de Sequelize
+ * @returns {Promise<Object>} { conexion_id, mantenimiento_id } o { error }
+ *
+ * @description
+ * - INSTALACION: conecta al cliente en el puerto con el plan de la orden
+ * - RETIRO: finaliza la conexión del puerto y lo libera
+ * - REPARACION: registra un mantenimiento CORRECTIVO en el NAP
+ * - TRASLADO: libera el puerto de origen y conecta al cliente en el destino con el mismo plan
+ */
+async function aplicarCierreOrden(orden, resultado, usuarioId, transaction) {
+  switch (orden.tipo) {
+    case 'INSTALACION': {
+      const instalacion = await asignarClienteEnPuerto({
+        puertoId: orden.puerto_id,
+        clienteId: orden.cliente_id,
+        planId: orden.plan_id,
+        fechaInicio: fechaHoy(),
+        creadoPor: usuarioId
+      }, transaction);
+      if (instalacion.error) return instalacion;
+      return { conexion_id: instalacion.conexion.id, mantenimiento_id: null };
+    }
+
+    case 'RETIRO': {
+      const retiro = await liberarPuertoConConexion(orden.puerto_id, transaction);
+      if (retiro.error) return retiro;
+      return { conexion_id: retiro.conexion?.id || null, mantenimiento_id: null };
+    }
+
+    case 'REPARACION': {
+      const reparacion = await registrarMantenimiento({
+        napId: orden.nap_id,
+        tipo: 'CORRECTIVO',
+        descripcion: resultado,
+        realizadoPor: orden.tecnico_id || usuarioId
+      }, transaction);
+      if (reparacion.error) return reparacion;
+      return { conexion_id: null, mantenimiento_id: reparacion.mantenimiento.id };
+    }
+
+    case 'TRASLADO': {
+      const origen = await liberarPuertoConConexion(orden.puerto_id, transaction);
+      if (origen.error) return origen;
+      if (!origen.conexion) {
+        return { error: { status: 400, message: 'El puerto de origen ya no tiene una conexión que trasladar' } };
+      }
+
+      const destino = await asignarClienteEnPuerto({
+        puertoId: orden.puerto_destino_id,
+        clienteId: origen.conexion.cliente_id,
+        planId: origen.conexion.plan_id,
+        fechaInicio: fechaHoy(),
+        creadoPor: usuarioId
+      }, transaction);
+      if (destino.error) return destino;
+      return { conexion_id: destino.conexion.id, mantenimiento_id: null };
+    }
+
+    default:
+      return { error: { status: 400, message: 'Tipo de orden no válido' } };
+  }
+}
+
+/**
+ * Lista las órdenes de trabajo
+ *
+ * @async
+ * @function obtenerOrdenes
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {number} [req.query.page=1] - Página
+ * @param {number} [req.query.limit=10] - Registros por página
+ * @param {string} [req.query.estado] - Filtro por estado
+ * @param {string} [req.query.tipo] - Filtro por tipo
+ * @param {string} [req.query.tecnico_id] - Filtro por técnico asignado
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON paginada con las órdenes
+ *
+ * @example
+ * // GET /api/ordenes-trabajo?estado=PENDIENTE&tipo=INSTALACION
+ *
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Sólo órdenes de NAPs en las zonas del usuario
+ * - Sin ordenes:asignar se listan únicamente las asignadas al usuario
+ */
+const obtenerOrdenes = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, estado, tipo, tecnico_id } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereCondition = {};
+    if (estado) whereCondition.estado = estado;
+    if (tipo) whereCondition.tipo = tipo;
+    if (tecnico_id) whereCondition.tecnico_id = tecnico_id;
+
+    if (!(await veTodasLasOrdenes(req))) {
+      whereCondition.tecnico_id = req.usuario.id;
+    }
+
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const ordenes = await OrdenTrabajo.findAndCountAll({
+      where: { [Op.and]: [whereCondition, filtroPorNAP(alcance)] },
+      include: includeOrden,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: ordenes.rows,
+      pagination: {
+        total: ordenes.count,
+        pages: Math.ceil(ordenes.count / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener órdenes de trabajo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Lista las órdenes asignadas al usuario autenticado
+ *
+ * @async
+ * @function obtenerMisOrdenes
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.estado] - Filtro por estado; sin él, sólo ASIGNADA y EN_CURSO
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con las órdenes
+ *
+ * @example
+ * // GET /api/ordenes-trabajo/mias
+ *
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Ordena por fecha programada (las sin fecha al final) y luego por antigüedad
+ */
+const obtenerMisOrdenes = async (req, res) => {
+  try {
+    const { estado } = req.query;
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const ordenes = await OrdenTrabajo.findAll({
+      where: {
+        [Op.and]: [
+          {
+            tecnico_id: req.usuario.id,
+            estado: estado || { [Op.in]: ['ASIGNADA', 'EN_CURSO'] }
+          },
+          filtroPorNAP(alcance)
+        ]
+      },
+      include: includeOrden,
+      order: [
+        [sequelize.literal('"OrdenTrabajo"."fecha_programada" IS NULL'), 'ASC'],
+        ['fecha_programada', 'ASC'],
+        ['createdAt', 'ASC']
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: ordenes
+    });
+  } catch (error) {
+    console.error('Error al obtener mis órdenes de trabajo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Obtiene una orden de trabajo por ID
+ *
+ * @async
+ * @function obtenerOrdenPorId
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la orden
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la orden, su conexión y su mantenimiento
+ *
+ * @throws {404} Orden de trabajo no encontrada
+ * @throws {500} Error interno del servidor
+ */
+const obtenerOrdenPorId = async (req, res) => {
+  try {
+    const orden = await buscarOrdenVisible(req, req.params.id);
+    if (!orden) {
+      return res.status(404).json({
+        success: false,
+        message: 'Orden de trabajo no encontrada'
+      });
+    }
+
+    const ordenCompleta = await OrdenTrabajo.findByPk(orden.id, {
+      include: [
+        ...includeOrden,
+        { model: Conexion, as: 'conexion' },
+        { model: Mantenimiento, as: 'mantenimiento' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: ordenCompleta
+    });
+  } catch (error) {
+    console.error('Error al obtener orden de trabajo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Crea una orden de trabajo
+ *
+ * @async
+ * @function crearOrden
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.body.tipo - INSTALACION, REPARACION, RETIRO o TRASLADO
+ * @param {string} req.body.descripcion - Trabajo a realizar
+ * @param {string} [req.body.nap_id] - NAP; si se indica el puerto se toma el de éste
+ * @param {string} [req.body.puerto_id] - Obligatorio salvo en REPARACION
+ * @param {string} [req.body.puerto_destino_id] - Obligatorio en TRASLADO
+ * @param {string} [req.body.cliente_id] - Obligatorio en INSTALACION; en RETIRO y TRASLADO se toma de la conexión
+ * @param {string} [req.body.plan_id] - Obligatorio en INSTALACION
+ * @param {string} [req.body.tecnico_id] - Si se indica, la orden nace ASIGNADA
+ * @param {string} [req.body.fecha_programada] - Fecha prevista de la visita
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la orden creada
+ *
+ * @example
+ * // POST /api/ordenes-trabajo
+ * // Body: {
+ * //   tipo: "INSTALACION",
+ * //   descripcion: "Instalación de fibra en domicilio, llamar antes de ir",
+ * //   puerto_id: "0b6e...", cliente_id: "a41c...", plan_id: "77d2...",
+ * //   tecnico_id: "c9f0...", fecha_programada: "2024-03-15"
+ * // }
+ *
+ * @throws {400} Datos inconsistentes con el tipo de orden o técnico no válido
+ * @throws {404} NAP, puerto, cliente o plan no encontrado
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Todos los NAPs y el cliente deben estar en las zonas del usuario
+ * - Las condiciones del puerto se vuelven a verificar al completar la orden
+ */
+const crearOrden = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  // Pasar userId para auditoría
+  transaction.userId = req.usuario?.id;
+
+  const rechazar = async (status, message) => {
+    await transaction.rollback();
+    return res.status(status).json({ success: false, message });
+  };
+
+  try {
+    const {
+      tipo,
+      descripcion,
+      puerto_id,
+      puerto_destino_id,
+      plan_id,
+      tecnico_id,
+      fecha_programada
+    } = req.body;
+    let { nap_id, cliente_id } = req.body;
+
+    if (puerto_id) {
+      const puerto = await Puerto.findByPk(puerto_id, {
+        include: [{
+          model: Conexion,
+          as: 'conexion',
+          where: { estado: { [Op.in]: ['ACTIVA', 'SUSPENDIDA'] } },
+          required: false
+        }],
+        transaction
+      });
+
+      if (!puerto) {
+        return rechazar(404, 'Puerto no encontrado');
+      }
+      if (nap_id && nap_id !== puerto.nap_id) {
+        return rechazar(400, 'El puerto no pertenece al NAP indicado');
+      }
+      nap_id = puerto.nap_id;
+
+      if (tipo === 'INSTALACION' && puerto.estado !== 'LIBRE') {
+        return rechazar(400, 'El puerto no está disponible para asignación');
+      }
+
+      if (tipo === 'RETIRO' || tipo === 'TRASLADO') {
+        if (!puerto.conexion) {
+          return rechazar(400, 'El puerto no tiene una conexión activa');
+        }
+        cliente_id = puerto.conexion.cliente_id;
+      }
+    }
+
+    const nap = await NAP.findByPk(nap_id, { attributes: ['id', 'zona_id'], transaction });
+    if (!nap || !(await napEnAlcance(req, nap))) {
+      return rechazar(404, 'NAP no encontrado');
+    }
+
+    if (tipo === 'TRASLADO') {
+      if (puerto_destino_id === puerto_id) {
+        return rechazar(400, 'El puerto destino debe ser distinto del de origen');
+      }
+      const destino = await Puerto.findByPk(puerto_destino_id, { attributes: ['id', 'nap_id', 'estado'], transaction });
+      if (!destino || !(await napEnAlcance(req, destino.nap_id, { transaction }))) {
+        return rechazar(404, 'Puerto destino no encontrado');
+      }
+      if (destino.estado !== 'LIBRE') {
+        return rechazar(400, 'El puerto destino no está disponible para asignación');
+      }
+    }
+
+    if (cliente_id && !(await clienteEnAlcance(req, cliente_id, { transaction }))) {
+      return rechazar(404, 'Cliente no encontrado');
+    }
+
+    if (tipo === 'INSTALACION' && !(await Plan.findByPk(plan_id, { transaction }))) {
+      return rechazar(404, 'Plan no encontrado');
+    }
+
+    if (tecnico_id) {
+      const errorTecnico = await verificarTecnico(tecnico_id, nap.zona_id, transaction);
+      if (errorTecnico) {
+        return rechazar(errorTecnico.status, errorTecnico.message);
+      }
+    }
+
+    const orden = await OrdenTrabajo.create({
+      tipo,
+      descripcion,
+      nap_id,
+      puerto_id: puerto_id || null,
+      puerto_destino_id: tipo === 'TRASLADO' ? puerto_destino_id : null,
+      cliente_id: cliente_id || null,
+      plan_id: tipo === 'INSTALACION' ? plan_id : null,
+      tecnico_id: tecnico_id || null,
+      estado: tecnico_id ? 'ASIGNADA' : 'PENDIENTE',
+      fecha_programada: fecha_programada || null,
+      creado_por: req.usuario.id
+    }, { transaction });
+
+    await transaction.commit();
+
+    const ordenCompleta = await OrdenTrabajo.findByPk(orden.id, { include: includeOrden });
+
+    res.status(201).json({
+      success: true,
+      message: 'Orden de trabajo creada exitosamente',
+      data: ordenCompleta
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error al crear orden de trabajo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Asigna o reasigna una orden a un técnico
+ *
+ * @async
+ * @function asignarOrden
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la orden
+ * @param {string} req.body.tecnico_id - Técnico que hará el trabajo
+ * @param {string} [req.body.fecha_programada] - Fecha prevista de la visita
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la orden asignada
+ *
+ * @example
+ * // PATCH /api/ordenes-trabajo/:id/asignar
+ * // Body: { tecnico_id: "c9f0...", fecha_programada: "2024-03-15" }
+ *
+ * @throws {400} La orden ya está en curso o cerrada, o el técnico no es válido
+ * @throws {404} Orden de trabajo no encontrada
+ * @throws {500} Error interno del servidor
+ */
+const asignarOrden = async (req, res) => {
+  try {
+    const { tecnico_id, fecha_programada } = req.body;
+
+    const orden = await buscarOrdenVisible(req, req.params.id, {
+      include: [{ model: NAP, as: 'nap', attributes: ['id', 'zona_id'] }]
+    });
+    if (!orden) {
+      return res.status(404).json({
+        success: false,
+        message: 'Orden de trabajo no encontrada'
+      });
+    }
+
+    if (!['PENDIENTE', 'ASIGNADA'].includes(orden.estado)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sólo se pueden asignar órdenes pendientes o asignadas'
+      });
+    }
+
+    const errorTecnico = await verificarTecnico(tecnico_id, orden.nap.zona_id);
+    if (errorTecnico) {
+      return res.status(errorTecnico.status).json({
+        success: false,
+        message: errorTecnico.message
+      });
+    }
+
+    await orden.update({
+      tecnico_id,
+      estado: 'ASIGNADA',
+      fecha_programada: fecha_programada ?? orden.fecha_programada
+    }, { userId: req.usuario?.id });
+
+    const ordenCompleta = await OrdenTrabajo.findByPk(orden.id, { include: includeOrden });
+
+    res.json({
+      success: true,
+      message: 'Orden de trabajo asignada exitosamente',
+      data: ordenCompleta
+    });
+  } catch (error) {
+    console.error('Error al asignar orden de trabajo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Marca el inicio del trabajo en campo
+ *
+ * @async
+ * @function iniciarOrden
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la orden
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la orden EN_CURSO
+ *
+ * @throws {400} La orden no está ASIGNADA
+ * @throws {404} Orden de trabajo no encontrada (o asignada a otro técnico)
+ * @throws {500} Error interno del servidor
+ */
+const iniciarOrden = async (req, res) => {
+  try {
+    const orden = await buscarOrdenVisible(req, req.params.id);
+    if (!orden) {
+      return res.status(404).json({
+        success: false,
+        message: 'Orden de trabajo no encontrada'
+      });
+    }
+
+    if (orden.estado !== 'ASIGNADA') {
+      return res.status(400).json({
+        success: false,
+        message: 'Sólo se pueden iniciar órdenes asignadas'
+      });
+    }
+
+    await orden.update({
+      estado: 'EN_CURSO',
+      fecha_inicio: new Date()
+    }, { userId: req.usuario?.id });
+
+    const ordenCompleta = await OrdenTrabajo.findByPk(orden.id, { include: includeOrden });
+
+    res.json({
+      success: true,
+      message: 'Orden de trabajo iniciada',
+      data: ordenCompleta
+    });
+  } catch (error) {
+    console.error('Error al iniciar orden de trabajo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Completa una orden y aplica el trabajo en la red
+ *
+ * @async
+ * @function completarOrden
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la orden
+ * @param {string} req.body.resultado - Trabajo realizado
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la orden COMPLETADA
+ *
+ * @example
+ * // PATCH /api/ordenes-trabajo/:id/completar
+ * // Body: { resultado: "ONT instalada, potencia -19.5 dBm" }
+ *
+ * @throws {400} La orden no está EN_CURSO, o la red ya no permite el cambio (puerto ocupado, etc.)
+ * @throws {404} Orden de trabajo no encontrada (o asignada a otro técnico)
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - El cambio en la red y el cierre de la orden van en la misma transacción:
+ *   si la instalación falla, la orden sigue EN_CURSO
+ */
+const completarOrden = async (req, res) => {
+  const transaction = await sequelize.transaction();
+  // Pasar userId para auditoría
+  transaction.userId = req.usuario?.id;
+
+  try {
+    const { resultado } = req.body;
+
+    const orden = await buscarOrdenVisible(req, req.params.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!orden) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Orden de trabajo no encontrada'
+      });
+    }
+
+    if (orden.estado !== 'EN_CURSO') {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Sólo se pueden completar órdenes en curso'
+      });
+    }
+
+    const cierre = await aplicarCierreOrden(orden, resultado, req.usuario.id, transaction);
+    if (cierre.error) {
+      await transaction.rollback();
+      return res.status(cierre.error.status).json({
+        success: false,
+        message: cierre.error.message
+      });
+    }
+
+    await orden.update({
+      estado: 'COMPLETADA',
+      fecha_cierre: new Date(),
+      resultado,
+      conexion_id: cierre.conexion_id,
+      mantenimiento_id: cierre.mantenimiento_id
+    }, { transaction });
+
+    await transaction.commit();
+
+    const ordenCompleta = await OrdenTrabajo.findByPk(orden.id, { include: includeOrden });
+
+    res.json({
+      success: true,
+      message: 'Orden de trabajo completada exitosamente',
+      data: ordenCompleta
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error al completar orden de trabajo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Cancela una orden que aún no está cerrada
+ *
+ * @async
+ * @function cancelarOrden
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la orden
+ * @param {string} req.body.motivo - Motivo de la cancelación
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la orden CANCELADA
+ *
+ * @throws {400} La orden ya está completada o cancelada
+ * @throws {404} Orden de trabajo no encontrada
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - No modifica la red: una orden en curso cancelada no deshace nada porque nada se aplicó
+ */
+const cancelarOrden = async (req, res) => {
+  try {
+    const { motivo } = req.body;
+
+    const orden = await buscarOrdenVisible(req, req.params.id);
+    if (!orden) {
+      return res.status(404).json({
+        success: false,
+        message: 'Orden de trabajo no encontrada'
+      });
+    }
+
+    if (ESTADOS_FINALES.includes(orden.estado)) {
+      return res.status(400).json({
+        success: false,
+        message: 'La orden de trabajo ya está cerrada'
+      });
+    }
+
+    await orden.update({
+      estado: 'CANCELADA',
+      fecha_cierre: new Date(),
+      motivo_cancelacion: motivo
+    }, { userId: req.usuario?.id });
+
+    const ordenCompleta = await OrdenTrabajo.findByPk(orden.id, { include: includeOrden });
+
+    res.json({
+      success: true,
+      message: 'Orden de trabajo cancelada',
+      data: ordenCompleta
+    });
+  } catch (error) {
+    console.error('Error al cancelar orden de trabajo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerOrdenes,
+  obtenerMisOrdenes,
+  obtenerOrdenPorId,
+  crearOrden,
+  asignarOrden,
+  iniciarOrden,
+  completarOrden,
+  cancelarOrden
+};
@@ -0,0 +1,138 @@
+const { sequelize, Permiso, RolPermiso } = require('../models');
+const { ROLES, PERMISOS, PERMISO_GESTIONAR_PERMISOS } = require('../config/permisos');
+const { obtenerPermisosDeRol, invalidarCachePermisos } = require('../utils/permisos');
+
+/**
+ * Obtiene el catálogo de permisos y la asignación actual por rol
+ *
+ * @async
+ * @function obtenerPermisos
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con catálogo, roles y asignación
+ *
+ * @example
+ * // GET /api/permisos
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   data: {
+ * //     catalogo: [{ clave: "naps:crear", descripcion: "Crear NAPs" }, ...],
+ * //     roles: ["ADMIN", "SUPERVISOR", "TECNICO"],
+ * //     asignacion: { ADMIN: ["naps:ver", ...], SUPERVISOR: [...], TECNICO: [...] }
+ * //   }
+ * // }
+ *
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - El catálogo sale de la tabla permisos, en el orden de config/permisos.js
+ * - La asignación se lee sin caché para mostrar siempre el estado real
+ */
+const obtenerPermisos = async (req, res) => {
+  try {
+    const [permisos, filas] = await Promise.all([
+      Permiso.findAll({ attributes: ['clave', 'descripcion'], raw: true }),
+      RolPermiso.findAll({ attributes: ['rol', 'permiso'], raw: true })
+    ]);
+
+    const orden = Object.keys(PERMISOS);
+    const catalogo = permisos
+      .filter(permiso => orden.includes(permiso.clave))
+      .sort((a, b) => orden.indexOf(a.clave) - orden.indexOf(b.clave));
+
+    const asignacion = Object.fromEntries(ROLES.map(rol => [rol, []]));
+    filas
+      .filter(fila => PERMISOS[fila.permiso])
+      .forEach(fila => asignacion[fila.rol].push(fila.permiso));
+
+    res.json({
+      success: true,
+      data: { catalogo, roles: ROLES, asignacion }
+    });
+  } catch (error) {
+    console.error('Error al obtener permisos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Reemplaza los permisos de un rol
+ *
+ * @async
+ * @function actualizarPermisosRol
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.rol - Rol a editar (ADMIN, SUPERVISOR, TECNICO)
+ * @param {string[]} req.body.permisos - Lista completa de permisos que tendrá el rol
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con los permisos resultantes del rol
+ *
+ * @example
+ * // PUT /api/permisos/roles/TECNICO
+ * // Body: { permisos: ["naps:ver", "puertos:ver", "puertos:liberar"] }
+ *
+ * @throws {400} El rol ADMIN no puede perder permisos:gestionar
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Sólo inserta los permisos nuevos y borra los quitados; cada fila queda en auditoría (roles_permisos)
+ * - Invalida la caché de requierePermiso: el cambio rige desde la siguiente petición
+ * - Los usuarios conectados ven el cambio en el menú al recargar su perfil
+ */
+const actualizarPermisosRol = async (req, res) => {
+  const { rol } = req.params;
+  const permisos = [...new Set(req.body.permisos)];
+
+  if (rol === 'ADMIN' && !permisos.includes(PERMISO_GESTIONAR_PERMISOS)) {
+    return res.status(400).json({
+      success: false,
+      message: `El rol ADMIN no puede perder el permiso ${PERMISO_GESTIONAR_PERMISOS}`
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+  transaction.userId = req.usuario?.id;
+
+  try {
+    const actuales = await RolPermiso.findAll({ where: { rol }, transaction });
+    const clavesActuales = actuales.map(fila => fila.permiso);
+
+    for (const fila of actuales) {
+      if (!permisos.includes(fila.permiso)) {
+        await fila.destroy({ transaction });
+      }
+    }
+
+    for (const permiso of permisos) {
+      if (!clavesActuales.includes(permiso)) {
+        await RolPermiso.create({ rol, permiso }, { transaction });
+      }
+    }
+
+    await transaction.commit();
+    invalidarCachePermisos();
+
+    res.json({
+      success: true,
+      message: `Permisos del rol ${rol} actualizados`,
+      data: { rol, permisos: await obtenerPermisosDeRol(rol) }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    console.error('Error al actualizar permisos del rol:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerPermisos,
+  actualizarPermisosRol
+};
@@ -2,6 +2,12 @@ const { Plan, Conexion, Cliente, Puerto, NAP } = require('../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 
+// Precios del plan (sin impuesto); los que no vienen en el body conservan su valor
+const CAMPOS_PRECIO = ['precio_mensual', 'costo_instalacion', 'moneda', 'impuesto_porcentaje'];
+const preciosDelBody = (body) => Object.fromEntries(CAMPOS_PRECIO
+  .filter(campo => body[campo] !== undefined && body[campo] !== null)
+  .map(campo => [campo, campo === 'moneda' ? String(body.moneda).toUpperCase() : body[campo]]));
+
 /**
  * Obtiene una lista paginada de planes de servicio con estadísticas de uso
  * 
@@ -28,6 +34,8 @@ const { Op } = require('sequelize');
  * //       nombre: "Fibra 100 Mbps",
  * //       velocidad_mbps: 100,
  * //       descripcion: "Plan residencial básico",
+ * //       precio_mensual: "150.00",
+ * //       moneda: "BOB",
  * //       estadisticas: {
  * //         conexiones_totales: 50,
  * //         conexiones_activas: 45,
@@ -132,6 +140,8 @@ const obtenerPlanes = async (req, res) => {
  * //     nombre: "Fibra 100 Mbps",
  * //     velocidad_mbps: 100,
  * //     descripcion: "Plan residencial básico",
+ * //     precio_mensual: "150.00",
+ * //     moneda: "BOB",
  * //     conexiones: [...], // Conexiones completas con clientes
  * //     estadisticas: {
  * //       conexiones_totales: 50,
@@ -211,6 +221,10 @@ const obtenerPlanPorId = async (req, res) => {
  * @param {string} req.body.nombre - Nombre único del plan
  * @param {number} req.body.velocidad_mbps - Velocidad del plan en Mbps
  * @param {string} [req.body.descripcion] - Descripción detallada del plan
+ * @param {number} [req.body.precio_mensual=0] - Mensualidad sin impuesto
+ * @param {number} [req.body.costo_instalacion=0] - Cargo único de instalación sin impuesto
+ * @param {string} [req.body.moneda='BOB'] - Código ISO 4217
+ * @param {number} [req.body.impuesto_porcentaje=0] - Impuesto que se suma al facturar
  * @param {Object} res - Objeto de respuesta Express
  * 
  * @returns {Promise<void>} Respuesta JSON con plan creado
@@ -220,7 +234,9 @@ const obtenerPlanPorId = async (req, res) => {
  * // Body: {
  * //   nombre: "Fibra 200 Mbps Premium",
  * //   velocidad_mbps: 200,
- * //   descripcion: "Plan empresarial de alta velocidad"
+ * //   descripcion: "Plan empresarial de alta velocidad",
+ * //   precio_mensual: 350,
+ * //   impuesto_porcentaje: 13
  * // }
  * 
  * @throws {400} Datos inválidos o nombre duplicado
@@ -256,7 +272,8 @@ const crearPlan = async (req, res) => {
     const plan = await Plan.create({
       nombre,
       velocidad_mbps,
-      descripcion
+      descripcion,
+      ...preciosDelBody(req.body)
     });
 
     res.status(201).json({
@@ -285,6 +302,10 @@ const crearPlan = async (req, res) => {
  * @param {string} req.body.nombre - Nuevo nombre del plan
  * @param {number} req.body.velocidad_mbps - Nueva velocidad en Mbps
  * @param {string} [req.body.descripcion] - Nueva descripción
+ * @param {number} [req.body.precio_mensual] - Nuevo precio; las facturas ya emitidas no cambian
+ * @param {number} [req.body.costo_instalacion]
+ * @param {string} [req.body.moneda]
+ * @param {number} [req.body.impuesto_porcentaje]
  * @param {Object} res - Objeto de respuesta Express
  * 
  * @returns {Promise<void>} Respuesta JSON con plan actualizado
@@ -341,7 +362,8 @@ const actualizarPlan = async (req, res) => {
     await plan.update({
       nombre,
       velocidad_mbps,
-      descripcion
+      descripcion,
+      ...preciosDelBody(req.body)
     });
 
     res.json({
@@ -0,0 +1,388 @@
+const { PlanMantenimiento, NAP, Usuario } = require('../models');
+const { Op } = require('sequelize');
+const { obtenerAlcanceZonas, filtroPorNAP, napEnAlcance } = require('../utils/zonas');
+const { rolTienePermiso } = require('../utils/permisos');
+const { calcularVencimientos } = require('../utils/planesMantenimiento');
+
+const includePlan = [
+  { model: NAP, as: 'nap', attributes: ['id', 'codigo', 'ubicacion', 'modelo'] },
+  { model: Usuario, as: 'tecnico', attributes: ['id', 'nombre', 'correo'] }
+];
+
+// Planes por NAP de las zonas del usuario, más los planes por modelo (no tienen zona)
+const filtroPlanesVisibles = (alcance) => alcance
+  ? { [Op.or]: [{ nap_id: null }, filtroPorNAP(alcance)] }
+  : {};
+
+/**
+ * Valida el destino y el responsable de un plan
+ *
+ * @async
+ * @function validarDatosPlan
+ * @param {Object} req - Objeto de solicitud Express
+ * @returns {Promise<Object|null>} null si es válido, o { status, message }
+ *
+ * @description
+ * - Un plan por NAP exige que el NAP esté en las zonas del usuario
+ * - Un plan por modelo alcanza a NAPs de todas las zonas: exige zonas:todas
+ * - El responsable debe ser un TECNICO activo
+ */
+async function validarDatosPlan(req) {
+  const { nap_id, modelo_nap, tecnico_id } = req.body;
+
+  if (nap_id && !(await napEnAlcance(req, nap_id))) {
+    return { status: 404, message: 'NAP no encontrado' };
+  }
+
+  if (modelo_nap && !(await rolTienePermiso(req.usuario.rol, 'zonas:todas'))) {
+    return { status: 403, message: 'Sólo quien opera en todas las zonas puede crear planes por modelo de NAP' };
+  }
+
+  if (tecnico_id) {
+    const tecnico = await Usuario.findByPk(tecnico_id, { attributes: ['id', 'rol', 'activo'] });
+    if (!tecnico || tecnico.rol !== 'TECNICO' || !tecnico.activo) {
+      return { status: 400, message: 'El responsable debe ser un técnico activo' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lista los planes de mantenimiento preventivo
+ *
+ * @async
+ * @function obtenerPlanes
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.nap_id] - Sólo planes de este NAP
+ * @param {string} [req.query.activo] - Filtro por estado activo ("true" o "false")
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con los planes
+ *
+ * @example
+ * // GET /api/planes-mantenimiento?activo=true
+ *
+ * @throws {500} Error interno del servidor
+ */
+const obtenerPlanes = async (req, res) => {
+  try {
+    const { nap_id, activo } = req.query;
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const whereCondition = {};
+    if (nap_id) whereCondition.nap_id = nap_id;
+    if (activo !== undefined) whereCondition.activo = activo === 'true';
+
+    const planes = await PlanMantenimiento.findAll({
+      where: { [Op.and]: [whereCondition, filtroPlanesVisibles(alcance)] },
+      include: includePlan,
+      order: [['nombre', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: planes
+    });
+  } catch (error) {
+    console.error('Error al obtener planes de mantenimiento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Crea un plan de mantenimiento preventivo
+ *
+ * @async
+ * @function crearPlan
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.body.nombre - Nombre de la rutina
+ * @param {string} [req.body.descripcion] - Tareas a realizar
+ * @param {string} [req.body.nap_id] - NAP al que aplica (o modelo_nap)
+ * @param {string} [req.body.modelo_nap] - Modelo de NAP al que aplica (o nap_id)
+ * @param {number} req.body.intervalo - Cada cuántas unidades se repite
+ * @param {string} req.body.unidad - DIAS, SEMANAS o MESES
+ * @param {string} req.body.fecha_inicio - Primera visita prevista
+ * @param {number} [req.body.dias_aviso=7] - Días de anticipación del aviso
+ * @param {string} [req.body.tecnico_id] - Técnico responsable
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el plan creado
+ *
+ * @example
+ * // POST /api/planes-mantenimiento
+ * // Body: {
+ * //   nombre: "Limpieza de conectores",
+ * //   modelo_nap: "FTTH-16",
+ * //   intervalo: 6, unidad: "MESES",
+ * //   fecha_inicio: "2024-04-01",
+ * //   tecnico_id: "c9f0..."
+ * // }
+ *
+ * @throws {400} Responsable no válido
+ * @throws {403} Plan por modelo sin zonas:todas
+ * @throws {404} NAP no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const crearPlan = async (req, res) => {
+  try {
+    const errorDatos = await validarDatosPlan(req);
+    if (errorDatos) {
+      return res.status(errorDatos.status).json({
+        success: false,
+        message: errorDatos.message
+      });
+    }
+
+    const { nombre, descripcion, nap_id, modelo_nap, intervalo, unidad, fecha_inicio, dias_aviso, tecnico_id } = req.body;
+
+    const plan = await PlanMantenimiento.create({
+      nombre,
+      descripcion,
+      nap_id: nap_id || null,
+      modelo_nap: nap_id ? null : modelo_nap,
+      intervalo,
+      unidad,
+      fecha_inicio,
+      dias_aviso: dias_aviso ?? 7,
+      tecnico_id: tecnico_id || null
+    }, { userId: req.usuario?.id });
+
+    const planCompleto = await PlanMantenimiento.findByPk(plan.id, { include: includePlan });
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan de mantenimiento creado exitosamente',
+      data: planCompleto
+    });
+  } catch (error) {
+    console.error('Error al crear plan de mantenimiento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Actualiza un plan de mantenimiento preventivo
+ *
+ * @async
+ * @function actualizarPlan
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del plan
+ * @param {Object} req.body - Mismos campos que crearPlan, más activo
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el plan actualizado
+ *
+ * @throws {400} Responsable no válido
+ * @throws {403} Plan por modelo sin zonas:todas
+ * @throws {404} Plan o NAP no encontrado
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Cambiar intervalo o unidad recalcula las próximas visitas desde la última realizada
+ */
+const actualizarPlan = async (req, res) => {
+  try {
+    const alcance = await obtenerAlcanceZonas(req);
+    const plan = await PlanMantenimiento.findOne({
+      where: { [Op.and]: [{ id: req.params.id }, filtroPlanesVisibles(alcance)] }
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan de mantenimiento no encontrado'
+      });
+    }
+
+    // Quien no opera en todas las zonas tampoco puede editar un plan por modelo existente
+    if (!plan.nap_id && !(await rolTienePermiso(req.usuario.rol, 'zonas:todas'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Sólo quien opera en todas las zonas puede editar planes por modelo de NAP'
+      });
+    }
+
+    const errorDatos = await validarDatosPlan(req);
+    if (errorDatos) {
+      return res.status(errorDatos.status).json({
+        success: false,
+        message: errorDatos.message
+      });
+    }
+
+    const { nombre, descripcion, nap_id, modelo_nap, intervalo, unidad, fecha_inicio, dias_aviso, tecnico_id, activo } = req.body;
+
+    await plan.update({
+      nombre,
+      descripcion,
+      nap_id: nap_id || null,
+      modelo_nap: nap_id ? null : modelo_nap,
+      intervalo,
+      unidad,
+      fecha_inicio,
+      dias_aviso: dias_aviso ?? plan.dias_aviso,
+      tecnico_id: tecnico_id || null,
+      activo: activo ?? plan.activo
+    }, { userId: req.usuario?.id });
+
+    const planCompleto = await PlanMantenimiento.findByPk(plan.id, { include: includePlan });
+
+    res.json({
+      success: true,
+      message: 'Plan de mantenimiento actualizado exitosamente',
+      data: planCompleto
+    });
+  } catch (error) {
+    console.error('Error al actualizar plan de mantenimiento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Elimina un plan de mantenimiento preventivo
+ *
+ * @async
+ * @function eliminarPlan
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del plan
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON confirmando la eliminación
+ *
+ * @throws {403} Plan por modelo sin zonas:todas
+ * @throws {404} Plan de mantenimiento no encontrado
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Los mantenimientos ya registrados con el plan se conservan, sin plan
+ */
+const eliminarPlan = async (req, res) => {
+  try {
+    const alcance = await obtenerAlcanceZonas(req);
+    const plan = await PlanMantenimiento.findOne({
+      where: { [Op.and]: [{ id: req.params.id }, filtroPlanesVisibles(alcance)] }
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan de mantenimiento no encontrado'
+      });
+    }
+
+    if (!plan.nap_id && !(await rolTienePermiso(req.usuario.rol, 'zonas:todas'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Sólo quien opera en todas las zonas puede eliminar planes por modelo de NAP'
+      });
+    }
+
+    await plan.destroy({ userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      message: 'Plan de mantenimiento eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar plan de mantenimiento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Calendario de visitas preventivas agrupado por técnico responsable
+ *
+ * @async
+ * @function obtenerCalendario
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.hasta] - Última fecha a incluir (por defecto, dentro de 30 días)
+ * @param {string} [req.query.tecnico_id] - Sólo visitas de este técnico
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con las visitas de cada técnico
+ *
+ * @example
+ * // GET /api/planes-mantenimiento/calendario?hasta=2024-04-30
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   data: [
+ * //     {
+ * //       tecnico: { id: "c9f0...", nombre: "Juan Pérez", correo: "juan@empresa.com" },
+ * //       total: 2,
+ * //       vencidas: 1,
+ * //       visitas: [
+ * //         { plan: "Limpieza de conectores", nap: { codigo: "NAP001" }, proxima_fecha: "2024-03-28", vencido: true, ... }
+ * //       ]
+ * //     }
+ * //   ]
+ * // }
+ *
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Las visitas vencidas se incluyen siempre, hasta que se registre el mantenimiento
+ * - Los planes sin responsable se agrupan con tecnico: null al final
+ */
+const obtenerCalendario = async (req, res) => {
+  try {
+    const { tecnico_id } = req.query;
+    const hasta = req.query.hasta || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const vencimientos = await calcularVencimientos({ alcance, tecnicoId: tecnico_id });
+
+    const grupos = new Map();
+    for (const visita of vencimientos) {
+      if (visita.proxima_fecha > hasta) continue;
+
+      const clave = visita.tecnico?.id || 'sin_tecnico';
+      if (!grupos.has(clave)) {
+        grupos.set(clave, { tecnico: visita.tecnico, total: 0, vencidas: 0, visitas: [] });
+      }
+      const grupo = grupos.get(clave);
+      grupo.total++;
+      if (visita.vencido) grupo.vencidas++;
+      grupo.visitas.push(visita);
+    }
+
+    const calendario = [...grupos.values()].sort((a, b) => {
+      if (!a.tecnico) return 1;
+      if (!b.tecnico) return -1;
+      return a.tecnico.nombre.localeCompare(b.tecnico.nombre);
+    });
+
+    res.json({
+      success: true,
+      data: calendario,
+      hasta
+    });
+  } catch (error) {
+    console.error('Error al obtener calendario de mantenimiento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerPlanes,
+  crearPlan,
+  actualizarPlan,
+  eliminarPlan,
+  obtenerCalendario
+};
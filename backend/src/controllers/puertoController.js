@@ -1,6 +1,9 @@
 const { Puerto, NAP, Conexion, Cliente, Plan, sequelize } = require('../models');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
+const { calcularPresupuestoOptico } = require('../utils/presupuestoOptico');
+const { obtenerAlcanceZonas, filtroPorNAP, napEnAlcance } = require('../utils/zonas');
+const { asignarClienteEnPuerto, liberarPuertoConConexion } = require('../utils/operacionesPuerto');
 
 /**
  * Obtiene todos los puertos de un NAP específico con sus conexiones y estadísticas
@@ -49,7 +52,7 @@ const obtenerPuertosPorNAP = async (req, res) => {
     const { estado } = req.query;
 
     const nap = await NAP.findByPk(nap_id);
-    if (!nap) {
+    if (!nap || !(await napEnAlcance(req, nap))) {
       return res.status(404).json({
         success: false,
         message: 'NAP no encontrado'
@@ -104,6 +107,66 @@ const obtenerPuertosPorNAP = async (req, res) => {
   }
 };
 
+/**
+ * Calcula el presupuesto óptico de un NAP y la potencia esperada en cada puerto
+ * 
+ * @async
+ * @function obtenerPresupuestoOpticoPorNAP
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.params - Parámetros de ruta
+ * @param {string} req.params.nap_id - ID del NAP
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Promise<void>} Respuesta JSON con el presupuesto del NAP y el detalle por puerto
+ * 
+ * @example
+ * // GET /api/puertos/nap/123/presupuesto-optico
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   data: {
+ * //     nap: { id: 123, codigo: "NAP001", conectores: 2, empalmes: 4 },
+ * //     presupuesto_nap: { potencia_tx_dbm: 3, perdidas: {...}, potencia_nap_dbm: -20.22, calculable: true },
+ * //     puertos: [{ numero: 1, potencia_rx_dbm: -20.77, margen_db: 6.23, estado_optico: "OK" }, ...],
+ * //     resumen: { ok: 16, marginales: 0, bajo_sensibilidad: 0, sin_datos: 0, ... }
+ * //   }
+ * // }
+ * 
+ * @throws {404} NAP no encontrado
+ * @throws {500} Error interno del servidor
+ * 
+ * @description
+ * - Usa la ruta OLT → puerto PON → splitters del NAP, los largos de cable y los conectores/empalmes del NAP
+ * - Cada puerto suma su acometida (longitud_acometida_m) y el conector de la ONT
+ * - Marca BAJO_SENSIBILIDAD los puertos cuya potencia no alcanza la sensibilidad de la ONT
+ * - Devuelve SIN_DATOS si la ruta está incompleta o la OLT no tiene potencia de lanzamiento
+ */
+const obtenerPresupuestoOpticoPorNAP = async (req, res) => {
+  try {
+    const { nap_id } = req.params;
+
+    const presupuesto = await napEnAlcance(req, nap_id) ? await calcularPresupuestoOptico(nap_id) : null;
+
+    if (!presupuesto) {
+      return res.status(404).json({
+        success: false,
+        message: 'NAP no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: presupuesto
+    });
+  } catch (error) {
+    console.error('Error al calcular presupuesto óptico:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 /**
  * Obtiene todos los puertos disponibles (libres) del sistema
  * 
@@ -150,8 +213,10 @@ const obtenerPuertosLibres = async (req, res) => {
       whereCondition.nap_id = nap_id;
     }
 
+    const alcance = await obtenerAlcanceZonas(req);
+
     const puertos = await Puerto.findAll({
-      where: whereCondition,
+      where: { [Op.and]: [whereCondition, filtroPorNAP(alcance)] },
       include: [{ model: NAP, as: 'nap' }],
       order: [['nap', 'codigo'], ['numero', 'ASC']]
     });
@@ -227,7 +292,7 @@ const obtenerPuertoPorId = async (req, res) => {
       ]
     });
 
-    if (!puerto) {
+    if (!puerto || !(await napEnAlcance(req, puerto.nap))) {
       return res.status(404).json({
         success: false,
         message: 'Puerto no encontrado'
@@ -259,7 +324,7 @@ const actualizarPuerto = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { estado, nota } = req.body;
+    const { estado, nota, longitud_acometida_m } = req.body;
 
     const puerto = await Puerto.findByPk(id, {
       include: [{
@@ -270,7 +335,7 @@ const actualizarPuerto = async (req, res) => {
       }]
     });
 
-    if (!puerto) {
+    if (!puerto || !(await napEnAlcance(req, puerto.nap_id))) {
       return res.status(404).json({
         success: false,
         message: 'Puerto no encontrado'
@@ -293,7 +358,8 @@ const actualizarPuerto = async (req, res) => {
 
     await puerto.update({
       estado: estado || puerto.estado,
-      nota: nota !== undefined ? nota : puerto.nota
+      nota: nota !== undefined ? nota : puerto.nota,
+      longitud_acometida_m: longitud_acometida_m !== undefined ? longitud_acometida_m : puerto.longitud_acometida_m
     });
 
     // Si se liberó un puerto, verificar si el NAP estaba saturado
@@ -351,7 +417,7 @@ const crearPuertosParaNAP = async (req, res) => {
     const { nap_id } = req.params;
 
     const nap = await NAP.findByPk(nap_id);
-    if (!nap) {
+    if (!nap || !(await napEnAlcance(req, nap))) {
       return res.status(404).json({
         success: false,
         message: 'NAP no encontrado'
@@ -409,6 +475,9 @@ const obtenerEstadisticasPuertos = async (req, res) => {
       whereCondition.nap_id = nap_id;
     }
 
+    const alcance = await obtenerAlcanceZonas(req);
+    whereCondition = { [Op.and]: [whereCondition, filtroPorNAP(alcance)] };
+
     const estadisticas = await Puerto.findAll({
       where: whereCondition,
       attributes: [
@@ -481,18 +550,9 @@ const asignarClienteAPuerto = async (req, res) => {
       nota
     } = req.body;
 
-    // Verificar que el puerto existe y está libre
-    const puerto = await Puerto.findByPk(puerto_id, {
-      include: [{
-        model: Conexion,
-        as: 'conexion',
-        where: { estado: 'ACTIVA' },
-        required: false
-      }],
-      transaction
-    });
+    const puerto = await Puerto.findByPk(puerto_id, { attributes: ['id', 'nap_id'], transaction });
 
-    if (!puerto) {
+    if (!puerto || !(await napEnAlcance(req, puerto.nap_id, { transaction }))) {
       await transaction.rollback();
       return res.status(404).json({
         success: false,
@@ -500,95 +560,25 @@ const asignarClienteAPuerto = async (req, res) => {
       });
     }
 
-    if (puerto.estado !== 'LIBRE') {
+    // Busca el cliente por CI (o lo crea), crea la conexión, ocupa el puerto y recalcula la saturación del NAP
+    const resultado = await asignarClienteEnPuerto({
+      puertoId: puerto_id,
+      cliente: { ci, nombre, apellido, telefono, correo, direccion },
+      planId: plan_id,
+      fechaInicio: fecha_inicio,
+      estadoConexion: estado_conexion,
+      nota,
+      creadoPor: req.usuario.id
+    }, transaction);
+
+    if (resultado.error) {
       await transaction.rollback();
-      return res.status(400).json({
+      return res.status(resultado.error.status).json({
         success: false,
-        message: 'El puerto no está disponible para asignación'
+        message: resultado.error.message
       });
     }
 
-    if (puerto.conexion) {
-      await transaction.rollback();
-      return res.status(400).json({
-        success: false,
-        message: 'El puerto ya tiene una conexión activa'
-      });
-    }
-
-    // Verificar que el plan existe
-    const plan = await Plan.findByPk(plan_id, { transaction });
-    if (!plan) {
-      await transaction.rollback();
-      return res.status(404).json({
-        success: false,
-        message: 'Plan no encontrado'
-      });
-    }
-
-    // Buscar cliente existente por CI o crear uno nuevo
-    let cliente = await Cliente.findOne({
-      where: { ci },
-      transaction
-    });
-
-    if (cliente) {
-      // Actualizar datos del cliente existente
-      await cliente.update({
-        nombre,
-        apellido,
-        telefono,
-        correo,
-        direccion
-      }, { transaction });
-    } else {
-      // Crear nuevo cliente
-      cliente = await Cliente.create({
-        ci,
-        nombre,
-        apellido,
-        telefono,
-        correo,
-        direccion
-      }, { transaction });
-    }
-
-    // Crear la conexión
-    const conexion = await Conexion.create({
-      puerto_id,
-      cliente_id: cliente.id,
-      plan_id,
-      fecha_inicio,
-      estado: estado_conexion || 'ACTIVA',
-      creado_por: req.usuario.id
-    }, { transaction });
-
-    // Actualizar el estado del puerto a OCUPADO
-    await puerto.update({
-      estado: 'OCUPADO',
-      nota: nota || puerto.nota
-    }, { transaction });
-
-    // Verificar si el NAP alcanzó el 100% de ocupación
-    const nap = await NAP.findByPk(puerto.nap_id, {
-      include: [{
-        model: Puerto,
-        as: 'puertos',
-        attributes: ['estado']
-      }],
-      transaction
-    });
-
-    if (nap) {
-      const puertosOcupados = nap.puertos.filter(p => p.estado === 'OCUPADO').length;
-      const porcentajeOcupacion = (puertosOcupados / nap.total_puertos) * 100;
-
-      // Si llega al 100%, cambiar el estado a SATURADO
-      if (porcentajeOcupacion >= 100 && nap.estado !== 'SATURADO') {
-        await nap.update({ estado: 'SATURADO' }, { transaction });
-      }
-    }
-
     // Commit de la transacción
     await transaction.commit();
 
@@ -609,7 +599,7 @@ const asignarClienteAPuerto = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: cliente.createdAt === cliente.updatedAt
+      message: resultado.clienteNuevo
         ? 'Cliente creado y asignado exitosamente al puerto'
         : 'Cliente existente asignado exitosamente al puerto',
       data: puertoActualizado
@@ -648,56 +638,24 @@ const liberarPuerto = async (req, res) => {
 
   try {
     const { puerto_id } = req.params;
-    const puerto = await Puerto.findByPk(puerto_id, {
-      include: [{
-        model: Conexion,
-        as: 'conexion',
-        where: { estado: {
-          [Op.in]: ['ACTIVA', 'SUSPENDIDA']
-        } },
-        required: false
-      }],
-      transaction
-    });
+    const puerto = await Puerto.findByPk(puerto_id, { attributes: ['id', 'nap_id'], transaction });
 
-    if (!puerto) {
+    if (!puerto || !(await napEnAlcance(req, puerto.nap_id, { transaction }))) {
       await transaction.rollback();
       return res.status(404).json({
         success: false,
         message: 'Puerto no encontrado'
       });
     }
-    // Si tiene una conexión activa o suspendida, finalizarla
-    if (puerto.conexion) {
-      await puerto.conexion.update({
-        estado: 'FINALIZADA',
-        fecha_fin: new Date()
-      }, { transaction });
-    }
-
-    // Actualizar el estado del puerto a LIBRE
-    await puerto.update({
-      estado: 'LIBRE'
-    }, { transaction });
-
-    // Verificar si el NAP estaba saturado y actualizar su estado
-    const nap = await NAP.findByPk(puerto.nap_id, {
-      include: [{
-        model: Puerto,
-        as: 'puertos',
-        attributes: ['estado']
-      }],
-      transaction
-    });
-
-    if (nap && nap.estado === 'SATURADO') {
-      const puertosOcupados = nap.puertos.filter(p => p.estado === 'OCUPADO').length;
-      const porcentajeOcupacion = (puertosOcupados / nap.total_puertos) * 100;
 
-      // Si ya no está al 100%, cambiar el estado a ACTIVO
-      if (porcentajeOcupacion < 100) {
-        await nap.update({ estado: 'ACTIVO' }, { transaction });
-      }
+    // Finaliza la conexión activa o suspendida, libera el puerto y quita la saturación del NAP
+    const resultado = await liberarPuertoConConexion(puerto_id, transaction);
+    if (resultado.error) {
+      await transaction.rollback();
+      return res.status(resultado.error.status).json({
+        success: false,
+        message: resultado.error.message
+      });
     }
 
     await transaction.commit();
@@ -735,6 +693,7 @@ const liberarPuerto = async (req, res) => {
 
 module.exports = {
   obtenerPuertosPorNAP,
+  obtenerPresupuestoOpticoPorNAP,
   obtenerPuertosLibres,
   obtenerPuertoPorId,
   actualizarPuerto,
@@ -0,0 +1,347 @@
+const { ReglaAlerta, NAP, Zona, Usuario } = require('../models');
+const { Op } = require('sequelize');
+const { obtenerAlcanceZonas, filtroPorNAP, napEnAlcance, zonaEnAlcance } = require('../utils/zonas');
+const { rolTienePermiso } = require('../utils/permisos');
+const { METRICAS } = require('../utils/reglasAlerta');
+const { solicitarEvaluacionAlertas } = require('../utils/alertas');
+
+const includeRegla = [
+  { model: Zona, as: 'zona', attributes: ['id', 'nombre'] },
+  { model: NAP, as: 'nap', attributes: ['id', 'codigo', 'ubicacion'] },
+  { model: Usuario, as: 'creador', attributes: ['id', 'nombre', 'correo'] }
+];
+
+// Reglas globales y por modelo, más las de zonas y NAPs del usuario
+const filtroReglasVisibles = (alcance) => alcance
+  ? {
+    [Op.or]: [
+      { alcance: { [Op.in]: ['TODOS', 'MODELO'] } },
+      { zona_id: { [Op.in]: alcance } },
+      filtroPorNAP(alcance)
+    ]
+  }
+  : {};
+
+// Sólo el campo del alcance elegido, y la ventana sólo para las métricas que la usan
+const datosRegla = (body) => ({
+  nombre: body.nombre,
+  metrica: body.metrica,
+  comparador: body.comparador,
+  umbral: body.umbral,
+  ventana_horas: METRICAS[body.metrica].usa_ventana ? body.ventana_horas : null,
+  alcance: body.alcance,
+  zona_id: body.alcance === 'ZONA' ? body.zona_id : null,
+  modelo_nap: body.alcance === 'MODELO' ? body.modelo_nap : null,
+  nap_id: body.alcance === 'NAP' ? body.nap_id : null,
+  nivel: body.nivel,
+  enfriamiento_minutos: body.enfriamiento_minutos ?? 0
+});
+
+/**
+ * Valida el alcance de una regla contra las zonas del usuario
+ *
+ * @async
+ * @function validarAlcanceRegla
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} alcance - TODOS, ZONA, MODELO o NAP
+ * @returns {Promise<Object|null>} null si es válido, o { status, message }
+ *
+ * @description
+ * - Una regla por zona o por NAP exige que estén en las zonas del usuario
+ * - Una regla para todos los NAPs o por modelo alcanza a todas las zonas: exige zonas:todas
+ */
+async function validarAlcanceRegla(req, alcance) {
+  const { zona_id, nap_id } = req.body;
+
+  if (alcance === 'ZONA') {
+    const zona = await Zona.findByPk(zona_id, { attributes: ['id'] });
+    if (!zona || !(await zonaEnAlcance(req, zona_id))) {
+      return { status: 404, message: 'Zona no encontrada' };
+    }
+    return null;
+  }
+
+  if (alcance === 'NAP') {
+    return (await napEnAlcance(req, nap_id)) ? null : { status: 404, message: 'NAP no encontrado' };
+  }
+
+  if (!(await rolTienePermiso(req.usuario.rol, 'zonas:todas'))) {
+    return { status: 403, message: 'Sólo quien opera en todas las zonas puede gestionar reglas para todos los NAPs o por modelo' };
+  }
+
+  return null;
+}
+
+/**
+ * Lista las métricas que pueden usar las reglas
+ *
+ * @async
+ * @function obtenerMetricas
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con { metrica, nombre, unidad, tipo_alerta, usa_ventana }
+ *
+ * @example
+ * // GET /api/reglas-alerta/metricas
+ */
+const obtenerMetricas = async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(METRICAS).map(([metrica, definicion]) => ({
+      metrica,
+      nombre: definicion.nombre,
+      unidad: definicion.unidad.trim(),
+      tipo_alerta: definicion.tipo,
+      usa_ventana: Boolean(definicion.usa_ventana)
+    }))
+  });
+};
+
+/**
+ * Lista las reglas de alerta
+ *
+ * @async
+ * @function obtenerReglas
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.metrica] - Sólo reglas de esta métrica
+ * @param {string} [req.query.activa] - Filtro por estado activo ("true" o "false")
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con las reglas
+ *
+ * @example
+ * // GET /api/reglas-alerta?activa=true
+ *
+ * @throws {500} Error interno del servidor
+ */
+const obtenerReglas = async (req, res) => {
+  try {
+    const { metrica, activa } = req.query;
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const whereCondition = {};
+    if (metrica) whereCondition.metrica = metrica;
+    if (activa !== undefined) whereCondition.activa = activa === 'true';
+
+    const reglas = await ReglaAlerta.findAll({
+      where: { [Op.and]: [whereCondition, filtroReglasVisibles(alcance)] },
+      include: includeRegla,
+      order: [['metrica', 'ASC'], ['umbral', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: reglas
+    });
+  } catch (error) {
+    console.error('Error al obtener reglas de alerta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Crea una regla de alerta
+ *
+ * @async
+ * @function crearRegla
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.body.nombre - Encabezado del mensaje de la alerta
+ * @param {string} req.body.metrica - Una de GET /reglas-alerta/metricas
+ * @param {string} req.body.comparador - >, >=, <, <= o =
+ * @param {number} req.body.umbral - Valor con el que se compara
+ * @param {number} [req.body.ventana_horas] - Período de la métrica (obligatorio si usa_ventana)
+ * @param {string} req.body.alcance - TODOS, ZONA, MODELO o NAP
+ * @param {string} [req.body.zona_id] - Con alcance ZONA
+ * @param {string} [req.body.modelo_nap] - Con alcance MODELO
+ * @param {string} [req.body.nap_id] - Con alcance NAP
+ * @param {string} req.body.nivel - CRITICO, ADVERTENCIA o INFO
+ * @param {number} [req.body.enfriamiento_minutos=0] - Minutos sin reabrir tras resolverse
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la regla creada
+ *
+ * @example
+ * // POST /api/reglas-alerta
+ * // Body: {
+ * //   nombre: "Zona centro casi llena",
+ * //   metrica: "OCUPACION", comparador: ">=", umbral: 90,
+ * //   alcance: "ZONA", zona_id: "5d1e...",
+ * //   nivel: "CRITICO", enfriamiento_minutos: 120
+ * // }
+ *
+ * @throws {403} Regla global o por modelo sin zonas:todas
+ * @throws {404} Zona o NAP no encontrado
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Pide una evaluación de alertas para que la regla se aplique enseguida
+ */
+const crearRegla = async (req, res) => {
+  try {
+    const errorAlcance = await validarAlcanceRegla(req, req.body.alcance);
+    if (errorAlcance) {
+      return res.status(errorAlcance.status).json({
+        success: false,
+        message: errorAlcance.message
+      });
+    }
+
+    const regla = await ReglaAlerta.create({
+      ...datosRegla(req.body),
+      activa: req.body.activa ?? true,
+      creado_por: req.usuario.id
+    }, { userId: req.usuario?.id });
+
+    solicitarEvaluacionAlertas();
+
+    const reglaCompleta = await ReglaAlerta.findByPk(regla.id, { include: includeRegla });
+
+    res.status(201).json({
+      success: true,
+      message: 'Regla de alerta creada exitosamente',
+      data: reglaCompleta
+    });
+  } catch (error) {
+    console.error('Error al crear regla de alerta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Actualiza una regla de alerta
+ *
+ * @async
+ * @function actualizarRegla
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la regla
+ * @param {Object} req.body - Mismos campos que crearRegla, más activa
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la regla actualizada
+ *
+ * @throws {403} Regla global o por modelo sin zonas:todas
+ * @throws {404} Regla, zona o NAP no encontrado
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Las alertas que la regla deja de cumplir (desactivada, umbral más alto) se resuelven solas
+ *   en la siguiente evaluación
+ */
+const actualizarRegla = async (req, res) => {
+  try {
+    const alcance = await obtenerAlcanceZonas(req);
+    const regla = await ReglaAlerta.findOne({
+      where: { [Op.and]: [{ id: req.params.id }, filtroReglasVisibles(alcance)] }
+    });
+
+    if (!regla) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regla de alerta no encontrada'
+      });
+    }
+
+    // Quien no opera en todas las zonas tampoco puede editar una regla global existente
+    const errorAlcance = await validarAlcanceRegla(req, regla.alcance) || await validarAlcanceRegla(req, req.body.alcance);
+    if (errorAlcance) {
+      return res.status(errorAlcance.status).json({
+        success: false,
+        message: errorAlcance.message
+      });
+    }
+
+    await regla.update({
+      ...datosRegla(req.body),
+      activa: req.body.activa ?? regla.activa
+    }, { userId: req.usuario?.id });
+
+    solicitarEvaluacionAlertas();
+
+    const reglaCompleta = await ReglaAlerta.findByPk(regla.id, { include: includeRegla });
+
+    res.json({
+      success: true,
+      message: 'Regla de alerta actualizada exitosamente',
+      data: reglaCompleta
+    });
+  } catch (error) {
+    console.error('Error al actualizar regla de alerta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Elimina una regla de alerta
+ *
+ * @async
+ * @function eliminarRegla
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la regla
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON confirmando la eliminación
+ *
+ * @throws {403} Regla global o por modelo sin zonas:todas
+ * @throws {404} Regla de alerta no encontrada
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Las alertas ya abiertas por la regla se conservan sin regla y se resuelven solas en la
+ *   siguiente evaluación si ninguna otra regla las sostiene
+ */
+const eliminarRegla = async (req, res) => {
+  try {
+    const alcance = await obtenerAlcanceZonas(req);
+    const regla = await ReglaAlerta.findOne({
+      where: { [Op.and]: [{ id: req.params.id }, filtroReglasVisibles(alcance)] }
+    });
+
+    if (!regla) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regla de alerta no encontrada'
+      });
+    }
+
+    const errorAlcance = await validarAlcanceRegla(req, regla.alcance);
+    if (errorAlcance) {
+      return res.status(errorAlcance.status).json({
+        success: false,
+        message: errorAlcance.message
+      });
+    }
+
+    await regla.destroy({ userId: req.usuario?.id });
+
+    solicitarEvaluacionAlertas();
+
+    res.json({
+      success: true,
+      message: 'Regla de alerta eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar regla de alerta:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerMetricas,
+  obtenerReglas,
+  crearRegla,
+  actualizarRegla,
+  eliminarRegla
+};
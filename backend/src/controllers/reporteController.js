@@ -1,7 +1,42 @@
-const { NAP, Puerto, Cliente, Conexion, Plan, Mantenimiento, Usuario } = require('../models');
+const { NAP, Puerto, Cliente, Conexion, Plan, Mantenimiento, Usuario, Zona } = require('../models');
 const { Op } = require('sequelize');
 const PDFGenerator = require('../utils/pdfGenerator');
 const ExcelGenerator = require('../utils/excelGenerator');
+const CSVGenerator = require('../utils/csvGenerator');
+const { calcularPresupuestosOpticos } = require('../utils/presupuestoOptico');
+const {
+  minutosEntre,
+  intervaloEnPeriodo,
+  minutosCubiertos,
+  tramosDelPeriodo,
+  disponibilidadPorTramo,
+  buscarIncidentesEnPeriodo
+} = require('../utils/incidentes');
+const {
+  COLUMNAS_ATT,
+  UMBRAL_MINUTOS_ATT,
+  UMBRAL_USUARIOS_ATT,
+  parsearPeriodo,
+  filaATT,
+  fechaHoraATT,
+  ubicacionZona
+} = require('../utils/reportesATT');
+const { fechaISOLocal } = require('../utils/fechas');
+const {
+  obtenerAlcanceZonas,
+  filtroZonaNAP,
+  filtroPorPuerto,
+  filtroCliente
+} = require('../utils/zonas');
+const { rolTienePermiso } = require('../utils/permisos');
+const {
+  HORIZONTE_PLANIFICACION_DIAS,
+  pronosticarCapacidad,
+  planificacionCapacidad
+} = require('../utils/pronosticoCapacidad');
+const { conexionesPendientes, accionesDelDia } = require('../utils/cobranza');
+const { sumarDias } = require('../utils/facturacion');
+const { TIPOS_REPORTE } = require('../config/reportes');
 
 // fecha_hasta como string YYYY-MM-DD llega como medianoche UTC → ajustar al final del día
 const finDelDia = (fechaStr) => {
@@ -10,8 +45,29 @@ const finDelDia = (fechaStr) => {
   return d;
 };
 
+// Zonas que cubre el reporte: las del usuario, o sólo ?zona_id= si se indica.
+// Una zona fuera del alcance del usuario da un reporte vacío.
+const resolverZonasReporte = async (req) => {
+  const alcance = await obtenerAlcanceZonas(req);
+  const { zona_id } = req.query;
+  if (!zona_id) return { alcance, parametroZona: {} };
+
+  const zona = await Zona.findByPk(zona_id, { attributes: ['nombre'] });
+  const visible = zona && (!alcance || alcance.includes(zona_id));
+  return {
+    alcance: visible ? [zona_id] : [],
+    parametroZona: { zona: visible ? zona.nombre : zona_id }
+  };
+};
+
+// En la cola de reportes (utils/colaReportes.js) res.locals.alRenderizar marca el avance
+// entre la consulta y la generación del archivo
 const enviarReporteEnFormato = async (res, datos, tipo, formato = 'json') => {
   try {
+    if (formato.toLowerCase() !== 'json' && res.locals?.alRenderizar) {
+      await res.locals.alRenderizar();
+    }
+
     switch (formato.toLowerCase()) {
       case 'pdf':
         const pdfBuffer = await PDFGenerator.generarPDF(datos, tipo);
@@ -28,6 +84,13 @@ const enviarReporteEnFormato = async (res, datos, tipo, formato = 'json') => {
         res.setHeader('Content-Disposition', `attachment; filename=reporte_${tipo}_${Date.now()}.xlsx`);
         res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
         return res.end(excelBuffer, 'binary');
+      case 'csv':
+        const csvBuffer = CSVGenerator.generarCSV(datos);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Length', csvBuffer.length);
+        res.setHeader('Content-Disposition', `attachment; filename=reporte_${tipo}_${Date.now()}.csv`);
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        return res.end(csvBuffer);
       case 'json':
       default:
         return res.json(datos);
@@ -42,8 +105,10 @@ const enviarReporteEnFormato = async (res, datos, tipo, formato = 'json') => {
 const reporteOcupacionNAPs = async (req, res) => {
   try {
     const { formato = 'json' } = req.query;
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
 
     const naps = await NAP.findAll({
+      where: filtroZonaNAP(alcance),
       attributes: ['id', 'codigo', 'modelo', 'ubicacion', 'estado', 'total_puertos', 'createdAt'],
       include: [{
         model: Puerto,
@@ -82,7 +147,7 @@ const reporteOcupacionNAPs = async (req, res) => {
 
     const resultado = {
       success: true, tipo: 'OCUPACION_NAPS', fecha_generacion: new Date(),
-      parametros: {},
+      parametros: { ...parametroZona },
       data: reporte,
       resumen: {
         total_naps: reporte.length,
@@ -113,6 +178,8 @@ const reporteConsumoPorCliente = async (req, res) => {
       if (fecha_desde) whereCondition.createdAt[Op.gte] = new Date(fecha_desde);
       if (fecha_hasta) whereCondition.createdAt[Op.lte] = finDelDia(fecha_hasta);
     }
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
+    Object.assign(whereCondition, filtroPorPuerto(alcance));
 
     const conexiones = await Conexion.findAll({
       where: whereCondition,
@@ -162,7 +229,7 @@ const reporteConsumoPorCliente = async (req, res) => {
 
     const resultado = {
       success: true, tipo: 'CONSUMO_POR_CLIENTE', fecha_generacion: new Date(),
-      parametros: { fecha_desde, fecha_hasta, cliente_id },
+      parametros: { fecha_desde, fecha_hasta, cliente_id, ...parametroZona },
       data: reporte,
       resumen: {
         total_clientes: reporte.length,
@@ -182,8 +249,10 @@ const reporteConsumoPorCliente = async (req, res) => {
 const reporteEstadoTecnico = async (req, res) => {
   try {
     const { formato = 'json' } = req.query;
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
 
     const naps = await NAP.findAll({
+      where: filtroZonaNAP(alcance),
       include: [
         {
           model: Puerto, as: 'puertos',
@@ -197,9 +266,13 @@ const reporteEstadoTecnico = async (req, res) => {
       ]
     });
 
+    // Topología leída una sola vez para todos los NAPs del reporte
+    const presupuestos = await calcularPresupuestosOpticos(naps);
+
     const reporte = naps.map(nap => {
       const puertosOcupados = nap.puertos.filter(p => p.estado === 'OCUPADO').length;
       const porcentaje = nap.total_puertos > 0 ? Math.round((puertosOcupados / nap.total_puertos) * 100) : 0;
+      const optico = presupuestos.get(nap.id);
       let estadoTecnico = 'BUENO';
       if (nap.estado === 'MANTENIMIENTO') estadoTecnico = 'MANTENIMIENTO';
       else if (nap.estado === 'SATURADO' || porcentaje >= 90) estadoTecnico = 'CRITICO';
@@ -215,20 +288,27 @@ const reporteEstadoTecnico = async (req, res) => {
           total_mantenimientos: nap.mantenimientos.length,
           mantenimientos_correctivos: nap.mantenimientos.filter(m => m.tipo === 'CORRECTIVO').length,
           dias_desde_ultimo: ultimo ? Math.ceil((new Date() - new Date(ultimo.fecha)) / 86400000) : null
+        },
+        presupuesto_optico: {
+          potencia_nap_dbm: optico.presupuesto_nap.potencia_nap_dbm,
+          peor_potencia_rx_dbm: optico.resumen.peor_potencia_rx_dbm,
+          puertos_marginales: optico.resumen.marginales,
+          puertos_bajo_sensibilidad: optico.resumen.bajo_sensibilidad
         }
       };
     });
 
     const resultado = {
       success: true, tipo: 'ESTADO_TECNICO', fecha_generacion: new Date(),
-      parametros: {},
+      parametros: { ...parametroZona },
       data: reporte,
       resumen: {
         total_naps: reporte.length,
         buenos: reporte.filter(n => n.estado_tecnico === 'BUENO').length,
         advertencia: reporte.filter(n => n.estado_tecnico === 'ADVERTENCIA').length,
         criticos: reporte.filter(n => n.estado_tecnico === 'CRITICO').length,
-        mantenimiento: reporte.filter(n => n.estado_tecnico === 'MANTENIMIENTO').length
+        mantenimiento: reporte.filter(n => n.estado_tecnico === 'MANTENIMIENTO').length,
+        naps_con_puertos_bajo_sensibilidad: reporte.filter(n => n.presupuesto_optico.puertos_bajo_sensibilidad > 0).length
       }
     };
 
@@ -240,57 +320,60 @@ const reporteEstadoTecnico = async (req, res) => {
 };
 
 // ─── Reporte 4: Caídas e interrupciones ──────────────────────────────────────
+// Un renglón por incidente que se solapa con el periodo. Los usuarios afectados
+// salen de la foto tomada al abrir el incidente, no de los puertos ocupados hoy.
 const reporteCaidasInterrupciones = async (req, res) => {
   try {
     const { fecha_desde, fecha_hasta, formato = 'json' } = req.query;
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
 
-    let whereCondition = { tipo: 'CORRECTIVO' };
-    if (fecha_desde || fecha_hasta) {
-      whereCondition.fecha = {};
-      if (fecha_desde) whereCondition.fecha[Op.gte] = new Date(fecha_desde);
-      if (fecha_hasta) whereCondition.fecha[Op.lte] = finDelDia(fecha_hasta);
-    }
-
-    const mantenimientos = await Mantenimiento.findAll({
-      where: whereCondition,
-      include: [
-        {
-          model: NAP, as: 'nap',
-          include: [{
-            model: Puerto, as: 'puertos',
-            where: { estado: 'OCUPADO' },
-            required: false
-          }]
-        },
-        { model: Usuario, as: 'tecnico', attributes: ['nombre'] }
-      ],
-      order: [['fecha', 'DESC']]
+    const incidentes = await buscarIncidentesEnPeriodo({
+      desde: fecha_desde ? new Date(fecha_desde) : null,
+      hasta: fecha_hasta ? finDelDia(fecha_hasta) : null,
+      alcance
     });
 
-    const reporte = mantenimientos.map(m => ({
-      id: m.id,
-      fecha: m.fecha,
-      nap_codigo: m.nap.codigo,
-      nap_modelo: m.nap.modelo,
-      nap_ubicacion: m.nap.ubicacion,
-      nap_estado_actual: m.nap.estado,
-      causa: m.descripcion,
-      usuarios_afectados: m.nap.puertos ? m.nap.puertos.length : 0,
-      tecnico_responsable: m.tecnico?.nombre || 'N/A'
-    }));
+    const ahora = new Date();
+    const reporte = incidentes.map(i => {
+      const minutosCaida = minutosEntre(new Date(i.fecha_inicio), i.fecha_resolucion ? new Date(i.fecha_resolucion) : ahora);
+      const puertosAfectados = i.afectados.filter(a => a.puerto_id).length;
 
-    const napsUnicas = new Set(reporte.map(r => r.nap_codigo)).size;
+      return {
+        id: i.id,
+        titulo: i.titulo,
+        categoria: i.categoria,
+        estado: i.estado,
+        fecha_inicio: i.fecha_inicio,
+        fecha_resolucion: i.fecha_resolucion,
+        naps_afectadas: [...new Set(i.afectados.map(a => a.nap.codigo))].join(', '),
+        alcance_falla: puertosAfectados === i.afectados.length ? `${puertosAfectados} puerto(s)` : 'NAP completa',
+        minutos_caida: minutosCaida,
+        usuarios_afectados: i.conexiones.length,
+        minutos_usuario: minutosCaida * i.conexiones.length,
+        abierto_por: i.abierto_por_usuario?.nombre || 'N/A'
+      };
+    });
+
+    const napsUnicas = new Set(incidentes.flatMap(i => i.afectados.map(a => a.nap_id))).size;
+    const totalUsuarios = reporte.reduce((s, r) => s + r.usuarios_afectados, 0);
+    const resueltos = reporte.filter(r => r.estado === 'RESUELTO');
 
     const resultado = {
       success: true, tipo: 'CAIDAS_INTERRUPCIONES', fecha_generacion: new Date(),
-      parametros: { fecha_desde, fecha_hasta },
+      parametros: { fecha_desde, fecha_hasta, ...parametroZona },
       data: reporte,
       resumen: {
         total_incidentes: reporte.length,
+        incidentes_abiertos: reporte.length - resueltos.length,
         naps_afectadas: napsUnicas,
-        total_usuarios_afectados: reporte.reduce((s, r) => s + r.usuarios_afectados, 0),
+        total_usuarios_afectados: totalUsuarios,
         promedio_usuarios_por_incidente: reporte.length > 0
-          ? Math.round(reporte.reduce((s, r) => s + r.usuarios_afectados, 0) / reporte.length)
+          ? Math.round(totalUsuarios / reporte.length)
+          : 0,
+        total_minutos_caida: reporte.reduce((s, r) => s + r.minutos_caida, 0),
+        total_minutos_usuario: reporte.reduce((s, r) => s + r.minutos_usuario, 0),
+        tiempo_medio_resolucion_min: resueltos.length > 0
+          ? Math.round(resueltos.reduce((s, r) => s + r.minutos_caida, 0) / resueltos.length)
           : 0
       }
     };
@@ -303,40 +386,67 @@ const reporteCaidasInterrupciones = async (req, res) => {
 };
 
 // ─── Reporte 5: Disponibilidad de servicio ────────────────────────────────────
+// Minutos fuera de servicio de cada NAP = unión de sus incidentes recortados al
+// periodo (dos incidentes solapados no cuentan doble). El periodo termina ahora
+// como máximo, para no contar como disponibles minutos que aún no pasaron.
 const reporteDisponibilidadServicio = async (req, res) => {
   try {
     const { fecha_desde, fecha_hasta, formato = 'json' } = req.query;
 
-    const fechaInicio = fecha_desde ? new Date(fecha_desde) : new Date(Date.now() - 30 * 86400000);
-    const fechaFin = fecha_hasta ? finDelDia(fecha_hasta) : new Date();
+    const ahora = new Date();
+    const fechaInicio = fecha_desde ? new Date(fecha_desde) : new Date(ahora - 30 * 86400000);
+    const fechaFin = fecha_hasta ? new Date(Math.min(finDelDia(fecha_hasta), ahora)) : ahora;
+    const minutosPeriodo = minutosEntre(fechaInicio, fechaFin);
     const diasPeriodo = Math.max(1, Math.ceil((fechaFin - fechaInicio) / 86400000));
 
-    let mantWhere = { tipo: 'CORRECTIVO', fecha: { [Op.gte]: fechaInicio, [Op.lte]: fechaFin } };
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
 
-    const naps = await NAP.findAll({
-      include: [
-        {
-          model: Mantenimiento, as: 'mantenimientos',
-          where: mantWhere, required: false,
-          include: [{ model: Usuario, as: 'tecnico', attributes: ['nombre'] }]
-        },
-        {
+    const [naps, incidentes] = await Promise.all([
+      NAP.findAll({
+        where: filtroZonaNAP(alcance),
+        include: [{
           model: Puerto, as: 'puertos',
+          attributes: ['id'],
           where: { estado: 'OCUPADO' }, required: false
-        }
-      ],
-      order: [['codigo', 'ASC']]
-    });
+        }],
+        order: [['codigo', 'ASC']]
+      }),
+      buscarIncidentesEnPeriodo({ desde: fechaInicio, hasta: fechaFin, alcance })
+    ]);
+
+    const incidentesPorNAP = new Map();
+    for (const incidente of incidentes) {
+      for (const napId of new Set(incidente.afectados.map(a => a.nap_id))) {
+        if (!incidentesPorNAP.has(napId)) incidentesPorNAP.set(napId, []);
+        incidentesPorNAP.get(napId).push(incidente);
+      }
+    }
+
+    // Disponibilidad por día (o semana) de las NAPs con incidentes, para el mapa de calor
+    const tramos = tramosDelPeriodo(fechaInicio, fechaFin);
+    const disponibilidadDiaria = [];
 
     const reporte = naps.map(nap => {
-      const incidentes = nap.mantenimientos.length;
-      // Estimación conservadora: 4 horas de interrupción por incidente correctivo
-      const horasEstimFuera = incidentes * 4;
-      const horasPeriodo = diasPeriodo * 24;
-      const disponibilidad = Math.max(0, Math.round(((horasPeriodo - horasEstimFuera) / horasPeriodo) * 1000) / 10);
+      const propios = incidentesPorNAP.get(nap.id) || [];
+      const intervalos = propios
+        .map(i => intervaloEnPeriodo(i, fechaInicio, fechaFin))
+        .filter(Boolean);
+      const minutosFuera = minutosCubiertos(intervalos);
+      if (intervalos.length > 0) {
+        disponibilidadDiaria.push({ nap_codigo: nap.codigo, valores: disponibilidadPorTramo(intervalos, tramos) });
+      }
+      const disponibilidad = minutosPeriodo > 0
+        ? Math.max(0, Math.round(((minutosPeriodo - minutosFuera) / minutosPeriodo) * 10000) / 100)
+        : 100;
 
-      const ultimo = nap.mantenimientos
-        .sort((a, b) => new Date(b.fecha) - new Date(a.fecha))[0];
+      let usuariosAfectados = 0;
+      let minutosUsuario = 0;
+      for (const i of propios) {
+        const intervalo = intervaloEnPeriodo(i, fechaInicio, fechaFin);
+        const usuarios = i.conexiones.filter(c => c.nap_id === nap.id).length;
+        usuariosAfectados += usuarios;
+        if (intervalo) minutosUsuario += usuarios * minutosEntre(intervalo[0], intervalo[1]);
+      }
 
       return {
         nap_codigo: nap.codigo,
@@ -344,25 +454,34 @@ const reporteDisponibilidadServicio = async (req, res) => {
         nap_ubicacion: nap.ubicacion,
         estado_actual: nap.estado,
         disponibilidad_porcentaje: disponibilidad,
-        incidentes_en_periodo: incidentes,
-        horas_estimadas_fuera: horasEstimFuera,
+        incidentes_en_periodo: propios.length,
+        minutos_fuera_servicio: minutosFuera,
+        usuarios_afectados: usuariosAfectados,
+        minutos_usuario: minutosUsuario,
         clientes_activos: nap.puertos ? nap.puertos.length : 0,
-        ultimo_incidente: ultimo ? ultimo.fecha : null
+        // buscarIncidentesEnPeriodo devuelve de más reciente a más antiguo
+        ultimo_incidente: propios.length > 0 ? propios[0].fecha_inicio : null
       };
     });
 
     const resultado = {
       success: true, tipo: 'DISPONIBILIDAD_SERVICIO', fecha_generacion: new Date(),
-      parametros: { fecha_desde: fechaInicio.toISOString().slice(0, 10), fecha_hasta: fechaFin.toISOString().slice(0, 10) },
+      parametros: { fecha_desde: fechaInicio.toISOString().slice(0, 10), fecha_hasta: fechaFin.toISOString().slice(0, 10), ...parametroZona },
       data: reporte,
       resumen: {
         total_naps: reporte.length,
         disponibilidad_promedio_pct: reporte.length > 0
-          ? Math.round(reporte.reduce((s, n) => s + n.disponibilidad_porcentaje, 0) / reporte.length * 10) / 10
+          ? Math.round(reporte.reduce((s, n) => s + n.disponibilidad_porcentaje, 0) / reporte.length * 100) / 100
           : 100,
         naps_sin_incidentes: reporte.filter(n => n.incidentes_en_periodo === 0).length,
-        total_incidentes: reporte.reduce((s, n) => s + n.incidentes_en_periodo, 0),
+        total_incidentes: incidentes.length,
+        total_minutos_usuario: reporte.reduce((s, n) => s + n.minutos_usuario, 0),
+        minutos_periodo: minutosPeriodo,
         dias_periodo: diasPeriodo
+      },
+      disponibilidad_diaria: {
+        tramos: tramos.map(t => t.etiqueta),
+        naps: disponibilidadDiaria
       }
     };
 
@@ -382,9 +501,11 @@ const reporteAltasYBajas = async (req, res) => {
     const fechaFinStr = fecha_hasta || new Date().toISOString().slice(0, 10);
     const fechaInicio = new Date(fechaInicioStr);
     const fechaFin = finDelDia(fechaFinStr);
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
+    const enZona = filtroPorPuerto(alcance);
 
     const altas = await Conexion.findAll({
-      where: { fecha_inicio: { [Op.gte]: fechaInicioStr, [Op.lte]: fechaFinStr } },
+      where: { fecha_inicio: { [Op.gte]: fechaInicioStr, [Op.lte]: fechaFinStr }, ...enZona },
       include: [
         { model: Cliente, as: 'cliente', attributes: ['nombre', 'apellido', 'ci', 'telefono'] },
         { model: Plan, as: 'plan', attributes: ['nombre', 'velocidad_mbps'] },
@@ -399,7 +520,8 @@ const reporteAltasYBajas = async (req, res) => {
         [Op.or]: [
           { fecha_fin: { [Op.gte]: fechaInicioStr, [Op.lte]: fechaFinStr } },
           { updatedAt: { [Op.gte]: fechaInicio, [Op.lte]: fechaFin } }
-        ]
+        ],
+        ...enZona
       },
       include: [
         { model: Cliente, as: 'cliente', attributes: ['nombre', 'apellido', 'ci', 'telefono'] },
@@ -437,7 +559,7 @@ const reporteAltasYBajas = async (req, res) => {
 
     const resultado = {
       success: true, tipo: 'ALTAS_BAJAS', fecha_generacion: new Date(),
-      parametros: { fecha_desde: fechaInicioStr, fecha_hasta: fechaFinStr },
+      parametros: { fecha_desde: fechaInicioStr, fecha_hasta: fechaFinStr, ...parametroZona },
       data,
       resumen: {
         total_altas: altas.length,
@@ -458,8 +580,10 @@ const reporteAltasYBajas = async (req, res) => {
 const reporteClientes = async (req, res) => {
   try {
     const { formato = 'json' } = req.query;
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
 
     const clientes = await Cliente.findAll({
+      where: filtroCliente(alcance),
       include: [{
         model: Conexion, as: 'conexiones',
         include: [
@@ -493,7 +617,7 @@ const reporteClientes = async (req, res) => {
 
     const resultado = {
       success: true, tipo: 'CLIENTES_ESTADO', fecha_generacion: new Date(),
-      parametros: {},
+      parametros: { ...parametroZona },
       data: reporte,
       resumen: {
         total_clientes: reporte.length,
@@ -511,74 +635,424 @@ const reporteClientes = async (req, res) => {
   }
 };
 
-// ─── Tipos disponibles ────────────────────────────────────────────────────────
-const obtenerTiposReporte = async (req, res) => {
+// ─── Reporte 8: Planificación de capacidad ───────────────────────────────────
+// Zonas con NAPs que se saturan dentro del horizonte y cuántos NAPs nuevos harían falta
+// (utils/pronosticoCapacidad.js); naps lleva el pronóstico de cada NAP crítico
+const reportePlanificacionCapacidad = async (req, res) => {
   try {
-    const tipos = [
-      {
-        id: 'ocupacion',
-        nombre: 'Ocupación por NAP',
-        descripcion: 'Estado actual de ocupación de puertos por cada NAP y conexiones activas',
-        categoria: 'Infraestructura',
-        parametros: [],
-        formatos: ['json', 'pdf', 'excel']
-      },
-      {
-        id: 'tecnico',
-        nombre: 'Estado Técnico de NAPs',
-        descripcion: 'Estado técnico actual, ocupación y últimos mantenimientos de cada NAP',
-        categoria: 'Infraestructura',
-        parametros: [],
-        formatos: ['json', 'pdf', 'excel']
-      },
-      {
-        id: 'caidas-interrupciones',
-        nombre: 'Caídas e Interrupciones',
-        descripcion: 'Registro de fallas correctivas: fecha, NAP afectada, causa y usuarios impactados',
-        categoria: 'Infraestructura',
-        parametros: ['fecha_desde', 'fecha_hasta'],
-        formatos: ['json', 'pdf', 'excel']
-      },
-      {
-        id: 'disponibilidad',
-        nombre: 'Disponibilidad de Servicio',
-        descripcion: 'Porcentaje de disponibilidad por NAP estimado a partir de incidentes correctivos',
-        categoria: 'Infraestructura',
-        parametros: ['fecha_desde', 'fecha_hasta'],
-        formatos: ['json', 'pdf', 'excel']
-      },
-      {
-        id: 'consumo',
-        nombre: 'Consumo por Cliente',
-        descripcion: 'Detalle del historial de conexiones y planes utilizados por cliente',
-        categoria: 'Clientes',
-        parametros: ['fecha_desde', 'fecha_hasta', 'cliente_id'],
-        formatos: ['json', 'pdf', 'excel']
-      },
-      {
-        id: 'altas-bajas',
-        nombre: 'Altas y Bajas de Servicio',
-        descripcion: 'Movimiento de clientes en el periodo: nuevas contrataciones y cancelaciones',
-        categoria: 'Clientes',
-        parametros: ['fecha_desde', 'fecha_hasta'],
-        formatos: ['json', 'pdf', 'excel']
+    const { formato = 'json' } = req.query;
+    const horizonte = parseInt(req.query.horizonte_dias || HORIZONTE_PLANIFICACION_DIAS, 10);
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
+
+    const pronosticos = await pronosticarCapacidad({ where: filtroZonaNAP(alcance) });
+    const areas = planificacionCapacidad(pronosticos, horizonte);
+    const criticos = pronosticos.filter(p => p.dias_para_saturar !== null && p.dias_para_saturar <= horizonte);
+
+    const resultado = {
+      success: true, tipo: 'PLANIFICACION_CAPACIDAD', fecha_generacion: new Date(),
+      parametros: { horizonte_dias: horizonte, ...parametroZona },
+      data: areas.map(area => ({ ...area, naps_criticos: area.naps_criticos.join(', ') })),
+      naps: criticos.map(p => ({
+        nap: p.nap.codigo,
+        zona: p.nap.zona?.nombre || 'Sin zona',
+        ubicacion: p.nap.ubicacion,
+        total_puertos: p.total_puertos,
+        puertos_libres: p.puertos_libres,
+        porcentaje_ocupacion: p.porcentaje_ocupacion,
+        puertos_por_mes: p.crecimiento?.puertos_por_mes ?? 0,
+        dias_para_saturar: p.dias_para_saturar,
+        fecha_saturacion: p.fecha_saturacion
+      })),
+      resumen: {
+        total_naps: pronosticos.length,
+        naps_saturados: pronosticos.filter(p => p.puertos_libres === 0).length,
+        naps_saturan_en_horizonte: criticos.filter(p => p.puertos_libres > 0).length,
+        zonas_a_ampliar: areas.length,
+        zonas_urgentes: areas.filter(a => a.prioridad === 'URGENTE').length,
+        naps_sugeridos: areas.reduce((s, a) => s + a.naps_sugeridos, 0),
+        horizonte_dias: horizonte
+      }
+    };
+
+    return enviarReporteEnFormato(res, resultado, 'planificacion_capacidad', formato);
+  } catch (error) {
+    console.error('Error en reportePlanificacionCapacidad:', error);
+    res.status(500).json({ success: false, message: 'Error interno del servidor' });
+  }
+};
+
+// ─── Reporte 9: Cortes y reconexiones del día ────────────────────────────────
+// Hoja de ruta de los técnicos: lo que la cobranza (utils/cobranza.js) suspendió por mora o reactivó
+// por pago hoy (REALIZADA) y lo que todavía le toca (PENDIENTE, p. ej. antes de la pasada diaria).
+// "facturacion" dice qué días cobra la factura del mes: hasta ayer la que se suspende, desde hoy
+// la que se reactiva (ver utils/facturacion.js)
+const ORDEN_ACCION_CORTE = { SUSPENDER: 0, REACTIVAR: 1 };
+
+const filaCorte = (accion, estado, conexion, hoy, deuda, moneda) => ({
+  accion,
+  estado,
+  cliente: [conexion.cliente?.nombre, conexion.cliente?.apellido].filter(Boolean).join(' ') || 'N/A',
+  ci: conexion.cliente?.ci || 'N/A',
+  telefono: conexion.cliente?.telefono || 'N/A',
+  direccion: conexion.cliente?.direccion || 'N/A',
+  zona: conexion.puerto?.nap?.zona?.nombre || 'Sin zona',
+  nap: conexion.puerto?.nap?.codigo || 'N/A',
+  ubicacion_nap: conexion.puerto?.nap?.ubicacion || 'N/A',
+  puerto: conexion.puerto?.numero ?? null,
+  plan: conexion.plan?.nombre || 'N/A',
+  deuda: deuda !== null && deuda !== undefined ? Number(deuda) : null,
+  moneda: moneda || null,
+  facturacion: accion === 'SUSPENDER' ? `Hasta ${sumarDias(hoy, -1)}` : `Desde ${hoy}`
+});
+
+const reporteCortesReconexiones = async (req, res) => {
+  try {
+    const { formato = 'json' } = req.query;
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
+    const hoy = fechaISOLocal(new Date());
+
+    const [acciones, pendientes] = await Promise.all([
+      accionesDelDia({ hoy, alcance }),
+      conexionesPendientes({ hoy, alcance })
+    ]);
+
+    const reporte = [
+      ...acciones.map(a => filaCorte(a.tipo === 'SUSPENSION' ? 'SUSPENDER' : 'REACTIVAR', 'REALIZADA', a.conexion, hoy, a.deuda, a.moneda)),
+      ...pendientes.suspender.map(({ conexion, mora }) => filaCorte('SUSPENDER', 'PENDIENTE', conexion, hoy, mora.deuda[0]?.monto, mora.deuda[0]?.moneda)),
+      ...pendientes.reactivar.map(({ conexion }) => filaCorte('REACTIVAR', 'PENDIENTE', conexion, hoy))
+    ].sort((a, b) => ORDEN_ACCION_CORTE[a.accion] - ORDEN_ACCION_CORTE[b.accion]
+      || a.zona.localeCompare(b.zona)
+      || a.nap.localeCompare(b.nap)
+      || (a.puerto ?? 0) - (b.puerto ?? 0));
+
+    const contar = (accion, estado) => reporte.filter(f => f.accion === accion && f.estado === estado).length;
+
+    const resultado = {
+      success: true, tipo: 'CORTES_RECONEXIONES', fecha_generacion: new Date(),
+      parametros: { fecha: hoy, ...parametroZona },
+      data: reporte,
+      resumen: {
+        suspendidas_hoy: contar('SUSPENDER', 'REALIZADA'),
+        reactivadas_hoy: contar('REACTIVAR', 'REALIZADA'),
+        por_suspender: contar('SUSPENDER', 'PENDIENTE'),
+        por_reactivar: contar('REACTIVAR', 'PENDIENTE')
+      }
+    };
+
+    return enviarReporteEnFormato(res, resultado, 'cortes_reconexiones', formato);
+  } catch (error) {
+    console.error('Error en reporteCortesReconexiones:', error);
+    res.status(500).json({ success: false, message: 'Error interno del servidor' });
+  }
+};
+
+// ─── Reportes regulatorios (ATT) ──────────────────────────────────────────────
+// Layout fijo (utils/reportesATT.js) y periodo mensual o trimestral ya cerrado
+// (validarPeriodoATT). Agrupan por la ubicación oficial de la zona del NAP.
+
+// Conexiones vigentes en algún momento del periodo, con velocidad y ubicación
+const conexionesDelPeriodo = (periodo, alcance) => Conexion.findAll({
+  where: {
+    [Op.and]: [
+      filtroPorPuerto(alcance),
+      { fecha_inicio: { [Op.lte]: fechaISOLocal(periodo.hasta) } },
+      { [Op.or]: [{ fecha_fin: null }, { fecha_fin: { [Op.gte]: fechaISOLocal(periodo.desde) } }] }
+    ]
+  },
+  attributes: ['id', 'estado', 'fecha_inicio', 'fecha_fin'],
+  include: [
+    { model: Plan, as: 'plan', attributes: ['velocidad_mbps'] },
+    {
+      model: Puerto, as: 'puerto', attributes: ['id'],
+      include: [{
+        model: NAP, as: 'nap', attributes: ['id', 'zona_id'],
+        include: [{ model: Zona, as: 'zona', attributes: ['departamento', 'municipio', 'codigo_municipio'] }]
+      }]
+    }
+  ]
+});
+
+// Suscriptor al cierre del periodo: sin fecha de fin o con fin posterior al cierre.
+// Una FINALIZADA sin fecha_fin (registros viejos) no se cuenta.
+const vigenteAlCierre = (conexion, hastaStr) => conexion.fecha_fin
+  ? conexion.fecha_fin > hastaStr
+  : conexion.estado !== 'FINALIZADA';
+
+const claveUbicacion = (u) => `${u.departamento}|${u.municipio}|${u.cod_municipio}`;
+
+const ordenarPorUbicacion = (a, b) => a.departamento.localeCompare(b.departamento)
+  || a.municipio.localeCompare(b.municipio);
+
+const reporteATTSuscriptores = async (req, res) => {
+  try {
+    const { periodo: codigoPeriodo, formato = 'json' } = req.query;
+    const periodo = parsearPeriodo(codigoPeriodo);
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
+
+    const conexiones = await conexionesDelPeriodo(periodo, alcance);
+    const desdeStr = fechaISOLocal(periodo.desde);
+    const hastaStr = fechaISOLocal(periodo.hasta);
+
+    const grupos = new Map();
+    for (const c of conexiones) {
+      const ubicacion = ubicacionZona(c.puerto?.nap?.zona);
+      const velocidad = c.plan?.velocidad_mbps ?? 0;
+      const clave = `${claveUbicacion(ubicacion)}|${velocidad}`;
+
+      if (!grupos.has(clave)) {
+        grupos.set(clave, { ...ubicacion, velocidad_mbps: velocidad, suscriptores: 0, altas: 0, bajas: 0 });
+      }
+      const grupo = grupos.get(clave);
+
+      if (vigenteAlCierre(c, hastaStr)) grupo.suscriptores++;
+      if (c.fecha_inicio >= desdeStr) grupo.altas++;
+      if (c.fecha_fin && c.fecha_fin >= desdeStr && c.fecha_fin <= hastaStr) grupo.bajas++;
+    }
+
+    const reporte = [...grupos.values()]
+      .sort((a, b) => ordenarPorUbicacion(a, b) || a.velocidad_mbps - b.velocidad_mbps)
+      .map(g => filaATT('suscriptores', { periodo: periodo.codigo, ...g }));
+
+    const resultado = {
+      success: true, tipo: 'ATT_SUSCRIPTORES', fecha_generacion: new Date(),
+      parametros: { periodo: periodo.codigo, tipo_periodo: periodo.tipo, ...parametroZona },
+      columnas: COLUMNAS_ATT.suscriptores,
+      data: reporte,
+      resumen: {
+        total_suscriptores: reporte.reduce((s, r) => s + r.suscriptores, 0),
+        total_altas: reporte.reduce((s, r) => s + r.altas, 0),
+        total_bajas: reporte.reduce((s, r) => s + r.bajas, 0),
+        municipios: new Set(reporte.map(r => claveUbicacion(r))).size,
+        filas_sin_municipio: reporte.filter(r => !r.cod_municipio).length
+      }
+    };
+
+    return enviarReporteEnFormato(res, resultado, 'att_suscriptores', formato);
+  } catch (error) {
+    console.error('Error en reporteATTSuscriptores:', error);
+    res.status(500).json({ success: false, message: 'Error interno del servidor' });
+  }
+};
+
+// Ubicación oficial de cada NAP afectado por los incidentes (función napId → ubicación)
+const ubicacionesDeNAPs = async (incidentes) => {
+  const zonaIds = [...new Set(incidentes.flatMap(i => i.afectados.map(a => a.nap?.zona_id)).filter(Boolean))];
+  const zonas = await Zona.findAll({
+    where: { id: { [Op.in]: zonaIds } },
+    attributes: ['id', 'departamento', 'municipio', 'codigo_municipio']
+  });
+  const porZona = new Map(zonas.map(z => [z.id, z]));
+
+  const porNAP = new Map();
+  for (const i of incidentes) {
+    for (const a of i.afectados) {
+      porNAP.set(a.nap_id, ubicacionZona(porZona.get(a.nap?.zona_id)));
+    }
+  }
+  return (napId) => porNAP.get(napId) || ubicacionZona(null);
+};
+
+// Disponibilidad ponderada por usuarios: 1 − minutos-usuario afectados / (suscriptores × minutos del periodo)
+const reporteATTCalidadServicio = async (req, res) => {
+  try {
+    const { periodo: codigoPeriodo, formato = 'json' } = req.query;
+    const periodo = parsearPeriodo(codigoPeriodo);
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
+    const minutosPeriodo = minutosEntre(periodo.desde, periodo.hasta);
+    const hastaStr = fechaISOLocal(periodo.hasta);
+
+    const [conexiones, incidentes] = await Promise.all([
+      conexionesDelPeriodo(periodo, alcance),
+      buscarIncidentesEnPeriodo({ desde: periodo.desde, hasta: periodo.hasta, alcance })
+    ]);
+    const ubicacionDeNAP = await ubicacionesDeNAPs(incidentes);
+
+    const municipios = new Map();
+    const municipio = (ubicacion) => {
+      const clave = claveUbicacion(ubicacion);
+      if (!municipios.has(clave)) {
+        municipios.set(clave, { ...ubicacion, suscriptores: 0, incidentes: new Set(), intervalos: [], minutos_usuario_afectado: 0 });
+      }
+      return municipios.get(clave);
+    };
+
+    for (const c of conexiones) {
+      if (vigenteAlCierre(c, hastaStr)) municipio(ubicacionZona(c.puerto?.nap?.zona)).suscriptores++;
+    }
+
+    for (const i of incidentes) {
+      const intervalo = intervaloEnPeriodo(i, periodo.desde, periodo.hasta);
+      if (!intervalo) continue;
+
+      for (const a of i.afectados) {
+        const m = municipio(ubicacionDeNAP(a.nap_id));
+        if (!m.incidentes.has(i.id)) {
+          m.incidentes.add(i.id);
+          m.intervalos.push(intervalo);
+        }
+      }
+      for (const c of i.conexiones) {
+        municipio(ubicacionDeNAP(c.nap_id)).minutos_usuario_afectado += minutosEntre(intervalo[0], intervalo[1]);
+      }
+    }
+
+    const reporte = [...municipios.values()].sort(ordenarPorUbicacion).map(m => {
+      const capacidad = m.suscriptores * minutosPeriodo;
+      const disponibilidad = capacidad > 0
+        ? Math.max(0, Math.round((1 - m.minutos_usuario_afectado / capacidad) * 10000) / 100)
+        : 100;
+
+      return filaATT('calidad_servicio', {
+        periodo: periodo.codigo,
+        departamento: m.departamento,
+        municipio: m.municipio,
+        cod_municipio: m.cod_municipio,
+        suscriptores: m.suscriptores,
+        incidentes: m.incidentes.size,
+        minutos_interrupcion: minutosCubiertos(m.intervalos),
+        minutos_usuario_afectado: m.minutos_usuario_afectado,
+        disponibilidad_pct: disponibilidad.toFixed(2)
+      });
+    });
+
+    const totalSuscriptores = reporte.reduce((s, r) => s + r.suscriptores, 0);
+    const totalMinutosUsuario = reporte.reduce((s, r) => s + r.minutos_usuario_afectado, 0);
+
+    const resultado = {
+      success: true, tipo: 'ATT_CALIDAD_SERVICIO', fecha_generacion: new Date(),
+      parametros: { periodo: periodo.codigo, tipo_periodo: periodo.tipo, ...parametroZona },
+      columnas: COLUMNAS_ATT.calidad_servicio,
+      data: reporte,
+      resumen: {
+        total_suscriptores: totalSuscriptores,
+        total_incidentes: incidentes.length,
+        minutos_periodo: minutosPeriodo,
+        disponibilidad_global_pct: totalSuscriptores > 0
+          ? Math.max(0, Math.round((1 - totalMinutosUsuario / (totalSuscriptores * minutosPeriodo)) * 10000) / 100)
+          : 100
+      }
+    };
+
+    return enviarReporteEnFormato(res, resultado, 'att_calidad_servicio', formato);
+  } catch (error) {
+    console.error('Error en reporteATTCalidadServicio:', error);
+    res.status(500).json({ success: false, message: 'Error interno del servidor' });
+  }
+};
+
+// Incidentes iniciados en el periodo que superan ambos umbrales (duración y usuarios).
+// Un incidente que abarca varios municipios ocupa una fila por municipio.
+const reporteATTIncidentes = async (req, res) => {
+  try {
+    const { periodo: codigoPeriodo, formato = 'json' } = req.query;
+    const umbralMinutos = req.query.umbral_minutos !== undefined ? parseInt(req.query.umbral_minutos, 10) : UMBRAL_MINUTOS_ATT;
+    const umbralUsuarios = req.query.umbral_usuarios !== undefined ? parseInt(req.query.umbral_usuarios, 10) : UMBRAL_USUARIOS_ATT;
+    const periodo = parsearPeriodo(codigoPeriodo);
+    const { alcance, parametroZona } = await resolverZonasReporte(req);
+
+    const incidentes = (await buscarIncidentesEnPeriodo({ desde: periodo.desde, hasta: periodo.hasta, alcance }))
+      .filter(i => new Date(i.fecha_inicio) >= periodo.desde);
+    const ubicacionDeNAP = await ubicacionesDeNAPs(incidentes);
+
+    const ahora = new Date();
+    const reporte = [];
+    let incidentesSobreUmbral = 0;
+
+    for (const i of [...incidentes].reverse()) {
+      const duracion = minutosEntre(new Date(i.fecha_inicio), i.fecha_resolucion ? new Date(i.fecha_resolucion) : ahora);
+      if (duracion < umbralMinutos || i.conexiones.length < umbralUsuarios) continue;
+      incidentesSobreUmbral++;
+
+      const porMunicipio = new Map();
+      for (const a of i.afectados) {
+        const ubicacion = ubicacionDeNAP(a.nap_id);
+        const clave = claveUbicacion(ubicacion);
+        if (!porMunicipio.has(clave)) porMunicipio.set(clave, { ...ubicacion, naps: new Set(), usuarios: 0 });
+        porMunicipio.get(clave).naps.add(a.nap.codigo);
+      }
+      for (const c of i.conexiones) {
+        const grupo = porMunicipio.get(claveUbicacion(ubicacionDeNAP(c.nap_id)));
+        if (grupo) grupo.usuarios++;
+      }
+
+      for (const m of [...porMunicipio.values()].sort(ordenarPorUbicacion)) {
+        reporte.push(filaATT('incidentes_umbral', {
+          periodo: periodo.codigo,
+          nro_incidente: i.id,
+          fecha_inicio: fechaHoraATT(i.fecha_inicio),
+          fecha_fin: fechaHoraATT(i.fecha_resolucion),
+          duracion_min: duracion,
+          causa: i.categoria,
+          departamento: m.departamento,
+          municipio: m.municipio,
+          cod_municipio: m.cod_municipio,
+          naps_afectadas: [...m.naps].join(', '),
+          usuarios_afectados: m.usuarios,
+          estado: i.estado
+        }));
+      }
+    }
+
+    const resultado = {
+      success: true, tipo: 'ATT_INCIDENTES_UMBRAL', fecha_generacion: new Date(),
+      parametros: {
+        periodo: periodo.codigo,
+        tipo_periodo: periodo.tipo,
+        umbral_minutos: umbralMinutos,
+        umbral_usuarios: umbralUsuarios,
+        ...parametroZona
       },
-      {
-        id: 'clientes',
-        nombre: 'Reporte de Clientes',
-        descripcion: 'Lista completa de clientes con su estado de servicio, plan y NAP asignada',
-        categoria: 'Clientes',
-        parametros: [],
-        formatos: ['json', 'pdf', 'excel']
+      columnas: COLUMNAS_ATT.incidentes_umbral,
+      data: reporte,
+      resumen: {
+        incidentes_en_periodo: incidentes.length,
+        incidentes_sobre_umbral: incidentesSobreUmbral,
+        usuarios_afectados: reporte.reduce((s, r) => s + r.usuarios_afectados, 0),
+        incidentes_abiertos: new Set(reporte.filter(r => r.estado === 'ABIERTO').map(r => r.nro_incidente)).size
       }
-    ];
+    };
 
-    res.json({ success: true, data: tipos });
+    return enviarReporteEnFormato(res, resultado, 'att_incidentes_umbral', formato);
   } catch (error) {
+    console.error('Error en reporteATTIncidentes:', error);
     res.status(500).json({ success: false, message: 'Error interno del servidor' });
   }
 };
 
+// ─── Tipos disponibles ────────────────────────────────────────────────────────
+// Reportes del catálogo que puede ver un rol, sin el permiso que los habilita
+const tiposReporteParaRol = async (rol) => {
+  const tipos = [];
+  for (const { permiso, ...tipo } of TIPOS_REPORTE) {
+    if (!permiso || await rolTienePermiso(rol, permiso)) tipos.push(tipo);
+  }
+  return tipos;
+};
+
+const obtenerTiposReporte = async (req, res) => {
+  try {
+    res.json({ success: true, data: await tiposReporteParaRol(req.usuario.rol) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Error interno del servidor' });
+  }
+};
+
+// Reportes que se pueden pedir en segundo plano (?async=true), por su ruta bajo /reportes
+const reportesAsincronos = {
+  ocupacion: reporteOcupacionNAPs,
+  tecnico: reporteEstadoTecnico,
+  'caidas-interrupciones': reporteCaidasInterrupciones,
+  disponibilidad: reporteDisponibilidadServicio,
+  'planificacion-capacidad': reportePlanificacionCapacidad,
+  consumo: reporteConsumoPorCliente,
+  'altas-bajas': reporteAltasYBajas,
+  clientes: reporteClientes,
+  'cortes-reconexiones': reporteCortesReconexiones,
+  'att/suscriptores': reporteATTSuscriptores,
+  'att/calidad-servicio': reporteATTCalidadServicio,
+  'att/incidentes': reporteATTIncidentes
+};
+
 module.exports = {
   reporteOcupacionNAPs,
   reporteConsumoPorCliente,
@@ -587,5 +1061,12 @@ module.exports = {
   reporteDisponibilidadServicio,
   reporteAltasYBajas,
   reporteClientes,
-  obtenerTiposReporte
+  reporteCortesReconexiones,
+  reportePlanificacionCapacidad,
+  reporteATTSuscriptores,
+  reporteATTCalidadServicio,
+  reporteATTIncidentes,
+  obtenerTiposReporte,
+  tiposReporteParaRol,
+  reportesAsincronos
 };
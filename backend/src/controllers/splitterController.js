@@ -0,0 +1,367 @@
+const { Splitter, PuertoPON, OLT, CableAlimentador, NAP } = require('../models');
+const { Op } = require('sequelize');
+const {
+  obtenerRutaAscendente,
+  obtenerSplittersDescendientes,
+  obtenerAfectadosAguasAbajo
+} = require('../utils/topologia');
+const { obtenerAlcanceZonas } = require('../utils/zonas');
+
+/**
+ * Calcula el nivel de un splitter a partir de su origen
+ *
+ * @param {Object} datos - { puerto_pon_id, splitter_padre_id }
+ * @returns {Promise<number|null>} Nivel en la cascada, o null si el padre no existe
+ */
+const calcularNivel = async ({ puerto_pon_id, splitter_padre_id }) => {
+  if (puerto_pon_id) {
+    return 1;
+  }
+
+  const padre = await Splitter.findByPk(splitter_padre_id, { attributes: ['id', 'nivel'] });
+  return padre ? padre.nivel + 1 : null;
+};
+
+/**
+ * Obtiene la lista de splitters
+ *
+ * @async
+ * @function obtenerSplitters
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.query - Parámetros de consulta
+ * @param {string} [req.query.puerto_pon_id] - Filtra splitters de primer nivel de un puerto PON
+ * @param {string} [req.query.splitter_padre_id] - Filtra los hijos de un splitter
+ * @param {string} [req.query.busqueda] - Búsqueda por código o ubicación
+ * @param {Object} res - Objeto de respuesta Express
+ */
+const obtenerSplitters = async (req, res) => {
+  try {
+    const { puerto_pon_id, splitter_padre_id, busqueda } = req.query;
+
+    const whereClause = {};
+
+    if (puerto_pon_id) {
+      whereClause.puerto_pon_id = puerto_pon_id;
+    }
+
+    if (splitter_padre_id) {
+      whereClause.splitter_padre_id = splitter_padre_id;
+    }
+
+    if (busqueda) {
+      whereClause[Op.or] = [
+        { codigo: { [Op.iLike]: `%${busqueda}%` } },
+        { ubicacion: { [Op.iLike]: `%${busqueda}%` } }
+      ];
+    }
+
+    const splitters = await Splitter.findAll({
+      where: whereClause,
+      include: [
+        { model: PuertoPON, as: 'puerto_pon', include: [{ model: OLT, as: 'olt', attributes: ['id', 'codigo'] }] },
+        { model: Splitter, as: 'splitter_padre', attributes: ['id', 'codigo', 'ratio', 'nivel'] },
+        { model: CableAlimentador, as: 'cable' },
+        { model: NAP, as: 'naps', attributes: ['id', 'codigo', 'estado'] }
+      ],
+      order: [['nivel', 'ASC'], ['codigo', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: splitters
+    });
+  } catch (error) {
+    console.error('Error al obtener splitters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener splitters'
+    });
+  }
+};
+
+/**
+ * Obtiene un splitter por ID con su ruta hacia la OLT y lo que cuelga de él
+ *
+ * @async
+ * @function obtenerSplitterPorId
+ * @param {string} req.params.id - ID del splitter
+ *
+ * @throws {404} Splitter no encontrado
+ *
+ * @description
+ * - Un usuario limitado a zonas sólo ve los NAPs y clientes de sus zonas
+ */
+const obtenerSplitterPorId = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const splitter = await Splitter.findByPk(id, {
+      include: [
+        { model: PuertoPON, as: 'puerto_pon', include: [{ model: OLT, as: 'olt' }] },
+        { model: Splitter, as: 'splitter_padre' },
+        { model: Splitter, as: 'splitters_hijos' },
+        { model: CableAlimentador, as: 'cable' },
+        { model: NAP, as: 'naps', attributes: ['id', 'codigo', 'modelo', 'ubicacion', 'estado'] }
+      ]
+    });
+
+    if (!splitter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Splitter no encontrado'
+      });
+    }
+
+    // La ruta de un splitter es la misma que la de un NAP colgado de él
+    const ruta = await obtenerRutaAscendente({ splitter_id: splitter.id, cable_id: null });
+
+    res.json({
+      success: true,
+      data: {
+        ...splitter.toJSON(),
+        ruta_ascendente: ruta
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener splitter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener splitter'
+    });
+  }
+};
+
+/**
+ * Crea un splitter colgado de un puerto PON o de otro splitter
+ *
+ * @async
+ * @function crearSplitter
+ * @param {Object} req.body - { codigo, ratio, puerto_pon_id | splitter_padre_id, cable_id, ubicacion }
+ *
+ * @throws {404} Puerto PON o splitter padre no encontrado
+ * @throws {400} El código del splitter ya existe
+ *
+ * @description
+ * - El nivel se calcula a partir del origen, no se acepta desde el cliente
+ */
+const crearSplitter = async (req, res) => {
+  try {
+    const { codigo, ratio, puerto_pon_id, splitter_padre_id, cable_id, ubicacion } = req.body;
+
+    if (puerto_pon_id && !(await PuertoPON.findByPk(puerto_pon_id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Puerto PON no encontrado'
+      });
+    }
+
+    const nivel = await calcularNivel({ puerto_pon_id, splitter_padre_id });
+    if (nivel === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Splitter padre no encontrado'
+      });
+    }
+
+    const splitter = await Splitter.create({
+      codigo,
+      ratio,
+      nivel,
+      puerto_pon_id: puerto_pon_id || null,
+      splitter_padre_id: splitter_padre_id || null,
+      cable_id: cable_id || null,
+      ubicacion
+    }, { userId: req.usuario?.id });
+
+    res.status(201).json({
+      success: true,
+      data: splitter,
+      message: 'Splitter creado exitosamente'
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({
+        success: false,
+        message: 'El código del splitter ya existe'
+      });
+    }
+
+    console.error('Error al crear splitter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear splitter'
+    });
+  }
+};
+
+/**
+ * Actualiza un splitter
+ *
+ * @async
+ * @function actualizarSplitter
+ * @throws {404} Splitter no encontrado
+ * @throws {400} Un splitter no puede colgar de sí mismo ni de uno de sus descendientes
+ */
+const actualizarSplitter = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { codigo, ratio, puerto_pon_id, splitter_padre_id, cable_id, ubicacion } = req.body;
+
+    const splitter = await Splitter.findByPk(id);
+
+    if (!splitter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Splitter no encontrado'
+      });
+    }
+
+    if (splitter_padre_id) {
+      const descendientes = await obtenerSplittersDescendientes({ splitter_id: id });
+
+      if (descendientes.includes(splitter_padre_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Un splitter no puede colgar de sí mismo ni de uno de sus descendientes'
+        });
+      }
+    }
+
+    const nivel = await calcularNivel({ puerto_pon_id, splitter_padre_id });
+    if (nivel === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Splitter padre no encontrado'
+      });
+    }
+
+    await splitter.update({
+      codigo,
+      ratio,
+      nivel,
+      puerto_pon_id: puerto_pon_id || null,
+      splitter_padre_id: splitter_padre_id || null,
+      cable_id: cable_id || null,
+      ubicacion
+    }, { userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      data: splitter,
+      message: 'Splitter actualizado exitosamente'
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(400).json({
+        success: false,
+        message: 'El código del splitter ya existe'
+      });
+    }
+
+    console.error('Error al actualizar splitter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar splitter'
+    });
+  }
+};
+
+/**
+ * Elimina un splitter sin splitters hijos ni NAPs conectados
+ *
+ * @async
+ * @function eliminarSplitter
+ * @throws {404} Splitter no encontrado
+ * @throws {400} El splitter tiene elementos conectados
+ */
+const eliminarSplitter = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const splitter = await Splitter.findByPk(id, {
+      include: [
+        { model: Splitter, as: 'splitters_hijos', attributes: ['id'] },
+        { model: NAP, as: 'naps', attributes: ['id'] }
+      ]
+    });
+
+    if (!splitter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Splitter no encontrado'
+      });
+    }
+
+    if (splitter.splitters_hijos.length > 0 || splitter.naps.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede eliminar el splitter porque tiene splitters o NAPs conectados'
+      });
+    }
+
+    await splitter.destroy({ userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      message: 'Splitter eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar splitter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar splitter'
+    });
+  }
+};
+
+/**
+ * Lista los NAPs, puertos y clientes que dependen de un splitter
+ *
+ * @async
+ * @function obtenerAfectadosPorSplitter
+ * @param {string} req.params.id - ID del splitter
+ *
+ * @throws {404} Splitter no encontrado
+ *
+ * @description
+ * - Un usuario limitado a zonas sólo ve los NAPs y clientes de sus zonas
+ */
+const obtenerAfectadosPorSplitter = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const splitter = await Splitter.findByPk(id);
+
+    if (!splitter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Splitter no encontrado'
+      });
+    }
+
+    const afectados = await obtenerAfectadosAguasAbajo({ splitter_id: id }, await obtenerAlcanceZonas(req));
+
+    res.json({
+      success: true,
+      data: {
+        splitter,
+        ...afectados
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener afectados del splitter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerSplitters,
+  obtenerSplitterPorId,
+  crearSplitter,
+  actualizarSplitter,
+  eliminarSplitter,
+  obtenerAfectadosPorSplitter
+};
@@ -0,0 +1,353 @@
+const { SuscripcionReporte, EjecucionSuscripcion } = require('../models');
+const { tiposReporteParaRol } = require('./reporteController');
+const { ejecutarSuscripcion } = require('../utils/reportesProgramados');
+const { siguienteEjecucion } = require('../utils/cron');
+const { zonaEnAlcance } = require('../utils/zonas');
+
+// Parámetros que resuelve el programador en cada envío y no se guardan fijos
+const PARAMETROS_DE_RANGO = ['fecha_desde', 'fecha_hasta', 'periodo'];
+
+/**
+ * Valida el reporte, formato, filtros y rango pedidos contra el catálogo del rol
+ *
+ * @async
+ * @function normalizarSuscripcion
+ * @param {Object} req - Objeto de solicitud Express con la suscripción en el body
+ * @returns {Promise<Object>} { datos } listos para guardar, o { status, message } si no es válida
+ *
+ * @description
+ * - Reportes con fechas exigen un rango; los ATT sólo MES_ANTERIOR o TRIMESTRE_ANTERIOR
+ * - Los filtros vacíos se descartan y los que el reporte no acepta son un error
+ */
+const normalizarSuscripcion = async (req) => {
+  const { nombre, tipo, formato, parametros = {}, rango = null, programacion, destinatarios, activo = true } = req.body;
+
+  const tipoReporte = (await tiposReporteParaRol(req.usuario.rol)).find(t => t.id === tipo);
+  if (!tipoReporte) {
+    return { status: 400, message: 'Reporte no disponible' };
+  }
+  if (!tipoReporte.formatos.includes(formato)) {
+    return { status: 400, message: `El reporte no admite el formato ${formato}` };
+  }
+
+  const filtros = {};
+  for (const [clave, valor] of Object.entries(parametros)) {
+    if (valor === null || valor === undefined || valor === '') continue;
+    if (!tipoReporte.parametros.includes(clave) || PARAMETROS_DE_RANGO.includes(clave)) {
+      return { status: 400, message: `Parámetro no válido para este reporte: ${clave}` };
+    }
+    filtros[clave] = valor;
+  }
+
+  if (filtros.zona_id && !(await zonaEnAlcance(req, filtros.zona_id))) {
+    return { status: 404, message: 'Zona no encontrada' };
+  }
+
+  const usaPeriodo = tipoReporte.parametros.includes('periodo');
+  const usaFechas = tipoReporte.parametros.includes('fecha_desde');
+  if (usaPeriodo && !['MES_ANTERIOR', 'TRIMESTRE_ANTERIOR'].includes(rango)) {
+    return { status: 400, message: 'Los reportes ATT se programan con rango MES_ANTERIOR o TRIMESTRE_ANTERIOR' };
+  }
+  if (usaFechas && !rango) {
+    return { status: 400, message: 'Indique el rango de fechas del reporte' };
+  }
+
+  const proxima = siguienteEjecucion(programacion);
+  if (!proxima) {
+    return { status: 400, message: 'La programación no se cumple en ninguna fecha' };
+  }
+
+  return {
+    datos: {
+      nombre,
+      tipo,
+      formato,
+      parametros: filtros,
+      rango: usaPeriodo || usaFechas ? rango : null,
+      programacion: programacion.trim(),
+      destinatarios: [...new Set(destinatarios.map(correo => correo.trim().toLowerCase()))],
+      activo,
+      proxima_ejecucion: activo ? proxima : null
+    }
+  };
+};
+
+// Sólo quien creó la suscripción la ve; la de otro usuario responde 404
+const buscarSuscripcionPropia = (req) => SuscripcionReporte.findOne({
+  where: { id: req.params.id, creado_por: req.usuario.id }
+});
+
+/**
+ * Lista las suscripciones de reportes del usuario
+ *
+ * @async
+ * @function obtenerSuscripciones
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con las suscripciones y su próxima ejecución
+ *
+ * @throws {500} Error interno del servidor
+ */
+const obtenerSuscripciones = async (req, res) => {
+  try {
+    const suscripciones = await SuscripcionReporte.findAll({
+      where: { creado_por: req.usuario.id },
+      order: [['nombre', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: suscripciones
+    });
+  } catch (error) {
+    console.error('Error al obtener suscripciones de reportes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Crea una suscripción: el reporte se enviará por correo según la programación
+ *
+ * @async
+ * @function crearSuscripcion
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} req.body
+ * @param {string} req.body.nombre - Nombre de la suscripción
+ * @param {string} req.body.tipo - ID del reporte (GET /reportes/tipos)
+ * @param {string} req.body.formato - pdf, excel o csv
+ * @param {Object} [req.body.parametros] - Filtros fijos (zona_id, cliente_id, umbrales)
+ * @param {string} [req.body.rango] - ULTIMA_SEMANA, ULTIMO_MES, MES_ANTERIOR o TRIMESTRE_ANTERIOR
+ * @param {string} req.body.programacion - Expresión cron de 5 campos
+ * @param {string[]} req.body.destinatarios - Correos
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la suscripción creada
+ *
+ * @example
+ * // POST /api/v1/reportes/suscripciones
+ * {
+ *   "nombre": "Disponibilidad semanal",
+ *   "tipo": "disponibilidad",
+ *   "formato": "pdf",
+ *   "rango": "ULTIMA_SEMANA",
+ *   "programacion": "0 7 * * 1",
+ *   "destinatarios": ["noc@empresa.com"]
+ * }
+ *
+ * @throws {400} Reporte, formato, parámetros o programación no válidos
+ * @throws {404} Zona fuera del alcance del usuario
+ * @throws {500} Error interno del servidor
+ */
+const crearSuscripcion = async (req, res) => {
+  try {
+    const { datos, status, message } = await normalizarSuscripcion(req);
+    if (!datos) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const suscripcion = await SuscripcionReporte.create(
+      { ...datos, creado_por: req.usuario.id },
+      { userId: req.usuario?.id }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: suscripcion,
+      message: 'Reporte programado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al crear suscripción de reporte:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Actualiza una suscripción propia; reactivarla reinicia el contador de fallos
+ *
+ * @async
+ * @function actualizarSuscripcion
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la suscripción
+ * @param {Object} req.body - Mismos campos que crearSuscripcion, más activo
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la suscripción actualizada
+ *
+ * @throws {400} Reporte, formato, parámetros o programación no válidos
+ * @throws {404} Suscripción o zona no encontrada
+ * @throws {500} Error interno del servidor
+ */
+const actualizarSuscripcion = async (req, res) => {
+  try {
+    const suscripcion = await buscarSuscripcionPropia(req);
+    if (!suscripcion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suscripción no encontrada'
+      });
+    }
+
+    const { datos, status, message } = await normalizarSuscripcion(req);
+    if (!datos) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    if (datos.activo && !suscripcion.activo) {
+      datos.fallos_consecutivos = 0;
+    }
+
+    await suscripcion.update(datos, { userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      data: suscripcion,
+      message: 'Reporte programado actualizado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al actualizar suscripción de reporte:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Elimina una suscripción propia junto con su historial
+ *
+ * @async
+ * @function eliminarSuscripcion
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la suscripción
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON de confirmación
+ *
+ * @throws {404} Suscripción no encontrada
+ * @throws {500} Error interno del servidor
+ */
+const eliminarSuscripcion = async (req, res) => {
+  try {
+    const suscripcion = await buscarSuscripcionPropia(req);
+    if (!suscripcion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suscripción no encontrada'
+      });
+    }
+
+    await suscripcion.destroy({ userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      message: 'Reporte programado eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar suscripción de reporte:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Historial de envíos de una suscripción propia
+ *
+ * @async
+ * @function obtenerEjecuciones
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la suscripción
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con las últimas 50 ejecuciones, más recientes primero
+ *
+ * @throws {404} Suscripción no encontrada
+ * @throws {500} Error interno del servidor
+ */
+const obtenerEjecuciones = async (req, res) => {
+  try {
+    const suscripcion = await buscarSuscripcionPropia(req);
+    if (!suscripcion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suscripción no encontrada'
+      });
+    }
+
+    const ejecuciones = await EjecucionSuscripcion.findAll({
+      where: { suscripcion_id: suscripcion.id },
+      order: [['fecha_inicio', 'DESC']],
+      limit: 50
+    });
+
+    res.json({
+      success: true,
+      data: ejecuciones
+    });
+  } catch (error) {
+    console.error('Error al obtener ejecuciones de suscripción:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Genera y envía el reporte ya mismo, sin mover la programación
+ *
+ * @async
+ * @function ejecutarSuscripcionAhora
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la suscripción
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la ejecución registrada (EXITOSA o FALLIDA)
+ *
+ * @throws {404} Suscripción no encontrada
+ * @throws {500} Error interno del servidor
+ */
+const ejecutarSuscripcionAhora = async (req, res) => {
+  try {
+    const suscripcion = await buscarSuscripcionPropia(req);
+    if (!suscripcion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suscripción no encontrada'
+      });
+    }
+
+    const ejecucion = await ejecutarSuscripcion(suscripcion, { manual: true });
+
+    res.json({
+      success: ejecucion.estado === 'EXITOSA',
+      data: ejecucion,
+      message: ejecucion.estado === 'EXITOSA'
+        ? `Reporte enviado a ${ejecucion.destinatarios.length} destinatario(s)`
+        : `No se pudo enviar el reporte: ${ejecucion.error}`
+    });
+  } catch (error) {
+    console.error('Error al ejecutar suscripción de reporte:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerSuscripciones,
+  crearSuscripcion,
+  actualizarSuscripcion,
+  eliminarSuscripcion,
+  obtenerEjecuciones,
+  ejecutarSuscripcionAhora
+};
@@ -1,6 +1,21 @@
-const { Usuario } = require('../models');
+const { sequelize, Usuario, Zona, UsuarioZona } = require('../models');
+const { revocarSesionesDeUsuario } = require('../utils/sesiones');
+const { limpiarIntentosCuenta, obtenerBloqueosCuentas, normalizarCorreo } = require('../utils/intentosLogin');
+const { registrarAuditoria } = require('../utils/auditoria');
 const bcrypt = require('bcryptjs');
 
+// Columnas que nunca salen en las respuestas de usuarios
+const ATRIBUTOS_PRIVADOS = [
+  'clave',
+  'totp_secreto',
+  'totp_ultimo_paso',
+  'totp_codigos_recuperacion',
+  'reset_clave_hash',
+  'reset_clave_expira'
+];
+
+const INCLUDE_ZONAS = { model: Zona, as: 'zonas', attributes: ['id', 'nombre'], through: { attributes: [] } };
+
 /**
  * Obtiene una lista paginada de usuarios del sistema con filtros opcionales
  * 
@@ -45,6 +60,7 @@ const bcrypt = require('bcryptjs');
  * - Implementa paginación completa con metadatos
  * - Filtros combinables por rol y estado activo
  * - Excluye contraseñas por seguridad
+ * - Incluye las zonas asignadas a cada usuario
  * - Ordena por fecha de creación descendente
  * - Útil para administración de usuarios
  */
@@ -66,15 +82,22 @@ const obtenerUsuarios = async (req, res) => {
 
     const { count, rows: usuarios } = await Usuario.findAndCountAll({
       where: whereClause,
-      attributes: { exclude: ['clave'] },
+      attributes: { exclude: ATRIBUTOS_PRIVADOS },
+      include: [INCLUDE_ZONAS],
+      distinct: true,
       limit: parseInt(limite),
       offset: parseInt(offset),
       order: [['createdAt', 'DESC']]
     });
 
+    const bloqueos = await obtenerBloqueosCuentas(usuarios.map(u => u.correo));
+
     res.json({
       success: true,
-      data: usuarios,
+      data: usuarios.map(u => ({
+        ...u.toJSON(),
+        bloqueado_hasta: bloqueos[normalizarCorreo(u.correo)] || null
+      })),
       meta: {
         total: count,
         pagina: parseInt(pagina),
@@ -130,7 +153,8 @@ const obtenerUsuarioPorId = async (req, res) => {
     const { id } = req.params;
 
     const usuario = await Usuario.findByPk(id, {
-      attributes: { exclude: ['clave'] }
+      attributes: { exclude: ATRIBUTOS_PRIVADOS },
+      include: [INCLUDE_ZONAS]
     });
 
     if (!usuario) {
@@ -183,6 +207,7 @@ const obtenerUsuarioPorId = async (req, res) => {
  * - Verifica unicidad del correo electrónico
  * - Hashea automáticamente la contraseña
  * - Crea usuario con estado activo por defecto
+ * - La clave la define el administrador: el usuario debe cambiarla en su primer ingreso (debe_cambiar_clave)
  * - Retorna datos sin contraseña por seguridad
  */
 const crearUsuario = async (req, res) => {
@@ -204,11 +229,12 @@ const crearUsuario = async (req, res) => {
       nombre,
       correo,
       rol,
-      clave
+      clave,
+      debe_cambiar_clave: true
     });
 
     const usuarioRespuesta = await Usuario.findByPk(usuario.id, {
-      attributes: { exclude: ['clave'] }
+      attributes: { exclude: ATRIBUTOS_PRIVADOS }
     });
 
     res.status(201).json({
@@ -257,6 +283,7 @@ const crearUsuario = async (req, res) => {
  * - Permite actualización parcial de campos
  * - Valida unicidad del correo si se modifica
  * - Hashea nueva contraseña automáticamente
+ * - Una clave asignada por el administrador a otro usuario obliga a cambiarla en el próximo ingreso
  * - Retorna usuario actualizado sin contraseña
  */
 const actualizarUsuario = async (req, res) => {
@@ -290,13 +317,20 @@ const actualizarUsuario = async (req, res) => {
     if (nombre) datosActualizacion.nombre = nombre;
     if (correo) datosActualizacion.correo = correo;
     if (rol) datosActualizacion.rol = rol;
-    if (clave) datosActualizacion.clave = clave;
+    if (clave) {
+      datosActualizacion.clave = clave;
+      datosActualizacion.debe_cambiar_clave = id !== req.usuario.id;
+    }
     if (activo !== undefined) datosActualizacion.activo = activo;
 
     await usuario.update(datosActualizacion);
 
+    if (activo === false) {
+      await revocarSesionesDeUsuario(id);
+    }
+
     const usuarioActualizado = await Usuario.findByPk(id, {
-      attributes: { exclude: ['clave'] }
+      attributes: { exclude: ATRIBUTOS_PRIVADOS }
     });
 
     res.json({
@@ -335,13 +369,15 @@ const actualizarUsuario = async (req, res) => {
  * //   claveNueva: "newPassword456"
  * // }
  * 
- * @throws {400} Contraseña actual incorrecta
+ * @throws {400} Contraseña actual incorrecta o igual a la nueva
  * @throws {500} Error interno del servidor
  * 
  * @description
  * - Endpoint protegido que requiere autenticación
+ * - Accesible aunque el usuario tenga debe_cambiar_clave (ver permitirClavePendiente)
  * - Valida la contraseña actual antes del cambio
- * - Hashea automáticamente la nueva contraseña
+ * - La nueva contraseña debe cumplir validarPasswordFuerte y ser distinta de la actual
+ * - Hashea automáticamente la nueva contraseña y quita debe_cambiar_clave
  * - Solo permite al usuario cambiar su propia contraseña
  */
 const cambiarClave = async (req, res) => {
@@ -358,7 +394,19 @@ const cambiarClave = async (req, res) => {
       });
     }
 
-    await usuario.update({ clave: claveNueva });
+    if (claveActual === claveNueva) {
+      return res.status(400).json({
+        success: false,
+        message: 'La nueva clave debe ser distinta de la actual'
+      });
+    }
+
+    await usuario.update({
+      clave: claveNueva,
+      debe_cambiar_clave: false,
+      reset_clave_hash: null,
+      reset_clave_expira: null
+    });
 
     res.json({
       success: true,
@@ -399,6 +447,7 @@ const cambiarClave = async (req, res) => {
  * - Desactiva el usuario sin eliminar sus datos
  * - Preserva historial e integridad referencial
  * - Usuario desactivado no podrá iniciar sesión
+ * - Revoca todas sus sesiones: los tokens ya emitidos dejan de funcionar
  * - Permite reactivación posterior si es necesario
  */
 const desactivarUsuario = async (req, res) => {
@@ -415,6 +464,7 @@ const desactivarUsuario = async (req, res) => {
     }
 
     await usuario.update({ activo: false });
+    await revocarSesionesDeUsuario(id);
 
     res.json({
       success: true,
@@ -428,6 +478,265 @@ const desactivarUsuario = async (req, res) => {
   }
 };
 
+/**
+ * Quita el bloqueo por intentos fallidos de un usuario
+ * 
+ * @async
+ * @function desbloquearUsuario
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del usuario a desbloquear
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Promise<void>} Respuesta JSON confirmando el desbloqueo
+ * 
+ * @example
+ * // PATCH /api/usuarios/1/desbloquear
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   message: "Usuario desbloqueado exitosamente"
+ * // }
+ * 
+ * @throws {404} Usuario no encontrado
+ * 
+ * @description
+ * - Reinicia el contador de intentos fallidos de la cuenta
+ * - No afecta el bloqueo por IP, que expira solo
+ * - Registra la acción DESBLOQUEO en auditoría a nombre del administrador
+ */
+const desbloquearUsuario = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const usuario = await Usuario.findByPk(id);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    await limpiarIntentosCuenta(usuario.correo);
+    await registrarAuditoria('usuarios', usuario.id, 'DESBLOQUEO', null, { correo: usuario.correo }, req.usuario.id);
+
+    res.json({
+      success: true,
+      message: 'Usuario desbloqueado exitosamente'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al desbloquear usuario'
+    });
+  }
+};
+
+/**
+ * Revoca todas las sesiones de un usuario sin desactivarlo
+ * 
+ * @async
+ * @function revocarSesionesUsuario
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del usuario
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Promise<void>} Respuesta JSON con la cantidad de sesiones revocadas
+ * 
+ * @example
+ * // DELETE /api/usuarios/1/sesiones
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   data: { sesiones_revocadas: 3 },
+ * //   message: "Sesiones del usuario revocadas exitosamente"
+ * // }
+ * 
+ * @throws {404} Usuario no encontrado
+ * 
+ * @description
+ * - Útil ante la sospecha de credenciales comprometidas
+ * - El usuario deberá iniciar sesión nuevamente en todos sus dispositivos
+ */
+const revocarSesionesUsuario = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const usuario = await Usuario.findByPk(id);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const revocadas = await revocarSesionesDeUsuario(id);
+
+    res.json({
+      success: true,
+      data: { sesiones_revocadas: revocadas },
+      message: 'Sesiones del usuario revocadas exitosamente'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al revocar sesiones'
+    });
+  }
+};
+
+/**
+ * Desactiva el segundo factor de un usuario que perdió su dispositivo
+ * 
+ * @async
+ * @function reiniciar2FAUsuario
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del usuario
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Promise<void>} Respuesta JSON confirmando el reinicio
+ * 
+ * @example
+ * // DELETE /api/usuarios/1/2fa
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   message: "Autenticación de dos factores reiniciada"
+ * // }
+ * 
+ * @throws {404} Usuario no encontrado
+ * 
+ * @description
+ * - Borra el secreto y los códigos de recuperación; el usuario debe enrolarse de nuevo
+ * - Revoca sus sesiones abiertas
+ * - Si su rol tiene 2FA obligatorio, no pasará requierePermiso hasta volver a activarlo
+ * - Se audita como UPDATE de totp_activo, sin incluir el secreto
+ */
+const reiniciar2FAUsuario = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const usuario = await Usuario.findByPk(id);
+
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const estabaActivo = usuario.totp_activo;
+
+    await usuario.update({
+      totp_secreto: null,
+      totp_activo: false,
+      totp_ultimo_paso: null,
+      totp_codigos_recuperacion: []
+    });
+    await revocarSesionesDeUsuario(id);
+
+    await registrarAuditoria('usuarios', usuario.id, 'UPDATE',
+      { totp_activo: estabaActivo }, { totp_activo: false }, req.usuario.id);
+
+    res.json({
+      success: true,
+      message: 'Autenticación de dos factores reiniciada'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al reiniciar la autenticación de dos factores'
+    });
+  }
+};
+
+/**
+ * Reemplaza las zonas asignadas a un usuario
+ * 
+ * @async
+ * @function asignarZonasUsuario
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del usuario
+ * @param {string[]} req.body.zona_ids - Lista completa de zonas que tendrá el usuario
+ * @param {Object} res - Objeto de respuesta Express
+ * 
+ * @returns {Promise<void>} Respuesta JSON con las zonas resultantes
+ * 
+ * @example
+ * // PUT /api/usuarios/1/zonas
+ * // Body: { zona_ids: ["6f1c...", "9a2e..."] }
+ * 
+ * @throws {400} Alguna zona no existe
+ * @throws {404} Usuario no encontrado
+ * 
+ * @description
+ * - Sólo inserta las zonas nuevas y borra las quitadas; cada fila queda en auditoría (usuarios_zonas)
+ * - Un usuario sin zonas:todas y sin zonas asignadas no ve NAPs, clientes ni conexiones
+ */
+const asignarZonasUsuario = async (req, res) => {
+  const { id } = req.params;
+  const zonaIds = [...new Set(req.body.zona_ids)];
+
+  const transaction = await sequelize.transaction();
+  transaction.userId = req.usuario?.id;
+
+  try {
+    const usuario = await Usuario.findByPk(id, { transaction });
+    if (!usuario) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const existentes = await Zona.count({ where: { id: zonaIds }, transaction });
+    if (existentes !== zonaIds.length) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Alguna de las zonas indicadas no existe'
+      });
+    }
+
+    const actuales = await UsuarioZona.findAll({ where: { usuario_id: id }, transaction });
+    const zonasActuales = actuales.map(fila => fila.zona_id);
+
+    for (const fila of actuales) {
+      if (!zonaIds.includes(fila.zona_id)) {
+        await fila.destroy({ transaction });
+      }
+    }
+
+    for (const zonaId of zonaIds) {
+      if (!zonasActuales.includes(zonaId)) {
+        await UsuarioZona.create({ usuario_id: id, zona_id: zonaId }, { transaction });
+      }
+    }
+
+    await transaction.commit();
+
+    const zonas = await Zona.findAll({
+      where: { id: zonaIds },
+      attributes: ['id', 'nombre'],
+      order: [['nombre', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      message: 'Zonas del usuario actualizadas',
+      data: zonas
+    });
+  } catch (error) {
+    await transaction.rollback();
+    res.status(500).json({
+      success: false,
+      message: 'Error al asignar zonas'
+    });
+  }
+};
+
 /**
  * Crea un usuario con privilegios especiales (función administrativa)
  * 
@@ -520,5 +829,9 @@ module.exports = {
   actualizarUsuario,
   cambiarClave,
   desactivarUsuario,
-  activarUsuario
+  activarUsuario,
+  desbloquearUsuario,
+  revocarSesionesUsuario,
+  reiniciar2FAUsuario,
+  asignarZonasUsuario
 };
\ No newline at end of file
@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Webhook, EventoWebhook, EntregaWebhook, Usuario } = require('../models');
+const { generarSecreto, enviarPorCanal } = require('../utils/canalesNotificacion');
+const { EVENTOS_WEBHOOK, reenviarEventos: encolarReenvio } = require('../utils/webhooks');
+
+// Qué informa cada evento, para quien arma la integración
+const DESCRIPCION_EVENTOS = {
+  [EVENTOS_WEBHOOK.CONEXION_CREADA]: 'Se conectó un cliente a un puerto',
+  [EVENTOS_WEBHOOK.CONEXION_FINALIZADA]: 'Se dio de baja una conexión',
+  [EVENTOS_WEBHOOK.PUERTO_LIBERADO]: 'Un puerto quedó libre',
+  [EVENTOS_WEBHOOK.NAP_ESTADO_CAMBIADO]: 'Un NAP cambió de estado (ACTIVO, SATURADO, MANTENIMIENTO, ...)',
+  [EVENTOS_WEBHOOK.MANTENIMIENTO_CREADO]: 'Se registró un mantenimiento en un NAP'
+};
+
+// El secreto sólo se muestra al crear el webhook o regenerarlo
+const sinSecreto = (webhook) => {
+  const { secreto, ...datos } = webhook.toJSON();
+  return datos;
+};
+
+const datosWebhook = (body) => ({
+  nombre: body.nombre,
+  url: body.url.trim(),
+  eventos: [...new Set(body.eventos)],
+  activo: body.activo ?? true
+});
+
+const rangoFechas = (desde, hasta) => {
+  const rango = {};
+  if (desde) rango[Op.gte] = new Date(desde);
+  if (hasta) rango[Op.lte] = new Date(hasta);
+  return rango;
+};
+
+/**
+ * Catálogo de eventos que se pueden suscribir
+ *
+ * @function obtenerTiposEvento
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {void} Respuesta JSON con [{ evento, descripcion }]
+ */
+const obtenerTiposEvento = (req, res) => {
+  res.json({
+    success: true,
+    data: Object.values(EVENTOS_WEBHOOK).map(evento => ({
+      evento,
+      descripcion: DESCRIPCION_EVENTOS[evento]
+    }))
+  });
+};
+
+/**
+ * Lista los webhooks registrados
+ *
+ * @async
+ * @function obtenerWebhooks
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con los webhooks (sin secreto) y sus entregas pendientes y fallidas
+ *
+ * @throws {500} Error interno del servidor
+ */
+const obtenerWebhooks = async (req, res) => {
+  try {
+    const [webhooks, conteos] = await Promise.all([
+      Webhook.findAll({
+        attributes: { exclude: ['secreto'] },
+        include: [{ model: Usuario, as: 'creador', attributes: ['id', 'nombre'] }],
+        order: [['nombre', 'ASC']]
+      }),
+      EntregaWebhook.count({
+        where: { estado: { [Op.in]: ['PENDIENTE', 'FALLIDA'] } },
+        group: ['webhook_id', 'estado']
+      })
+    ]);
+
+    const cantidad = (webhookId, estado) =>
+      conteos.find(c => c.webhook_id === webhookId && c.estado === estado)?.count || 0;
+
+    res.json({
+      success: true,
+      data: webhooks.map(webhook => ({
+        ...webhook.toJSON(),
+        entregas_pendientes: cantidad(webhook.id, 'PENDIENTE'),
+        entregas_fallidas: cantidad(webhook.id, 'FALLIDA')
+      }))
+    });
+  } catch (error) {
+    console.error('Error al obtener webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Registra un webhook
+ *
+ * @async
+ * @function crearWebhook
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.body.nombre - Sistema que recibe
+ * @param {string} req.body.url - URL http(s) que recibe los POST
+ * @param {string[]} req.body.eventos - Eventos suscritos (ver GET /webhooks/tipos-evento)
+ * @param {boolean} [req.body.activo=true]
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el webhook y su secreto, por única vez
+ *
+ * @example
+ * // POST /api/v1/webhooks
+ * // Body: { nombre: "Facturación", url: "https://facturacion.empresa.com/hooks/naps",
+ * //         eventos: ["conexion.creada", "conexion.finalizada"] }
+ *
+ * @throws {500} Error interno del servidor
+ */
+const crearWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.create({
+      ...datosWebhook(req.body),
+      secreto: generarSecreto(),
+      creado_por: req.usuario.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: webhook,
+      message: 'Webhook registrado. Guarde el secreto para verificar la firma: no se vuelve a mostrar'
+    });
+  } catch (error) {
+    console.error('Error al crear webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Actualiza un webhook
+ *
+ * @async
+ * @function actualizarWebhook
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del webhook
+ * @param {Object} req.body - Mismos campos que crearWebhook
+ * @param {boolean} [req.body.regenerar_secreto] - Genera un secreto nuevo
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con el webhook; incluye el secreto si se generó uno nuevo
+ *
+ * @description
+ * - Los eventos suscritos se aplican a los eventos nuevos; lo anterior se pide con reenviar
+ *
+ * @throws {404} Webhook no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const actualizarWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook no encontrado'
+      });
+    }
+
+    const datos = datosWebhook(req.body);
+    const secretoNuevo = Boolean(req.body.regenerar_secreto);
+    if (secretoNuevo) datos.secreto = generarSecreto();
+
+    await webhook.update(datos);
+
+    res.json({
+      success: true,
+      data: secretoNuevo ? webhook : sinSecreto(webhook),
+      message: secretoNuevo
+        ? 'Webhook actualizado. Guarde el nuevo secreto: no se vuelve a mostrar'
+        : 'Webhook actualizado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al actualizar webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Elimina un webhook junto con su registro de entregas
+ *
+ * @async
+ * @function eliminarWebhook
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del webhook
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON de confirmación
+ *
+ * @throws {404} Webhook no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const eliminarWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook no encontrado'
+      });
+    }
+
+    await webhook.destroy();
+
+    res.json({
+      success: true,
+      message: 'Webhook eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Envía un evento de prueba al webhook, sin reintentos ni registro
+ *
+ * @async
+ * @function probarWebhook
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del webhook
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con success según se haya entregado o no
+ *
+ * @description
+ * - El webhook recibe { id, evento: "prueba", fecha, reenvio: false, datos: {} } firmado con su secreto
+ *
+ * @throws {404} Webhook no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const probarWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook no encontrado'
+      });
+    }
+
+    try {
+      await enviarPorCanal('WEBHOOK', webhook.url, {
+        asunto: 'prueba',
+        texto: '',
+        datos: { id: crypto.randomUUID(), evento: 'prueba', fecha: new Date().toISOString(), reenvio: false, datos: {} }
+      }, webhook.secreto);
+    } catch (errorEnvio) {
+      return res.json({
+        success: false,
+        message: `No se pudo entregar el evento de prueba: ${errorEnvio.message}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Evento de prueba entregado'
+    });
+  } catch (error) {
+    console.error('Error al probar webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Registro de entregas de un webhook
+ *
+ * @async
+ * @function obtenerEntregas
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del webhook
+ * @param {string} [req.query.estado] - PENDIENTE, ENVIADA o FALLIDA
+ * @param {string} [req.query.evento] - Tipo de evento
+ * @param {number} [req.query.page=1] - Página
+ * @param {number} [req.query.limit=20] - Registros por página
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con las entregas, más recientes primero, y paginación
+ *
+ * @throws {404} Webhook no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const obtenerEntregas = async (req, res) => {
+  try {
+    const { estado, evento, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const webhook = await Webhook.findByPk(req.params.id, { attributes: ['id'] });
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook no encontrado'
+      });
+    }
+
+    const whereCondition = { webhook_id: webhook.id };
+    if (estado) whereCondition.estado = estado;
+
+    const entregas = await EntregaWebhook.findAndCountAll({
+      where: whereCondition,
+      include: [{
+        model: EventoWebhook,
+        as: 'evento',
+        attributes: ['id', 'evento', 'createdAt'],
+        where: evento ? { evento } : undefined
+      }],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: entregas.rows,
+      pagination: {
+        total: entregas.count,
+        pages: Math.ceil(entregas.count / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener entregas de webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Bandeja de eventos registrados (outbox)
+ *
+ * @async
+ * @function obtenerEventos
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.evento] - Tipo de evento
+ * @param {string} [req.query.desde] - Fecha/hora ISO desde
+ * @param {string} [req.query.hasta] - Fecha/hora ISO hasta
+ * @param {number} [req.query.page=1] - Página
+ * @param {number} [req.query.limit=20] - Registros por página
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con los eventos, más recientes primero, y paginación
+ *
+ * @throws {500} Error interno del servidor
+ */
+const obtenerEventos = async (req, res) => {
+  try {
+    const { evento, desde, hasta, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereCondition = {};
+    if (evento) whereCondition.evento = evento;
+    if (desde || hasta) whereCondition.createdAt = rangoFechas(desde, hasta);
+
+    const eventos = await EventoWebhook.findAndCountAll({
+      where: whereCondition,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: eventos.rows,
+      pagination: {
+        total: eventos.count,
+        pages: Math.ceil(eventos.count / limit),
+        currentPage: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener eventos de webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Reenvía a un webhook un evento puntual o los de un rango de fechas
+ *
+ * @async
+ * @function reenviarEventos
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID del webhook
+ * @param {string} [req.body.evento_id] - Evento a reenviar
+ * @param {string} [req.body.desde] - Sin evento_id: reenvía los eventos suscritos desde esta fecha
+ * @param {string} [req.body.hasta] - Hasta esta fecha (default: ahora)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la cantidad de eventos encolados
+ *
+ * @example
+ * // POST /api/v1/webhooks/:id/reenviar
+ * // Body: { desde: "2024-06-01T00:00:00Z" }  → todo lo suscrito desde el 1 de junio
+ *
+ * @throws {400} El rango supera el máximo de eventos por reenvío
+ * @throws {404} Webhook o evento no encontrado
+ * @throws {500} Error interno del servidor
+ */
+const reenviarEventos = async (req, res) => {
+  try {
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook no encontrado'
+      });
+    }
+
+    const { evento_id, desde, hasta } = req.body;
+    if (evento_id && !(await EventoWebhook.findByPk(evento_id, { attributes: ['id'] }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evento no encontrado'
+      });
+    }
+
+    const resultado = await encolarReenvio(webhook, {
+      evento_id,
+      desde: desde && new Date(desde),
+      hasta: hasta && new Date(hasta)
+    });
+    if (resultado.error) {
+      return res.status(400).json({
+        success: false,
+        message: resultado.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: resultado,
+      message: resultado.encolados > 0
+        ? `${resultado.encolados} evento(s) encolados para reenvío`
+        : 'No hay eventos en ese rango'
+    });
+  } catch (error) {
+    console.error('Error al reenviar eventos de webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerTiposEvento,
+  obtenerWebhooks,
+  crearWebhook,
+  actualizarWebhook,
+  eliminarWebhook,
+  probarWebhook,
+  obtenerEntregas,
+  obtenerEventos,
+  reenviarEventos
+};
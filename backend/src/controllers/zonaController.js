@@ -0,0 +1,259 @@
+const { sequelize, Zona, NAP, Cliente } = require('../models');
+const { Op } = require('sequelize');
+const { obtenerAlcanceZonas } = require('../utils/zonas');
+
+/**
+ * Obtiene las zonas visibles para el usuario
+ *
+ * @async
+ * @function obtenerZonas
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} [req.query.activo] - Filtro por estado activo ("true" o "false")
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con las zonas y su cantidad de NAPs
+ *
+ * @example
+ * // GET /api/zonas?activo=true
+ * // Respuesta:
+ * // {
+ * //   success: true,
+ * //   data: [
+ * //     { id: "6f1c...", nombre: "Zona Norte", descripcion: null, activo: true, total_naps: 12 }
+ * //   ]
+ * // }
+ *
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Con zonas:todas se listan todas; si no, sólo las asignadas al usuario
+ * - Ordena por nombre
+ */
+const obtenerZonas = async (req, res) => {
+  try {
+    const { activo } = req.query;
+    const alcance = await obtenerAlcanceZonas(req);
+
+    const whereCondition = {};
+    if (activo !== undefined) {
+      whereCondition.activo = activo === 'true';
+    }
+    if (alcance) {
+      whereCondition.id = { [Op.in]: alcance };
+    }
+
+    const zonas = await Zona.findAll({
+      where: whereCondition,
+      attributes: {
+        include: [[
+          sequelize.literal('(SELECT COUNT(*) FROM naps WHERE naps.zona_id = "Zona"."id")::int'),
+          'total_naps'
+        ]]
+      },
+      order: [['nombre', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: zonas
+    });
+  } catch (error) {
+    console.error('Error al obtener zonas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Crea una nueva zona
+ *
+ * @async
+ * @function crearZona
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.body.nombre - Nombre único de la zona
+ * @param {string} [req.body.descripcion] - Descripción o límites de la zona
+ * @param {string} [req.body.departamento] - Departamento (reportes ATT)
+ * @param {string} [req.body.municipio] - Municipio (reportes ATT)
+ * @param {string} [req.body.codigo_municipio] - Código INE del municipio (reportes ATT)
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la zona creada
+ *
+ * @example
+ * // POST /api/zonas
+ * // Body: {
+ * //   nombre: "Zona Norte",
+ * //   descripcion: "Barrios al norte de la Av. Principal",
+ * //   departamento: "La Paz", municipio: "El Alto", codigo_municipio: "020105"
+ * // }
+ *
+ * @throws {400} Ya existe una zona con ese nombre
+ * @throws {500} Error interno del servidor
+ */
+const crearZona = async (req, res) => {
+  try {
+    const { nombre, descripcion, departamento, municipio, codigo_municipio } = req.body;
+
+    const existente = await Zona.findOne({ where: { nombre } });
+    if (existente) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe una zona con ese nombre'
+      });
+    }
+
+    const zona = await Zona.create({
+      nombre,
+      descripcion,
+      departamento: departamento || null,
+      municipio: municipio || null,
+      codigo_municipio: codigo_municipio || null
+    }, { userId: req.usuario?.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Zona creada exitosamente',
+      data: zona
+    });
+  } catch (error) {
+    console.error('Error al crear zona:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Actualiza una zona existente
+ *
+ * @async
+ * @function actualizarZona
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la zona
+ * @param {string} req.body.nombre - Nombre único de la zona
+ * @param {string} [req.body.descripcion] - Descripción de la zona
+ * @param {string} [req.body.departamento] - Departamento (reportes ATT)
+ * @param {string} [req.body.municipio] - Municipio (reportes ATT)
+ * @param {string} [req.body.codigo_municipio] - Código INE del municipio (reportes ATT)
+ * @param {boolean} [req.body.activo] - Estado de la zona
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON con la zona actualizada
+ *
+ * @throws {400} Ya existe otra zona con ese nombre
+ * @throws {404} Zona no encontrada
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Desactivar una zona no cambia el alcance de los usuarios: sólo la oculta de los selectores
+ */
+const actualizarZona = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nombre, descripcion, departamento, municipio, codigo_municipio, activo } = req.body;
+
+    const zona = await Zona.findByPk(id);
+    if (!zona) {
+      return res.status(404).json({
+        success: false,
+        message: 'Zona no encontrada'
+      });
+    }
+
+    const duplicada = await Zona.findOne({ where: { nombre, id: { [Op.ne]: id } } });
+    if (duplicada) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ya existe una zona con ese nombre'
+      });
+    }
+
+    await zona.update({
+      nombre,
+      descripcion,
+      departamento: departamento || null,
+      municipio: municipio || null,
+      codigo_municipio: codigo_municipio || null,
+      activo: activo ?? zona.activo
+    }, { userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      message: 'Zona actualizada exitosamente',
+      data: zona
+    });
+  } catch (error) {
+    console.error('Error al actualizar zona:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+/**
+ * Elimina una zona sin NAPs ni clientes asignados
+ *
+ * @async
+ * @function eliminarZona
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} req.params.id - ID de la zona
+ * @param {Object} res - Objeto de respuesta Express
+ *
+ * @returns {Promise<void>} Respuesta JSON confirmando la eliminación
+ *
+ * @throws {400} La zona tiene NAPs o clientes asignados
+ * @throws {404} Zona no encontrada
+ * @throws {500} Error interno del servidor
+ *
+ * @description
+ * - Las asignaciones de usuarios a la zona se borran en cascada
+ */
+const eliminarZona = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const zona = await Zona.findByPk(id);
+    if (!zona) {
+      return res.status(404).json({
+        success: false,
+        message: 'Zona no encontrada'
+      });
+    }
+
+    const [naps, clientes] = await Promise.all([
+      NAP.count({ where: { zona_id: id } }),
+      Cliente.count({ where: { zona_id: id } })
+    ]);
+
+    if (naps > 0 || clientes > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No se puede eliminar la zona: tiene ${naps} NAP(s) y ${clientes} cliente(s) asignados`
+      });
+    }
+
+    await zona.destroy({ userId: req.usuario?.id });
+
+    res.json({
+      success: true,
+      message: 'Zona eliminada exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al eliminar zona:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+module.exports = {
+  obtenerZonas,
+  crearZona,
+  actualizarZona,
+  eliminarZona
+};
@@ -8,9 +8,26 @@ const morgan = require('morgan');
 const { sequelize } = require('./models');
 const routes = require('./routes');
 const { crearDatosPruebaAuditoria } = require('./utils/seedAuditoria');
+const { sincronizarCatalogoPermisos } = require('./utils/permisos');
+const { iniciarColaReportes } = require('./utils/colaReportes');
+const { iniciarReportesProgramados } = require('./utils/reportesProgramados');
+const { iniciarOcupacionHistorica } = require('./utils/ocupacionHistorica');
+const { iniciarEventosDistribuidos } = require('./utils/eventos');
+const { iniciarEvaluacionAlertas } = require('./utils/alertas');
+const { iniciarNotificaciones } = require('./utils/notificaciones');
+const { iniciarWebhooks } = require('./utils/webhooks');
+const { iniciarFacturacion } = require('./utils/facturacion');
+const { iniciarCobranza } = require('./utils/cobranza');
+const { verificarTransporteCorreo } = require('./utils/correo');
+const { reportesAsincronos } = require('./controllers/reporteController');
 
 const app = express();
 
+// Detrás de un proxy (Render) req.ip debe ser la IP real del cliente para el control de intentos de login
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+
 const swagger = require('./utils/swagger');
 const swaggerUi = require('swagger-ui-express');
 
@@ -117,6 +134,50 @@ const iniciarServidor = async () => {
       // await crearDatosPruebaAuditoria();
     }
 
+    await sincronizarCatalogoPermisos();
+    console.log('✅ Catálogo de permisos sincronizado');
+
+    const avisoCorreo = verificarTransporteCorreo();
+    if (avisoCorreo) {
+      console.warn(`⚠️ ${avisoCorreo}`);
+    }
+
+    if (iniciarColaReportes(reportesAsincronos)) {
+      console.log('✅ Cola de reportes en segundo plano iniciada');
+    }
+
+    if (iniciarReportesProgramados()) {
+      console.log('✅ Programador de reportes por correo iniciado');
+    }
+
+    if (iniciarOcupacionHistorica()) {
+      console.log('✅ Registro diario de ocupación de NAPs iniciado');
+    }
+
+    if (iniciarEventosDistribuidos()) {
+      console.log('✅ Eventos en tiempo real compartidos entre instancias (LISTEN/NOTIFY)');
+    }
+
+    if (iniciarEvaluacionAlertas()) {
+      console.log('✅ Evaluación de alertas de la red iniciada');
+    }
+
+    if (iniciarNotificaciones()) {
+      console.log('✅ Cola de notificaciones de alertas iniciada');
+    }
+
+    if (iniciarWebhooks()) {
+      console.log('✅ Cola de webhooks salientes iniciada');
+    }
+
+    if (iniciarFacturacion()) {
+      console.log('✅ Facturación mensual programada');
+    }
+
+    if (iniciarCobranza()) {
+      console.log('✅ Cobranza diaria programada');
+    }
+
     app.listen(PORT, () => {
       console.log(`🚀 Servidor ejecutándose en puerto ${PORT}`);
       console.log(`📍 Environment: ${process.env.NODE_ENV}`);
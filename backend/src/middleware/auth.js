@@ -1,5 +1,63 @@
 const jwt = require('jsonwebtoken');
 const { Usuario } = require('../models');
+const { sesionVigente } = require('../utils/sesiones');
+const { rolRequiere2FA } = require('../utils/segundoFactor');
+const { rolTienePermiso } = require('../utils/permisos');
+
+// Valida un JWT del tipo esperado (undefined: access token) y deja el usuario y la sesión en req
+const autenticar = async (req, res, next, token, tipo) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Un ticket de eventos o un desafío 2FA no sirve como access token, ni al revés
+    if (decoded.tipo !== tipo) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token inválido'
+      });
+    }
+
+    const usuario = await Usuario.findByPk(decoded.id);
+
+    if (!usuario) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token inválido'
+      });
+    }
+
+    if (!usuario.activo) {
+      return res.status(401).json({
+        success: false,
+        message: 'Usuario inactivo'
+      });
+    }
+
+    if (!decoded.sid || !(await sesionVigente(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión inválida o revocada'
+      });
+    }
+
+    if (usuario.debe_cambiar_clave && !req.permitirClavePendiente) {
+      return res.status(403).json({
+        success: false,
+        codigo: 'CAMBIO_CLAVE_REQUERIDO',
+        message: 'Debe cambiar su contraseña antes de continuar'
+      });
+    }
+
+    req.usuario = usuario;
+    req.sesionId = decoded.sid;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Token inválido'
+    });
+  }
+};
 
 /**
  * Middleware que verifica la validez del token JWT y autentica al usuario
@@ -27,84 +85,107 @@ const { Usuario } = require('../models');
  * @throws {401} Token de acceso requerido - No se proporciona token
  * @throws {401} Token inválido - Token malformado, expirado o usuario no existe
  * @throws {401} Usuario inactivo - Usuario existe pero está desactivado
+ * @throws {401} Sesión inválida o revocada - Logout, desactivación o token sin sesión
+ * @throws {401} Token inválido - También si es un ticket de eventos o un token de desafío 2FA
+ * @throws {403} Cambio de contraseña requerido - debe_cambiar_clave activo en una ruta sin permitirClavePendiente
  * 
  * @description
  * - Extrae token del header Authorization
  * - Verifica y decodifica el token JWT
  * - Busca y valida la existencia del usuario
  * - Verifica que el usuario esté activo
- * - Inyecta el objeto usuario completo en req.usuario
+ * - Verifica que la sesión del token (sid) no haya sido revocada ni haya expirado
+ * - Si el usuario debe cambiar su contraseña, sólo deja pasar las rutas marcadas con permitirClavePendiente
+ * - Inyecta el objeto usuario completo en req.usuario y el ID de sesión en req.sesionId
  * - Permite continuar al siguiente middleware si todo es válido
  * - Esencial para proteger endpoints que requieren autenticación
  */
 const verificarToken = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+  const token = req.header('Authorization')?.replace('Bearer ', '');
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token de acceso requerido'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const usuario = await Usuario.findByPk(decoded.id);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Token de acceso requerido'
+    });
+  }
 
-    if (!usuario) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token inválido'
-      });
-    }
+  return autenticar(req, res, next, token);
+};
 
-    if (!usuario.activo) {
-      return res.status(401).json({
-        success: false,
-        message: 'Usuario inactivo'
-      });
-    }
+/**
+ * Marca una ruta como accesible aunque el usuario tenga un cambio de contraseña pendiente
+ * 
+ * @function permitirClavePendiente
+ * 
+ * @example
+ * // Debe ir antes de verificarToken:
+ * // router.patch('/cambiar-clave', permitirClavePendiente, verificarToken, cambiarClave);
+ * 
+ * @description
+ * - Sin esta marca, verificarToken responde 403 (CAMBIO_CLAVE_REQUERIDO) a usuarios con debe_cambiar_clave
+ */
+const permitirClavePendiente = (req, res, next) => {
+  req.permitirClavePendiente = true;
+  next();
+};
 
-    req.usuario = usuario;
-    next();
-  } catch (error) {
+/**
+ * Autentica con el ticket de eventos del parámetro ?ticket= (ver generarTicketEventos)
+ * 
+ * @async
+ * @function verificarTicketEventos
+ * 
+ * @example
+ * // En lugar de verificarToken, sólo en el canal de eventos:
+ * // router.get('/eventos', verificarTicketEventos, requierePermiso('naps:ver'), abrirCanalEventos);
+ * 
+ * @throws {401} Ticket de eventos requerido - No viene ?ticket=
+ * @throws {401} Token inválido - Ticket vencido, mal firmado o que no es de eventos (un access token no sirve)
+ * @throws {401} Sesión inválida o revocada - La sesión del ticket ya no está vigente
+ * 
+ * @description
+ * - Para rutas que abre el navegador con EventSource, que no permite enviar headers
+ * - Valida lo mismo que verificarToken (usuario activo, sesión vigente, cambio de clave pendiente)
+ */
+const verificarTicketEventos = async (req, res, next) => {
+  if (typeof req.query.ticket !== 'string' || !req.query.ticket) {
     return res.status(401).json({
       success: false,
-      message: 'Token inválido'
+      message: 'Ticket de eventos requerido'
     });
   }
+
+  return autenticar(req, res, next, req.query.ticket, 'eventos');
 };
 
 /**
- * Middleware factory que crea un verificador de rol basado en roles permitidos
+ * Middleware factory que exige uno de los permisos indicados
  * 
- * @function verificarRol
- * @param {...string} rolesPermitidos - Lista de roles que tienen acceso al endpoint
+ * @function requierePermiso
+ * @param {...string} permisos - Permisos aceptados ("recurso:accion"); alcanza con tener uno
  * 
- * @returns {Function} Middleware function que verifica si el usuario tiene rol válido
+ * @returns {Function} Middleware que verifica los permisos del rol del usuario
  * 
  * @example
- * // Permitir solo administradores:
- * // app.delete('/api/users/:id', verificarToken, verificarRol('ADMIN'), deleteUser);
+ * // Sólo quien puede crear NAPs:
+ * // router.post('/naps', verificarToken, requierePermiso('naps:crear'), crearNAP);
  * 
- * // Permitir administradores y supervisores:
- * // app.get('/api/reports', verificarToken, verificarRol('ADMIN', 'SUPERVISOR'), getReports);
- * 
- * // Permitir múltiples roles:
- * // app.put('/api/naps/:id', verificarToken, verificarRol('ADMIN', 'TECNICO', 'OPERADOR'), updateNap);
+ * // Quien pueda editar o liberar puertos:
+ * // router.put('/puertos/:id', verificarToken, requierePermiso('puertos:editar', 'puertos:liberar'), actualizarPuerto);
  * 
  * @throws {401} Usuario no autenticado - req.usuario no existe
- * @throws {403} No tienes permisos - Usuario autenticado pero sin rol válido
+ * @throws {403} No tienes permisos - El rol del usuario no tiene ninguno de los permisos
+ * @throws {403} 2FA requerido - El rol exige segundo factor (REQUIERE_2FA_ROLES) y el usuario no lo activó
  * 
  * @description
- * - Crea middleware dinámico basado en roles especificados
- * - Debe usar después de verificarToken para tener req.usuario disponible
- * - Verifica que el rol del usuario esté en la lista de roles permitidos
- * - Flexible para definir diferentes niveles de acceso por endpoint
- * - Patrón factory para reutilización de lógica de autorización
+ * - Debe usarse después de verificarToken para tener req.usuario disponible
+ * - Los permisos de cada rol viven en roles_permisos (editables por ADMIN) y se consultan con caché
+ * - El catálogo de permisos está en config/permisos.js
+ * - Si el rol tiene 2FA obligatorio, exige que el usuario lo tenga activo (codigo: '2FA_REQUERIDO')
  */
-const verificarRol = (...rolesPermitidos) => {
-  return (req, res, next) => {
+const requierePermiso = (...permisos) => {
+  return async (req, res, next) => {
     if (!req.usuario) {
       return res.status(401).json({
         success: false,
@@ -112,10 +193,26 @@ const verificarRol = (...rolesPermitidos) => {
       });
     }
 
-    if (!rolesPermitidos.includes(req.usuario.rol)) {
+    try {
+      if (!(await rolTienePermiso(req.usuario.rol, ...permisos))) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tienes permisos para realizar esta acción'
+        });
+      }
+    } catch (error) {
+      console.error('Error al verificar permisos:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+      });
+    }
+
+    if (rolRequiere2FA(req.usuario.rol) && !req.usuario.totp_activo) {
       return res.status(403).json({
         success: false,
-        message: 'No tienes permisos para realizar esta acción'
+        codigo: '2FA_REQUERIDO',
+        message: 'Tu rol requiere autenticación de dos factores. Actívala antes de continuar'
       });
     }
 
@@ -123,58 +220,9 @@ const verificarRol = (...rolesPermitidos) => {
   };
 };
 
-/**
- * Middleware predefinido que permite acceso solo a usuarios con rol ADMIN
- * 
- * @constant {Function} esAdmin
- * 
- * @example
- * // Proteger endpoint solo para administradores:
- * // app.delete('/api/usuarios/:id', verificarToken, esAdmin, eliminarUsuario);
- * 
- * @description
- * - Middleware preconfigurado para endpoints de alta seguridad
- * - Solo usuarios con rol 'ADMIN' pueden acceder
- * - Útil para operaciones críticas como eliminar usuarios, configuración del sistema
- */
-const esAdmin = verificarRol('ADMIN');
-
-/**
- * Middleware predefinido que permite acceso a administradores y supervisores
- * 
- * @constant {Function} esAdminOSupervisor
- * 
- * @example
- * // Permitir administradores y supervisores:
- * // app.get('/api/reportes/avanzados', verificarToken, esAdminOSupervisor, obtenerReportesAvanzados);
- * 
- * @description
- * - Middleware para endpoints de supervisión y reportes
- * - Permite acceso a roles 'ADMIN' y 'SUPERVISOR'
- * - Útil para funciones de monitoreo y análisis
- */
-const esAdminOSupervisor = verificarRol('ADMIN', 'SUPERVISOR');
-
-/**
- * Middleware predefinido que permite acceso a administradores y técnicos
- * 
- * @constant {Function} esAdminOTecnico
- * 
- * @example
- * // Permitir administradores y técnicos:
- * // app.post('/api/mantenimientos', verificarToken, esAdminOTecnico, crearMantenimiento);
- * 
- * @description
- * - Middleware para operaciones técnicas y mantenimiento
- * - Permite acceso a roles 'ADMIN' y 'TECNICO'
- * - Útil para funciones operativas como mantenimientos, configuración de NAPs
- */
-const esAdminOTecnico = verificarRol('ADMIN', 'TECNICO');
-
 module.exports = {
   verificarToken,
-  verificarRol,
-  esAdmin,
-  esAdminOSupervisor,
-  esAdminOTecnico
-};
\ No newline at end of file
+  permitirClavePendiente,
+  verificarTicketEventos,
+  requierePermiso
+};
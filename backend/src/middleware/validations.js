@@ -1,4 +1,8 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { ROLES, PERMISOS } = require('../config/permisos');
+const { parsearPeriodo } = require('../utils/reportesATT');
+const { parsearCron } = require('../utils/cron');
+const { EVENTOS_WEBHOOK } = require('../utils/webhooks');
 
 const manejarErroresValidacion = (req, res, next) => {
   const errores = validationResult(req);
@@ -56,6 +60,72 @@ const validarLogin = [
   manejarErroresValidacion
 ];
 
+const validarRefreshToken = [
+  body('refresh_token')
+    .isString()
+    .isLength({ min: 32, max: 256 })
+    .withMessage('Refresh token requerido'),
+  manejarErroresValidacion
+];
+
+const validarVerificacion2FA = [
+  body('challenge_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token de desafío requerido'),
+  body('codigo')
+    .isString()
+    .isLength({ min: 6, max: 20 })
+    .withMessage('Código de verificación requerido'),
+  manejarErroresValidacion
+];
+
+const validarCodigoTOTP = [
+  body('codigo')
+    .matches(/^\d{6}$/)
+    .withMessage('El código debe tener 6 dígitos'),
+  manejarErroresValidacion
+];
+
+const validarDesactivar2FA = [
+  body('clave')
+    .notEmpty()
+    .withMessage('La contraseña es requerida'),
+  body('codigo')
+    .isString()
+    .isLength({ min: 6, max: 20 })
+    .withMessage('Código de verificación requerido'),
+  manejarErroresValidacion
+];
+
+const validarOlvideClave = [
+  body('correo')
+    .isEmail()
+    .withMessage('Debe ser un correo válido'),
+  manejarErroresValidacion
+];
+
+const validarRestablecerClave = [
+  body('token')
+    .isString()
+    .isLength({ min: 32, max: 256 })
+    .withMessage('Token de restablecimiento requerido'),
+  body('claveNueva')
+    .isString()
+    .custom(validarPasswordFuerte),
+  manejarErroresValidacion
+];
+
+const validarCambioClave = [
+  body('claveActual')
+    .notEmpty()
+    .withMessage('Clave actual requerida'),
+  body('claveNueva')
+    .isString()
+    .custom(validarPasswordFuerte),
+  manejarErroresValidacion
+];
+
 const validarUsuario = [
   body('nombre')
     .isLength({ min: 2, max: 100 })
@@ -94,6 +164,26 @@ const validarNAP = [
   body('longitud')
     .isFloat({ min: -180, max: 180 })
     .withMessage('Longitud debe estar entre -180 y 180'),
+  body('splitter_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Splitter ID debe ser un UUID válido'),
+  body('cable_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Cable ID debe ser un UUID válido'),
+  body('zona_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Zona ID debe ser un UUID válido'),
+  body('conectores')
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage('Conectores debe ser entre 0 y 50'),
+  body('empalmes')
+    .optional()
+    .isInt({ min: 0, max: 200 })
+    .withMessage('Empalmes debe ser entre 0 y 200'),
   manejarErroresValidacion
 ];
 
@@ -112,6 +202,10 @@ const validarCliente = [
     .optional()
     .isLength({ min: 7, max: 15 })
     .withMessage('Teléfono debe tener entre 7 y 15 caracteres'),
+  body('zona_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('La zona debe ser un UUID válido'),
   manejarErroresValidacion
 ];
 
@@ -126,6 +220,18 @@ const validarPlan = [
     .optional()
     .isLength({ max: 500 })
     .withMessage('Descripción no puede exceder 500 caracteres'),
+  body(['precio_mensual', 'costo_instalacion'])
+    .optional()
+    .isFloat({ min: 0, max: 9999999999 })
+    .withMessage('Los precios deben ser números positivos'),
+  body('moneda')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Moneda debe ser un código de 3 letras (BOB, USD, ...)'),
+  body('impuesto_porcentaje')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Impuesto debe ser un porcentaje entre 0 y 100'),
   manejarErroresValidacion
 ];
 
@@ -162,6 +268,10 @@ const validarPuerto = [
     .optional()
     .isLength({ max: 500 })
     .withMessage('Nota no puede exceder 500 caracteres'),
+  body('longitud_acometida_m')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 20000 })
+    .withMessage('Longitud de acometida debe ser entre 0 y 20000 metros'),
   manejarErroresValidacion
 ];
 
@@ -179,6 +289,111 @@ const validarMantenimiento = [
     .optional()
     .isISO8601()
     .withMessage('Fecha debe ser una fecha válida'),
+  body('plan_mantenimiento_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Plan de mantenimiento ID debe ser un UUID válido'),
+  manejarErroresValidacion
+];
+
+const validarOLT = [
+  body('codigo')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('El código debe tener entre 3 y 50 caracteres'),
+  body('modelo')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El modelo debe tener entre 2 y 100 caracteres'),
+  body('estado')
+    .optional()
+    .isIn(['ACTIVO', 'MANTENIMIENTO', 'FUERA_SERVICIO'])
+    .withMessage('Estado no válido'),
+  body('ip_gestion')
+    .optional({ nullable: true })
+    .isIP()
+    .withMessage('IP de gestión no válida'),
+  body('potencia_tx_dbm')
+    .optional({ nullable: true })
+    .isFloat({ min: -10, max: 15 })
+    .withMessage('Potencia de lanzamiento debe estar entre -10 y 15 dBm'),
+  body('latitud')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitud debe estar entre -90 y 90'),
+  body('longitud')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitud debe estar entre -180 y 180'),
+  body('slots')
+    .optional()
+    .isInt({ min: 1, max: 32 })
+    .withMessage('Slots debe ser entre 1 y 32'),
+  body('puertos_por_slot')
+    .optional()
+    .isInt({ min: 0, max: 64 })
+    .withMessage('Puertos por slot debe ser entre 0 y 64'),
+  manejarErroresValidacion
+];
+
+const validarPuertoPON = [
+  body('slot')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Slot debe ser un entero positivo'),
+  body('numero')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Número debe ser un entero positivo'),
+  body('estado')
+    .optional()
+    .isIn(['ACTIVO', 'INACTIVO', 'FALLA'])
+    .withMessage('Estado no válido'),
+  body('nota')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Nota no puede exceder 500 caracteres'),
+  manejarErroresValidacion
+];
+
+const validarSplitter = [
+  body('codigo')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('El código debe tener entre 3 y 50 caracteres'),
+  body('ratio')
+    .isIn(['1:2', '1:4', '1:8', '1:16', '1:32', '1:64'])
+    .withMessage('Ratio no válido'),
+  body('puerto_pon_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Puerto PON ID debe ser un UUID válido'),
+  body('splitter_padre_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Splitter padre ID debe ser un UUID válido'),
+  body('cable_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Cable ID debe ser un UUID válido'),
+  body()
+    .custom(value => !!value.puerto_pon_id !== !!value.splitter_padre_id)
+    .withMessage('Debe indicar puerto_pon_id o splitter_padre_id, no ambos'),
+  manejarErroresValidacion
+];
+
+const validarCable = [
+  body('codigo')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('El código debe tener entre 3 y 50 caracteres'),
+  body('longitud_m')
+    .isFloat({ min: 0, max: 100000 })
+    .withMessage('Longitud debe ser entre 0 y 100000 metros'),
+  body('cantidad_fibras')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Cantidad de fibras debe ser entre 1 y 1000'),
+  body('descripcion')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Descripción no puede exceder 500 caracteres'),
   manejarErroresValidacion
 ];
 
@@ -195,6 +410,13 @@ const validarUUIDParamForPuertoFree = [
     .withMessage('ID debe ser un UUID válido'),
   manejarErroresValidacion
 ];
+const validarUUIDParamNap = [
+  param('nap_id')
+    .isUUID()
+    .withMessage('NAP ID debe ser un UUID válido'),
+  manejarErroresValidacion
+];
+
 const validarAsignacionCliente = [
   param('puerto_id')
     .isUUID()
@@ -234,9 +456,776 @@ const validarAsignacionCliente = [
   manejarErroresValidacion
 ];
 
+const validarPermisosRol = [
+  param('rol')
+    .isIn(ROLES)
+    .withMessage('Rol no válido'),
+  body('permisos')
+    .isArray()
+    .withMessage('permisos debe ser una lista'),
+  body('permisos.*')
+    .isIn(Object.keys(PERMISOS))
+    .withMessage('Permiso no válido'),
+  manejarErroresValidacion
+];
+
+const validarZona = [
+  body('nombre')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+  body('descripcion')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Descripción no puede exceder 500 caracteres'),
+  body('departamento')
+    .optional({ nullable: true })
+    .isLength({ max: 50 })
+    .withMessage('Departamento no puede exceder 50 caracteres'),
+  body('municipio')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .withMessage('Municipio no puede exceder 100 caracteres'),
+  body('codigo_municipio')
+    .optional({ nullable: true, checkFalsy: true })
+    .matches(/^\d{6}$/)
+    .withMessage('El código de municipio debe tener 6 dígitos (código INE)'),
+  body('activo')
+    .optional()
+    .isBoolean()
+    .withMessage('Activo debe ser verdadero o falso'),
+  manejarErroresValidacion
+];
+
+const validarZonasUsuario = [
+  param('id')
+    .isUUID()
+    .withMessage('ID debe ser un UUID válido'),
+  body('zona_ids')
+    .isArray()
+    .withMessage('zona_ids debe ser una lista'),
+  body('zona_ids.*')
+    .isUUID()
+    .withMessage('Cada zona debe ser un UUID válido'),
+  manejarErroresValidacion
+];
+
+// Filtro ?zona_id= de listados y reportes
+const validarFiltroZona = [
+  query('zona_id')
+    .optional()
+    .isUUID()
+    .withMessage('Zona ID debe ser un UUID válido'),
+  manejarErroresValidacion
+];
+
+// Campos que exige cada tipo de orden de trabajo
+const requiereParaTipos = (campo, tipos, mensaje) => body(campo)
+  .if(body('tipo').isIn(tipos))
+  .isUUID()
+  .withMessage(mensaje);
+
+const validarOrdenTrabajo = [
+  body('tipo')
+    .isIn(['INSTALACION', 'REPARACION', 'RETIRO', 'TRASLADO'])
+    .withMessage('Tipo debe ser INSTALACION, REPARACION, RETIRO o TRASLADO'),
+  body('descripcion')
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Descripción debe tener entre 10 y 1000 caracteres'),
+  body('nap_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('NAP ID debe ser un UUID válido'),
+  body('nap_id')
+    .custom((valor, { req }) => Boolean(valor || req.body.puerto_id))
+    .withMessage('Debe indicar el NAP o el puerto de la orden'),
+  requiereParaTipos('puerto_id', ['INSTALACION', 'RETIRO', 'TRASLADO'], 'Puerto ID es obligatorio para este tipo de orden'),
+  body('puerto_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Puerto ID debe ser un UUID válido'),
+  requiereParaTipos('puerto_destino_id', ['TRASLADO'], 'Puerto destino es obligatorio para un traslado'),
+  requiereParaTipos('cliente_id', ['INSTALACION'], 'Cliente ID es obligatorio para una instalación'),
+  body('cliente_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Cliente ID debe ser un UUID válido'),
+  requiereParaTipos('plan_id', ['INSTALACION'], 'Plan ID es obligatorio para una instalación'),
+  body('tecnico_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Técnico ID debe ser un UUID válido'),
+  body('fecha_programada')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Fecha programada debe ser una fecha válida'),
+  manejarErroresValidacion
+];
+
+const validarAsignacionOrden = [
+  param('id')
+    .isUUID()
+    .withMessage('ID debe ser un UUID válido'),
+  body('tecnico_id')
+    .isUUID()
+    .withMessage('Técnico ID debe ser un UUID válido'),
+  body('fecha_programada')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Fecha programada debe ser una fecha válida'),
+  manejarErroresValidacion
+];
+
+const validarCierreOrden = [
+  param('id')
+    .isUUID()
+    .withMessage('ID debe ser un UUID válido'),
+  body('resultado')
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('El resultado debe tener entre 10 y 1000 caracteres'),
+  manejarErroresValidacion
+];
+
+const validarCancelacionOrden = [
+  param('id')
+    .isUUID()
+    .withMessage('ID debe ser un UUID válido'),
+  body('motivo')
+    .isLength({ min: 5, max: 500 })
+    .withMessage('El motivo debe tener entre 5 y 500 caracteres'),
+  manejarErroresValidacion
+];
+
+const validarFiltroOrdenes = [
+  query('estado')
+    .optional()
+    .isIn(['PENDIENTE', 'ASIGNADA', 'EN_CURSO', 'COMPLETADA', 'CANCELADA'])
+    .withMessage('Estado no válido'),
+  query('tipo')
+    .optional()
+    .isIn(['INSTALACION', 'REPARACION', 'RETIRO', 'TRASLADO'])
+    .withMessage('Tipo no válido'),
+  query('tecnico_id')
+    .optional()
+    .isUUID()
+    .withMessage('Técnico ID debe ser un UUID válido'),
+  manejarErroresValidacion
+];
+
+const validarPlanMantenimiento = [
+  body('nombre')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('El nombre debe tener entre 3 y 100 caracteres'),
+  body('descripcion')
+    .optional({ nullable: true })
+    .isLength({ max: 1000 })
+    .withMessage('Descripción no puede exceder 1000 caracteres'),
+  body('nap_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('NAP ID debe ser un UUID válido'),
+  body('modelo_nap')
+    .optional({ nullable: true })
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El modelo de NAP debe tener entre 1 y 100 caracteres'),
+  body('nap_id')
+    .custom((valor, { req }) => Boolean(valor) !== Boolean(req.body.modelo_nap))
+    .withMessage('Indique un NAP o un modelo de NAP, no ambos'),
+  body('intervalo')
+    .isInt({ min: 1, max: 730 })
+    .withMessage('El intervalo debe ser un entero entre 1 y 730'),
+  body('unidad')
+    .isIn(['DIAS', 'SEMANAS', 'MESES'])
+    .withMessage('Unidad debe ser DIAS, SEMANAS o MESES'),
+  body('fecha_inicio')
+    .isISO8601()
+    .withMessage('Fecha de inicio debe ser una fecha válida'),
+  body('dias_aviso')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Los días de aviso deben estar entre 0 y 90'),
+  body('tecnico_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Técnico ID debe ser un UUID válido'),
+  body('activo')
+    .optional()
+    .isBoolean()
+    .withMessage('Activo debe ser verdadero o falso'),
+  manejarErroresValidacion
+];
+
+const CAMPO_POR_ALCANCE = { ZONA: 'zona_id', MODELO: 'modelo_nap', NAP: 'nap_id' };
+
+const validarReglaAlerta = [
+  body('nombre')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('El nombre debe tener entre 3 y 100 caracteres'),
+  body('metrica')
+    .isIn(['OCUPACION', 'PUERTOS_MANTENIMIENTO', 'DIAS_SIN_PREVENTIVO', 'CONEXIONES_SUSPENDIDAS', 'CORRECTIVOS_RECIENTES'])
+    .withMessage('Métrica inválida'),
+  body('comparador')
+    .isIn(['>', '>=', '<', '<=', '='])
+    .withMessage('Comparador debe ser >, >=, <, <= o ='),
+  body('umbral')
+    .isFloat({ min: 0, max: 99999999 })
+    .withMessage('El umbral debe ser un número mayor o igual a 0'),
+  body('ventana_horas')
+    .if(body('metrica').equals('CORRECTIVOS_RECIENTES'))
+    .isInt({ min: 1, max: 8760 })
+    .withMessage('La ventana debe ser un entero de horas entre 1 y 8760'),
+  body('alcance')
+    .isIn(['TODOS', 'ZONA', 'MODELO', 'NAP'])
+    .withMessage('Alcance debe ser TODOS, ZONA, MODELO o NAP'),
+  body('zona_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Zona ID debe ser un UUID válido'),
+  body('nap_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('NAP ID debe ser un UUID válido'),
+  body('modelo_nap')
+    .optional({ nullable: true })
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El modelo de NAP debe tener entre 1 y 100 caracteres'),
+  body('alcance')
+    .custom((valor, { req }) => !CAMPO_POR_ALCANCE[valor] || Boolean(req.body[CAMPO_POR_ALCANCE[valor]]))
+    .withMessage('Indique la zona, el modelo o el NAP al que se aplica la regla'),
+  body('nivel')
+    .isIn(['CRITICO', 'ADVERTENCIA', 'INFO'])
+    .withMessage('Nivel debe ser CRITICO, ADVERTENCIA o INFO'),
+  body('enfriamiento_minutos')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('El enfriamiento debe estar entre 0 y 10080 minutos'),
+  body('activa')
+    .optional()
+    .isBoolean()
+    .withMessage('Activa debe ser verdadero o falso'),
+  manejarErroresValidacion
+];
+
+const validarCalendarioMantenimiento = [
+  query('hasta')
+    .optional()
+    .isISO8601()
+    .withMessage('Hasta debe ser una fecha válida'),
+  query('tecnico_id')
+    .optional()
+    .isUUID()
+    .withMessage('Técnico ID debe ser un UUID válido'),
+  manejarErroresValidacion
+];
+
+const CATEGORIAS_INCIDENTE = [
+  'CORTE_FIBRA',
+  'FALLA_ENERGIA',
+  'FALLA_EQUIPO',
+  'VANDALISMO',
+  'CLIMA',
+  'CONFIGURACION',
+  'MANTENIMIENTO_PROGRAMADO',
+  'OTRO'
+];
+
+const validarIncidente = [
+  body('titulo')
+    .isLength({ min: 3, max: 150 })
+    .withMessage('El título debe tener entre 3 y 150 caracteres'),
+  body('descripcion')
+    .optional({ nullable: true })
+    .isLength({ max: 1000 })
+    .withMessage('Descripción no puede exceder 1000 caracteres'),
+  body('categoria')
+    .isIn(CATEGORIAS_INCIDENTE)
+    .withMessage('Categoría no válida'),
+  body('fecha_inicio')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de inicio debe ser una fecha válida')
+    .custom(valor => new Date(valor) <= new Date())
+    .withMessage('La fecha de inicio no puede estar en el futuro'),
+  body('afectados')
+    .isArray({ min: 1 })
+    .withMessage('Indique al menos un NAP afectado'),
+  body('afectados.*.nap_id')
+    .isUUID()
+    .withMessage('NAP ID debe ser un UUID válido'),
+  body('afectados.*.puerto_ids')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Los puertos afectados deben ser una lista no vacía'),
+  body('afectados.*.puerto_ids.*')
+    .isUUID()
+    .withMessage('Puerto ID debe ser un UUID válido'),
+  manejarErroresValidacion
+];
+
+const validarResolucionIncidente = [
+  body('solucion')
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('La solución debe tener entre 5 y 1000 caracteres'),
+  body('fecha_resolucion')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha de resolución debe ser una fecha válida')
+    .custom(valor => new Date(valor) <= new Date())
+    .withMessage('La fecha de resolución no puede estar en el futuro'),
+  body('categoria')
+    .optional()
+    .isIn(CATEGORIAS_INCIDENTE)
+    .withMessage('Categoría no válida'),
+  manejarErroresValidacion
+];
+
+const validarFiltroIncidentes = [
+  query('estado')
+    .optional()
+    .isIn(['ABIERTO', 'RESUELTO'])
+    .withMessage('Estado no válido'),
+  query('categoria')
+    .optional()
+    .isIn(CATEGORIAS_INCIDENTE)
+    .withMessage('Categoría no válida'),
+  query('nap_id')
+    .optional()
+    .isUUID()
+    .withMessage('NAP ID debe ser un UUID válido'),
+  query('fecha_desde')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha desde debe ser una fecha válida'),
+  query('fecha_hasta')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha hasta debe ser una fecha válida'),
+  manejarErroresValidacion
+];
+
+const ESTADOS_ALERTA = ['ABIERTA', 'RECONOCIDA', 'RESUELTA'];
+
+const validarFiltroAlertas = [
+  query('estado')
+    .optional()
+    .custom(valor => valor.split(',').every(estado => ESTADOS_ALERTA.includes(estado)))
+    .withMessage('Estado no válido'),
+  query('nivel')
+    .optional()
+    .isIn(['CRITICO', 'ADVERTENCIA', 'INFO'])
+    .withMessage('Nivel no válido'),
+  query('tipo')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Tipo no válido'),
+  query(['nap_id', 'zona_id', 'asignada_a'])
+    .optional()
+    .isUUID()
+    .withMessage('Debe ser un UUID válido'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser un entero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe estar entre 1 y 100'),
+  manejarErroresValidacion
+];
+
+const NIVELES_ALERTA = ['CRITICO', 'ADVERTENCIA', 'INFO'];
+const TIPOS_CANAL_NOTIFICACION = ['CORREO', 'WEBHOOK', 'CHAT'];
+
+const validarCanalNotificacion = [
+  body('tipo')
+    .isIn(TIPOS_CANAL_NOTIFICACION)
+    .withMessage('Tipo debe ser CORREO, WEBHOOK o CHAT'),
+  body('nombre')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre debe tener entre 1 y 100 caracteres'),
+  body('destino')
+    .if(body('tipo').equals('CORREO'))
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .withMessage('El destino debe ser un correo válido'),
+  body('destino')
+    .if(body('tipo').equals('WEBHOOK'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('El destino debe ser una URL http(s) válida')
+    .isLength({ max: 500 })
+    .withMessage('La URL no puede exceder 500 caracteres'),
+  body('destino')
+    .if(body('tipo').equals('CHAT'))
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Indique el ID del chat'),
+  body('niveles')
+    .isArray({ min: 1 })
+    .withMessage('Elija al menos un nivel de alerta'),
+  body('niveles.*')
+    .isIn(NIVELES_ALERTA)
+    .withMessage('Nivel debe ser CRITICO, ADVERTENCIA o INFO'),
+  body(['activo', 'regenerar_secreto'])
+    .optional()
+    .isBoolean()
+    .withMessage('Debe ser verdadero o falso'),
+  manejarErroresValidacion
+];
+
+const validarFiltroNotificaciones = [
+  query('estado')
+    .optional()
+    .isIn(['PENDIENTE', 'ENVIADA', 'FALLIDA'])
+    .withMessage('Estado no válido'),
+  query('canal')
+    .optional()
+    .isIn(TIPOS_CANAL_NOTIFICACION)
+    .withMessage('Canal no válido'),
+  query('alerta_id')
+    .optional()
+    .isUUID()
+    .withMessage('Alerta ID debe ser un UUID válido'),
+  query('todas')
+    .optional()
+    .isBoolean()
+    .withMessage('Todas debe ser verdadero o falso'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser un entero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe estar entre 1 y 100'),
+  manejarErroresValidacion
+];
+
+const TIPOS_EVENTO_WEBHOOK = Object.values(EVENTOS_WEBHOOK);
+
+const validarWebhook = [
+  body('nombre')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre debe tener entre 1 y 100 caracteres'),
+  body('url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('La URL debe ser http(s) válida')
+    .isLength({ max: 500 })
+    .withMessage('La URL no puede exceder 500 caracteres'),
+  body('eventos')
+    .isArray({ min: 1 })
+    .withMessage('Elija al menos un evento'),
+  body('eventos.*')
+    .isIn(TIPOS_EVENTO_WEBHOOK)
+    .withMessage(`Evento debe ser uno de: ${TIPOS_EVENTO_WEBHOOK.join(', ')}`),
+  body(['activo', 'regenerar_secreto'])
+    .optional()
+    .isBoolean()
+    .withMessage('Debe ser verdadero o falso'),
+  manejarErroresValidacion
+];
+
+const validarReenvioWebhook = [
+  param('id')
+    .isUUID()
+    .withMessage('ID debe ser un UUID válido'),
+  body('evento_id')
+    .optional()
+    .isUUID()
+    .withMessage('Evento ID debe ser un UUID válido'),
+  body('desde')
+    .if(body('evento_id').not().exists())
+    .isISO8601()
+    .withMessage('Indique evento_id o la fecha desde la que se reenvía'),
+  body('hasta')
+    .optional()
+    .isISO8601()
+    .withMessage('Hasta debe ser una fecha válida')
+    .custom((hasta, { req }) => !req.body.desde || new Date(hasta) >= new Date(req.body.desde))
+    .withMessage('Hasta debe ser posterior a desde'),
+  manejarErroresValidacion
+];
+
+const validarFiltroEventosWebhook = [
+  query('evento')
+    .optional()
+    .isIn(TIPOS_EVENTO_WEBHOOK)
+    .withMessage('Evento no válido'),
+  query('estado')
+    .optional()
+    .isIn(['PENDIENTE', 'ENVIADA', 'FALLIDA'])
+    .withMessage('Estado no válido'),
+  query(['desde', 'hasta'])
+    .optional()
+    .isISO8601()
+    .withMessage('Debe ser una fecha válida'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser un entero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe estar entre 1 y 100'),
+  manejarErroresValidacion
+];
+
+const PERIODO_FACTURACION = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const validarGeneracionFacturas = [
+  body('periodo')
+    .optional()
+    .matches(PERIODO_FACTURACION)
+    .withMessage('Periodo debe tener el formato AAAA-MM')
+    .custom(periodo => periodo < new Date().toISOString().slice(0, 7))
+    .withMessage('Sólo se pueden facturar meses cerrados'),
+  body('cliente_id')
+    .optional()
+    .isUUID()
+    .withMessage('Cliente ID debe ser un UUID válido'),
+  manejarErroresValidacion
+];
+
+const validarFiltroFacturas = [
+  query('estado')
+    .optional()
+    .isIn(['PENDIENTE', 'PARCIAL', 'PAGADA', 'ANULADA'])
+    .withMessage('Estado no válido'),
+  query('cliente_id')
+    .optional()
+    .isUUID()
+    .withMessage('Cliente ID debe ser un UUID válido'),
+  query('periodo')
+    .optional()
+    .matches(PERIODO_FACTURACION)
+    .withMessage('Periodo debe tener el formato AAAA-MM'),
+  query('vencidas')
+    .optional()
+    .isBoolean()
+    .withMessage('Vencidas debe ser true o false'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser un entero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe estar entre 1 y 100'),
+  manejarErroresValidacion
+];
+
+const validarAnulacion = [
+  param('id')
+    .isUUID()
+    .withMessage('ID debe ser un UUID válido'),
+  body('motivo')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Indique el motivo de la anulación (3 a 500 caracteres)'),
+  manejarErroresValidacion
+];
+
+const validarPago = [
+  body('cliente_id')
+    .isUUID()
+    .withMessage('Cliente ID debe ser un UUID válido'),
+  body('monto')
+    .isFloat({ min: 0.01, max: 9999999999 })
+    .withMessage('El monto debe ser mayor a cero'),
+  body('moneda')
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Moneda debe ser un código de 3 letras (BOB, USD, ...)'),
+  body('fecha')
+    .optional()
+    .isISO8601()
+    .withMessage('Fecha debe ser válida')
+    .custom(fecha => fecha.slice(0, 10) <= new Date().toISOString().slice(0, 10))
+    .withMessage('La fecha del pago no puede ser futura'),
+  body('metodo')
+    .isIn(['EFECTIVO', 'TRANSFERENCIA', 'TARJETA', 'QR', 'OTRO'])
+    .withMessage('Método debe ser EFECTIVO, TRANSFERENCIA, TARJETA, QR u OTRO'),
+  body('referencia')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .withMessage('Referencia no puede exceder 100 caracteres'),
+  body('nota')
+    .optional({ nullable: true })
+    .isLength({ max: 1000 })
+    .withMessage('Nota no puede exceder 1000 caracteres'),
+  manejarErroresValidacion
+];
+
+const validarFiltroPagos = [
+  query('cliente_id')
+    .optional()
+    .isUUID()
+    .withMessage('Cliente ID debe ser un UUID válido'),
+  query(['desde', 'hasta'])
+    .optional()
+    .isISO8601()
+    .withMessage('Debe ser una fecha válida'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser un entero positivo'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe estar entre 1 y 100'),
+  manejarErroresValidacion
+];
+
+const validarCambioEstadoAlerta = [
+  param('id')
+    .isUUID()
+    .withMessage('ID debe ser un UUID válido'),
+  body('nota')
+    .optional({ nullable: true })
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('La nota debe tener entre 1 y 1000 caracteres'),
+  manejarErroresValidacion
+];
+
+const validarAsignacionAlerta = [
+  param('id')
+    .isUUID()
+    .withMessage('ID debe ser un UUID válido'),
+  body('usuario_id')
+    .isUUID()
+    .withMessage('Usuario ID debe ser un UUID válido'),
+  manejarErroresValidacion
+];
+
+const validarNotaAlerta = [
+  param('id')
+    .isUUID()
+    .withMessage('ID debe ser un UUID válido'),
+  body('texto')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('La nota debe tener entre 1 y 1000 caracteres'),
+  manejarErroresValidacion
+];
+
+const validarHistoricoOcupacion = [
+  query('desde')
+    .optional()
+    .isISO8601()
+    .withMessage('Desde debe ser una fecha válida'),
+  query('hasta')
+    .optional()
+    .isISO8601()
+    .withMessage('Hasta debe ser una fecha válida')
+    .bail()
+    .custom((hasta, { req }) => !req.query.desde || req.query.desde.slice(0, 10) <= hasta.slice(0, 10))
+    .withMessage('Hasta no puede ser anterior a desde'),
+  query('zona_id')
+    .optional()
+    .isUUID()
+    .withMessage('Zona ID debe ser un UUID válido'),
+  query('agrupar')
+    .optional()
+    .isIn(['nap', 'zona'])
+    .withMessage('Agrupar debe ser nap o zona'),
+  query('limite')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('El límite debe estar entre 1 y 500'),
+  manejarErroresValidacion
+];
+
+const validarHorizonteCapacidad = [
+  query('zona_id')
+    .optional()
+    .isUUID()
+    .withMessage('Zona ID debe ser un UUID válido'),
+  query('horizonte_dias')
+    .optional()
+    .isInt({ min: 1, max: 1095 })
+    .withMessage('El horizonte debe estar entre 1 y 1095 días'),
+  manejarErroresValidacion
+];
+
+const validarPeriodoATT = [
+  query('periodo')
+    .matches(/^\d{4}-(0[1-9]|1[0-2]|T[1-4])$/)
+    .withMessage('El periodo debe ser mensual (AAAA-MM) o trimestral (AAAA-T1 a AAAA-T4)')
+    .bail()
+    .custom(valor => parsearPeriodo(valor).hasta < new Date())
+    .withMessage('El periodo aún no ha cerrado'),
+  query('umbral_minutos')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El umbral de minutos debe ser un entero positivo'),
+  query('umbral_usuarios')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El umbral de usuarios debe ser un entero positivo'),
+  manejarErroresValidacion
+];
+
+const validarSuscripcionReporte = [
+  body('nombre')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('El nombre debe tener entre 3 y 100 caracteres'),
+  body('tipo')
+    .isString()
+    .notEmpty()
+    .withMessage('Indique el reporte'),
+  body('formato')
+    .isIn(['pdf', 'excel', 'csv'])
+    .withMessage('Formato debe ser pdf, excel o csv'),
+  body('parametros')
+    .optional()
+    .isObject()
+    .withMessage('Los parámetros deben ser un objeto'),
+  body('parametros.zona_id')
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage('Zona ID debe ser un UUID válido'),
+  body('parametros.cliente_id')
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage('Cliente ID debe ser un UUID válido'),
+  body(['parametros.umbral_minutos', 'parametros.umbral_usuarios'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 0 })
+    .withMessage('Los umbrales deben ser enteros positivos'),
+  body('parametros.horizonte_dias')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1, max: 1095 })
+    .withMessage('El horizonte debe estar entre 1 y 1095 días'),
+  body('rango')
+    .optional({ nullable: true })
+    .isIn(['ULTIMA_SEMANA', 'ULTIMO_MES', 'MES_ANTERIOR', 'TRIMESTRE_ANTERIOR'])
+    .withMessage('Rango debe ser ULTIMA_SEMANA, ULTIMO_MES, MES_ANTERIOR o TRIMESTRE_ANTERIOR'),
+  body('programacion')
+    .custom(valor => {
+      parsearCron(valor);
+      return true;
+    }),
+  body('destinatarios')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Indique entre 1 y 20 destinatarios'),
+  body('destinatarios.*')
+    .isEmail()
+    .withMessage('Cada destinatario debe ser un correo válido'),
+  body('activo')
+    .optional()
+    .isBoolean()
+    .withMessage('Activo debe ser verdadero o falso'),
+  manejarErroresValidacion
+];
+
 module.exports = {
   manejarErroresValidacion,
+  validarPasswordFuerte,
   validarLogin,
+  validarRefreshToken,
+  validarVerificacion2FA,
+  validarCodigoTOTP,
+  validarDesactivar2FA,
+  validarOlvideClave,
+  validarRestablecerClave,
+  validarCambioClave,
   validarUsuario,
   validarNAP,
   validarCliente,
@@ -246,5 +1235,43 @@ module.exports = {
   validarMantenimiento,
   validarUUID,
   validarAsignacionCliente,
-  validarUUIDParamForPuertoFree
+  validarUUIDParamForPuertoFree,
+  validarUUIDParamNap,
+  validarOLT,
+  validarPuertoPON,
+  validarSplitter,
+  validarCable,
+  validarPermisosRol,
+  validarZona,
+  validarZonasUsuario,
+  validarFiltroZona,
+  validarOrdenTrabajo,
+  validarAsignacionOrden,
+  validarCierreOrden,
+  validarCancelacionOrden,
+  validarFiltroOrdenes,
+  validarPlanMantenimiento,
+  validarCalendarioMantenimiento,
+  validarReglaAlerta,
+  validarIncidente,
+  validarResolucionIncidente,
+  validarFiltroIncidentes,
+  validarFiltroAlertas,
+  validarCambioEstadoAlerta,
+  validarAsignacionAlerta,
+  validarNotaAlerta,
+  validarCanalNotificacion,
+  validarFiltroNotificaciones,
+  validarWebhook,
+  validarReenvioWebhook,
+  validarFiltroEventosWebhook,
+  validarGeneracionFacturas,
+  validarFiltroFacturas,
+  validarAnulacion,
+  validarPago,
+  validarFiltroPagos,
+  validarHistoricoOcupacion,
+  validarHorizonteCapacidad,
+  validarPeriodoATT,
+  validarSuscripcionReporte
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para AccionCobranza
+ *
+ * @class AccionCobranza
+ * @description Lo que hizo el proceso de cobranza con un cliente moroso: recordatorio enviado,
+ * conexión suspendida o reactivada. De acá sale el reporte diario de cortes y reconexiones.
+ *
+ * @property {string} tipo - RECORDATORIO, SUSPENSION o REACTIVACION
+ * @property {string} [factura_id] - Factura recordada (RECORDATORIO)
+ * @property {string} [conexion_id] - Conexión suspendida o reactivada
+ * @property {number} [paso] - Días respecto del vencimiento del recordatorio (negativo: antes)
+ * @property {string} fecha - Día de la acción (AAAA-MM-DD)
+ * @property {string} [deuda] - Deuda vencida del cliente en ese momento
+ * @property {string} [destino] - Correo al que se envió el recordatorio
+ * @property {boolean} exito - false si el recordatorio no se pudo enviar (ver detalle)
+ */
+const AccionCobranza = sequelize.define('AccionCobranza', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  cliente_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clientes',
+      key: 'id'
+    }
+  },
+  factura_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'facturas',
+      key: 'id'
+    }
+  },
+  conexion_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'conexiones',
+      key: 'id'
+    }
+  },
+  tipo: {
+    type: DataTypes.ENUM('RECORDATORIO', 'SUSPENSION', 'REACTIVACION'),
+    allowNull: false
+  },
+  paso: {
+    type: DataTypes.INTEGER
+  },
+  fecha: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  deuda: {
+    type: DataTypes.DECIMAL(12, 2)
+  },
+  moneda: {
+    type: DataTypes.STRING(3)
+  },
+  destino: {
+    type: DataTypes.STRING(150)
+  },
+  exito: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  detalle: {
+    type: DataTypes.TEXT
+  }
+}, {
+  tableName: 'acciones_cobranza',
+  indexes: [
+    {
+      fields: ['cliente_id', 'fecha']
+    },
+    {
+      fields: ['fecha', 'tipo']
+    },
+    {
+      unique: true,
+      fields: ['factura_id', 'paso'],
+      where: { tipo: 'RECORDATORIO' }
+    }
+  ]
+});
+
+module.exports = AccionCobranza;
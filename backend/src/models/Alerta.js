@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Alerta
+ *
+ * @class Alerta
+ * @description Condición detectada sobre un NAP (saturado, en mantenimiento, preventivo vencido, ...).
+ * La crea y la resuelve sola utils/alertas.js: mientras la condición siga vigente hay una única alerta
+ * sin resolver por NAP y tipo, que se actualiza en cada evaluación; cuando la condición desaparece
+ * queda RESUELTA con resolución AUTOMATICA. Un usuario puede reconocerla, asignarla y resolverla a mano.
+ *
+ * @property {string} tipo - NAP_SATURADO, NAP_MANTENIMIENTO, NAP_OCUPACION, MANTENIMIENTO_VENCIDO, ...
+ * @property {string} nivel - CRITICO, ADVERTENCIA o INFO
+ * @property {string} estado - ABIERTA, RECONOCIDA o RESUELTA
+ * @property {Date} primera_deteccion - Cuándo apareció la condición
+ * @property {Date} ultima_deteccion - Última evaluación que la encontró vigente
+ * @property {string} [regla_id] - Regla que la abrió o escaló (null en las alertas fijas del sistema)
+ * @property {string} [reconocida_por] - Usuario que la reconoció
+ * @property {string} [asignada_a] - Usuario a cargo
+ * @property {string} [resolucion] - AUTOMATICA (la condición desapareció) o MANUAL
+ */
+const Alerta = sequelize.define('Alerta', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tipo: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  nivel: {
+    type: DataTypes.ENUM('CRITICO', 'ADVERTENCIA', 'INFO'),
+    allowNull: false
+  },
+  estado: {
+    type: DataTypes.ENUM('ABIERTA', 'RECONOCIDA', 'RESUELTA'),
+    allowNull: false,
+    defaultValue: 'ABIERTA'
+  },
+  mensaje: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  detalle: {
+    type: DataTypes.TEXT
+  },
+  nap_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'naps',
+      key: 'id'
+    }
+  },
+  primera_deteccion: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  ultima_deteccion: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  regla_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'reglas_alerta',
+      key: 'id'
+    }
+  },
+  reconocida_por: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  reconocida_en: {
+    type: DataTypes.DATE
+  },
+  asignada_a: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  resolucion: {
+    type: DataTypes.ENUM('AUTOMATICA', 'MANUAL')
+  },
+  resuelta_por: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  resuelta_en: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'alertas',
+  indexes: [
+    {
+      unique: true,
+      name: 'alertas_nap_tipo_sin_resolver',
+      fields: ['nap_id', 'tipo'],
+      where: { estado: ['ABIERTA', 'RECONOCIDA'] }
+    },
+    {
+      fields: ['estado', 'nivel']
+    },
+    {
+      fields: ['asignada_a']
+    }
+  ]
+});
+
+module.exports = Alerta;
@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para AlertaNota
+ *
+ * @class AlertaNota
+ * @description Bitácora de una alerta: notas de los usuarios y los cambios de estado.
+ * Sin usuario_id la escribió el sistema (por ejemplo, la resolución automática).
+ */
+const AlertaNota = sequelize.define('AlertaNota', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  alerta_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'alertas',
+      key: 'id'
+    }
+  },
+  usuario_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  texto: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  }
+}, {
+  tableName: 'alertas_notas'
+});
+
+module.exports = AlertaNota;
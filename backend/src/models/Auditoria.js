@@ -16,7 +16,7 @@ const Auditoria = sequelize.define('Auditoria', {
     allowNull: false
   },
   accion: {
-    type: DataTypes.ENUM('CREATE', 'UPDATE', 'DELETE'),
+    type: DataTypes.ENUM('CREATE', 'UPDATE', 'DELETE', 'LOGIN', 'BLOQUEO', 'DESBLOQUEO'),
     allowNull: false
   },
   datos_anteriores: {
@@ -25,14 +25,19 @@ const Auditoria = sequelize.define('Auditoria', {
   datos_nuevos: {
     type: DataTypes.TEXT
   },
+  // Sin usuario cuando el cambio lo hizo un proceso automático (ver origen)
   cambiado_por: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: 'usuarios',
       key: 'id'
     }
   },
+  // Proceso que hizo el cambio (p. ej. 'COBRANZA'); null si fue a mano
+  origen: {
+    type: DataTypes.STRING(50)
+  },
   fecha: {
     type: DataTypes.DATE,
     allowNull: false,
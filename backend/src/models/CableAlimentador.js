@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CableAlimentador = sequelize.define('CableAlimentador', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  codigo: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  longitud_m: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  cantidad_fibras: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  descripcion: {
+    type: DataTypes.TEXT
+  }
+}, {
+  tableName: 'cables_alimentadores'
+});
+
+module.exports = CableAlimentador;
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para CambioEstadoConexion
+ *
+ * @class CambioEstadoConexion
+ * @description Historial de estados de una conexión (alta, suspensión, reactivación, baja). Se escribe
+ * en la misma transacción que el cambio (utils/historialConexiones.js) y de acá salen los días que
+ * cobra la facturación; la auditoría queda sólo como registro.
+ *
+ * @property {string} conexion_id - Conexión
+ * @property {string} [estado_anterior] - null en el alta
+ * @property {string} estado_nuevo - ACTIVA, SUSPENDIDA o FINALIZADA
+ * @property {string} fecha - Día del cambio (AAAA-MM-DD, hora local)
+ * @property {string} [cambiado_por] - Usuario que hizo el cambio
+ * @property {string} [origen] - Proceso automático que lo hizo (p. ej. 'COBRANZA')
+ */
+const CambioEstadoConexion = sequelize.define('CambioEstadoConexion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  conexion_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'conexiones',
+      key: 'id'
+    }
+  },
+  estado_anterior: {
+    type: DataTypes.ENUM('ACTIVA', 'SUSPENDIDA', 'FINALIZADA')
+  },
+  estado_nuevo: {
+    type: DataTypes.ENUM('ACTIVA', 'SUSPENDIDA', 'FINALIZADA'),
+    allowNull: false
+  },
+  fecha: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  cambiado_por: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  origen: {
+    type: DataTypes.STRING(50)
+  }
+}, {
+  tableName: 'cambios_estado_conexion',
+  indexes: [
+    {
+      fields: ['conexion_id', 'fecha']
+    }
+  ]
+});
+
+module.exports = CambioEstadoConexion;
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para CanalNotificacion
+ *
+ * @class CanalNotificacion
+ * @description Canal por el que un usuario quiere recibir las alertas de sus zonas fuera de la
+ * aplicación, con los niveles que se envían por él (p. ej. CRITICO por chat, todo por correo).
+ *
+ * @property {string} tipo - CORREO, WEBHOOK o CHAT
+ * @property {string} nombre - Nombre para reconocerlo en la lista
+ * @property {string} [destino] - Correo (null: el del usuario), URL del webhook o ID del chat
+ * @property {string} [secreto] - Clave HMAC con la que se firman los webhooks
+ * @property {string[]} niveles - Niveles de alerta que se envían por este canal
+ * @property {boolean} activo - Canal en uso
+ */
+const CanalNotificacion = sequelize.define('CanalNotificacion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  usuario_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  tipo: {
+    type: DataTypes.ENUM('CORREO', 'WEBHOOK', 'CHAT'),
+    allowNull: false
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  destino: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  secreto: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  niveles: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: ['CRITICO']
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'canales_notificacion'
+});
+
+module.exports = CanalNotificacion;
@@ -31,6 +31,15 @@ const Cliente = sequelize.define('Cliente', {
   },
   direccion: {
     type: DataTypes.TEXT
+  },
+  // Zona del cliente mientras no tenga conexión; con conexión se ve por la zona de su NAP
+  zona_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'zonas',
+      key: 'id'
+    }
   }
 }, {
   tableName: 'clientes'
@@ -43,6 +43,12 @@ const Conexion = sequelize.define('Conexion', {
     allowNull: false,
     defaultValue: 'ACTIVA'
   },
+  // Suspendida por mora (utils/cobranza.js): se reactiva sola cuando el cliente se pone al día
+  suspension_automatica: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
   creado_por: {
     type: DataTypes.UUID,
     allowNull: false,
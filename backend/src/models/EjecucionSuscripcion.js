@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para EjecucionSuscripcion
+ *
+ * @class EjecucionSuscripcion
+ * @description Historial de envíos de una suscripción de reporte, exitosos o fallidos.
+ *
+ * @property {string} estado - EXITOSA o FALLIDA
+ * @property {boolean} manual - Ejecutada a pedido ("enviar ahora") y no por la programación
+ * @property {Object} parametros - Parámetros con los que se generó (con el periodo ya resuelto)
+ * @property {string[]} destinatarios - A quiénes se envió
+ * @property {string} [archivo] - Nombre del adjunto
+ * @property {string} [error] - Motivo del fallo
+ */
+const EjecucionSuscripcion = sequelize.define('EjecucionSuscripcion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  suscripcion_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'suscripciones_reportes',
+      key: 'id'
+    }
+  },
+  estado: {
+    type: DataTypes.ENUM('EXITOSA', 'FALLIDA'),
+    allowNull: false
+  },
+  manual: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  parametros: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  destinatarios: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  archivo: {
+    type: DataTypes.STRING(200)
+  },
+  tamano: {
+    type: DataTypes.INTEGER
+  },
+  error: {
+    type: DataTypes.TEXT
+  },
+  fecha_inicio: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  fecha_fin: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'ejecuciones_suscripciones'
+});
+
+module.exports = EjecucionSuscripcion;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para EntregaWebhook
+ *
+ * @class EntregaWebhook
+ * @description Envío de un evento a un webhook. Es a la vez la cola de envíos pendientes (con
+ * reintentos) y el registro de lo entregado o fallido.
+ *
+ * @property {boolean} reenvio - Creada por un reenvío manual, no al ocurrir el evento
+ * @property {string} estado - PENDIENTE, ENVIADA o FALLIDA (agotó los reintentos)
+ * @property {number} intentos - Intentos de envío realizados
+ * @property {Date} [proximo_intento] - Cuándo se vuelve a intentar un PENDIENTE
+ * @property {string} [ultimo_error] - Motivo del último intento fallido
+ * @property {Date} [enviada_en] - Momento de la entrega
+ */
+const EntregaWebhook = sequelize.define('EntregaWebhook', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  evento_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'eventos_webhook',
+      key: 'id'
+    }
+  },
+  webhook_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'webhooks',
+      key: 'id'
+    }
+  },
+  reenvio: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  estado: {
+    type: DataTypes.ENUM('PENDIENTE', 'ENVIADA', 'FALLIDA'),
+    allowNull: false,
+    defaultValue: 'PENDIENTE'
+  },
+  intentos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  proximo_intento: {
+    type: DataTypes.DATE
+  },
+  ultimo_error: {
+    type: DataTypes.TEXT
+  },
+  enviada_en: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'entregas_webhook'
+});
+
+module.exports = EntregaWebhook;
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para EventoWebhook
+ *
+ * @class EventoWebhook
+ * @description Evento del dominio guardado en la bandeja de salida (outbox), en la misma transacción
+ * que el cambio que lo produjo. Se conserva para volver a enviarlo a un webhook.
+ *
+ * @property {string} evento - Tipo (conexion.creada, conexion.finalizada, puerto.liberado, ...)
+ * @property {Object} datos - Contenido que recibe el webhook
+ */
+const EventoWebhook = sequelize.define('EventoWebhook', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  evento: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  datos: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'eventos_webhook'
+});
+
+module.exports = EventoWebhook;
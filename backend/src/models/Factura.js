@@ -0,0 +1,120 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Factura
+ *
+ * @class Factura
+ * @description Factura mensual de un cliente, en una moneda, por las conexiones del periodo.
+ * Los datos del cliente se copian al emitirla para que no cambien si luego se edita el cliente.
+ *
+ * @property {number} numero - Correlativo de la factura
+ * @property {string} periodo - Mes facturado, "AAAA-MM"
+ * @property {string} moneda - Moneda de los planes facturados (BOB, USD, ...)
+ * @property {string} fecha_emision - Fecha de emisión (AAAA-MM-DD)
+ * @property {string} fecha_vencimiento - Fecha límite de pago (AAAA-MM-DD)
+ * @property {string} subtotal - Suma de las líneas sin impuesto
+ * @property {string} impuesto - Suma del impuesto de las líneas
+ * @property {string} total - subtotal + impuesto
+ * @property {string} pagado - Parte cubierta por los pagos del cliente (se aplican a la más antigua primero)
+ * @property {string} estado - PENDIENTE, PARCIAL, PAGADA o ANULADA
+ */
+const Factura = sequelize.define('Factura', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  numero: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    unique: true
+  },
+  cliente_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clientes',
+      key: 'id'
+    }
+  },
+  cliente_nombre: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  cliente_ci: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  cliente_direccion: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  periodo: {
+    type: DataTypes.STRING(7),
+    allowNull: false
+  },
+  moneda: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  fecha_emision: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  fecha_vencimiento: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  impuesto: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  total: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  pagado: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  estado: {
+    type: DataTypes.ENUM('PENDIENTE', 'PARCIAL', 'PAGADA', 'ANULADA'),
+    allowNull: false,
+    defaultValue: 'PENDIENTE'
+  },
+  motivo_anulacion: {
+    type: DataTypes.TEXT
+  },
+  creado_por: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'facturas',
+  indexes: [
+    {
+      unique: true,
+      name: 'facturas_cliente_periodo_moneda_vigente',
+      fields: ['cliente_id', 'periodo', 'moneda'],
+      where: { estado: ['PENDIENTE', 'PARCIAL', 'PAGADA'] }
+    },
+    {
+      fields: ['estado', 'fecha_vencimiento']
+    },
+    {
+      fields: ['periodo']
+    }
+  ]
+});
+
+module.exports = Factura;
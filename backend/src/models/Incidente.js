@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Incidente
+ *
+ * @class Incidente
+ * @description Interrupción del servicio con hora real de inicio y de resolución.
+ * Registra los NAPs/puertos afectados (incidentes_afectados) y una foto de las
+ * conexiones activas en esos puertos al momento de abrirlo (incidentes_conexiones),
+ * de la que salen los minutos de caída y el SLA de los reportes.
+ *
+ * @property {string} titulo - Resumen corto
+ * @property {string} categoria - Causa raíz (CORTE_FIBRA, FALLA_ENERGIA, ...)
+ * @property {string} estado - ABIERTO o RESUELTO
+ * @property {Date} fecha_inicio - Comienzo real de la caída
+ * @property {Date} [fecha_resolucion] - Restablecimiento del servicio
+ * @property {string} [solucion] - Qué se hizo para resolverlo
+ */
+const Incidente = sequelize.define('Incidente', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  titulo: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  descripcion: {
+    type: DataTypes.TEXT
+  },
+  categoria: {
+    type: DataTypes.ENUM(
+      'CORTE_FIBRA',
+      'FALLA_ENERGIA',
+      'FALLA_EQUIPO',
+      'VANDALISMO',
+      'CLIMA',
+      'CONFIGURACION',
+      'MANTENIMIENTO_PROGRAMADO',
+      'OTRO'
+    ),
+    allowNull: false
+  },
+  estado: {
+    type: DataTypes.ENUM('ABIERTO', 'RESUELTO'),
+    allowNull: false,
+    defaultValue: 'ABIERTO'
+  },
+  fecha_inicio: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  fecha_resolucion: {
+    type: DataTypes.DATE
+  },
+  solucion: {
+    type: DataTypes.TEXT
+  },
+  abierto_por: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  resuelto_por: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'incidentes'
+});
+
+module.exports = Incidente;
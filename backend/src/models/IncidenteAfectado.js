@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para IncidenteAfectado
+ *
+ * @class IncidenteAfectado
+ * @description NAP afectado por un incidente. Sin puerto_id la caída es de todo
+ * el NAP; con puerto_id, sólo de ese puerto (una fila por puerto).
+ */
+const IncidenteAfectado = sequelize.define('IncidenteAfectado', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  incidente_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'incidentes',
+      key: 'id'
+    }
+  },
+  nap_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'naps',
+      key: 'id'
+    }
+  },
+  puerto_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'puertos',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'incidentes_afectados'
+});
+
+module.exports = IncidenteAfectado;
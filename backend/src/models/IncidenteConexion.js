@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para IncidenteConexion
+ *
+ * @class IncidenteConexion
+ * @description Foto de una conexión ACTIVA en un puerto afectado al abrir el
+ * incidente. No cambia aunque después el cliente se dé de baja o se traslade:
+ * es la base de "usuarios afectados" ante el regulador.
+ */
+const IncidenteConexion = sequelize.define('IncidenteConexion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  incidente_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'incidentes',
+      key: 'id'
+    }
+  },
+  conexion_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'conexiones',
+      key: 'id'
+    }
+  },
+  cliente_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'clientes',
+      key: 'id'
+    }
+  },
+  nap_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'naps',
+      key: 'id'
+    }
+  },
+  puerto_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'puertos',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'incidentes_conexiones'
+});
+
+module.exports = IncidenteConexion;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para intentos de login fallidos
+ *
+ * @class IntentoLogin
+ * @description Contador de intentos fallidos por cuenta (correo) y por IP.
+ * Se usa para aplicar el retraso progresivo y el bloqueo temporal en /auth/login.
+ * El correo se registra aunque no exista, para no revelar qué cuentas existen.
+ *
+ * @property {string} tipo - 'CUENTA' o 'IP'
+ * @property {string} clave - Correo (en minúsculas) o dirección IP
+ * @property {number} intentos - Intentos fallidos dentro de la ventana actual
+ * @property {Date} primer_intento - Inicio de la ventana de conteo
+ * @property {Date} ultimo_intento - Último intento fallido
+ * @property {Date} [bloqueado_hasta] - Fin del bloqueo temporal, si lo hay
+ */
+const IntentoLogin = sequelize.define('IntentoLogin', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tipo: {
+    type: DataTypes.ENUM('CUENTA', 'IP'),
+    allowNull: false
+  },
+  clave: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  intentos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  primer_intento: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  ultimo_intento: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  bloqueado_hasta: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'intentos_login',
+  indexes: [
+    {
+      unique: true,
+      fields: ['tipo', 'clave']
+    }
+  ]
+});
+
+module.exports = IntentoLogin;
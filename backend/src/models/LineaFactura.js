@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para LineaFactura
+ *
+ * @class LineaFactura
+ * @description Cargo de una factura: la mensualidad de una conexión (prorrateada por los días del
+ * periodo en que estuvo vigente; una línea por tramo si estuvo suspendida) o su costo de
+ * instalación, que se cobra una sola vez.
+ *
+ * @property {string} tipo - MENSUALIDAD o INSTALACION
+ * @property {string} concepto - Texto que se imprime en la factura
+ * @property {string} [desde] - Primer día cobrado (MENSUALIDAD)
+ * @property {string} [hasta] - Último día cobrado (MENSUALIDAD)
+ * @property {number} [dias] - Días cobrados
+ * @property {number} [dias_periodo] - Días del mes
+ * @property {string} precio - Precio del plan al facturar (mensual o de instalación)
+ * @property {string} importe - precio × dias / dias_periodo, sin impuesto
+ * @property {string} impuesto_porcentaje - Impuesto del plan al facturar
+ * @property {string} impuesto - Impuesto de la línea
+ */
+const LineaFactura = sequelize.define('LineaFactura', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  factura_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'facturas',
+      key: 'id'
+    }
+  },
+  conexion_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'conexiones',
+      key: 'id'
+    }
+  },
+  tipo: {
+    type: DataTypes.ENUM('MENSUALIDAD', 'INSTALACION'),
+    allowNull: false
+  },
+  concepto: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  desde: {
+    type: DataTypes.DATEONLY
+  },
+  hasta: {
+    type: DataTypes.DATEONLY
+  },
+  dias: {
+    type: DataTypes.INTEGER
+  },
+  dias_periodo: {
+    type: DataTypes.INTEGER
+  },
+  precio: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  importe: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  impuesto_porcentaje: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  impuesto: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'lineas_factura'
+});
+
+module.exports = LineaFactura;
@@ -35,6 +35,13 @@ const Mantenimiento = sequelize.define('Mantenimiento', {
       model: 'usuarios',
       key: 'id'
     }
+  },
+  plan_mantenimiento_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'planes_mantenimiento',
+      key: 'id'
+    }
   }
 }, {
   tableName: 'mantenimientos'
@@ -51,6 +51,46 @@ const NAP = sequelize.define('NAP', {
       min: -180,
       max: 180
     }
+  },
+  splitter_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'splitters',
+      key: 'id'
+    }
+  },
+  cable_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'cables_alimentadores',
+      key: 'id'
+    }
+  },
+  zona_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'zonas',
+      key: 'id'
+    }
+  },
+  conectores: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2,
+    validate: {
+      min: 0
+    }
+  },
+  empalmes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
   }
 }, {
   tableName: 'naps'
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Notificacion
+ *
+ * @class Notificacion
+ * @description Envío de una alerta por un canal de un usuario. Es a la vez la cola de envíos
+ * pendientes (con reintentos) y el registro de lo entregado o fallido.
+ *
+ * @property {string} canal - CORREO, WEBHOOK o CHAT
+ * @property {string} destino - Dirección a la que se envió (copia del canal al encolar)
+ * @property {string} evento - ABIERTA (alerta nueva) o ESCALADA (subió de nivel)
+ * @property {string} nivel - Nivel de la alerta al encolar
+ * @property {string} estado - PENDIENTE, ENVIADA o FALLIDA (agotó los reintentos)
+ * @property {number} intentos - Intentos de envío realizados
+ * @property {Date} [proximo_intento] - Cuándo se vuelve a intentar un PENDIENTE
+ * @property {string} [ultimo_error] - Motivo del último intento fallido
+ * @property {Date} [enviada_en] - Momento de la entrega
+ */
+const Notificacion = sequelize.define('Notificacion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  alerta_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'alertas',
+      key: 'id'
+    }
+  },
+  canal_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'canales_notificacion',
+      key: 'id'
+    }
+  },
+  usuario_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  canal: {
+    type: DataTypes.ENUM('CORREO', 'WEBHOOK', 'CHAT'),
+    allowNull: false
+  },
+  destino: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  evento: {
+    type: DataTypes.ENUM('ABIERTA', 'ESCALADA'),
+    allowNull: false
+  },
+  nivel: {
+    type: DataTypes.ENUM('CRITICO', 'ADVERTENCIA', 'INFO'),
+    allowNull: false
+  },
+  estado: {
+    type: DataTypes.ENUM('PENDIENTE', 'ENVIADA', 'FALLIDA'),
+    allowNull: false,
+    defaultValue: 'PENDIENTE'
+  },
+  intentos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  proximo_intento: {
+    type: DataTypes.DATE
+  },
+  ultimo_error: {
+    type: DataTypes.TEXT
+  },
+  enviada_en: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'notificaciones'
+});
+
+module.exports = Notificacion;
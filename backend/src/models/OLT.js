@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const OLT = sequelize.define('OLT', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  codigo: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  modelo: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  firmware: {
+    type: DataTypes.STRING
+  },
+  ip_gestion: {
+    type: DataTypes.STRING,
+    validate: {
+      isIP: true
+    }
+  },
+  estado: {
+    type: DataTypes.ENUM('ACTIVO', 'MANTENIMIENTO', 'FUERA_SERVICIO'),
+    allowNull: false,
+    defaultValue: 'ACTIVO'
+  },
+  ubicacion: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  latitud: {
+    type: DataTypes.DECIMAL(10, 8),
+    validate: {
+      min: -90,
+      max: 90
+    }
+  },
+  longitud: {
+    type: DataTypes.DECIMAL(11, 8),
+    validate: {
+      min: -180,
+      max: 180
+    }
+  },
+  potencia_tx_dbm: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    validate: {
+      min: -10,
+      max: 15
+    }
+  }
+}, {
+  tableName: 'olts'
+});
+
+module.exports = OLT;
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para OcupacionDiaria
+ *
+ * @class OcupacionDiaria
+ * @description Foto diaria de los puertos de un NAP por estado, tomada por utils/ocupacionHistorica.js.
+ * La fila del día se actualiza durante el día y queda con la ocupación al cierre; la de días
+ * anteriores no cambia. Es la base del histórico y la tasa de crecimiento de ocupación.
+ *
+ * @property {string} nap_id - NAP
+ * @property {string} fecha - Día (AAAA-MM-DD, hora local del servidor)
+ * @property {number} total_puertos - Capacidad del NAP ese día
+ * @property {number} puertos_libres - Puertos LIBRE
+ * @property {number} puertos_ocupados - Puertos OCUPADO
+ * @property {number} puertos_mantenimiento - Puertos MANTENIMIENTO
+ */
+const OcupacionDiaria = sequelize.define('OcupacionDiaria', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  nap_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'naps',
+      key: 'id'
+    }
+  },
+  fecha: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  total_puertos: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  puertos_libres: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  puertos_ocupados: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  puertos_mantenimiento: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'ocupaciones_diarias',
+  indexes: [
+    {
+      unique: true,
+      fields: ['nap_id', 'fecha']
+    },
+    {
+      fields: ['fecha']
+    }
+  ]
+});
+
+module.exports = OcupacionDiaria;
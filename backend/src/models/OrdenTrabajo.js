@@ -0,0 +1,126 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para OrdenTrabajo
+ *
+ * @class OrdenTrabajo
+ * @description Trabajo de campo (instalación, reparación, retiro o traslado) que un
+ * supervisor crea y asigna a un técnico. Al completarse aplica el cambio en la red:
+ * conecta al cliente, libera el puerto o registra el mantenimiento correctivo.
+ *
+ * @property {string} tipo - INSTALACION, REPARACION, RETIRO o TRASLADO
+ * @property {string} estado - PENDIENTE → ASIGNADA → EN_CURSO → COMPLETADA / CANCELADA
+ * @property {string} nap_id - NAP donde se trabaja
+ * @property {string} [puerto_id] - Puerto a conectar, liberar o trasladar
+ * @property {string} [puerto_destino_id] - Puerto nuevo del cliente (sólo TRASLADO)
+ * @property {string} [cliente_id] - Cliente afectado
+ * @property {string} [plan_id] - Plan a instalar (sólo INSTALACION)
+ * @property {string} [tecnico_id] - Técnico asignado
+ * @property {string} [conexion_id] - Conexión creada o finalizada al completar
+ * @property {string} [mantenimiento_id] - Mantenimiento registrado al completar una reparación
+ */
+const OrdenTrabajo = sequelize.define('OrdenTrabajo', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tipo: {
+    type: DataTypes.ENUM('INSTALACION', 'REPARACION', 'RETIRO', 'TRASLADO'),
+    allowNull: false
+  },
+  estado: {
+    type: DataTypes.ENUM('PENDIENTE', 'ASIGNADA', 'EN_CURSO', 'COMPLETADA', 'CANCELADA'),
+    allowNull: false,
+    defaultValue: 'PENDIENTE'
+  },
+  descripcion: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  nap_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'naps',
+      key: 'id'
+    }
+  },
+  puerto_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'puertos',
+      key: 'id'
+    }
+  },
+  puerto_destino_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'puertos',
+      key: 'id'
+    }
+  },
+  cliente_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'clientes',
+      key: 'id'
+    }
+  },
+  plan_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'planes',
+      key: 'id'
+    }
+  },
+  tecnico_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  creado_por: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  fecha_programada: {
+    type: DataTypes.DATEONLY
+  },
+  fecha_inicio: {
+    type: DataTypes.DATE
+  },
+  fecha_cierre: {
+    type: DataTypes.DATE
+  },
+  resultado: {
+    type: DataTypes.TEXT
+  },
+  motivo_cancelacion: {
+    type: DataTypes.TEXT
+  },
+  conexion_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'conexiones',
+      key: 'id'
+    }
+  },
+  mantenimiento_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'mantenimientos',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'ordenes_trabajo'
+});
+
+module.exports = OrdenTrabajo;
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Pago
+ *
+ * @class Pago
+ * @description Pago de un cliente a su cuenta en una moneda. No se imputa a una factura: el total
+ * pagado cubre las facturas de esa moneda de la más antigua a la más nueva.
+ *
+ * @property {string} monto - Importe pagado
+ * @property {string} moneda - Moneda del pago
+ * @property {string} fecha - Fecha del pago (AAAA-MM-DD)
+ * @property {string} metodo - EFECTIVO, TRANSFERENCIA, TARJETA, QR u OTRO
+ * @property {string} [referencia] - Nro. de comprobante, transacción o recibo
+ * @property {boolean} anulado - Anulado (no cuenta para el saldo)
+ */
+const Pago = sequelize.define('Pago', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  cliente_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'clientes',
+      key: 'id'
+    }
+  },
+  monto: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  moneda: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  fecha: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  metodo: {
+    type: DataTypes.ENUM('EFECTIVO', 'TRANSFERENCIA', 'TARJETA', 'QR', 'OTRO'),
+    allowNull: false
+  },
+  referencia: {
+    type: DataTypes.STRING(100)
+  },
+  nota: {
+    type: DataTypes.TEXT
+  },
+  anulado: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  registrado_por: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'pagos',
+  indexes: [
+    {
+      fields: ['cliente_id', 'fecha']
+    }
+  ]
+});
+
+module.exports = Pago;
@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Permiso
+ *
+ * @class Permiso
+ * @description Catálogo de permisos "recurso:accion" conocidos por la base de datos.
+ * Se sincroniza al iniciar desde config/permisos.js; un permiso que ya existe aquí
+ * no vuelve a recibir sus roles por defecto, así se respetan los cambios del ADMIN.
+ *
+ * @property {string} clave - Identificador del permiso (ej: 'naps:crear')
+ * @property {string} descripcion - Descripción para la pantalla de permisos
+ */
+const Permiso = sequelize.define('Permiso', {
+  clave: {
+    type: DataTypes.STRING(64),
+    primaryKey: true
+  },
+  descripcion: {
+    type: DataTypes.STRING,
+    allowNull: false
+  }
+}, {
+  tableName: 'permisos'
+});
+
+module.exports = Permiso;
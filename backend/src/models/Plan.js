@@ -20,6 +20,27 @@ const Plan = sequelize.define('Plan', {
   },
   descripcion: {
     type: DataTypes.TEXT
+  },
+  // Precios sin impuesto; el impuesto_porcentaje se suma al facturar
+  precio_mensual: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  costo_instalacion: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  moneda: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'BOB'
+  },
+  impuesto_porcentaje: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
   tableName: 'planes'
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para PlanMantenimiento
+ *
+ * @class PlanMantenimiento
+ * @description Rutina de mantenimiento PREVENTIVO que se repite cada cierto tiempo,
+ * para un NAP concreto o para todos los NAPs de un modelo. La próxima visita de cada
+ * NAP se calcula a partir del último mantenimiento PREVENTIVO registrado con el plan.
+ *
+ * @property {string} nombre - Nombre de la rutina (p. ej. "Limpieza de conectores")
+ * @property {string} [nap_id] - NAP al que aplica (excluyente con modelo_nap)
+ * @property {string} [modelo_nap] - Modelo de NAP al que aplica (excluyente con nap_id)
+ * @property {number} intervalo - Cada cuántas unidades se repite
+ * @property {string} unidad - DIAS, SEMANAS o MESES
+ * @property {string} fecha_inicio - Primera visita prevista
+ * @property {number} dias_aviso - Días antes del vencimiento en que se avisa
+ * @property {string} [tecnico_id] - Técnico responsable de las visitas
+ * @property {boolean} activo - Plan vigente
+ */
+const PlanMantenimiento = sequelize.define('PlanMantenimiento', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  descripcion: {
+    type: DataTypes.TEXT
+  },
+  nap_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'naps',
+      key: 'id'
+    }
+  },
+  modelo_nap: {
+    type: DataTypes.STRING
+  },
+  intervalo: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  unidad: {
+    type: DataTypes.ENUM('DIAS', 'SEMANAS', 'MESES'),
+    allowNull: false
+  },
+  fecha_inicio: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  dias_aviso: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 7
+  },
+  tecnico_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'planes_mantenimiento'
+});
+
+module.exports = PlanMantenimiento;
@@ -29,6 +29,13 @@ const Puerto = sequelize.define('Puerto', {
   },
   nota: {
     type: DataTypes.TEXT
+  },
+  longitud_acometida_m: {
+    type: DataTypes.DECIMAL(8, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
   }
 }, {
   tableName: 'puertos',
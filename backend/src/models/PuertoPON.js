@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const PuertoPON = sequelize.define('PuertoPON', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  olt_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'olts',
+      key: 'id'
+    }
+  },
+  slot: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  numero: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  estado: {
+    type: DataTypes.ENUM('ACTIVO', 'INACTIVO', 'FALLA'),
+    allowNull: false,
+    defaultValue: 'ACTIVO'
+  },
+  nota: {
+    type: DataTypes.TEXT
+  }
+}, {
+  tableName: 'puertos_pon',
+  indexes: [
+    {
+      unique: true,
+      fields: ['olt_id', 'slot', 'numero']
+    }
+  ]
+});
+
+module.exports = PuertoPON;
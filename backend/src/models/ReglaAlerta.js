@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para ReglaAlerta
+ *
+ * @class ReglaAlerta
+ * @description Regla definida por un administrador que abre alertas cuando una métrica de un NAP
+ * cumple la comparación con el umbral (p. ej. OCUPACION >= 80). La evalúa utils/reglasAlerta.js
+ * sobre todos los NAPs, los de una zona, los de un modelo o un NAP concreto.
+ *
+ * @property {string} nombre - Nombre que encabeza el mensaje de la alerta
+ * @property {string} metrica - OCUPACION, PUERTOS_MANTENIMIENTO, DIAS_SIN_PREVENTIVO, CONEXIONES_SUSPENDIDAS o CORRECTIVOS_RECIENTES
+ * @property {string} comparador - >, >=, <, <= o =
+ * @property {number} umbral - Valor con el que se compara la métrica
+ * @property {number} [ventana_horas] - Período que mira CORRECTIVOS_RECIENTES
+ * @property {string} alcance - TODOS, ZONA (zona_id), MODELO (modelo_nap) o NAP (nap_id)
+ * @property {string} nivel - CRITICO, ADVERTENCIA o INFO de las alertas que abre
+ * @property {number} enfriamiento_minutos - Tras resolverse una alerta del mismo NAP y tipo, minutos sin volver a abrirla
+ * @property {boolean} activa - Regla vigente
+ */
+const ReglaAlerta = sequelize.define('ReglaAlerta', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  metrica: {
+    type: DataTypes.ENUM('OCUPACION', 'PUERTOS_MANTENIMIENTO', 'DIAS_SIN_PREVENTIVO', 'CONEXIONES_SUSPENDIDAS', 'CORRECTIVOS_RECIENTES'),
+    allowNull: false
+  },
+  comparador: {
+    type: DataTypes.ENUM('>', '>=', '<', '<=', '='),
+    allowNull: false
+  },
+  umbral: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  ventana_horas: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  alcance: {
+    type: DataTypes.ENUM('TODOS', 'ZONA', 'MODELO', 'NAP'),
+    allowNull: false,
+    defaultValue: 'TODOS'
+  },
+  zona_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'zonas',
+      key: 'id'
+    }
+  },
+  modelo_nap: {
+    type: DataTypes.STRING
+  },
+  nap_id: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'naps',
+      key: 'id'
+    }
+  },
+  nivel: {
+    type: DataTypes.ENUM('CRITICO', 'ADVERTENCIA', 'INFO'),
+    allowNull: false
+  },
+  enfriamiento_minutos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  activa: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  creado_por: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'reglas_alerta',
+  indexes: [
+    {
+      fields: ['activa']
+    }
+  ]
+});
+
+module.exports = ReglaAlerta;
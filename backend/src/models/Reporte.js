@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Reporte
+ *
+ * @class Reporte
+ * @description Reporte pedido en segundo plano (?async=true). Funciona como cola:
+ * el worker de utils/colaReportes.js toma los PENDIENTE, ejecuta el reporte con los
+ * parámetros y los permisos de quien lo pidió y guarda el archivo en la misma fila.
+ *
+ * @property {string} tipo - Ruta del reporte bajo /reportes (ocupacion, att/suscriptores, ...)
+ * @property {string} formato - pdf, excel o csv
+ * @property {Object} parametros - Query de la petición original (sin formato ni async)
+ * @property {string} estado - PENDIENTE, PROCESANDO, COMPLETADO o ERROR
+ * @property {number} progreso - Avance de 0 a 100
+ * @property {number} intentos - Veces que el worker lo tomó
+ * @property {string} [error] - Motivo del último fallo
+ * @property {string} [archivo] - Nombre del archivo generado
+ * @property {Buffer} [contenido] - Archivo generado (no se carga en los listados)
+ * @property {string} generado_por - Usuario que lo pidió
+ */
+const Reporte = sequelize.define('Reporte', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tipo: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  formato: {
+    type: DataTypes.ENUM('pdf', 'excel', 'csv'),
+    allowNull: false
+  },
+  parametros: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  estado: {
+    type: DataTypes.ENUM('PENDIENTE', 'PROCESANDO', 'COMPLETADO', 'ERROR'),
+    allowNull: false,
+    defaultValue: 'PENDIENTE'
+  },
+  progreso: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  intentos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  error: {
+    type: DataTypes.TEXT
+  },
+  archivo: {
+    type: DataTypes.STRING(200)
+  },
+  tipo_contenido: {
+    type: DataTypes.STRING(100)
+  },
+  tamano: {
+    type: DataTypes.INTEGER
+  },
+  contenido: {
+    type: DataTypes.BLOB
+  },
+  fecha_inicio: {
+    type: DataTypes.DATE
+  },
+  fecha_fin: {
+    type: DataTypes.DATE
+  },
+  generado_por: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'reportes'
+});
+
+module.exports = Reporte;
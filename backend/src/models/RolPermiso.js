@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para la asignación de permisos a roles
+ *
+ * @class RolPermiso
+ * @description Una fila por permiso concedido a un rol. Los editan los ADMIN
+ * desde PUT /permisos/roles/:rol; requierePermiso los consulta (con caché).
+ *
+ * @property {string} rol - Rol que recibe el permiso
+ * @property {string} permiso - Clave del permiso concedido
+ */
+const RolPermiso = sequelize.define('RolPermiso', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  rol: {
+    type: DataTypes.ENUM('ADMIN', 'TECNICO', 'SUPERVISOR'),
+    allowNull: false
+  },
+  permiso: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    references: {
+      model: 'permisos',
+      key: 'clave'
+    }
+  }
+}, {
+  tableName: 'roles_permisos',
+  indexes: [
+    {
+      unique: true,
+      fields: ['rol', 'permiso']
+    }
+  ]
+});
+
+module.exports = RolPermiso;
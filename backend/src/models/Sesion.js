@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Sesión de usuario
+ *
+ * @class Sesion
+ * @description Una fila por dispositivo/navegador donde el usuario inició sesión.
+ * El refresh token se guarda hasheado (SHA-256) y rota en cada /auth/refresh;
+ * el hash anterior se conserva para detectar la reutilización de un token robado.
+ *
+ * @property {string} id - UUID de la sesión, viaja en el access token como "sid"
+ * @property {string} usuario_id - Usuario dueño de la sesión
+ * @property {string} refresh_token_hash - Hash del refresh token vigente
+ * @property {string} [refresh_token_anterior_hash] - Hash del refresh token ya rotado
+ * @property {Date} expira_en - Fecha de expiración del refresh token
+ * @property {Date} [revocada_en] - Fecha de revocación (logout, desactivación, reutilización)
+ * @property {string} [ip] - IP desde la que se creó la sesión
+ * @property {string} [user_agent] - Navegador/dispositivo de la sesión
+ * @property {Date} [ultimo_uso] - Última rotación del refresh token
+ */
+const Sesion = sequelize.define('Sesion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  usuario_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  refresh_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  refresh_token_anterior_hash: {
+    type: DataTypes.STRING(64)
+  },
+  expira_en: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revocada_en: {
+    type: DataTypes.DATE
+  },
+  ip: {
+    type: DataTypes.STRING
+  },
+  user_agent: {
+    type: DataTypes.STRING(500)
+  },
+  ultimo_uso: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'sesiones'
+});
+
+module.exports = Sesion;
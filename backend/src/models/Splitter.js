@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Splitter óptico
+ *
+ * @class Splitter
+ * @description Divisor óptico pasivo de la red PON. Un splitter de primer nivel
+ * cuelga directamente de un puerto PON; los de niveles siguientes cuelgan de otro
+ * splitter (splitter_padre_id). Los NAPs se alimentan desde un splitter.
+ *
+ * @property {string} id - UUID único del splitter (primary key)
+ * @property {string} codigo - Código único del splitter
+ * @property {string} ratio - Relación de división: '1:2' ... '1:64'
+ * @property {number} nivel - Nivel en la cascada (1 = conectado al puerto PON)
+ * @property {string} [puerto_pon_id] - Puerto PON que lo alimenta (solo nivel 1)
+ * @property {string} [splitter_padre_id] - Splitter que lo alimenta (nivel > 1)
+ * @property {string} [cable_id] - Cable alimentador que llega al splitter
+ */
+const Splitter = sequelize.define('Splitter', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  codigo: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  ratio: {
+    type: DataTypes.ENUM('1:2', '1:4', '1:8', '1:16', '1:32', '1:64'),
+    allowNull: false
+  },
+  nivel: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  puerto_pon_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'puertos_pon',
+      key: 'id'
+    }
+  },
+  splitter_padre_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'splitters',
+      key: 'id'
+    }
+  },
+  cable_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'cables_alimentadores',
+      key: 'id'
+    }
+  },
+  ubicacion: {
+    type: DataTypes.STRING
+  }
+}, {
+  tableName: 'splitters',
+  validate: {
+    origenUnico() {
+      if (!!this.puerto_pon_id === !!this.splitter_padre_id) {
+        throw new Error('El splitter debe alimentarse de un puerto PON o de otro splitter, no de ambos');
+      }
+    }
+  }
+});
+
+module.exports = Splitter;
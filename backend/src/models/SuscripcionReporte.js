@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para SuscripcionReporte
+ *
+ * @class SuscripcionReporte
+ * @description Reporte que se genera solo según una programación cron y se envía por correo.
+ * El programador (utils/reportesProgramados.js) lo ejecuta con los permisos y zonas de
+ * quien lo creó y deja cada envío en ejecuciones_suscripciones.
+ *
+ * @property {string} nombre - Nombre para identificarla
+ * @property {string} tipo - Reporte de obtenerTiposReporte (ocupacion, att/suscriptores, ...)
+ * @property {string} formato - pdf, excel o csv
+ * @property {Object} parametros - Filtros fijos del reporte (zona_id, cliente_id, umbrales, ...)
+ * @property {string} [rango] - Periodo relativo a la fecha de ejecución (ULTIMA_SEMANA, MES_ANTERIOR, ...)
+ * @property {string} programacion - Expresión cron de 5 campos, en hora local del servidor
+ * @property {string[]} destinatarios - Correos que reciben el reporte
+ * @property {Date} [proxima_ejecucion] - Próximo envío (null si está inactiva)
+ * @property {number} fallos_consecutivos - Ejecuciones fallidas seguidas; al llegar al máximo se desactiva
+ */
+const SuscripcionReporte = sequelize.define('SuscripcionReporte', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  tipo: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  formato: {
+    type: DataTypes.ENUM('pdf', 'excel', 'csv'),
+    allowNull: false
+  },
+  parametros: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  rango: {
+    type: DataTypes.ENUM('ULTIMA_SEMANA', 'ULTIMO_MES', 'MES_ANTERIOR', 'TRIMESTRE_ANTERIOR'),
+    allowNull: true
+  },
+  programacion: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  destinatarios: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  proxima_ejecucion: {
+    type: DataTypes.DATE
+  },
+  ultima_ejecucion: {
+    type: DataTypes.DATE
+  },
+  fallos_consecutivos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  creado_por: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'suscripciones_reportes'
+});
+
+module.exports = SuscripcionReporte;
@@ -14,6 +14,13 @@ const bcrypt = require('bcryptjs');
  * @property {string} rol - Rol del usuario: 'ADMIN', 'TECNICO', 'SUPERVISOR' (default: 'TECNICO')
  * @property {boolean} activo - Estado del usuario (default: true)
  * @property {string} clave - Contraseña hasheada del usuario
+ * @property {string} totp_secreto - Secreto TOTP en base32 (null si nunca se enroló)
+ * @property {boolean} totp_activo - Si el segundo factor está activo (default: false)
+ * @property {number} totp_ultimo_paso - Último paso TOTP aceptado, evita reutilizar un código
+ * @property {string[]} totp_codigos_recuperacion - Hashes SHA-256 de los códigos de recuperación sin usar
+ * @property {boolean} debe_cambiar_clave - Obliga a cambiar la contraseña antes de usar el sistema (default: false)
+ * @property {string} reset_clave_hash - Hash SHA-256 del token de restablecimiento de contraseña vigente
+ * @property {Date} reset_clave_expira - Vencimiento del token de restablecimiento
  * 
  * @example
  * // Crear un nuevo usuario:
@@ -60,6 +67,37 @@ const Usuario = sequelize.define('Usuario', {
   clave: {
     type: DataTypes.STRING,
     allowNull: false
+  },
+  totp_secreto: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  totp_activo: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  totp_ultimo_paso: {
+    type: DataTypes.BIGINT,
+    allowNull: true
+  },
+  totp_codigos_recuperacion: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  debe_cambiar_clave: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  reset_clave_hash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  reset_clave_expira: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'usuarios',
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para la asignación de usuarios a zonas
+ *
+ * @class UsuarioZona
+ * @description Una fila por zona asignada a un usuario; la edita un ADMIN desde PUT /usuarios/:id/zonas.
+ *
+ * @property {string} usuario_id - Usuario
+ * @property {string} zona_id - Zona asignada
+ */
+const UsuarioZona = sequelize.define('UsuarioZona', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  usuario_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  },
+  zona_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'zonas',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'usuarios_zonas',
+  indexes: [
+    {
+      unique: true,
+      fields: ['usuario_id', 'zona_id']
+    }
+  ]
+});
+
+module.exports = UsuarioZona;
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Webhook
+ *
+ * @class Webhook
+ * @description Suscripción de un sistema externo (facturación, CRM) a eventos del dominio: cada
+ * evento de la lista se le envía por POST a la URL, firmado con el secreto.
+ *
+ * @property {string} nombre - Sistema que recibe (p. ej. "Facturación")
+ * @property {string} url - URL que recibe los eventos
+ * @property {string[]} eventos - Eventos suscritos (conexion.creada, puerto.liberado, ...)
+ * @property {string} secreto - Clave HMAC con la que se firma cada envío
+ * @property {boolean} activo - Recibe eventos nuevos
+ * @property {string} [creado_por] - ID del usuario que lo registró
+ */
+const Webhook = sequelize.define('Webhook', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  url: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  eventos: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  secreto: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  creado_por: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'usuarios',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'webhooks'
+});
+
+module.exports = Webhook;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Modelo de datos para Zona
+ *
+ * @class Zona
+ * @description Localidad o sucursal en la que opera la empresa. Los NAPs y los
+ * clientes pertenecen a una zona y los usuarios sin el permiso zonas:todas sólo
+ * ven los datos de las zonas que tienen asignadas (usuarios_zonas).
+ *
+ * @property {string} nombre - Nombre de la zona (único)
+ * @property {string} [descripcion] - Descripción libre
+ * @property {string} [departamento] - Departamento (reportes ATT)
+ * @property {string} [municipio] - Municipio (reportes ATT)
+ * @property {string} [codigo_municipio] - Código INE de 6 dígitos del municipio (reportes ATT)
+ * @property {boolean} activo - Zona vigente
+ */
+const Zona = sequelize.define('Zona', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  descripcion: {
+    type: DataTypes.TEXT
+  },
+  departamento: {
+    type: DataTypes.STRING(50)
+  },
+  municipio: {
+    type: DataTypes.STRING(100)
+  },
+  codigo_municipio: {
+    type: DataTypes.STRING(6)
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'zonas'
+});
+
+module.exports = Zona;
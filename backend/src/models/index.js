@@ -8,6 +8,38 @@ const Plan = require('./Plan');
 const Conexion = require('./Conexion');
 const Mantenimiento = require('./Mantenimiento');
 const Auditoria = require('./Auditoria');
+const OLT = require('./OLT');
+const PuertoPON = require('./PuertoPON');
+const Splitter = require('./Splitter');
+const CableAlimentador = require('./CableAlimentador');
+const Sesion = require('./Sesion');
+const IntentoLogin = require('./IntentoLogin');
+const Permiso = require('./Permiso');
+const RolPermiso = require('./RolPermiso');
+const Zona = require('./Zona');
+const UsuarioZona = require('./UsuarioZona');
+const OrdenTrabajo = require('./OrdenTrabajo');
+const PlanMantenimiento = require('./PlanMantenimiento');
+const Incidente = require('./Incidente');
+const IncidenteAfectado = require('./IncidenteAfectado');
+const IncidenteConexion = require('./IncidenteConexion');
+const Reporte = require('./Reporte');
+const SuscripcionReporte = require('./SuscripcionReporte');
+const EjecucionSuscripcion = require('./EjecucionSuscripcion');
+const OcupacionDiaria = require('./OcupacionDiaria');
+const Alerta = require('./Alerta');
+const AlertaNota = require('./AlertaNota');
+const ReglaAlerta = require('./ReglaAlerta');
+const CanalNotificacion = require('./CanalNotificacion');
+const Notificacion = require('./Notificacion');
+const Webhook = require('./Webhook');
+const EventoWebhook = require('./EventoWebhook');
+const EntregaWebhook = require('./EntregaWebhook');
+const Factura = require('./Factura');
+const LineaFactura = require('./LineaFactura');
+const Pago = require('./Pago');
+const AccionCobranza = require('./AccionCobranza');
+const CambioEstadoConexion = require('./CambioEstadoConexion');
 
 NAP.hasMany(Puerto, { foreignKey: 'nap_id', as: 'puertos' });
 Puerto.belongsTo(NAP, { foreignKey: 'nap_id', as: 'nap' });
@@ -33,6 +65,148 @@ Mantenimiento.belongsTo(Usuario, { foreignKey: 'realizado_por', as: 'tecnico' })
 Usuario.hasMany(Auditoria, { foreignKey: 'cambiado_por', as: 'auditorias' });
 Auditoria.belongsTo(Usuario, { foreignKey: 'cambiado_por', as: 'usuario' });
 
+// Topología de fibra: OLT → puerto PON → splitters → NAP
+OLT.hasMany(PuertoPON, { foreignKey: 'olt_id', as: 'puertos_pon' });
+PuertoPON.belongsTo(OLT, { foreignKey: 'olt_id', as: 'olt' });
+
+PuertoPON.hasMany(Splitter, { foreignKey: 'puerto_pon_id', as: 'splitters' });
+Splitter.belongsTo(PuertoPON, { foreignKey: 'puerto_pon_id', as: 'puerto_pon' });
+
+Splitter.hasMany(Splitter, { foreignKey: 'splitter_padre_id', as: 'splitters_hijos' });
+Splitter.belongsTo(Splitter, { foreignKey: 'splitter_padre_id', as: 'splitter_padre' });
+
+Splitter.hasMany(NAP, { foreignKey: 'splitter_id', as: 'naps' });
+NAP.belongsTo(Splitter, { foreignKey: 'splitter_id', as: 'splitter' });
+
+CableAlimentador.hasMany(Splitter, { foreignKey: 'cable_id', as: 'splitters' });
+Splitter.belongsTo(CableAlimentador, { foreignKey: 'cable_id', as: 'cable' });
+
+CableAlimentador.hasMany(NAP, { foreignKey: 'cable_id', as: 'naps' });
+NAP.belongsTo(CableAlimentador, { foreignKey: 'cable_id', as: 'cable' });
+
+Usuario.hasMany(Sesion, { foreignKey: 'usuario_id', as: 'sesiones' });
+Sesion.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario' });
+
+Permiso.hasMany(RolPermiso, { foreignKey: 'permiso', as: 'roles' });
+RolPermiso.belongsTo(Permiso, { foreignKey: 'permiso', as: 'detalle' });
+
+// Zonas: NAPs y clientes pertenecen a una zona; los usuarios ven sólo sus zonas
+Zona.hasMany(NAP, { foreignKey: 'zona_id', as: 'naps' });
+NAP.belongsTo(Zona, { foreignKey: 'zona_id', as: 'zona' });
+
+Zona.hasMany(Cliente, { foreignKey: 'zona_id', as: 'clientes' });
+Cliente.belongsTo(Zona, { foreignKey: 'zona_id', as: 'zona' });
+
+Usuario.belongsToMany(Zona, { through: UsuarioZona, foreignKey: 'usuario_id', otherKey: 'zona_id', as: 'zonas' });
+Zona.belongsToMany(Usuario, { through: UsuarioZona, foreignKey: 'zona_id', otherKey: 'usuario_id', as: 'usuarios' });
+
+// Órdenes de trabajo: qué se hace, dónde, para quién y qué dejó en la red al completarse
+NAP.hasMany(OrdenTrabajo, { foreignKey: 'nap_id', as: 'ordenes_trabajo' });
+OrdenTrabajo.belongsTo(NAP, { foreignKey: 'nap_id', as: 'nap' });
+OrdenTrabajo.belongsTo(Puerto, { foreignKey: 'puerto_id', as: 'puerto' });
+OrdenTrabajo.belongsTo(Puerto, { foreignKey: 'puerto_destino_id', as: 'puerto_destino' });
+Cliente.hasMany(OrdenTrabajo, { foreignKey: 'cliente_id', as: 'ordenes_trabajo' });
+OrdenTrabajo.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente' });
+OrdenTrabajo.belongsTo(Plan, { foreignKey: 'plan_id', as: 'plan' });
+Usuario.hasMany(OrdenTrabajo, { foreignKey: 'tecnico_id', as: 'ordenes_asignadas' });
+OrdenTrabajo.belongsTo(Usuario, { foreignKey: 'tecnico_id', as: 'tecnico' });
+OrdenTrabajo.belongsTo(Usuario, { foreignKey: 'creado_por', as: 'creador' });
+OrdenTrabajo.belongsTo(Conexion, { foreignKey: 'conexion_id', as: 'conexion' });
+OrdenTrabajo.belongsTo(Mantenimiento, { foreignKey: 'mantenimiento_id', as: 'mantenimiento' });
+
+// Planes de mantenimiento preventivo: por NAP o por modelo de NAP (sin asociación)
+NAP.hasMany(PlanMantenimiento, { foreignKey: 'nap_id', as: 'planes_mantenimiento' });
+PlanMantenimiento.belongsTo(NAP, { foreignKey: 'nap_id', as: 'nap' });
+PlanMantenimiento.belongsTo(Usuario, { foreignKey: 'tecnico_id', as: 'tecnico' });
+PlanMantenimiento.hasMany(Mantenimiento, { foreignKey: 'plan_mantenimiento_id', as: 'mantenimientos' });
+Mantenimiento.belongsTo(PlanMantenimiento, { foreignKey: 'plan_mantenimiento_id', as: 'plan_mantenimiento' });
+
+// Incidentes: NAPs/puertos caídos y foto de las conexiones activas al abrirlos
+Incidente.hasMany(IncidenteAfectado, { foreignKey: 'incidente_id', as: 'afectados' });
+IncidenteAfectado.belongsTo(Incidente, { foreignKey: 'incidente_id', as: 'incidente' });
+IncidenteAfectado.belongsTo(NAP, { foreignKey: 'nap_id', as: 'nap' });
+IncidenteAfectado.belongsTo(Puerto, { foreignKey: 'puerto_id', as: 'puerto' });
+NAP.hasMany(IncidenteAfectado, { foreignKey: 'nap_id', as: 'incidentes_afectados' });
+
+Incidente.hasMany(IncidenteConexion, { foreignKey: 'incidente_id', as: 'conexiones' });
+IncidenteConexion.belongsTo(Incidente, { foreignKey: 'incidente_id', as: 'incidente' });
+IncidenteConexion.belongsTo(Conexion, { foreignKey: 'conexion_id', as: 'conexion' });
+IncidenteConexion.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente' });
+IncidenteConexion.belongsTo(NAP, { foreignKey: 'nap_id', as: 'nap' });
+IncidenteConexion.belongsTo(Puerto, { foreignKey: 'puerto_id', as: 'puerto' });
+
+Incidente.belongsTo(Usuario, { foreignKey: 'abierto_por', as: 'abierto_por_usuario' });
+Incidente.belongsTo(Usuario, { foreignKey: 'resuelto_por', as: 'resuelto_por_usuario' });
+
+// Reportes generados en segundo plano
+Usuario.hasMany(Reporte, { foreignKey: 'generado_por', as: 'reportes' });
+Reporte.belongsTo(Usuario, { foreignKey: 'generado_por', as: 'usuario' });
+
+// Reportes programados por correo y su historial de envíos
+Usuario.hasMany(SuscripcionReporte, { foreignKey: 'creado_por', as: 'suscripciones_reportes' });
+SuscripcionReporte.belongsTo(Usuario, { foreignKey: 'creado_por', as: 'creador' });
+SuscripcionReporte.hasMany(EjecucionSuscripcion, { foreignKey: 'suscripcion_id', as: 'ejecuciones' });
+EjecucionSuscripcion.belongsTo(SuscripcionReporte, { foreignKey: 'suscripcion_id', as: 'suscripcion' });
+
+// Histórico diario de ocupación
+NAP.hasMany(OcupacionDiaria, { foreignKey: 'nap_id', as: 'ocupaciones_diarias' });
+OcupacionDiaria.belongsTo(NAP, { foreignKey: 'nap_id', as: 'nap' });
+
+// Alertas y su bitácora
+NAP.hasMany(Alerta, { foreignKey: 'nap_id', as: 'alertas' });
+Alerta.belongsTo(NAP, { foreignKey: 'nap_id', as: 'nap' });
+Alerta.belongsTo(Usuario, { foreignKey: 'reconocida_por', as: 'reconocida_por_usuario' });
+Alerta.belongsTo(Usuario, { foreignKey: 'asignada_a', as: 'asignada_a_usuario' });
+Alerta.belongsTo(Usuario, { foreignKey: 'resuelta_por', as: 'resuelta_por_usuario' });
+Alerta.hasMany(AlertaNota, { foreignKey: 'alerta_id', as: 'notas' });
+AlertaNota.belongsTo(Alerta, { foreignKey: 'alerta_id', as: 'alerta' });
+AlertaNota.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario' });
+
+// Reglas de alerta configurables
+ReglaAlerta.hasMany(Alerta, { foreignKey: 'regla_id', as: 'alertas' });
+Alerta.belongsTo(ReglaAlerta, { foreignKey: 'regla_id', as: 'regla' });
+ReglaAlerta.belongsTo(Zona, { foreignKey: 'zona_id', as: 'zona' });
+ReglaAlerta.belongsTo(NAP, { foreignKey: 'nap_id', as: 'nap' });
+ReglaAlerta.belongsTo(Usuario, { foreignKey: 'creado_por', as: 'creador' });
+
+// Canales de notificación y registro de envíos
+Usuario.hasMany(CanalNotificacion, { foreignKey: 'usuario_id', as: 'canales_notificacion' });
+CanalNotificacion.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario' });
+CanalNotificacion.hasMany(Notificacion, { foreignKey: 'canal_id', as: 'notificaciones' });
+Notificacion.belongsTo(CanalNotificacion, { foreignKey: 'canal_id', as: 'canal_notificacion' });
+Notificacion.belongsTo(Alerta, { foreignKey: 'alerta_id', as: 'alerta' });
+Notificacion.belongsTo(Usuario, { foreignKey: 'usuario_id', as: 'usuario' });
+Alerta.hasMany(Notificacion, { foreignKey: 'alerta_id', as: 'notificaciones' });
+
+// Webhooks salientes: suscripciones, bandeja de eventos y entregas
+Webhook.belongsTo(Usuario, { foreignKey: 'creado_por', as: 'creador' });
+Webhook.hasMany(EntregaWebhook, { foreignKey: 'webhook_id', as: 'entregas' });
+EntregaWebhook.belongsTo(Webhook, { foreignKey: 'webhook_id', as: 'webhook' });
+EventoWebhook.hasMany(EntregaWebhook, { foreignKey: 'evento_id', as: 'entregas' });
+EntregaWebhook.belongsTo(EventoWebhook, { foreignKey: 'evento_id', as: 'evento' });
+
+// Facturación: facturas mensuales, sus líneas y pagos de los clientes
+Cliente.hasMany(Factura, { foreignKey: 'cliente_id', as: 'facturas' });
+Factura.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente' });
+Factura.belongsTo(Usuario, { foreignKey: 'creado_por', as: 'creador' });
+Factura.hasMany(LineaFactura, { foreignKey: 'factura_id', as: 'lineas' });
+LineaFactura.belongsTo(Factura, { foreignKey: 'factura_id', as: 'factura' });
+LineaFactura.belongsTo(Conexion, { foreignKey: 'conexion_id', as: 'conexion' });
+Conexion.hasMany(LineaFactura, { foreignKey: 'conexion_id', as: 'lineas_factura' });
+Cliente.hasMany(Pago, { foreignKey: 'cliente_id', as: 'pagos' });
+Pago.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente' });
+Pago.belongsTo(Usuario, { foreignKey: 'registrado_por', as: 'registrador' });
+
+// Cobranza: recordatorios, suspensiones y reactivaciones por mora
+Cliente.hasMany(AccionCobranza, { foreignKey: 'cliente_id', as: 'acciones_cobranza' });
+AccionCobranza.belongsTo(Cliente, { foreignKey: 'cliente_id', as: 'cliente' });
+AccionCobranza.belongsTo(Factura, { foreignKey: 'factura_id', as: 'factura' });
+AccionCobranza.belongsTo(Conexion, { foreignKey: 'conexion_id', as: 'conexion' });
+
+// Historial de estados de conexiones (de acá factura los días suspendidos)
+Conexion.hasMany(CambioEstadoConexion, { foreignKey: 'conexion_id', as: 'cambios_estado' });
+CambioEstadoConexion.belongsTo(Conexion, { foreignKey: 'conexion_id', as: 'conexion' });
+
 // Configurar hooks de auditoría
 const { configurarAuditoriaParaModelo } = require('../utils/auditoria');
 
@@ -44,6 +218,37 @@ configurarAuditoriaParaModelo(Plan, 'planes');
 configurarAuditoriaParaModelo(Conexion, 'conexiones');
 configurarAuditoriaParaModelo(Usuario, 'usuarios');
 configurarAuditoriaParaModelo(Mantenimiento, 'mantenimientos');
+configurarAuditoriaParaModelo(OLT, 'olts');
+configurarAuditoriaParaModelo(PuertoPON, 'puertos_pon');
+configurarAuditoriaParaModelo(Splitter, 'splitters');
+configurarAuditoriaParaModelo(CableAlimentador, 'cables_alimentadores');
+configurarAuditoriaParaModelo(RolPermiso, 'roles_permisos');
+configurarAuditoriaParaModelo(Zona, 'zonas');
+configurarAuditoriaParaModelo(UsuarioZona, 'usuarios_zonas');
+configurarAuditoriaParaModelo(OrdenTrabajo, 'ordenes_trabajo');
+configurarAuditoriaParaModelo(PlanMantenimiento, 'planes_mantenimiento');
+configurarAuditoriaParaModelo(Incidente, 'incidentes');
+configurarAuditoriaParaModelo(SuscripcionReporte, 'suscripciones_reportes');
+configurarAuditoriaParaModelo(Alerta, 'alertas');
+configurarAuditoriaParaModelo(ReglaAlerta, 'reglas_alerta');
+configurarAuditoriaParaModelo(CanalNotificacion, 'canales_notificacion');
+configurarAuditoriaParaModelo(Factura, 'facturas');
+configurarAuditoriaParaModelo(Pago, 'pagos');
+
+// Eventos en tiempo real (puertos, estado de NAPs, mantenimientos y alertas)
+const { configurarEventosTiempoReal } = require('../utils/eventos');
+
+configurarEventosTiempoReal({ NAP, Puerto, Mantenimiento, Alerta });
+
+// Eventos del dominio para los webhooks salientes (outbox)
+const { configurarWebhooksSalientes } = require('../utils/webhooks');
+
+configurarWebhooksSalientes({ Conexion, Puerto, NAP, Mantenimiento });
+
+// Historial de estados de conexiones, en la transacción de cada cambio
+const { configurarHistorialConexiones } = require('../utils/historialConexiones');
+
+configurarHistorialConexiones({ Conexion, CambioEstadoConexion });
 
 module.exports = {
   sequelize,
@@ -54,5 +259,37 @@ module.exports = {
   Plan,
   Conexion,
   Mantenimiento,
-  Auditoria
+  Auditoria,
+  OLT,
+  PuertoPON,
+  Splitter,
+  CableAlimentador,
+  Sesion,
+  IntentoLogin,
+  Permiso,
+  RolPermiso,
+  Zona,
+  UsuarioZona,
+  OrdenTrabajo,
+  PlanMantenimiento,
+  Incidente,
+  IncidenteAfectado,
+  IncidenteConexion,
+  Reporte,
+  SuscripcionReporte,
+  EjecucionSuscripcion,
+  OcupacionDiaria,
+  Alerta,
+  AlertaNota,
+  ReglaAlerta,
+  CanalNotificacion,
+  Notificacion,
+  Webhook,
+  EventoWebhook,
+  EntregaWebhook,
+  Factura,
+  LineaFactura,
+  Pago,
+  AccionCobranza,
+  CambioEstadoConexion
 };
\ No newline at end of file
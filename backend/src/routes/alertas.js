@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  obtenerAlertas,
+  obtenerAlertaPorId,
+  reconocerAlerta,
+  asignarAlerta,
+  resolverAlerta,
+  agregarNotaAlerta
+} = require('../controllers/alertaController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const {
+  validarFiltroAlertas,
+  validarCambioEstadoAlerta,
+  validarAsignacionAlerta,
+  validarNotaAlerta,
+  validarUUID
+} = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('alertas:ver'), validarFiltroAlertas, obtenerAlertas);
+router.get('/:id', verificarToken, requierePermiso('alertas:ver'), validarUUID, obtenerAlertaPorId);
+router.patch('/:id/reconocer', verificarToken, requierePermiso('alertas:gestionar'), validarCambioEstadoAlerta, reconocerAlerta);
+router.patch('/:id/asignar', verificarToken, requierePermiso('alertas:gestionar'), validarAsignacionAlerta, asignarAlerta);
+router.patch('/:id/resolver', verificarToken, requierePermiso('alertas:gestionar'), validarCambioEstadoAlerta, resolverAlerta);
+router.post('/:id/notas', verificarToken, requierePermiso('alertas:gestionar'), validarNotaAlerta, agregarNotaAlerta);
+
+module.exports = router;
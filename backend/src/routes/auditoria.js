@@ -6,14 +6,14 @@ const {
   obtenerTablasAuditadas,
   exportarAExcel
 } = require('../controllers/auditoriaController');
-const { verificarToken, esAdminOSupervisor } = require('../middleware/auth');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
 
 const router = express.Router();
 
-router.get('/', verificarToken, esAdminOSupervisor, obtenerHistorialCambios);
-router.get('/estadisticas', verificarToken, esAdminOSupervisor, obtenerEstadisticasAuditoria);
-router.get('/tablas', verificarToken, esAdminOSupervisor, obtenerTablasAuditadas);
-router.get('/exportar/excel', verificarToken, esAdminOSupervisor, exportarAExcel);
-router.get('/:tabla/:registro_id', verificarToken, esAdminOSupervisor, obtenerHistorialPorRegistro);
+router.get('/', verificarToken, requierePermiso('auditoria:ver'), obtenerHistorialCambios);
+router.get('/estadisticas', verificarToken, requierePermiso('auditoria:ver'), obtenerEstadisticasAuditoria);
+router.get('/tablas', verificarToken, requierePermiso('auditoria:ver'), obtenerTablasAuditadas);
+router.get('/exportar/excel', verificarToken, requierePermiso('auditoria:exportar'), exportarAExcel);
+router.get('/:tabla/:registro_id', verificarToken, requierePermiso('auditoria:ver'), obtenerHistorialPorRegistro);
 
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,59 @@
 const express = require('express');
-const { login, perfil } = require('../controllers/authController');
-const { verificarToken } = require('../middleware/auth');
-const { validarLogin } = require('../middleware/validations');
+const rateLimit = require('express-rate-limit');
+const {
+  login,
+  perfil,
+  refrescarToken,
+  logout,
+  logoutTodas,
+  obtenerMisSesiones,
+  verificarLogin2FA,
+  iniciar2FA,
+  activar2FA,
+  desactivar2FA,
+  regenerarCodigosRecuperacion,
+  olvideClave,
+  restablecerClave
+} = require('../controllers/authController');
+const { verificarToken, permitirClavePendiente } = require('../middleware/auth');
+const {
+  validarLogin,
+  validarRefreshToken,
+  validarVerificacion2FA,
+  validarCodigoTOTP,
+  validarDesactivar2FA,
+  validarOlvideClave,
+  validarRestablecerClave
+} = require('../middleware/validations');
 
 const router = express.Router();
 
+// Evita usar olvide-clave para inundar de correos a una cuenta
+const limiteRestablecerClave = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    message: 'Demasiadas solicitudes, intente más tarde'
+  }
+});
+
 router.post('/login', validarLogin, login);
-router.get('/perfil', verificarToken, perfil);
+router.get('/perfil', permitirClavePendiente, verificarToken, perfil);
+router.post('/refresh', validarRefreshToken, refrescarToken);
+router.post('/logout', permitirClavePendiente, verificarToken, logout);
+router.post('/logout-todas', verificarToken, logoutTodas);
+router.get('/sesiones', verificarToken, obtenerMisSesiones);
+
+// Recuperación de contraseña
+router.post('/olvide-clave', limiteRestablecerClave, validarOlvideClave, olvideClave);
+router.post('/restablecer-clave', limiteRestablecerClave, validarRestablecerClave, restablecerClave);
+
+// Segundo factor (TOTP)
+router.post('/2fa/verificar', validarVerificacion2FA, verificarLogin2FA);
+router.post('/2fa/iniciar', verificarToken, iniciar2FA);
+router.post('/2fa/activar', verificarToken, validarCodigoTOTP, activar2FA);
+router.post('/2fa/desactivar', verificarToken, validarDesactivar2FA, desactivar2FA);
+router.post('/2fa/codigos-recuperacion', verificarToken, validarCodigoTOTP, regenerarCodigosRecuperacion);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  obtenerCables,
+  obtenerCablePorId,
+  crearCable,
+  actualizarCable,
+  eliminarCable
+} = require('../controllers/cableController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { validarCable, validarUUID } = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('topologia:ver'), obtenerCables);
+router.get('/:id', verificarToken, requierePermiso('topologia:ver'), validarUUID, obtenerCablePorId);
+router.post('/', verificarToken, requierePermiso('topologia:gestionar'), validarCable, crearCable);
+router.put('/:id', verificarToken, requierePermiso('topologia:gestionar'), validarUUID, validarCable, actualizarCable);
+router.delete('/:id', verificarToken, requierePermiso('topologia:gestionar'), validarUUID, eliminarCable);
+
+module.exports = router;
@@ -6,15 +6,15 @@ const {
   actualizarCliente,
   eliminarCliente
 } = require('../controllers/clienteController');
-const { verificarToken, esAdminOSupervisor } = require('../middleware/auth');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
 const { validarCliente, validarUUID } = require('../middleware/validations');
 
 const router = express.Router();
 
-router.get('/', verificarToken, obtenerClientes);
-router.get('/:id', verificarToken, validarUUID, obtenerClientePorId);
-router.post('/', verificarToken, esAdminOSupervisor, validarCliente, crearCliente);
-router.put('/:id', verificarToken, esAdminOSupervisor, validarUUID, validarCliente, actualizarCliente);
-router.delete('/:id', verificarToken, esAdminOSupervisor, validarUUID, eliminarCliente);
+router.get('/', verificarToken, requierePermiso('clientes:ver'), obtenerClientes);
+router.get('/:id', verificarToken, requierePermiso('clientes:ver'), validarUUID, obtenerClientePorId);
+router.post('/', verificarToken, requierePermiso('clientes:crear'), validarCliente, crearCliente);
+router.put('/:id', verificarToken, requierePermiso('clientes:editar'), validarUUID, validarCliente, actualizarCliente);
+router.delete('/:id', verificarToken, requierePermiso('clientes:eliminar'), validarUUID, eliminarCliente);
 
 module.exports = router;
\ No newline at end of file
@@ -7,16 +7,16 @@ const {
   finalizarConexion,
   obtenerConexionesPorCliente
 } = require('../controllers/conexionController');
-const { verificarToken, esAdminOSupervisor, esAdminOTecnico } = require('../middleware/auth');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
 const { validarConexion, validarUUID } = require('../middleware/validations');
 
 const router = express.Router();
 
-router.get('/', verificarToken, obtenerConexiones);
-router.get('/:id', verificarToken, validarUUID, obtenerConexionPorId);
-router.get('/cliente/:cliente_id', verificarToken, validarUUID, obtenerConexionesPorCliente);
-router.post('/', verificarToken, esAdminOSupervisor, validarConexion, crearConexion);
-router.put('/:id', verificarToken, esAdminOTecnico, validarUUID, actualizarConexion);
-router.patch('/:id/finalizar', verificarToken, esAdminOSupervisor, validarUUID, finalizarConexion);
+router.get('/', verificarToken, requierePermiso('conexiones:ver'), obtenerConexiones);
+router.get('/:id', verificarToken, requierePermiso('conexiones:ver'), validarUUID, obtenerConexionPorId);
+router.get('/cliente/:cliente_id', verificarToken, requierePermiso('conexiones:ver'), validarUUID, obtenerConexionesPorCliente);
+router.post('/', verificarToken, requierePermiso('conexiones:crear'), validarConexion, crearConexion);
+router.put('/:id', verificarToken, requierePermiso('conexiones:editar'), validarUUID, actualizarConexion);
+router.patch('/:id/finalizar', verificarToken, requierePermiso('conexiones:finalizar'), validarUUID, finalizarConexion);
 
 module.exports = router;
\ No newline at end of file
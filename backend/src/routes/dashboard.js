@@ -5,13 +5,22 @@ const {
   obtenerOcupacionNAPs,
   obtenerEstadisticasPorPeriodo
 } = require('../controllers/dashboardController');
-const { verificarToken } = require('../middleware/auth');
+const {
+  obtenerHistoricoOcupacion,
+  obtenerCrecimientoOcupacion,
+  obtenerPronosticoCapacidad
+} = require('../controllers/ocupacionHistoricaController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { validarHistoricoOcupacion, validarHorizonteCapacidad } = require('../middleware/validations');
 
 const router = express.Router();
 
-router.get('/estadisticas', verificarToken, obtenerEstadisticasGenerales);
-router.get('/alertas', verificarToken, obtenerAlertas);
-router.get('/ocupacion', verificarToken, obtenerOcupacionNAPs);
-router.get('/periodo', verificarToken, obtenerEstadisticasPorPeriodo);
+router.get('/estadisticas', verificarToken, requierePermiso('dashboard:ver'), obtenerEstadisticasGenerales);
+router.get('/alertas', verificarToken, requierePermiso('dashboard:ver'), obtenerAlertas);
+router.get('/ocupacion', verificarToken, requierePermiso('dashboard:ver'), obtenerOcupacionNAPs);
+router.get('/ocupacion/historico', verificarToken, requierePermiso('dashboard:ver'), validarHistoricoOcupacion, obtenerHistoricoOcupacion);
+router.get('/ocupacion/crecimiento', verificarToken, requierePermiso('dashboard:ver'), validarHistoricoOcupacion, obtenerCrecimientoOcupacion);
+router.get('/capacidad/pronostico', verificarToken, requierePermiso('dashboard:ver'), validarHorizonteCapacidad, obtenerPronosticoCapacidad);
+router.get('/periodo', verificarToken, requierePermiso('dashboard:ver'), obtenerEstadisticasPorPeriodo);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require('express');
+const { emitirTicketEventos, abrirCanalEventos } = require('../controllers/eventoController');
+const { verificarToken, verificarTicketEventos, requierePermiso } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PERMISOS_EVENTOS = ['naps:ver', 'mantenimientos:ver', 'alertas:ver'];
+
+router.post('/ticket', verificarToken, requierePermiso(...PERMISOS_EVENTOS), emitirTicketEventos);
+
+// EventSource no envía headers: el canal se abre con un ticket de vida corta en ?ticket=, nunca con el JWT
+router.get('/', verificarTicketEventos, requierePermiso(...PERMISOS_EVENTOS), abrirCanalEventos);
+
+module.exports = router;
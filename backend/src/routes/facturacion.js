@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+  obtenerFacturas,
+  obtenerFacturaPorId,
+  descargarFacturaPDF,
+  generarFacturas,
+  anularFactura,
+  obtenerPagos,
+  registrarPago,
+  anularPago,
+  obtenerEstadoCuenta
+} = require('../controllers/facturaController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const {
+  validarGeneracionFacturas,
+  validarFiltroFacturas,
+  validarAnulacion,
+  validarPago,
+  validarFiltroPagos,
+  validarUUID
+} = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/facturas', verificarToken, requierePermiso('facturacion:ver'), validarFiltroFacturas, obtenerFacturas);
+router.post('/facturas/generar', verificarToken, requierePermiso('facturacion:gestionar'), validarGeneracionFacturas, generarFacturas);
+router.get('/facturas/:id', verificarToken, requierePermiso('facturacion:ver'), validarUUID, obtenerFacturaPorId);
+router.get('/facturas/:id/pdf', verificarToken, requierePermiso('facturacion:ver'), validarUUID, descargarFacturaPDF);
+router.post('/facturas/:id/anular', verificarToken, requierePermiso('facturacion:gestionar'), validarAnulacion, anularFactura);
+
+router.get('/pagos', verificarToken, requierePermiso('facturacion:ver'), validarFiltroPagos, obtenerPagos);
+router.post('/pagos', verificarToken, requierePermiso('facturacion:cobrar'), validarPago, registrarPago);
+router.post('/pagos/:id/anular', verificarToken, requierePermiso('facturacion:gestionar'), validarAnulacion, anularPago);
+
+router.get('/clientes/:id/estado-cuenta', verificarToken, requierePermiso('facturacion:ver'), validarUUID, obtenerEstadoCuenta);
+
+module.exports = router;
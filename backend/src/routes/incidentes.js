@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  obtenerIncidentes,
+  obtenerIncidentePorId,
+  crearIncidente,
+  resolverIncidente
+} = require('../controllers/incidenteController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const {
+  validarIncidente,
+  validarResolucionIncidente,
+  validarFiltroIncidentes,
+  validarUUID
+} = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('incidentes:ver'), validarFiltroIncidentes, obtenerIncidentes);
+router.get('/:id', verificarToken, requierePermiso('incidentes:ver'), validarUUID, obtenerIncidentePorId);
+router.post('/', verificarToken, requierePermiso('incidentes:gestionar'), validarIncidente, crearIncidente);
+router.patch('/:id/resolver', verificarToken, requierePermiso('incidentes:gestionar'), validarUUID, validarResolucionIncidente, resolverIncidente);
+
+module.exports = router;
@@ -10,6 +10,20 @@ const mantenimientoRoutes = require('./mantenimientos');
 const dashboardRoutes = require('./dashboard');
 const reporteRoutes = require('./reportes');
 const auditoriaRoutes = require('./auditoria');
+const oltRoutes = require('./olts');
+const splitterRoutes = require('./splitters');
+const cableRoutes = require('./cables');
+const permisoRoutes = require('./permisos');
+const zonaRoutes = require('./zonas');
+const ordenTrabajoRoutes = require('./ordenesTrabajo');
+const planMantenimientoRoutes = require('./planesMantenimiento');
+const incidenteRoutes = require('./incidentes');
+const alertaRoutes = require('./alertas');
+const reglaAlertaRoutes = require('./reglasAlerta');
+const notificacionRoutes = require('./notificaciones');
+const webhookRoutes = require('./webhooks');
+const facturacionRoutes = require('./facturacion');
+const eventoRoutes = require('./eventos');
 
 const router = express.Router();
 
@@ -24,6 +38,20 @@ router.use('/mantenimientos', mantenimientoRoutes);
 router.use('/dashboard', dashboardRoutes);
 router.use('/reportes', reporteRoutes);
 router.use('/auditoria', auditoriaRoutes);
+router.use('/olts', oltRoutes);
+router.use('/splitters', splitterRoutes);
+router.use('/cables', cableRoutes);
+router.use('/permisos', permisoRoutes);
+router.use('/zonas', zonaRoutes);
+router.use('/ordenes-trabajo', ordenTrabajoRoutes);
+router.use('/planes-mantenimiento', planMantenimientoRoutes);
+router.use('/incidentes', incidenteRoutes);
+router.use('/alertas', alertaRoutes);
+router.use('/reglas-alerta', reglaAlertaRoutes);
+router.use('/notificaciones', notificacionRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/facturacion', facturacionRoutes);
+router.use('/eventos', eventoRoutes);
 
 router.get('/health', (req, res) => {
   res.json({
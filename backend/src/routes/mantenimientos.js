@@ -8,17 +8,17 @@ const {
   eliminarMantenimiento,
   obtenerEstadisticasMantenimiento
 } = require('../controllers/mantenimientoController');
-const { verificarToken, esAdminOSupervisor, esAdminOTecnico } = require('../middleware/auth');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
 const { validarMantenimiento, validarUUID } = require('../middleware/validations');
 
 const router = express.Router();
 
-router.get('/', verificarToken, obtenerMantenimientos);
-router.get('/estadisticas', verificarToken, obtenerEstadisticasMantenimiento);
-router.get('/nap/:nap_id', verificarToken, obtenerMantenimientosPorNAP);
-router.get('/:id', verificarToken, validarUUID, obtenerMantenimientoPorId);
-router.post('/', verificarToken, esAdminOTecnico, validarMantenimiento, crearMantenimiento);
-router.put('/:id', verificarToken, esAdminOTecnico, validarUUID, validarMantenimiento, actualizarMantenimiento);
-router.delete('/:id', verificarToken, esAdminOSupervisor, validarUUID, eliminarMantenimiento);
+router.get('/', verificarToken, requierePermiso('mantenimientos:ver'), obtenerMantenimientos);
+router.get('/estadisticas', verificarToken, requierePermiso('mantenimientos:ver'), obtenerEstadisticasMantenimiento);
+router.get('/nap/:nap_id', verificarToken, requierePermiso('mantenimientos:ver'), obtenerMantenimientosPorNAP);
+router.get('/:id', verificarToken, requierePermiso('mantenimientos:ver'), validarUUID, obtenerMantenimientoPorId);
+router.post('/', verificarToken, requierePermiso('mantenimientos:crear'), validarMantenimiento, crearMantenimiento);
+router.put('/:id', verificarToken, requierePermiso('mantenimientos:editar'), validarUUID, validarMantenimiento, actualizarMantenimiento);
+router.delete('/:id', verificarToken, requierePermiso('mantenimientos:eliminar'), validarUUID, eliminarMantenimiento);
 
 module.exports = router;
\ No newline at end of file
@@ -6,15 +6,17 @@ const {
   actualizarNAP,
   obtenerNAPsEnMapa
 } = require('../controllers/napController');
-const { verificarToken, esAdminOSupervisor, esAdminOTecnico } = require('../middleware/auth');
-const { validarNAP, validarUUID } = require('../middleware/validations');
+const { obtenerHistoricoNAP } = require('../controllers/ocupacionHistoricaController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { validarNAP, validarUUID, validarFiltroZona, validarHistoricoOcupacion } = require('../middleware/validations');
 
 const router = express.Router();
 
-router.get('/', verificarToken, obtenerNAPs);
-router.get('/mapa', verificarToken, obtenerNAPsEnMapa);
-router.get('/:id', verificarToken, validarUUID, obtenerNAPPorId);
-router.post('/', verificarToken, esAdminOSupervisor, validarNAP, crearNAP);
-router.put('/:id', verificarToken, esAdminOTecnico, validarUUID, validarNAP, actualizarNAP);
+router.get('/', verificarToken, requierePermiso('naps:ver'), validarFiltroZona, obtenerNAPs);
+router.get('/mapa', verificarToken, requierePermiso('naps:ver'), obtenerNAPsEnMapa);
+router.get('/:id/ocupacion-historica', verificarToken, requierePermiso('naps:ver'), validarUUID, validarHistoricoOcupacion, obtenerHistoricoNAP);
+router.get('/:id', verificarToken, requierePermiso('naps:ver'), validarUUID, obtenerNAPPorId);
+router.post('/', verificarToken, requierePermiso('naps:crear'), validarNAP, crearNAP);
+router.put('/:id', verificarToken, requierePermiso('naps:editar'), validarUUID, validarNAP, actualizarNAP);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  obtenerCanales,
+  crearCanal,
+  actualizarCanal,
+  eliminarCanal,
+  probarCanal,
+  obtenerNotificaciones,
+  reintentarNotificacion
+} = require('../controllers/notificacionController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const {
+  validarCanalNotificacion,
+  validarFiltroNotificaciones,
+  validarUUID
+} = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('alertas:ver'), validarFiltroNotificaciones, obtenerNotificaciones);
+router.post('/:id/reintentar', verificarToken, requierePermiso('notificaciones:gestionar'), validarUUID, reintentarNotificacion);
+router.get('/canales', verificarToken, requierePermiso('alertas:ver'), obtenerCanales);
+router.post('/canales', verificarToken, requierePermiso('alertas:ver'), validarCanalNotificacion, crearCanal);
+router.put('/canales/:id', verificarToken, requierePermiso('alertas:ver'), validarUUID, validarCanalNotificacion, actualizarCanal);
+router.delete('/canales/:id', verificarToken, requierePermiso('alertas:ver'), validarUUID, eliminarCanal);
+router.post('/canales/:id/probar', verificarToken, requierePermiso('alertas:ver'), validarUUID, probarCanal);
+
+module.exports = router;
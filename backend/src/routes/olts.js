@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  obtenerOLTs,
+  obtenerOLTPorId,
+  crearOLT,
+  actualizarOLT,
+  eliminarOLT,
+  crearPuertoPON,
+  actualizarPuertoPON,
+  eliminarPuertoPON,
+  obtenerAfectadosPorPuertoPON
+} = require('../controllers/oltController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { validarOLT, validarPuertoPON, validarUUID } = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('topologia:ver'), obtenerOLTs);
+router.get('/puertos-pon/:id/afectados', verificarToken, requierePermiso('topologia:ver'), validarUUID, obtenerAfectadosPorPuertoPON);
+router.put('/puertos-pon/:id', verificarToken, requierePermiso('topologia:gestionar'), validarUUID, validarPuertoPON, actualizarPuertoPON);
+router.delete('/puertos-pon/:id', verificarToken, requierePermiso('topologia:gestionar'), validarUUID, eliminarPuertoPON);
+router.get('/:id', verificarToken, requierePermiso('topologia:ver'), validarUUID, obtenerOLTPorId);
+router.post('/', verificarToken, requierePermiso('topologia:gestionar'), validarOLT, crearOLT);
+router.put('/:id', verificarToken, requierePermiso('topologia:gestionar'), validarUUID, validarOLT, actualizarOLT);
+router.delete('/:id', verificarToken, requierePermiso('topologia:gestionar'), validarUUID, eliminarOLT);
+router.post('/:id/puertos-pon', verificarToken, requierePermiso('topologia:gestionar'), validarUUID, validarPuertoPON, crearPuertoPON);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  obtenerOrdenes,
+  obtenerMisOrdenes,
+  obtenerOrdenPorId,
+  crearOrden,
+  asignarOrden,
+  iniciarOrden,
+  completarOrden,
+  cancelarOrden
+} = require('../controllers/ordenTrabajoController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const {
+  validarOrdenTrabajo,
+  validarAsignacionOrden,
+  validarCierreOrden,
+  validarCancelacionOrden,
+  validarFiltroOrdenes,
+  validarUUID
+} = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('ordenes:ver'), validarFiltroOrdenes, obtenerOrdenes);
+router.get('/mias', verificarToken, requierePermiso('ordenes:ver'), validarFiltroOrdenes, obtenerMisOrdenes);
+router.get('/:id', verificarToken, requierePermiso('ordenes:ver'), validarUUID, obtenerOrdenPorId);
+router.post('/', verificarToken, requierePermiso('ordenes:crear'), validarOrdenTrabajo, crearOrden);
+router.patch('/:id/asignar', verificarToken, requierePermiso('ordenes:asignar'), validarAsignacionOrden, asignarOrden);
+router.patch('/:id/iniciar', verificarToken, requierePermiso('ordenes:ejecutar'), validarUUID, iniciarOrden);
+router.patch('/:id/completar', verificarToken, requierePermiso('ordenes:ejecutar'), validarCierreOrden, completarOrden);
+router.patch('/:id/cancelar', verificarToken, requierePermiso('ordenes:cancelar'), validarCancelacionOrden, cancelarOrden);
+
+module.exports = router;
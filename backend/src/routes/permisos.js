@@ -0,0 +1,14 @@
+const express = require('express');
+const {
+  obtenerPermisos,
+  actualizarPermisosRol
+} = require('../controllers/permisoController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { validarPermisosRol } = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('permisos:gestionar'), obtenerPermisos);
+router.put('/roles/:rol', verificarToken, requierePermiso('permisos:gestionar'), validarPermisosRol, actualizarPermisosRol);
+
+module.exports = router;
@@ -6,15 +6,15 @@ const {
   actualizarPlan,
   eliminarPlan
 } = require('../controllers/planController');
-const { verificarToken, esAdminOSupervisor } = require('../middleware/auth');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
 const { validarPlan, validarUUID } = require('../middleware/validations');
 
 const router = express.Router();
 
-router.get('/', verificarToken, obtenerPlanes);
-router.get('/:id', verificarToken, validarUUID, obtenerPlanPorId);
-router.post('/', verificarToken, esAdminOSupervisor, validarPlan, crearPlan);
-router.put('/:id', verificarToken, esAdminOSupervisor, validarUUID, validarPlan, actualizarPlan);
-router.delete('/:id', verificarToken, esAdminOSupervisor, validarUUID, eliminarPlan);
+router.get('/', verificarToken, requierePermiso('planes:ver'), obtenerPlanes);
+router.get('/:id', verificarToken, requierePermiso('planes:ver'), validarUUID, obtenerPlanPorId);
+router.post('/', verificarToken, requierePermiso('planes:crear'), validarPlan, crearPlan);
+router.put('/:id', verificarToken, requierePermiso('planes:editar'), validarUUID, validarPlan, actualizarPlan);
+router.delete('/:id', verificarToken, requierePermiso('planes:eliminar'), validarUUID, eliminarPlan);
 
 module.exports = router;
\ No newline at end of file
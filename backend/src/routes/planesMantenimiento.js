@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  obtenerPlanes,
+  crearPlan,
+  actualizarPlan,
+  eliminarPlan,
+  obtenerCalendario
+} = require('../controllers/planMantenimientoController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const {
+  validarPlanMantenimiento,
+  validarCalendarioMantenimiento,
+  validarUUID
+} = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('mantenimientos:ver'), obtenerPlanes);
+router.get('/calendario', verificarToken, requierePermiso('mantenimientos:ver'), validarCalendarioMantenimiento, obtenerCalendario);
+router.post('/', verificarToken, requierePermiso('mantenimientos:planificar'), validarPlanMantenimiento, crearPlan);
+router.put('/:id', verificarToken, requierePermiso('mantenimientos:planificar'), validarUUID, validarPlanMantenimiento, actualizarPlan);
+router.delete('/:id', verificarToken, requierePermiso('mantenimientos:planificar'), validarUUID, eliminarPlan);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const {
   obtenerPuertosPorNAP,
+  obtenerPresupuestoOpticoPorNAP,
   obtenerPuertosLibres,
   obtenerPuertoPorId,
   actualizarPuerto,
@@ -9,18 +10,19 @@ const {
   asignarClienteAPuerto,
   liberarPuerto, 
 } = require('../controllers/puertoController');
-const { verificarToken, esAdminOSupervisor, esAdminOTecnico } = require('../middleware/auth');
-const { validarPuerto, validarUUID, validarAsignacionCliente,validarUUIDParamForPuertoFree } = require('../middleware/validations');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { validarPuerto, validarUUID, validarAsignacionCliente,validarUUIDParamForPuertoFree, validarUUIDParamNap } = require('../middleware/validations');
 
 const router = express.Router();
 
-router.get('/libres', verificarToken, obtenerPuertosLibres);
-router.get('/estadisticas', verificarToken, obtenerEstadisticasPuertos);
-router.get('/nap/:nap_id', verificarToken, validarUUID, obtenerPuertosPorNAP);
-router.get('/:id', verificarToken, validarUUID, obtenerPuertoPorId);
-router.put('/:id', verificarToken, esAdminOTecnico, validarUUID, validarPuerto, actualizarPuerto);
-router.post('/nap/:nap_id/crear', verificarToken, esAdminOSupervisor, validarUUID, crearPuertosParaNAP);
-router.post('/:puerto_id/asignar-cliente', verificarToken, esAdminOTecnico, validarAsignacionCliente, asignarClienteAPuerto);
-router.post('/:puerto_id/liberar', verificarToken, esAdminOTecnico, validarUUIDParamForPuertoFree, liberarPuerto);
+router.get('/libres', verificarToken, requierePermiso('puertos:ver'), obtenerPuertosLibres);
+router.get('/estadisticas', verificarToken, requierePermiso('puertos:ver'), obtenerEstadisticasPuertos);
+router.get('/nap/:nap_id', verificarToken, requierePermiso('puertos:ver'), validarUUID, obtenerPuertosPorNAP);
+router.get('/nap/:nap_id/presupuesto-optico', verificarToken, requierePermiso('puertos:ver'), validarUUIDParamNap, obtenerPresupuestoOpticoPorNAP);
+router.get('/:id', verificarToken, requierePermiso('puertos:ver'), validarUUID, obtenerPuertoPorId);
+router.put('/:id', verificarToken, requierePermiso('puertos:editar'), validarUUID, validarPuerto, actualizarPuerto);
+router.post('/nap/:nap_id/crear', verificarToken, requierePermiso('puertos:crear'), validarUUID, crearPuertosParaNAP);
+router.post('/:puerto_id/asignar-cliente', verificarToken, requierePermiso('puertos:asignar'), validarAsignacionCliente, asignarClienteAPuerto);
+router.post('/:puerto_id/liberar', verificarToken, requierePermiso('puertos:liberar'), validarUUIDParamForPuertoFree, liberarPuerto);
 
 module.exports = router;
\ No newline at end of file
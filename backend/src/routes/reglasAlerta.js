@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  obtenerMetricas,
+  obtenerReglas,
+  crearRegla,
+  actualizarRegla,
+  eliminarRegla
+} = require('../controllers/reglaAlertaController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { validarReglaAlerta, validarUUID } = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('alertas:configurar'), obtenerReglas);
+router.get('/metricas', verificarToken, requierePermiso('alertas:configurar'), obtenerMetricas);
+router.post('/', verificarToken, requierePermiso('alertas:configurar'), validarReglaAlerta, crearRegla);
+router.put('/:id', verificarToken, requierePermiso('alertas:configurar'), validarUUID, validarReglaAlerta, actualizarRegla);
+router.delete('/:id', verificarToken, requierePermiso('alertas:configurar'), validarUUID, eliminarRegla);
+
+module.exports = router;
@@ -5,25 +5,92 @@ const {
   reporteEstadoTecnico,
   reporteCaidasInterrupciones,
   reporteDisponibilidadServicio,
+  reportePlanificacionCapacidad,
   reporteAltasYBajas,
   reporteClientes,
+  reporteCortesReconexiones,
+  reporteATTSuscriptores,
+  reporteATTCalidadServicio,
+  reporteATTIncidentes,
   obtenerTiposReporte
 } = require('../controllers/reporteController');
-const { verificarToken, esAdminOSupervisor } = require('../middleware/auth');
+const {
+  encolarReporte,
+  obtenerMisReportes,
+  obtenerReporteGenerado,
+  descargarReporteGenerado,
+  eliminarReporteGenerado
+} = require('../controllers/colaReporteController');
+const {
+  obtenerSuscripciones,
+  crearSuscripcion,
+  actualizarSuscripcion,
+  eliminarSuscripcion,
+  obtenerEjecuciones,
+  ejecutarSuscripcionAhora
+} = require('../controllers/suscripcionReporteController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const {
+  validarFiltroZona,
+  validarHorizonteCapacidad,
+  validarPeriodoATT,
+  validarUUID,
+  validarSuscripcionReporte
+} = require('../middleware/validations');
+const { admiteFormato } = require('../config/reportes');
 
 const router = express.Router();
 
-router.get('/tipos', verificarToken, obtenerTiposReporte);
+// Cada reporte sólo se pide en los formatos de su catálogo (csv sólo los ATT);
+// en PDF, Excel o CSV exige además reportes:exportar
+const permisoExportar = requierePermiso('reportes:exportar');
+const verificarFormato = (req, res, next) => {
+  const formato = String(req.query.formato || 'json').toLowerCase();
+
+  if (!admiteFormato(req.path.replace(/^\//, ''), formato)) {
+    return res.status(400).json({
+      success: false,
+      message: `El reporte no admite el formato ${formato}`
+    });
+  }
+
+  return formato === 'json' ? next() : permisoExportar(req, res, next);
+};
+
+router.get('/tipos', verificarToken, requierePermiso('reportes:ver'), obtenerTiposReporte);
+
+// Reportes generados en segundo plano: cualquier reporte con ?formato=pdf|excel&async=true (csv los ATT)
+// responde 202 con el id; acá se consulta el avance y se descarga el archivo (sólo los propios)
+router.get('/jobs', verificarToken, requierePermiso('reportes:exportar'), obtenerMisReportes);
+router.get('/jobs/:id', verificarToken, requierePermiso('reportes:exportar'), validarUUID, obtenerReporteGenerado);
+router.get('/jobs/:id/archivo', verificarToken, requierePermiso('reportes:exportar'), validarUUID, descargarReporteGenerado);
+router.delete('/jobs/:id', verificarToken, requierePermiso('reportes:exportar'), validarUUID, eliminarReporteGenerado);
+
+// Reportes programados: se generan según una expresión cron y se envían por correo (sólo los propios)
+router.get('/suscripciones', verificarToken, requierePermiso('reportes:programar'), obtenerSuscripciones);
+router.post('/suscripciones', verificarToken, requierePermiso('reportes:programar'), validarSuscripcionReporte, crearSuscripcion);
+router.put('/suscripciones/:id', verificarToken, requierePermiso('reportes:programar'), validarUUID, validarSuscripcionReporte, actualizarSuscripcion);
+router.delete('/suscripciones/:id', verificarToken, requierePermiso('reportes:programar'), validarUUID, eliminarSuscripcion);
+router.get('/suscripciones/:id/ejecuciones', verificarToken, requierePermiso('reportes:programar'), validarUUID, obtenerEjecuciones);
+router.post('/suscripciones/:id/ejecutar', verificarToken, requierePermiso('reportes:programar'), validarUUID, ejecutarSuscripcionAhora);
 
 // Infraestructura
-router.get('/ocupacion', verificarToken, esAdminOSupervisor, reporteOcupacionNAPs);
-router.get('/tecnico', verificarToken, esAdminOSupervisor, reporteEstadoTecnico);
-router.get('/caidas-interrupciones', verificarToken, esAdminOSupervisor, reporteCaidasInterrupciones);
-router.get('/disponibilidad', verificarToken, esAdminOSupervisor, reporteDisponibilidadServicio);
+router.get('/ocupacion', verificarToken, requierePermiso('reportes:ver'), verificarFormato, validarFiltroZona, encolarReporte, reporteOcupacionNAPs);
+router.get('/tecnico', verificarToken, requierePermiso('reportes:ver'), verificarFormato, validarFiltroZona, encolarReporte, reporteEstadoTecnico);
+router.get('/caidas-interrupciones', verificarToken, requierePermiso('reportes:ver'), verificarFormato, validarFiltroZona, encolarReporte, reporteCaidasInterrupciones);
+router.get('/disponibilidad', verificarToken, requierePermiso('reportes:ver'), verificarFormato, validarFiltroZona, encolarReporte, reporteDisponibilidadServicio);
+router.get('/planificacion-capacidad', verificarToken, requierePermiso('reportes:ver'), verificarFormato, validarFiltroZona, validarHorizonteCapacidad, encolarReporte, reportePlanificacionCapacidad);
 
 // Clientes
-router.get('/consumo', verificarToken, esAdminOSupervisor, reporteConsumoPorCliente);
-router.get('/altas-bajas', verificarToken, esAdminOSupervisor, reporteAltasYBajas);
-router.get('/clientes', verificarToken, esAdminOSupervisor, reporteClientes);
+router.get('/consumo', verificarToken, requierePermiso('reportes:ver'), verificarFormato, validarFiltroZona, encolarReporte, reporteConsumoPorCliente);
+router.get('/altas-bajas', verificarToken, requierePermiso('reportes:ver'), verificarFormato, validarFiltroZona, encolarReporte, reporteAltasYBajas);
+router.get('/clientes', verificarToken, requierePermiso('reportes:ver'), verificarFormato, validarFiltroZona, encolarReporte, reporteClientes);
+// Del día en curso: lo que hizo la cobranza (utils/cobranza.js) y lo que le queda pendiente
+router.get('/cortes-reconexiones', verificarToken, requierePermiso('reportes:ver'), verificarFormato, validarFiltroZona, encolarReporte, reporteCortesReconexiones);
+
+// Regulatorios (ATT): ?periodo=AAAA-MM o AAAA-Tn, ya cerrado; formato=csv para el portal de la ATT
+router.get('/att/suscriptores', verificarToken, requierePermiso('reportes:att'), verificarFormato, validarFiltroZona, validarPeriodoATT, encolarReporte, reporteATTSuscriptores);
+router.get('/att/calidad-servicio', verificarToken, requierePermiso('reportes:att'), verificarFormato, validarFiltroZona, validarPeriodoATT, encolarReporte, reporteATTCalidadServicio);
+router.get('/att/incidentes', verificarToken, requierePermiso('reportes:att'), verificarFormato, validarFiltroZona, validarPeriodoATT, encolarReporte, reporteATTIncidentes);
 
 module.exports = router;
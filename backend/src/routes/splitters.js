@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  obtenerSplitters,
+  obtenerSplitterPorId,
+  crearSplitter,
+  actualizarSplitter,
+  eliminarSplitter,
+  obtenerAfectadosPorSplitter
+} = require('../controllers/splitterController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { validarSplitter, validarUUID } = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('topologia:ver'), obtenerSplitters);
+router.get('/:id', verificarToken, requierePermiso('topologia:ver'), validarUUID, obtenerSplitterPorId);
+router.get('/:id/afectados', verificarToken, requierePermiso('topologia:ver'), validarUUID, obtenerAfectadosPorSplitter);
+router.post('/', verificarToken, requierePermiso('topologia:gestionar'), validarSplitter, crearSplitter);
+router.put('/:id', verificarToken, requierePermiso('topologia:gestionar'), validarUUID, validarSplitter, actualizarSplitter);
+router.delete('/:id', verificarToken, requierePermiso('topologia:gestionar'), validarUUID, eliminarSplitter);
+
+module.exports = router;
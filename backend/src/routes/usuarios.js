@@ -7,30 +7,28 @@ const {
   cambiarClave,
   desactivarUsuario,
   activarUsuario,
-  crearUsuarioRoot
+  crearUsuarioRoot,
+  revocarSesionesUsuario,
+  desbloquearUsuario,
+  reiniciar2FAUsuario,
+  asignarZonasUsuario
 } = require('../controllers/usuarioController');
-const { verificarToken, esAdmin } = require('../middleware/auth');
-const { validarUsuario, validarUUID } = require('../middleware/validations');
-const { body } = require('express-validator');
+const { verificarToken, permitirClavePendiente, requierePermiso } = require('../middleware/auth');
+const { validarUsuario, validarUUID, validarCambioClave, validarZonasUsuario } = require('../middleware/validations');
 
 const router = express.Router();
 
-const validarCambioClave = [
-  body('claveActual')
-    .isLength({ min: 6 })
-    .withMessage('Clave actual requerida'),
-  body('claveNueva')
-    .isLength({ min: 6 })
-    .withMessage('La nueva clave debe tener al menos 6 caracteres')
-];
-
-router.get('/findAll', verificarToken, esAdmin, obtenerUsuarios);
-router.get('/:id', verificarToken, esAdmin, validarUUID, obtenerUsuarioPorId);
-router.post('/create', verificarToken, esAdmin, validarUsuario, crearUsuario);
+router.get('/findAll', verificarToken, requierePermiso('usuarios:ver'), obtenerUsuarios);
+router.get('/:id', verificarToken, requierePermiso('usuarios:ver'), validarUUID, obtenerUsuarioPorId);
+router.post('/create', verificarToken, requierePermiso('usuarios:gestionar'), validarUsuario, crearUsuario);
 router.post('/registroRoot', validarUsuario, crearUsuarioRoot);
-router.put('/:id', verificarToken, esAdmin, validarUUID, validarUsuario, actualizarUsuario);
-router.patch('/cambiar-clave', verificarToken, validarCambioClave, cambiarClave);
-router.patch('/:id/activar', verificarToken, esAdmin, validarUUID, activarUsuario);
-router.delete('/:id', verificarToken, esAdmin, validarUUID, desactivarUsuario);
+router.put('/:id', verificarToken, requierePermiso('usuarios:gestionar'), validarUUID, validarUsuario, actualizarUsuario);
+router.put('/:id/zonas', verificarToken, requierePermiso('zonas:gestionar'), validarZonasUsuario, asignarZonasUsuario);
+router.patch('/cambiar-clave', permitirClavePendiente, verificarToken, validarCambioClave, cambiarClave);
+router.patch('/:id/activar', verificarToken, requierePermiso('usuarios:gestionar'), validarUUID, activarUsuario);
+router.patch('/:id/desbloquear', verificarToken, requierePermiso('usuarios:gestionar'), validarUUID, desbloquearUsuario);
+router.delete('/:id', verificarToken, requierePermiso('usuarios:gestionar'), validarUUID, desactivarUsuario);
+router.delete('/:id/sesiones', verificarToken, requierePermiso('usuarios:gestionar'), validarUUID, revocarSesionesUsuario);
+router.delete('/:id/2fa', verificarToken, requierePermiso('usuarios:gestionar'), validarUUID, reiniciar2FAUsuario);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  obtenerTiposEvento,
+  obtenerWebhooks,
+  crearWebhook,
+  actualizarWebhook,
+  eliminarWebhook,
+  probarWebhook,
+  obtenerEntregas,
+  obtenerEventos,
+  reenviarEventos
+} = require('../controllers/webhookController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const {
+  validarWebhook,
+  validarReenvioWebhook,
+  validarFiltroEventosWebhook,
+  validarUUID
+} = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/tipos-evento', verificarToken, requierePermiso('webhooks:gestionar'), obtenerTiposEvento);
+router.get('/eventos', verificarToken, requierePermiso('webhooks:gestionar'), validarFiltroEventosWebhook, obtenerEventos);
+router.get('/', verificarToken, requierePermiso('webhooks:gestionar'), obtenerWebhooks);
+router.post('/', verificarToken, requierePermiso('webhooks:gestionar'), validarWebhook, crearWebhook);
+router.put('/:id', verificarToken, requierePermiso('webhooks:gestionar'), validarUUID, validarWebhook, actualizarWebhook);
+router.delete('/:id', verificarToken, requierePermiso('webhooks:gestionar'), validarUUID, eliminarWebhook);
+router.post('/:id/probar', verificarToken, requierePermiso('webhooks:gestionar'), validarUUID, probarWebhook);
+router.get('/:id/entregas', verificarToken, requierePermiso('webhooks:gestionar'), validarUUID, validarFiltroEventosWebhook, obtenerEntregas);
+router.post('/:id/reenviar', verificarToken, requierePermiso('webhooks:gestionar'), validarReenvioWebhook, reenviarEventos);
+
+module.exports = router;
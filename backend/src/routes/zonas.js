@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  obtenerZonas,
+  crearZona,
+  actualizarZona,
+  eliminarZona
+} = require('../controllers/zonaController');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { validarZona, validarUUID } = require('../middleware/validations');
+
+const router = express.Router();
+
+router.get('/', verificarToken, requierePermiso('zonas:ver'), obtenerZonas);
+router.post('/', verificarToken, requierePermiso('zonas:gestionar'), validarZona, crearZona);
+router.put('/:id', verificarToken, requierePermiso('zonas:gestionar'), validarUUID, validarZona, actualizarZona);
+router.delete('/:id', verificarToken, requierePermiso('zonas:gestionar'), validarUUID, eliminarZona);
+
+module.exports = router;
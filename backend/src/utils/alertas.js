@@ -0,0 +1,315 @@
+const { Op } = require('sequelize');
+const { NAP, Puerto, Alerta, AlertaNota } = require('../models');
+const { calcularVencimientos } = require('./planesMantenimiento');
+const { pronosticarCapacidad, alertasSaturacionPrevista } = require('./pronosticoCapacidad');
+const { evaluarReglas } = require('./reglasAlerta');
+const { encolarNotificaciones } = require('./notificaciones');
+const { TIPOS_EVENTO, suscribirEventos } = require('./eventos');
+
+/**
+ * Alertas persistentes (tabla alertas)
+ *
+ * @description
+ * - evaluarAlertas detecta las condiciones vigentes de toda la red y las sincroniza con la tabla:
+ *   crea una alerta ABIERTA por cada NAP y tipo nuevo, actualiza mensaje y última detección de las
+ *   que siguen sin resolver (ABIERTA o RECONOCIDA) y resuelve con resolución AUTOMATICA las que ya
+ *   no se cumplen
+ * - Las condiciones con umbral (ocupación, correctivos recientes, ...) las abre el motor de reglas
+ *   (utils/reglasAlerta.js); las de estado, pronóstico y planes preventivos son fijas
+ * - Con enfriamiento_minutos en la regla, una alerta resuelta no se vuelve a abrir hasta que pase ese tiempo
+ * - Cada instancia con ALERTAS_ACTIVAS distinto de 'false' evalúa cada ALERTAS_INTERVALO_MS
+ *   (default: 60000) y, además, poco después de cada cambio de puertos, NAPs o mantenimientos
+ * - El índice único parcial (nap_id, tipo) sin resolver evita duplicados entre instancias
+ * - Una alerta resuelta a mano vuelve a abrirse como alerta nueva si la condición sigue vigente
+ * - Cada alerta nueva o que sube de nivel se notifica por los canales de los usuarios (utils/notificaciones.js)
+ */
+
+const INTERVALO_MS = parseInt(process.env.ALERTAS_INTERVALO_MS || '60000', 10);
+// Espera tras un evento para evaluar una sola vez por ráfaga de cambios
+const ESPERA_EVENTO_MS = 2000;
+
+const ESTADOS_SIN_RESOLVER = ['ABIERTA', 'RECONOCIDA'];
+const ORDEN_NIVEL = { CRITICO: 3, ADVERTENCIA: 2, INFO: 1 };
+
+let temporizador = null;
+let pendiente = null;
+let ocupado = false;
+let repetir = false;
+
+const clave = (alerta) => `${alerta.nap_id}|${alerta.tipo}`;
+
+/**
+ * Detecta las condiciones de alerta vigentes en toda la red
+ *
+ * @async
+ * @function detectarCondiciones
+ * @returns {Promise<Object[]>} { tipo, nivel, mensaje, detalle, nap_id, regla_id?, enfriamiento_minutos? },
+ *   una por NAP y tipo
+ *
+ * @description
+ * - NAP SATURADO - CRITICO; NAP en MANTENIMIENTO - ADVERTENCIA
+ * - NAP activo con el 100% de puertos ocupados: pasa a SATURADO
+ * - NAP activo que a su ritmo se satura dentro de PRONOSTICO_HORIZONTE_ALERTA_DIAS - ADVERTENCIA
+ * - Preventivo vencido según su plan - ADVERTENCIA; dentro de los días de aviso - INFO
+ * - Reglas activas de reglas_alerta, con el nivel de cada regla
+ */
+async function detectarCondiciones() {
+  const condiciones = [];
+
+  const napsSaturados = await NAP.findAll({
+    where: { estado: 'SATURADO' },
+    attributes: ['id', 'codigo', 'ubicacion']
+  });
+
+  for (const nap of napsSaturados) {
+    condiciones.push({
+      tipo: 'NAP_SATURADO',
+      nivel: 'CRITICO',
+      mensaje: `NAP ${nap.codigo} está saturado`,
+      detalle: `Ubicación: ${nap.ubicacion}`,
+      nap_id: nap.id
+    });
+  }
+
+  const napsMantenimiento = await NAP.findAll({
+    where: { estado: 'MANTENIMIENTO' },
+    attributes: ['id', 'codigo', 'ubicacion']
+  });
+
+  for (const nap of napsMantenimiento) {
+    condiciones.push({
+      tipo: 'NAP_MANTENIMIENTO',
+      nivel: 'ADVERTENCIA',
+      mensaje: `NAP ${nap.codigo} en mantenimiento`,
+      detalle: `Ubicación: ${nap.ubicacion}`,
+      nap_id: nap.id
+    });
+  }
+
+  const napsActivos = await NAP.findAll({
+    where: { estado: 'ACTIVO' },
+    attributes: ['id', 'codigo', 'ubicacion', 'total_puertos'],
+    include: [{
+      model: Puerto,
+      as: 'puertos',
+      attributes: ['estado']
+    }]
+  });
+
+  for (const nap of napsActivos) {
+    const puertosOcupados = nap.puertos.filter(p => p.estado === 'OCUPADO').length;
+    const porcentajeOcupacion = (puertosOcupados / nap.total_puertos) * 100;
+
+    // Actualizar estado del NAP a SATURADO si llega al 100%
+    if (porcentajeOcupacion >= 100) {
+      await nap.update({ estado: 'SATURADO' });
+      condiciones.push({
+        tipo: 'NAP_SATURADO',
+        nivel: 'CRITICO',
+        mensaje: `NAP ${nap.codigo} está saturado`,
+        detalle: `Ubicación: ${nap.ubicacion}`,
+        nap_id: nap.id
+      });
+    }
+  }
+
+  const pronosticos = await pronosticarCapacidad({ where: { estado: 'ACTIVO' } });
+  for (const { fecha, ...alerta } of alertasSaturacionPrevista(pronosticos)) {
+    condiciones.push(alerta);
+  }
+
+  for (const visita of await calcularVencimientos()) {
+    if (visita.vencido) {
+      condiciones.push({
+        tipo: 'MANTENIMIENTO_VENCIDO',
+        nivel: 'ADVERTENCIA',
+        mensaje: `Mantenimiento preventivo vencido en NAP ${visita.nap.codigo}`,
+        detalle: `${visita.plan}: debía hacerse el ${visita.proxima_fecha} (${-visita.dias_restantes} días de atraso)`,
+        nap_id: visita.nap_id
+      });
+    } else if (visita.por_vencer) {
+      condiciones.push({
+        tipo: 'MANTENIMIENTO_PROXIMO',
+        nivel: 'INFO',
+        mensaje: `Mantenimiento preventivo próximo en NAP ${visita.nap.codigo}`,
+        detalle: `${visita.plan}: programado para el ${visita.proxima_fecha}`,
+        nap_id: visita.nap_id
+      });
+    }
+  }
+
+  condiciones.push(...await evaluarReglas());
+
+  // Una por NAP y tipo: queda la primera (el preventivo más atrasado)
+  const unicas = new Map();
+  for (const condicion of condiciones) {
+    if (!unicas.has(clave(condicion))) unicas.set(clave(condicion), condicion);
+  }
+  return [...unicas.values()];
+}
+
+// Última resolución de cada NAP y tipo dentro del enfriamiento más largo de las condiciones
+async function resueltasEnEnfriamiento(condiciones, ahora) {
+  const maximo = Math.max(0, ...condiciones.map(condicion => condicion.enfriamiento_minutos || 0));
+  if (maximo === 0) return new Map();
+
+  const resueltas = await Alerta.findAll({
+    where: { estado: 'RESUELTA', resuelta_en: { [Op.gte]: new Date(ahora - maximo * 60 * 1000) } },
+    attributes: ['nap_id', 'tipo', 'resuelta_en'],
+    order: [['resuelta_en', 'ASC']]
+  });
+  return new Map(resueltas.map(alerta => [clave(alerta), alerta.resuelta_en]));
+}
+
+/**
+ * Sincroniza la tabla de alertas con las condiciones vigentes
+ *
+ * @async
+ * @function sincronizarAlertas
+ * @param {Object[]} condiciones - Resultado de detectarCondiciones
+ * @param {Date} [ahora=new Date()] - Momento de la evaluación
+ * @returns {Promise<Object>} { creadas, actualizadas, resueltas, en_enfriamiento }
+ */
+async function sincronizarAlertas(condiciones, ahora = new Date()) {
+  const resultado = { creadas: 0, actualizadas: 0, resueltas: 0, en_enfriamiento: 0 };
+
+  const abiertas = await Alerta.findAll({ where: { estado: { [Op.in]: ESTADOS_SIN_RESOLVER } } });
+  const porClave = new Map(abiertas.map(alerta => [clave(alerta), alerta]));
+  const enEnfriamiento = await resueltasEnEnfriamiento(condiciones, ahora);
+
+  for (const { enfriamiento_minutos: enfriamiento, ...condicion } of condiciones) {
+    const existente = porClave.get(clave(condicion));
+
+    if (existente) {
+      porClave.delete(clave(condicion));
+      const escalada = ORDEN_NIVEL[condicion.nivel] > ORDEN_NIVEL[existente.nivel];
+      await existente.update({
+        nivel: condicion.nivel,
+        mensaje: condicion.mensaje,
+        detalle: condicion.detalle,
+        regla_id: condicion.regla_id || null,
+        ultima_deteccion: ahora
+      });
+      if (escalada) await encolarNotificaciones(existente, 'ESCALADA');
+      resultado.actualizadas++;
+      continue;
+    }
+
+    const resuelta = enEnfriamiento.get(clave(condicion));
+    if (enfriamiento && resuelta && ahora - resuelta < enfriamiento * 60 * 1000) {
+      resultado.en_enfriamiento++;
+      continue;
+    }
+
+    try {
+      const alerta = await Alerta.create({
+        ...condicion,
+        estado: 'ABIERTA',
+        primera_deteccion: ahora,
+        ultima_deteccion: ahora
+      });
+      resultado.creadas++;
+      await encolarNotificaciones(alerta, 'ABIERTA');
+    } catch (error) {
+      // Otra instancia la creó entre la lectura y el alta
+      if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+    }
+  }
+
+  // Las que quedaron sin condición vigente se resuelven solas
+  for (const alerta of porClave.values()) {
+    await alerta.update({ estado: 'RESUELTA', resolucion: 'AUTOMATICA', resuelta_en: ahora });
+    await AlertaNota.create({
+      alerta_id: alerta.id,
+      texto: 'Resuelta automáticamente: la condición ya no se cumple'
+    });
+    resultado.resueltas++;
+  }
+
+  return resultado;
+}
+
+/**
+ * Detecta las condiciones vigentes y actualiza la tabla de alertas
+ *
+ * @async
+ * @function evaluarAlertas
+ * @returns {Promise<Object>} { creadas, actualizadas, resueltas, en_enfriamiento }
+ */
+async function evaluarAlertas() {
+  return sincronizarAlertas(await detectarCondiciones());
+}
+
+async function procesarAlertas() {
+  if (ocupado) {
+    // Un cambio llegó durante la evaluación: evaluar de nuevo al terminar
+    repetir = true;
+    return;
+  }
+  ocupado = true;
+
+  try {
+    await evaluarAlertas();
+  } catch (error) {
+    console.error('Error al evaluar alertas:', error);
+  } finally {
+    ocupado = false;
+    if (repetir) {
+      repetir = false;
+      programarEvaluacion();
+    }
+  }
+}
+
+// Evalúa poco después de un cambio; varios cambios seguidos disparan una sola evaluación
+function programarEvaluacion() {
+  if (pendiente) return;
+  pendiente = setTimeout(() => {
+    pendiente = null;
+    procesarAlertas();
+  }, ESPERA_EVENTO_MS);
+}
+
+/**
+ * Pide una evaluación pronto (p. ej. tras cambiar una regla), si esta instancia evalúa alertas
+ *
+ * @function solicitarEvaluacionAlertas
+ */
+function solicitarEvaluacionAlertas() {
+  if (temporizador) programarEvaluacion();
+}
+
+/**
+ * Inicia la evaluación periódica de alertas y la que sigue a cada cambio de la red
+ *
+ * @function iniciarEvaluacionAlertas
+ * @returns {boolean} true si quedó activa en esta instancia
+ */
+function iniciarEvaluacionAlertas() {
+  if (process.env.ALERTAS_ACTIVAS === 'false' || temporizador) return false;
+
+  suscribirEventos((evento) => {
+    if (evento.tipo !== TIPOS_EVENTO.ALERTA) programarEvaluacion();
+  });
+  temporizador = setInterval(procesarAlertas, INTERVALO_MS);
+  procesarAlertas();
+  return true;
+}
+
+/**
+ * Ordena alertas de mayor a menor nivel y, dentro del nivel, las más recientes primero
+ *
+ * @function compararAlertas
+ */
+const compararAlertas = (a, b) =>
+  ORDEN_NIVEL[b.nivel] - ORDEN_NIVEL[a.nivel] || new Date(b.primera_deteccion) - new Date(a.primera_deteccion);
+
+module.exports = {
+  ESTADOS_SIN_RESOLVER,
+  detectarCondiciones,
+  sincronizarAlertas,
+  evaluarAlertas,
+  compararAlertas,
+  solicitarEvaluacionAlertas,
+  iniciarEvaluacionAlertas
+};
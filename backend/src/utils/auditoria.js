@@ -7,10 +7,11 @@ const Auditoria = require('../models/Auditoria');
  * @function registrarAuditoria
  * @param {string} tabla - Nombre de la tabla auditada
  * @param {string|number} registroId - ID del registro afectado
- * @param {string} accion - Tipo de acción: 'CREATE', 'UPDATE', 'DELETE'
+ * @param {string} accion - Tipo de acción: 'CREATE', 'UPDATE', 'DELETE', 'LOGIN', 'BLOQUEO', 'DESBLOQUEO'
  * @param {Object|null} datosAnteriores - Datos antes del cambio (para UPDATE/DELETE)
  * @param {Object|null} datosNuevos - Datos después del cambio (para CREATE/UPDATE)
  * @param {string|number} cambiadoPor - ID del usuario que realizó el cambio
+ * @param {string} [origen] - Proceso automático que hizo el cambio (p. ej. 'COBRANZA')
  * 
  * @returns {Promise<void>} No retorna valor, registra silenciosamente
  * 
@@ -39,14 +40,16 @@ const Auditoria = require('../models/Auditoria');
  * - Registra todas las operaciones críticas del sistema
  * - Serializa objetos complejos como JSON
  * - No lanza errores para no afectar operaciones principales
- * - Omite registro si no hay usuario (operaciones del sistema)
+ * - Omite registro si no hay usuario ni origen (operaciones internas del sistema)
+ * - Un proceso automático (cobranza) se registra con su origen y sin usuario, o con el usuario
+ *   cuya acción lo disparó
  * - Esencial para compliance y debugging
  */
 
-async function registrarAuditoria(tabla, registroId, accion, datosAnteriores, datosNuevos, cambiadoPor) {
+async function registrarAuditoria(tabla, registroId, accion, datosAnteriores, datosNuevos, cambiadoPor, origen = null) {
   try {
-    // No auditar si no hay usuario (operaciones del sistema)
-    if (!cambiadoPor) {
+    // No auditar si no hay usuario ni proceso que lo identifique (operaciones del sistema)
+    if (!cambiadoPor && !origen) {
       return;
     }
 
@@ -56,7 +59,8 @@ async function registrarAuditoria(tabla, registroId, accion, datosAnteriores, da
       accion,
       datos_anteriores: datosAnteriores ? JSON.stringify(datosAnteriores) : null,
       datos_nuevos: datosNuevos ? JSON.stringify(datosNuevos) : null,
-      cambiado_por: cambiadoPor,
+      cambiado_por: cambiadoPor || null,
+      origen,
       fecha: new Date()
     });
   } catch (error) {
@@ -83,9 +87,9 @@ async function registrarAuditoria(tabla, registroId, accion, datosAnteriores, da
  * 
  * @description
  * - Agrega hooks afterCreate, afterUpdate, afterDestroy
- * - Captura automáticamente userId de options o transaction
+ * - Captura automáticamente userId y origen de options o transaction
  * - Detecta cambios específicos en actualizaciones
- * - Solo audita operaciones con usuario identificado
+ * - Solo audita operaciones con usuario o proceso de origen identificado
  * - Configuración one-time por modelo
  * - Logging detallado para debugging
  */
@@ -94,15 +98,17 @@ function configurarAuditoriaParaModelo(modelo, nombreTabla) {
   // Hook después de crear
   modelo.addHook('afterCreate', async (instancia, options) => {
     const usuarioId = options.userId || options.transaction?.userId;
+    const origen = options.origen || options.transaction?.origen;
     console.log(`[AUDITORIA] CREATE en ${nombreTabla}, userId:`, usuarioId);
-    if (usuarioId) {
+    if (usuarioId || origen) {
       await registrarAuditoria(
         nombreTabla,
         instancia.id,
         'CREATE',
         null,
         instancia.toJSON(),
-        usuarioId
+        usuarioId,
+        origen
       );
     }
   });
@@ -110,8 +116,9 @@ function configurarAuditoriaParaModelo(modelo, nombreTabla) {
   // Hook después de actualizar
   modelo.addHook('afterUpdate', async (instancia, options) => {
     const usuarioId = options.userId || options.transaction?.userId;
+    const origen = options.origen || options.transaction?.origen;
     console.log(`[AUDITORIA] UPDATE en ${nombreTabla}, userId:`, usuarioId);
-    if (usuarioId) {
+    if (usuarioId || origen) {
       // Obtener solo los campos que cambiaron
       const cambios = {};
       const datosAnteriores = {};
@@ -129,7 +136,8 @@ function configurarAuditoriaParaModelo(modelo, nombreTabla) {
           'UPDATE',
           datosAnteriores,
           cambios,
-          usuarioId
+          usuarioId,
+          origen
         );
       }
     }
@@ -138,14 +146,16 @@ function configurarAuditoriaParaModelo(modelo, nombreTabla) {
   // Hook después de eliminar
   modelo.addHook('afterDestroy', async (instancia, options) => {
     const usuarioId = options.userId || options.transaction?.userId;
-    if (usuarioId) {
+    const origen = options.origen || options.transaction?.origen;
+    if (usuarioId || origen) {
       await registrarAuditoria(
         nombreTabla,
         instancia.id,
         'DELETE',
         instancia.toJSON(),
         null,
-        usuarioId
+        usuarioId,
+        origen
       );
     }
   });
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { enviarCorreo } = require('./correo');
+
+/**
+ * Canales por los que salen las notificaciones de alertas
+ *
+ * @description
+ * - CORREO: usa enviarCorreo, con el transporte de CORREO_TRANSPORTE (consola, archivo, smtp)
+ * - WEBHOOK: POST JSON a la URL del canal, firmado con HMAC-SHA256 del secreto del canal; el adaptador
+ *   se elige con NOTIFICACIONES_WEBHOOK_ADAPTADOR (default: 'http'; 'consola' sólo lo imprime)
+ * - CHAT: un bot de mensajería; el adaptador se elige con NOTIFICACIONES_CHAT_ADAPTADOR
+ *   (default: 'consola'; 'telegram' usa TELEGRAM_BOT_TOKEN y el destino es el chat_id)
+ * - Cualquier adaptador se reemplaza con registrarAdaptador: así se conecta otro bot (Slack, WhatsApp)
+ *   o un doble local para pruebas sin salir a la red
+ *
+ * Firma del webhook: cabecera X-Firma = "sha256=" + HMAC-SHA256(secreto, `${X-Firma-Fecha}.${cuerpo}`),
+ * con X-Firma-Fecha en segundos Unix. El receptor recalcula la firma con el cuerpo tal como llegó y
+ * descarta fechas viejas para evitar reenvíos.
+ *
+ * @example
+ * // Bot propio: enviar(destino, mensaje) con mensaje = { asunto, texto, datos }
+ * registrarAdaptador('CHAT', 'slack', async (destino, mensaje) => {
+ *   await clienteSlack.chat.postMessage({ channel: destino, text: `${mensaje.asunto}\n${mensaje.texto}` });
+ * });
+ */
+
+const TIPOS_CANAL = ['CORREO', 'WEBHOOK', 'CHAT'];
+const TIMEOUT_MS = parseInt(process.env.NOTIFICACIONES_TIMEOUT_MS || '10000', 10);
+
+const adaptadores = { WEBHOOK: {}, CHAT: {} };
+
+const adaptadorConfigurado = {
+  WEBHOOK: () => process.env.NOTIFICACIONES_WEBHOOK_ADAPTADOR || 'http',
+  CHAT: () => process.env.NOTIFICACIONES_CHAT_ADAPTADOR || 'consola'
+};
+
+/**
+ * Registra (o reemplaza) un adaptador de WEBHOOK o CHAT
+ *
+ * @function registrarAdaptador
+ * @param {string} tipo - WEBHOOK o CHAT
+ * @param {string} nombre - Nombre con el que se selecciona en NOTIFICACIONES_<TIPO>_ADAPTADOR
+ * @param {Function} enviar - async (destino, mensaje, secreto) => void; debe lanzar un Error si no se entregó
+ */
+function registrarAdaptador(tipo, nombre, enviar) {
+  adaptadores[tipo][nombre] = enviar;
+}
+
+/**
+ * Firma el cuerpo de un webhook
+ *
+ * @function firmarWebhook
+ * @param {string} secreto - Secreto del canal
+ * @param {number} marca - Segundos Unix (cabecera X-Firma-Fecha)
+ * @param {string} cuerpo - JSON tal como se envía
+ * @returns {string} "sha256=<hex>"
+ */
+const firmarWebhook = (secreto, marca, cuerpo) =>
+  `sha256=${crypto.createHmac('sha256', secreto).update(`${marca}.${cuerpo}`).digest('hex')}`;
+
+/**
+ * Genera el secreto de un canal WEBHOOK
+ *
+ * @function generarSecreto
+ * @returns {string} 64 caracteres hexadecimales
+ */
+const generarSecreto = () => crypto.randomBytes(32).toString('hex');
+
+// Error con el código y el inicio de la respuesta, para el registro de envíos
+async function verificarRespuesta(respuesta, origen) {
+  if (respuesta.ok) return;
+  const cuerpo = (await respuesta.text().catch(() => '')).slice(0, 200);
+  throw new Error(`${origen} respondió ${respuesta.status}${cuerpo ? `: ${cuerpo}` : ''}`);
+}
+
+registrarAdaptador('WEBHOOK', 'http', async (destino, mensaje, secreto) => {
+  const cuerpo = JSON.stringify(mensaje.datos);
+  const marca = Math.floor(Date.now() / 1000);
+
+  const respuesta = await fetch(destino, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'GestionNAPs-Webhooks',
+      'X-Firma': firmarWebhook(secreto, marca, cuerpo),
+      'X-Firma-Fecha': String(marca),
+      'X-Evento': mensaje.datos.evento,
+      'X-Notificacion-Id': mensaje.datos.id
+    },
+    body: cuerpo,
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  await verificarRespuesta(respuesta, 'El webhook');
+});
+
+registrarAdaptador('WEBHOOK', 'consola', async (destino, mensaje) => {
+  console.log(`[WEBHOOK] POST ${destino}\n${JSON.stringify(mensaje.datos)}`);
+});
+
+registrarAdaptador('CHAT', 'consola', async (destino, mensaje) => {
+  console.log(`[CHAT] Para: ${destino}\n${mensaje.asunto}\n${mensaje.texto}`);
+});
+
+registrarAdaptador('CHAT', 'telegram', async (destino, mensaje) => {
+  if (!process.env.TELEGRAM_BOT_TOKEN) {
+    throw new Error('Falta TELEGRAM_BOT_TOKEN');
+  }
+
+  const respuesta = await fetch(`https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ chat_id: destino, text: `${mensaje.asunto}\n\n${mensaje.texto}` }),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  await verificarRespuesta(respuesta, 'Telegram');
+});
+
+/**
+ * Envía un mensaje por un canal
+ *
+ * @async
+ * @function enviarPorCanal
+ * @param {string} tipo - CORREO, WEBHOOK o CHAT
+ * @param {string} destino - Correo, URL o ID del chat
+ * @param {Object} mensaje
+ * @param {string} mensaje.asunto - Primera línea (asunto del correo)
+ * @param {string} mensaje.texto - Cuerpo en texto plano
+ * @param {Object} mensaje.datos - Contenido estructurado (cuerpo del webhook)
+ * @param {string} [secreto] - Secreto del canal (WEBHOOK)
+ *
+ * @throws {Error} Si el adaptador configurado no está registrado o el envío falla
+ */
+async function enviarPorCanal(tipo, destino, mensaje, secreto) {
+  if (tipo === 'CORREO') {
+    await enviarCorreo({ para: destino, asunto: mensaje.asunto, texto: mensaje.texto });
+    return;
+  }
+
+  const nombre = adaptadorConfigurado[tipo]?.();
+  const enviar = nombre && adaptadores[tipo][nombre];
+  if (!enviar) {
+    throw new Error(`Adaptador de ${tipo} no registrado: ${nombre}`);
+  }
+
+  await enviar(destino, mensaje, secreto);
+}
+
+module.exports = {
+  TIPOS_CANAL,
+  registrarAdaptador,
+  firmarWebhook,
+  generarSecreto,
+  enviarPorCanal
+};
@@ -0,0 +1,421 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, Factura, Conexion, Cliente, Plan, Puerto, NAP, Zona, AccionCobranza } = require('../models');
+const { fechaISOLocal } = require('./fechas');
+const { redondear, sumarDias } = require('./facturacion');
+const { actualizarDatosConexion } = require('./operacionesPuerto');
+const { filtroPorPuerto } = require('./zonas');
+const { enviarCorreo } = require('./correo');
+
+/**
+ * Cobranza: recordatorios, suspensión por mora y reactivación al pagar (acciones_cobranza)
+ *
+ * @description
+ * - Recordatorios: por cada factura impaga se envía un correo al cliente en los días
+ *   COBRANZA_RECORDATORIOS (default: "-3,1,7"), contados desde fecha_vencimiento (negativo: antes).
+ *   Va sólo el último paso alcanzado, una vez por factura y paso aunque corran varias instancias
+ * - Mora: un cliente está en mora cuando lo impago de sus facturas vencidas hace más de
+ *   COBRANZA_DIAS_GRACIA días (default: 10) supera COBRANZA_MONTO_MINIMO (default: 0) en alguna moneda
+ * - Suspensión: las conexiones ACTIVAS de un cliente en mora pasan a SUSPENDIDA con la marca
+ *   suspension_automatica, por el mismo camino que la edición a mano (actualizarDatosConexion)
+ * - Reactivación: una conexión con esa marca vuelve a ACTIVA cuando el cliente deja de estar en mora,
+ *   en la pasada diaria o enseguida de registrar un pago o anular una factura (revisarCliente).
+ *   Una conexión suspendida a mano no se reactiva sola
+ * - Cada cambio queda en auditoría con origen 'COBRANZA' (y el usuario del pago si lo disparó un pago)
+ *   y en acciones_cobranza, de donde sale el reporte diario de cortes y reconexiones
+ * - La facturación lee esos cambios de cambios_estado_conexion: la mensualidad se cobra hasta el día
+ *   anterior a la suspensión y de nuevo desde el día de la reactivación
+ * - Una conexión reactivada a mano con la deuda todavía vencida se vuelve a suspender en la próxima pasada
+ * - Cada instancia con COBRANZA_ACTIVA distinto de 'false' revisa cada hora si ya pasó COBRANZA_HORA
+ *   (default: 8) y, si es así, hace la pasada del día; la reactivación por pago corre en todas
+ */
+
+const ORIGEN = 'COBRANZA';
+const DIAS_GRACIA = parseInt(process.env.COBRANZA_DIAS_GRACIA || '10', 10);
+const MONTO_MINIMO = Number(process.env.COBRANZA_MONTO_MINIMO || '0');
+const HORA = parseInt(process.env.COBRANZA_HORA || '8', 10);
+const PASOS_RECORDATORIO = (process.env.COBRANZA_RECORDATORIOS ?? '-3,1,7')
+  .split(',')
+  .map(paso => paso.trim())
+  .filter(Boolean)
+  .map(Number)
+  .filter(Number.isInteger)
+  .sort((a, b) => a - b);
+const INTERVALO_MS = 60 * 60 * 1000;
+
+let temporizador = null;
+let ocupado = false;
+let ultimoDia = null;
+
+// 'AAAA-MM-DD' → 'DD/MM/AAAA'
+const fechaLegible = (iso) => iso.split('-').reverse().join('/');
+
+const textoDeuda = (deuda) => deuda.map(d => `${d.monto.toFixed(2)} ${d.moneda}`).join(', ');
+
+/**
+ * Clientes en mora a una fecha
+ *
+ * @async
+ * @function clientesMorosos
+ * @param {Object} [opciones]
+ * @param {string} [opciones.hoy] - "AAAA-MM-DD" (default: hoy, hora local)
+ * @param {string} [opciones.clienteId] - Sólo este cliente
+ * @returns {Promise<Map>} cliente_id → { deuda: [{ moneda, monto }], vencida_desde }
+ *
+ * @description
+ * - Cuenta lo impago de las facturas cuyo vencimiento más los días de gracia ya pasó
+ * - Un cliente entra si en alguna moneda esa deuda supera COBRANZA_MONTO_MINIMO
+ */
+async function clientesMorosos({ hoy = fechaISOLocal(new Date()), clienteId } = {}) {
+  const facturas = await Factura.findAll({
+    where: {
+      ...(clienteId && { cliente_id: clienteId }),
+      estado: { [Op.in]: ['PENDIENTE', 'PARCIAL'] },
+      fecha_vencimiento: { [Op.lt]: sumarDias(hoy, -DIAS_GRACIA) }
+    },
+    attributes: ['cliente_id', 'moneda', 'total', 'pagado', 'fecha_vencimiento'],
+    raw: true
+  });
+
+  // cliente_id → { monedas: Map(moneda → monto), vencida_desde }
+  const deudas = new Map();
+  for (const factura of facturas) {
+    if (!deudas.has(factura.cliente_id)) {
+      deudas.set(factura.cliente_id, { monedas: new Map(), vencida_desde: factura.fecha_vencimiento });
+    }
+    const deuda = deudas.get(factura.cliente_id);
+    const saldo = Number(factura.total) - Number(factura.pagado);
+    deuda.monedas.set(factura.moneda, (deuda.monedas.get(factura.moneda) || 0) + saldo);
+    if (factura.fecha_vencimiento < deuda.vencida_desde) deuda.vencida_desde = factura.fecha_vencimiento;
+  }
+
+  const morosos = new Map();
+  for (const [id, { monedas, vencida_desde }] of deudas) {
+    const deuda = [...monedas].map(([moneda, monto]) => ({ moneda, monto: redondear(monto) }));
+    if (deuda.some(d => d.monto > MONTO_MINIMO)) morosos.set(id, { deuda, vencida_desde });
+  }
+  return morosos;
+}
+
+// Lo que necesita un técnico para ubicar la conexión en campo
+const DETALLE_CONEXION = [
+  { model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido', 'ci', 'telefono', 'direccion'] },
+  { model: Plan, as: 'plan', attributes: ['nombre', 'velocidad_mbps'] },
+  {
+    model: Puerto,
+    as: 'puerto',
+    attributes: ['id', 'numero'],
+    include: [{
+      model: NAP,
+      as: 'nap',
+      attributes: ['id', 'codigo', 'ubicacion'],
+      include: [{ model: Zona, as: 'zona', attributes: ['nombre'] }]
+    }]
+  }
+];
+
+/**
+ * Conexiones que la cobranza tiene que suspender o reactivar
+ *
+ * @async
+ * @function conexionesPendientes
+ * @param {Object} [opciones]
+ * @param {string} [opciones.hoy] - "AAAA-MM-DD" (default: hoy, hora local)
+ * @param {string} [opciones.clienteId] - Sólo este cliente
+ * @param {string[]|null} [opciones.alcance] - Zonas (obtenerAlcanceZonas); null: todas
+ * @returns {Promise<Object>} { suspender: [{ conexion, mora }], reactivar: [{ conexion }] }
+ *
+ * @description
+ * - Las conexiones llevan cliente, plan y puerto con su NAP y zona, para el reporte de cortes
+ */
+async function conexionesPendientes({ hoy = fechaISOLocal(new Date()), clienteId, alcance = null } = {}) {
+  const morosos = await clientesMorosos({ hoy, clienteId });
+
+  const where = { ...(clienteId && { cliente_id: clienteId }), ...filtroPorPuerto(alcance) };
+
+  const [activas, suspendidas] = await Promise.all([
+    morosos.size
+      ? Conexion.findAll({
+        where: { ...where, estado: 'ACTIVA', cliente_id: { [Op.in]: [...morosos.keys()] } },
+        include: DETALLE_CONEXION
+      })
+      : [],
+    Conexion.findAll({ where: { ...where, estado: 'SUSPENDIDA', suspension_automatica: true }, include: DETALLE_CONEXION })
+  ]);
+
+  return {
+    suspender: activas.map(conexion => ({ conexion, mora: morosos.get(conexion.cliente_id) })),
+    reactivar: suspendidas.filter(conexion => !morosos.has(conexion.cliente_id)).map(conexion => ({ conexion }))
+  };
+}
+
+/**
+ * Suspensiones y reactivaciones que hizo la cobranza en un día
+ *
+ * @async
+ * @function accionesDelDia
+ * @param {Object} [opciones]
+ * @param {string} [opciones.hoy] - "AAAA-MM-DD" (default: hoy, hora local)
+ * @param {string[]|null} [opciones.alcance] - Zonas (obtenerAlcanceZonas); null: todas
+ * @returns {Promise<Object[]>} AccionCobranza con su conexión (mismo detalle que conexionesPendientes)
+ */
+async function accionesDelDia({ hoy = fechaISOLocal(new Date()), alcance = null } = {}) {
+  return AccionCobranza.findAll({
+    where: { fecha: hoy, tipo: { [Op.in]: ['SUSPENSION', 'REACTIVACION'] } },
+    include: [{
+      model: Conexion,
+      as: 'conexion',
+      required: true,
+      where: filtroPorPuerto(alcance),
+      include: DETALLE_CONEXION
+    }],
+    order: [['createdAt', 'ASC']]
+  });
+}
+
+// Suspende o reactiva una conexión en su propia transacción; false si ya no corresponde
+// (otra instancia o un usuario la cambió entre la consulta y el bloqueo)
+async function cambiarConexion(conexionId, tipo, mora, hoy, usuarioId) {
+  const [desde, hacia] = tipo === 'SUSPENSION' ? ['ACTIVA', 'SUSPENDIDA'] : ['SUSPENDIDA', 'ACTIVA'];
+
+  return sequelize.transaction(async (transaction) => {
+    transaction.userId = usuarioId;
+    transaction.origen = ORIGEN;
+
+    const conexion = await Conexion.findByPk(conexionId, {
+      include: [{ model: Puerto, as: 'puerto', required: true }],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!conexion || conexion.estado !== desde) return false;
+    if (tipo === 'REACTIVACION' && !conexion.suspension_automatica) return false;
+
+    await actualizarDatosConexion(conexion, { estado: hacia }, transaction, { porMora: tipo === 'SUSPENSION' });
+
+    await AccionCobranza.create({
+      cliente_id: conexion.cliente_id,
+      conexion_id: conexion.id,
+      tipo,
+      fecha: hoy,
+      deuda: mora?.deuda[0]?.monto ?? null,
+      moneda: mora?.deuda[0]?.moneda ?? null,
+      detalle: mora ? `Deuda vencida: ${textoDeuda(mora.deuda)} (desde ${mora.vencida_desde})` : null
+    }, { transaction });
+
+    return true;
+  });
+}
+
+/**
+ * Suspende las conexiones de los clientes en mora y reactiva las de los que se pusieron al día
+ *
+ * @async
+ * @function revisarConexiones
+ * @param {Object} [opciones]
+ * @param {string} [opciones.hoy] - "AAAA-MM-DD" (default: hoy, hora local)
+ * @param {string} [opciones.clienteId] - Sólo este cliente
+ * @param {string} [opciones.usuarioId] - Usuario cuya acción disparó la revisión (auditoría)
+ * @param {boolean} [opciones.suspender=true] - false: sólo reactivar
+ * @returns {Promise<Object>} { suspendidas, reactivadas }
+ *
+ * @description
+ * - Cada conexión va en su propia transacción: un error con una no frena las demás
+ */
+async function revisarConexiones({ hoy = fechaISOLocal(new Date()), clienteId, usuarioId, suspender: conSuspension = true } = {}) {
+  const { suspender, reactivar } = await conexionesPendientes({ hoy, clienteId });
+  const resultado = { suspendidas: 0, reactivadas: 0 };
+
+  const cambios = [
+    ...(conSuspension ? suspender : []).map(({ conexion, mora }) => ({ conexion, mora, tipo: 'SUSPENSION', clave: 'suspendidas' })),
+    ...reactivar.map(({ conexion }) => ({ conexion, mora: null, tipo: 'REACTIVACION', clave: 'reactivadas' }))
+  ];
+
+  for (const { conexion, mora, tipo, clave } of cambios) {
+    try {
+      if (await cambiarConexion(conexion.id, tipo, mora, hoy, usuarioId)) resultado[clave]++;
+    } catch (error) {
+      console.error(`Error en cobranza (${tipo}) de la conexión ${conexion.id}:`, error);
+    }
+  }
+
+  return resultado;
+}
+
+const mensajeRecordatorio = (factura, saldo, hoy) => {
+  const corte = sumarDias(factura.fecha_vencimiento, DIAS_GRACIA);
+  const nombre = `${factura.cliente.nombre} ${factura.cliente.apellido || ''}`.trim();
+
+  let plazo;
+  if (factura.fecha_vencimiento >= hoy) {
+    plazo = `Vence el ${fechaLegible(factura.fecha_vencimiento)}.`;
+  } else if (corte >= hoy) {
+    plazo = `Venció el ${fechaLegible(factura.fecha_vencimiento)}. Para evitar la suspensión del servicio, regularice el pago hasta el ${fechaLegible(corte)}.`;
+  } else {
+    plazo = `El plazo para pagarla venció el ${fechaLegible(corte)}: el servicio queda suspendido hasta que se registre el pago.`;
+  }
+
+  return {
+    para: factura.cliente.correo,
+    asunto: `Recordatorio de pago - Factura N° ${factura.numero}`,
+    texto: [
+      `Estimado/a ${nombre}:`,
+      '',
+      `Le recordamos que su factura N° ${factura.numero} del periodo ${factura.periodo} tiene un saldo pendiente de ${saldo.toFixed(2)} ${factura.moneda}.`,
+      plazo,
+      '',
+      'Si ya realizó el pago, no tome en cuenta este mensaje.'
+    ].join('\n')
+  };
+};
+
+/**
+ * Envía los recordatorios de pago del día
+ *
+ * @async
+ * @function enviarRecordatorios
+ * @param {string} [hoy] - "AAAA-MM-DD" (default: hoy, hora local)
+ * @returns {Promise<number>} Recordatorios enviados
+ *
+ * @description
+ * - El recordatorio se anota antes de enviarlo (índice único por factura y paso): si dos
+ *   instancias lo intentan a la vez, una sola lo envía
+ * - Un cliente sin correo o un envío fallido queda anotado con exito = false y no se reintenta
+ */
+async function enviarRecordatorios(hoy = fechaISOLocal(new Date())) {
+  if (!PASOS_RECORDATORIO.length) return 0;
+
+  const facturas = await Factura.findAll({
+    where: {
+      estado: { [Op.in]: ['PENDIENTE', 'PARCIAL'] },
+      fecha_vencimiento: { [Op.lte]: sumarDias(hoy, -PASOS_RECORDATORIO[0]) }
+    },
+    include: [{ model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido', 'correo'] }],
+    order: [['fecha_vencimiento', 'ASC'], ['numero', 'ASC']]
+  });
+
+  let enviados = 0;
+  for (const factura of facturas) {
+    // Sólo el último paso alcanzado: los que se saltaron (proceso detenido) no se mandan tarde
+    const paso = PASOS_RECORDATORIO.filter(p => sumarDias(factura.fecha_vencimiento, p) <= hoy).pop();
+    if (paso === undefined || !factura.cliente) continue;
+
+    const saldo = redondear(Number(factura.total) - Number(factura.pagado));
+    let accion;
+    try {
+      accion = await AccionCobranza.create({
+        cliente_id: factura.cliente_id,
+        factura_id: factura.id,
+        tipo: 'RECORDATORIO',
+        paso,
+        fecha: hoy,
+        deuda: saldo,
+        moneda: factura.moneda,
+        destino: factura.cliente.correo,
+        exito: Boolean(factura.cliente.correo),
+        detalle: factura.cliente.correo ? null : 'El cliente no tiene correo'
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) continue;
+      throw error;
+    }
+    if (!factura.cliente.correo) continue;
+
+    try {
+      await enviarCorreo(mensajeRecordatorio(factura, saldo, hoy));
+      enviados++;
+    } catch (error) {
+      console.error(`Error al enviar el recordatorio de la factura ${factura.numero}:`, error.message);
+      await accion.update({ exito: false, detalle: error.message });
+    }
+  }
+
+  return enviados;
+}
+
+/**
+ * Pasada completa de cobranza: recordatorios, suspensiones y reactivaciones
+ *
+ * @async
+ * @function ejecutarCobranza
+ * @param {string} [hoy] - "AAAA-MM-DD" (default: hoy, hora local)
+ * @returns {Promise<Object>} { fecha, recordatorios, suspendidas, reactivadas }
+ */
+async function ejecutarCobranza(hoy = fechaISOLocal(new Date())) {
+  const recordatorios = await enviarRecordatorios(hoy);
+  const { suspendidas, reactivadas } = await revisarConexiones({ hoy });
+  return { fecha: hoy, recordatorios, suspendidas, reactivadas };
+}
+
+/**
+ * Reactiva las conexiones de un cliente apenas baja su deuda (pago registrado, factura anulada)
+ *
+ * @async
+ * @function revisarCliente
+ * @param {string} clienteId - ID del cliente
+ * @param {string} [usuarioId] - Usuario que hizo el cambio (auditoría)
+ * @returns {Promise<Object|null>} { suspendidas, reactivadas }, o null si falló
+ *
+ * @description
+ * - Se llama después de confirmar la transacción del pago; no lanza errores
+ * - Sólo reactiva: suspender queda para la pasada diaria (un pago anulado no corta en el acto),
+ *   así también funciona en las instancias con COBRANZA_ACTIVA=false
+ */
+async function revisarCliente(clienteId, usuarioId) {
+  try {
+    return await revisarConexiones({ clienteId, usuarioId, suspender: false });
+  } catch (error) {
+    console.error(`Error al revisar la cobranza del cliente ${clienteId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Una pasada del proceso diario: la hace una vez por día, desde COBRANZA_HORA
+ *
+ * @async
+ * @function procesarCobranza
+ * @returns {Promise<void>}
+ */
+async function procesarCobranza() {
+  const ahora = new Date();
+  const hoy = fechaISOLocal(ahora);
+  if (ocupado || ultimoDia === hoy || ahora.getHours() < HORA) return;
+  ocupado = true;
+
+  try {
+    const { recordatorios, suspendidas, reactivadas } = await ejecutarCobranza(hoy);
+    ultimoDia = hoy;
+    if (recordatorios || suspendidas || reactivadas) {
+      console.log(`💸 Cobranza ${hoy}: ${recordatorios} recordatorios, ${suspendidas} conexiones suspendidas, ${reactivadas} reactivadas`);
+    }
+  } catch (error) {
+    console.error('Error en el proceso de cobranza:', error);
+  } finally {
+    ocupado = false;
+  }
+}
+
+/**
+ * Arranca el proceso diario de cobranza en este proceso
+ *
+ * @function iniciarCobranza
+ * @returns {boolean} true si quedó activo
+ */
+function iniciarCobranza() {
+  if (process.env.COBRANZA_ACTIVA === 'false' || temporizador) return false;
+
+  temporizador = setInterval(procesarCobranza, INTERVALO_MS);
+  procesarCobranza();
+  return true;
+}
+
+module.exports = {
+  DIAS_GRACIA,
+  clientesMorosos,
+  conexionesPendientes,
+  accionesDelDia,
+  enviarRecordatorios,
+  ejecutarCobranza,
+  revisarCliente,
+  procesarCobranza,
+  iniciarCobranza
+};
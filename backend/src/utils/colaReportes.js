@@ -0,0 +1,245 @@
+const { Op } = require('sequelize');
+const { sequelize, Reporte, Usuario } = require('../models');
+
+/**
+ * Cola de reportes en segundo plano sobre la tabla reportes
+ *
+ * @description
+ * - Sin broker externo: cada instancia del servidor con REPORTES_COLA_ACTIVA distinta de 'false'
+ *   revisa la tabla cada REPORTES_COLA_INTERVALO_MS (default: 5000) y toma los PENDIENTE de a uno
+ *   con FOR UPDATE SKIP LOCKED, así varias instancias no generan el mismo reporte
+ * - El reporte se ejecuta con el mismo handler de la ruta, con los parámetros y el usuario del pedido
+ *   (sus permisos y zonas al momento de generarlo), y el archivo queda en reportes.contenido
+ * - Un reporte PROCESANDO por más de REPORTES_COLA_VENCIMIENTO_MIN (default: 15) se da por perdido
+ *   (la instancia se cayó) y vuelve a la cola hasta MAX_INTENTOS
+ * - Los reportes se borran a los REPORTES_RETENCION_DIAS (default: 7)
+ */
+
+const INTERVALO_MS = parseInt(process.env.REPORTES_COLA_INTERVALO_MS || '5000', 10);
+const VENCIMIENTO_MIN = parseInt(process.env.REPORTES_COLA_VENCIMIENTO_MIN || '15', 10);
+const RETENCION_DIAS = parseInt(process.env.REPORTES_RETENCION_DIAS || '7', 10);
+const MAX_INTENTOS = 3;
+const MS_POR_HORA = 60 * 60 * 1000;
+
+// tipo → handler (req, res), registrados con iniciarColaReportes
+let reportes = {};
+let temporizador = null;
+let ocupado = false;
+let ultimaLimpieza = 0;
+
+/**
+ * Respuesta Express mínima que guarda lo que el handler envía
+ *
+ * @function capturarRespuesta
+ * @param {Function} alRenderizar - Se llama cuando el reporte ya tiene los datos y empieza a generar el archivo
+ * @returns {Object} { res, respuesta } con respuesta = { status, cabeceras, cuerpo, archivo } que el handler va llenando
+ */
+const capturarRespuesta = (alRenderizar) => {
+  const respuesta = { status: 200, cabeceras: {}, cuerpo: null, archivo: null };
+
+  const res = {
+    locals: { alRenderizar },
+    setHeader: (nombre, valor) => { respuesta.cabeceras[nombre.toLowerCase()] = valor; },
+    status: (codigo) => { respuesta.status = codigo; return res; },
+    json: (cuerpo) => { respuesta.cuerpo = cuerpo; },
+    end: (archivo) => { respuesta.archivo = archivo; }
+  };
+
+  return { res, respuesta };
+};
+
+// El nombre de archivo que puso enviarReporteEnFormato en Content-Disposition
+const nombreArchivo = (cabeceras, tipo) => {
+  const coincidencia = /filename=([^;]+)/.exec(cabeceras['content-disposition'] || '');
+  return coincidencia ? coincidencia[1].trim() : `reporte_${tipo.replace(/\//g, '_')}`;
+};
+
+/**
+ * Ejecuta un reporte registrado fuera de una petición HTTP y devuelve el archivo
+ *
+ * @async
+ * @function ejecutarReporte
+ * @param {Object} opciones
+ * @param {string} opciones.tipo - Ruta del reporte bajo /reportes (clave de reportesAsincronos)
+ * @param {Object} opciones.parametros - Query del reporte (sin formato)
+ * @param {string} opciones.formato - pdf, excel o csv
+ * @param {Object} opciones.usuario - Usuario con cuyos permisos y zonas se genera
+ * @param {Function} [opciones.alRenderizar] - Se llama al terminar la consulta, antes de generar el archivo
+ * @returns {Promise<Object>} { archivo, nombre, tipoContenido }
+ * @throws {Error} Con .status (400, 404, 500) si el reporte respondió con error o no generó archivo
+ */
+async function ejecutarReporte({ tipo, parametros, formato, usuario, alRenderizar = () => {} }) {
+  const handler = reportes[tipo];
+  if (!handler) {
+    throw Object.assign(new Error(`Tipo de reporte desconocido: ${tipo}`), { status: 400 });
+  }
+
+  const { res, respuesta } = capturarRespuesta(alRenderizar);
+  await handler({ query: { ...parametros, formato }, usuario }, res);
+  const { status, cabeceras, cuerpo, archivo } = respuesta;
+
+  if (status >= 400 || !archivo) {
+    const motivo = cuerpo?.message || `El reporte respondió con estado ${status}`;
+    throw Object.assign(new Error(motivo), { status: status >= 400 ? status : 500 });
+  }
+
+  return {
+    archivo,
+    nombre: nombreArchivo(cabeceras, tipo),
+    tipoContenido: cabeceras['content-type']
+  };
+}
+
+/**
+ * Toma el PENDIENTE más antiguo y lo marca PROCESANDO en una sola sentencia
+ *
+ * @async
+ * @function tomarSiguiente
+ * @returns {Promise<Object|null>} El reporte tomado, o null si la cola está vacía
+ */
+async function tomarSiguiente() {
+  const [filas] = await sequelize.query(`
+    UPDATE reportes
+    SET estado = 'PROCESANDO', progreso = 10, intentos = intentos + 1,
+        fecha_inicio = NOW(), "updatedAt" = NOW()
+    WHERE id = (
+      SELECT id FROM reportes
+      WHERE estado = 'PENDIENTE'
+      ORDER BY "createdAt"
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id
+  `);
+
+  if (!filas.length) return null;
+  return Reporte.findByPk(filas[0].id, { attributes: { exclude: ['contenido'] } });
+}
+
+/**
+ * Genera un reporte tomado de la cola y guarda el archivo o el error
+ *
+ * @async
+ * @function procesarReporte
+ * @param {Object} reporte - Reporte en estado PROCESANDO
+ * @returns {Promise<void>}
+ *
+ * @description
+ * - Un error 4xx del reporte (parámetros inválidos) es definitivo
+ * - Un 5xx o una excepción vuelve a la cola mientras queden intentos
+ */
+async function procesarReporte(reporte) {
+  try {
+    const usuario = await Usuario.findByPk(reporte.generado_por);
+    if (!usuario || !usuario.activo) {
+      return reporte.update({ estado: 'ERROR', error: 'El usuario que pidió el reporte ya no está activo', fecha_fin: new Date() });
+    }
+
+    const { archivo, nombre, tipoContenido } = await ejecutarReporte({
+      tipo: reporte.tipo,
+      parametros: reporte.parametros,
+      formato: reporte.formato,
+      usuario,
+      alRenderizar: () => reporte.update({ progreso: 60 })
+    });
+
+    await reporte.update({
+      estado: 'COMPLETADO',
+      progreso: 100,
+      error: null,
+      archivo: nombre,
+      tipo_contenido: tipoContenido,
+      tamano: archivo.length,
+      contenido: archivo,
+      fecha_fin: new Date()
+    });
+  } catch (error) {
+    const reintentar = (!error.status || error.status >= 500) && reporte.intentos < MAX_INTENTOS;
+    if (!error.status) {
+      console.error(`Error al generar el reporte ${reporte.id} en segundo plano:`, error);
+    }
+    await reporte.update(reintentar
+      ? { estado: 'PENDIENTE', progreso: 0, error: error.message }
+      : { estado: 'ERROR', error: error.message, fecha_fin: new Date() });
+  }
+}
+
+// Reportes de una instancia caída vuelven a la cola (o quedan en ERROR si no les quedan intentos)
+async function recuperarVencidos() {
+  const limite = new Date(Date.now() - VENCIMIENTO_MIN * 60 * 1000);
+  const vencidos = { estado: 'PROCESANDO', fecha_inicio: { [Op.lt]: limite } };
+
+  await Reporte.update(
+    { estado: 'PENDIENTE', progreso: 0 },
+    { where: { ...vencidos, intentos: { [Op.lt]: MAX_INTENTOS } } }
+  );
+  await Reporte.update(
+    { estado: 'ERROR', error: 'La generación se interrumpió demasiadas veces', fecha_fin: new Date() },
+    { where: { ...vencidos, intentos: { [Op.gte]: MAX_INTENTOS } } }
+  );
+}
+
+// Borra los reportes vencidos como mucho una vez por hora
+async function limpiarAntiguos() {
+  if (Date.now() - ultimaLimpieza < MS_POR_HORA) return;
+  ultimaLimpieza = Date.now();
+
+  const limite = new Date(Date.now() - RETENCION_DIAS * 24 * MS_POR_HORA);
+  await Reporte.destroy({ where: { createdAt: { [Op.lt]: limite } } });
+}
+
+/**
+ * Una pasada de la cola: recupera vencidos, limpia y genera todos los pendientes
+ *
+ * @async
+ * @function procesarCola
+ * @returns {Promise<void>}
+ */
+async function procesarCola() {
+  if (ocupado) return;
+  ocupado = true;
+
+  try {
+    await recuperarVencidos();
+    await limpiarAntiguos();
+
+    let reporte = await tomarSiguiente();
+    while (reporte) {
+      await procesarReporte(reporte);
+      reporte = await tomarSiguiente();
+    }
+  } catch (error) {
+    console.error('Error en la cola de reportes:', error);
+  } finally {
+    ocupado = false;
+  }
+}
+
+/**
+ * Registra los reportes ejecutables y arranca el worker de la cola en este proceso
+ *
+ * @function iniciarColaReportes
+ * @param {Object<string, Function>} handlers - tipo de reporte → handler Express (req, res)
+ * @returns {boolean} true si el worker quedó activo (los reportes quedan registrados igual,
+ * para ejecutarReporte)
+ */
+function iniciarColaReportes(handlers) {
+  reportes = handlers;
+  if (process.env.REPORTES_COLA_ACTIVA === 'false' || temporizador) return false;
+
+  temporizador = setInterval(procesarCola, INTERVALO_MS);
+  procesarCola();
+  return true;
+}
+
+// Revisa la cola ya mismo (al encolar), sin esperar al próximo intervalo
+function despertarColaReportes() {
+  if (temporizador) setImmediate(procesarCola);
+}
+
+module.exports = {
+  ejecutarReporte,
+  iniciarColaReportes,
+  despertarColaReportes,
+  procesarCola
+};
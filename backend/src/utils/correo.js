@@ -0,0 +1,220 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Envío de correos con transporte intercambiable
+ *
+ * @description
+ * - El transporte se elige con CORREO_TRANSPORTE (default: 'smtp' con NODE_ENV=production, si no 'consola')
+ * - 'consola': imprime el mensaje en el log, útil en desarrollo. Con NODE_ENV=production se rechaza:
+ *   dejaría en el log enlaces de restablecimiento de contraseña y otros datos de los mensajes
+ * - 'archivo': guarda cada mensaje como .eml en CORREO_DIRECTORIO (default: ./correos), adjuntos incluidos
+ * - 'smtp': envía por el servidor SMTP_HOST:SMTP_PUERTO (TLS directo con SMTP_SEGURO=true, si no
+ *   STARTTLS cuando el servidor lo ofrece), autenticando con SMTP_USUARIO y SMTP_CLAVE si se indican
+ * - Otro proveedor (API de terceros) o un doble para pruebas se agrega con registrarTransporte
+ *
+ * @example
+ * registrarTransporte('api', async (mensaje) => {
+ *   await clienteApi.enviar({ from: mensaje.de, to: mensaje.para, subject: mensaje.asunto, text: mensaje.texto, html: mensaje.html });
+ * });
+ */
+
+const REMITENTE = process.env.CORREO_REMITENTE || 'Gestion NAPs <no-responder@localhost>';
+
+const transportes = {};
+let clienteSmtp = null;
+
+const enProduccion = () => process.env.NODE_ENV === 'production';
+
+/**
+ * Transporte con el que se envían los correos
+ *
+ * @function transporteCorreo
+ * @returns {string} CORREO_TRANSPORTE, o el default según NODE_ENV
+ */
+const transporteCorreo = () => process.env.CORREO_TRANSPORTE || (enProduccion() ? 'smtp' : 'consola');
+
+/**
+ * Revisa la configuración de correo al iniciar el servidor
+ *
+ * @function verificarTransporteCorreo
+ * @returns {string|null} Advertencia para el log, o null si está bien
+ */
+function verificarTransporteCorreo() {
+  const nombre = transporteCorreo();
+
+  if (!transportes[nombre]) {
+    return `Transporte de correo no registrado: ${nombre}`;
+  }
+  if (nombre === 'consola' && enProduccion()) {
+    return 'CORREO_TRANSPORTE=consola no envía correos en producción: configure smtp u otro transporte';
+  }
+  return null;
+}
+
+// Texto que se intercala en el html de un mensaje (nombres, datos cargados por usuarios)
+const escaparHtml = (valor) => String(valor ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Cabeceras con acentos o eñes van codificadas (RFC 2047)
+const codificarCabecera = (valor) => /^[\x20-\x7e]*$/.test(valor)
+  ? valor
+  : `=?UTF-8?B?${Buffer.from(valor, 'utf8').toString('base64')}?=`;
+
+// Cuerpo del mensaje: texto plano, o texto + HTML como multipart/alternative
+const formatearCuerpo = (mensaje) => {
+  if (!mensaje.html) {
+    return ['Content-Type: text/plain; charset=utf-8', '', mensaje.texto];
+  }
+
+  const limite = `limite-${crypto.randomBytes(8).toString('hex')}`;
+  return [
+    `Content-Type: multipart/alternative; boundary="${limite}"`,
+    '',
+    `--${limite}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    mensaje.texto,
+    `--${limite}`,
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    mensaje.html,
+    `--${limite}--`
+  ];
+};
+
+const formatearEml = (mensaje) => {
+  const cabeceras = [
+    `From: ${mensaje.de}`,
+    `To: ${mensaje.para}`,
+    `Subject: ${codificarCabecera(mensaje.asunto)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (!mensaje.adjuntos?.length) {
+    return [...cabeceras, ...formatearCuerpo(mensaje)].join('\r\n');
+  }
+
+  // Con adjuntos: multipart/mixed con el cuerpo y cada archivo en base64 (líneas de 76)
+  const limite = `mixto-${crypto.randomBytes(8).toString('hex')}`;
+  const partes = mensaje.adjuntos.flatMap(adjunto => [
+    `--${limite}`,
+    `Content-Type: ${adjunto.tipo || 'application/octet-stream'}; name="${codificarCabecera(adjunto.nombre)}"`,
+    'Content-Transfer-Encoding: base64',
+    `Content-Disposition: attachment; filename="${codificarCabecera(adjunto.nombre)}"`,
+    '',
+    adjunto.contenido.toString('base64').replace(/.{76}/g, '$&\r\n')
+  ]);
+
+  return [
+    ...cabeceras,
+    `Content-Type: multipart/mixed; boundary="${limite}"`,
+    '',
+    `--${limite}`,
+    ...formatearCuerpo(mensaje),
+    ...partes,
+    `--${limite}--`
+  ].join('\r\n');
+};
+
+/**
+ * Registra (o reemplaza) un transporte de correo
+ *
+ * @function registrarTransporte
+ * @param {string} nombre - Nombre con el que se selecciona en CORREO_TRANSPORTE
+ * @param {Function} enviar - async (mensaje) => void; mensaje = { de, para, asunto, texto, html, adjuntos }
+ */
+function registrarTransporte(nombre, enviar) {
+  transportes[nombre] = enviar;
+}
+
+registrarTransporte('consola', async (mensaje) => {
+  const adjuntos = mensaje.adjuntos.map(adjunto => `${adjunto.nombre} (${adjunto.contenido.length} bytes)`).join(', ');
+  console.log(`[CORREO] Para: ${mensaje.para} | Asunto: ${mensaje.asunto}${adjuntos ? ` | Adjuntos: ${adjuntos}` : ''}\n${mensaje.texto}`);
+});
+
+registrarTransporte('archivo', async (mensaje) => {
+  const directorio = path.resolve(process.env.CORREO_DIRECTORIO || 'correos');
+  await fs.mkdir(directorio, { recursive: true });
+
+  const nombre = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.eml`;
+  await fs.writeFile(path.join(directorio, nombre), formatearEml(mensaje));
+});
+
+// Un solo cliente por proceso: nodemailer reutiliza las conexiones
+registrarTransporte('smtp', async (mensaje) => {
+  if (!clienteSmtp) {
+    const nodemailer = require('nodemailer');
+    clienteSmtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PUERTO || '587', 10),
+      secure: process.env.SMTP_SEGURO === 'true',
+      auth: process.env.SMTP_USUARIO
+        ? { user: process.env.SMTP_USUARIO, pass: process.env.SMTP_CLAVE }
+        : undefined,
+      pool: true
+    });
+  }
+
+  await clienteSmtp.sendMail({
+    from: mensaje.de,
+    to: mensaje.para,
+    subject: mensaje.asunto,
+    text: mensaje.texto,
+    html: mensaje.html,
+    attachments: mensaje.adjuntos.map(adjunto => ({
+      filename: adjunto.nombre,
+      contentType: adjunto.tipo,
+      content: adjunto.contenido
+    }))
+  });
+});
+
+/**
+ * Envía un correo con el transporte configurado
+ *
+ * @async
+ * @function enviarCorreo
+ * @param {Object} mensaje
+ * @param {string|string[]} mensaje.para - Destinatario(s)
+ * @param {string} mensaje.asunto - Asunto
+ * @param {string} mensaje.texto - Cuerpo en texto plano
+ * @param {string} [mensaje.html] - Cuerpo HTML opcional
+ * @param {Object[]} [mensaje.adjuntos] - Archivos { nombre, tipo, contenido: Buffer }
+ *
+ * @throws {Error} Si el transporte configurado no está registrado, es 'consola' en producción o falla el envío
+ */
+async function enviarCorreo({ para, asunto, texto, html, adjuntos = [] }) {
+  const nombre = transporteCorreo();
+  const transporte = transportes[nombre];
+
+  if (!transporte) {
+    throw new Error(`Transporte de correo no registrado: ${nombre}`);
+  }
+
+  if (nombre === 'consola' && enProduccion()) {
+    throw new Error('El transporte de correo "consola" está deshabilitado en producción');
+  }
+
+  await transporte({
+    de: REMITENTE,
+    para: Array.isArray(para) ? para.join(', ') : para,
+    asunto,
+    texto,
+    html,
+    adjuntos
+  });
+}
+
+module.exports = {
+  escaparHtml,
+  registrarTransporte,
+  transporteCorreo,
+  verificarTransporteCorreo,
+  enviarCorreo
+};
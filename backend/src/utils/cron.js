@@ -0,0 +1,126 @@
+/**
+ * Expresiones cron de 5 campos para programar tareas
+ *
+ * @description
+ * - "minuto hora día-del-mes mes día-de-la-semana", en hora local del servidor
+ * - Cada campo admite *, valores (5), rangos (1-5), listas (1,15) y pasos (*\/15, 8-18/2)
+ * - Día de la semana 0-7 (0 y 7 = domingo)
+ * - Como en cron, si se restringen día del mes y día de la semana basta con que coincida uno; un campo
+ *   que empieza con * (también *\/n) no cuenta como restringido y entonces deben coincidir ambos
+ *
+ * @example
+ * siguienteEjecucion('0 7 * * 1'); // próximo lunes a las 07:00
+ */
+
+const CAMPOS = [
+  { nombre: 'minuto', min: 0, max: 59 },
+  { nombre: 'hora', min: 0, max: 23 },
+  { nombre: 'día del mes', min: 1, max: 31 },
+  { nombre: 'mes', min: 1, max: 12 },
+  { nombre: 'día de la semana', min: 0, max: 7 }
+];
+
+// Sin coincidencia en este plazo la expresión no se cumple nunca (p. ej. 30 de febrero)
+const AÑOS_BUSQUEDA = 5;
+
+const parsearCampo = (texto, { nombre, min, max }) => {
+  const valores = new Set();
+
+  for (const parte of texto.split(',')) {
+    const coincidencia = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(parte);
+    if (!coincidencia) {
+      throw new Error(`Valor inválido para ${nombre}: "${parte}"`);
+    }
+
+    const desde = coincidencia[1] === '*' ? min : parseInt(coincidencia[2], 10);
+    const hasta = coincidencia[1] === '*' ? max
+      : coincidencia[3] !== undefined ? parseInt(coincidencia[3], 10)
+        : coincidencia[4] !== undefined ? max : desde;
+    const paso = coincidencia[4] !== undefined ? parseInt(coincidencia[4], 10) : 1;
+
+    if (desde < min || hasta > max || desde > hasta || paso < 1) {
+      throw new Error(`${nombre} fuera de rango (${min}-${max}): "${parte}"`);
+    }
+
+    for (let valor = desde; valor <= hasta; valor += paso) {
+      valores.add(valor);
+    }
+  }
+
+  return valores;
+};
+
+/**
+ * Interpreta una expresión cron
+ *
+ * @function parsearCron
+ * @param {string} expresion - Cinco campos separados por espacios
+ * @returns {Object} Conjuntos de valores por campo y si día del mes / de la semana están restringidos
+ * @throws {Error} Con el motivo, si la expresión no es válida
+ */
+function parsearCron(expresion) {
+  const campos = String(expresion || '').trim().split(/\s+/);
+  if (campos.length !== 5) {
+    throw new Error('La programación debe tener 5 campos: minuto hora día-del-mes mes día-de-la-semana');
+  }
+
+  const [minutos, horas, diasMes, meses, diasSemana] = campos.map((campo, i) => parsearCampo(campo, CAMPOS[i]));
+  if (diasSemana.has(7)) diasSemana.add(0);
+
+  return {
+    minutos,
+    horas,
+    diasMes,
+    meses,
+    diasSemana,
+    restringeDiaMes: !campos[2].startsWith('*'),
+    restringeDiaSemana: !campos[4].startsWith('*')
+  };
+}
+
+const coincideDia = (cron, fecha) => {
+  if (!cron.meses.has(fecha.getMonth() + 1)) return false;
+
+  const porMes = cron.diasMes.has(fecha.getDate());
+  const porSemana = cron.diasSemana.has(fecha.getDay());
+  if (cron.restringeDiaMes && cron.restringeDiaSemana) return porMes || porSemana;
+  return porMes && porSemana;
+};
+
+/**
+ * Próximo momento que cumple la expresión, estrictamente posterior a una fecha
+ *
+ * @function siguienteEjecucion
+ * @param {string|Object} expresion - Expresión cron o resultado de parsearCron
+ * @param {Date} [desde=new Date()] - Fecha de referencia
+ * @returns {Date|null} Fecha de la próxima ejecución (segundos en 0), o null si no hay en los próximos años
+ */
+function siguienteEjecucion(expresion, desde = new Date()) {
+  const cron = typeof expresion === 'string' ? parsearCron(expresion) : expresion;
+  const limite = new Date(desde);
+  limite.setFullYear(limite.getFullYear() + AÑOS_BUSQUEDA);
+
+  const fecha = new Date(desde);
+  fecha.setSeconds(0, 0);
+  fecha.setMinutes(fecha.getMinutes() + 1);
+
+  while (fecha <= limite) {
+    if (!coincideDia(cron, fecha)) {
+      fecha.setDate(fecha.getDate() + 1);
+      fecha.setHours(0, 0, 0, 0);
+    } else if (!cron.horas.has(fecha.getHours())) {
+      fecha.setHours(fecha.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutos.has(fecha.getMinutes())) {
+      fecha.setMinutes(fecha.getMinutes() + 1, 0, 0);
+    } else {
+      return fecha;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parsearCron,
+  siguienteEjecucion
+};
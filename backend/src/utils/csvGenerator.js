@@ -0,0 +1,37 @@
+/**
+ * Genera archivos CSV para reportes en el formato de carga del portal de la ATT
+ *
+ * @description
+ * - Separador punto y coma, fin de línea CRLF, UTF-8 sin BOM
+ * - Encabezado con los códigos de columna en mayúsculas, en el orden de las filas
+ * - Números con punto decimal y sin separador de miles
+ * - Sólo se encierran entre comillas los valores con ; comillas o saltos de línea
+ */
+class CSVGenerator {
+  static escapar(valor) {
+    if (valor === null || valor === undefined) return '';
+    if (valor instanceof Date) return valor.toISOString();
+    const texto = String(valor);
+    return /[;"\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+  }
+
+  /**
+   * Genera un CSV y lo devuelve como buffer
+   *
+   * Usa datos.columnas si el reporte declara un layout fijo (así un periodo sin
+   * datos igual lleva encabezado); si no, las claves de la primera fila.
+   */
+  static generarCSV(datos) {
+    const data = datos.data || [];
+    const columnas = datos.columnas || Object.keys(data[0] || {});
+
+    const lineas = [
+      columnas.map(columna => columna.toUpperCase()).join(';'),
+      ...data.map(fila => columnas.map(columna => this.escapar(fila[columna])).join(';'))
+    ];
+
+    return Buffer.from(`${lineas.join('\r\n')}\r\n`, 'utf8');
+  }
+}
+
+module.exports = CSVGenerator;
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { fn, col } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Eventos en tiempo real (GET /api/v1/eventos, Server-Sent Events)
+ *
+ * @description
+ * - Los hooks de Puerto, NAP, Mantenimiento y Alerta publican un evento cuando se confirma la transacción
+ *   que hizo el cambio: un rollback no avisa nada a los clientes
+ * - Con EVENTOS_DISTRIBUIDOS distinto de 'false' cada instancia hace LISTEN en el canal de Postgres
+ *   y publica con pg_notify, así un cambio hecho en una instancia llega a los clientes conectados
+ *   a todas; si el LISTEN no está disponible, los eventos se reparten sólo en la instancia local
+ * - Cada evento lleva el zona_id del NAP para que el canal filtre por las zonas del usuario
+ */
+
+const CANAL = 'eventos_tiempo_real';
+const REINTENTO_MS = 5000;
+
+// Eventos que publica el sistema
+const TIPOS_EVENTO = {
+  PUERTO_ACTUALIZADO: 'puerto.actualizado',
+  NAP_ACTUALIZADO: 'nap.actualizado',
+  MANTENIMIENTO_CREADO: 'mantenimiento.creado',
+  ALERTA: 'alerta'
+};
+
+// Permiso que necesita el usuario para recibir cada tipo de evento
+const PERMISO_POR_EVENTO = {
+  [TIPOS_EVENTO.PUERTO_ACTUALIZADO]: 'naps:ver',
+  [TIPOS_EVENTO.NAP_ACTUALIZADO]: 'naps:ver',
+  [TIPOS_EVENTO.MANTENIMIENTO_CREADO]: 'mantenimientos:ver',
+  [TIPOS_EVENTO.ALERTA]: 'alertas:ver'
+};
+
+const emisor = new EventEmitter();
+emisor.setMaxListeners(0);
+
+let conexionEscucha = null;
+let reintento = null;
+
+const porcentaje = (ocupados, total) => (total > 0 ? Math.round((ocupados / total) * 10000) / 100 : 0);
+
+/**
+ * Publica un evento para los clientes conectados (de todas las instancias si hay LISTEN activo)
+ *
+ * @async
+ * @function publicarEvento
+ * @param {string} tipo - Uno de TIPOS_EVENTO
+ * @param {Object} datos - Contenido del evento; debe incluir zona_id (null si el NAP no tiene zona)
+ * @returns {Promise<void>} No lanza errores
+ */
+async function publicarEvento(tipo, datos) {
+  const evento = { id: crypto.randomUUID(), tipo, datos, fecha: new Date().toISOString() };
+
+  if (conexionEscucha) {
+    try {
+      await sequelize.query('SELECT pg_notify(:canal, :carga)', {
+        replacements: { canal: CANAL, carga: JSON.stringify(evento) }
+      });
+      return;
+    } catch (error) {
+      console.error('Error al publicar evento en tiempo real:', error);
+    }
+  }
+
+  emisor.emit('evento', evento);
+}
+
+/**
+ * Registra un receptor de todos los eventos de la instancia
+ *
+ * @function suscribirEventos
+ * @param {Function} receptor - Recibe { id, tipo, datos, fecha }
+ * @returns {Function} Función que cancela la suscripción
+ */
+function suscribirEventos(receptor) {
+  emisor.on('evento', receptor);
+  return () => emisor.off('evento', receptor);
+}
+
+// Corre la publicación cuando se confirma la transacción (o ya, si no hay transacción)
+function alConfirmar(options, publicar) {
+  const ejecutar = () => publicar().catch(error => {
+    console.error('Error al publicar evento en tiempo real:', error);
+  });
+
+  if (options.transaction) {
+    options.transaction.afterCommit(ejecutar);
+  } else {
+    ejecutar();
+  }
+}
+
+// Qué le pasó a una alerta según el estado al que llegó
+const accionAlerta = (alerta) => ({
+  ABIERTA: 'actualizada',
+  RECONOCIDA: 'reconocida',
+  RESUELTA: 'resuelta'
+})[alerta.estado];
+
+/**
+ * Conecta los hooks de los modelos que publican eventos en tiempo real
+ *
+ * @function configurarEventosTiempoReal
+ * @param {Object} modelos - { NAP, Puerto, Mantenimiento, Alerta }
+ *
+ * @description
+ * - Puerto: cambio de estado (asignado, liberado, mantenimiento) → puerto.actualizado con la ocupación
+ *   del NAP
+ * - NAP: cambio de estado → nap.actualizado
+ * - Mantenimiento: alta → mantenimiento.creado
+ * - Alerta: alta, cambio de estado, nivel o asignación → alerta con accion creada, actualizada,
+ *   reconocida o resuelta; la sola actualización de ultima_deteccion no se publica
+ * - Sólo ven los cambios de instancias (save/update/create), no los update masivos del modelo
+ */
+function configurarEventosTiempoReal({ NAP, Puerto, Mantenimiento, Alerta }) {
+  const datosNAP = (napId) => NAP.findByPk(napId, {
+    attributes: ['id', 'codigo', 'ubicacion', 'estado', 'zona_id']
+  });
+
+  Puerto.addHook('afterUpdate', (puerto, options) => {
+    if (!puerto.changed('estado')) return;
+
+    const estadoAnterior = puerto.previous('estado');
+    const { id, nap_id: napId, numero, estado } = puerto;
+
+    alConfirmar(options, async () => {
+      const [nap, conteos] = await Promise.all([
+        datosNAP(napId),
+        Puerto.findAll({
+          where: { nap_id: napId },
+          attributes: ['estado', [fn('COUNT', col('id')), 'cantidad']],
+          group: ['estado'],
+          raw: true
+        })
+      ]);
+      if (!nap) return;
+
+      const cantidad = (valor) => parseInt(conteos.find(c => c.estado === valor)?.cantidad || 0, 10);
+      const total = conteos.reduce((suma, c) => suma + parseInt(c.cantidad, 10), 0);
+      const ocupados = cantidad('OCUPADO');
+
+      await publicarEvento(TIPOS_EVENTO.PUERTO_ACTUALIZADO, {
+        puerto_id: id,
+        numero,
+        estado,
+        estado_anterior: estadoAnterior,
+        nap_id: nap.id,
+        zona_id: nap.zona_id,
+        estadisticas: {
+          total_puertos: total,
+          puertos_libres: cantidad('LIBRE'),
+          puertos_ocupados: ocupados,
+          puertos_mantenimiento: cantidad('MANTENIMIENTO'),
+          porcentaje_ocupacion: porcentaje(ocupados, total)
+        }
+      });
+    });
+  });
+
+  NAP.addHook('afterUpdate', (instancia, options) => {
+    if (!instancia.changed('estado')) return;
+
+    const estadoAnterior = instancia.previous('estado');
+
+    alConfirmar(options, async () => {
+      const nap = await datosNAP(instancia.id);
+      if (!nap) return;
+
+      await publicarEvento(TIPOS_EVENTO.NAP_ACTUALIZADO, {
+        nap_id: nap.id,
+        codigo: nap.codigo,
+        zona_id: nap.zona_id,
+        estado: nap.estado,
+        estado_anterior: estadoAnterior
+      });
+    });
+  });
+
+  Mantenimiento.addHook('afterCreate', (mantenimiento, options) => {
+    const { id, nap_id: napId, tipo, descripcion, fecha } = mantenimiento;
+
+    alConfirmar(options, async () => {
+      const nap = await datosNAP(napId);
+      if (!nap) return;
+
+      await publicarEvento(TIPOS_EVENTO.MANTENIMIENTO_CREADO, {
+        mantenimiento_id: id,
+        nap_id: nap.id,
+        codigo: nap.codigo,
+        zona_id: nap.zona_id,
+        tipo,
+        descripcion,
+        fecha
+      });
+    });
+  });
+
+  const publicarAlerta = (alerta, accion, options) => {
+    const datos = {
+      accion,
+      id: alerta.id,
+      tipo: alerta.tipo,
+      nivel: alerta.nivel,
+      estado: alerta.estado,
+      mensaje: alerta.mensaje,
+      detalle: alerta.detalle,
+      nap_id: alerta.nap_id,
+      asignada_a: alerta.asignada_a,
+      fecha: alerta.primera_deteccion
+    };
+
+    alConfirmar(options, async () => {
+      const nap = await datosNAP(datos.nap_id);
+      if (!nap) return;
+
+      await publicarEvento(TIPOS_EVENTO.ALERTA, { ...datos, zona_id: nap.zona_id });
+    });
+  };
+
+  Alerta.addHook('afterCreate', (alerta, options) => {
+    publicarAlerta(alerta, 'creada', options);
+  });
+
+  Alerta.addHook('afterUpdate', (alerta, options) => {
+    if (!alerta.changed('estado') && !alerta.changed('nivel') && !alerta.changed('asignada_a')) return;
+    publicarAlerta(alerta, alerta.changed('estado') ? accionAlerta(alerta) : 'actualizada', options);
+  });
+}
+
+async function escucharCanal() {
+  reintento = null;
+
+  try {
+    const conexion = await sequelize.connectionManager.getConnection();
+
+    const reconectar = (error) => {
+      if (conexionEscucha !== conexion) return;
+      console.error('Se perdió la escucha de eventos en tiempo real:', error?.message || error);
+      conexionEscucha = null;
+      sequelize.connectionManager.releaseConnection(conexion).catch(() => {});
+      if (!reintento) reintento = setTimeout(escucharCanal, REINTENTO_MS);
+    };
+
+    conexion.on('notification', (mensaje) => {
+      if (mensaje.channel !== CANAL) return;
+      try {
+        emisor.emit('evento', JSON.parse(mensaje.payload));
+      } catch (error) {
+        console.error('Evento en tiempo real con formato inválido:', error);
+      }
+    });
+    conexion.on('error', reconectar);
+    conexion.on('end', reconectar);
+
+    await conexion.query(`LISTEN ${CANAL}`);
+    conexionEscucha = conexion;
+  } catch (error) {
+    console.error('Error al escuchar eventos en tiempo real:', error);
+    reintento = setTimeout(escucharCanal, REINTENTO_MS);
+  }
+}
+
+/**
+ * Inicia la escucha del canal de Postgres para repartir eventos entre instancias
+ *
+ * @function iniciarEventosDistribuidos
+ * @returns {boolean} true si esta instancia escucha el canal compartido
+ */
+function iniciarEventosDistribuidos() {
+  if (process.env.EVENTOS_DISTRIBUIDOS === 'false' || conexionEscucha || reintento) return false;
+
+  escucharCanal();
+  return true;
+}
+
+module.exports = {
+  TIPOS_EVENTO,
+  PERMISO_POR_EVENTO,
+  publicarEvento,
+  suscribirEventos,
+  configurarEventosTiempoReal,
+  iniciarEventosDistribuidos
+};
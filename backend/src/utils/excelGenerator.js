@@ -1,7 +1,14 @@
 const ExcelJS = require('exceljs');
+const { graficosDeReporte, svgAPNG } = require('./graficos');
+
+// Alto por defecto de una fila de Excel en píxeles (15 pt)
+const ALTO_FILA_PX = 20;
 
 /**
  * Genera archivos Excel para reportes
+ *
+ * @description
+ * - Hojas: Resumen, Gráficos (si el tipo tiene; imagen + tabla con sus datos) y Datos Detallados
  */
 class ExcelGenerator {
   /**
@@ -77,7 +84,10 @@ class ExcelGenerator {
         hojaResumen.getColumn(2).width = 40;
       }
 
-      // Hoja 2: Datos detallados
+      // Hoja 2: Gráficos
+      await this.agregarHojaGraficos(workbook, graficosDeReporte(datos, tipo));
+
+      // Hoja 3: Datos detallados
       if (data && data.length > 0) {
         const hojaDatos = workbook.addWorksheet('Datos Detallados');
 
@@ -140,6 +150,65 @@ class ExcelGenerator {
     }
   }
 
+  /**
+   * Agrega la hoja de gráficos: cada uno como imagen PNG seguido de la tabla con sus datos
+   *
+   * Si el navegador no puede rasterizar las imágenes, la hoja queda sólo con las tablas
+   */
+  static async agregarHojaGraficos(workbook, graficos) {
+    if (graficos.length === 0) return;
+
+    let imagenes = [];
+    try {
+      imagenes = await svgAPNG(graficos);
+    } catch (error) {
+      console.error('Error al rasterizar gráficos para Excel:', error);
+    }
+
+    const hoja = workbook.addWorksheet('Gráficos');
+    let fila = 1;
+
+    if (imagenes.length === 0) {
+      hoja.getCell(`A${fila}`).value = 'No se pudieron generar las imágenes de los gráficos; se incluyen sus datos.';
+      hoja.getCell(`A${fila}`).font = { italic: true, color: { argb: 'FF6B7280' } };
+      fila += 2;
+    }
+
+    graficos.forEach((grafico, i) => {
+      hoja.getCell(`A${fila}`).value = grafico.titulo;
+      hoja.getCell(`A${fila}`).font = { bold: true, size: 12 };
+      fila++;
+
+      if (imagenes[i]) {
+        const imagen = workbook.addImage({ buffer: imagenes[i], extension: 'png' });
+        hoja.addImage(imagen, {
+          tl: { col: 0, row: fila - 1 },
+          ext: { width: grafico.ancho, height: grafico.alto }
+        });
+        fila += Math.ceil(grafico.alto / ALTO_FILA_PX) + 1;
+      }
+
+      const encabezado = hoja.getRow(fila);
+      encabezado.values = grafico.tabla.encabezados;
+      encabezado.font = { bold: true };
+      encabezado.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE5E7EB' }
+      };
+      fila++;
+
+      grafico.tabla.filas.forEach(valores => {
+        hoja.getRow(fila).values = valores;
+        fila++;
+      });
+
+      fila += 2;
+    });
+
+    hoja.getColumn(1).width = 24;
+  }
+
   /**
    * Obtiene las columnas aplanadas de un objeto (maneja objetos anidados)
    */
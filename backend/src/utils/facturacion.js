@@ -0,0 +1,499 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, Factura, LineaFactura, Pago, Conexion, Cliente, Plan, Puerto, NAP, CambioEstadoConexion } = require('../models');
+const { fechaISOLocal } = require('./fechas');
+const { filtroCliente } = require('./zonas');
+
+/**
+ * Facturación mensual (facturas, lineas_factura, pagos)
+ *
+ * @description
+ * - Se factura mes vencido: la factura del periodo "AAAA-MM" cobra los días de ese mes en que cada
+ *   conexión estuvo vigente. Entran las ACTIVAS, las SUSPENDIDAS y las FINALIZADAS con fecha_fin
+ *   dentro del mes
+ * - La mensualidad se prorratea: precio_mensual × días vigentes / días del mes, desde fecha_inicio
+ *   hasta fecha_fin inclusive. El costo de instalación se cobra en el mes de fecha_inicio
+ * - Los días suspendidos no se cobran: los cambios de estado del mes (a mano o por cobranza) salen
+ *   de cambios_estado_conexion, que se escribe en la transacción de cada cambio. El día de la
+ *   suspensión no se cobra y el de la reactivación sí; cada tramo activo es una línea de mensualidad
+ * - Los precios del plan no incluyen impuesto: cada línea suma su impuesto_porcentaje. Precios e
+ *   impuesto se copian a la línea, así un cambio de precio no altera facturas ya emitidas
+ * - Una factura por cliente, periodo y moneda. Generar de nuevo un periodo no duplica: se saltan los
+ *   clientes que ya tienen factura vigente (índice único parcial); una factura ANULADA se puede rehacer
+ * - Los pagos no se imputan a una factura: el total pagado en una moneda cubre las facturas de esa
+ *   moneda de la más antigua a la más nueva (aplicarPagos), y de ahí sale el estado de cada factura
+ * - Cada instancia con FACTURACION_ACTIVA distinto de 'false' revisa cada hora si ya es
+ *   FACTURACION_DIA (default: 1) del mes y, si es así, genera el mes anterior
+ */
+
+const DIAS_VENCIMIENTO = parseInt(process.env.FACTURACION_DIAS_VENCIMIENTO || '15', 10);
+const DIA_FACTURACION = parseInt(process.env.FACTURACION_DIA || '1', 10);
+const INTERVALO_MS = 60 * 60 * 1000;
+
+let temporizador = null;
+let ocupado = false;
+let ultimoPeriodo = null;
+
+const redondear = (valor) => Math.round((Number(valor) + Number.EPSILON) * 100) / 100;
+
+// 'AAAA-MM-DD' desplazada N días, sin pasar por la zona horaria
+const sumarDias = (iso, dias) => {
+  const fecha = new Date(`${iso}T00:00:00Z`);
+  fecha.setUTCDate(fecha.getUTCDate() + dias);
+  return fecha.toISOString().slice(0, 10);
+};
+
+// Días entre dos 'AAAA-MM-DD', ambos incluidos
+const diasEntre = (desde, hasta) => Math.round((Date.parse(hasta) - Date.parse(desde)) / 86400000) + 1;
+
+/**
+ * Primer y último día de un periodo
+ *
+ * @function rangoPeriodo
+ * @param {string} periodo - "AAAA-MM"
+ * @returns {Object} { desde, hasta, dias } con fechas "AAAA-MM-DD"
+ */
+function rangoPeriodo(periodo) {
+  const [anio, mes] = periodo.split('-').map(Number);
+  const dias = new Date(Date.UTC(anio, mes, 0)).getUTCDate();
+  return { desde: `${periodo}-01`, hasta: `${periodo}-${String(dias).padStart(2, '0')}`, dias };
+}
+
+/**
+ * Mes anterior al de una fecha (hora local)
+ *
+ * @function periodoAnterior
+ * @param {Date} [fecha=new Date()]
+ * @returns {string} "AAAA-MM"
+ */
+function periodoAnterior(fecha = new Date()) {
+  return fechaISOLocal(new Date(fecha.getFullYear(), fecha.getMonth() - 1, 1)).slice(0, 7);
+}
+
+const concepto = (conexion, prefijo) => {
+  const ubicacion = conexion.puerto ? ` - NAP ${conexion.puerto.nap?.codigo ?? '?'} puerto ${conexion.puerto.numero}` : '';
+  return `${prefijo} ${conexion.plan.nombre} (${conexion.plan.velocidad_mbps} Mbps)${ubicacion}`.slice(0, 200);
+};
+
+const linea = (conexion, tipo, datos) => {
+  const impuestoPorcentaje = Number(conexion.plan.impuesto_porcentaje);
+  const importe = redondear(datos.importe);
+  return {
+    conexion_id: conexion.id,
+    tipo,
+    concepto: concepto(conexion, tipo === 'INSTALACION' ? 'Instalación' : 'Mensualidad'),
+    ...datos,
+    importe,
+    impuesto_porcentaje: impuestoPorcentaje,
+    impuesto: redondear(importe * impuestoPorcentaje / 100)
+  };
+};
+
+/**
+ * Cambios de estado de conexiones desde una fecha (cambios_estado_conexion)
+ *
+ * @async
+ * @function cambiosDeEstado
+ * @param {string[]} conexionIds - IDs de conexión
+ * @param {string} desde - "AAAA-MM-DD"
+ * @returns {Promise<Map>} conexion_id → [{ fecha: 'AAAA-MM-DD', anterior, nuevo }] en orden
+ *
+ * @description
+ * - Trae también los cambios posteriores al periodo: el primero dice en qué estado estaba al empezar
+ * - Las altas (sin estado anterior) no son cambios: el tramo empieza en fecha_inicio
+ */
+async function cambiosDeEstado(conexionIds, desde) {
+  const cambios = new Map();
+  if (!conexionIds.length) return cambios;
+
+  const filas = await CambioEstadoConexion.findAll({
+    where: {
+      conexion_id: { [Op.in]: conexionIds },
+      fecha: { [Op.gte]: desde },
+      estado_anterior: { [Op.ne]: null }
+    },
+    attributes: ['conexion_id', 'estado_anterior', 'estado_nuevo', 'fecha'],
+    order: [['fecha', 'ASC'], ['createdAt', 'ASC']],
+    raw: true
+  });
+
+  for (const fila of filas) {
+    if (!cambios.has(fila.conexion_id)) cambios.set(fila.conexion_id, []);
+    cambios.get(fila.conexion_id).push({ fecha: fila.fecha, anterior: fila.estado_anterior, nuevo: fila.estado_nuevo });
+  }
+
+  return cambios;
+}
+
+/**
+ * Tramos de un periodo en que una conexión estuvo vigente y no suspendida
+ *
+ * @function tramosActivos
+ * @param {Object} conexion - Conexion (fecha_inicio, fecha_fin, estado)
+ * @param {Object} rango - Resultado de rangoPeriodo
+ * @param {Object[]} [cambios=[]] - Sus cambios de estado (ver cambiosDeEstado)
+ * @returns {Object[]} [{ desde, hasta }] "AAAA-MM-DD", ambos incluidos
+ *
+ * @description
+ * - Sin cambios registrados vale el estado actual: una SUSPENDIDA no tiene tramos
+ * - Pasar a FINALIZADA no corta el tramo: lo corta fecha_fin
+ */
+function tramosActivos(conexion, rango, cambios = []) {
+  const inicio = conexion.fecha_inicio > rango.desde ? conexion.fecha_inicio : rango.desde;
+  const fin = conexion.fecha_fin && conexion.fecha_fin < rango.hasta ? conexion.fecha_fin : rango.hasta;
+
+  let suspendida = cambios.length ? cambios[0].anterior === 'SUSPENDIDA' : conexion.estado === 'SUSPENDIDA';
+  let desde = inicio;
+  const tramos = [];
+
+  for (const cambio of cambios) {
+    if (cambio.fecha > fin) break;
+
+    if (!suspendida && cambio.nuevo === 'SUSPENDIDA') {
+      tramos.push({ desde, hasta: sumarDias(cambio.fecha, -1) });
+      suspendida = true;
+    } else if (suspendida && cambio.nuevo === 'ACTIVA') {
+      desde = cambio.fecha > inicio ? cambio.fecha : inicio;
+      suspendida = false;
+    }
+  }
+
+  if (!suspendida) tramos.push({ desde, hasta: fin });
+
+  return tramos.filter(tramo => tramo.desde <= tramo.hasta);
+}
+
+/**
+ * Líneas que le corresponden a una conexión en un periodo
+ *
+ * @function lineasDeConexion
+ * @param {Object} conexion - Conexion con plan (y puerto.nap para el concepto)
+ * @param {Object} rango - Resultado de rangoPeriodo
+ * @param {Object[]} [cambios=[]] - Sus cambios de estado (ver cambiosDeEstado)
+ * @returns {Object[]} Líneas sin factura_id; las de importe cero se omiten
+ */
+function lineasDeConexion(conexion, rango, cambios = []) {
+  const lineas = [];
+  const precio = Number(conexion.plan.precio_mensual);
+
+  for (const { desde, hasta } of precio > 0 ? tramosActivos(conexion, rango, cambios) : []) {
+    const dias = diasEntre(desde, hasta);
+    lineas.push(linea(conexion, 'MENSUALIDAD', {
+      desde,
+      hasta,
+      dias,
+      dias_periodo: rango.dias,
+      precio,
+      importe: precio * dias / rango.dias
+    }));
+  }
+
+  const instalacion = Number(conexion.plan.costo_instalacion);
+  if (instalacion > 0 && conexion.fecha_inicio >= rango.desde && conexion.fecha_inicio <= rango.hasta) {
+    lineas.push(linea(conexion, 'INSTALACION', { precio: instalacion, importe: instalacion }));
+  }
+
+  return lineas;
+}
+
+/**
+ * Recalcula pagado y estado de las facturas de un cliente en una moneda
+ *
+ * @async
+ * @function aplicarPagos
+ * @param {string} clienteId - ID del cliente
+ * @param {string} moneda - Moneda
+ * @param {Object} transaction - Transacción en curso (bloquea al cliente mientras reparte)
+ * @returns {Promise<void>}
+ */
+async function aplicarPagos(clienteId, moneda, transaction) {
+  await Cliente.findByPk(clienteId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+
+  let disponible = Number(await Pago.sum('monto', {
+    where: { cliente_id: clienteId, moneda, anulado: false },
+    transaction
+  }) || 0);
+
+  const facturas = await Factura.findAll({
+    where: { cliente_id: clienteId, moneda, estado: { [Op.ne]: 'ANULADA' } },
+    order: [['fecha_emision', 'ASC'], ['numero', 'ASC']],
+    transaction
+  });
+
+  for (const factura of facturas) {
+    const total = Number(factura.total);
+    const pagado = redondear(Math.min(total, Math.max(disponible, 0)));
+    disponible = redondear(disponible - pagado);
+
+    let estado = 'PENDIENTE';
+    if (pagado >= total) estado = 'PAGADA';
+    else if (pagado > 0) estado = 'PARCIAL';
+
+    if (Number(factura.pagado) !== pagado || factura.estado !== estado) {
+      await factura.update({ pagado, estado }, { transaction });
+    }
+  }
+}
+
+// Crea la factura de un cliente en una moneda; null si ya tenía una vigente en el periodo
+async function crearFactura(cliente, moneda, lineas, periodo, usuarioId) {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const existente = await Factura.count({
+        where: { cliente_id: cliente.id, periodo, moneda, estado: { [Op.ne]: 'ANULADA' } },
+        transaction
+      });
+      if (existente) return null;
+
+      const subtotal = redondear(lineas.reduce((suma, l) => suma + l.importe, 0));
+      const impuesto = redondear(lineas.reduce((suma, l) => suma + l.impuesto, 0));
+      const emision = fechaISOLocal(new Date());
+
+      const factura = await Factura.create({
+        cliente_id: cliente.id,
+        cliente_nombre: `${cliente.nombre} ${cliente.apellido || ''}`.trim(),
+        cliente_ci: cliente.ci,
+        cliente_direccion: cliente.direccion,
+        periodo,
+        moneda,
+        fecha_emision: emision,
+        fecha_vencimiento: sumarDias(emision, DIAS_VENCIMIENTO),
+        subtotal,
+        impuesto,
+        total: redondear(subtotal + impuesto),
+        creado_por: usuarioId || null
+      }, { transaction, userId: usuarioId });
+
+      await LineaFactura.bulkCreate(lineas.map(l => ({ ...l, factura_id: factura.id })), { transaction });
+
+      // Un saldo a favor del cliente cubre la factura nueva
+      await aplicarPagos(cliente.id, moneda, transaction);
+      return factura;
+    });
+  } catch (error) {
+    // Otra instancia generó la misma factura en paralelo
+    if (error instanceof UniqueConstraintError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Genera las facturas de un periodo
+ *
+ * @async
+ * @function generarFacturas
+ * @param {Object} opciones
+ * @param {string} opciones.periodo - "AAAA-MM"
+ * @param {string} [opciones.clienteId] - Sólo este cliente
+ * @param {string[]|null} [opciones.alcance] - Zonas del usuario (obtenerAlcanceZonas); null: todas
+ * @param {string} [opciones.usuarioId] - Quien genera (auditoría); sin él, el proceso mensual
+ * @returns {Promise<Object>} { periodo, creadas: Factura[], existentes, clientes }
+ *
+ * @description
+ * - Cada factura va en su propia transacción: un error con un cliente no deshace las demás
+ */
+async function generarFacturas({ periodo, clienteId, alcance = null, usuarioId } = {}) {
+  const rango = rangoPeriodo(periodo);
+
+  const conexiones = await Conexion.findAll({
+    where: {
+      ...(clienteId ? { cliente_id: clienteId } : { cliente_id: { [Op.ne]: null } }),
+      fecha_inicio: { [Op.lte]: rango.hasta },
+      [Op.or]: [
+        {
+          estado: { [Op.in]: ['ACTIVA', 'SUSPENDIDA'] },
+          [Op.or]: [{ fecha_fin: null }, { fecha_fin: { [Op.gte]: rango.desde } }]
+        },
+        { estado: 'FINALIZADA', fecha_fin: { [Op.gte]: rango.desde } }
+      ]
+    },
+    include: [
+      { model: Plan, as: 'plan', required: true },
+      { model: Cliente, as: 'cliente', required: true, where: filtroCliente(alcance) },
+      {
+        model: Puerto,
+        as: 'puerto',
+        attributes: ['id', 'numero'],
+        include: [{ model: NAP, as: 'nap', attributes: ['id', 'codigo'] }]
+      }
+    ],
+    order: [['fecha_inicio', 'ASC']]
+  });
+
+  const cambios = await cambiosDeEstado(conexiones.map(c => c.id), rango.desde);
+
+  // cliente_id|moneda → { cliente, moneda, lineas }
+  const grupos = new Map();
+  for (const conexion of conexiones) {
+    const lineas = lineasDeConexion(conexion, rango, cambios.get(conexion.id));
+    if (!lineas.length) continue;
+
+    const clave = `${conexion.cliente_id}|${conexion.plan.moneda}`;
+    if (!grupos.has(clave)) {
+      grupos.set(clave, { cliente: conexion.cliente, moneda: conexion.plan.moneda, lineas: [] });
+    }
+    grupos.get(clave).lineas.push(...lineas);
+  }
+
+  const creadas = [];
+  let existentes = 0;
+  for (const { cliente, moneda, lineas } of grupos.values()) {
+    const factura = await crearFactura(cliente, moneda, lineas, periodo, usuarioId);
+    if (factura) creadas.push(factura);
+    else existentes++;
+  }
+
+  return { periodo, creadas, existentes, clientes: new Set(conexiones.map(c => c.cliente_id)).size };
+}
+
+/**
+ * Estado de cuenta de un cliente, por moneda
+ *
+ * @async
+ * @function estadoCuenta
+ * @param {string} clienteId - ID del cliente
+ * @returns {Promise<Object[]>} [{ moneda, facturado, pagado, saldo, vencido, facturas_pendientes, facturas_vencidas, ultimo_pago }]
+ *
+ * @description
+ * - saldo = facturado - pagado; negativo es saldo a favor del cliente
+ * - vencido es lo impago de las facturas cuya fecha_vencimiento ya pasó
+ */
+async function estadoCuenta(clienteId) {
+  const hoy = fechaISOLocal(new Date());
+
+  const [facturas, pagos] = await Promise.all([
+    Factura.findAll({
+      where: { cliente_id: clienteId, estado: { [Op.ne]: 'ANULADA' } },
+      attributes: ['moneda', 'total', 'pagado', 'estado', 'fecha_vencimiento'],
+      raw: true
+    }),
+    Pago.findAll({
+      where: { cliente_id: clienteId, anulado: false },
+      attributes: ['moneda', 'monto', 'fecha'],
+      raw: true
+    })
+  ]);
+
+  const cuentas = new Map();
+  const cuenta = (moneda) => {
+    if (!cuentas.has(moneda)) {
+      cuentas.set(moneda, {
+        moneda, facturado: 0, pagado: 0, saldo: 0, vencido: 0, facturas_pendientes: 0, facturas_vencidas: 0, ultimo_pago: null
+      });
+    }
+    return cuentas.get(moneda);
+  };
+
+  for (const factura of facturas) {
+    const c = cuenta(factura.moneda);
+    c.facturado += Number(factura.total);
+    if (factura.estado === 'PAGADA') continue;
+
+    c.facturas_pendientes++;
+    if (factura.fecha_vencimiento < hoy) {
+      c.facturas_vencidas++;
+      c.vencido += Number(factura.total) - Number(factura.pagado);
+    }
+  }
+
+  for (const pago of pagos) {
+    const c = cuenta(pago.moneda);
+    c.pagado += Number(pago.monto);
+    if (!c.ultimo_pago || pago.fecha > c.ultimo_pago) c.ultimo_pago = pago.fecha;
+  }
+
+  return [...cuentas.values()].map(c => ({
+    ...c,
+    facturado: redondear(c.facturado),
+    pagado: redondear(c.pagado),
+    saldo: redondear(c.facturado - c.pagado),
+    vencido: redondear(c.vencido)
+  }));
+}
+
+/**
+ * Datos de una factura para PDFGenerator (plantilla 'factura')
+ *
+ * @function datosPDFFactura
+ * @param {Object} factura - Factura con sus lineas
+ * @returns {Object} { fecha_generacion, parametros, data, resumen }
+ */
+function datosPDFFactura(factura) {
+  return {
+    fecha_generacion: new Date(),
+    parametros: {
+      factura: `N° ${factura.numero}`,
+      cliente: factura.cliente_nombre,
+      ci: factura.cliente_ci,
+      direccion: factura.cliente_direccion,
+      periodo: factura.periodo,
+      fecha_emision: factura.fecha_emision,
+      fecha_vencimiento: factura.fecha_vencimiento,
+      moneda: factura.moneda,
+      estado: factura.estado
+    },
+    data: (factura.lineas || []).map(l => (typeof l.toJSON === 'function' ? l.toJSON() : l)),
+    resumen: {
+      subtotal: Number(factura.subtotal),
+      impuesto: Number(factura.impuesto),
+      total: Number(factura.total),
+      pagado: Number(factura.pagado),
+      saldo: redondear(factura.estado === 'ANULADA' ? 0 : Number(factura.total) - Number(factura.pagado))
+    }
+  };
+}
+
+/**
+ * Una pasada del proceso mensual: genera el mes anterior si ya es el día de facturación
+ *
+ * @async
+ * @function procesarFacturacion
+ * @returns {Promise<void>}
+ */
+async function procesarFacturacion() {
+  const hoy = new Date();
+  const periodo = periodoAnterior(hoy);
+  if (ocupado || ultimoPeriodo === periodo || hoy.getDate() < DIA_FACTURACION) return;
+  ocupado = true;
+
+  try {
+    const { creadas, existentes } = await generarFacturas({ periodo });
+    ultimoPeriodo = periodo;
+    if (creadas.length) {
+      console.log(`🧾 Facturación ${periodo}: ${creadas.length} facturas emitidas (${existentes} ya existían)`);
+    }
+  } catch (error) {
+    console.error('Error en la facturación mensual:', error);
+  } finally {
+    ocupado = false;
+  }
+}
+
+/**
+ * Arranca el proceso de facturación mensual en este proceso
+ *
+ * @function iniciarFacturacion
+ * @returns {boolean} true si quedó activo
+ */
+function iniciarFacturacion() {
+  if (process.env.FACTURACION_ACTIVA === 'false' || temporizador) return false;
+
+  temporizador = setInterval(procesarFacturacion, INTERVALO_MS);
+  procesarFacturacion();
+  return true;
+}
+
+module.exports = {
+  redondear,
+  sumarDias,
+  rangoPeriodo,
+  periodoAnterior,
+  cambiosDeEstado,
+  tramosActivos,
+  lineasDeConexion,
+  aplicarPagos,
+  generarFacturas,
+  estadoCuenta,
+  datosPDFFactura,
+  procesarFacturacion,
+  iniciarFacturacion
+};
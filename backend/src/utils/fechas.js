@@ -0,0 +1,26 @@
+/**
+ * Fechas en hora local del servidor
+ *
+ * @description
+ * - Las columnas DATEONLY (vencimientos, periodos, historial de estados) se comparan con
+ *   "AAAA-MM-DD" de la hora local, no con toISOString (UTC), que cerca de medianoche da otro día
+ */
+
+const dos = (n) => String(n).padStart(2, '0');
+
+/**
+ * Fecha local "AAAA-MM-DD"
+ *
+ * @function fechaISOLocal
+ * @param {Date|string|number} fecha - Fecha a convertir
+ * @returns {string} "AAAA-MM-DD", o '' si no hay fecha
+ */
+const fechaISOLocal = (fecha) => {
+  if (!fecha) return '';
+  const d = new Date(fecha);
+  return `${d.getFullYear()}-${dos(d.getMonth() + 1)}-${dos(d.getDate())}`;
+};
+
+module.exports = {
+  fechaISOLocal
+};
@@ -0,0 +1,393 @@
+const { conPagina } = require('./poolNavegadores');
+const { tramosDelPeriodo } = require('./incidentes');
+
+/**
+ * Gráficos de los reportes, dibujados en el servidor como SVG
+ *
+ * @description
+ * - graficosDeReporte arma los gráficos de cada tipo de reporte a partir de su data y resumen
+ *   (GRAFICOS_POR_REPORTE); los usan el PDF (SVG incrustado) y el Excel (PNG + tabla con los datos)
+ * - Tres tipos: barras horizontales, serie temporal de líneas y mapa de calor
+ * - El SVG no depende de fuentes ni recursos externos; svgAPNG lo rasteriza con el pool de navegadores
+ */
+
+const COLORES = {
+  azul: '#3b82f6',
+  verde: '#22c55e',
+  ambar: '#f59e0b',
+  rojo: '#ef4444',
+  gris: '#9ca3af'
+};
+
+const FUENTE = 'font-family="Arial, Helvetica, sans-serif"';
+const ANCHO = 720;
+const MAX_BARRAS = 30;
+const MAX_FILAS_CALOR = 25;
+
+// Escala del mapa de calor de disponibilidad: [mínimo, color, leyenda]
+const ESCALA_DISPONIBILIDAD = [
+  [100, '#16a34a', '100 %'],
+  [99.5, '#86efac', '≥ 99,5 %'],
+  [98, '#fde047', '≥ 98 %'],
+  [95, '#fb923c', '≥ 95 %'],
+  [0, '#dc2626', '< 95 %']
+];
+
+const escaparXML = (valor) => String(valor)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const numero = (valor, decimales = 0) => Number(valor).toLocaleString('es-BO', { maximumFractionDigits: decimales });
+
+// Tope redondo del eje (1, 2, 5 × 10^n) para que las marcas caigan en valores legibles
+const topeEje = (maximo) => {
+  if (maximo <= 0) return 1;
+  const magnitud = 10 ** Math.floor(Math.log10(maximo));
+  return [1, 2, 5, 10].map(m => m * magnitud).find(t => t >= maximo);
+};
+
+const recortar = (texto, largo) => (texto.length > largo ? `${texto.slice(0, largo - 1)}…` : texto);
+
+const documentoSVG = (ancho, alto, contenido) => (
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${ancho}" height="${alto}" viewBox="0 0 ${ancho} ${alto}" ${FUENTE}>`
+  + `<rect width="${ancho}" height="${alto}" fill="#ffffff"/>${contenido}</svg>`
+);
+
+/**
+ * Barras horizontales
+ *
+ * @function svgBarras
+ * @param {Object} opciones
+ * @param {Object[]} opciones.barras - { etiqueta, valor, color? } (color: clave de COLORES)
+ * @param {number} [opciones.maximo] - Valor del largo completo (default: tope redondo del mayor valor)
+ * @param {string} [opciones.sufijo=''] - Texto tras el valor (p. ej. ' %')
+ * @returns {Object} { svg, ancho, alto }
+ */
+function svgBarras({ barras, maximo, sufijo = '' }) {
+  const alto = 20 + barras.length * 22;
+  const etiquetas = 150;
+  const largo = ANCHO - etiquetas - 70;
+  const tope = maximo || topeEje(Math.max(...barras.map(b => b.valor), 0));
+
+  const filas = barras.map((barra, i) => {
+    const y = 10 + i * 22;
+    const ancho = Math.max(0, Math.min(1, barra.valor / tope)) * largo;
+    return `<text x="${etiquetas - 8}" y="${y + 14}" font-size="11" text-anchor="end" fill="#374151">${escaparXML(recortar(String(barra.etiqueta), 22))}</text>`
+      + `<rect x="${etiquetas}" y="${y + 2}" width="${largo}" height="16" rx="3" fill="#f3f4f6"/>`
+      + `<rect x="${etiquetas}" y="${y + 2}" width="${ancho.toFixed(1)}" height="16" rx="3" fill="${COLORES[barra.color] || COLORES.azul}"/>`
+      + `<text x="${etiquetas + largo + 6}" y="${y + 14}" font-size="11" fill="#111827">${escaparXML(numero(barra.valor, 2) + sufijo)}</text>`;
+  });
+
+  return { svg: documentoSVG(ANCHO, alto, filas.join('')), ancho: ANCHO, alto };
+}
+
+/**
+ * Serie temporal de líneas
+ *
+ * @function svgSerie
+ * @param {Object} opciones
+ * @param {string[]} opciones.categorias - Etiquetas del eje X (fechas)
+ * @param {Object[]} opciones.series - { nombre, valores, color? }
+ * @returns {Object} { svg, ancho, alto }
+ */
+function svgSerie({ categorias, series }) {
+  const alto = 280;
+  const margen = { izquierda: 50, derecha: 20, arriba: 30, abajo: 50 };
+  const anchoGrafico = ANCHO - margen.izquierda - margen.derecha;
+  const altoGrafico = alto - margen.arriba - margen.abajo;
+  const tope = topeEje(Math.max(...series.flatMap(s => s.valores), 0));
+  const paso = categorias.length > 1 ? anchoGrafico / (categorias.length - 1) : 0;
+  const x = (i) => margen.izquierda + (categorias.length > 1 ? i * paso : anchoGrafico / 2);
+  const y = (valor) => margen.arriba + altoGrafico - (valor / tope) * altoGrafico;
+
+  const marcas = [0, 0.25, 0.5, 0.75, 1].map((f) => {
+    const valor = tope * f;
+    return `<line x1="${margen.izquierda}" x2="${ANCHO - margen.derecha}" y1="${y(valor)}" y2="${y(valor)}" stroke="#e5e7eb"/>`
+      + `<text x="${margen.izquierda - 6}" y="${y(valor) + 4}" font-size="10" text-anchor="end" fill="#6b7280">${numero(valor, 1)}</text>`;
+  });
+
+  // Como mucho ~12 etiquetas en el eje X
+  const cada = Math.max(1, Math.ceil(categorias.length / 12));
+  const etiquetasX = categorias.map((categoria, i) => (i % cada === 0
+    ? `<text x="${x(i)}" y="${alto - margen.abajo + 16}" font-size="10" text-anchor="middle" fill="#6b7280">${escaparXML(categoria)}</text>`
+    : ''));
+
+  const lineas = series.map((serie) => {
+    const color = COLORES[serie.color] || COLORES.azul;
+    const puntos = serie.valores.map((valor, i) => `${x(i).toFixed(1)},${y(valor).toFixed(1)}`);
+    return `<polyline points="${puntos.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`
+      + serie.valores.map((valor, i) => `<circle cx="${x(i).toFixed(1)}" cy="${y(valor).toFixed(1)}" r="2.5" fill="${color}"/>`).join('');
+  });
+
+  const leyenda = series.map((serie, i) => {
+    const lx = margen.izquierda + i * 110;
+    return `<rect x="${lx}" y="8" width="12" height="12" rx="2" fill="${COLORES[serie.color] || COLORES.azul}"/>`
+      + `<text x="${lx + 18}" y="18" font-size="11" fill="#374151">${escaparXML(serie.nombre)}</text>`;
+  });
+
+  return {
+    svg: documentoSVG(ANCHO, alto, [...marcas, ...etiquetasX, ...lineas, ...leyenda].join('')),
+    ancho: ANCHO,
+    alto
+  };
+}
+
+/**
+ * Mapa de calor (filas × columnas) con escala discreta de colores
+ *
+ * @function svgMapaCalor
+ * @param {Object} opciones
+ * @param {string[]} opciones.columnas - Etiquetas de columna
+ * @param {Object[]} opciones.filas - { etiqueta, valores } con un valor por columna
+ * @param {Array} opciones.escala - [mínimo, color, leyenda] de mayor a menor mínimo
+ * @returns {Object} { svg, ancho, alto }
+ */
+function svgMapaCalor({ columnas, filas, escala }) {
+  const etiquetas = 110;
+  const arriba = 24;
+  const altoCelda = 16;
+  const anchoCelda = (ANCHO - etiquetas - 10) / Math.max(1, columnas.length);
+  const alto = arriba + filas.length * altoCelda + 50;
+  const color = (valor) => escala.find(([minimo]) => valor >= minimo)[1];
+
+  const cada = Math.max(1, Math.ceil(columnas.length / 12));
+  const encabezado = columnas.map((columna, i) => (i % cada === 0
+    ? `<text x="${etiquetas + i * anchoCelda}" y="${arriba - 8}" font-size="9" fill="#6b7280">${escaparXML(columna)}</text>`
+    : ''));
+
+  const celdas = filas.map((fila, f) => {
+    const y = arriba + f * altoCelda;
+    return `<text x="${etiquetas - 6}" y="${y + 12}" font-size="10" text-anchor="end" fill="#374151">${escaparXML(recortar(fila.etiqueta, 16))}</text>`
+      + fila.valores.map((valor, c) => `<rect x="${(etiquetas + c * anchoCelda).toFixed(1)}" y="${y}" width="${Math.max(1, anchoCelda - 1).toFixed(1)}" height="${altoCelda - 1}" fill="${color(valor)}"/>`).join('');
+  });
+
+  const yLeyenda = arriba + filas.length * altoCelda + 20;
+  const leyenda = escala.map(([, fondo, texto], i) => {
+    const lx = etiquetas + i * 100;
+    return `<rect x="${lx}" y="${yLeyenda}" width="14" height="12" fill="${fondo}"/>`
+      + `<text x="${lx + 20}" y="${yLeyenda + 10}" font-size="10" fill="#374151">${escaparXML(texto)}</text>`;
+  });
+
+  return { svg: documentoSVG(ANCHO, alto, [...encabezado, ...celdas, ...leyenda].join('')), ancho: ANCHO, alto };
+}
+
+// ─── Gráficos por tipo de reporte ────────────────────────────────────────────
+
+const colorOcupacion = (pct) => (pct >= 90 ? 'rojo' : pct >= 75 ? 'ambar' : 'verde');
+const colorEstado = { BUENO: 'verde', ACTIVO: 'verde', ADVERTENCIA: 'ambar', SUSPENDIDO: 'ambar', MANTENIMIENTO: 'ambar', CRITICO: 'rojo', INACTIVO: 'gris', SIN_SERVICIO: 'gris' };
+
+const etiquetaFecha = (iso) => `${iso.slice(8, 10)}/${iso.slice(5, 7)}`;
+
+// 'AAAA-MM-DD' como fecha local (new Date('AAAA-MM-DD') sería medianoche UTC)
+const fechaDeISO = (iso) => new Date(Number(iso.slice(0, 4)), Number(iso.slice(5, 7)) - 1, Number(iso.slice(8, 10)));
+
+const distribucion = (titulo, filas, leer) => {
+  const conteo = new Map();
+  for (const fila of filas) {
+    const clave = leer(fila) ?? 'N/A';
+    conteo.set(clave, (conteo.get(clave) || 0) + 1);
+  }
+  const barras = [...conteo.entries()].map(([clave, valor]) => ({
+    etiqueta: String(clave).replace(/_/g, ' '),
+    valor,
+    color: colorEstado[clave] || 'azul'
+  }));
+
+  return {
+    id: 'distribucion',
+    titulo,
+    ...svgBarras({ barras }),
+    tabla: { encabezados: ['Categoría', 'Cantidad'], filas: barras.map(b => [b.etiqueta, b.valor]) }
+  };
+};
+
+const GRAFICOS_POR_REPORTE = {
+  ocupacion_naps: ({ data }) => {
+    const barras = [...data]
+      .sort((a, b) => b.estadisticas.porcentaje_ocupacion - a.estadisticas.porcentaje_ocupacion)
+      .slice(0, MAX_BARRAS)
+      .map(n => ({
+        etiqueta: n.nap.codigo,
+        valor: n.estadisticas.porcentaje_ocupacion,
+        color: colorOcupacion(n.estadisticas.porcentaje_ocupacion)
+      }));
+
+    return [{
+      id: 'ocupacion',
+      titulo: data.length > MAX_BARRAS ? `Ocupación por NAP (las ${MAX_BARRAS} más ocupadas)` : 'Ocupación por NAP',
+      ...svgBarras({ barras, maximo: 100, sufijo: ' %' }),
+      tabla: { encabezados: ['NAP', 'Ocupación (%)'], filas: barras.map(b => [b.etiqueta, b.valor]) }
+    }];
+  },
+
+  estado_tecnico: ({ data }) => [distribucion('NAPs por estado técnico', data, f => f.estado_tecnico)],
+
+  caidas_interrupciones: ({ data }) => [distribucion('Incidentes por categoría', data, f => f.categoria)],
+
+  clientes_estado: ({ data }) => [distribucion('Clientes por estado del servicio', data, f => f.estado_servicio)],
+
+  altas_bajas: ({ data, parametros }) => {
+    if (!parametros?.fecha_desde || !parametros?.fecha_hasta) return [];
+
+    const hasta = fechaDeISO(parametros.fecha_hasta);
+    hasta.setDate(hasta.getDate() + 1);
+    const tramos = tramosDelPeriodo(fechaDeISO(parametros.fecha_desde), hasta);
+    const altas = tramos.map(() => 0);
+    const bajas = tramos.map(() => 0);
+
+    for (const fila of data) {
+      const fecha = typeof fila.fecha === 'string' && fila.fecha.length === 10 ? fechaDeISO(fila.fecha) : new Date(fila.fecha);
+      const i = tramos.findIndex(t => fecha >= t.desde && fecha < t.hasta);
+      if (i === -1) continue;
+      if (fila.movimiento === 'ALTA') altas[i]++;
+      else bajas[i]++;
+    }
+
+    const semanal = tramos.length > 1 && tramos[1].desde - tramos[0].desde > 86400000;
+    const categorias = tramos.map(t => etiquetaFecha(t.etiqueta));
+
+    return [{
+      id: 'altas_bajas',
+      titulo: semanal ? 'Altas y bajas por semana' : 'Altas y bajas por día',
+      ...svgSerie({
+        categorias,
+        series: [
+          { nombre: 'Altas', valores: altas, color: 'verde' },
+          { nombre: 'Bajas', valores: bajas, color: 'rojo' }
+        ]
+      }),
+      tabla: {
+        encabezados: [semanal ? 'Semana desde' : 'Fecha', 'Altas', 'Bajas'],
+        filas: tramos.map((t, i) => [t.etiqueta, altas[i], bajas[i]])
+      }
+    }];
+  },
+
+  planificacion_capacidad: ({ naps = [] }) => {
+    const barras = naps
+      .slice(0, MAX_BARRAS)
+      .map(n => ({
+        etiqueta: n.nap,
+        valor: n.dias_para_saturar,
+        color: n.dias_para_saturar <= 30 ? 'rojo' : 'ambar'
+      }));
+
+    return [{
+      id: 'dias_para_saturar',
+      titulo: naps.length > MAX_BARRAS ? `Días hasta la saturación (los ${MAX_BARRAS} más próximos)` : 'Días hasta la saturación',
+      ...svgBarras({ barras, sufijo: ' d' }),
+      tabla: { encabezados: ['NAP', 'Días', 'Fecha estimada'], filas: naps.slice(0, MAX_BARRAS).map(n => [n.nap, n.dias_para_saturar, n.fecha_saturacion]) }
+    }];
+  },
+
+  disponibilidad_servicio: ({ data, disponibilidad_diaria: diaria }) => {
+    const graficos = [];
+
+    if (diaria?.naps?.length && diaria.tramos.length) {
+      // Las NAPs con peor promedio primero; las que no tuvieron incidentes están al 100 % todo el periodo
+      const filas = diaria.naps
+        .map(n => ({ etiqueta: n.nap_codigo, valores: n.valores, promedio: n.valores.reduce((s, v) => s + v, 0) / n.valores.length }))
+        .sort((a, b) => a.promedio - b.promedio)
+        .slice(0, MAX_FILAS_CALOR);
+      const semanal = diaria.tramos.length > 1 && fechaDeISO(diaria.tramos[1]) - fechaDeISO(diaria.tramos[0]) > 86400000;
+
+      graficos.push({
+        id: 'mapa_disponibilidad',
+        titulo: `Disponibilidad ${semanal ? 'semanal' : 'diaria'} de las NAPs con incidentes`,
+        ...svgMapaCalor({
+          columnas: diaria.tramos.map(etiquetaFecha),
+          filas,
+          escala: ESCALA_DISPONIBILIDAD
+        }),
+        tabla: {
+          encabezados: ['NAP', ...diaria.tramos],
+          filas: filas.map(f => [f.etiqueta, ...f.valores])
+        }
+      });
+    }
+
+    const peores = data
+      .filter(n => n.incidentes_en_periodo > 0)
+      .sort((a, b) => a.disponibilidad_porcentaje - b.disponibilidad_porcentaje)
+      .slice(0, 15)
+      .map(n => ({
+        etiqueta: n.nap_codigo,
+        valor: n.disponibilidad_porcentaje,
+        color: n.disponibilidad_porcentaje >= 99.5 ? 'verde' : n.disponibilidad_porcentaje >= 98 ? 'ambar' : 'rojo'
+      }));
+    if (peores.length) {
+      graficos.push({
+        id: 'menor_disponibilidad',
+        titulo: 'NAPs con menor disponibilidad del periodo',
+        ...svgBarras({ barras: peores, maximo: 100, sufijo: ' %' }),
+        tabla: { encabezados: ['NAP', 'Disponibilidad (%)'], filas: peores.map(b => [b.etiqueta, b.valor]) }
+      });
+    }
+
+    return graficos;
+  }
+};
+
+/**
+ * Gráficos de un reporte
+ *
+ * @function graficosDeReporte
+ * @param {Object} datos - Resultado del reporte ({ data, resumen, parametros, ... })
+ * @param {string} tipo - Tipo de reporte (el de enviarReporteEnFormato)
+ * @returns {Object[]} { id, titulo, svg, ancho, alto, tabla: { encabezados, filas } }; [] si el tipo no tiene gráficos o no hay datos
+ */
+function graficosDeReporte(datos, tipo) {
+  const armar = GRAFICOS_POR_REPORTE[tipo];
+  if (!armar || !datos.data?.length) return [];
+
+  try {
+    return armar(datos).filter(grafico => grafico.tabla.filas.length > 0);
+  } catch (error) {
+    // Un gráfico que falla no debe impedir el reporte
+    console.error(`Error al dibujar los gráficos del reporte ${tipo}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Rasteriza gráficos SVG a PNG (para el Excel), en una sola página del pool
+ *
+ * @async
+ * @function svgAPNG
+ * @param {Object[]} graficos - { svg, ancho, alto }
+ * @returns {Promise<Buffer[]>} Un PNG a doble resolución por gráfico, en el mismo orden
+ */
+async function svgAPNG(graficos) {
+  if (graficos.length === 0) return [];
+
+  return conPagina(async (page) => {
+    const imagenes = [];
+    for (const grafico of graficos) {
+      await page.setViewport({ width: grafico.ancho, height: grafico.alto, deviceScaleFactor: 2 });
+      await page.setContent(`<!DOCTYPE html><html><body style="margin:0">${grafico.svg}</body></html>`);
+      const elemento = await page.$('svg');
+      imagenes.push(Buffer.from(await elemento.screenshot({ type: 'png' })));
+    }
+    return imagenes;
+  });
+}
+
+/**
+ * SVG como data URI, para incrustarlo en un <img>
+ *
+ * @function svgComoDataURI
+ * @param {string} svg - Documento SVG
+ * @returns {string} data:image/svg+xml;base64,...
+ */
+const svgComoDataURI = (svg) => `data:image/svg+xml;base64,${Buffer.from(svg, 'utf8').toString('base64')}`;
+
+module.exports = {
+  svgBarras,
+  svgSerie,
+  svgMapaCalor,
+  graficosDeReporte,
+  svgAPNG,
+  svgComoDataURI
+};
@@ -0,0 +1,41 @@
+const { fechaISOLocal } = require('./fechas');
+
+/**
+ * Historial de estados de conexiones (cambios_estado_conexion)
+ *
+ * @description
+ * - Cada alta y cada cambio de estado de una conexión deja una fila, escrita en la transacción del
+ *   cambio: si el cambio se deshace, la fila también, y si no se puede escribir el cambio falla
+ * - Lo usa la facturación para no cobrar los días suspendidos; la auditoría sigue siendo sólo un registro
+ * - Sólo ve los cambios de instancias (save/update/create), no los update masivos del modelo
+ */
+
+/**
+ * Conecta los hooks de Conexion que escriben el historial
+ *
+ * @function configurarHistorialConexiones
+ * @param {Object} modelos - { Conexion, CambioEstadoConexion }
+ */
+function configurarHistorialConexiones({ Conexion, CambioEstadoConexion }) {
+  const registrar = (conexion, estadoAnterior, options) => CambioEstadoConexion.create({
+    conexion_id: conexion.id,
+    estado_anterior: estadoAnterior,
+    estado_nuevo: conexion.estado,
+    fecha: fechaISOLocal(new Date()),
+    cambiado_por: options.userId || options.transaction?.userId || null,
+    origen: options.origen || options.transaction?.origen || null
+  }, { transaction: options.transaction });
+
+  Conexion.addHook('afterCreate', async (conexion, options) => {
+    await registrar(conexion, null, options);
+  });
+
+  Conexion.addHook('afterUpdate', async (conexion, options) => {
+    if (!conexion.changed('estado') || conexion.previous('estado') === conexion.estado) return;
+    await registrar(conexion, conexion.previous('estado'), options);
+  });
+}
+
+module.exports = {
+  configurarHistorialConexiones
+};
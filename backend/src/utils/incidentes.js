@@ -0,0 +1,162 @@
+const { Op } = require('sequelize');
+const { Incidente, IncidenteAfectado, IncidenteConexion, NAP, Usuario } = require('../models');
+const { filtroPorNAP } = require('./zonas');
+
+const MS_POR_MINUTO = 60 * 1000;
+const MS_POR_DIA = 24 * 60 * MS_POR_MINUTO;
+
+const minutosEntre = (desde, hasta) => Math.max(0, Math.round((hasta - desde) / MS_POR_MINUTO));
+
+/**
+ * Intervalo de caída de un incidente recortado a un periodo
+ *
+ * @function intervaloEnPeriodo
+ * @param {Object} incidente - Incidente con fecha_inicio y fecha_resolucion
+ * @param {Date} desde - Inicio del periodo
+ * @param {Date} hasta - Fin del periodo
+ * @returns {Array<Date>|null} [inicio, fin] dentro del periodo, o null si no se solapan
+ *
+ * @description
+ * - Un incidente ABIERTO sigue caído hasta el fin del periodo
+ */
+function intervaloEnPeriodo(incidente, desde, hasta) {
+  const inicio = new Date(Math.max(new Date(incidente.fecha_inicio), desde));
+  const fin = new Date(Math.min(incidente.fecha_resolucion ? new Date(incidente.fecha_resolucion) : hasta, hasta));
+  return inicio < fin ? [inicio, fin] : null;
+}
+
+/**
+ * Minutos cubiertos por un conjunto de intervalos, sin contar dos veces los solapados
+ *
+ * @function minutosCubiertos
+ * @param {Array<Array<Date>>} intervalos - Pares [inicio, fin]
+ * @returns {number} Minutos de la unión de los intervalos
+ *
+ * @example
+ * // 10:00-11:00 y 10:30-12:00 → 120
+ */
+function minutosCubiertos(intervalos) {
+  const ordenados = [...intervalos].sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let actual = null;
+
+  for (const [inicio, fin] of ordenados) {
+    if (actual && inicio <= actual[1]) {
+      if (fin > actual[1]) actual[1] = fin;
+    } else {
+      if (actual) total += minutosEntre(actual[0], actual[1]);
+      actual = [inicio, fin];
+    }
+  }
+  if (actual) total += minutosEntre(actual[0], actual[1]);
+
+  return total;
+}
+
+const fechaLocal = (fecha) => `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}-${String(fecha.getDate()).padStart(2, '0')}`;
+
+/**
+ * Divide un periodo en días, o en semanas si pasa de maxDias, para series y mapas de calor
+ *
+ * @function tramosDelPeriodo
+ * @param {Date} desde - Inicio del periodo
+ * @param {Date} hasta - Fin del periodo
+ * @param {number} [maxDias=62] - Días a partir de los cuales se agrupa por semana
+ * @returns {Array<Object>} { desde, hasta, etiqueta } con etiqueta = "AAAA-MM-DD" del primer día del tramo
+ */
+function tramosDelPeriodo(desde, hasta, maxDias = 62) {
+  const dias = Math.ceil((hasta - desde) / MS_POR_DIA);
+  const paso = dias > maxDias ? 7 : 1;
+  const tramos = [];
+
+  const inicio = new Date(desde);
+  inicio.setHours(0, 0, 0, 0);
+  while (inicio < hasta) {
+    const fin = new Date(inicio);
+    fin.setDate(fin.getDate() + paso);
+    tramos.push({
+      desde: new Date(Math.max(inicio, desde)),
+      hasta: new Date(Math.min(fin, hasta)),
+      etiqueta: fechaLocal(inicio)
+    });
+    inicio.setTime(fin.getTime());
+  }
+
+  return tramos;
+}
+
+/**
+ * Porcentaje en servicio de cada tramo, dados los intervalos de caída
+ *
+ * @function disponibilidadPorTramo
+ * @param {Array<Array<Date>>} intervalos - Pares [inicio, fin] de caída
+ * @param {Array<Object>} tramos - Resultado de tramosDelPeriodo
+ * @returns {number[]} Disponibilidad (0-100, dos decimales) de cada tramo
+ */
+function disponibilidadPorTramo(intervalos, tramos) {
+  return tramos.map(({ desde, hasta }) => {
+    const minutos = minutosEntre(desde, hasta);
+    if (minutos === 0) return 100;
+
+    const recortados = intervalos
+      .map(([inicio, fin]) => [new Date(Math.max(inicio, desde)), new Date(Math.min(fin, hasta))])
+      .filter(([inicio, fin]) => inicio < fin);
+    return Math.max(0, Math.round(((minutos - minutosCubiertos(recortados)) / minutos) * 10000) / 100);
+  });
+}
+
+/**
+ * Busca los incidentes que se solapan con un periodo, limitados a las zonas del reporte
+ *
+ * @async
+ * @function buscarIncidentesEnPeriodo
+ * @param {Object} opciones
+ * @param {Date} [opciones.desde] - Inicio del periodo (sin límite si no se indica)
+ * @param {Date} [opciones.hasta] - Fin del periodo (sin límite si no se indica)
+ * @param {string[]|null} [opciones.alcance] - Zonas visibles; null = todas
+ * @returns {Promise<Object[]>} Incidentes con afectados (y su NAP) y conexiones de la foto
+ *
+ * @description
+ * - Sólo incidentes con algún NAP afectado dentro del alcance; afectados y
+ *   conexiones fuera del alcance no se cargan, para que un incidente que cruza
+ *   zonas sólo sume lo que corresponde a cada una
+ */
+async function buscarIncidentesEnPeriodo({ desde, hasta, alcance = null } = {}) {
+  const condiciones = [];
+  if (hasta) condiciones.push({ fecha_inicio: { [Op.lte]: hasta } });
+  if (desde) {
+    condiciones.push({ [Op.or]: [{ fecha_resolucion: null }, { fecha_resolucion: { [Op.gte]: desde } }] });
+  }
+
+  return Incidente.findAll({
+    where: { [Op.and]: condiciones },
+    include: [
+      {
+        model: IncidenteAfectado,
+        as: 'afectados',
+        where: filtroPorNAP(alcance),
+        required: true,
+        include: [{ model: NAP, as: 'nap', attributes: ['id', 'codigo', 'ubicacion', 'modelo', 'zona_id'] }]
+      },
+      {
+        model: IncidenteConexion,
+        as: 'conexiones',
+        where: filtroPorNAP(alcance),
+        required: false,
+        separate: true,
+        attributes: ['id', 'incidente_id', 'nap_id', 'cliente_id']
+      },
+      { model: Usuario, as: 'abierto_por_usuario', attributes: ['nombre'] }
+    ],
+    order: [['fecha_inicio', 'DESC']]
+  });
+}
+
+module.exports = {
+  minutosEntre,
+  intervaloEnPeriodo,
+  minutosCubiertos,
+  tramosDelPeriodo,
+  disponibilidadPorTramo,
+  buscarIncidentesEnPeriodo
+};
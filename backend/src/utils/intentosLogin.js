@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, IntentoLogin } = require('../models');
+
+const MAX_INTENTOS_CUENTA = parseInt(process.env.LOGIN_MAX_INTENTOS_CUENTA || '5');
+const MAX_INTENTOS_IP = parseInt(process.env.LOGIN_MAX_INTENTOS_IP || '20');
+const BLOQUEO_MINUTOS = parseInt(process.env.LOGIN_BLOQUEO_MINUTOS || '15');
+
+// Los intentos se cuentan dentro de una ventana del mismo largo que el bloqueo
+const VENTANA_MS = BLOQUEO_MINUTOS * 60000;
+
+// Sin espera los dos primeros fallos; después 1, 2, 4, 8... segundos (máximo 30)
+const INTENTOS_SIN_RETRASO = 2;
+const RETRASO_MAXIMO_SEGUNDOS = 30;
+
+const normalizarCorreo = (correo) => String(correo || '').trim().toLowerCase();
+
+const retrasoSegundos = (intentos) => intentos <= INTENTOS_SIN_RETRASO
+  ? 0
+  : Math.min(2 ** (intentos - INTENTOS_SIN_RETRASO - 1), RETRASO_MAXIMO_SEGUNDOS);
+
+const segundosHasta = (fecha) => Math.max(1, Math.ceil((new Date(fecha) - Date.now()) / 1000));
+
+const ventanaVencida = (registro) =>
+  Date.now() - new Date(registro.primer_intento).getTime() > VENTANA_MS
+  || (registro.bloqueado_hasta && new Date(registro.bloqueado_hasta) <= new Date());
+
+/**
+ * Revisa si un intento de login puede procesarse
+ *
+ * @async
+ * @function verificarIntentos
+ * @param {string} correo - Correo con el que se intenta ingresar
+ * @param {string} ip - IP del cliente
+ *
+ * @returns {Promise<Object>} { permitido: true } o { permitido: false, motivo: 'BLOQUEO'|'RETRASO', tipo, reintentar_en }
+ *
+ * @description
+ * - BLOQUEO: la cuenta o la IP superaron el máximo de intentos y siguen bloqueadas
+ * - RETRASO: retraso progresivo; todavía no pasó el tiempo de espera desde el último fallo
+ */
+async function verificarIntentos(correo, ip) {
+  const registros = await IntentoLogin.findAll({
+    where: {
+      [Op.or]: [
+        { tipo: 'CUENTA', clave: normalizarCorreo(correo) },
+        { tipo: 'IP', clave: ip }
+      ]
+    }
+  });
+
+  const ahora = new Date();
+
+  for (const registro of registros) {
+    if (registro.bloqueado_hasta && new Date(registro.bloqueado_hasta) > ahora) {
+      return { permitido: false, motivo: 'BLOQUEO', tipo: registro.tipo, reintentar_en: segundosHasta(registro.bloqueado_hasta) };
+    }
+  }
+
+  for (const registro of registros) {
+    if (ventanaVencida(registro)) continue;
+
+    const esperaHasta = new Date(new Date(registro.ultimo_intento).getTime() + retrasoSegundos(registro.intentos) * 1000);
+    if (esperaHasta > ahora) {
+      return { permitido: false, motivo: 'RETRASO', tipo: registro.tipo, reintentar_en: segundosHasta(esperaHasta) };
+    }
+  }
+
+  return { permitido: true };
+}
+
+// Ventana vencida (ver ventanaVencida), evaluada sobre la fila existente del upsert
+const VENTANA_VENCIDA_SQL = `(intentos_login.primer_intento < :inicioVentana
+  OR (intentos_login.bloqueado_hasta IS NOT NULL AND intentos_login.bloqueado_hasta <= :ahora))`;
+
+/**
+ * Suma un fallo al contador en una sola sentencia
+ *
+ * @async
+ * @function incrementar
+ * @param {string} tipo - 'CUENTA' o 'IP'
+ * @param {string} clave - Correo normalizado o IP
+ * @param {number} maximo - Intentos que disparan el bloqueo
+ * @returns {Promise<Object>} { intentos, bloqueado, bloqueado_hasta }
+ *
+ * @description
+ * - INSERT ... ON CONFLICT DO UPDATE: los fallos concurrentes se suman todos (leer, sumar y guardar
+ *   por separado perdía incrementos y un ataque en paralelo nunca llegaba al bloqueo)
+ * - En la misma sentencia reinicia la ventana vencida y fija el bloqueo al llegar al máximo
+ */
+const incrementar = async (tipo, clave, maximo) => {
+  const ahora = new Date();
+  const intentosNuevos = `CASE WHEN ${VENTANA_VENCIDA_SQL} THEN 1 ELSE intentos_login.intentos + 1 END`;
+
+  const [filas] = await sequelize.query(`
+    INSERT INTO intentos_login (id, tipo, clave, intentos, primer_intento, ultimo_intento, bloqueado_hasta, "createdAt", "updatedAt")
+    VALUES (:id, :tipo, :clave, 1, :ahora, :ahora, CASE WHEN 1 >= :maximo THEN CAST(:bloqueoHasta AS TIMESTAMPTZ) END, :ahora, :ahora)
+    ON CONFLICT (tipo, clave) DO UPDATE SET
+      intentos = ${intentosNuevos},
+      primer_intento = CASE WHEN ${VENTANA_VENCIDA_SQL} THEN :ahora ELSE intentos_login.primer_intento END,
+      ultimo_intento = :ahora,
+      bloqueado_hasta = CASE
+        WHEN ${intentosNuevos} >= :maximo THEN CAST(:bloqueoHasta AS TIMESTAMPTZ)
+        WHEN ${VENTANA_VENCIDA_SQL} THEN NULL
+        ELSE intentos_login.bloqueado_hasta
+      END,
+      "updatedAt" = :ahora
+    RETURNING intentos, bloqueado_hasta
+  `, {
+    replacements: {
+      id: crypto.randomUUID(),
+      tipo,
+      clave,
+      maximo,
+      ahora,
+      inicioVentana: new Date(ahora.getTime() - VENTANA_MS),
+      bloqueoHasta: new Date(ahora.getTime() + BLOQUEO_MINUTOS * 60000)
+    }
+  });
+
+  const { intentos, bloqueado_hasta: bloqueadoHasta } = filas[0];
+  return { intentos, bloqueado: intentos >= maximo, bloqueado_hasta: bloqueadoHasta };
+};
+
+/**
+ * Registra un login fallido para la cuenta y para la IP
+ *
+ * @async
+ * @function registrarFallo
+ * @param {string} correo - Correo usado en el intento
+ * @param {string} ip - IP del cliente
+ *
+ * @returns {Promise<Object>} { cuenta: { intentos, bloqueado, bloqueado_hasta }, ip: {...} }
+ */
+async function registrarFallo(correo, ip) {
+  const cuenta = await incrementar('CUENTA', normalizarCorreo(correo), MAX_INTENTOS_CUENTA);
+  const porIp = await incrementar('IP', ip, MAX_INTENTOS_IP);
+
+  return { cuenta, ip: porIp };
+}
+
+/**
+ * Borra el contador de una cuenta (login exitoso o desbloqueo manual)
+ *
+ * @async
+ * @function limpiarIntentosCuenta
+ * @param {string} correo - Correo de la cuenta
+ * @returns {Promise<number>} Registros eliminados
+ */
+async function limpiarIntentosCuenta(correo) {
+  return IntentoLogin.destroy({ where: { tipo: 'CUENTA', clave: normalizarCorreo(correo) } });
+}
+
+/**
+ * Obtiene los bloqueos vigentes de un conjunto de cuentas
+ *
+ * @async
+ * @function obtenerBloqueosCuentas
+ * @param {string[]} correos - Correos a consultar
+ * @returns {Promise<Object>} Mapa correo (minúsculas) → fecha de fin del bloqueo
+ */
+async function obtenerBloqueosCuentas(correos) {
+  const registros = await IntentoLogin.findAll({
+    where: {
+      tipo: 'CUENTA',
+      clave: { [Op.in]: correos.map(normalizarCorreo) },
+      bloqueado_hasta: { [Op.gt]: new Date() }
+    },
+    attributes: ['clave', 'bloqueado_hasta']
+  });
+
+  return registros.reduce((acc, r) => {
+    acc[r.clave] = r.bloqueado_hasta;
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  MAX_INTENTOS_CUENTA,
+  BLOQUEO_MINUTOS,
+  normalizarCorreo,
+  verificarIntentos,
+  registrarFallo,
+  limpiarIntentosCuenta,
+  obtenerBloqueosCuentas
+};
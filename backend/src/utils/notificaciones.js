@@ -0,0 +1,277 @@
+const { Op } = require('sequelize');
+const { sequelize, Alerta, NAP, Usuario, CanalNotificacion, Notificacion } = require('../models');
+const { enviarPorCanal } = require('./canalesNotificacion');
+const { obtenerAlcanceZonas } = require('./zonas');
+const { rolTienePermiso } = require('./permisos');
+
+/**
+ * Notificaciones de alertas fuera de la aplicación (tabla notificaciones)
+ *
+ * @description
+ * - Al abrirse una alerta o subir de nivel, encolarNotificaciones crea una notificación PENDIENTE por
+ *   cada canal activo que incluya el nivel, de cada usuario activo con alertas:ver y la zona del NAP
+ * - Cada instancia con NOTIFICACIONES_ACTIVAS distinto de 'false' revisa la cola cada
+ *   NOTIFICACIONES_INTERVALO_MS (default: 15000) y, además, apenas se encola algo; toma las pendientes
+ *   con FOR UPDATE SKIP LOCKED, así varias instancias no envían la misma
+ * - Un envío fallido se reintenta con espera exponencial (30 s, 1 min, 2 min, ... hasta 1 hora) y tras
+ *   NOTIFICACIONES_MAX_INTENTOS (default: 6) queda FALLIDA; un ADMIN puede reintentarla desde la API
+ * - La tabla es además el registro de entregas: destino, intentos, último error y hora de envío
+ */
+
+const INTERVALO_MS = parseInt(process.env.NOTIFICACIONES_INTERVALO_MS || '15000', 10);
+const MAX_INTENTOS = parseInt(process.env.NOTIFICACIONES_MAX_INTENTOS || '6', 10);
+const ESPERA_BASE_MS = 30 * 1000;
+const ESPERA_MAX_MS = 60 * 60 * 1000;
+// Una notificación tomada por una instancia que se cae vuelve a la cola pasado este tiempo
+const RESERVA_MS = 5 * 60 * 1000;
+const LOTE = 20;
+
+let temporizador = null;
+let ocupado = false;
+let repetir = false;
+
+/**
+ * Espera antes del siguiente intento tras `intentos` fallidos
+ *
+ * @function esperaReintento
+ * @param {number} intentos - Intentos ya realizados (1 o más)
+ * @returns {number} Milisegundos
+ */
+const esperaReintento = (intentos) => Math.min(ESPERA_BASE_MS * 2 ** (intentos - 1), ESPERA_MAX_MS);
+
+const enlaceAlertas = () => `${(process.env.FRONTEND_URL || 'http://localhost:4200').replace(/\/$/, '')}/alertas`;
+
+/**
+ * Arma el mensaje de una alerta para cualquier canal
+ *
+ * @function mensajeDeAlerta
+ * @param {Object} alerta - Alerta con su nap (codigo, ubicacion)
+ * @param {string} evento - ABIERTA o ESCALADA
+ * @param {string} notificacionId - ID de la notificación (identifica la entrega en el webhook)
+ * @returns {Object} { asunto, texto, datos }
+ */
+function mensajeDeAlerta(alerta, evento, notificacionId) {
+  const prefijo = evento === 'ESCALADA' ? `[${alerta.nivel}] Subió de nivel:` : `[${alerta.nivel}]`;
+
+  return {
+    asunto: `${prefijo} ${alerta.mensaje}`,
+    texto: [
+      alerta.detalle,
+      `Estado: ${alerta.estado}`,
+      `Detectada: ${new Date(alerta.primera_deteccion).toLocaleString('es-BO')}`,
+      '',
+      `Ver alertas: ${enlaceAlertas()}`
+    ].filter(linea => linea !== null && linea !== undefined).join('\n'),
+    datos: {
+      id: notificacionId,
+      evento: evento === 'ESCALADA' ? 'alerta.escalada' : 'alerta.abierta',
+      fecha: new Date().toISOString(),
+      alerta: {
+        id: alerta.id,
+        tipo: alerta.tipo,
+        nivel: alerta.nivel,
+        estado: alerta.estado,
+        mensaje: alerta.mensaje,
+        detalle: alerta.detalle,
+        nap_id: alerta.nap_id,
+        nap_codigo: alerta.nap?.codigo ?? null,
+        primera_deteccion: alerta.primera_deteccion
+      }
+    }
+  };
+}
+
+/**
+ * Encola las notificaciones de una alerta abierta o escalada
+ *
+ * @async
+ * @function encolarNotificaciones
+ * @param {Object} alerta - Instancia de Alerta recién creada o actualizada
+ * @param {string} evento - ABIERTA o ESCALADA
+ * @returns {Promise<number>} Notificaciones encoladas
+ *
+ * @description
+ * - No lanza: un error al encolar se registra en el log y no frena la evaluación de alertas
+ */
+async function encolarNotificaciones(alerta, evento) {
+  try {
+    const nap = await NAP.findByPk(alerta.nap_id, { attributes: ['zona_id'] });
+
+    const canales = await CanalNotificacion.findAll({
+      where: { activo: true },
+      include: [{
+        model: Usuario,
+        as: 'usuario',
+        where: { activo: true },
+        attributes: ['id', 'rol', 'correo']
+      }]
+    });
+
+    // Permiso y zonas se verifican una vez por usuario
+    const habilitados = new Map();
+    const puedeRecibir = async (usuario) => {
+      if (!habilitados.has(usuario.id)) {
+        const alcance = await obtenerAlcanceZonas({ usuario });
+        habilitados.set(usuario.id, await rolTienePermiso(usuario.rol, 'alertas:ver') &&
+          (!alcance || alcance.includes(nap?.zona_id)));
+      }
+      return habilitados.get(usuario.id);
+    };
+
+    const ahora = new Date();
+    const notificaciones = [];
+    for (const canal of canales) {
+      if (!canal.niveles.includes(alerta.nivel) || !(await puedeRecibir(canal.usuario))) continue;
+
+      const destino = canal.destino || (canal.tipo === 'CORREO' ? canal.usuario.correo : null);
+      if (!destino) continue;
+
+      notificaciones.push({
+        alerta_id: alerta.id,
+        canal_id: canal.id,
+        usuario_id: canal.usuario_id,
+        canal: canal.tipo,
+        destino,
+        evento,
+        nivel: alerta.nivel,
+        proximo_intento: ahora
+      });
+    }
+
+    if (notificaciones.length) {
+      await Notificacion.bulkCreate(notificaciones);
+      solicitarEnvio();
+    }
+    return notificaciones.length;
+  } catch (error) {
+    console.error('Error al encolar notificaciones de alerta:', error);
+    return 0;
+  }
+}
+
+// Toma un lote de pendientes vencidas y las reserva, en una transacción
+async function tomarPendientes() {
+  return sequelize.transaction(async (transaction) => {
+    const pendientes = await Notificacion.findAll({
+      where: { estado: 'PENDIENTE', proximo_intento: { [Op.lte]: new Date() } },
+      order: [['proximo_intento', 'ASC']],
+      limit: LOTE,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+
+    for (const notificacion of pendientes) {
+      await notificacion.update({
+        intentos: notificacion.intentos + 1,
+        proximo_intento: new Date(Date.now() + RESERVA_MS)
+      }, { transaction });
+    }
+
+    return pendientes;
+  });
+}
+
+/**
+ * Intenta entregar una notificación ya reservada y registra el resultado
+ *
+ * @async
+ * @function entregarNotificacion
+ * @param {Object} notificacion - Instancia de Notificacion con intentos ya incrementado
+ * @returns {Promise<Object>} La notificación actualizada (ENVIADA, PENDIENTE o FALLIDA)
+ */
+async function entregarNotificacion(notificacion) {
+  try {
+    const alerta = await Alerta.findByPk(notificacion.alerta_id, {
+      include: [{ model: NAP, as: 'nap', attributes: ['codigo', 'ubicacion'] }]
+    });
+    const canal = notificacion.canal_id
+      ? await CanalNotificacion.findByPk(notificacion.canal_id, { attributes: ['secreto'] })
+      : null;
+    if (notificacion.canal === 'WEBHOOK' && !canal) {
+      throw new Error('El canal fue eliminado');
+    }
+
+    await enviarPorCanal(
+      notificacion.canal,
+      notificacion.destino,
+      mensajeDeAlerta(alerta, notificacion.evento, notificacion.id),
+      canal?.secreto
+    );
+
+    return notificacion.update({ estado: 'ENVIADA', enviada_en: new Date(), proximo_intento: null, ultimo_error: null });
+  } catch (error) {
+    const agotada = notificacion.intentos >= MAX_INTENTOS;
+    return notificacion.update({
+      estado: agotada ? 'FALLIDA' : 'PENDIENTE',
+      proximo_intento: agotada ? null : new Date(Date.now() + esperaReintento(notificacion.intentos)),
+      ultimo_error: error.message
+    });
+  }
+}
+
+/**
+ * Una pasada de la cola: envía las notificaciones pendientes vencidas
+ *
+ * @async
+ * @function procesarNotificaciones
+ * @returns {Promise<void>}
+ */
+async function procesarNotificaciones() {
+  if (ocupado) {
+    repetir = true;
+    return;
+  }
+  ocupado = true;
+
+  try {
+    let pendientes = await tomarPendientes();
+    while (pendientes.length) {
+      for (const notificacion of pendientes) {
+        await entregarNotificacion(notificacion);
+      }
+      pendientes = await tomarPendientes();
+    }
+  } catch (error) {
+    console.error('Error en la cola de notificaciones:', error);
+  } finally {
+    ocupado = false;
+    if (repetir) {
+      repetir = false;
+      setImmediate(procesarNotificaciones);
+    }
+  }
+}
+
+/**
+ * Pide una pasada de la cola ya mismo, si esta instancia envía notificaciones
+ *
+ * @function solicitarEnvio
+ */
+function solicitarEnvio() {
+  if (temporizador) setImmediate(procesarNotificaciones);
+}
+
+/**
+ * Arranca la cola de notificaciones en este proceso
+ *
+ * @function iniciarNotificaciones
+ * @returns {boolean} true si quedó activa
+ */
+function iniciarNotificaciones() {
+  if (process.env.NOTIFICACIONES_ACTIVAS === 'false' || temporizador) return false;
+
+  temporizador = setInterval(procesarNotificaciones, INTERVALO_MS);
+  procesarNotificaciones();
+  return true;
+}
+
+module.exports = {
+  esperaReintento,
+  mensajeDeAlerta,
+  encolarNotificaciones,
+  entregarNotificacion,
+  procesarNotificaciones,
+  solicitarEnvio,
+  iniciarNotificaciones
+};
@@ -0,0 +1,302 @@
+const { Op, fn, col } = require('sequelize');
+const { NAP, Puerto, Zona, OcupacionDiaria } = require('../models');
+const { fechaISOLocal } = require('./fechas');
+
+/**
+ * Histórico diario de ocupación de NAPs (ocupaciones_diarias)
+ *
+ * @description
+ * - Cada instancia con OCUPACION_HISTORICA_ACTIVA distinto de 'false' cuenta los puertos de cada NAP
+ *   por estado cada OCUPACION_HISTORICA_INTERVALO_MS (default: 3600000) y actualiza la fila del día:
+ *   al cambiar la fecha, la del día anterior queda con su ocupación al cierre
+ * - La escritura es un upsert por (nap_id, fecha): varias instancias o un reinicio no duplican filas
+ * - Los días con el servidor apagado quedan sin fila; el crecimiento se calcula igual con los días
+ *   que sí hay (regresión lineal sobre la fecha)
+ */
+
+const INTERVALO_MS = parseInt(process.env.OCUPACION_HISTORICA_INTERVALO_MS || '3600000', 10);
+const DIAS_POR_DEFECTO = 90;
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+const CAMPO_POR_ESTADO = {
+  LIBRE: 'puertos_libres',
+  OCUPADO: 'puertos_ocupados',
+  MANTENIMIENTO: 'puertos_mantenimiento'
+};
+
+let temporizador = null;
+let ocupado = false;
+
+const redondear = (valor, decimales = 2) => Math.round(valor * 10 ** decimales) / 10 ** decimales;
+
+const porcentaje = (ocupados, total) => (total > 0 ? redondear((ocupados / total) * 100) : 0);
+
+// Días entre dos fechas 'AAAA-MM-DD' (Date.UTC evita el salto de horario de verano)
+const diasEntre = (desde, hasta) => {
+  const utc = (iso) => Date.UTC(Number(iso.slice(0, 4)), Number(iso.slice(5, 7)) - 1, Number(iso.slice(8, 10)));
+  return Math.round((utc(hasta) - utc(desde)) / MS_POR_DIA);
+};
+
+/**
+ * Guarda (o actualiza) la ocupación del día de todos los NAPs
+ *
+ * @async
+ * @function registrarOcupacionDiaria
+ * @param {Date} [fecha=new Date()] - Día de la foto
+ * @returns {Promise<number>} Cantidad de NAPs registrados
+ */
+async function registrarOcupacionDiaria(fecha = new Date()) {
+  const dia = fechaISOLocal(fecha);
+
+  const [naps, conteos] = await Promise.all([
+    NAP.findAll({ attributes: ['id', 'total_puertos'], raw: true }),
+    Puerto.findAll({
+      attributes: ['nap_id', 'estado', [fn('COUNT', col('id')), 'cantidad']],
+      group: ['nap_id', 'estado'],
+      raw: true
+    })
+  ]);
+
+  const filas = new Map(naps.map(nap => [nap.id, {
+    nap_id: nap.id,
+    fecha: dia,
+    total_puertos: nap.total_puertos,
+    puertos_libres: 0,
+    puertos_ocupados: 0,
+    puertos_mantenimiento: 0
+  }]));
+
+  for (const conteo of conteos) {
+    const fila = filas.get(conteo.nap_id);
+    const campo = CAMPO_POR_ESTADO[conteo.estado];
+    if (fila && campo) fila[campo] = Number(conteo.cantidad);
+  }
+
+  await OcupacionDiaria.bulkCreate([...filas.values()], {
+    conflictAttributes: ['nap_id', 'fecha'],
+    updateOnDuplicate: ['total_puertos', 'puertos_libres', 'puertos_ocupados', 'puertos_mantenimiento', 'updatedAt']
+  });
+
+  return filas.size;
+}
+
+/**
+ * Rango de fechas de una consulta de histórico
+ *
+ * @function rangoHistorico
+ * @param {Object} query - req.query con desde y hasta opcionales (AAAA-MM-DD)
+ * @returns {Object} { desde, hasta } como 'AAAA-MM-DD'; por defecto los últimos 90 días hasta hoy
+ */
+function rangoHistorico({ desde, hasta } = {}) {
+  const fin = hasta ? hasta.slice(0, 10) : fechaISOLocal(new Date());
+  if (desde) return { desde: desde.slice(0, 10), hasta: fin };
+
+  const inicio = new Date(Number(fin.slice(0, 4)), Number(fin.slice(5, 7)) - 1, Number(fin.slice(8, 10)) - (DIAS_POR_DEFECTO - 1));
+  return { desde: fechaISOLocal(inicio), hasta: fin };
+}
+
+const puntoSerie = (fila) => {
+  const total = Number(fila.total_puertos);
+  const ocupados = Number(fila.puertos_ocupados);
+
+  return {
+    fecha: fila.fecha,
+    total_puertos: total,
+    puertos_libres: Number(fila.puertos_libres),
+    puertos_ocupados: ocupados,
+    puertos_mantenimiento: Number(fila.puertos_mantenimiento),
+    porcentaje_ocupacion: porcentaje(ocupados, total)
+  };
+};
+
+// Calificadas: crecimientoPorZona une naps, que también tiene total_puertos
+const SUMAS = ['total_puertos', 'puertos_libres', 'puertos_ocupados', 'puertos_mantenimiento']
+  .map(campo => [fn('SUM', col(`OcupacionDiaria.${campo}`)), campo]);
+
+/**
+ * Serie diaria de ocupación sumando los NAPs que cumplen la condición
+ *
+ * @async
+ * @function serieOcupacion
+ * @param {Object} opciones
+ * @param {Object} [opciones.where={}] - Condición sobre ocupaciones_diarias (p. ej. filtroPorNAP o { nap_id })
+ * @param {string} opciones.desde - Primer día (AAAA-MM-DD)
+ * @param {string} opciones.hasta - Último día (AAAA-MM-DD)
+ * @returns {Promise<Object[]>} { fecha, total_puertos, puertos_libres, puertos_ocupados,
+ * puertos_mantenimiento, porcentaje_ocupacion } por día con datos, de la más antigua a la más reciente
+ */
+async function serieOcupacion({ where = {}, desde, hasta }) {
+  const filas = await OcupacionDiaria.findAll({
+    where: { [Op.and]: [where, { fecha: { [Op.between]: [desde, hasta] } }] },
+    attributes: ['fecha', ...SUMAS],
+    group: ['fecha'],
+    order: [['fecha', 'ASC']],
+    raw: true
+  });
+
+  return filas.map(puntoSerie);
+}
+
+/**
+ * Tasa de crecimiento de una serie de ocupación
+ *
+ * @function crecimientoOcupacion
+ * @param {Object[]} serie - Resultado de serieOcupacion (ordenada por fecha)
+ * @returns {Object|null} null con menos de dos días de datos; si no:
+ * - desde, hasta, dias: primer y último día con datos y días entre ambos
+ * - variacion_puertos / variacion_porcentaje: último día menos el primero
+ * - puertos_por_dia, puertos_por_mes (30 días) y puntos_por_mes (puntos porcentuales): pendiente de
+ *   la recta de mínimos cuadrados, que no depende sólo de los extremos
+ *
+ * @example
+ * crecimientoOcupacion(serie);
+ * // { desde: '2024-01-01', hasta: '2024-03-30', dias: 89, variacion_puertos: 12,
+ * //   variacion_porcentaje: 18.75, puertos_por_dia: 0.135, puertos_por_mes: 4.1, puntos_por_mes: 6.32 }
+ */
+function crecimientoOcupacion(serie) {
+  if (serie.length < 2) return null;
+
+  const primero = serie[0];
+  const ultimo = serie[serie.length - 1];
+  const dias = diasEntre(primero.fecha, ultimo.fecha);
+  const xs = serie.map(punto => diasEntre(primero.fecha, punto.fecha));
+
+  const pendiente = (ys) => {
+    const mediaX = xs.reduce((s, x) => s + x, 0) / xs.length;
+    const mediaY = ys.reduce((s, y) => s + y, 0) / ys.length;
+    const varianza = xs.reduce((s, x) => s + (x - mediaX) ** 2, 0);
+    return varianza > 0 ? xs.reduce((s, x, i) => s + (x - mediaX) * (ys[i] - mediaY), 0) / varianza : 0;
+  };
+
+  const puertosPorDia = pendiente(serie.map(punto => punto.puertos_ocupados));
+
+  return {
+    desde: primero.fecha,
+    hasta: ultimo.fecha,
+    dias,
+    variacion_puertos: ultimo.puertos_ocupados - primero.puertos_ocupados,
+    variacion_porcentaje: redondear(ultimo.porcentaje_ocupacion - primero.porcentaje_ocupacion),
+    puertos_por_dia: redondear(puertosPorDia, 3),
+    puertos_por_mes: redondear(puertosPorDia * 30, 1),
+    puntos_por_mes: redondear(pendiente(serie.map(punto => punto.porcentaje_ocupacion)) * 30)
+  };
+}
+
+// Agrupa filas por clave en series (ya vienen ordenadas por fecha) y calcula su crecimiento
+const crecimientoPorClave = (filas, clave) => {
+  const series = new Map();
+  for (const fila of filas) {
+    const id = fila[clave] ?? null;
+    if (!series.has(id)) series.set(id, []);
+    series.get(id).push(puntoSerie(fila));
+  }
+
+  return [...series.entries()].map(([id, serie]) => ({
+    id,
+    ocupacion_inicial: serie[0],
+    ocupacion_actual: serie[serie.length - 1],
+    crecimiento: crecimientoOcupacion(serie)
+  }));
+};
+
+// Más rápidos primero; sin crecimiento calculable (un solo día de datos) al final
+const porCrecimiento = (a, b) => (b.crecimiento?.puertos_por_mes ?? -Infinity) - (a.crecimiento?.puertos_por_mes ?? -Infinity);
+
+/**
+ * Crecimiento de ocupación de cada NAP en el rango
+ *
+ * @async
+ * @function crecimientoPorNAP
+ * @param {Object} opciones - { where, desde, hasta } como en serieOcupacion
+ * @returns {Promise<Object[]>} { nap, ocupacion_inicial, ocupacion_actual, crecimiento }, los que más
+ * crecen primero
+ */
+async function crecimientoPorNAP({ where = {}, desde, hasta }) {
+  const filas = await OcupacionDiaria.findAll({
+    where: { [Op.and]: [where, { fecha: { [Op.between]: [desde, hasta] } }] },
+    attributes: ['nap_id', 'fecha', 'total_puertos', 'puertos_libres', 'puertos_ocupados', 'puertos_mantenimiento'],
+    order: [['nap_id', 'ASC'], ['fecha', 'ASC']],
+    raw: true
+  });
+
+  const crecimientos = crecimientoPorClave(filas, 'nap_id');
+  const naps = await NAP.findAll({
+    where: { id: { [Op.in]: crecimientos.map(c => c.id) } },
+    attributes: ['id', 'codigo', 'ubicacion', 'estado'],
+    include: [{ model: Zona, as: 'zona', attributes: ['id', 'nombre'] }]
+  });
+  const napPorId = new Map(naps.map(nap => [nap.id, nap]));
+
+  return crecimientos
+    .map(({ id, ...resto }) => ({ nap: napPorId.get(id), ...resto }))
+    .filter(c => c.nap)
+    .sort(porCrecimiento);
+}
+
+/**
+ * Crecimiento de ocupación de cada zona en el rango (zona actual de cada NAP)
+ *
+ * @async
+ * @function crecimientoPorZona
+ * @param {Object} opciones - { where, desde, hasta } como en serieOcupacion
+ * @returns {Promise<Object[]>} { zona, ocupacion_inicial, ocupacion_actual, crecimiento }, las que más
+ * crecen primero; los NAPs sin zona se agrupan con zona null
+ */
+async function crecimientoPorZona({ where = {}, desde, hasta }) {
+  const filas = await OcupacionDiaria.findAll({
+    where: { [Op.and]: [where, { fecha: { [Op.between]: [desde, hasta] } }] },
+    include: [{ model: NAP, as: 'nap', attributes: [] }],
+    attributes: [[col('nap.zona_id'), 'zona_id'], 'fecha', ...SUMAS],
+    group: [col('nap.zona_id'), col('OcupacionDiaria.fecha')],
+    order: [[col('nap.zona_id'), 'ASC'], ['fecha', 'ASC']],
+    raw: true
+  });
+
+  const crecimientos = crecimientoPorClave(filas, 'zona_id');
+  const zonas = await Zona.findAll({
+    where: { id: { [Op.in]: crecimientos.map(c => c.id).filter(Boolean) } },
+    attributes: ['id', 'nombre']
+  });
+  const zonaPorId = new Map(zonas.map(zona => [zona.id, zona]));
+
+  return crecimientos
+    .map(({ id, ...resto }) => ({ zona: id ? zonaPorId.get(id) || null : null, ...resto }))
+    .sort(porCrecimiento);
+}
+
+async function procesarOcupacion() {
+  if (ocupado) return;
+  ocupado = true;
+
+  try {
+    await registrarOcupacionDiaria();
+  } catch (error) {
+    console.error('Error al registrar la ocupación diaria de NAPs:', error);
+  } finally {
+    ocupado = false;
+  }
+}
+
+/**
+ * Inicia el registro periódico de la ocupación diaria
+ *
+ * @function iniciarOcupacionHistorica
+ * @returns {boolean} true si quedó activo en esta instancia
+ */
+function iniciarOcupacionHistorica() {
+  if (process.env.OCUPACION_HISTORICA_ACTIVA === 'false' || temporizador) return false;
+
+  temporizador = setInterval(procesarOcupacion, INTERVALO_MS);
+  procesarOcupacion();
+  return true;
+}
+
+module.exports = {
+  registrarOcupacionDiaria,
+  rangoHistorico,
+  serieOcupacion,
+  crecimientoOcupacion,
+  crecimientoPorNAP,
+  crecimientoPorZona,
+  iniciarOcupacionHistorica
+};
@@ -0,0 +1,296 @@
+const { Op } = require('sequelize');
+const { NAP, Puerto, Cliente, Plan, Conexion, Mantenimiento } = require('../models');
+const { resolverPlanPreventivo } = require('./planesMantenimiento');
+
+/**
+ * Operaciones de campo sobre puertos y NAPs
+ *
+ * @description
+ * - Las usan los endpoints de puertos, conexiones y mantenimientos, el cierre de órdenes de trabajo
+ *   y la cobranza, para que un cambio hecho por un proceso deje la red igual que uno hecho a mano
+ * - Reciben la transacción del llamador (con transaction.userId, o transaction.origen si la usa un
+ *   proceso, para auditoría) y no la confirman
+ * - Los errores de negocio se devuelven como { error: { status, message } }; el llamador hace rollback
+ * - No verifican zonas: eso queda en el controlador, que conoce al usuario
+ */
+
+/**
+ * Recalcula el estado SATURADO/ACTIVO de un NAP según sus puertos ocupados
+ *
+ * @async
+ * @function actualizarOcupacionNAP
+ * @param {string} napId - ID del NAP
+ * @param {Object} transaction - Transacción de Sequelize
+ *
+ * @description
+ * - 100% ocupado → SATURADO; un NAP SATURADO que baja del 100% vuelve a ACTIVO
+ */
+async function actualizarOcupacionNAP(napId, transaction) {
+  const nap = await NAP.findByPk(napId, {
+    include: [{
+      model: Puerto,
+      as: 'puertos',
+      attributes: ['estado']
+    }],
+    transaction
+  });
+
+  if (!nap) return;
+
+  const puertosOcupados = nap.puertos.filter(p => p.estado === 'OCUPADO').length;
+  const porcentajeOcupacion = (puertosOcupados / nap.total_puertos) * 100;
+
+  if (porcentajeOcupacion >= 100 && nap.estado !== 'SATURADO') {
+    await nap.update({ estado: 'SATURADO' }, { transaction });
+  } else if (porcentajeOcupacion < 100 && nap.estado === 'SATURADO') {
+    await nap.update({ estado: 'ACTIVO' }, { transaction });
+  }
+}
+
+/**
+ * Conecta un cliente a un puerto libre con un plan
+ *
+ * @async
+ * @function asignarClienteEnPuerto
+ * @param {Object} datos
+ * @param {string} datos.puertoId - Puerto a ocupar (debe estar LIBRE)
+ * @param {string} [datos.clienteId] - Cliente existente; si no se indica se usa datos.cliente
+ * @param {Object} [datos.cliente] - { ci, nombre, apellido, telefono, correo, direccion }: busca por CI y actualiza, o crea
+ * @param {string} datos.planId - Plan de la conexión
+ * @param {string} datos.fechaInicio - Fecha de inicio del servicio
+ * @param {string} [datos.estadoConexion='ACTIVA'] - Estado inicial de la conexión
+ * @param {string} [datos.nota] - Nota para el puerto
+ * @param {string} datos.creadoPor - Usuario que registra la conexión
+ * @param {Object} transaction - Transacción de Sequelize
+ *
+ * @returns {Promise<Object>} { puerto, cliente, conexion, clienteNuevo } o { error }
+ *
+ * @description
+ * - Un cliente nuevo queda en la zona del NAP del puerto
+ * - Marca el puerto OCUPADO y el NAP SATURADO si llega al 100%
+ */
+async function asignarClienteEnPuerto(datos, transaction) {
+  const { puertoId, clienteId, planId, fechaInicio, estadoConexion, nota, creadoPor } = datos;
+
+  const puerto = await Puerto.findByPk(puertoId, {
+    include: [{
+      model: Conexion,
+      as: 'conexion',
+      where: { estado: 'ACTIVA' },
+      required: false
+    }],
+    transaction
+  });
+
+  if (!puerto) {
+    return { error: { status: 404, message: 'Puerto no encontrado' } };
+  }
+
+  if (puerto.estado !== 'LIBRE') {
+    return { error: { status: 400, message: 'El puerto no está disponible para asignación' } };
+  }
+
+  if (puerto.conexion) {
+    return { error: { status: 400, message: 'El puerto ya tiene una conexión activa' } };
+  }
+
+  const plan = await Plan.findByPk(planId, { transaction });
+  if (!plan) {
+    return { error: { status: 404, message: 'Plan no encontrado' } };
+  }
+
+  let cliente;
+  let clienteNuevo = false;
+
+  if (clienteId) {
+    cliente = await Cliente.findByPk(clienteId, { transaction });
+    if (!cliente) {
+      return { error: { status: 404, message: 'Cliente no encontrado' } };
+    }
+  } else {
+    const { ci, nombre, apellido, telefono, correo, direccion } = datos.cliente;
+    cliente = await Cliente.findOne({ where: { ci }, transaction });
+
+    if (cliente) {
+      await cliente.update({ nombre, apellido, telefono, correo, direccion }, { transaction });
+    } else {
+      const nap = await NAP.findByPk(puerto.nap_id, { attributes: ['zona_id'], transaction });
+      cliente = await Cliente.create({
+        ci,
+        nombre,
+        apellido,
+        telefono,
+        correo,
+        direccion,
+        zona_id: nap?.zona_id ?? null
+      }, { transaction });
+      clienteNuevo = true;
+    }
+  }
+
+  const conexion = await Conexion.create({
+    puerto_id: puertoId,
+    cliente_id: cliente.id,
+    plan_id: planId,
+    fecha_inicio: fechaInicio,
+    estado: estadoConexion || 'ACTIVA',
+    creado_por: creadoPor
+  }, { transaction });
+
+  await puerto.update({
+    estado: 'OCUPADO',
+    nota: nota || puerto.nota
+  }, { transaction });
+
+  await actualizarOcupacionNAP(puerto.nap_id, transaction);
+
+  return { puerto, cliente, conexion, clienteNuevo };
+}
+
+/**
+ * Libera un puerto finalizando su conexión activa o suspendida
+ *
+ * @async
+ * @function liberarPuertoConConexion
+ * @param {string} puertoId - Puerto a liberar
+ * @param {Object} transaction - Transacción de Sequelize
+ *
+ * @returns {Promise<Object>} { puerto, conexion } (conexion null si no tenía) o { error }
+ *
+ * @description
+ * - La conexión pasa a FINALIZADA con fecha_fin = ahora
+ * - El NAP deja de estar SATURADO si corresponde
+ */
+async function liberarPuertoConConexion(puertoId, transaction) {
+  const puerto = await Puerto.findByPk(puertoId, {
+    include: [{
+      model: Conexion,
+      as: 'conexion',
+      where: { estado: { [Op.in]: ['ACTIVA', 'SUSPENDIDA'] } },
+      required: false
+    }],
+    transaction
+  });
+
+  if (!puerto) {
+    return { error: { status: 404, message: 'Puerto no encontrado' } };
+  }
+
+  if (puerto.conexion) {
+    await puerto.conexion.update({
+      estado: 'FINALIZADA',
+      fecha_fin: new Date()
+    }, { transaction });
+  }
+
+  await puerto.update({ estado: 'LIBRE' }, { transaction });
+
+  await actualizarOcupacionNAP(puerto.nap_id, transaction);
+
+  return { puerto, conexion: puerto.conexion || null };
+}
+
+/**
+ * Cambia plan, fecha de fin o estado de una conexión y deja su puerto acorde al estado
+ *
+ * @async
+ * @function actualizarDatosConexion
+ * @param {Object} conexion - Conexion con su puerto
+ * @param {Object} cambios - { plan_id, fecha_fin, estado }; lo que no viene no cambia
+ * @param {Object} transaction - Transacción de Sequelize
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.porMora=false] - Suspensión de la cobranza: la conexión queda marcada
+ *   para reactivarse sola cuando el cliente se ponga al día
+ *
+ * @returns {Promise<Object>} La conexión actualizada
+ *
+ * @description
+ * - La usan la edición de conexiones y la cobranza (utils/cobranza.js)
+ * - FINALIZADA libera el puerto; ACTIVA y SUSPENDIDA lo mantienen ocupado
+ * - Un cambio de estado a mano quita la marca de suspensión automática
+ */
+async function actualizarDatosConexion(conexion, { plan_id, fecha_fin, estado }, transaction, { porMora = false } = {}) {
+  const estadoAnterior = conexion.estado;
+  const cambiaEstado = Boolean(estado) && estado !== estadoAnterior;
+
+  await conexion.update({
+    plan_id: plan_id || conexion.plan_id,
+    fecha_fin,
+    estado: estado || conexion.estado,
+    ...(cambiaEstado && { suspension_automatica: porMora && estado === 'SUSPENDIDA' })
+  }, { transaction });
+
+  if (cambiaEstado) {
+    if (estado === 'FINALIZADA') {
+      // Solo liberar el puerto cuando la conexión se finaliza
+      await conexion.puerto.update({ estado: 'LIBRE' }, { transaction });
+    } else if (estado === 'ACTIVA' || estado === 'SUSPENDIDA') {
+      // ACTIVA y SUSPENDIDA mantienen el puerto ocupado
+      await conexion.puerto.update({ estado: 'OCUPADO' }, { transaction });
+    }
+  }
+
+  return conexion;
+}
+
+/**
+ * Registra un mantenimiento sobre un NAP
+ *
+ * @async
+ * @function registrarMantenimiento
+ * @param {Object} datos
+ * @param {string} datos.napId - NAP intervenido
+ * @param {string} datos.tipo - PREVENTIVO o CORRECTIVO
+ * @param {string} datos.descripcion - Trabajo realizado
+ * @param {Date|string} [datos.fecha] - Fecha del trabajo (ahora si no se indica)
+ * @param {string} datos.realizadoPor - Técnico que lo realizó
+ * @param {string} [datos.planMantenimientoId] - Plan preventivo que se cumple con esta visita
+ * @param {Object} transaction - Transacción de Sequelize
+ *
+ * @returns {Promise<Object>} { mantenimiento, nap } o { error }
+ *
+ * @description
+ * - Un mantenimiento CORRECTIVO deja el NAP en estado MANTENIMIENTO
+ * - Un PREVENTIVO queda imputado a un plan del NAP (el indicado o el más próximo),
+ *   lo que hace avanzar su próxima fecha
+ */
+async function registrarMantenimiento(datos, transaction) {
+  const { napId, tipo, descripcion, fecha, realizadoPor, planMantenimientoId } = datos;
+
+  const nap = await NAP.findByPk(napId, { transaction });
+  if (!nap) {
+    return { error: { status: 404, message: 'NAP no encontrado' } };
+  }
+
+  let planId = null;
+  if (tipo === 'PREVENTIVO') {
+    const plan = await resolverPlanPreventivo(nap, planMantenimientoId, transaction);
+    if (plan.error) return plan;
+    planId = plan.planId;
+  } else if (planMantenimientoId) {
+    return { error: { status: 400, message: 'Sólo un mantenimiento PREVENTIVO puede imputarse a un plan' } };
+  }
+
+  const mantenimiento = await Mantenimiento.create({
+    nap_id: napId,
+    tipo,
+    descripcion,
+    fecha: fecha || new Date(),
+    realizado_por: realizadoPor,
+    plan_mantenimiento_id: planId
+  }, { transaction });
+
+  if (tipo === 'CORRECTIVO') {
+    await nap.update({ estado: 'MANTENIMIENTO' }, { transaction });
+  }
+
+  return { mantenimiento, nap };
+}
+
+module.exports = {
+  actualizarOcupacionNAP,
+  asignarClienteEnPuerto,
+  liberarPuertoConConexion,
+  actualizarDatosConexion,
+  registrarMantenimiento
+};
@@ -0,0 +1,100 @@
+const { Permiso, RolPermiso } = require('../models');
+const { PERMISOS } = require('../config/permisos');
+
+// Los permisos por rol se leen de la base a lo sumo una vez por este intervalo
+const CACHE_MS = parseInt(process.env.PERMISOS_CACHE_SEGUNDOS || '60') * 1000;
+
+let cache = null;
+let cacheExpira = 0;
+
+/**
+ * Crea en la base los permisos nuevos del catálogo con sus roles por defecto
+ *
+ * @async
+ * @function sincronizarCatalogoPermisos
+ *
+ * @description
+ * - Se ejecuta al iniciar el servidor
+ * - Un permiso que ya existe sólo actualiza su descripción: su asignación a roles no se toca
+ * - Así un permiso agregado en config/permisos.js queda disponible sin migración de datos
+ */
+async function sincronizarCatalogoPermisos() {
+  for (const [clave, { descripcion, roles }] of Object.entries(PERMISOS)) {
+    const [permiso, creado] = await Permiso.findOrCreate({
+      where: { clave },
+      defaults: { descripcion }
+    });
+
+    if (creado) {
+      await RolPermiso.bulkCreate(
+        roles.map(rol => ({ rol, permiso: clave })),
+        { ignoreDuplicates: true }
+      );
+    } else if (permiso.descripcion !== descripcion) {
+      await permiso.update({ descripcion });
+    }
+  }
+
+  invalidarCachePermisos();
+}
+
+const cargarPermisos = async () => {
+  const filas = await RolPermiso.findAll({ attributes: ['rol', 'permiso'], raw: true });
+  const porRol = {};
+
+  for (const { rol, permiso } of filas) {
+    // Un permiso que salió del catálogo ya no protege nada
+    if (!PERMISOS[permiso]) continue;
+    (porRol[rol] = porRol[rol] || []).push(permiso);
+  }
+
+  return porRol;
+};
+
+/**
+ * Devuelve los permisos efectivos de un rol
+ *
+ * @async
+ * @function obtenerPermisosDeRol
+ * @param {string} rol - Rol del usuario
+ * @returns {Promise<string[]>} Claves de permiso concedidas al rol
+ */
+async function obtenerPermisosDeRol(rol) {
+  if (!cache || Date.now() > cacheExpira) {
+    cache = await cargarPermisos();
+    cacheExpira = Date.now() + CACHE_MS;
+  }
+
+  return cache[rol] || [];
+}
+
+/**
+ * Indica si un rol tiene al menos uno de los permisos indicados
+ *
+ * @async
+ * @function rolTienePermiso
+ * @param {string} rol - Rol del usuario
+ * @param {...string} permisos - Permisos aceptados
+ * @returns {Promise<boolean>}
+ */
+async function rolTienePermiso(rol, ...permisos) {
+  const concedidos = await obtenerPermisosDeRol(rol);
+  return permisos.some(permiso => concedidos.includes(permiso));
+}
+
+/**
+ * Descarta la caché; se llama después de editar la asignación de permisos
+ *
+ * @function invalidarCachePermisos
+ */
+function invalidarCachePermisos() {
+  cache = null;
+  cacheExpira = 0;
+}
+
+module.exports = {
+  sincronizarCatalogoPermisos,
+  obtenerPermisosDeRol,
+  rolTienePermiso,
+  invalidarCachePermisos
+};
@@ -0,0 +1,163 @@
+const { Op, fn, col } = require('sequelize');
+const { NAP, Mantenimiento, PlanMantenimiento, Usuario } = require('../models');
+const { filtroZonaNAP } = require('./zonas');
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+const hoyISO = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Suma un intervalo de plan a una fecha
+ *
+ * @function sumarIntervalo
+ * @param {string} fecha - Fecha YYYY-MM-DD
+ * @param {number} intervalo - Cantidad de unidades
+ * @param {string} unidad - DIAS, SEMANAS o MESES
+ * @returns {string} Fecha resultante YYYY-MM-DD
+ *
+ * @description
+ * - Con MESES, un 31 que no existe en el mes destino pasa al mes siguiente (comportamiento de Date)
+ */
+function sumarIntervalo(fecha, intervalo, unidad) {
+  const resultado = new Date(`${fecha}T00:00:00Z`);
+
+  switch (unidad) {
+    case 'DIAS':
+      resultado.setUTCDate(resultado.getUTCDate() + intervalo);
+      break;
+    case 'SEMANAS':
+      resultado.setUTCDate(resultado.getUTCDate() + intervalo * 7);
+      break;
+    case 'MESES':
+      resultado.setUTCMonth(resultado.getUTCMonth() + intervalo);
+      break;
+  }
+
+  return resultado.toISOString().slice(0, 10);
+}
+
+const planAplicaANAP = (plan, nap) => plan.nap_id ? plan.nap_id === nap.id : plan.modelo_nap === nap.modelo;
+
+/**
+ * Calcula la próxima visita preventiva de cada par plan/NAP
+ *
+ * @async
+ * @function calcularVencimientos
+ * @param {Object} [opciones]
+ * @param {string[]|null} [opciones.alcance] - Zonas visibles (obtenerAlcanceZonas); null = todas
+ * @param {string} [opciones.napId] - Sólo este NAP
+ * @param {string} [opciones.tecnicoId] - Sólo planes de este técnico responsable
+ * @param {Object} [opciones.transaction] - Transacción de Sequelize
+ * @returns {Promise<Object[]>} Visitas ordenadas por fecha, con vencido / por_vencer
+ *
+ * @description
+ * - Sólo planes activos y NAPs que no están FUERA_SERVICIO
+ * - Sin mantenimientos previos del plan, la visita es fecha_inicio; si no, el último + intervalo
+ * - por_vencer: faltan dias_aviso días o menos
+ */
+async function calcularVencimientos({ alcance = null, napId, tecnicoId, transaction } = {}) {
+  const wherePlan = { activo: true };
+  if (tecnicoId) wherePlan.tecnico_id = tecnicoId;
+
+  const planes = await PlanMantenimiento.findAll({
+    where: wherePlan,
+    include: [{ model: Usuario, as: 'tecnico', attributes: ['id', 'nombre', 'correo'] }],
+    transaction
+  });
+
+  if (planes.length === 0) return [];
+
+  const napIds = planes.filter(plan => plan.nap_id).map(plan => plan.nap_id);
+  const modelos = [...new Set(planes.filter(plan => plan.modelo_nap).map(plan => plan.modelo_nap))];
+
+  const naps = await NAP.findAll({
+    where: {
+      [Op.and]: [
+        { estado: { [Op.ne]: 'FUERA_SERVICIO' } },
+        filtroZonaNAP(alcance),
+        napId ? { id: napId } : {},
+        { [Op.or]: [{ id: { [Op.in]: napIds } }, { modelo: { [Op.in]: modelos } }] }
+      ]
+    },
+    attributes: ['id', 'codigo', 'ubicacion', 'modelo', 'zona_id'],
+    transaction
+  });
+
+  const ultimas = await Mantenimiento.findAll({
+    attributes: ['plan_mantenimiento_id', 'nap_id', [fn('MAX', col('fecha')), 'ultima']],
+    where: {
+      tipo: 'PREVENTIVO',
+      plan_mantenimiento_id: { [Op.in]: planes.map(plan => plan.id) }
+    },
+    group: ['plan_mantenimiento_id', 'nap_id'],
+    raw: true,
+    transaction
+  });
+
+  const ultimaPorPar = new Map(
+    ultimas.map(fila => [`${fila.plan_mantenimiento_id}|${fila.nap_id}`, new Date(fila.ultima).toISOString().slice(0, 10)])
+  );
+
+  const hoy = hoyISO();
+  const vencimientos = [];
+
+  for (const plan of planes) {
+    for (const nap of naps) {
+      if (!planAplicaANAP(plan, nap)) continue;
+
+      const ultima = ultimaPorPar.get(`${plan.id}|${nap.id}`) || null;
+      const proxima = ultima ? sumarIntervalo(ultima, plan.intervalo, plan.unidad) : plan.fecha_inicio;
+      const diasRestantes = Math.round((Date.parse(proxima) - Date.parse(hoy)) / MS_POR_DIA);
+
+      vencimientos.push({
+        plan_id: plan.id,
+        plan: plan.nombre,
+        nap_id: nap.id,
+        nap: { codigo: nap.codigo, ubicacion: nap.ubicacion, zona_id: nap.zona_id },
+        tecnico: plan.tecnico ? { id: plan.tecnico.id, nombre: plan.tecnico.nombre, correo: plan.tecnico.correo } : null,
+        ultima_ejecucion: ultima,
+        proxima_fecha: proxima,
+        dias_restantes: diasRestantes,
+        vencido: diasRestantes < 0,
+        por_vencer: diasRestantes >= 0 && diasRestantes <= plan.dias_aviso
+      });
+    }
+  }
+
+  return vencimientos.sort((a, b) => a.proxima_fecha.localeCompare(b.proxima_fecha));
+}
+
+/**
+ * Resuelve el plan al que se imputa un mantenimiento PREVENTIVO
+ *
+ * @async
+ * @function resolverPlanPreventivo
+ * @param {Object} nap - NAP intervenido (con id y modelo)
+ * @param {string} [planId] - Plan indicado por el usuario
+ * @param {Object} transaction - Transacción de Sequelize
+ * @returns {Promise<Object>} { planId } (null si el NAP no tiene planes) o { error }
+ *
+ * @description
+ * - Sin plan indicado se imputa al plan del NAP con la visita más próxima (o más vencida)
+ */
+async function resolverPlanPreventivo(nap, planId, transaction) {
+  if (planId) {
+    const plan = await PlanMantenimiento.findByPk(planId, { transaction });
+    if (!plan || !plan.activo) {
+      return { error: { status: 404, message: 'Plan de mantenimiento no encontrado' } };
+    }
+    if (!planAplicaANAP(plan, nap)) {
+      return { error: { status: 400, message: 'El plan de mantenimiento no aplica a este NAP' } };
+    }
+    return { planId };
+  }
+
+  const [masProxima] = await calcularVencimientos({ napId: nap.id, transaction });
+  return { planId: masProxima ? masProxima.plan_id : null };
+}
+
+module.exports = {
+  sumarIntervalo,
+  calcularVencimientos,
+  resolverPlanPreventivo
+};
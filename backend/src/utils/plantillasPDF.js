@@ -0,0 +1,837 @@
+const fs = require('fs');
+const path = require('path');
+const { graficosDeReporte, svgComoDataURI } = require('./graficos');
+
+/**
+ * Plantillas HTML de los reportes en PDF
+ *
+ * @description
+ * - Cada tipo de reporte (el que recibe enviarReporteEnFormato) tiene su plantilla en PLANTILLAS:
+ *   título, orientación, tarjetas de resumen, secciones (tablas) y bloque de firmas
+ * - Las secciones se arman con bloques reutilizables (tabla) y columnas que saben leer y
+ *   formatear su valor, en lugar de volcar objetos anidados
+ * - Los gráficos del tipo (utils/graficos.js) van tras el resumen como imágenes SVG incrustadas
+ * - Un tipo sin plantilla usa la genérica: resumen completo y tabla con las columnas aplanadas
+ * - La empresa sale de PDF_EMPRESA y el logo de PDF_LOGO (ruta a un PNG, JPG o SVG)
+ */
+
+const EMPRESA = process.env.PDF_EMPRESA || 'Sistema de Gestión de NAPs - ISP';
+const MAX_FILAS = parseInt(process.env.PDF_MAX_FILAS || '500', 10);
+
+const TIPOS_IMAGEN = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.svg': 'image/svg+xml' };
+
+const ETIQUETAS_PARAMETROS = {
+  fecha_desde: 'Desde',
+  fecha_hasta: 'Hasta',
+  cliente_id: 'Cliente',
+  zona: 'Zona',
+  periodo: 'Periodo',
+  tipo_periodo: 'Tipo de periodo',
+  umbral_minutos: 'Duración mínima (min)',
+  umbral_usuarios: 'Usuarios afectados mínimos',
+  horizonte_dias: 'Horizonte (días)',
+  ci: 'CI',
+  direccion: 'Dirección',
+  fecha_emision: 'Emisión',
+  fecha_vencimiento: 'Vencimiento',
+  fecha: 'Fecha'
+};
+
+const COLORES_ESTADO = {
+  ACTIVO: 'verde', ACTIVA: 'verde', PAGADA: 'verde', REACTIVAR: 'verde', REALIZADA: 'verde', PARCIAL: 'ambar', PENDIENTE: 'ambar', ANULADA: 'gris', BUENO: 'verde', RESUELTO: 'verde', ALTA: 'verde', LIBRE: 'verde',
+  ADVERTENCIA: 'ambar', PLANIFICAR: 'ambar', SUSPENDIDO: 'ambar', SUSPENDIDA: 'ambar', MANTENIMIENTO: 'ambar', EN_CURSO: 'ambar',
+  CRITICO: 'rojo', URGENTE: 'rojo', SUSPENDER: 'rojo', SATURADO: 'rojo', ABIERTO: 'rojo', BAJA: 'rojo', INACTIVO: 'gris', SIN_SERVICIO: 'gris'
+};
+
+// undefined: todavía no se leyó; null: sin logo
+let logoCache;
+
+const escapar = (valor) => String(valor)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// El logo se lee una vez y se incrusta como data URI (la página no carga recursos externos)
+const logoEmpresa = () => {
+  if (logoCache !== undefined) return logoCache;
+  logoCache = null;
+
+  const ruta = process.env.PDF_LOGO;
+  if (!ruta) return logoCache;
+
+  try {
+    const tipo = TIPOS_IMAGEN[path.extname(ruta).toLowerCase()];
+    if (!tipo) throw new Error('formato no soportado (PNG, JPG o SVG)');
+    logoCache = `data:${tipo};base64,${fs.readFileSync(path.resolve(ruta)).toString('base64')}`;
+  } catch (error) {
+    console.warn(`⚠️ No se pudo cargar el logo de los PDFs (${ruta}): ${error.message}`);
+  }
+  return logoCache;
+};
+
+const FORMATOS = {
+  texto: (valor) => String(valor),
+  numero: (valor) => Number(valor).toLocaleString('es-BO'),
+  porcentaje: (valor) => `${Number(valor).toLocaleString('es-BO', { maximumFractionDigits: 2 })} %`,
+  dbm: (valor) => `${Number(valor).toLocaleString('es-BO', { maximumFractionDigits: 2 })} dBm`,
+  moneda: (valor) => Number(valor).toLocaleString('es-BO', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+  // DATEONLY llega como 'AAAA-MM-DD': se muestra tal cual para no correrlo un día por la zona horaria
+  fecha: (valor) => {
+    const dia = /^(\d{4})-(\d{2})-(\d{2})$/.exec(valor);
+    return dia ? `${dia[3]}/${dia[2]}/${dia[1]}` : new Date(valor).toLocaleDateString('es-BO');
+  },
+  fechaHora: (valor) => new Date(valor).toLocaleString('es-BO', { dateStyle: 'short', timeStyle: 'short' }),
+  lista: (valor) => (Array.isArray(valor) ? valor.join(', ') : String(valor))
+};
+
+/**
+ * Valor listo para el HTML: formateado y escapado ('-' si no hay dato)
+ *
+ * @function formatear
+ * @param {*} valor - Valor crudo
+ * @param {string} [formato='texto'] - Clave de FORMATOS
+ * @returns {string} HTML seguro
+ */
+const formatear = (valor, formato = 'texto') => {
+  if (valor === null || valor === undefined || valor === '' || valor === 'N/A') return '-';
+  if (Array.isArray(valor) && formato !== 'lista') {
+    return valor.length === 0 ? '-' : `${valor.length} registro${valor.length !== 1 ? 's' : ''}`;
+  }
+  if (typeof valor === 'object' && !(valor instanceof Date)) return '-';
+  return escapar(FORMATOS[formato](valor));
+};
+
+const etiquetaDeClave = (clave) => clave
+  .replace(/_/g, ' ')
+  .replace(/\b(pct|porcentaje)\b/g, '%')
+  .replace(/^./, letra => letra.toUpperCase());
+
+const insignia = (valor) => {
+  if (valor === null || valor === undefined) return '-';
+  return `<span class="insignia insignia-${COLORES_ESTADO[valor] || 'gris'}">${escapar(String(valor).replace(/_/g, ' '))}</span>`;
+};
+
+// ─── Bloques ─────────────────────────────────────────────────────────────────
+
+/**
+ * Columna de tabla
+ *
+ * @function columna
+ * @param {string} etiqueta - Encabezado
+ * @param {string|Function} valor - Clave de la fila o función (fila) => valor
+ * @param {Object} [opciones]
+ * @param {string} [opciones.formato='texto'] - Clave de FORMATOS, o 'insignia' para estados
+ * @param {boolean} [opciones.numerica=false] - Alinea a la derecha
+ * @returns {Object} Definición de columna para tabla()
+ */
+const columna = (etiqueta, valor, { formato = 'texto', numerica = false } = {}) => ({
+  etiqueta,
+  leer: typeof valor === 'function' ? valor : (fila) => fila[valor],
+  formato,
+  numerica
+});
+
+const celda = (col, fila) => {
+  const valor = col.leer(fila);
+  const contenido = col.formato === 'insignia' ? insignia(valor) : formatear(valor, col.formato);
+  return `<td${col.numerica ? ' class="numero"' : ''}>${contenido}</td>`;
+};
+
+/**
+ * Sección con una tabla; corta en PDF_MAX_FILAS y lo avisa
+ *
+ * @function tabla
+ * @param {Object} opciones
+ * @param {string} opciones.titulo - Título de la sección
+ * @param {Object[]} opciones.columnas - Columnas creadas con columna()
+ * @param {Object[]} opciones.filas - Datos
+ * @param {string} [opciones.vacio] - Texto cuando no hay filas
+ * @returns {string} HTML
+ */
+const tabla = ({ titulo, columnas, filas, vacio = 'No hay datos para el periodo y los filtros elegidos.' }) => {
+  const visibles = filas.slice(0, MAX_FILAS);
+
+  return `
+    <section>
+      <h2 class="titulo-seccion">${escapar(titulo)}</h2>
+      ${filas.length === 0 ? `<p class="vacio">${escapar(vacio)}</p>` : `
+        <table>
+          <thead>
+            <tr>${columnas.map(col => `<th${col.numerica ? ' class="numero"' : ''}>${escapar(col.etiqueta)}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${visibles.map(fila => `<tr>${columnas.map(col => celda(col, fila)).join('')}</tr>`).join('')}
+          </tbody>
+        </table>
+        ${filas.length > visibles.length
+          ? `<p class="nota">Se muestran los primeros ${visibles.length} registros de ${filas.length}. Exporte a Excel o CSV para verlos todos.</p>`
+          : ''}
+      `}
+    </section>
+  `;
+};
+
+/**
+ * Sección con un gráfico SVG de utils/graficos.js
+ *
+ * @function grafico
+ * @param {Object} opciones
+ * @param {string} opciones.titulo - Título de la sección
+ * @param {string} opciones.svg - Documento SVG
+ * @param {number} opciones.ancho - Ancho del SVG, para mantener la proporción
+ * @param {number} opciones.alto - Alto del SVG
+ * @returns {string} HTML
+ */
+const grafico = ({ titulo, svg, ancho, alto }) => `
+  <section class="grafico">
+    <h2 class="titulo-seccion">${escapar(titulo)}</h2>
+    <img src="${svgComoDataURI(svg)}" alt="${escapar(titulo)}" style="width: 100%; max-width: ${ancho * 1.5}px; aspect-ratio: ${ancho} / ${alto};">
+  </section>
+`;
+
+const encabezado = (titulo, descripcion) => {
+  const logo = logoEmpresa();
+  return `
+    <header class="encabezado">
+      ${logo ? `<img class="logo" src="${logo}" alt="">` : ''}
+      <div>
+        <h1>${escapar(titulo)}</h1>
+        <p class="subtitulo">${escapar(EMPRESA)}</p>
+        ${descripcion ? `<p class="descripcion">${escapar(descripcion)}</p>` : ''}
+      </div>
+    </header>
+  `;
+};
+
+const metadatos = (fechaGeneracion, parametros = {}) => {
+  const filtros = Object.entries(parametros)
+    .filter(([, valor]) => valor !== null && valor !== undefined && valor !== '')
+    .map(([clave, valor]) => `<span><strong>${escapar(ETIQUETAS_PARAMETROS[clave] || etiquetaDeClave(clave))}:</strong> ${formatear(valor, /^fecha_/.test(clave) ? 'fecha' : 'texto')}</span>`);
+
+  return `
+    <div class="metadatos">
+      <span><strong>Generado:</strong> ${formatear(fechaGeneracion || new Date(), 'fechaHora')}</span>
+      ${filtros.join('')}
+    </div>
+  `;
+};
+
+/**
+ * Tarjetas del resumen ejecutivo
+ *
+ * @function tarjetasResumen
+ * @param {Object} resumen - resumen del reporte
+ * @param {Object[]} [definiciones] - { clave, etiqueta, formato? }; sin definiciones se muestran todas las claves
+ * @returns {string} HTML
+ */
+const tarjetasResumen = (resumen, definiciones) => {
+  if (!resumen) return '';
+  const tarjetas = definiciones || Object.keys(resumen).map(clave => ({ clave, etiqueta: etiquetaDeClave(clave) }));
+
+  return `
+    <section>
+      <h2 class="titulo-seccion">Resumen ejecutivo</h2>
+      <div class="resumen">
+        ${tarjetas.filter(t => resumen[t.clave] !== undefined).map(t => `
+          <div class="tarjeta">
+            <div class="tarjeta-etiqueta">${escapar(t.etiqueta)}</div>
+            <div class="tarjeta-valor">${formatear(resumen[t.clave], t.formato || (typeof resumen[t.clave] === 'number' ? 'numero' : 'texto'))}</div>
+          </div>
+        `).join('')}
+      </div>
+    </section>
+  `;
+};
+
+const bloqueFirmas = (firmas) => {
+  if (!firmas?.length) return '';
+  return `
+    <section class="firmas">
+      ${firmas.map(cargo => `
+        <div class="firma">
+          <div class="firma-linea"></div>
+          <div class="firma-cargo">${escapar(cargo)}</div>
+          <div class="firma-detalle">Nombre, firma y fecha</div>
+        </div>
+      `).join('')}
+    </section>
+  `;
+};
+
+const ESTILOS = `
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; line-height: 1.45; font-size: 11px; }
+  .encabezado { display: flex; align-items: center; gap: 16px; border-bottom: 3px solid #2563eb; padding-bottom: 12px; margin-bottom: 14px; }
+  .encabezado h1 { font-size: 22px; }
+  .logo { max-height: 56px; max-width: 160px; }
+  .subtitulo { color: #6b7280; font-size: 12px; }
+  .descripcion { color: #4b5563; font-size: 11px; margin-top: 2px; }
+  .metadatos { display: flex; flex-wrap: wrap; gap: 6px 18px; background: #f3f4f6; padding: 10px 12px; border-radius: 6px; margin-bottom: 18px; color: #4b5563; font-size: 10px; }
+  section { margin-bottom: 18px; }
+  .titulo-seccion { font-size: 15px; margin-bottom: 10px; padding-bottom: 6px; border-bottom: 2px solid #e5e7eb; break-after: avoid; }
+  .resumen { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 10px; }
+  .tarjeta { background: #eff6ff; border-radius: 6px; padding: 10px; text-align: center; break-inside: avoid; }
+  .tarjeta-etiqueta { font-size: 10px; color: #6b7280; margin-bottom: 2px; }
+  .tarjeta-valor { font-size: 18px; font-weight: bold; color: #1e40af; word-break: break-word; }
+  table { width: 100%; border-collapse: collapse; font-size: 9px; }
+  thead { display: table-header-group; }
+  tr { break-inside: avoid; }
+  th, td { padding: 5px 6px; text-align: left; border-bottom: 1px solid #e5e7eb; vertical-align: top; word-wrap: break-word; }
+  th { background: #f9fafb; font-weight: 600; color: #374151; }
+  tbody tr:nth-child(even) { background: #fcfcfd; }
+  .numero { text-align: right; white-space: nowrap; }
+  .vacio, .nota { color: #6b7280; font-size: 10px; }
+  .nota { text-align: center; margin-top: 8px; }
+  .insignia { display: inline-block; padding: 1px 6px; border-radius: 9999px; font-size: 8px; font-weight: 600; white-space: nowrap; }
+  .insignia-verde { background: #dcfce7; color: #166534; }
+  .insignia-ambar { background: #fef3c7; color: #92400e; }
+  .insignia-rojo { background: #fee2e2; color: #991b1b; }
+  .insignia-gris { background: #f3f4f6; color: #374151; }
+  .grafico { break-inside: avoid; }
+  .grafico img { display: block; margin: 0 auto 8px; }
+  .firmas { display: flex; justify-content: space-around; gap: 40px; margin-top: 50px; break-inside: avoid; }
+  .firma { flex: 1; max-width: 220px; text-align: center; }
+  .firma-linea { border-top: 1px solid #1f2937; margin-bottom: 4px; }
+  .firma-cargo { font-weight: 600; }
+  .firma-detalle { color: #6b7280; font-size: 9px; }
+`;
+
+// ─── Plantillas por tipo de reporte ──────────────────────────────────────────
+
+const FIRMAS_INTERNAS = ['Elaborado por', 'Revisado por'];
+const FIRMAS_ATT = ['Responsable técnico', 'Representante legal'];
+
+// Las columnas de los reportes ATT son las de COLUMNAS_ATT (datos.columnas), en ese orden
+const columnasATT = (datos, formatos = {}) => (datos.columnas || Object.keys(datos.data[0] || {}))
+  .map(clave => columna(clave.toUpperCase(), clave, { formato: formatos[clave] || 'texto', numerica: Boolean(formatos[clave]) }));
+
+const PLANTILLAS = {
+  ocupacion_naps: {
+    titulo: 'Ocupación de NAPs',
+    descripcion: 'Puertos libres, ocupados y en mantenimiento por NAP, con los clientes conectados',
+    resumen: [
+      { clave: 'total_naps', etiqueta: 'NAPs' },
+      { clave: 'total_puertos', etiqueta: 'Puertos' },
+      { clave: 'total_ocupados', etiqueta: 'Puertos ocupados' },
+      { clave: 'promedio_ocupacion', etiqueta: 'Ocupación promedio', formato: 'porcentaje' }
+    ],
+    secciones: ({ data }) => [
+      tabla({
+        titulo: 'Detalle por NAP',
+        filas: data,
+        columnas: [
+          columna('NAP', f => f.nap.codigo),
+          columna('Modelo', f => f.nap.modelo),
+          columna('Ubicación', f => f.nap.ubicacion),
+          columna('Estado', f => f.nap.estado, { formato: 'insignia' }),
+          columna('Puertos', f => f.estadisticas.total_puertos, { formato: 'numero', numerica: true }),
+          columna('Libres', f => f.estadisticas.puertos_libres, { formato: 'numero', numerica: true }),
+          columna('Ocupados', f => f.estadisticas.puertos_ocupados, { formato: 'numero', numerica: true }),
+          columna('Mant.', f => f.estadisticas.puertos_mantenimiento, { formato: 'numero', numerica: true }),
+          columna('Ocupación', f => f.estadisticas.porcentaje_ocupacion, { formato: 'porcentaje', numerica: true })
+        ]
+      }),
+      tabla({
+        titulo: 'Clientes conectados',
+        vacio: 'No hay clientes conectados.',
+        filas: data.flatMap(n => n.conexiones_activas.map(c => ({ nap: n.nap.codigo, ...c }))),
+        columnas: [
+          columna('NAP', 'nap'),
+          columna('Puerto', 'puerto', { numerica: true }),
+          columna('Cliente', 'cliente'),
+          columna('CI', 'ci'),
+          columna('Plan', 'plan'),
+          columna('Mbps', 'velocidad', { formato: 'numero', numerica: true })
+        ]
+      })
+    ],
+    firmas: FIRMAS_INTERNAS
+  },
+
+  consumo_cliente: {
+    titulo: 'Consumo por cliente',
+    descripcion: 'Conexiones de cada cliente en el periodo, con su plan y NAP',
+    resumen: [
+      { clave: 'total_clientes', etiqueta: 'Clientes' },
+      { clave: 'total_conexiones', etiqueta: 'Conexiones' },
+      { clave: 'conexiones_activas', etiqueta: 'Conexiones activas' }
+    ],
+    secciones: ({ data }) => [
+      tabla({
+        titulo: 'Clientes',
+        filas: data,
+        columnas: [
+          columna('Cliente', f => f.cliente.nombre),
+          columna('CI', f => f.cliente.ci),
+          columna('Teléfono', f => f.cliente.telefono),
+          columna('Conexiones', f => f.resumen.total_conexiones, { formato: 'numero', numerica: true }),
+          columna('Activas', f => f.resumen.conexiones_activas, { formato: 'numero', numerica: true }),
+          columna('Finalizadas', f => f.resumen.conexiones_finalizadas, { formato: 'numero', numerica: true }),
+          columna('Planes', f => f.resumen.planes_utilizados, { formato: 'lista' })
+        ]
+      }),
+      tabla({
+        titulo: 'Conexiones',
+        filas: data.flatMap(c => c.conexiones.map(x => ({ cliente: c.cliente.nombre, ...x }))),
+        columnas: [
+          columna('Cliente', 'cliente'),
+          columna('Plan', 'plan'),
+          columna('Mbps', 'velocidad_mbps', { formato: 'numero', numerica: true }),
+          columna('NAP', 'nap'),
+          columna('Puerto', 'puerto', { numerica: true }),
+          columna('Inicio', 'fecha_inicio', { formato: 'fecha' }),
+          columna('Fin', 'fecha_fin', { formato: 'fecha' }),
+          columna('Estado', 'estado', { formato: 'insignia' }),
+          columna('Días', 'dias_activo', { formato: 'numero', numerica: true })
+        ]
+      })
+    ],
+    firmas: FIRMAS_INTERNAS
+  },
+
+  estado_tecnico: {
+    titulo: 'Estado técnico de la red',
+    descripcion: 'Saturación, mantenimientos recientes y presupuesto óptico de cada NAP',
+    orientacion: 'horizontal',
+    resumen: [
+      { clave: 'total_naps', etiqueta: 'NAPs' },
+      { clave: 'buenos', etiqueta: 'Buenos' },
+      { clave: 'advertencia', etiqueta: 'En advertencia' },
+      { clave: 'criticos', etiqueta: 'Críticos' },
+      { clave: 'mantenimiento', etiqueta: 'En mantenimiento' },
+      { clave: 'naps_con_puertos_bajo_sensibilidad', etiqueta: 'Con puertos bajo sensibilidad' }
+    ],
+    secciones: ({ data }) => [
+      tabla({
+        titulo: 'Detalle por NAP',
+        filas: data,
+        columnas: [
+          columna('NAP', f => f.nap.codigo),
+          columna('Modelo', f => f.nap.modelo),
+          columna('Firmware', f => f.nap.firmware),
+          columna('Ubicación', f => f.nap.ubicacion),
+          columna('Estado técnico', 'estado_tecnico', { formato: 'insignia' }),
+          columna('Ocupación', f => f.ocupacion.porcentaje, { formato: 'porcentaje', numerica: true }),
+          columna('Último mant.', f => f.mantenimiento.ultimo_mantenimiento?.fecha, { formato: 'fecha' }),
+          columna('Tipo', f => f.mantenimiento.ultimo_mantenimiento?.tipo),
+          columna('Técnico', f => f.mantenimiento.ultimo_mantenimiento?.tecnico),
+          columna('Días desde', f => f.mantenimiento.dias_desde_ultimo, { formato: 'numero', numerica: true }),
+          columna('Correctivos', f => f.mantenimiento.mantenimientos_correctivos, { formato: 'numero', numerica: true }),
+          columna('Peor Rx', f => f.presupuesto_optico.peor_potencia_rx_dbm, { formato: 'dbm', numerica: true }),
+          columna('Marginales', f => f.presupuesto_optico.puertos_marginales, { formato: 'numero', numerica: true }),
+          columna('Bajo sens.', f => f.presupuesto_optico.puertos_bajo_sensibilidad, { formato: 'numero', numerica: true })
+        ]
+      })
+    ],
+    firmas: FIRMAS_INTERNAS
+  },
+
+  caidas_interrupciones: {
+    titulo: 'Caídas e interrupciones',
+    descripcion: 'Incidentes del periodo con su duración y los usuarios afectados al abrirlos',
+    orientacion: 'horizontal',
+    resumen: [
+      { clave: 'total_incidentes', etiqueta: 'Incidentes' },
+      { clave: 'incidentes_abiertos', etiqueta: 'Abiertos' },
+      { clave: 'naps_afectadas', etiqueta: 'NAPs afectadas' },
+      { clave: 'total_usuarios_afectados', etiqueta: 'Usuarios afectados' },
+      { clave: 'total_minutos_usuario', etiqueta: 'Minutos-usuario' },
+      { clave: 'tiempo_medio_resolucion_min', etiqueta: 'Resolución media (min)' }
+    ],
+    secciones: ({ data }) => [
+      tabla({
+        titulo: 'Incidentes',
+        vacio: 'No hubo incidentes en el periodo.',
+        filas: data,
+        columnas: [
+          columna('Incidente', 'titulo'),
+          columna('Categoría', 'categoria'),
+          columna('Estado', 'estado', { formato: 'insignia' }),
+          columna('Inicio', 'fecha_inicio', { formato: 'fechaHora' }),
+          columna('Resolución', 'fecha_resolucion', { formato: 'fechaHora' }),
+          columna('NAPs', 'naps_afectadas'),
+          columna('Alcance', 'alcance_falla'),
+          columna('Minutos', 'minutos_caida', { formato: 'numero', numerica: true }),
+          columna('Usuarios', 'usuarios_afectados', { formato: 'numero', numerica: true }),
+          columna('Min-usuario', 'minutos_usuario', { formato: 'numero', numerica: true }),
+          columna('Abierto por', 'abierto_por')
+        ]
+      })
+    ],
+    firmas: FIRMAS_INTERNAS
+  },
+
+  disponibilidad_servicio: {
+    titulo: 'Disponibilidad del servicio',
+    descripcion: 'Porcentaje del periodo en servicio de cada NAP, según los incidentes registrados',
+    orientacion: 'horizontal',
+    resumen: [
+      { clave: 'total_naps', etiqueta: 'NAPs' },
+      { clave: 'disponibilidad_promedio_pct', etiqueta: 'Disponibilidad promedio', formato: 'porcentaje' },
+      { clave: 'naps_sin_incidentes', etiqueta: 'NAPs sin incidentes' },
+      { clave: 'total_incidentes', etiqueta: 'Incidentes' },
+      { clave: 'total_minutos_usuario', etiqueta: 'Minutos-usuario' },
+      { clave: 'dias_periodo', etiqueta: 'Días del periodo' }
+    ],
+    secciones: ({ data }) => [
+      tabla({
+        titulo: 'Disponibilidad por NAP',
+        filas: data,
+        columnas: [
+          columna('NAP', 'nap_codigo'),
+          columna('Modelo', 'nap_modelo'),
+          columna('Ubicación', 'nap_ubicacion'),
+          columna('Estado actual', 'estado_actual', { formato: 'insignia' }),
+          columna('Disponibilidad', 'disponibilidad_porcentaje', { formato: 'porcentaje', numerica: true }),
+          columna('Incidentes', 'incidentes_en_periodo', { formato: 'numero', numerica: true }),
+          columna('Min. fuera', 'minutos_fuera_servicio', { formato: 'numero', numerica: true }),
+          columna('Usuarios afect.', 'usuarios_afectados', { formato: 'numero', numerica: true }),
+          columna('Min-usuario', 'minutos_usuario', { formato: 'numero', numerica: true }),
+          columna('Clientes', 'clientes_activos', { formato: 'numero', numerica: true }),
+          columna('Último incidente', 'ultimo_incidente', { formato: 'fechaHora' })
+        ]
+      })
+    ],
+    firmas: FIRMAS_INTERNAS
+  },
+
+  planificacion_capacidad: {
+    titulo: 'Planificación de capacidad',
+    descripcion: 'Zonas donde conviene instalar NAPs nuevos, según el ritmo de altas de cada NAP',
+    orientacion: 'horizontal',
+    resumen: [
+      { clave: 'total_naps', etiqueta: 'NAPs' },
+      { clave: 'naps_saturados', etiqueta: 'Saturados' },
+      { clave: 'naps_saturan_en_horizonte', etiqueta: 'Se saturan en el horizonte' },
+      { clave: 'zonas_a_ampliar', etiqueta: 'Zonas a ampliar' },
+      { clave: 'zonas_urgentes', etiqueta: 'Urgentes' },
+      { clave: 'naps_sugeridos', etiqueta: 'NAPs nuevos sugeridos' }
+    ],
+    secciones: ({ data, naps = [] }) => [
+      tabla({
+        titulo: 'Zonas donde instalar NAPs',
+        vacio: 'Ningún NAP se satura dentro del horizonte.',
+        filas: data,
+        columnas: [
+          columna('Zona', 'zona'),
+          columna('Prioridad', 'prioridad', { formato: 'insignia' }),
+          columna('NAPs críticos', 'naps_criticos'),
+          columna('Primera saturación', 'primera_saturacion', { formato: 'fecha' }),
+          columna('Puertos/mes', 'puertos_por_mes', { formato: 'numero', numerica: true }),
+          columna('Libres en zona', 'puertos_libres_zona', { formato: 'numero', numerica: true }),
+          columna('Puertos faltantes', 'puertos_faltantes', { formato: 'numero', numerica: true }),
+          columna('NAPs sugeridos', 'naps_sugeridos', { formato: 'numero', numerica: true }),
+          columna('Punto sugerido', 'ubicacion_sugerida')
+        ]
+      }),
+      tabla({
+        titulo: 'NAPs que se saturan',
+        vacio: 'Ningún NAP se satura dentro del horizonte.',
+        filas: naps,
+        columnas: [
+          columna('NAP', 'nap'),
+          columna('Zona', 'zona'),
+          columna('Ubicación', 'ubicacion'),
+          columna('Puertos', 'total_puertos', { formato: 'numero', numerica: true }),
+          columna('Libres', 'puertos_libres', { formato: 'numero', numerica: true }),
+          columna('Ocupación', 'porcentaje_ocupacion', { formato: 'porcentaje', numerica: true }),
+          columna('Puertos/mes', 'puertos_por_mes', { formato: 'numero', numerica: true }),
+          columna('Días', 'dias_para_saturar', { formato: 'numero', numerica: true }),
+          columna('Saturación estimada', 'fecha_saturacion', { formato: 'fecha' })
+        ]
+      })
+    ],
+    firmas: FIRMAS_INTERNAS
+  },
+
+  altas_bajas: {
+    titulo: 'Altas y bajas de servicio',
+    descripcion: 'Conexiones iniciadas y finalizadas en el periodo',
+    orientacion: 'horizontal',
+    resumen: [
+      { clave: 'total_altas', etiqueta: 'Altas' },
+      { clave: 'total_bajas', etiqueta: 'Bajas' },
+      { clave: 'movimiento_neto', etiqueta: 'Movimiento neto' },
+      { clave: 'periodo_dias', etiqueta: 'Días del periodo' }
+    ],
+    secciones: ({ data }) => [
+      tabla({
+        titulo: 'Movimientos',
+        vacio: 'No hubo altas ni bajas en el periodo.',
+        filas: data,
+        columnas: [
+          columna('Movimiento', 'movimiento', { formato: 'insignia' }),
+          columna('Fecha', 'fecha', { formato: 'fecha' }),
+          columna('Cliente', 'cliente'),
+          columna('CI', 'ci'),
+          columna('Teléfono', 'telefono'),
+          columna('Plan', 'plan'),
+          columna('Mbps', 'velocidad_mbps', { formato: 'numero', numerica: true }),
+          columna('NAP', 'nap'),
+          columna('Ubicación', 'ubicacion'),
+          columna('Estado', 'estado_conexion', { formato: 'insignia' })
+        ]
+      })
+    ],
+    firmas: FIRMAS_INTERNAS
+  },
+
+  clientes_estado: {
+    titulo: 'Estado de clientes',
+    descripcion: 'Situación del servicio de cada cliente y su conexión actual',
+    orientacion: 'horizontal',
+    resumen: [
+      { clave: 'total_clientes', etiqueta: 'Clientes' },
+      { clave: 'clientes_activos', etiqueta: 'Activos' },
+      { clave: 'clientes_suspendidos', etiqueta: 'Suspendidos' },
+      { clave: 'clientes_inactivos', etiqueta: 'Inactivos' },
+      { clave: 'sin_servicio', etiqueta: 'Sin servicio' }
+    ],
+    secciones: ({ data }) => [
+      tabla({
+        titulo: 'Clientes',
+        filas: data,
+        columnas: [
+          columna('Cliente', 'nombre'),
+          columna('CI', 'ci'),
+          columna('Teléfono', 'telefono'),
+          columna('Correo', 'correo'),
+          columna('Estado', 'estado_servicio', { formato: 'insignia' }),
+          columna('Plan', 'plan_actual'),
+          columna('Mbps', 'velocidad_mbps', { formato: 'numero', numerica: true }),
+          columna('NAP', 'nap'),
+          columna('Alta', 'fecha_alta_servicio', { formato: 'fecha' }),
+          columna('Conexiones', 'total_conexiones_historicas', { formato: 'numero', numerica: true })
+        ]
+      })
+    ],
+    firmas: FIRMAS_INTERNAS
+  },
+
+  cortes_reconexiones: {
+    titulo: 'Cortes y reconexiones del día',
+    descripcion: 'Conexiones suspendidas por mora y reactivadas por pago, para el trabajo de campo',
+    orientacion: 'horizontal',
+    resumen: [
+      { clave: 'suspendidas_hoy', etiqueta: 'Suspendidas hoy' },
+      { clave: 'reactivadas_hoy', etiqueta: 'Reactivadas hoy' },
+      { clave: 'por_suspender', etiqueta: 'Por suspender' },
+      { clave: 'por_reactivar', etiqueta: 'Por reactivar' }
+    ],
+    secciones: ({ data }) => [
+      tabla({
+        titulo: 'Conexiones',
+        vacio: 'No hay cortes ni reconexiones para hoy.',
+        filas: data,
+        columnas: [
+          columna('Acción', 'accion', { formato: 'insignia' }),
+          columna('Estado', 'estado', { formato: 'insignia' }),
+          columna('Cliente', 'cliente'),
+          columna('CI', 'ci'),
+          columna('Teléfono', 'telefono'),
+          columna('Dirección', 'direccion'),
+          columna('Zona', 'zona'),
+          columna('NAP', 'nap'),
+          columna('Puerto', 'puerto', { formato: 'numero', numerica: true }),
+          columna('Plan', 'plan'),
+          columna('Deuda', f => (f.deuda === null ? null : `${FORMATOS.moneda(f.deuda)} ${f.moneda}`), { numerica: true }),
+          columna('Facturación', 'facturacion')
+        ]
+      })
+    ],
+    firmas: FIRMAS_INTERNAS
+  },
+
+  att_suscriptores: {
+    titulo: 'ATT - Suscriptores por municipio',
+    descripcion: 'Suscriptores vigentes al cierre del periodo, altas y bajas, por municipio y velocidad',
+    resumen: [
+      { clave: 'total_suscriptores', etiqueta: 'Suscriptores' },
+      { clave: 'total_altas', etiqueta: 'Altas' },
+      { clave: 'total_bajas', etiqueta: 'Bajas' },
+      { clave: 'municipios', etiqueta: 'Municipios' },
+      { clave: 'filas_sin_municipio', etiqueta: 'Filas sin municipio' }
+    ],
+    secciones: (datos) => [
+      tabla({
+        titulo: 'Suscriptores',
+        filas: datos.data,
+        columnas: columnasATT(datos, { velocidad_mbps: 'numero', suscriptores: 'numero', altas: 'numero', bajas: 'numero' })
+      })
+    ],
+    firmas: FIRMAS_ATT
+  },
+
+  att_calidad_servicio: {
+    titulo: 'ATT - Calidad del servicio',
+    descripcion: 'Disponibilidad ponderada por usuarios de cada municipio',
+    orientacion: 'horizontal',
+    resumen: [
+      { clave: 'total_suscriptores', etiqueta: 'Suscriptores' },
+      { clave: 'total_incidentes', etiqueta: 'Incidentes' },
+      { clave: 'minutos_periodo', etiqueta: 'Minutos del periodo' },
+      { clave: 'disponibilidad_global_pct', etiqueta: 'Disponibilidad global', formato: 'porcentaje' }
+    ],
+    secciones: (datos) => [
+      tabla({
+        titulo: 'Calidad por municipio',
+        filas: datos.data,
+        columnas: columnasATT(datos, {
+          suscriptores: 'numero',
+          incidentes: 'numero',
+          minutos_interrupcion: 'numero',
+          minutos_usuario_afectado: 'numero',
+          disponibilidad_pct: 'porcentaje'
+        })
+      })
+    ],
+    firmas: FIRMAS_ATT
+  },
+
+  att_incidentes_umbral: {
+    titulo: 'ATT - Incidentes sobre umbral',
+    descripcion: 'Interrupciones del periodo que superan los umbrales de duración y usuarios afectados',
+    orientacion: 'horizontal',
+    resumen: [
+      { clave: 'incidentes_en_periodo', etiqueta: 'Incidentes en el periodo' },
+      { clave: 'incidentes_sobre_umbral', etiqueta: 'Sobre el umbral' },
+      { clave: 'usuarios_afectados', etiqueta: 'Usuarios afectados' },
+      { clave: 'incidentes_abiertos', etiqueta: 'Abiertos' }
+    ],
+    secciones: (datos) => [
+      tabla({
+        titulo: 'Incidentes',
+        vacio: 'Ningún incidente del periodo supera los umbrales.',
+        filas: datos.data,
+        columnas: columnasATT(datos, { duracion_min: 'numero', usuarios_afectados: 'numero' })
+      })
+    ],
+    firmas: FIRMAS_ATT
+  },
+
+  // La factura es un documento para el cliente: sin firmas internas y con su propio pie
+  factura: {
+    titulo: 'Factura de servicio',
+    descripcion: 'Servicio de internet del periodo facturado',
+    pie: 'Conserve este documento como respaldo de su facturación',
+    resumen: [
+      { clave: 'subtotal', etiqueta: 'Subtotal', formato: 'moneda' },
+      { clave: 'impuesto', etiqueta: 'Impuesto', formato: 'moneda' },
+      { clave: 'total', etiqueta: 'Total', formato: 'moneda' },
+      { clave: 'pagado', etiqueta: 'Pagado', formato: 'moneda' },
+      { clave: 'saldo', etiqueta: 'Saldo', formato: 'moneda' }
+    ],
+    secciones: ({ data }) => [
+      tabla({
+        titulo: 'Detalle',
+        vacio: 'La factura no tiene cargos.',
+        filas: data,
+        columnas: [
+          columna('Concepto', 'concepto'),
+          columna('Desde', 'desde', { formato: 'fecha' }),
+          columna('Hasta', 'hasta', { formato: 'fecha' }),
+          columna('Días', f => (f.dias ? `${f.dias}/${f.dias_periodo}` : null), { numerica: true }),
+          columna('Precio', 'precio', { formato: 'moneda', numerica: true }),
+          columna('Importe', 'importe', { formato: 'moneda', numerica: true }),
+          columna('Imp. %', 'impuesto_porcentaje', { formato: 'porcentaje', numerica: true }),
+          columna('Impuesto', 'impuesto', { formato: 'moneda', numerica: true })
+        ]
+      })
+    ],
+    firmas: []
+  }
+};
+
+// Objetos anidados a columnas "padre - hijo"; los arrays quedan como cantidad de registros
+const aplanar = (objeto, prefijo = '') => Object.entries(objeto).reduce((plano, [clave, valor]) => {
+  const nombre = prefijo ? `${prefijo} - ${clave}` : clave;
+  if (valor && typeof valor === 'object' && !Array.isArray(valor) && !(valor instanceof Date)) {
+    return { ...plano, ...aplanar(valor, nombre) };
+  }
+  return { ...plano, [nombre]: valor };
+}, {});
+
+const PLANTILLA_GENERICA = {
+  secciones: ({ data = [] }) => {
+    const filas = data.map(fila => aplanar(fila));
+    return [
+      tabla({
+        titulo: 'Datos detallados',
+        filas,
+        columnas: Object.keys(filas[0] || {}).map(clave => columna(etiquetaDeClave(clave), clave))
+      })
+    ];
+  },
+  firmas: []
+};
+
+/**
+ * Agrega o reemplaza la plantilla de un tipo de reporte
+ *
+ * @function registrarPlantilla
+ * @param {string} tipo - Tipo que se pasa a enviarReporteEnFormato (p. ej. 'ocupacion_naps')
+ * @param {Object} plantilla - { titulo, descripcion?, orientacion?, resumen?, secciones(datos), firmas?, pie? }
+ * @returns {void}
+ */
+function registrarPlantilla(tipo, plantilla) {
+  PLANTILLAS[tipo] = plantilla;
+}
+
+/**
+ * Plantilla de un tipo de reporte (la genérica si no tiene una propia)
+ *
+ * @function obtenerPlantilla
+ * @param {string} tipo - Tipo de reporte
+ * @returns {Object} Plantilla con título, orientación y pie de página resueltos
+ */
+function obtenerPlantilla(tipo) {
+  return {
+    titulo: `Reporte ${tipo.replace(/_/g, ' ')}`,
+    orientacion: 'vertical',
+    pie: 'Documento confidencial de uso interno',
+    ...PLANTILLA_GENERICA,
+    ...PLANTILLAS[tipo]
+  };
+}
+
+/**
+ * HTML completo del reporte, listo para imprimir
+ *
+ * @function renderizarReporte
+ * @param {Object} datos - Resultado del reporte ({ fecha_generacion, parametros, data, resumen, columnas? })
+ * @param {string} tipo - Tipo de reporte
+ * @returns {string} Documento HTML
+ */
+function renderizarReporte(datos, tipo) {
+  const plantilla = obtenerPlantilla(tipo);
+  const completos = { ...datos, data: datos.data || [], resumen: datos.resumen || {} };
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapar(plantilla.titulo)}</title>
+  <style>${ESTILOS}</style>
+</head>
+<body>
+  ${encabezado(plantilla.titulo, plantilla.descripcion)}
+  ${metadatos(datos.fecha_generacion, datos.parametros)}
+  ${tarjetasResumen(datos.resumen, plantilla.resumen)}
+  ${graficosDeReporte(completos, tipo).map(grafico).join('')}
+  ${plantilla.secciones(completos).join('')}
+  ${bloqueFirmas(plantilla.firmas)}
+</body>
+</html>`;
+}
+
+module.exports = {
+  EMPRESA,
+  escapar,
+  columna,
+  tabla,
+  grafico,
+  registrarPlantilla,
+  obtenerPlantilla,
+  renderizarReporte
+};
@@ -0,0 +1,188 @@
+const puppeteer = require('puppeteer');
+
+/**
+ * Pool de navegadores Puppeteer para generar PDFs
+ *
+ * @description
+ * - Los navegadores se lanzan al primer uso y se reutilizan: abrir Chrome por cada reporte
+ *   costaba más que renderizarlo
+ * - PDF_NAVEGADORES (default: 1) navegadores con PDF_PAGINAS_POR_NAVEGADOR (default: 2) páginas
+ *   simultáneas cada uno; el resto de los pedidos espera su turno en orden de llegada
+ * - Un navegador se recicla tras PDF_RENDERS_POR_NAVEGADOR (default: 100) páginas, se relanza si
+ *   se cae y se cierra tras PDF_NAVEGADOR_INACTIVO_MS (default: 300000) sin uso
+ * - Un pedido que espera más de PDF_ESPERA_MAX_MS (default: 60000) falla en lugar de colgarse
+ */
+
+const NAVEGADORES = Math.max(1, parseInt(process.env.PDF_NAVEGADORES || '1', 10));
+const PAGINAS_POR_NAVEGADOR = Math.max(1, parseInt(process.env.PDF_PAGINAS_POR_NAVEGADOR || '2', 10));
+const RENDERS_POR_NAVEGADOR = parseInt(process.env.PDF_RENDERS_POR_NAVEGADOR || '100', 10);
+const INACTIVO_MS = parseInt(process.env.PDF_NAVEGADOR_INACTIVO_MS || '300000', 10);
+const ESPERA_MAX_MS = parseInt(process.env.PDF_ESPERA_MAX_MS || '60000', 10);
+
+const OPCIONES_LANZAMIENTO = {
+  headless: 'new',
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu'
+  ]
+};
+
+// Un lugar por navegador: { navegador (Promise), activas, renders, temporizador }
+const lugares = Array.from({ length: NAVEGADORES }, () => ({
+  navegador: null,
+  activas: 0,
+  renders: 0,
+  temporizador: null
+}));
+
+// Pedidos esperando una página libre: { resolver, rechazar, vencimiento }
+const espera = [];
+
+const cerrarNavegador = (lugar) => {
+  const navegador = lugar.navegador;
+  lugar.navegador = null;
+  lugar.renders = 0;
+  clearTimeout(lugar.temporizador);
+  lugar.temporizador = null;
+
+  if (navegador) {
+    navegador
+      .then(instancia => instancia.close())
+      .catch(() => {});
+  }
+};
+
+const lanzarNavegador = (lugar) => {
+  const navegador = puppeteer.launch(OPCIONES_LANZAMIENTO).then((instancia) => {
+    // Chrome caído: el próximo pedido lanza otro
+    instancia.on('disconnected', () => {
+      if (lugar.navegador === navegador) {
+        lugar.navegador = null;
+        lugar.renders = 0;
+      }
+    });
+    return instancia;
+  });
+
+  // Si no arranca, el próximo pedido vuelve a intentar
+  navegador.catch(() => {
+    if (lugar.navegador === navegador) lugar.navegador = null;
+  });
+
+  lugar.navegador = navegador;
+  return navegador;
+};
+
+// Prefiere un navegador ya abierto con lugar; si no, uno por abrir
+const buscarLugarLibre = () => {
+  const libres = lugares.filter(lugar => lugar.activas < PAGINAS_POR_NAVEGADOR);
+  return libres.find(lugar => lugar.navegador) || libres[0] || null;
+};
+
+const ocuparLugar = (lugar) => {
+  lugar.activas++;
+  clearTimeout(lugar.temporizador);
+  lugar.temporizador = null;
+  return lugar;
+};
+
+const liberarLugar = (lugar) => {
+  lugar.activas--;
+  lugar.renders++;
+
+  if (lugar.activas === 0) {
+    if (lugar.renders >= RENDERS_POR_NAVEGADOR) {
+      cerrarNavegador(lugar);
+    } else if (lugar.navegador) {
+      lugar.temporizador = setTimeout(() => cerrarNavegador(lugar), INACTIVO_MS);
+      lugar.temporizador.unref();
+    }
+  }
+
+  const siguiente = espera.shift();
+  if (siguiente) {
+    clearTimeout(siguiente.vencimiento);
+    siguiente.resolver(ocuparLugar(buscarLugarLibre()));
+  }
+};
+
+const esperarLugar = () => {
+  const lugar = buscarLugarLibre();
+  if (lugar) return Promise.resolve(ocuparLugar(lugar));
+
+  return new Promise((resolver, rechazar) => {
+    const pedido = { resolver, rechazar };
+    pedido.vencimiento = setTimeout(() => {
+      espera.splice(espera.indexOf(pedido), 1);
+      rechazar(new Error('Hay demasiados PDFs en generación; intente de nuevo en unos minutos'));
+    }, ESPERA_MAX_MS);
+    espera.push(pedido);
+  });
+};
+
+/**
+ * Ejecuta una función con una página nueva de un navegador del pool
+ *
+ * @async
+ * @function conPagina
+ * @param {Function} trabajo - async (page) => resultado; la página se cierra al terminar
+ * @returns {Promise<*>} Lo que devuelva trabajo
+ * @throws {Error} Si no hubo lugar en PDF_ESPERA_MAX_MS o si falló el navegador o el trabajo
+ *
+ * @example
+ * const pdf = await conPagina(async (page) => {
+ *   await page.setContent(html);
+ *   return page.pdf({ format: 'A4' });
+ * });
+ */
+async function conPagina(trabajo) {
+  const lugar = await esperarLugar();
+  let pagina = null;
+
+  try {
+    const navegador = await (lugar.navegador || lanzarNavegador(lugar));
+    pagina = await navegador.newPage();
+    return await trabajo(pagina);
+  } finally {
+    if (pagina) {
+      await pagina.close().catch(() => {});
+    }
+    liberarLugar(lugar);
+  }
+}
+
+/**
+ * Estado del pool, para diagnóstico
+ *
+ * @function estadoPool
+ * @returns {Object} { navegadores_abiertos, paginas_activas, en_espera, capacidad }
+ */
+function estadoPool() {
+  return {
+    navegadores_abiertos: lugares.filter(lugar => lugar.navegador).length,
+    paginas_activas: lugares.reduce((s, lugar) => s + lugar.activas, 0),
+    en_espera: espera.length,
+    capacidad: NAVEGADORES * PAGINAS_POR_NAVEGADOR
+  };
+}
+
+/**
+ * Cierra todos los navegadores (al apagar el servidor)
+ *
+ * @function cerrarPool
+ * @returns {void}
+ */
+function cerrarPool() {
+  lugares.forEach(cerrarNavegador);
+}
+
+module.exports = {
+  conPagina,
+  estadoPool,
+  cerrarPool
+};
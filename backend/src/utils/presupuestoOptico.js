@@ -0,0 +1,215 @@
+const { NAP, Puerto, Conexion, Cliente } = require('../models');
+const { Op } = require('sequelize');
+const { obtenerRutaAscendente, obtenerRutasAscendentes } = require('./topologia');
+
+// Pérdidas de referencia para GPON (ITU-T G.671 / G.652), en dB
+const PERDIDA_SPLITTER_DB = {
+  '1:2': 3.7,
+  '1:4': 7.3,
+  '1:8': 10.5,
+  '1:16': 13.7,
+  '1:32': 17.1,
+  '1:64': 20.5
+};
+const ATENUACION_FIBRA_DB_KM = 0.35;
+const PERDIDA_CONECTOR_DB = 0.5;
+const PERDIDA_EMPALME_DB = 0.1;
+
+// La acometida suma el conector de la ONT; el del puerto del NAP ya está en nap.conectores
+const CONECTORES_ACOMETIDA = 1;
+
+// Sensibilidad de una ONT GPON clase B+ y margen exigido para considerar el enlace sano
+const SENSIBILIDAD_ONT_DBM = parseFloat(process.env.SENSIBILIDAD_ONT_DBM || '-27');
+const MARGEN_SEGURIDAD_DB = parseFloat(process.env.MARGEN_SEGURIDAD_OPTICO_DB || '3');
+
+const redondear = (valor) => Math.round(valor * 100) / 100;
+
+const perdidaFibra = (longitudM) => (parseFloat(longitudM) || 0) / 1000 * ATENUACION_FIBRA_DB_KM;
+
+/**
+ * Clasifica una potencia recibida frente a la sensibilidad de la ONT
+ *
+ * @param {number|null} potenciaRxDbm - Potencia esperada en la ONT
+ * @returns {string} OK | MARGINAL | BAJO_SENSIBILIDAD | SIN_DATOS
+ */
+const clasificarPotencia = (potenciaRxDbm) => {
+  if (potenciaRxDbm === null) return 'SIN_DATOS';
+  if (potenciaRxDbm < SENSIBILIDAD_ONT_DBM) return 'BAJO_SENSIBILIDAD';
+  if (potenciaRxDbm < SENSIBILIDAD_ONT_DBM + MARGEN_SEGURIDAD_DB) return 'MARGINAL';
+  return 'OK';
+};
+
+/**
+ * Calcula la potencia que llega a la entrada de un NAP
+ *
+ * @function calcularPresupuestoNAP
+ * @param {Object} nap - NAP con conectores y empalmes
+ * @param {Object|null} ruta - Resultado de obtenerRutaAscendente
+ *
+ * @returns {Object} Desglose de pérdidas y potencia en el NAP
+ *
+ * @example
+ * calcularPresupuestoNAP(nap, ruta);
+ * // {
+ * //   potencia_tx_dbm: 3,
+ * //   longitud_fibra_m: 2350,
+ * //   perdidas: { splitters: 21, fibra: 0.82, conectores: 1, empalmes: 0.4, total: 23.22 },
+ * //   potencia_nap_dbm: -20.22,
+ * //   calculable: true
+ * // }
+ *
+ * @description
+ * - Suma la pérdida de cada splitter de la cascada según su ratio
+ * - La fibra incluye los cables de cada splitter y el cable que llega al NAP
+ * - calculable = false si la ruta está incompleta o la OLT no tiene potencia de lanzamiento
+ */
+const calcularPresupuestoNAP = (nap, ruta) => {
+  const splitters = ruta?.splitters || [];
+
+  const longitudFibra = splitters.reduce((s, sp) => s + (sp.cable?.longitud_m || 0), 0)
+    + (ruta?.cable_nap?.longitud_m || 0);
+
+  const perdidas = {
+    splitters: splitters.reduce((s, sp) => s + (PERDIDA_SPLITTER_DB[sp.ratio] || 0), 0),
+    fibra: perdidaFibra(longitudFibra),
+    conectores: (nap.conectores || 0) * PERDIDA_CONECTOR_DB,
+    empalmes: (nap.empalmes || 0) * PERDIDA_EMPALME_DB
+  };
+  perdidas.total = perdidas.splitters + perdidas.fibra + perdidas.conectores + perdidas.empalmes;
+
+  const potenciaTx = ruta?.olt?.potencia_tx_dbm ?? null;
+  const calculable = !!(ruta?.completa && potenciaTx !== null);
+
+  return {
+    potencia_tx_dbm: potenciaTx,
+    longitud_fibra_m: redondear(longitudFibra),
+    perdidas: Object.fromEntries(Object.entries(perdidas).map(([k, v]) => [k, redondear(v)])),
+    potencia_nap_dbm: calculable ? redondear(potenciaTx - perdidas.total) : null,
+    calculable
+  };
+};
+
+/**
+ * Calcula la potencia esperada en la ONT de un puerto a partir de la del NAP
+ *
+ * @function calcularPresupuestoPuerto
+ * @param {Object} presupuestoNAP - Resultado de calcularPresupuestoNAP
+ * @param {Object} puerto - Puerto con longitud_acometida_m
+ *
+ * @returns {Object} { perdida_acometida_db, potencia_rx_dbm, margen_db, estado_optico }
+ */
+const calcularPresupuestoPuerto = (presupuestoNAP, puerto) => {
+  const perdidaAcometida = perdidaFibra(puerto.longitud_acometida_m) + CONECTORES_ACOMETIDA * PERDIDA_CONECTOR_DB;
+  const potenciaRx = presupuestoNAP.potencia_nap_dbm !== null
+    ? redondear(presupuestoNAP.potencia_nap_dbm - perdidaAcometida)
+    : null;
+
+  return {
+    perdida_acometida_db: redondear(perdidaAcometida),
+    potencia_rx_dbm: potenciaRx,
+    margen_db: potenciaRx !== null ? redondear(potenciaRx - SENSIBILIDAD_ONT_DBM) : null,
+    estado_optico: clasificarPotencia(potenciaRx)
+  };
+};
+
+// Presupuesto del NAP, detalle por puerto y resumen, con la ruta ya reconstruida
+const armarPresupuestoOptico = (nap, ruta) => {
+  const presupuestoNAP = calcularPresupuestoNAP(nap, ruta);
+
+  const puertos = nap.puertos.map(puerto => ({
+    id: puerto.id,
+    numero: puerto.numero,
+    estado: puerto.estado,
+    longitud_acometida_m: puerto.longitud_acometida_m !== null ? parseFloat(puerto.longitud_acometida_m) : null,
+    cliente: puerto.conexion?.cliente || null,
+    ...calcularPresupuestoPuerto(presupuestoNAP, puerto)
+  }));
+
+  const potencias = puertos.map(p => p.potencia_rx_dbm).filter(p => p !== null);
+
+  return {
+    nap: { id: nap.id, codigo: nap.codigo, ubicacion: nap.ubicacion, estado: nap.estado, conectores: nap.conectores, empalmes: nap.empalmes },
+    ruta_ascendente: ruta,
+    parametros: {
+      sensibilidad_ont_dbm: SENSIBILIDAD_ONT_DBM,
+      margen_seguridad_db: MARGEN_SEGURIDAD_DB,
+      atenuacion_fibra_db_km: ATENUACION_FIBRA_DB_KM,
+      perdida_conector_db: PERDIDA_CONECTOR_DB,
+      perdida_empalme_db: PERDIDA_EMPALME_DB
+    },
+    presupuesto_nap: presupuestoNAP,
+    puertos,
+    resumen: {
+      total_puertos: puertos.length,
+      ok: puertos.filter(p => p.estado_optico === 'OK').length,
+      marginales: puertos.filter(p => p.estado_optico === 'MARGINAL').length,
+      bajo_sensibilidad: puertos.filter(p => p.estado_optico === 'BAJO_SENSIBILIDAD').length,
+      sin_datos: puertos.filter(p => p.estado_optico === 'SIN_DATOS').length,
+      peor_potencia_rx_dbm: potencias.length > 0 ? Math.min(...potencias) : null
+    }
+  };
+};
+
+/**
+ * Calcula el presupuesto óptico de un NAP y de cada uno de sus puertos
+ *
+ * @async
+ * @function calcularPresupuestoOptico
+ * @param {string} napId - ID del NAP
+ *
+ * @returns {Promise<Object|null>} Presupuesto del NAP, detalle por puerto y resumen; null si el NAP no existe
+ */
+async function calcularPresupuestoOptico(napId) {
+  const nap = await NAP.findByPk(napId, {
+    attributes: ['id', 'codigo', 'ubicacion', 'estado', 'splitter_id', 'cable_id', 'conectores', 'empalmes'],
+    include: [{
+      model: Puerto,
+      as: 'puertos',
+      attributes: ['id', 'numero', 'estado', 'longitud_acometida_m'],
+      include: [{
+        model: Conexion,
+        as: 'conexion',
+        required: false,
+        where: { estado: { [Op.in]: ['ACTIVA', 'SUSPENDIDA'] } },
+        attributes: ['id', 'estado'],
+        include: [{ model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido', 'ci'] }]
+      }]
+    }],
+    order: [['puertos', 'numero', 'ASC']]
+  });
+
+  if (!nap) {
+    return null;
+  }
+
+  return armarPresupuestoOptico(nap, await obtenerRutaAscendente(nap));
+}
+
+/**
+ * Calcula el presupuesto óptico de varios NAPs ya cargados
+ *
+ * @async
+ * @function calcularPresupuestosOpticos
+ * @param {Object[]} naps - NAPs con splitter_id, cable_id, conectores, empalmes y puertos (con longitud_acometida_m)
+ *
+ * @returns {Promise<Map>} nap_id → mismo resultado que calcularPresupuestoOptico
+ *
+ * @description
+ * - La topología se lee una sola vez para todos (obtenerRutasAscendentes): pensado para reportes de toda la red
+ * - El cliente de cada puerto sale de puerto.conexion.cliente si vino incluido
+ */
+async function calcularPresupuestosOpticos(naps) {
+  const rutas = await obtenerRutasAscendentes(naps);
+  return new Map(naps.map(nap => [nap.id, armarPresupuestoOptico(nap, rutas.get(nap.id))]));
+}
+
+module.exports = {
+  PERDIDA_SPLITTER_DB,
+  SENSIBILIDAD_ONT_DBM,
+  MARGEN_SEGURIDAD_DB,
+  clasificarPotencia,
+  calcularPresupuestoNAP,
+  calcularPresupuestoPuerto,
+  calcularPresupuestoOptico,
+  calcularPresupuestosOpticos
+};
@@ -0,0 +1,235 @@
+const { Op, fn, col } = require('sequelize');
+const { NAP, Puerto, Conexion, Zona } = require('../models');
+const { fechaISOLocal } = require('./fechas');
+const { crecimientoOcupacion } = require('./ocupacionHistorica');
+
+/**
+ * Pronóstico de capacidad de NAPs
+ *
+ * @description
+ * - La tendencia de cada NAP sale de sus conexiones (fecha_inicio / fecha_fin): se cuentan las
+ *   vigentes una vez por semana en los últimos PRONOSTICO_VENTANA_DIAS (default: 180) y se ajusta
+ *   una recta (crecimientoOcupacion). Así hay pronóstico aunque ocupaciones_diarias sea reciente
+ * - Un NAP instalado dentro de la ventana se mide desde su instalación
+ * - La fecha de saturación es cuando, a ese ritmo, se ocupan los puertos que hoy no lo están;
+ *   sin crecimiento, o si faltan más de 3 años, no se pronostica
+ * - Las conexiones FINALIZADAS sin fecha_fin no se pueden ubicar en el tiempo y se ignoran
+ */
+
+const VENTANA_DIAS = parseInt(process.env.PRONOSTICO_VENTANA_DIAS || '180', 10);
+const HORIZONTE_ALERTA_DIAS = parseInt(process.env.PRONOSTICO_HORIZONTE_ALERTA_DIAS || '56', 10);
+const HORIZONTE_PLANIFICACION_DIAS = 90;
+const MAXIMO_DIAS = 3 * 365;
+const PASO_DIAS = 7;
+
+// 'AAAA-MM-DD' desplazada N días (fecha local)
+const sumarDias = (iso, dias) => fechaISOLocal(
+  new Date(Number(iso.slice(0, 4)), Number(iso.slice(5, 7)) - 1, Number(iso.slice(8, 10)) + dias)
+);
+
+// Muestras semanales desde inicio hasta hoy (hoy siempre incluido)
+const fechasMuestra = (inicio, hoy) => {
+  const fechas = [];
+  for (let fecha = inicio; fecha < hoy; fecha = sumarDias(fecha, PASO_DIAS)) fechas.push(fecha);
+  fechas.push(hoy);
+  return fechas;
+};
+
+const vigenteEl = (conexion, fecha) => conexion.fecha_inicio <= fecha && (!conexion.fecha_fin || conexion.fecha_fin > fecha);
+
+/**
+ * Pronóstico de saturación de cada NAP
+ *
+ * @async
+ * @function pronosticarCapacidad
+ * @param {Object} [opciones]
+ * @param {Object} [opciones.where={}] - Condición sobre NAP (p. ej. filtroZonaNAP(alcance) o { id })
+ * @param {number} [opciones.ventanaDias] - Días de historia para la tendencia (default: PRONOSTICO_VENTANA_DIAS)
+ * @param {Date} [opciones.fecha=new Date()] - Día desde el que se pronostica
+ * @returns {Promise<Object[]>} Por NAP: { nap, total_puertos, puertos_ocupados, puertos_libres,
+ *   porcentaje_ocupacion, altas, bajas, crecimiento, dias_para_saturar, semanas_para_saturar,
+ *   fecha_saturacion }, los que se saturan antes primero
+ *
+ * @example
+ * const pronosticos = await pronosticarCapacidad({ where: filtroZonaNAP(alcance) });
+ * // [{ nap: { codigo: 'NAP-014', ... }, puertos_libres: 3, crecimiento: { puertos_por_mes: 2.1, ... },
+ * //    dias_para_saturar: 43, semanas_para_saturar: 6, fecha_saturacion: '2024-05-02' }, ...]
+ */
+async function pronosticarCapacidad({ where = {}, ventanaDias = VENTANA_DIAS, fecha = new Date() } = {}) {
+  const hoy = fechaISOLocal(fecha);
+  const desde = sumarDias(hoy, -ventanaDias);
+
+  const naps = await NAP.findAll({
+    where,
+    attributes: ['id', 'codigo', 'ubicacion', 'estado', 'latitud', 'longitud', 'total_puertos', 'createdAt'],
+    include: [{ model: Zona, as: 'zona', attributes: ['id', 'nombre'] }],
+    order: [['codigo', 'ASC']]
+  });
+  if (naps.length === 0) return [];
+
+  const napIds = naps.map(nap => nap.id);
+  const [ocupados, conexiones] = await Promise.all([
+    Puerto.findAll({
+      where: { nap_id: { [Op.in]: napIds }, estado: 'OCUPADO' },
+      attributes: ['nap_id', [fn('COUNT', col('id')), 'cantidad']],
+      group: ['nap_id'],
+      raw: true
+    }),
+    Conexion.findAll({
+      where: {
+        fecha_inicio: { [Op.lte]: hoy },
+        [Op.or]: [
+          { fecha_fin: null, estado: { [Op.ne]: 'FINALIZADA' } },
+          { fecha_fin: { [Op.gte]: desde } }
+        ]
+      },
+      attributes: ['fecha_inicio', 'fecha_fin'],
+      include: [{ model: Puerto, as: 'puerto', attributes: ['nap_id'], where: { nap_id: { [Op.in]: napIds } } }],
+      raw: true
+    })
+  ]);
+
+  const ocupadosPorNAP = new Map(ocupados.map(fila => [fila.nap_id, Number(fila.cantidad)]));
+  const conexionesPorNAP = new Map();
+  for (const conexion of conexiones) {
+    const napId = conexion['puerto.nap_id'];
+    if (!conexionesPorNAP.has(napId)) conexionesPorNAP.set(napId, []);
+    conexionesPorNAP.get(napId).push(conexion);
+  }
+
+  const pronosticos = naps.map(nap => {
+    const instalado = fechaISOLocal(nap.createdAt);
+    const propias = conexionesPorNAP.get(nap.id) || [];
+    const serie = fechasMuestra(instalado > desde ? instalado : desde, hoy).map(dia => {
+      const vigentes = propias.filter(conexion => vigenteEl(conexion, dia)).length;
+      return {
+        fecha: dia,
+        puertos_ocupados: vigentes,
+        porcentaje_ocupacion: nap.total_puertos > 0 ? (vigentes / nap.total_puertos) * 100 : 0
+      };
+    });
+
+    const crecimiento = crecimientoOcupacion(serie);
+    const puertosOcupados = ocupadosPorNAP.get(nap.id) || 0;
+    const puertosLibres = Math.max(0, nap.total_puertos - puertosOcupados);
+
+    let diasParaSaturar = null;
+    if (puertosLibres === 0) {
+      diasParaSaturar = 0;
+    } else if (crecimiento?.puertos_por_dia > 0) {
+      const dias = Math.ceil(puertosLibres / crecimiento.puertos_por_dia);
+      if (dias <= MAXIMO_DIAS) diasParaSaturar = dias;
+    }
+
+    return {
+      nap: {
+        id: nap.id,
+        codigo: nap.codigo,
+        ubicacion: nap.ubicacion,
+        estado: nap.estado,
+        latitud: Number(nap.latitud),
+        longitud: Number(nap.longitud),
+        zona: nap.zona ? { id: nap.zona.id, nombre: nap.zona.nombre } : null
+      },
+      total_puertos: nap.total_puertos,
+      puertos_ocupados: puertosOcupados,
+      puertos_libres: puertosLibres,
+      porcentaje_ocupacion: nap.total_puertos > 0 ? Math.round((puertosOcupados / nap.total_puertos) * 100) : 0,
+      altas: propias.filter(conexion => conexion.fecha_inicio >= desde).length,
+      bajas: propias.filter(conexion => conexion.fecha_fin && conexion.fecha_fin <= hoy).length,
+      crecimiento,
+      dias_para_saturar: diasParaSaturar,
+      // Una semana como mínimo mientras quede algún puerto libre
+      semanas_para_saturar: diasParaSaturar === null ? null : diasParaSaturar === 0 ? 0 : Math.max(1, Math.round(diasParaSaturar / 7)),
+      fecha_saturacion: diasParaSaturar === null ? null : sumarDias(hoy, diasParaSaturar)
+    };
+  });
+
+  return pronosticos.sort((a, b) => (a.dias_para_saturar ?? Infinity) - (b.dias_para_saturar ?? Infinity));
+}
+
+/**
+ * Alertas "NAP se saturará en ~N semanas"
+ *
+ * @function alertasSaturacionPrevista
+ * @param {Object[]} pronosticos - Resultado de pronosticarCapacidad
+ * @param {number} [horizonteDias] - Sólo las saturaciones dentro de este plazo (default: PRONOSTICO_HORIZONTE_ALERTA_DIAS)
+ * @returns {Object[]} Alertas NAP_SATURACION_PREVISTA de los NAPs activos que todavía tienen puertos libres
+ */
+function alertasSaturacionPrevista(pronosticos, horizonteDias = HORIZONTE_ALERTA_DIAS) {
+  return pronosticos
+    .filter(p => p.nap.estado === 'ACTIVO' && p.puertos_libres > 0
+      && p.dias_para_saturar !== null && p.dias_para_saturar <= horizonteDias)
+    .map(p => ({
+      tipo: 'NAP_SATURACION_PREVISTA',
+      nivel: 'ADVERTENCIA',
+      mensaje: `NAP ${p.nap.codigo} se saturará en ~${p.semanas_para_saturar} semana${p.semanas_para_saturar !== 1 ? 's' : ''}`,
+      detalle: `${p.puertos_libres} puertos libres, +${p.crecimiento.puertos_por_mes} puertos/mes; saturación estimada el ${p.fecha_saturacion}`,
+      nap_id: p.nap.id,
+      fecha: p.fecha_saturacion
+    }));
+}
+
+/**
+ * Zonas donde conviene instalar un NAP nuevo
+ *
+ * @function planificacionCapacidad
+ * @param {Object[]} pronosticos - Resultado de pronosticarCapacidad
+ * @param {number} [horizonteDias=90] - Plazo de planificación
+ * @returns {Object[]} Por zona con algún NAP saturado o que se satura en el plazo: NAPs críticos,
+ *   puertos que faltarán al final del plazo, NAPs sugeridos (con el tamaño promedio de la zona),
+ *   punto sugerido (centro de los NAPs críticos) y prioridad (URGENTE si alguno se satura en 30 días)
+ *
+ * @description
+ * Los puertos faltantes son, por NAP crítico, lo que pediría su ritmo actual durante el plazo menos
+ * sus puertos libres: la demanda de un NAP lleno no se cubre con puertos libres de otro barrio
+ */
+function planificacionCapacidad(pronosticos, horizonteDias = HORIZONTE_PLANIFICACION_DIAS) {
+  const zonas = new Map();
+  for (const p of pronosticos) {
+    const clave = p.nap.zona?.id ?? null;
+    if (!zonas.has(clave)) zonas.set(clave, { zona: p.nap.zona, naps: [] });
+    zonas.get(clave).naps.push(p);
+  }
+
+  const areas = [];
+  for (const { zona, naps } of zonas.values()) {
+    const criticos = naps.filter(p => p.dias_para_saturar !== null && p.dias_para_saturar <= horizonteDias);
+    if (criticos.length === 0) continue;
+
+    const puertosFaltantes = Math.ceil(criticos.reduce((suma, p) => {
+      const demanda = (p.crecimiento?.puertos_por_dia > 0 ? p.crecimiento.puertos_por_dia : 0) * horizonteDias;
+      return suma + Math.max(0, demanda - p.puertos_libres);
+    }, 0));
+    const puertosPorNAP = Math.round(naps.reduce((suma, p) => suma + p.total_puertos, 0) / naps.length) || 16;
+    const primera = Math.min(...criticos.map(p => p.dias_para_saturar));
+    const conUbicacion = criticos.filter(p => Number.isFinite(p.nap.latitud) && Number.isFinite(p.nap.longitud));
+    const centro = (campo) => conUbicacion.reduce((suma, p) => suma + p.nap[campo], 0) / conUbicacion.length;
+
+    areas.push({
+      zona: zona?.nombre || 'Sin zona',
+      zona_id: zona?.id ?? null,
+      naps_en_zona: naps.length,
+      puertos_libres_zona: naps.reduce((suma, p) => suma + p.puertos_libres, 0),
+      puertos_por_mes: Math.round(naps.reduce((suma, p) => suma + (p.crecimiento?.puertos_por_mes ?? 0), 0) * 10) / 10,
+      naps_criticos: criticos.map(p => p.nap.codigo),
+      primera_saturacion: criticos.find(p => p.dias_para_saturar === primera).fecha_saturacion,
+      dias_para_primera_saturacion: primera,
+      puertos_faltantes: puertosFaltantes,
+      naps_sugeridos: Math.max(1, Math.ceil(puertosFaltantes / puertosPorNAP)),
+      ubicacion_sugerida: conUbicacion.length
+        ? `${centro('latitud').toFixed(6)}, ${centro('longitud').toFixed(6)}`
+        : null,
+      prioridad: primera <= 30 ? 'URGENTE' : 'PLANIFICAR'
+    });
+  }
+
+  return areas.sort((a, b) => a.dias_para_primera_saturacion - b.dias_para_primera_saturacion);
+}
+
+module.exports = {
+  HORIZONTE_PLANIFICACION_DIAS,
+  pronosticarCapacidad,
+  alertasSaturacionPrevista,
+  planificacionCapacidad
+};
@@ -0,0 +1,225 @@
+const { Op, fn, col } = require('sequelize');
+const { NAP, Puerto, Conexion, Mantenimiento, ReglaAlerta } = require('../models');
+
+/**
+ * Motor de reglas de alerta (tabla reglas_alerta)
+ *
+ * @description
+ * - Cada métrica se calcula una sola vez por evaluación para todos los NAPs (consultas agrupadas)
+ *   y cada regla activa compara el valor de los NAPs de su alcance con su umbral
+ * - Las alertas de una métrica comparten tipo: si varias reglas se cumplen para el mismo NAP queda
+ *   la de mayor nivel, así "ocupación >= 80 ADVERTENCIA" y "ocupación >= 95 CRITICO" escalan una
+ *   única alerta en lugar de abrir dos
+ * - No evalúa NAPs FUERA_SERVICIO
+ */
+
+const MS_POR_HORA = 60 * 60 * 1000;
+const MS_POR_DIA = 24 * MS_POR_HORA;
+
+const ORDEN_NIVEL = { CRITICO: 3, ADVERTENCIA: 2, INFO: 1 };
+
+const COMPARADORES = {
+  '>': (valor, umbral) => valor > umbral,
+  '>=': (valor, umbral) => valor >= umbral,
+  '<': (valor, umbral) => valor < umbral,
+  '<=': (valor, umbral) => valor <= umbral,
+  '=': (valor, umbral) => valor === umbral
+};
+
+const porcentaje = (parte, total) => (total > 0 ? Math.round((parte / total) * 10000) / 100 : 0);
+
+const cantidadesPorNAP = (filas) => new Map(filas.map(fila => [fila.nap_id, parseInt(fila.cantidad, 10)]));
+
+/**
+ * Métricas disponibles para las reglas
+ *
+ * @description
+ * - tipo: tipo de las alertas que abre la métrica
+ * - estados: estados de NAP a los que se aplica
+ * - usa_ventana: la regla debe indicar ventana_horas
+ * - calcular(naps, regla): Map nap_id → valor; un NAP sin valor no se evalúa
+ */
+const METRICAS = {
+  OCUPACION: {
+    tipo: 'NAP_OCUPACION',
+    nombre: 'Ocupación de puertos',
+    unidad: '%',
+    // Un NAP SATURADO ya tiene su propia alerta CRITICO
+    estados: ['ACTIVO'],
+    async calcular(naps) {
+      const ocupados = cantidadesPorNAP(await Puerto.findAll({
+        where: { estado: 'OCUPADO' },
+        attributes: ['nap_id', [fn('COUNT', col('id')), 'cantidad']],
+        group: ['nap_id'],
+        raw: true
+      }));
+      return new Map(naps.map(nap => [nap.id, porcentaje(ocupados.get(nap.id) || 0, nap.total_puertos)]));
+    }
+  },
+  PUERTOS_MANTENIMIENTO: {
+    tipo: 'PUERTOS_EN_MANTENIMIENTO',
+    nombre: 'Puertos en mantenimiento',
+    unidad: ' puertos',
+    estados: ['ACTIVO', 'SATURADO', 'MANTENIMIENTO'],
+    async calcular(naps) {
+      const enMantenimiento = cantidadesPorNAP(await Puerto.findAll({
+        where: { estado: 'MANTENIMIENTO' },
+        attributes: ['nap_id', [fn('COUNT', col('id')), 'cantidad']],
+        group: ['nap_id'],
+        raw: true
+      }));
+      return new Map(naps.map(nap => [nap.id, enMantenimiento.get(nap.id) || 0]));
+    }
+  },
+  DIAS_SIN_PREVENTIVO: {
+    tipo: 'SIN_PREVENTIVO',
+    nombre: 'Días sin mantenimiento preventivo',
+    unidad: ' días',
+    estados: ['ACTIVO', 'SATURADO', 'MANTENIMIENTO'],
+    async calcular(naps) {
+      const ultimos = await Mantenimiento.findAll({
+        where: { tipo: 'PREVENTIVO' },
+        attributes: ['nap_id', [fn('MAX', col('fecha')), 'ultima']],
+        group: ['nap_id'],
+        raw: true
+      });
+      const ultimoPorNAP = new Map(ultimos.map(fila => [fila.nap_id, new Date(fila.ultima)]));
+      const ahora = Date.now();
+
+      // Sin preventivos se cuenta desde el alta del NAP
+      return new Map(naps.map(nap => {
+        const desde = ultimoPorNAP.get(nap.id) || new Date(nap.createdAt);
+        return [nap.id, Math.floor((ahora - desde.getTime()) / MS_POR_DIA)];
+      }));
+    }
+  },
+  CONEXIONES_SUSPENDIDAS: {
+    tipo: 'CONEXIONES_SUSPENDIDAS',
+    nombre: 'Conexiones suspendidas',
+    unidad: '%',
+    estados: ['ACTIVO', 'SATURADO', 'MANTENIMIENTO'],
+    async calcular() {
+      const filas = await Conexion.findAll({
+        where: { estado: { [Op.in]: ['ACTIVA', 'SUSPENDIDA'] } },
+        attributes: [[col('puerto.nap_id'), 'nap_id'], 'estado', [fn('COUNT', col('Conexion.id')), 'cantidad']],
+        include: [{ model: Puerto, as: 'puerto', attributes: [] }],
+        group: [col('puerto.nap_id'), col('Conexion.estado')],
+        raw: true
+      });
+
+      // Porcentaje sobre las conexiones vigentes; un NAP sin conexiones no tiene valor
+      const conteos = new Map();
+      for (const fila of filas) {
+        const conteo = conteos.get(fila.nap_id) || { vigentes: 0, suspendidas: 0 };
+        conteo.vigentes += parseInt(fila.cantidad, 10);
+        if (fila.estado === 'SUSPENDIDA') conteo.suspendidas += parseInt(fila.cantidad, 10);
+        conteos.set(fila.nap_id, conteo);
+      }
+      return new Map([...conteos].map(([napId, conteo]) => [napId, porcentaje(conteo.suspendidas, conteo.vigentes)]));
+    }
+  },
+  CORRECTIVOS_RECIENTES: {
+    tipo: 'MANTENIMIENTO_CORRECTIVO',
+    nombre: 'Mantenimientos correctivos',
+    unidad: ' correctivos',
+    estados: ['ACTIVO', 'SATURADO', 'MANTENIMIENTO'],
+    usa_ventana: true,
+    async calcular(naps, regla) {
+      const correctivos = cantidadesPorNAP(await Mantenimiento.findAll({
+        where: {
+          tipo: 'CORRECTIVO',
+          fecha: { [Op.gte]: new Date(Date.now() - regla.ventana_horas * MS_POR_HORA) }
+        },
+        attributes: ['nap_id', [fn('COUNT', col('id')), 'cantidad']],
+        group: ['nap_id'],
+        raw: true
+      }));
+      return new Map(naps.map(nap => [nap.id, correctivos.get(nap.id) || 0]));
+    }
+  }
+};
+
+const formatear = (valor, unidad) => `${Math.round(valor * 10) / 10}${unidad}`;
+
+/**
+ * Indica si una regla alcanza a un NAP
+ *
+ * @function reglaAplicaANAP
+ * @param {Object} regla - ReglaAlerta
+ * @param {Object} nap - NAP con id, zona_id y modelo
+ * @returns {boolean}
+ */
+function reglaAplicaANAP(regla, nap) {
+  switch (regla.alcance) {
+    case 'ZONA': return nap.zona_id === regla.zona_id;
+    case 'MODELO': return nap.modelo === regla.modelo_nap;
+    case 'NAP': return nap.id === regla.nap_id;
+    default: return true;
+  }
+}
+
+/**
+ * Evalúa las reglas activas sobre los NAPs
+ *
+ * @async
+ * @function evaluarReglas
+ * @returns {Promise<Object[]>} Condiciones { tipo, nivel, mensaje, detalle, nap_id, regla_id, enfriamiento_minutos },
+ *   una por NAP y tipo
+ */
+async function evaluarReglas() {
+  const reglas = await ReglaAlerta.findAll({ where: { activa: true } });
+  if (reglas.length === 0) return [];
+
+  const naps = await NAP.findAll({
+    where: { estado: { [Op.ne]: 'FUERA_SERVICIO' } },
+    attributes: ['id', 'codigo', 'ubicacion', 'estado', 'zona_id', 'modelo', 'total_puertos', 'createdAt']
+  });
+
+  // Valores por métrica (y ventana), calculados a lo sumo una vez por evaluación
+  const valores = new Map();
+  const condiciones = new Map();
+
+  for (const regla of reglas) {
+    const metrica = METRICAS[regla.metrica];
+    const alcanzados = naps.filter(nap => metrica.estados.includes(nap.estado) && reglaAplicaANAP(regla, nap));
+    if (alcanzados.length === 0) continue;
+
+    const claveValores = `${regla.metrica}|${metrica.usa_ventana ? regla.ventana_horas : ''}`;
+    if (!valores.has(claveValores)) {
+      valores.set(claveValores, await metrica.calcular(naps, regla));
+    }
+    const porNAP = valores.get(claveValores);
+    const umbral = Number(regla.umbral);
+
+    for (const nap of alcanzados) {
+      const valor = porNAP.get(nap.id);
+      if (valor === undefined || !COMPARADORES[regla.comparador](valor, umbral)) continue;
+
+      const ventana = metrica.usa_ventana ? ` en las últimas ${regla.ventana_horas} horas` : '';
+      const condicion = {
+        tipo: metrica.tipo,
+        nivel: regla.nivel,
+        mensaje: `${regla.nombre}: NAP ${nap.codigo} (${formatear(valor, metrica.unidad)})`,
+        detalle: `${metrica.nombre}${ventana}: ${formatear(valor, metrica.unidad)} ${regla.comparador} ${formatear(umbral, metrica.unidad)}. Ubicación: ${nap.ubicacion}`,
+        nap_id: nap.id,
+        regla_id: regla.id,
+        enfriamiento_minutos: regla.enfriamiento_minutos
+      };
+
+      const clave = `${nap.id}|${metrica.tipo}`;
+      const anterior = condiciones.get(clave);
+      if (!anterior || ORDEN_NIVEL[condicion.nivel] > ORDEN_NIVEL[anterior.nivel]) {
+        condiciones.set(clave, condicion);
+      }
+    }
+  }
+
+  return [...condiciones.values()];
+}
+
+module.exports = {
+  METRICAS,
+  COMPARADORES,
+  reglaAplicaANAP,
+  evaluarReglas
+};
@@ -0,0 +1,119 @@
+const { fechaISOLocal } = require('./fechas');
+
+/**
+ * Formatos de los reportes regulatorios para la ATT
+ *
+ * @description
+ * - Cada reporte tiene un orden de columnas fijo (COLUMNAS_ATT); las filas se arman
+ *   con esas claves y en ese orden, así PDF, Excel y CSV salen con el mismo layout
+ * - Los periodos son mensuales (2024-03) o trimestrales (2024-T1), en hora local del servidor
+ */
+
+const COLUMNAS_ATT = {
+  suscriptores: [
+    'periodo',
+    'departamento',
+    'municipio',
+    'cod_municipio',
+    'velocidad_mbps',
+    'suscriptores',
+    'altas',
+    'bajas'
+  ],
+  calidad_servicio: [
+    'periodo',
+    'departamento',
+    'municipio',
+    'cod_municipio',
+    'suscriptores',
+    'incidentes',
+    'minutos_interrupcion',
+    'minutos_usuario_afectado',
+    'disponibilidad_pct'
+  ],
+  incidentes_umbral: [
+    'periodo',
+    'nro_incidente',
+    'fecha_inicio',
+    'fecha_fin',
+    'duracion_min',
+    'causa',
+    'departamento',
+    'municipio',
+    'cod_municipio',
+    'naps_afectadas',
+    'usuarios_afectados',
+    'estado'
+  ]
+};
+
+// Umbrales por defecto del reporte de incidentes (se pueden pasar por query)
+const UMBRAL_MINUTOS_ATT = parseInt(process.env.ATT_UMBRAL_MINUTOS || '240', 10);
+const UMBRAL_USUARIOS_ATT = parseInt(process.env.ATT_UMBRAL_USUARIOS || '1', 10);
+
+const REGEX_PERIODO = /^(\d{4})-(?:(0[1-9]|1[0-2])|T([1-4]))$/;
+
+/**
+ * Interpreta un periodo regulatorio
+ *
+ * @function parsearPeriodo
+ * @param {string} periodo - "AAAA-MM" (mensual) o "AAAA-Tn" (trimestral)
+ * @returns {Object|null} { codigo, tipo, desde, hasta } con hasta = último milisegundo del periodo; null si no es válido
+ *
+ * @example
+ * parsearPeriodo('2024-T2');
+ * // { codigo: '2024-T2', tipo: 'TRIMESTRAL', desde: 2024-04-01 00:00, hasta: 2024-06-30 23:59:59.999 }
+ */
+function parsearPeriodo(periodo) {
+  const coincidencia = REGEX_PERIODO.exec(periodo || '');
+  if (!coincidencia) return null;
+
+  const anio = parseInt(coincidencia[1], 10);
+  const trimestral = Boolean(coincidencia[3]);
+  const mesInicio = trimestral ? (parseInt(coincidencia[3], 10) - 1) * 3 : parseInt(coincidencia[2], 10) - 1;
+  const meses = trimestral ? 3 : 1;
+
+  return {
+    codigo: periodo,
+    tipo: trimestral ? 'TRIMESTRAL' : 'MENSUAL',
+    desde: new Date(anio, mesInicio, 1),
+    hasta: new Date(new Date(anio, mesInicio + meses, 1) - 1)
+  };
+}
+
+/**
+ * Ordena una fila según el layout del reporte
+ *
+ * @function filaATT
+ * @param {string} reporte - Clave de COLUMNAS_ATT
+ * @param {Object} valores - Valores por columna
+ * @returns {Object} Fila con exactamente las columnas del layout, en su orden ('' si falta)
+ */
+function filaATT(reporte, valores) {
+  return Object.fromEntries(COLUMNAS_ATT[reporte].map(columna => [columna, valores[columna] ?? '']));
+}
+
+// Fecha y hora local "AAAA-MM-DD HH:MM", el formato de fechas de los layouts
+const fechaHoraATT = (fecha) => {
+  if (!fecha) return '';
+  const d = new Date(fecha);
+  const dos = (n) => String(n).padStart(2, '0');
+  return `${fechaISOLocal(d)} ${dos(d.getHours())}:${dos(d.getMinutes())}`;
+};
+
+// Ubicación oficial de una zona; las zonas sin municipio cargado se agrupan aparte
+const ubicacionZona = (zona) => ({
+  departamento: zona?.departamento || 'SIN DATO',
+  municipio: zona?.municipio || 'SIN MUNICIPIO',
+  cod_municipio: zona?.codigo_municipio || ''
+});
+
+module.exports = {
+  COLUMNAS_ATT,
+  UMBRAL_MINUTOS_ATT,
+  UMBRAL_USUARIOS_ATT,
+  parsearPeriodo,
+  filaATT,
+  fechaHoraATT,
+  ubicacionZona
+};
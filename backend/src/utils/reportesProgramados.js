@@ -0,0 +1,261 @@
+const { Op } = require('sequelize');
+const { sequelize, SuscripcionReporte, EjecucionSuscripcion, Usuario } = require('../models');
+const { TIPOS_REPORTE } = require('../config/reportes');
+const { ejecutarReporte } = require('./colaReportes');
+const { enviarCorreo } = require('./correo');
+const { siguienteEjecucion } = require('./cron');
+const { fechaISOLocal } = require('./fechas');
+
+/**
+ * Programador de reportes por correo (suscripciones_reportes)
+ *
+ * @description
+ * - Cada instancia con REPORTES_PROGRAMADOS_ACTIVOS distinto de 'false' revisa cada
+ *   REPORTES_PROGRAMADOS_INTERVALO_MS (default: 60000) las suscripciones vencidas y las toma con
+ *   FOR UPDATE SKIP LOCKED, moviendo proxima_ejecucion antes de generar: un reporte no sale dos veces
+ * - Si el servidor estuvo apagado, cada suscripción atrasada se envía una sola vez y sigue desde ahora
+ * - El reporte se genera con ejecutarReporte (los mismos handlers de /reportes) y se adjunta al correo
+ * - Un fallo se avisa por correo a quien creó la suscripción; tras REPORTES_PROGRAMADOS_MAX_FALLOS
+ *   (default: 3) fallos seguidos la suscripción se desactiva
+ */
+
+const INTERVALO_MS = parseInt(process.env.REPORTES_PROGRAMADOS_INTERVALO_MS || '60000', 10);
+const MAX_FALLOS = parseInt(process.env.REPORTES_PROGRAMADOS_MAX_FALLOS || '3', 10);
+
+let temporizador = null;
+let ocupado = false;
+
+/**
+ * Parámetros de fecha o de periodo de un reporte según el rango relativo de la suscripción
+ *
+ * @function parametrosDeRango
+ * @param {Object} tipo - Entrada de TIPOS_REPORTE
+ * @param {string|null} rango - ULTIMA_SEMANA, ULTIMO_MES, MES_ANTERIOR o TRIMESTRE_ANTERIOR
+ * @param {Date} [fecha=new Date()] - Momento de la ejecución
+ * @returns {Object} { fecha_desde, fecha_hasta } o { periodo } según lo que acepte el reporte
+ *
+ * @description
+ * - Los rangos terminan ayer: un envío del lunes con ULTIMA_SEMANA cubre de lunes a domingo
+ * - Los reportes ATT sólo admiten MES_ANTERIOR y TRIMESTRE_ANTERIOR (periodos cerrados)
+ *
+ * @example
+ * parametrosDeRango(tipoDisponibilidad, 'MES_ANTERIOR', new Date(2024, 3, 1));
+ * // { fecha_desde: '2024-03-01', fecha_hasta: '2024-03-31' }
+ */
+function parametrosDeRango(tipo, rango, fecha = new Date()) {
+  if (!rango) return {};
+
+  const anio = fecha.getFullYear();
+  const mes = fecha.getMonth();
+  const dia = fecha.getDate();
+  const trimestreAnterior = Math.floor(mes / 3) - 1;
+
+  if (tipo.parametros.includes('periodo')) {
+    if (rango === 'MES_ANTERIOR') {
+      const anterior = new Date(anio, mes - 1, 1);
+      return { periodo: `${anterior.getFullYear()}-${String(anterior.getMonth() + 1).padStart(2, '0')}` };
+    }
+    if (rango === 'TRIMESTRE_ANTERIOR') {
+      return trimestreAnterior < 0 ? { periodo: `${anio - 1}-T4` } : { periodo: `${anio}-T${trimestreAnterior + 1}` };
+    }
+    return {};
+  }
+
+  if (!tipo.parametros.includes('fecha_desde')) return {};
+
+  const ayer = new Date(anio, mes, dia - 1);
+  const rangos = {
+    ULTIMA_SEMANA: [new Date(anio, mes, dia - 7), ayer],
+    ULTIMO_MES: [new Date(anio, mes - 1, dia), ayer],
+    MES_ANTERIOR: [new Date(anio, mes - 1, 1), new Date(anio, mes, 0)],
+    TRIMESTRE_ANTERIOR: [new Date(anio, trimestreAnterior * 3, 1), new Date(anio, trimestreAnterior * 3 + 3, 0)]
+  };
+  const [desde, hasta] = rangos[rango];
+
+  return { fecha_desde: fechaISOLocal(desde), fecha_hasta: fechaISOLocal(hasta) };
+}
+
+const describirParametros = (parametros) => Object.entries(parametros)
+  .map(([clave, valor]) => `${clave}: ${valor}`)
+  .join(', ') || 'sin filtros';
+
+// Aviso a quien creó la suscripción; un fallo al avisar sólo se registra en el log
+async function notificarFallo(suscripcion, error, desactivada) {
+  try {
+    const creador = await Usuario.findByPk(suscripcion.creado_por, { attributes: ['nombre', 'correo'] });
+    if (!creador?.correo) return;
+
+    await enviarCorreo({
+      para: creador.correo,
+      asunto: `Falló el reporte programado "${suscripcion.nombre}"`,
+      texto: [
+        `Hola ${creador.nombre},`,
+        '',
+        `No se pudo generar o enviar el reporte programado "${suscripcion.nombre}".`,
+        `Motivo: ${error.message}`,
+        desactivada
+          ? `La suscripción falló ${suscripcion.fallos_consecutivos} veces seguidas y quedó desactivada. Revísela y vuelva a activarla.`
+          : `Se volverá a intentar en la próxima ejecución programada.`
+      ].join('\n')
+    });
+  } catch (errorAviso) {
+    console.error('Error al notificar fallo de reporte programado:', errorAviso);
+  }
+}
+
+/**
+ * Genera el reporte de una suscripción, lo envía y registra la ejecución
+ *
+ * @async
+ * @function ejecutarSuscripcion
+ * @param {Object} suscripcion - Instancia de SuscripcionReporte
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.manual=false] - Envío a pedido ("enviar ahora")
+ * @returns {Promise<Object>} La EjecucionSuscripcion registrada (EXITOSA o FALLIDA)
+ */
+async function ejecutarSuscripcion(suscripcion, { manual = false } = {}) {
+  const fechaInicio = new Date();
+  const tipo = TIPOS_REPORTE.find(t => t.id === suscripcion.tipo);
+  const parametros = tipo
+    ? { ...suscripcion.parametros, ...parametrosDeRango(tipo, suscripcion.rango, fechaInicio) }
+    : { ...suscripcion.parametros };
+  const registro = {
+    suscripcion_id: suscripcion.id,
+    manual,
+    parametros,
+    destinatarios: suscripcion.destinatarios,
+    fecha_inicio: fechaInicio
+  };
+
+  try {
+    if (!tipo) {
+      throw new Error(`El reporte ${suscripcion.tipo} ya no existe`);
+    }
+
+    const usuario = await Usuario.findByPk(suscripcion.creado_por);
+    if (!usuario || !usuario.activo) {
+      throw new Error('El usuario que creó la suscripción ya no está activo');
+    }
+
+    const { archivo, nombre, tipoContenido } = await ejecutarReporte({
+      tipo: suscripcion.tipo,
+      parametros,
+      formato: suscripcion.formato,
+      usuario
+    });
+
+    await enviarCorreo({
+      para: suscripcion.destinatarios,
+      asunto: `${suscripcion.nombre} - ${tipo.nombre}`,
+      texto: [
+        `Reporte programado: ${suscripcion.nombre}`,
+        `Reporte: ${tipo.nombre}`,
+        `Parámetros: ${describirParametros(parametros)}`,
+        `Generado: ${fechaInicio.toLocaleString('es-BO')}`,
+        '',
+        `Se adjunta el archivo ${nombre}.`
+      ].join('\n'),
+      adjuntos: [{ nombre, tipo: tipoContenido, contenido: archivo }]
+    });
+
+    const ejecucion = await EjecucionSuscripcion.create({
+      ...registro,
+      estado: 'EXITOSA',
+      archivo: nombre,
+      tamano: archivo.length,
+      fecha_fin: new Date()
+    });
+    await suscripcion.update({ ultima_ejecucion: fechaInicio, fallos_consecutivos: 0 });
+
+    return ejecucion;
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error en el reporte programado ${suscripcion.id}:`, error);
+    }
+
+    const ejecucion = await EjecucionSuscripcion.create({
+      ...registro,
+      estado: 'FALLIDA',
+      error: error.message,
+      fecha_fin: new Date()
+    });
+
+    const fallos = suscripcion.fallos_consecutivos + 1;
+    const desactivar = !manual && fallos >= MAX_FALLOS;
+    await suscripcion.update({
+      ultima_ejecucion: fechaInicio,
+      fallos_consecutivos: fallos,
+      ...(desactivar ? { activo: false, proxima_ejecucion: null } : {})
+    });
+    await notificarFallo(suscripcion, error, desactivar);
+
+    return ejecucion;
+  }
+}
+
+// Toma las suscripciones vencidas y ya les fija la próxima ejecución, en una transacción
+async function tomarVencidas() {
+  return sequelize.transaction(async (transaction) => {
+    const vencidas = await SuscripcionReporte.findAll({
+      where: { activo: true, proxima_ejecucion: { [Op.lte]: new Date() } },
+      order: [['proxima_ejecucion', 'ASC']],
+      limit: 10,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+
+    for (const suscripcion of vencidas) {
+      await suscripcion.update({ proxima_ejecucion: siguienteEjecucion(suscripcion.programacion) }, { transaction });
+    }
+
+    return vencidas;
+  });
+}
+
+/**
+ * Una pasada del programador: ejecuta todas las suscripciones vencidas
+ *
+ * @async
+ * @function procesarProgramados
+ * @returns {Promise<void>}
+ */
+async function procesarProgramados() {
+  if (ocupado) return;
+  ocupado = true;
+
+  try {
+    let vencidas = await tomarVencidas();
+    while (vencidas.length) {
+      for (const suscripcion of vencidas) {
+        await ejecutarSuscripcion(suscripcion);
+      }
+      vencidas = await tomarVencidas();
+    }
+  } catch (error) {
+    console.error('Error en el programador de reportes:', error);
+  } finally {
+    ocupado = false;
+  }
+}
+
+/**
+ * Arranca el programador en este proceso
+ *
+ * @function iniciarReportesProgramados
+ * @returns {boolean} true si quedó activo
+ */
+function iniciarReportesProgramados() {
+  if (process.env.REPORTES_PROGRAMADOS_ACTIVOS === 'false' || temporizador) return false;
+
+  temporizador = setInterval(procesarProgramados, INTERVALO_MS);
+  procesarProgramados();
+  return true;
+}
+
+module.exports = {
+  parametrosDeRango,
+  ejecutarSuscripcion,
+  procesarProgramados,
+  iniciarReportesProgramados
+};
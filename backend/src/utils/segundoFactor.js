@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hashToken } = require('./sesiones');
+const { verificarCodigo } = require('./totp');
+
+// Roles que no pasan requierePermiso sin 2FA activo (REQUIERE_2FA_ROLES=ADMIN,SUPERVISOR)
+const ROLES_REQUIEREN_2FA = (process.env.REQUIERE_2FA_ROLES || '')
+  .split(',')
+  .map(rol => rol.trim().toUpperCase())
+  .filter(Boolean);
+
+const CHALLENGE_EXPIRES_IN = process.env.CHALLENGE_2FA_EXPIRES_IN || '5m';
+const CANTIDAD_CODIGOS_RECUPERACION = 10;
+
+/**
+ * Indica si un rol tiene el segundo factor obligatorio
+ *
+ * @function rolRequiere2FA
+ * @param {string} rol - Rol del usuario
+ * @returns {boolean}
+ */
+const rolRequiere2FA = (rol) => ROLES_REQUIEREN_2FA.includes(rol);
+
+/**
+ * Genera el token de desafío que devuelve login cuando falta el segundo factor
+ *
+ * @function generarChallengeToken
+ * @param {string} usuarioId - ID del usuario que ya validó su contraseña
+ * @returns {string} JWT de vida corta con tipo '2fa' (no sirve como access token: no lleva sid)
+ */
+const generarChallengeToken = (usuarioId) => {
+  return jwt.sign({ id: usuarioId, tipo: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES_IN
+  });
+};
+
+/**
+ * Valida un token de desafío
+ *
+ * @function verificarChallengeToken
+ * @param {string} token - Token recibido del cliente
+ * @returns {string|null} ID del usuario, o null si el token es inválido, expiró o no es de 2FA
+ */
+const verificarChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.tipo === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Genera un juego nuevo de códigos de recuperación
+ *
+ * @function generarCodigosRecuperacion
+ * @returns {Object} { codigos, hashes } - codigos se muestra una sola vez; sólo hashes se guarda
+ */
+const generarCodigosRecuperacion = () => {
+  const codigos = Array.from({ length: CANTIDAD_CODIGOS_RECUPERACION }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+  });
+
+  return { codigos, hashes: codigos.map(hashToken) };
+};
+
+const normalizarCodigoRecuperacion = (codigo) => String(codigo || '').trim().toLowerCase();
+
+/**
+ * Verifica el segundo factor de un usuario con 2FA activo
+ *
+ * @async
+ * @function verificarSegundoFactor
+ * @param {Object} usuario - Instancia de Usuario
+ * @param {string} codigo - Código TOTP de 6 dígitos o código de recuperación
+ *
+ * @returns {Promise<string|null>} 'TOTP', 'RECUPERACION' o null si el código no es válido
+ *
+ * @description
+ * - Un código TOTP aceptado guarda su paso: no se puede volver a usar
+ * - Un código de recuperación se consume al usarlo
+ * - Los cambios se guardan sin userId para que el secreto no termine en auditoría
+ */
+async function verificarSegundoFactor(usuario, codigo) {
+  if (!usuario.totp_activo || !usuario.totp_secreto) {
+    return null;
+  }
+
+  const ultimoPaso = usuario.totp_ultimo_paso !== null ? Number(usuario.totp_ultimo_paso) : null;
+  const paso = verificarCodigo(usuario.totp_secreto, codigo, ultimoPaso);
+
+  if (paso !== null) {
+    await usuario.update({ totp_ultimo_paso: paso });
+    return 'TOTP';
+  }
+
+  const hash = hashToken(normalizarCodigoRecuperacion(codigo));
+  const restantes = usuario.totp_codigos_recuperacion || [];
+
+  if (restantes.includes(hash)) {
+    await usuario.update({ totp_codigos_recuperacion: restantes.filter(h => h !== hash) });
+    return 'RECUPERACION';
+  }
+
+  return null;
+}
+
+module.exports = {
+  ROLES_REQUIEREN_2FA,
+  rolRequiere2FA,
+  generarChallengeToken,
+  verificarChallengeToken,
+  generarCodigosRecuperacion,
+  verificarSegundoFactor
+};
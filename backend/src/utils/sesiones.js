@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { Sesion } = require('../models');
+
+const REFRESH_TOKEN_DIAS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DIAS || '30');
+const REFRESH_TOKEN_GRACIA_SEGUNDOS = parseInt(process.env.REFRESH_TOKEN_GRACIA_SEGUNDOS || '30');
+const TICKET_EVENTOS_EXPIRES_IN = process.env.EVENTOS_TICKET_EXPIRES_IN || '60s';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const nuevoRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const fechaExpiracion = () => new Date(Date.now() + REFRESH_TOKEN_DIAS * 86400000);
+
+/**
+ * Genera un access token JWT de vida corta ligado a una sesión
+ *
+ * @function generarAccessToken
+ * @param {string} usuarioId - ID del usuario
+ * @param {string} sesionId - ID de la sesión (se incluye como "sid")
+ * @returns {string} Token JWT firmado
+ *
+ * @description
+ * - La expiración se toma de JWT_EXPIRES_IN (15 minutos si no está definida)
+ * - verificarToken rechaza el token si la sesión "sid" fue revocada
+ */
+const generarAccessToken = (usuarioId, sesionId) => {
+  return jwt.sign({ id: usuarioId, sid: sesionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+  });
+};
+
+/**
+ * Genera el ticket con el que el navegador abre el canal de eventos
+ *
+ * @function generarTicketEventos
+ * @param {string} usuarioId - ID del usuario
+ * @param {string} sesionId - Sesión del access token que lo pide (se incluye como "sid")
+ * @returns {string} JWT de vida corta con tipo 'eventos'
+ *
+ * @description
+ * - EventSource no envía headers: el ticket va en ?ticket= en lugar del access token, que así no
+ *   queda en logs de proxies ni en el historial
+ * - Sólo sirve para abrir el canal (verificarTicketEventos); verificarToken rechaza cualquier token con tipo
+ * - Vence a los EVENTOS_TICKET_EXPIRES_IN (60 segundos si no está definida) y deja de servir si se
+ *   revoca su sesión
+ */
+const generarTicketEventos = (usuarioId, sesionId) => {
+  return jwt.sign({ id: usuarioId, sid: sesionId, tipo: 'eventos' }, process.env.JWT_SECRET, {
+    expiresIn: TICKET_EVENTOS_EXPIRES_IN
+  });
+};
+
+/**
+ * Crea una sesión nueva para un usuario y devuelve el par de tokens
+ *
+ * @async
+ * @function crearSesion
+ * @param {Object} usuario - Instancia de Usuario autenticado
+ * @param {Object} req - Request de Express (para IP y user-agent)
+ * @returns {Promise<Object>} { sesion, token, refresh_token }
+ */
+async function crearSesion(usuario, req) {
+  const refreshToken = nuevoRefreshToken();
+
+  const sesion = await Sesion.create({
+    usuario_id: usuario.id,
+    refresh_token_hash: hashToken(refreshToken),
+    expira_en: fechaExpiracion(),
+    ip: req.ip,
+    user_agent: req.get('user-agent')?.substring(0, 500),
+    ultimo_uso: new Date()
+  });
+
+  return {
+    sesion,
+    token: generarAccessToken(usuario.id, sesion.id),
+    refresh_token: refreshToken
+  };
+}
+
+/**
+ * Rota el refresh token de una sesión
+ *
+ * @async
+ * @function rotarSesion
+ * @param {string} refreshToken - Refresh token presentado por el cliente
+ * @returns {Promise<Object>} { sesion, token, refresh_token } o { error } con el motivo del rechazo
+ *
+ * @description
+ * - El refresh token vigente se reemplaza por uno nuevo y el anterior queda guardado
+ * - La rotación es un UPDATE condicionado al hash vigente: de dos refresh simultáneos sólo uno rota
+ * - El token recién rotado se acepta durante REFRESH_TOKEN_GRACIA_SEGUNDOS (otra pestaña o una
+ *   petición concurrente que todavía no vio el nuevo): se entrega un access token y refresh_token null,
+ *   el cliente conserva el refresh token que ya guardó la pestaña que rotó
+ * - Pasada esa gracia, un refresh token ya rotado se asume robado y se revoca la sesión completa
+ * - Sesiones revocadas o expiradas no se pueden refrescar
+ */
+async function rotarSesion(refreshToken) {
+  const hash = hashToken(refreshToken);
+
+  const sesion = await Sesion.findOne({ where: { refresh_token_hash: hash } });
+
+  if (!sesion) {
+    return reutilizarTokenAnterior(hash);
+  }
+
+  if (sesion.revocada_en) {
+    return { error: 'REVOCADA' };
+  }
+
+  if (sesion.expira_en < new Date()) {
+    await sesion.update({ revocada_en: new Date() });
+    return { error: 'EXPIRADA' };
+  }
+
+  const nuevoToken = nuevoRefreshToken();
+
+  const [rotadas] = await Sesion.update({
+    refresh_token_anterior_hash: hash,
+    refresh_token_hash: hashToken(nuevoToken),
+    expira_en: fechaExpiracion(),
+    ultimo_uso: new Date()
+  }, {
+    where: { id: sesion.id, refresh_token_hash: hash, revocada_en: null }
+  });
+
+  // Otro refresh con el mismo token rotó primero
+  if (rotadas === 0) {
+    return reutilizarTokenAnterior(hash);
+  }
+
+  return {
+    sesion,
+    token: generarAccessToken(sesion.usuario_id, sesion.id),
+    refresh_token: nuevoToken
+  };
+}
+
+/**
+ * Resuelve un refresh token que ya no es el vigente de ninguna sesión
+ *
+ * @async
+ * @function reutilizarTokenAnterior
+ * @param {string} hash - Hash del refresh token presentado
+ * @returns {Promise<Object>} { sesion, token, refresh_token: null } dentro de la gracia, o { error }
+ */
+async function reutilizarTokenAnterior(hash) {
+  const sesion = await Sesion.findOne({
+    where: { refresh_token_anterior_hash: hash, revocada_en: null }
+  });
+
+  if (!sesion) {
+    return { error: 'INVALIDO' };
+  }
+
+  const rotadoHace = Date.now() - new Date(sesion.ultimo_uso).getTime();
+
+  if (rotadoHace <= REFRESH_TOKEN_GRACIA_SEGUNDOS * 1000 && sesion.expira_en > new Date()) {
+    return {
+      sesion,
+      token: generarAccessToken(sesion.usuario_id, sesion.id),
+      refresh_token: null
+    };
+  }
+
+  await revocarSesion(sesion.id);
+  return { error: 'REUTILIZADO' };
+}
+
+/**
+ * Indica si una sesión sigue vigente
+ *
+ * @async
+ * @function sesionVigente
+ * @param {string} sesionId - ID de la sesión
+ * @returns {Promise<boolean>}
+ */
+async function sesionVigente(sesionId) {
+  const sesion = await Sesion.findByPk(sesionId, { attributes: ['id', 'revocada_en', 'expira_en'] });
+  return !!sesion && !sesion.revocada_en && sesion.expira_en > new Date();
+}
+
+/**
+ * Revoca una sesión
+ *
+ * @async
+ * @function revocarSesion
+ * @param {string} sesionId - ID de la sesión
+ * @returns {Promise<number>} Cantidad de sesiones revocadas (0 o 1)
+ */
+async function revocarSesion(sesionId) {
+  const [cantidad] = await Sesion.update(
+    { revocada_en: new Date() },
+    { where: { id: sesionId, revocada_en: null } }
+  );
+  return cantidad;
+}
+
+/**
+ * Revoca todas las sesiones activas de un usuario
+ *
+ * @async
+ * @function revocarSesionesDeUsuario
+ * @param {string} usuarioId - ID del usuario
+ * @param {Object} [options] - Opciones de Sequelize (por ejemplo transaction)
+ * @returns {Promise<number>} Cantidad de sesiones revocadas
+ */
+async function revocarSesionesDeUsuario(usuarioId, options = {}) {
+  const [cantidad] = await Sesion.update(
+    { revocada_en: new Date() },
+    { where: { usuario_id: usuarioId, revocada_en: null }, ...options }
+  );
+  return cantidad;
+}
+
+/**
+ * Lista las sesiones vigentes de un usuario
+ *
+ * @async
+ * @function obtenerSesionesActivas
+ * @param {string} usuarioId - ID del usuario
+ * @returns {Promise<Array>} Sesiones sin los hashes de token
+ */
+async function obtenerSesionesActivas(usuarioId) {
+  return Sesion.findAll({
+    where: {
+      usuario_id: usuarioId,
+      revocada_en: null,
+      expira_en: { [Op.gt]: new Date() }
+    },
+    attributes: ['id', 'ip', 'user_agent', 'ultimo_uso', 'expira_en', 'createdAt'],
+    order: [['ultimo_uso', 'DESC']]
+  });
+}
+
+module.exports = {
+  hashToken,
+  generarAccessToken,
+  generarTicketEventos,
+  crearSesion,
+  rotarSesion,
+  sesionVigente,
+  revocarSesion,
+  revocarSesionesDeUsuario,
+  obtenerSesionesActivas
+};
@@ -0,0 +1,257 @@
+const { Op } = require('sequelize');
+const { NAP, Puerto, Conexion, Cliente, Plan, OLT, PuertoPON, Splitter, CableAlimentador } = require('../models');
+const { filtroZonaNAP } = require('./zonas');
+
+// Límite de niveles de cascada para evitar ciclos mal configurados
+const MAX_NIVELES_SPLITTER = 10;
+
+const resumirCable = (cable) => cable
+  ? { id: cable.id, codigo: cable.codigo, longitud_m: parseFloat(cable.longitud_m), cantidad_fibras: cable.cantidad_fibras }
+  : null;
+
+// Splitter con lo que hace falta para la ruta: su cable y, si es raíz, el puerto PON con la OLT
+const INCLUDE_SPLITTER = [
+  { model: CableAlimentador, as: 'cable' },
+  { model: PuertoPON, as: 'puerto_pon', include: [{ model: OLT, as: 'olt' }] }
+];
+
+// Recorre la cascada de un NAP; buscarSplitter y buscarCable leen de la base o de lo ya cargado
+async function recorrerRuta(nap, { buscarSplitter, buscarCable }) {
+  const ruta = {
+    olt: null,
+    puerto_pon: null,
+    splitters: [],
+    cable_nap: null,
+    completa: false
+  };
+
+  if (nap.cable_id) {
+    ruta.cable_nap = resumirCable(await buscarCable(nap.cable_id));
+  }
+
+  let splitterId = nap.splitter_id;
+  const visitados = new Set();
+
+  while (splitterId && !visitados.has(splitterId) && visitados.size < MAX_NIVELES_SPLITTER) {
+    visitados.add(splitterId);
+
+    const splitter = await buscarSplitter(splitterId);
+
+    if (!splitter) break;
+
+    ruta.splitters.unshift({
+      id: splitter.id,
+      codigo: splitter.codigo,
+      ratio: splitter.ratio,
+      nivel: splitter.nivel,
+      ubicacion: splitter.ubicacion,
+      cable: resumirCable(splitter.cable)
+    });
+
+    if (splitter.puerto_pon) {
+      const pon = splitter.puerto_pon;
+      ruta.puerto_pon = { id: pon.id, slot: pon.slot, numero: pon.numero, estado: pon.estado };
+      ruta.olt = pon.olt
+        ? {
+          id: pon.olt.id,
+          codigo: pon.olt.codigo,
+          modelo: pon.olt.modelo,
+          ubicacion: pon.olt.ubicacion,
+          estado: pon.olt.estado,
+          potencia_tx_dbm: pon.olt.potencia_tx_dbm !== null ? parseFloat(pon.olt.potencia_tx_dbm) : null
+        }
+        : null;
+      break;
+    }
+
+    splitterId = splitter.splitter_padre_id;
+  }
+
+  ruta.completa = !!(ruta.olt && ruta.puerto_pon && ruta.splitters.length > 0);
+
+  return ruta;
+}
+
+/**
+ * Reconstruye la ruta de la señal desde la OLT hasta un NAP
+ *
+ * @async
+ * @function obtenerRutaAscendente
+ * @param {Object|string} napOId - Instancia de NAP (con splitter_id y cable_id) o su ID
+ * @param {Object} [options] - Opciones de Sequelize (por ejemplo transaction)
+ *
+ * @returns {Promise<Object|null>} Ruta ordenada OLT → PON → splitters → NAP, o null si el NAP no existe
+ *
+ * @example
+ * const ruta = await obtenerRutaAscendente(nap);
+ * // {
+ * //   olt: { id, codigo, modelo, estado },
+ * //   puerto_pon: { id, slot, numero, estado },
+ * //   splitters: [{ id, codigo, ratio, nivel, cable }, ...], // nivel 1 primero
+ * //   cable_nap: { id, codigo, longitud_m, cantidad_fibras },
+ * //   completa: true
+ * // }
+ *
+ * @description
+ * - Sube por splitter_padre_id hasta el splitter conectado al puerto PON
+ * - completa = false cuando falta algún tramo (NAP sin splitter, splitter huérfano)
+ * - Corta la búsqueda tras MAX_NIVELES_SPLITTER para no colgarse con ciclos
+ */
+async function obtenerRutaAscendente(napOId, options = {}) {
+  const nap = typeof napOId === 'string'
+    ? await NAP.findByPk(napOId, { attributes: ['id', 'splitter_id', 'cable_id'], ...options })
+    : napOId;
+
+  if (!nap) {
+    return null;
+  }
+
+  return recorrerRuta(nap, {
+    buscarSplitter: (id) => Splitter.findByPk(id, { include: INCLUDE_SPLITTER, ...options }),
+    buscarCable: (id) => CableAlimentador.findByPk(id, options)
+  });
+}
+
+/**
+ * Reconstruye la ruta ascendente de varios NAPs con una sola carga de la topología
+ *
+ * @async
+ * @function obtenerRutasAscendentes
+ * @param {Object[]} naps - NAPs con id, splitter_id y cable_id
+ *
+ * @returns {Promise<Map>} nap_id → ruta (mismo formato que obtenerRutaAscendente)
+ *
+ * @description
+ * - Lee todos los splitters (con su cable, puerto PON y OLT) y los cables de los NAPs en dos
+ *   consultas y arma cada ruta en memoria, en lugar de recorrer la cascada NAP por NAP
+ */
+async function obtenerRutasAscendentes(naps) {
+  const cableIds = [...new Set(naps.map(nap => nap.cable_id).filter(Boolean))];
+
+  const [splitters, cables] = await Promise.all([
+    Splitter.findAll({ include: INCLUDE_SPLITTER }),
+    cableIds.length ? CableAlimentador.findAll({ where: { id: { [Op.in]: cableIds } } }) : []
+  ]);
+  const splittersPorId = new Map(splitters.map(splitter => [splitter.id, splitter]));
+  const cablesPorId = new Map(cables.map(cable => [cable.id, cable]));
+
+  const rutas = new Map();
+  for (const nap of naps) {
+    rutas.set(nap.id, await recorrerRuta(nap, {
+      buscarSplitter: (id) => splittersPorId.get(id) || null,
+      buscarCable: (id) => cablesPorId.get(id) || null
+    }));
+  }
+  return rutas;
+}
+
+/**
+ * Obtiene los IDs de todos los splitters que cuelgan de un puerto PON o de un splitter
+ *
+ * @async
+ * @function obtenerSplittersDescendientes
+ * @param {Object} origen - Punto de partida
+ * @param {string} [origen.puerto_pon_id] - Puerto PON raíz
+ * @param {string} [origen.splitter_id] - Splitter raíz (se incluye en el resultado)
+ *
+ * @returns {Promise<string[]>} IDs de splitters alcanzados recorriendo la cascada
+ */
+async function obtenerSplittersDescendientes({ puerto_pon_id, splitter_id }) {
+  let nivelActual = [];
+
+  if (splitter_id) {
+    nivelActual = [splitter_id];
+  } else if (puerto_pon_id) {
+    const raices = await Splitter.findAll({ where: { puerto_pon_id }, attributes: ['id'] });
+    nivelActual = raices.map(s => s.id);
+  }
+
+  const encontrados = new Set(nivelActual);
+  let profundidad = 0;
+
+  while (nivelActual.length > 0 && profundidad < MAX_NIVELES_SPLITTER) {
+    const hijos = await Splitter.findAll({
+      where: { splitter_padre_id: { [Op.in]: nivelActual } },
+      attributes: ['id']
+    });
+
+    nivelActual = hijos.map(s => s.id).filter(id => !encontrados.has(id));
+    nivelActual.forEach(id => encontrados.add(id));
+    profundidad++;
+  }
+
+  return Array.from(encontrados);
+}
+
+/**
+ * Lista los NAPs y puertos que dependen de un puerto PON o splitter
+ *
+ * @async
+ * @function obtenerAfectadosAguasAbajo
+ * @param {Object} origen - { puerto_pon_id } o { splitter_id }
+ * @param {string[]|null} [alcance=null] - Zonas visibles (obtenerAlcanceZonas); null para todas
+ *
+ * @returns {Promise<Object>} NAPs afectados con sus puertos y conexiones activas/suspendidas, más totales
+ *
+ * @description
+ * - Sirve para dimensionar una caída de puerto PON o un corte de splitter
+ * - Solo cuenta como cliente afectado a puertos con conexión ACTIVA o SUSPENDIDA
+ * - Con alcance, sólo se listan (y totalizan) los NAPs de esas zonas: los puertos, conexiones y
+ *   clientes se leen a través del NAP, así que un cliente de otra zona nunca aparece
+ */
+async function obtenerAfectadosAguasAbajo(origen, alcance = null) {
+  const splitterIds = await obtenerSplittersDescendientes(origen);
+
+  if (splitterIds.length === 0) {
+    return {
+      splitters: [],
+      naps: [],
+      totales: { splitters: 0, naps: 0, puertos: 0, puertos_ocupados: 0, clientes_afectados: 0 }
+    };
+  }
+
+  const naps = await NAP.findAll({
+    where: { splitter_id: { [Op.in]: splitterIds }, ...filtroZonaNAP(alcance) },
+    attributes: ['id', 'codigo', 'modelo', 'ubicacion', 'estado', 'total_puertos', 'splitter_id', 'zona_id'],
+    include: [{
+      model: Puerto,
+      as: 'puertos',
+      attributes: ['id', 'numero', 'estado'],
+      include: [{
+        model: Conexion,
+        as: 'conexion',
+        required: false,
+        where: { estado: { [Op.in]: ['ACTIVA', 'SUSPENDIDA'] } },
+        attributes: ['id', 'estado', 'fecha_inicio'],
+        include: [
+          { model: Cliente, as: 'cliente', attributes: ['id', 'nombre', 'apellido', 'ci', 'telefono'] },
+          { model: Plan, as: 'plan', attributes: ['id', 'nombre', 'velocidad_mbps'] }
+        ]
+      }]
+    }],
+    order: [['codigo', 'ASC'], ['puertos', 'numero', 'ASC']]
+  });
+
+  const puertos = naps.reduce((s, n) => s + n.puertos.length, 0);
+  const puertosOcupados = naps.reduce((s, n) => s + n.puertos.filter(p => p.estado === 'OCUPADO').length, 0);
+  const clientesAfectados = naps.reduce((s, n) => s + n.puertos.filter(p => p.conexion).length, 0);
+
+  return {
+    splitters: splitterIds,
+    naps,
+    totales: {
+      splitters: splitterIds.length,
+      naps: naps.length,
+      puertos,
+      puertos_ocupados: puertosOcupados,
+      clientes_afectados: clientesAfectados
+    }
+  };
+}
+
+module.exports = {
+  obtenerRutaAscendente,
+  obtenerRutasAscendentes,
+  obtenerSplittersDescendientes,
+  obtenerAfectadosAguasAbajo
+};
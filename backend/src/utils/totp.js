@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+// Parámetros de RFC 6238 que usan Google Authenticator, Authy, etc.
+const PASO_SEGUNDOS = 30;
+const DIGITOS = 6;
+// Pasos de tolerancia hacia atrás y adelante por desfase de reloj
+const VENTANA = 1;
+
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const ISSUER = process.env.TOTP_ISSUER || 'Gestion NAPs';
+
+const codificarBase32 = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let salida = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    salida += ALFABETO_BASE32[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return salida;
+};
+
+const decodificarBase32 = (texto) => {
+  let bits = '';
+  for (const caracter of texto.replace(/=+$/, '').toUpperCase()) {
+    const valor = ALFABETO_BASE32.indexOf(caracter);
+    if (valor === -1) {
+      throw new Error('Secreto base32 inválido');
+    }
+    bits += valor.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.substring(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const pasoActual = () => Math.floor(Date.now() / 1000 / PASO_SEGUNDOS);
+
+const codigoParaPaso = (secreto, paso) => {
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(paso));
+
+  const hmac = crypto.createHmac('sha1', decodificarBase32(secreto)).update(contador).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binario = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binario % 10 ** DIGITOS).padStart(DIGITOS, '0');
+};
+
+/**
+ * Genera un secreto TOTP nuevo (160 bits, base32)
+ *
+ * @function generarSecreto
+ * @returns {string} Secreto en base32, listo para la app autenticadora
+ */
+const generarSecreto = () => codificarBase32(crypto.randomBytes(20));
+
+/**
+ * Verifica un código TOTP contra un secreto
+ *
+ * @function verificarCodigo
+ * @param {string} secreto - Secreto base32 del usuario
+ * @param {string} codigo - Código de 6 dígitos ingresado
+ * @param {number|null} [ultimoPaso] - Último paso ya usado por el usuario (anti-reutilización)
+ *
+ * @returns {number|null} Paso de tiempo que coincidió, o null si el código no es válido
+ *
+ * @description
+ * - Acepta el paso actual y uno hacia cada lado por desfase de reloj
+ * - Un código de un paso igual o anterior a ultimoPaso se rechaza aunque sea correcto
+ */
+const verificarCodigo = (secreto, codigo, ultimoPaso = null) => {
+  const limpio = String(codigo || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITOS}}$`).test(limpio)) {
+    return null;
+  }
+
+  const actual = pasoActual();
+  for (let paso = actual - VENTANA; paso <= actual + VENTANA; paso++) {
+    if (ultimoPaso !== null && paso <= ultimoPaso) continue;
+
+    const esperado = codigoParaPaso(secreto, paso);
+    if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(limpio))) {
+      return paso;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Arma la URI otpauth:// que se muestra como QR al enrolar
+ *
+ * @function uriProvisionamiento
+ * @param {string} secreto - Secreto base32
+ * @param {string} correo - Correo del usuario (etiqueta de la cuenta)
+ * @returns {string} URI otpauth://totp/...
+ */
+const uriProvisionamiento = (secreto, correo) => {
+  const etiqueta = encodeURIComponent(`${ISSUER}:${correo}`);
+  const parametros = new URLSearchParams({
+    secret: secreto,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITOS),
+    period: String(PASO_SEGUNDOS)
+  });
+
+  return `otpauth://totp/${etiqueta}?${parametros.toString()}`;
+};
+
+module.exports = {
+  generarSecreto,
+  verificarCodigo,
+  uriProvisionamiento
+};
@@ -0,0 +1,396 @@
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Webhook = require('../models/Webhook');
+const EventoWebhook = require('../models/EventoWebhook');
+const EntregaWebhook = require('../models/EntregaWebhook');
+const { enviarPorCanal } = require('./canalesNotificacion');
+
+/**
+ * Webhooks salientes: eventos del dominio para sistemas externos (facturación, CRM)
+ *
+ * @description
+ * - Los hooks de Conexion, Puerto, NAP y Mantenimiento guardan el evento en eventos_webhook (outbox)
+ *   dentro de la misma transacción que el cambio, junto con una entrega PENDIENTE por cada webhook
+ *   activo suscrito: si la transacción se revierte no queda evento, y si se confirma no se pierde
+ * - Cada instancia con WEBHOOKS_ACTIVOS distinto de 'false' revisa las entregas cada
+ *   WEBHOOKS_INTERVALO_MS (default: 15000) y, además, apenas se confirma un evento; las toma con
+ *   FOR UPDATE SKIP LOCKED, así varias instancias no envían la misma
+ * - El envío es un POST firmado igual que los webhooks de notificaciones (X-Firma, X-Firma-Fecha);
+ *   X-Evento lleva el tipo y X-Notificacion-Id el ID del evento, que se repite en reintentos y reenvíos
+ * - Un envío fallido se reintenta con espera exponencial (30 s, 1 min, 2 min, ... hasta 1 hora) y tras
+ *   WEBHOOKS_MAX_INTENTOS (default: 8) queda FALLIDA; reenviarEventos lo vuelve a encolar
+ * - Los eventos se conservan para que un webhook nuevo o caído pueda pedir el reenvío de lo que se
+ *   perdió; la misma cola borra, una vez por hora, los que no tienen entregas PENDIENTES y cuya última
+ *   entrega terminó (ENVIADA o FALLIDA) hace más de WEBHOOKS_RETENCION_DIAS (default: 30; 0 = no borrar)
+ */
+
+// Eventos que se pueden suscribir
+const EVENTOS_WEBHOOK = {
+  CONEXION_CREADA: 'conexion.creada',
+  CONEXION_FINALIZADA: 'conexion.finalizada',
+  PUERTO_LIBERADO: 'puerto.liberado',
+  NAP_ESTADO_CAMBIADO: 'nap.estado_cambiado',
+  MANTENIMIENTO_CREADO: 'mantenimiento.creado'
+};
+
+const INTERVALO_MS = parseInt(process.env.WEBHOOKS_INTERVALO_MS || '15000', 10);
+const MAX_INTENTOS = parseInt(process.env.WEBHOOKS_MAX_INTENTOS || '8', 10);
+const ESPERA_BASE_MS = 30 * 1000;
+const ESPERA_MAX_MS = 60 * 60 * 1000;
+// Una entrega tomada por una instancia que se cae vuelve a la cola pasado este tiempo
+const RESERVA_MS = 5 * 60 * 1000;
+const LOTE = 20;
+// Tope de eventos por pedido de reenvío
+const MAX_REENVIO = 1000;
+const RETENCION_DIAS = parseInt(process.env.WEBHOOKS_RETENCION_DIAS || '30', 10);
+const MS_POR_HORA = 60 * 60 * 1000;
+
+let temporizador = null;
+let ocupado = false;
+let repetir = false;
+let ultimaLimpieza = 0;
+
+const esperaReintento = (intentos) => Math.min(ESPERA_BASE_MS * 2 ** (intentos - 1), ESPERA_MAX_MS);
+
+/**
+ * Guarda un evento en la bandeja de salida y encola una entrega por webhook suscrito
+ *
+ * @async
+ * @function registrarEvento
+ * @param {string} evento - Uno de EVENTOS_WEBHOOK
+ * @param {Object} datos - Contenido del evento
+ * @param {Object} [options] - Opciones del hook; se usa options.transaction
+ * @returns {Promise<Object>} El EventoWebhook creado
+ *
+ * @description
+ * - Lanza si no puede guardar: dentro de una transacción el cambio y su evento van juntos
+ */
+async function registrarEvento(evento, datos, { transaction } = {}) {
+  const registro = await EventoWebhook.create({ evento, datos }, { transaction });
+
+  const webhooks = await Webhook.findAll({
+    where: { activo: true, eventos: { [Op.contains]: [evento] } },
+    attributes: ['id'],
+    transaction
+  });
+
+  if (webhooks.length) {
+    const ahora = new Date();
+    await EntregaWebhook.bulkCreate(webhooks.map(webhook => ({
+      evento_id: registro.id,
+      webhook_id: webhook.id,
+      proximo_intento: ahora
+    })), { transaction });
+
+    if (transaction) {
+      transaction.afterCommit(solicitarEnvio);
+    } else {
+      solicitarEnvio();
+    }
+  }
+
+  return registro;
+}
+
+/**
+ * Conecta los hooks de los modelos que registran eventos para los webhooks
+ *
+ * @function configurarWebhooksSalientes
+ * @param {Object} modelos - { Conexion, Puerto, NAP, Mantenimiento }
+ *
+ * @description
+ * - Conexion: alta → conexion.creada; paso a FINALIZADA → conexion.finalizada
+ * - Puerto: paso a LIBRE → puerto.liberado
+ * - NAP: cambio de estado → nap.estado_cambiado
+ * - Mantenimiento: alta → mantenimiento.creado
+ * - Sólo ven los cambios de instancias (save/update/create), no los update masivos del modelo
+ */
+function configurarWebhooksSalientes({ Conexion, Puerto, NAP, Mantenimiento }) {
+  const datosPuerto = (puertoId, transaction) => Puerto.findByPk(puertoId, {
+    attributes: ['id', 'numero', 'nap_id'],
+    include: [{ model: NAP, as: 'nap', attributes: ['codigo', 'zona_id'] }],
+    transaction
+  });
+
+  const datosConexion = async (conexion, transaction) => {
+    const puerto = await datosPuerto(conexion.puerto_id, transaction);
+    return {
+      conexion_id: conexion.id,
+      cliente_id: conexion.cliente_id,
+      plan_id: conexion.plan_id,
+      estado: conexion.estado,
+      fecha_inicio: conexion.fecha_inicio,
+      fecha_fin: conexion.fecha_fin,
+      puerto_id: conexion.puerto_id,
+      puerto_numero: puerto?.numero ?? null,
+      nap_id: puerto?.nap_id ?? null,
+      nap_codigo: puerto?.nap?.codigo ?? null,
+      zona_id: puerto?.nap?.zona_id ?? null
+    };
+  };
+
+  Conexion.addHook('afterCreate', async (conexion, options) => {
+    await registrarEvento(EVENTOS_WEBHOOK.CONEXION_CREADA, await datosConexion(conexion, options.transaction), options);
+  });
+
+  Conexion.addHook('afterUpdate', async (conexion, options) => {
+    if (!conexion.changed('estado') || conexion.estado !== 'FINALIZADA') return;
+
+    await registrarEvento(EVENTOS_WEBHOOK.CONEXION_FINALIZADA, {
+      ...(await datosConexion(conexion, options.transaction)),
+      estado_anterior: conexion.previous('estado')
+    }, options);
+  });
+
+  Puerto.addHook('afterUpdate', async (puerto, options) => {
+    if (!puerto.changed('estado') || puerto.estado !== 'LIBRE') return;
+
+    const datos = await datosPuerto(puerto.id, options.transaction);
+    await registrarEvento(EVENTOS_WEBHOOK.PUERTO_LIBERADO, {
+      puerto_id: puerto.id,
+      numero: datos?.numero ?? null,
+      estado_anterior: puerto.previous('estado'),
+      nap_id: datos?.nap_id ?? null,
+      nap_codigo: datos?.nap?.codigo ?? null,
+      zona_id: datos?.nap?.zona_id ?? null
+    }, options);
+  });
+
+  NAP.addHook('afterUpdate', async (nap, options) => {
+    if (!nap.changed('estado')) return;
+
+    await registrarEvento(EVENTOS_WEBHOOK.NAP_ESTADO_CAMBIADO, {
+      nap_id: nap.id,
+      codigo: nap.codigo,
+      zona_id: nap.zona_id,
+      estado: nap.estado,
+      estado_anterior: nap.previous('estado')
+    }, options);
+  });
+
+  Mantenimiento.addHook('afterCreate', async (mantenimiento, options) => {
+    const nap = await NAP.findByPk(mantenimiento.nap_id, {
+      attributes: ['codigo', 'zona_id'],
+      transaction: options.transaction
+    });
+
+    await registrarEvento(EVENTOS_WEBHOOK.MANTENIMIENTO_CREADO, {
+      mantenimiento_id: mantenimiento.id,
+      nap_id: mantenimiento.nap_id,
+      nap_codigo: nap?.codigo ?? null,
+      zona_id: nap?.zona_id ?? null,
+      tipo: mantenimiento.tipo,
+      descripcion: mantenimiento.descripcion,
+      fecha: mantenimiento.fecha,
+      plan_mantenimiento_id: mantenimiento.plan_mantenimiento_id
+    }, options);
+  });
+}
+
+/**
+ * Cuerpo que recibe el webhook
+ *
+ * @function cuerpoEvento
+ * @param {Object} evento - EventoWebhook
+ * @param {boolean} [reenvio=false] - Entrega pedida por un reenvío
+ * @returns {Object} { id, evento, fecha, reenvio, datos }
+ */
+const cuerpoEvento = (evento, reenvio = false) => ({
+  id: evento.id,
+  evento: evento.evento,
+  fecha: evento.createdAt,
+  reenvio,
+  datos: evento.datos
+});
+
+// Toma un lote de entregas vencidas y las reserva, en una transacción
+async function tomarPendientes() {
+  return sequelize.transaction(async (transaction) => {
+    const pendientes = await EntregaWebhook.findAll({
+      where: { estado: 'PENDIENTE', proximo_intento: { [Op.lte]: new Date() } },
+      order: [['proximo_intento', 'ASC']],
+      limit: LOTE,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+
+    for (const entrega of pendientes) {
+      await entrega.update({
+        intentos: entrega.intentos + 1,
+        proximo_intento: new Date(Date.now() + RESERVA_MS)
+      }, { transaction });
+    }
+
+    return pendientes;
+  });
+}
+
+/**
+ * Intenta una entrega ya reservada y registra el resultado
+ *
+ * @async
+ * @function entregarEvento
+ * @param {Object} entrega - Instancia de EntregaWebhook con intentos ya incrementado
+ * @returns {Promise<Object>} La entrega actualizada (ENVIADA, PENDIENTE o FALLIDA)
+ *
+ * @description
+ * - Un webhook pausado no recibe: la entrega queda FALLIDA y se puede reenviar al reactivarlo
+ */
+async function entregarEvento(entrega) {
+  try {
+    const [evento, webhook] = await Promise.all([
+      EventoWebhook.findByPk(entrega.evento_id),
+      Webhook.findByPk(entrega.webhook_id)
+    ]);
+    if (!webhook?.activo) {
+      return entrega.update({ estado: 'FALLIDA', proximo_intento: null, ultimo_error: 'El webhook está pausado' });
+    }
+
+    const datos = cuerpoEvento(evento, entrega.reenvio);
+    await enviarPorCanal('WEBHOOK', webhook.url, {
+      asunto: evento.evento,
+      texto: JSON.stringify(datos.datos),
+      datos
+    }, webhook.secreto);
+
+    return entrega.update({ estado: 'ENVIADA', enviada_en: new Date(), proximo_intento: null, ultimo_error: null });
+  } catch (error) {
+    const agotada = entrega.intentos >= MAX_INTENTOS;
+    return entrega.update({
+      estado: agotada ? 'FALLIDA' : 'PENDIENTE',
+      proximo_intento: agotada ? null : new Date(Date.now() + esperaReintento(entrega.intentos)),
+      ultimo_error: error.message
+    });
+  }
+}
+
+// Borra, como mucho una vez por hora, los eventos cuyas entregas terminaron todas antes del límite
+// (las entregas caen con ON DELETE CASCADE); uno con alguna entrega PENDIENTE se conserva aunque sea viejo
+async function limpiarEventosAntiguos() {
+  if (RETENCION_DIAS <= 0 || Date.now() - ultimaLimpieza < MS_POR_HORA) return;
+  ultimaLimpieza = Date.now();
+
+  await sequelize.query(`
+    DELETE FROM eventos_webhook
+    WHERE "createdAt" < :limite
+      AND NOT EXISTS (
+        SELECT 1 FROM entregas_webhook
+        WHERE entregas_webhook.evento_id = eventos_webhook.id
+          AND (entregas_webhook.estado = 'PENDIENTE' OR entregas_webhook."updatedAt" >= :limite)
+      )
+  `, {
+    replacements: { limite: new Date(Date.now() - RETENCION_DIAS * 24 * MS_POR_HORA) }
+  });
+}
+
+/**
+ * Una pasada de la cola: limpia los eventos vencidos y envía las entregas pendientes vencidas
+ *
+ * @async
+ * @function procesarEntregas
+ * @returns {Promise<void>}
+ */
+async function procesarEntregas() {
+  if (ocupado) {
+    repetir = true;
+    return;
+  }
+  ocupado = true;
+
+  try {
+    await limpiarEventosAntiguos();
+
+    let pendientes = await tomarPendientes();
+    while (pendientes.length) {
+      for (const entrega of pendientes) {
+        await entregarEvento(entrega);
+      }
+      pendientes = await tomarPendientes();
+    }
+  } catch (error) {
+    console.error('Error en la cola de webhooks:', error);
+  } finally {
+    ocupado = false;
+    if (repetir) {
+      repetir = false;
+      setImmediate(procesarEntregas);
+    }
+  }
+}
+
+/**
+ * Pide una pasada de la cola ya mismo, si esta instancia envía webhooks
+ *
+ * @function solicitarEnvio
+ */
+function solicitarEnvio() {
+  if (temporizador) setImmediate(procesarEntregas);
+}
+
+/**
+ * Vuelve a encolar eventos ya registrados para un webhook
+ *
+ * @async
+ * @function reenviarEventos
+ * @param {Object} webhook - Instancia de Webhook
+ * @param {Object} filtro
+ * @param {string} [filtro.evento_id] - Un evento puntual (aunque el webhook no esté suscrito a su tipo)
+ * @param {Date} [filtro.desde] - Eventos desde esta fecha, de los tipos suscritos
+ * @param {Date} [filtro.hasta] - Hasta esta fecha (default: ahora)
+ * @returns {Promise<Object>} { encolados } o { error } si el rango supera MAX_REENVIO eventos
+ *
+ * @description
+ * - Cada evento se envía con reenvio: true y su ID original; el receptor descarta los que ya tenía
+ */
+async function reenviarEventos(webhook, { evento_id: eventoId, desde, hasta }) {
+  const where = eventoId
+    ? { id: eventoId }
+    : {
+      evento: { [Op.in]: webhook.eventos },
+      createdAt: { [Op.gte]: desde, [Op.lte]: hasta || new Date() }
+    };
+
+  const total = await EventoWebhook.count({ where });
+  if (total > MAX_REENVIO) {
+    return { error: `El rango tiene ${total} eventos; reenvíe como máximo ${MAX_REENVIO} por vez` };
+  }
+
+  const eventos = await EventoWebhook.findAll({ where, attributes: ['id'], order: [['createdAt', 'ASC']] });
+  const ahora = new Date();
+  await EntregaWebhook.bulkCreate(eventos.map(evento => ({
+    evento_id: evento.id,
+    webhook_id: webhook.id,
+    reenvio: true,
+    proximo_intento: ahora
+  })));
+
+  if (eventos.length) solicitarEnvio();
+  return { encolados: eventos.length };
+}
+
+/**
+ * Arranca la cola de webhooks salientes en este proceso
+ *
+ * @function iniciarWebhooks
+ * @returns {boolean} true si quedó activa
+ */
+function iniciarWebhooks() {
+  if (process.env.WEBHOOKS_ACTIVOS === 'false' || temporizador) return false;
+
+  temporizador = setInterval(procesarEntregas, INTERVALO_MS);
+  procesarEntregas();
+  return true;
+}
+
+module.exports = {
+  EVENTOS_WEBHOOK,
+  MAX_REENVIO,
+  registrarEvento,
+  configurarWebhooksSalientes,
+  cuerpoEvento,
+  entregarEvento,
+  procesarEntregas,
+  reenviarEventos,
+  iniciarWebhooks
+};
@@ -0,0 +1,169 @@
+const { Op } = require('sequelize');
+const { sequelize, NAP, Cliente, UsuarioZona } = require('../models');
+const { rolTienePermiso } = require('./permisos');
+
+const listaSql = (ids) => ids.length ? ids.map(id => sequelize.escape(id)).join(', ') : 'NULL';
+
+/**
+ * Devuelve las zonas que puede ver el usuario de la petición
+ *
+ * @async
+ * @function obtenerAlcanceZonas
+ * @param {Object} req - Objeto de solicitud Express (con req.usuario)
+ * @returns {Promise<string[]|null>} IDs de zona, o null si ve todas (permiso zonas:todas)
+ *
+ * @description
+ * - Se calcula una vez por petición y queda en req.alcanceZonas
+ * - Un usuario sin zonas asignadas y sin zonas:todas no ve ningún NAP, puerto, cliente ni conexión
+ */
+async function obtenerAlcanceZonas(req) {
+  if (req.alcanceZonas !== undefined) {
+    return req.alcanceZonas;
+  }
+
+  if (await rolTienePermiso(req.usuario.rol, 'zonas:todas')) {
+    req.alcanceZonas = null;
+  } else {
+    const asignadas = await UsuarioZona.findAll({
+      where: { usuario_id: req.usuario.id },
+      attributes: ['zona_id'],
+      raw: true
+    });
+    req.alcanceZonas = asignadas.map(fila => fila.zona_id);
+  }
+
+  return req.alcanceZonas;
+}
+
+/**
+ * Condición sobre naps.zona_id
+ *
+ * @function filtroZonaNAP
+ * @param {string[]|null} alcance - Resultado de obtenerAlcanceZonas
+ * @returns {Object} Condición para un where de NAP ({} si ve todas)
+ */
+const filtroZonaNAP = (alcance) => alcance ? { zona_id: { [Op.in]: alcance } } : {};
+
+/**
+ * Condición para tablas que apuntan a un NAP (puertos, mantenimientos)
+ *
+ * @function filtroPorNAP
+ * @param {string[]|null} alcance - Resultado de obtenerAlcanceZonas
+ * @param {string} [campo='nap_id'] - Columna con el ID del NAP
+ * @returns {Object} Condición para un where ({} si ve todas)
+ */
+const filtroPorNAP = (alcance, campo = 'nap_id') => alcance
+  ? { [campo]: { [Op.in]: sequelize.literal(`(SELECT id FROM naps WHERE zona_id IN (${listaSql(alcance)}))`) } }
+  : {};
+
+/**
+ * Condición para tablas que apuntan a un puerto (conexiones)
+ *
+ * @function filtroPorPuerto
+ * @param {string[]|null} alcance - Resultado de obtenerAlcanceZonas
+ * @param {string} [campo='puerto_id'] - Columna con el ID del puerto
+ * @returns {Object} Condición para un where ({} si ve todas)
+ */
+const filtroPorPuerto = (alcance, campo = 'puerto_id') => alcance
+  ? {
+    [campo]: {
+      [Op.in]: sequelize.literal(
+        `(SELECT p.id FROM puertos p JOIN naps n ON n.id = p.nap_id WHERE n.zona_id IN (${listaSql(alcance)}))`
+      )
+    }
+  }
+  : {};
+
+/**
+ * Condición sobre clientes: su propia zona o la zona del NAP de alguna de sus conexiones
+ *
+ * @function filtroCliente
+ * @param {string[]|null} alcance - Resultado de obtenerAlcanceZonas
+ * @param {string} [campoId='id'] - Columna con el ID del cliente
+ * @returns {Object} Condición para un where de Cliente ({} si ve todas)
+ */
+const filtroCliente = (alcance, campoId = 'id') => alcance
+  ? {
+    [Op.or]: [
+      { zona_id: { [Op.in]: alcance } },
+      {
+        [campoId]: {
+          [Op.in]: sequelize.literal(
+            `(SELECT c.cliente_id FROM conexiones c JOIN puertos p ON p.id = c.puerto_id JOIN naps n ON n.id = p.nap_id WHERE n.zona_id IN (${listaSql(alcance)}))`
+          )
+        }
+      }
+    ]
+  }
+  : {};
+
+/**
+ * Indica si un NAP está dentro de las zonas del usuario
+ *
+ * @async
+ * @function napEnAlcance
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object|string} napOId - Instancia de NAP (con zona_id) o su ID
+ * @param {Object} [options] - Opciones de Sequelize (por ejemplo transaction)
+ * @returns {Promise<boolean>} false también si el NAP no existe
+ *
+ * @description
+ * - Los controladores responden 404 (no 403) para no revelar NAPs de otras zonas
+ */
+async function napEnAlcance(req, napOId, options = {}) {
+  const alcance = await obtenerAlcanceZonas(req);
+
+  const nap = typeof napOId === 'string'
+    ? await NAP.findByPk(napOId, { attributes: ['id', 'zona_id'], ...options })
+    : napOId;
+
+  if (!nap) return false;
+  if (!alcance) return true;
+
+  return alcance.includes(nap.zona_id);
+}
+
+/**
+ * Indica si un cliente está dentro de las zonas del usuario (ver filtroCliente)
+ *
+ * @async
+ * @function clienteEnAlcance
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string} clienteId - ID del cliente
+ * @param {Object} [options] - Opciones de Sequelize (por ejemplo transaction)
+ * @returns {Promise<boolean>} false también si el cliente no existe
+ */
+async function clienteEnAlcance(req, clienteId, options = {}) {
+  const alcance = await obtenerAlcanceZonas(req);
+  const cantidad = await Cliente.count({
+    where: { [Op.and]: [{ id: clienteId }, filtroCliente(alcance)] },
+    ...options
+  });
+
+  return cantidad > 0;
+}
+
+/**
+ * Indica si una zona está dentro de las zonas del usuario
+ *
+ * @async
+ * @function zonaEnAlcance
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {string|null} zonaId - Zona a verificar
+ * @returns {Promise<boolean>} Sin zona sólo es válido para quien ve todas
+ */
+async function zonaEnAlcance(req, zonaId) {
+  const alcance = await obtenerAlcanceZonas(req);
+  return !alcance || alcance.includes(zonaId);
+}
+
+module.exports = {
+  obtenerAlcanceZonas,
+  filtroZonaNAP,
+  filtroPorNAP,
+  filtroPorPuerto,
+  filtroCliente,
+  napEnAlcance,
+  clienteEnAlcance,
+  zonaEnAlcance
+};
@@ -0,0 +1,214 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+
+jest.mock('../src/models', () => ({
+  sequelize: { transaction: jest.fn() },
+  Factura: { findAll: jest.fn() },
+  Conexion: { findAll: jest.fn(), findByPk: jest.fn() },
+  AccionCobranza: { create: jest.fn(), findAll: jest.fn() }
+}));
+
+jest.mock('../src/utils/operacionesPuerto', () => ({ actualizarDatosConexion: jest.fn() }));
+jest.mock('../src/utils/correo', () => ({ enviarCorreo: jest.fn() }));
+
+const { sequelize, Factura, Conexion, AccionCobranza } = require('../src/models');
+const { actualizarDatosConexion } = require('../src/utils/operacionesPuerto');
+const { enviarCorreo } = require('../src/utils/correo');
+const { DIAS_GRACIA, clientesMorosos, enviarRecordatorios, ejecutarCobranza } = require('../src/utils/cobranza');
+
+// Defaults: 10 días de gracia, monto mínimo 0, recordatorios en -3, 1 y 7 días del vencimiento
+const factura = (datos) => ({
+  id: 'fac-1',
+  numero: 101,
+  cliente_id: 'cli-1',
+  periodo: '2024-04',
+  moneda: 'BOB',
+  total: '150.00',
+  pagado: '0.00',
+  fecha_vencimiento: '2024-05-10',
+  cliente: { id: 'cli-1', nombre: 'Ana', apellido: 'Pérez', correo: 'ana@example.com' },
+  ...datos
+});
+
+// AccionCobranza con el índice único (factura_id, paso) de la tabla real
+const accionesConIndiceUnico = () => {
+  const claves = new Set();
+  AccionCobranza.create.mockImplementation(async (datos) => {
+    const clave = `${datos.factura_id}:${datos.paso}`;
+    if (claves.has(clave)) throw new UniqueConstraintError({ message: 'duplicado' });
+    claves.add(clave);
+    return { ...datos, update: jest.fn() };
+  });
+};
+
+describe('clientesMorosos', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('sólo cuenta facturas impagas vencidas hace más de los días de gracia', async () => {
+    Factura.findAll.mockResolvedValue([]);
+
+    await clientesMorosos({ hoy: '2024-05-20' });
+
+    const { where } = Factura.findAll.mock.calls[0][0];
+    expect(DIAS_GRACIA).toBe(10);
+    expect(where.estado[Op.in]).toEqual(['PENDIENTE', 'PARCIAL']);
+    // Vencida el 10/05: el 20/05 van 10 días justos, todavía no está en mora
+    expect(where.fecha_vencimiento[Op.lt]).toBe('2024-05-10');
+  });
+
+  it('suma el saldo por moneda y guarda el vencimiento más antiguo', async () => {
+    Factura.findAll.mockResolvedValue([
+      factura({ fecha_vencimiento: '2024-04-10', total: '150.00', pagado: '50.00' }),
+      factura({ fecha_vencimiento: '2024-03-10', total: '150.00', pagado: '0.00' }),
+      factura({ fecha_vencimiento: '2024-04-10', moneda: 'USD', total: '20.00', pagado: '0.00' })
+    ]);
+
+    const morosos = await clientesMorosos({ hoy: '2024-05-20' });
+
+    expect(morosos.get('cli-1')).toEqual({
+      deuda: [{ moneda: 'BOB', monto: 250 }, { moneda: 'USD', monto: 20 }],
+      vencida_desde: '2024-03-10'
+    });
+  });
+
+  it('deja fuera a un cliente cuyo saldo vencido no supera el monto mínimo', async () => {
+    Factura.findAll.mockResolvedValue([
+      factura({ cliente_id: 'cli-1', total: '150.00', pagado: '150.00' }),
+      factura({ cliente_id: 'cli-2', total: '150.00', pagado: '149.99' })
+    ]);
+
+    const morosos = await clientesMorosos({ hoy: '2024-05-25' });
+
+    expect([...morosos.keys()]).toEqual(['cli-2']);
+  });
+
+  it('filtra por cliente si se pide', async () => {
+    Factura.findAll.mockResolvedValue([]);
+
+    await clientesMorosos({ hoy: '2024-05-20', clienteId: 'cli-9' });
+
+    expect(Factura.findAll.mock.calls[0][0].where.cliente_id).toBe('cli-9');
+  });
+});
+
+describe('Recordatorios de pago', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accionesConIndiceUnico();
+    enviarCorreo.mockResolvedValue();
+  });
+
+  it('escala por los pasos configurados y manda cada paso una sola vez', async () => {
+    Factura.findAll.mockResolvedValue([factura()]);
+
+    const dias = ['2024-05-06', '2024-05-07', '2024-05-08', '2024-05-11', '2024-05-12', '2024-05-17', '2024-05-20'];
+    const enviados = [];
+    for (const dia of dias) {
+      enviados.push(await enviarRecordatorios(dia));
+    }
+
+    expect(enviados).toEqual([0, 1, 0, 1, 0, 1, 0]);
+    expect(AccionCobranza.create.mock.calls.map(([datos]) => datos.paso)).toEqual([-3, -3, 1, 1, 7, 7]);
+    expect(enviarCorreo).toHaveBeenCalledTimes(3);
+  });
+
+  it('el mensaje cambia según el paso: antes del vencimiento, en gracia y vencido el plazo', async () => {
+    Factura.findAll.mockResolvedValue([factura()]);
+
+    await enviarRecordatorios('2024-05-07');
+    await enviarRecordatorios('2024-05-11');
+    await enviarRecordatorios('2024-05-25');
+
+    const textos = enviarCorreo.mock.calls.map(([mensaje]) => mensaje.texto);
+    expect(textos[0]).toContain('Vence el 10/05/2024.');
+    expect(textos[1]).toContain('regularice el pago hasta el 20/05/2024');
+    expect(textos[2]).toContain('el servicio queda suspendido');
+  });
+
+  it('no manda tarde los pasos que se saltaron', async () => {
+    Factura.findAll.mockResolvedValue([factura()]);
+
+    await enviarRecordatorios('2024-05-18');
+
+    expect(AccionCobranza.create).toHaveBeenCalledTimes(1);
+    expect(AccionCobranza.create.mock.calls[0][0]).toMatchObject({ paso: 7, deuda: 150, exito: true });
+  });
+
+  it('si otra instancia ya anotó el paso, no lo vuelve a enviar', async () => {
+    Factura.findAll.mockResolvedValue([factura()]);
+
+    const [primera, segunda] = await Promise.all([enviarRecordatorios('2024-05-11'), enviarRecordatorios('2024-05-11')]);
+
+    expect(primera + segunda).toBe(1);
+    expect(enviarCorreo).toHaveBeenCalledTimes(1);
+  });
+
+  it('anota sin enviar al cliente sin correo y no lo reintenta', async () => {
+    Factura.findAll.mockResolvedValue([factura({ cliente: { id: 'cli-1', nombre: 'Ana', correo: null } })]);
+
+    expect(await enviarRecordatorios('2024-05-11')).toBe(0);
+    expect(await enviarRecordatorios('2024-05-11')).toBe(0);
+
+    expect(AccionCobranza.create.mock.calls[0][0]).toMatchObject({ exito: false, detalle: 'El cliente no tiene correo' });
+    expect(enviarCorreo).not.toHaveBeenCalled();
+  });
+});
+
+describe('Suspensión y reactivación', () => {
+  const conexionActiva = { id: 'con-1', cliente_id: 'cli-1', estado: 'ACTIVA', suspension_automatica: false };
+
+  // Conexiones de la base: el findAll responde según el estado pedido, el findByPk con el bloqueo
+  const conexionesEnBase = (conexiones) => {
+    Conexion.findAll.mockImplementation(async ({ where }) => conexiones.filter(c =>
+      c.estado === where.estado && (where.estado !== 'SUSPENDIDA' || c.suspension_automatica)
+    ));
+    Conexion.findByPk.mockImplementation(async (id) => conexiones.find(c => c.id === id) || null);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sequelize.transaction.mockImplementation(async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }));
+    AccionCobranza.create.mockResolvedValue({});
+    enviarCorreo.mockResolvedValue();
+    actualizarDatosConexion.mockImplementation(async (conexion, { estado }, transaction, { porMora }) => {
+      Object.assign(conexion, { estado, suspension_automatica: porMora });
+    });
+  });
+
+  it('suspende al moroso una vez aunque la pasada corra dos veces', async () => {
+    const conexion = { ...conexionActiva };
+    conexionesEnBase([conexion]);
+    Factura.findAll.mockImplementation(async ({ attributes }) => (attributes ? [factura({ fecha_vencimiento: '2024-05-01' })] : []));
+
+    const primera = await ejecutarCobranza('2024-05-20');
+    const segunda = await ejecutarCobranza('2024-05-20');
+
+    expect(primera).toMatchObject({ suspendidas: 1, reactivadas: 0 });
+    expect(segunda).toMatchObject({ suspendidas: 0, reactivadas: 0 });
+    expect(conexion).toMatchObject({ estado: 'SUSPENDIDA', suspension_automatica: true });
+    expect(AccionCobranza.create).toHaveBeenCalledTimes(1);
+    expect(AccionCobranza.create.mock.calls[0][0]).toMatchObject({ tipo: 'SUSPENSION', deuda: 150, moneda: 'BOB' });
+  });
+
+  it('no suspende si la conexión cambió entre la consulta y el bloqueo', async () => {
+    conexionesEnBase([{ ...conexionActiva }]);
+    Conexion.findByPk.mockResolvedValue({ ...conexionActiva, estado: 'SUSPENDIDA' });
+    Factura.findAll.mockImplementation(async ({ attributes }) => (attributes ? [factura({ fecha_vencimiento: '2024-05-01' })] : []));
+
+    expect(await ejecutarCobranza('2024-05-20')).toMatchObject({ suspendidas: 0 });
+    expect(actualizarDatosConexion).not.toHaveBeenCalled();
+  });
+
+  it('reactiva al ponerse al día sólo las suspendidas por mora', async () => {
+    const porMora = { ...conexionActiva, estado: 'SUSPENDIDA', suspension_automatica: true };
+    const aMano = { ...conexionActiva, id: 'con-2', estado: 'SUSPENDIDA', suspension_automatica: false };
+    conexionesEnBase([porMora, aMano]);
+    Factura.findAll.mockResolvedValue([]);
+
+    expect(await ejecutarCobranza('2024-05-20')).toMatchObject({ suspendidas: 0, reactivadas: 1 });
+    expect(await ejecutarCobranza('2024-05-20')).toMatchObject({ suspendidas: 0, reactivadas: 0 });
+    expect(porMora.estado).toBe('ACTIVA');
+    expect(aMano.estado).toBe('SUSPENDIDA');
+  });
+});
@@ -0,0 +1,120 @@
+const { parsearCron, siguienteEjecucion } = require('../src/utils/cron');
+
+// Fechas en hora local, como las interpreta el programador. El 1/1/2024 es lunes.
+const fecha = (anio, mes, dia, hora = 0, minuto = 0) => new Date(anio, mes - 1, dia, hora, minuto);
+const valores = (conjunto) => [...conjunto].sort((a, b) => a - b);
+
+describe('parsearCron', () => {
+  it('expande comodines al rango completo de cada campo', () => {
+    const cron = parsearCron('* * * * *');
+
+    expect(cron.minutos.size).toBe(60);
+    expect(cron.horas.size).toBe(24);
+    expect(cron.diasMes.size).toBe(31);
+    expect(cron.meses.size).toBe(12);
+    expect(cron.restringeDiaMes).toBe(false);
+    expect(cron.restringeDiaSemana).toBe(false);
+  });
+
+  it('interpreta rangos, listas y pasos', () => {
+    const cron = parsearCron('*/15 8-18/2 1,15 1-3 1-5');
+
+    expect(valores(cron.minutos)).toEqual([0, 15, 30, 45]);
+    expect(valores(cron.horas)).toEqual([8, 10, 12, 14, 16, 18]);
+    expect(valores(cron.diasMes)).toEqual([1, 15]);
+    expect(valores(cron.meses)).toEqual([1, 2, 3]);
+    expect(valores(cron.diasSemana)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('un valor con paso va hasta el máximo del campo', () => {
+    expect(valores(parsearCron('50/5 * * * *').minutos)).toEqual([50, 55]);
+  });
+
+  it('combina listas de rangos y valores sueltos', () => {
+    expect(valores(parsearCron('0 1-3,12,20-22/2 * * *').horas)).toEqual([1, 2, 3, 12, 20, 22]);
+  });
+
+  it('trata el 7 del día de la semana como domingo', () => {
+    const cron = parsearCron('0 0 * * 7');
+
+    expect(cron.diasSemana.has(0)).toBe(true);
+  });
+
+  it('marca como restringidos los campos de día que no empiezan con *', () => {
+    const cron = parsearCron('0 0 1 * 1');
+
+    expect(cron.restringeDiaMes).toBe(true);
+    expect(cron.restringeDiaSemana).toBe(true);
+  });
+
+  it('no marca como restringido un campo de día con */n', () => {
+    const cron = parsearCron('0 0 */2 * */2');
+
+    expect(cron.restringeDiaMes).toBe(false);
+    expect(cron.restringeDiaSemana).toBe(false);
+  });
+
+  it.each([
+    ['', '5 campos'],
+    ['* * * *', '5 campos'],
+    ['* * * * * *', '5 campos'],
+    ['60 * * * *', 'minuto fuera de rango'],
+    ['* 24 * * *', 'hora fuera de rango'],
+    ['* * 0 * *', 'día del mes fuera de rango'],
+    ['* * * 13 *', 'mes fuera de rango'],
+    ['* * * * 8', 'día de la semana fuera de rango'],
+    ['5-1 * * * *', 'minuto fuera de rango'],
+    ['*/0 * * * *', 'minuto fuera de rango'],
+    ['a * * * *', 'Valor inválido para minuto'],
+    ['1,,2 * * * *', 'Valor inválido para minuto'],
+    ['* * * * MON', 'Valor inválido para día de la semana']
+  ])('rechaza "%s"', (expresion, mensaje) => {
+    expect(() => parsearCron(expresion)).toThrow(mensaje);
+  });
+});
+
+describe('siguienteEjecucion', () => {
+  it('devuelve el próximo minuto que cumple, estrictamente posterior', () => {
+    expect(siguienteEjecucion('*/15 * * * *', fecha(2024, 1, 1, 10, 15))).toEqual(fecha(2024, 1, 1, 10, 30));
+  });
+
+  it('pasa al día siguiente cuando ya no quedan horas', () => {
+    expect(siguienteEjecucion('0 7 * * *', fecha(2024, 1, 1, 8, 0))).toEqual(fecha(2024, 1, 2, 7, 0));
+  });
+
+  it('busca el próximo día de la semana', () => {
+    // Miércoles 3/1/2024 → lunes 8/1/2024
+    expect(siguienteEjecucion('0 7 * * 1', fecha(2024, 1, 3))).toEqual(fecha(2024, 1, 8, 7, 0));
+  });
+
+  it('con día del mes y de la semana restringidos basta con que coincida uno', () => {
+    // Día 15 o viernes: desde el 1/1/2024 el primero es el viernes 5
+    expect(siguienteEjecucion('0 0 15 * 5', fecha(2024, 1, 1))).toEqual(fecha(2024, 1, 5));
+    expect(siguienteEjecucion('0 0 15 * 5', fecha(2024, 1, 13))).toEqual(fecha(2024, 1, 15));
+  });
+
+  it('un día de la semana con */n exige también el día del mes', () => {
+    // Día 1 y día de la semana par (0, 2, 4, 6): el 1/2/2024 es jueves
+    expect(siguienteEjecucion('0 0 1 * */2', fecha(2024, 1, 1))).toEqual(fecha(2024, 2, 1));
+  });
+
+  it('*/n en el día de la semana con día del mes libre sólo filtra por semana', () => {
+    // Días pares de la semana desde el lunes 1/1/2024: martes 2
+    expect(siguienteEjecucion('0 0 * * */2', fecha(2024, 1, 1, 12))).toEqual(fecha(2024, 1, 2));
+  });
+
+  it('respeta el mes y salta los meses sin ese día', () => {
+    expect(siguienteEjecucion('0 0 31 * *', fecha(2024, 4, 1))).toEqual(fecha(2024, 5, 31));
+    expect(siguienteEjecucion('0 0 29 2 *', fecha(2024, 3, 1))).toEqual(fecha(2028, 2, 29));
+  });
+
+  it('devuelve null si la expresión no se cumple nunca', () => {
+    expect(siguienteEjecucion('0 0 30 2 *', fecha(2024, 1, 1))).toBeNull();
+  });
+
+  it('acepta una expresión ya parseada', () => {
+    const cron = parsearCron('30 6 * * *');
+
+    expect(siguienteEjecucion(cron, fecha(2024, 1, 1, 7))).toEqual(fecha(2024, 1, 2, 6, 30));
+  });
+});
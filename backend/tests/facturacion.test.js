@@ -0,0 +1,124 @@
+const { Op } = require('sequelize');
+
+jest.mock('../src/models', () => ({
+  sequelize: { transaction: jest.fn(), escape: jest.fn(), literal: jest.fn() },
+  Factura: { count: jest.fn(), create: jest.fn(), findAll: jest.fn() },
+  LineaFactura: { bulkCreate: jest.fn() },
+  Pago: { sum: jest.fn() },
+  Cliente: { findByPk: jest.fn() },
+  Conexion: { findAll: jest.fn() },
+  CambioEstadoConexion: { findAll: jest.fn() }
+}));
+
+const { sequelize, Factura, LineaFactura, Pago, Conexion, CambioEstadoConexion } = require('../src/models');
+const { rangoPeriodo, tramosActivos, lineasDeConexion, generarFacturas } = require('../src/utils/facturacion');
+
+// Mayo 2024: 31 días, plan de 310 → 10 por día
+const PLAN = {
+  nombre: 'Hogar 100',
+  velocidad_mbps: 100,
+  precio_mensual: '310.00',
+  costo_instalacion: '0.00',
+  impuesto_porcentaje: '0.00',
+  moneda: 'BOB'
+};
+
+const conexion = (datos) => ({
+  id: 'con-1',
+  cliente_id: 'cli-1',
+  fecha_inicio: '2024-01-15',
+  fecha_fin: null,
+  estado: 'ACTIVA',
+  plan: PLAN,
+  cliente: { id: 'cli-1', nombre: 'Ana', apellido: 'Pérez', ci: '111' },
+  ...datos
+});
+
+const cambioEstado = (fecha, anterior, nuevo) => ({
+  conexion_id: 'con-1',
+  fecha,
+  estado_anterior: anterior,
+  estado_nuevo: nuevo
+});
+
+describe('Facturación de conexiones suspendidas', () => {
+  const mayo = rangoPeriodo('2024-05');
+
+  it('sin cambios en el mes cobra el mes completo a una ACTIVA y nada a una SUSPENDIDA', () => {
+    expect(tramosActivos(conexion(), mayo)).toEqual([{ desde: '2024-05-01', hasta: '2024-05-31' }]);
+    expect(tramosActivos(conexion({ estado: 'SUSPENDIDA' }), mayo)).toEqual([]);
+  });
+
+  it('suspendida a mitad de mes cobra hasta el día anterior a la suspensión', () => {
+    const cambios = [{ fecha: '2024-05-11', anterior: 'ACTIVA', nuevo: 'SUSPENDIDA' }];
+    const lineas = lineasDeConexion(conexion({ estado: 'SUSPENDIDA' }), mayo, cambios);
+
+    expect(lineas).toHaveLength(1);
+    expect(lineas[0]).toMatchObject({ tipo: 'MENSUALIDAD', desde: '2024-05-01', hasta: '2024-05-10', dias: 10, importe: 100 });
+  });
+
+  it('suspendida y reactivada en el mes cobra cada tramo activo por separado', () => {
+    const cambios = [
+      { fecha: '2024-05-11', anterior: 'ACTIVA', nuevo: 'SUSPENDIDA' },
+      { fecha: '2024-05-21', anterior: 'SUSPENDIDA', nuevo: 'ACTIVA' }
+    ];
+
+    expect(tramosActivos(conexion(), mayo, cambios)).toEqual([
+      { desde: '2024-05-01', hasta: '2024-05-10' },
+      { desde: '2024-05-21', hasta: '2024-05-31' }
+    ]);
+  });
+
+  it('suspendida desde antes del mes y reactivada en el mes cobra desde la reactivación', () => {
+    const cambios = [{ fecha: '2024-05-25', anterior: 'SUSPENDIDA', nuevo: 'ACTIVA' }];
+
+    expect(tramosActivos(conexion(), mayo, cambios)).toEqual([{ desde: '2024-05-25', hasta: '2024-05-31' }]);
+  });
+
+  it('un cambio posterior al mes sólo indica el estado con el que empezó', () => {
+    const cambios = [{ fecha: '2024-06-03', anterior: 'SUSPENDIDA', nuevo: 'ACTIVA' }];
+
+    expect(tramosActivos(conexion(), mayo, cambios)).toEqual([]);
+  });
+
+  describe('generarFacturas', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+
+      const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+      sequelize.transaction.mockImplementation(async (fn) => fn(transaction));
+      Factura.count.mockResolvedValue(0);
+      Factura.create.mockImplementation(async (datos) => ({ id: 'fac-1', ...datos }));
+      Factura.findAll.mockResolvedValue([]);
+      Pago.sum.mockResolvedValue(0);
+    });
+
+    it('factura a una conexión SUSPENDIDA a mitad de mes los días previos a la suspensión', async () => {
+      Conexion.findAll.mockResolvedValue([conexion({ estado: 'SUSPENDIDA' })]);
+      CambioEstadoConexion.findAll.mockResolvedValue([cambioEstado('2024-05-16', 'ACTIVA', 'SUSPENDIDA')]);
+
+      const { creadas } = await generarFacturas({ periodo: '2024-05' });
+
+      const { where } = Conexion.findAll.mock.calls[0][0];
+      expect(where[Op.or][0].estado[Op.in]).toContain('SUSPENDIDA');
+
+      expect(creadas).toHaveLength(1);
+      expect(creadas[0]).toMatchObject({ periodo: '2024-05', subtotal: 150, total: 150 });
+
+      const [lineas] = LineaFactura.bulkCreate.mock.calls[0];
+      expect(lineas).toEqual([
+        expect.objectContaining({ conexion_id: 'con-1', desde: '2024-05-01', hasta: '2024-05-15', dias: 15, importe: 150 })
+      ]);
+    });
+
+    it('no emite factura si la conexión estuvo suspendida todo el mes', async () => {
+      Conexion.findAll.mockResolvedValue([conexion({ estado: 'SUSPENDIDA' })]);
+      CambioEstadoConexion.findAll.mockResolvedValue([]);
+
+      const { creadas } = await generarFacturas({ periodo: '2024-05' });
+
+      expect(creadas).toHaveLength(0);
+      expect(Factura.create).not.toHaveBeenCalled();
+    });
+  });
+});
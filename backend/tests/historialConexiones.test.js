@@ -0,0 +1,67 @@
+const { configurarHistorialConexiones } = require('../src/utils/historialConexiones');
+
+// Modelo mínimo con addHook: guarda los hooks para dispararlos a mano
+const modeloConHooks = () => {
+  const hooks = {};
+  return {
+    hooks,
+    addHook: (nombre, fn) => { hooks[nombre] = fn; }
+  };
+};
+
+const instancia = (estado, anterior = estado) => ({
+  id: 'con-1',
+  estado,
+  changed: (campo) => campo === 'estado' && anterior !== estado,
+  previous: () => anterior
+});
+
+describe('Historial de estados de conexiones', () => {
+  let Conexion;
+  let CambioEstadoConexion;
+
+  beforeEach(() => {
+    Conexion = modeloConHooks();
+    CambioEstadoConexion = { create: jest.fn().mockResolvedValue({}) };
+    configurarHistorialConexiones({ Conexion, CambioEstadoConexion });
+  });
+
+  it('registra la suspensión en la transacción del cambio, con usuario y origen', async () => {
+    const transaction = { userId: 'u1', origen: 'COBRANZA' };
+
+    await Conexion.hooks.afterUpdate(instancia('SUSPENDIDA', 'ACTIVA'), { transaction });
+
+    expect(CambioEstadoConexion.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        conexion_id: 'con-1',
+        estado_anterior: 'ACTIVA',
+        estado_nuevo: 'SUSPENDIDA',
+        cambiado_por: 'u1',
+        origen: 'COBRANZA',
+        fecha: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/)
+      }),
+      { transaction }
+    );
+  });
+
+  it('registra el alta sin estado anterior', async () => {
+    await Conexion.hooks.afterCreate(instancia('ACTIVA'), {});
+
+    expect(CambioEstadoConexion.create).toHaveBeenCalledWith(
+      expect.objectContaining({ estado_anterior: null, estado_nuevo: 'ACTIVA', cambiado_por: null, origen: null }),
+      { transaction: undefined }
+    );
+  });
+
+  it('no registra ediciones que no cambian el estado', async () => {
+    await Conexion.hooks.afterUpdate(instancia('ACTIVA'), {});
+
+    expect(CambioEstadoConexion.create).not.toHaveBeenCalled();
+  });
+
+  it('si no se puede escribir el historial, el cambio falla', async () => {
+    CambioEstadoConexion.create.mockRejectedValue(new Error('sin conexión'));
+
+    await expect(Conexion.hooks.afterUpdate(instancia('SUSPENDIDA', 'ACTIVA'), {})).rejects.toThrow('sin conexión');
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../src/models', () => ({
+  Usuario: { findOne: jest.fn() }
+}));
+
+jest.mock('../src/utils/auditoria', () => ({
+  registrarAuditoria: jest.fn()
+}));
+
+jest.mock('../src/utils/permisos', () => ({
+  obtenerPermisosDeRol: jest.fn()
+}));
+
+jest.mock('../src/utils/correo', () => ({
+  enviarCorreo: jest.fn(),
+  escaparHtml: jest.requireActual('../src/utils/correo').escaparHtml
+}));
+
+const { Usuario } = require('../src/models');
+const { enviarCorreo } = require('../src/utils/correo');
+const { olvideClave } = require('../src/controllers/authController');
+
+const respuesta = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const RESPUESTA_GENERICA = {
+  success: true,
+  message: 'Si el correo está registrado, recibirá un enlace para restablecer la contraseña'
+};
+
+describe('Olvidé mi contraseña', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('con una cuenta inexistente responde el mensaje genérico sin enviar nada', async () => {
+    Usuario.findOne.mockResolvedValue(null);
+    const res = respuesta();
+
+    await olvideClave({ body: { correo: 'nadie@example.com' } }, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(RESPUESTA_GENERICA);
+    expect(enviarCorreo).not.toHaveBeenCalled();
+  });
+
+  it('si el envío falla responde lo mismo que para una cuenta inexistente y lo deja en el log', async () => {
+    const usuario = { id: 'u1', nombre: 'Ana', correo: 'ana@example.com', update: jest.fn() };
+    Usuario.findOne.mockResolvedValue(usuario);
+    enviarCorreo.mockRejectedValue(new Error('SMTP caído'));
+    const res = respuesta();
+
+    await olvideClave({ body: { correo: 'ana@example.com' } }, res);
+
+    expect(usuario.update).toHaveBeenCalledWith(expect.objectContaining({ reset_clave_hash: expect.any(String) }));
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(RESPUESTA_GENERICA);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('u1'), 'SMTP caído');
+  });
+});
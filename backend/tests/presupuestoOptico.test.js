@@ -0,0 +1,87 @@
+jest.mock('../src/models', () => ({
+  NAP: { findByPk: jest.fn() },
+  Splitter: { findByPk: jest.fn(), findAll: jest.fn() },
+  CableAlimentador: { findByPk: jest.fn(), findAll: jest.fn() }
+}));
+
+const { NAP, Splitter, CableAlimentador } = require('../src/models');
+const { calcularPresupuestoOptico, calcularPresupuestosOpticos } = require('../src/utils/presupuestoOptico');
+
+// OLT → splitter 1:4 → splitter 1:8 → NAPs
+const OLT = { id: 'olt-1', codigo: 'OLT-1', potencia_tx_dbm: '3.00' };
+const SPLITTERS = [
+  {
+    id: 'sp-1', codigo: 'SP-1', ratio: '1:4', nivel: 1, splitter_padre_id: null,
+    cable: { id: 'c-1', codigo: 'C-1', longitud_m: '1000' },
+    puerto_pon: { id: 'pon-1', slot: 1, numero: 1, estado: 'ACTIVO', olt: OLT }
+  },
+  {
+    id: 'sp-2', codigo: 'SP-2', ratio: '1:8', nivel: 2, splitter_padre_id: 'sp-1',
+    cable: { id: 'c-2', codigo: 'C-2', longitud_m: '500' },
+    puerto_pon: null
+  }
+];
+const CABLES = [{ id: 'c-nap', codigo: 'C-NAP', longitud_m: '200' }];
+
+const nap = (id, datos) => ({
+  id,
+  codigo: id.toUpperCase(),
+  estado: 'ACTIVO',
+  splitter_id: 'sp-2',
+  cable_id: 'c-nap',
+  conectores: 2,
+  empalmes: 4,
+  puertos: [
+    { id: `${id}-p1`, numero: 1, estado: 'OCUPADO', longitud_acometida_m: '100' },
+    { id: `${id}-p2`, numero: 2, estado: 'LIBRE', longitud_acometida_m: null }
+  ],
+  ...datos
+});
+
+describe('Presupuesto óptico de varios NAPs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Splitter.findAll.mockResolvedValue(SPLITTERS);
+    CableAlimentador.findAll.mockResolvedValue(CABLES);
+    Splitter.findByPk.mockImplementation(async (id) => SPLITTERS.find(s => s.id === id) || null);
+    CableAlimentador.findByPk.mockImplementation(async (id) => CABLES.find(c => c.id === id) || null);
+  });
+
+  it('lee la topología una sola vez sin importar cuántos NAPs haya', async () => {
+    const naps = Array.from({ length: 25 }, (_, i) => nap(`nap-${i}`));
+
+    const presupuestos = await calcularPresupuestosOpticos(naps);
+
+    expect(presupuestos.size).toBe(25);
+    expect(Splitter.findAll).toHaveBeenCalledTimes(1);
+    expect(CableAlimentador.findAll).toHaveBeenCalledTimes(1);
+    expect(Splitter.findByPk).not.toHaveBeenCalled();
+    expect(CableAlimentador.findByPk).not.toHaveBeenCalled();
+  });
+
+  it('da el mismo resultado que el cálculo NAP por NAP', async () => {
+    const uno = nap('nap-1');
+    NAP.findByPk.mockResolvedValue(uno);
+
+    const enLote = (await calcularPresupuestosOpticos([uno])).get('nap-1');
+    const individual = await calcularPresupuestoOptico('nap-1');
+
+    expect(enLote).toEqual(individual);
+    expect(enLote.ruta_ascendente.splitters.map(s => s.id)).toEqual(['sp-1', 'sp-2']);
+    expect(enLote.presupuesto_nap).toMatchObject({ calculable: true, longitud_fibra_m: 1700 });
+  });
+
+  it('un NAP sin splitter queda sin calcular', async () => {
+    const presupuestos = await calcularPresupuestosOpticos([nap('nap-1', { splitter_id: null, cable_id: null })]);
+
+    const optico = presupuestos.get('nap-1');
+    expect(optico.presupuesto_nap.calculable).toBe(false);
+    expect(optico.resumen.sin_datos).toBe(2);
+  });
+
+  it('no consulta cables si ningún NAP tiene cable', async () => {
+    await calcularPresupuestosOpticos([nap('nap-1', { cable_id: null })]);
+
+    expect(CableAlimentador.findAll).not.toHaveBeenCalled();
+  });
+});
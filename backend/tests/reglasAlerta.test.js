@@ -0,0 +1,243 @@
+const { Op } = require('sequelize');
+
+jest.mock('../src/models', () => ({
+  NAP: { findAll: jest.fn() },
+  Puerto: { findAll: jest.fn() },
+  Conexion: { findAll: jest.fn() },
+  Mantenimiento: { findAll: jest.fn() },
+  ReglaAlerta: { findAll: jest.fn() },
+  Alerta: { findAll: jest.fn(), create: jest.fn() },
+  AlertaNota: { create: jest.fn() }
+}));
+
+jest.mock('../src/utils/planesMantenimiento', () => ({ calcularVencimientos: jest.fn() }));
+jest.mock('../src/utils/pronosticoCapacidad', () => ({ pronosticarCapacidad: jest.fn(), alertasSaturacionPrevista: jest.fn() }));
+jest.mock('../src/utils/notificaciones', () => ({ encolarNotificaciones: jest.fn() }));
+jest.mock('../src/utils/eventos', () => ({ TIPOS_EVENTO: {}, suscribirEventos: jest.fn() }));
+
+const { NAP, Puerto, Mantenimiento, ReglaAlerta, Alerta } = require('../src/models');
+const { COMPARADORES, reglaAplicaANAP, evaluarReglas } = require('../src/utils/reglasAlerta');
+const { sincronizarAlertas } = require('../src/utils/alertas');
+
+const nap = (datos) => ({
+  id: 'nap-1',
+  codigo: 'NAP-001',
+  ubicacion: 'Av. Principal',
+  estado: 'ACTIVO',
+  zona_id: 'zona-1',
+  modelo: 'FAT-16',
+  total_puertos: 16,
+  createdAt: '2024-01-01',
+  ...datos
+});
+
+const regla = (datos) => ({
+  id: 'regla-1',
+  nombre: 'Ocupación alta',
+  metrica: 'OCUPACION',
+  comparador: '>=',
+  umbral: '75',
+  nivel: 'ADVERTENCIA',
+  alcance: 'GLOBAL',
+  ventana_horas: null,
+  enfriamiento_minutos: 0,
+  activa: true,
+  ...datos
+});
+
+// Puertos ocupados por NAP, como los devuelve la consulta agrupada
+const ocupados = (porNAP) => Puerto.findAll.mockResolvedValue(
+  Object.entries(porNAP).map(([napId, cantidad]) => ({ nap_id: napId, cantidad: String(cantidad) }))
+);
+
+describe('Comparadores', () => {
+  it.each([
+    ['>', [false, false, true]],
+    ['>=', [false, true, true]],
+    ['<', [true, false, false]],
+    ['<=', [true, true, false]],
+    ['=', [false, true, false]]
+  ])('%s contra un umbral de 75 (74, 75, 76)', (comparador, esperado) => {
+    expect([74, 75, 76].map(valor => COMPARADORES[comparador](valor, 75))).toEqual(esperado);
+  });
+});
+
+describe('Alcance de una regla', () => {
+  it.each([
+    [{ alcance: 'GLOBAL' }, true],
+    [{ alcance: 'ZONA', zona_id: 'zona-1' }, true],
+    [{ alcance: 'ZONA', zona_id: 'zona-2' }, false],
+    [{ alcance: 'MODELO', modelo_nap: 'FAT-16' }, true],
+    [{ alcance: 'MODELO', modelo_nap: 'FAT-8' }, false],
+    [{ alcance: 'NAP', nap_id: 'nap-1' }, true],
+    [{ alcance: 'NAP', nap_id: 'nap-2' }, false]
+  ])('%o → %s', (alcance, esperado) => {
+    expect(reglaAplicaANAP(regla(alcance), nap())).toBe(esperado);
+  });
+});
+
+describe('evaluarReglas', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('sin reglas activas no consulta NAPs', async () => {
+    ReglaAlerta.findAll.mockResolvedValue([]);
+
+    expect(await evaluarReglas()).toEqual([]);
+    expect(NAP.findAll).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['>', 12, false],
+    ['>', 13, true],
+    ['>=', 12, true],
+    ['<', 12, false],
+    ['<', 11, true],
+    ['<=', 12, true],
+    ['=', 12, true],
+    ['=', 13, false]
+  ])('ocupación %s 75%% con %i de 16 puertos ocupados: %s', async (comparador, puertos, dispara) => {
+    ReglaAlerta.findAll.mockResolvedValue([regla({ comparador })]);
+    NAP.findAll.mockResolvedValue([nap()]);
+    ocupados({ 'nap-1': puertos });
+
+    const condiciones = await evaluarReglas();
+
+    expect(condiciones).toHaveLength(dispara ? 1 : 0);
+  });
+
+  it('arma la condición con el valor, el umbral y el enfriamiento de la regla', async () => {
+    ReglaAlerta.findAll.mockResolvedValue([regla({ enfriamiento_minutos: 120 })]);
+    NAP.findAll.mockResolvedValue([nap()]);
+    ocupados({ 'nap-1': 13 });
+
+    const [condicion] = await evaluarReglas();
+
+    expect(condicion).toEqual({
+      tipo: 'NAP_OCUPACION',
+      nivel: 'ADVERTENCIA',
+      mensaje: 'Ocupación alta: NAP NAP-001 (81.3%)',
+      detalle: 'Ocupación de puertos: 81.3% >= 75%. Ubicación: Av. Principal',
+      nap_id: 'nap-1',
+      regla_id: 'regla-1',
+      enfriamiento_minutos: 120
+    });
+  });
+
+  it('si varias reglas de la misma métrica se cumplen queda la de mayor nivel', async () => {
+    ReglaAlerta.findAll.mockResolvedValue([
+      regla({ id: 'critica', umbral: '95', nivel: 'CRITICO' }),
+      regla({ id: 'advertencia', umbral: '80', nivel: 'ADVERTENCIA' })
+    ]);
+    NAP.findAll.mockResolvedValue([nap({ id: 'nap-1' }), nap({ id: 'nap-2', codigo: 'NAP-002' })]);
+    ocupados({ 'nap-1': 16, 'nap-2': 13 });
+
+    const condiciones = await evaluarReglas();
+
+    expect(condiciones.map(c => [c.nap_id, c.regla_id, c.nivel])).toEqual([
+      ['nap-1', 'critica', 'CRITICO'],
+      ['nap-2', 'advertencia', 'ADVERTENCIA']
+    ]);
+    // La métrica se calcula una sola vez para las dos reglas
+    expect(Puerto.findAll).toHaveBeenCalledTimes(1);
+  });
+
+  it('no evalúa NAPs fuera de su alcance ni en estados que la métrica no cubre', async () => {
+    ReglaAlerta.findAll.mockResolvedValue([regla({ alcance: 'ZONA', zona_id: 'zona-1' })]);
+    NAP.findAll.mockResolvedValue([
+      nap({ id: 'nap-1' }),
+      nap({ id: 'nap-2', zona_id: 'zona-2' }),
+      nap({ id: 'nap-3', estado: 'SATURADO' })
+    ]);
+    ocupados({ 'nap-1': 16, 'nap-2': 16, 'nap-3': 16 });
+
+    const condiciones = await evaluarReglas();
+
+    expect(condiciones.map(c => c.nap_id)).toEqual(['nap-1']);
+    expect(NAP.findAll.mock.calls[0][0].where.estado[Op.ne]).toBe('FUERA_SERVICIO');
+  });
+
+  describe('Reglas con ventana de horas', () => {
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(new Date('2024-05-20T12:00:00Z').getTime());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('cuenta sólo los correctivos dentro de la ventana de la regla', async () => {
+      ReglaAlerta.findAll.mockResolvedValue([
+        regla({ nombre: 'Correctivos', metrica: 'CORRECTIVOS_RECIENTES', comparador: '>=', umbral: '3', ventana_horas: 48 })
+      ]);
+      NAP.findAll.mockResolvedValue([nap()]);
+      Mantenimiento.findAll.mockResolvedValue([{ nap_id: 'nap-1', cantidad: '3' }]);
+
+      const [condicion] = await evaluarReglas();
+
+      const { where } = Mantenimiento.findAll.mock.calls[0][0];
+      expect(where.tipo).toBe('CORRECTIVO');
+      expect(where.fecha[Op.gte]).toEqual(new Date('2024-05-18T12:00:00Z'));
+      expect(condicion.detalle).toBe('Mantenimientos correctivos en las últimas 48 horas: 3 correctivos >= 3 correctivos. Ubicación: Av. Principal');
+    });
+
+    it('calcula la métrica una vez por ventana distinta', async () => {
+      ReglaAlerta.findAll.mockResolvedValue([
+        regla({ id: 'dia', metrica: 'CORRECTIVOS_RECIENTES', umbral: '2', ventana_horas: 24 }),
+        regla({ id: 'semana', metrica: 'CORRECTIVOS_RECIENTES', umbral: '5', ventana_horas: 168 }),
+        regla({ id: 'dia-critico', metrica: 'CORRECTIVOS_RECIENTES', umbral: '4', ventana_horas: 24, nivel: 'CRITICO' })
+      ]);
+      NAP.findAll.mockResolvedValue([nap()]);
+      Mantenimiento.findAll.mockResolvedValue([{ nap_id: 'nap-1', cantidad: '2' }]);
+
+      const condiciones = await evaluarReglas();
+
+      expect(Mantenimiento.findAll).toHaveBeenCalledTimes(2);
+      expect(condiciones.map(c => c.regla_id)).toEqual(['dia']);
+    });
+  });
+});
+
+describe('Enfriamiento de las reglas', () => {
+  const ahora = new Date('2024-05-20T12:00:00Z');
+  const condicion = {
+    tipo: 'NAP_OCUPACION',
+    nivel: 'ADVERTENCIA',
+    mensaje: 'Ocupación alta',
+    detalle: '',
+    nap_id: 'nap-1',
+    regla_id: 'regla-1',
+    enfriamiento_minutos: 60
+  };
+  const resueltaHace = (minutos) => Alerta.findAll.mockImplementation(async ({ where }) => (
+    where.estado === 'RESUELTA'
+      ? [{ nap_id: 'nap-1', tipo: 'NAP_OCUPACION', resuelta_en: new Date(ahora - minutos * 60 * 1000) }]
+      : []
+  ));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Alerta.create.mockImplementation(async (datos) => datos);
+  });
+
+  it('no reabre una alerta resuelta dentro del enfriamiento', async () => {
+    resueltaHace(30);
+
+    expect(await sincronizarAlertas([condicion], ahora)).toMatchObject({ creadas: 0, en_enfriamiento: 1 });
+    expect(Alerta.create).not.toHaveBeenCalled();
+  });
+
+  it('la reabre cuando pasó el enfriamiento', async () => {
+    resueltaHace(61);
+
+    expect(await sincronizarAlertas([condicion], ahora)).toMatchObject({ creadas: 1, en_enfriamiento: 0 });
+    expect(Alerta.create).toHaveBeenCalledWith(expect.objectContaining({ regla_id: 'regla-1', estado: 'ABIERTA' }));
+  });
+
+  it('sin enfriamiento la reabre enseguida', async () => {
+    resueltaHace(1);
+
+    expect(await sincronizarAlertas([{ ...condicion, enfriamiento_minutos: 0 }], ahora)).toMatchObject({ creadas: 1 });
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../src/models', () => ({
+  Usuario: { findByPk: jest.fn() },
+  Sesion: { findByPk: jest.fn() }
+}));
+
+jest.mock('../src/utils/permisos', () => ({
+  rolTienePermiso: jest.fn()
+}));
+
+process.env.JWT_SECRET = 'secreto-de-prueba';
+
+const { Usuario, Sesion } = require('../src/models');
+const { generarAccessToken, generarTicketEventos } = require('../src/utils/sesiones');
+const { verificarToken, verificarTicketEventos } = require('../src/middleware/auth');
+
+const respuesta = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const conHeader = (token) => ({ header: (nombre) => (nombre === 'Authorization' ? `Bearer ${token}` : undefined), query: {} });
+const conTicket = (ticket) => ({ header: () => undefined, query: { ticket } });
+
+describe('Ticket del canal de eventos', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Usuario.findByPk.mockResolvedValue({ id: 'u1', activo: true, rol: 'TECNICO' });
+    Sesion.findByPk.mockResolvedValue({ id: 's1', revocada_en: null, expira_en: new Date(Date.now() + 60000) });
+  });
+
+  it('abre el canal con un ticket vigente y deja la sesión del ticket en req', async () => {
+    const req = conTicket(generarTicketEventos('u1', 's1'));
+    const next = jest.fn();
+
+    await verificarTicketEventos(req, respuesta(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.sesionId).toBe('s1');
+  });
+
+  it('no acepta el access token en ?ticket=', async () => {
+    const res = respuesta();
+    const next = jest.fn();
+
+    await verificarTicketEventos(conTicket(generarAccessToken('u1', 's1')), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('el ticket no sirve como access token', async () => {
+    const res = respuesta();
+    const next = jest.fn();
+
+    await verificarToken(conHeader(generarTicketEventos('u1', 's1')), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('un ticket de una sesión revocada no abre el canal', async () => {
+    Sesion.findByPk.mockResolvedValue(null);
+    const res = respuesta();
+
+    await verificarTicketEventos(conTicket(generarTicketEventos('u1', 's1')), res, jest.fn());
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Sesión inválida o revocada' }));
+  });
+
+  it('sin ticket responde 401', async () => {
+    const res = respuesta();
+
+    await verificarTicketEventos(conTicket(undefined), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Ticket de eventos requerido' }));
+  });
+
+  it('el access token sigue funcionando en el header', async () => {
+    const next = jest.fn();
+
+    await verificarToken(conHeader(generarAccessToken('u1', 's1')), respuesta(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,99 @@
+const { Op } = require('sequelize');
+
+jest.mock('../src/models', () => ({
+  NAP: { findAll: jest.fn() },
+  Splitter: { findByPk: jest.fn(), findAll: jest.fn() },
+  PuertoPON: { findByPk: jest.fn() },
+  UsuarioZona: { findAll: jest.fn() }
+}));
+
+jest.mock('../src/utils/permisos', () => ({
+  rolTienePermiso: jest.fn()
+}));
+
+const { NAP, Splitter, PuertoPON, UsuarioZona } = require('../src/models');
+const { rolTienePermiso } = require('../src/utils/permisos');
+const { obtenerAfectadosPorPuertoPON } = require('../src/controllers/oltController');
+const { obtenerAfectadosPorSplitter } = require('../src/controllers/splitterController');
+
+// Un NAP por zona colgando del mismo splitter, cada uno con un cliente conectado
+const NAPS = [
+  {
+    id: 'nap-norte',
+    codigo: 'NAP-N1',
+    zona_id: 'zona-norte',
+    puertos: [{ id: 'p1', numero: 1, estado: 'OCUPADO', conexion: { cliente: { nombre: 'Ana', ci: '111' } } }]
+  },
+  {
+    id: 'nap-sur',
+    codigo: 'NAP-S1',
+    zona_id: 'zona-sur',
+    puertos: [{ id: 'p2', numero: 1, estado: 'OCUPADO', conexion: { cliente: { nombre: 'Beto', ci: '222' } } }]
+  }
+];
+
+const respuesta = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const clientesDe = (res) => res.json.mock.calls[0][0].data.naps
+  .flatMap(nap => nap.puertos.map(puerto => puerto.conexion.cliente.nombre));
+
+describe('Afectados aguas abajo por zona', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Splitter.findByPk.mockResolvedValue({ id: 'spl-1' });
+    PuertoPON.findByPk.mockResolvedValue({ id: 'pon-1' });
+    Splitter.findAll.mockImplementation(({ where }) => Promise.resolve(
+      where.puerto_pon_id === 'pon-1' ? [{ id: 'spl-1' }] : []
+    ));
+    NAP.findAll.mockImplementation(({ where }) => Promise.resolve(
+      NAPS.filter(nap => !where.zona_id || where.zona_id[Op.in].includes(nap.zona_id))
+    ));
+  });
+
+  it('un usuario limitado a una zona no ve clientes de otra zona (splitter)', async () => {
+    rolTienePermiso.mockResolvedValue(false);
+    UsuarioZona.findAll.mockResolvedValue([{ zona_id: 'zona-norte' }]);
+
+    const res = respuesta();
+    await obtenerAfectadosPorSplitter({ params: { id: 'spl-1' }, usuario: { id: 'u1', rol: 'TECNICO' } }, res);
+
+    expect(clientesDe(res)).toEqual(['Ana']);
+    expect(res.json.mock.calls[0][0].data.totales.clientes_afectados).toBe(1);
+  });
+
+  it('un usuario limitado a una zona no ve clientes de otra zona (puerto PON)', async () => {
+    rolTienePermiso.mockResolvedValue(false);
+    UsuarioZona.findAll.mockResolvedValue([{ zona_id: 'zona-sur' }]);
+
+    const res = respuesta();
+    await obtenerAfectadosPorPuertoPON({ params: { id: 'pon-1' }, usuario: { id: 'u1', rol: 'TECNICO' } }, res);
+
+    expect(clientesDe(res)).toEqual(['Beto']);
+  });
+
+  it('un usuario sin zonas asignadas no ve ningún cliente', async () => {
+    rolTienePermiso.mockResolvedValue(false);
+    UsuarioZona.findAll.mockResolvedValue([]);
+
+    const res = respuesta();
+    await obtenerAfectadosPorSplitter({ params: { id: 'spl-1' }, usuario: { id: 'u1', rol: 'TECNICO' } }, res);
+
+    expect(clientesDe(res)).toEqual([]);
+  });
+
+  it('con zonas:todas ve los clientes de todas las zonas', async () => {
+    rolTienePermiso.mockResolvedValue(true);
+
+    const res = respuesta();
+    await obtenerAfectadosPorSplitter({ params: { id: 'spl-1' }, usuario: { id: 'u1', rol: 'ADMIN' } }, res);
+
+    expect(clientesDe(res)).toEqual(['Ana', 'Beto']);
+    expect(UsuarioZona.findAll).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../src/models', () => ({ Sesion: {} }));
+
+const { verificarCodigo } = require('../src/utils/totp');
+const { verificarSegundoFactor } = require('../src/utils/segundoFactor');
+
+// Secreto de los vectores de RFC 6238 (SHA1): "12345678901234567890" en base32
+const SECRETO_RFC = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Vectores del apéndice B de RFC 6238; a 6 dígitos se toman los últimos 6 del código de 8
+const VECTORES_RFC = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const enSegundo = (segundos) => jest.spyOn(Date, 'now').mockReturnValue(segundos * 1000);
+
+describe('TOTP', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each(VECTORES_RFC)('acepta el vector de RFC 6238 en T=%i', (segundos, codigo) => {
+    enSegundo(segundos);
+
+    expect(verificarCodigo(SECRETO_RFC, codigo)).toBe(Math.floor(segundos / 30));
+  });
+
+  it('acepta un paso de desfase hacia cada lado y rechaza dos', () => {
+    // 1111111111 cae en el paso 37037037; 050471 es su código
+    const paso = 37037037;
+
+    enSegundo((paso - 1) * 30);
+    expect(verificarCodigo(SECRETO_RFC, '050471')).toBe(paso);
+
+    enSegundo((paso + 1) * 30);
+    expect(verificarCodigo(SECRETO_RFC, '050471')).toBe(paso);
+
+    enSegundo((paso + 2) * 30);
+    expect(verificarCodigo(SECRETO_RFC, '050471')).toBeNull();
+
+    enSegundo((paso - 2) * 30);
+    expect(verificarCodigo(SECRETO_RFC, '050471')).toBeNull();
+  });
+
+  it('rechaza códigos mal formados', () => {
+    enSegundo(59);
+
+    expect(verificarCodigo(SECRETO_RFC, '28708')).toBeNull();
+    expect(verificarCodigo(SECRETO_RFC, 'abcdef')).toBeNull();
+    expect(verificarCodigo(SECRETO_RFC, '')).toBeNull();
+  });
+
+  it('acepta espacios dentro del código', () => {
+    enSegundo(59);
+
+    expect(verificarCodigo(SECRETO_RFC, '287 082')).toBe(1);
+  });
+
+  it('rechaza un código de un paso igual o anterior al último usado', () => {
+    enSegundo(1111111111);
+
+    expect(verificarCodigo(SECRETO_RFC, '050471', 37037037)).toBeNull();
+    expect(verificarCodigo(SECRETO_RFC, '050471', 37037036)).toBe(37037037);
+  });
+});
+
+describe('verificarSegundoFactor', () => {
+  const usuarioCon2FA = () => {
+    const usuario = {
+      totp_activo: true,
+      totp_secreto: SECRETO_RFC,
+      totp_ultimo_paso: null,
+      totp_codigos_recuperacion: [],
+      update: jest.fn(async (cambios) => Object.assign(usuario, cambios))
+    };
+    return usuario;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('guarda el paso usado y rechaza el mismo código en un segundo intento', async () => {
+    enSegundo(1111111111);
+    const usuario = usuarioCon2FA();
+
+    expect(await verificarSegundoFactor(usuario, '050471')).toBe('TOTP');
+    expect(usuario.update).toHaveBeenCalledWith({ totp_ultimo_paso: 37037037 });
+
+    expect(await verificarSegundoFactor(usuario, '050471')).toBeNull();
+    expect(usuario.update).toHaveBeenCalledTimes(1);
+  });
+
+  it('rechaza el código del paso anterior después de usar el actual', async () => {
+    // 081804 es el código de T=1111111109 (paso 37037036), dentro de la ventana de 1111111111
+    enSegundo(1111111111);
+    const usuario = usuarioCon2FA();
+
+    expect(await verificarSegundoFactor(usuario, '050471')).toBe('TOTP');
+    expect(await verificarSegundoFactor(usuario, '081804')).toBeNull();
+  });
+
+  it('toma el último paso guardado como string (BIGINT de Postgres)', async () => {
+    enSegundo(1111111111);
+    const usuario = usuarioCon2FA();
+    usuario.totp_ultimo_paso = '37037037';
+
+    expect(await verificarSegundoFactor(usuario, '050471')).toBeNull();
+  });
+
+  it('no valida códigos si el usuario no tiene 2FA activo', async () => {
+    enSegundo(1111111111);
+    const usuario = { ...usuarioCon2FA(), totp_activo: false };
+
+    expect(await verificarSegundoFactor(usuario, '050471')).toBeNull();
+  });
+});
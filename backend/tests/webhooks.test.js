@@ -0,0 +1,44 @@
+jest.mock('../src/config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../src/models/Webhook', () => ({}));
+jest.mock('../src/models/EventoWebhook', () => ({}));
+jest.mock('../src/models/EntregaWebhook', () => ({}));
+jest.mock('../src/utils/canalesNotificacion', () => ({ enviarPorCanal: jest.fn() }));
+
+const sequelize = require('../src/config/database');
+const { procesarEntregas } = require('../src/utils/webhooks');
+
+describe('Retención de eventos de webhooks', () => {
+  const ahora = new Date('2024-05-31T12:00:00Z').getTime();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Sin entregas pendientes: cada pasada sólo limpia
+    sequelize.transaction.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('borra los eventos terminados hace más de 30 días, sin tocar los que tienen entregas pendientes', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(ahora);
+
+    await procesarEntregas();
+
+    expect(sequelize.query).toHaveBeenCalledTimes(1);
+    const [sql, { replacements }] = sequelize.query.mock.calls[0];
+    expect(sql).toMatch(/DELETE FROM eventos_webhook/);
+    expect(sql).toMatch(/estado = 'PENDIENTE'/);
+    expect(replacements.limite).toEqual(new Date('2024-05-01T12:00:00Z'));
+  });
+
+  it('limpia como mucho una vez por hora', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(ahora + 30 * 60 * 1000);
+    await procesarEntregas();
+
+    jest.spyOn(Date, 'now').mockReturnValue(ahora + 61 * 60 * 1000);
+    await procesarEntregas();
+
+    expect(sequelize.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,9 +1,12 @@
 import { Component, inject, signal, OnInit, OnDestroy, computed } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
+import { HttpErrorResponse } from '@angular/common/http';
 import { Router } from '@angular/router';
+import { Observable } from 'rxjs';
 import { Layout } from '../components/layout/layout';
-import { AlertaService, Alerta } from '../services/alerta.service';
+import { AlertaService, Alerta, EstadoAlerta, NivelAlerta } from '../services/alerta.service';
+import { AuthStore } from '../stores/auth.store';
 
 @Component({
   selector: 'app-alertas',
@@ -15,21 +18,43 @@ import { AlertaService, Alerta } from '../services/alerta.service';
 export class AlertasComponent implements OnInit, OnDestroy {
   private readonly alertaService = inject(AlertaService);
   private readonly router = inject(Router);
+  private readonly authStore = inject(AuthStore);
 
   // Señales del servicio
   alertas = this.alertaService.alertas;
   totalAlertas = this.alertaService.totalAlertas;
+  alertasAbiertas = this.alertaService.alertasAbiertas;
   alertasCriticas = this.alertaService.alertasCriticas;
   alertasAdvertencia = this.alertaService.alertasAdvertencia;
 
+  canManageAlerts = this.authStore.canManageAlerts;
+  usuarioId = computed(() => this.authStore.user()?.id);
+
   // Filtros
-  filtroNivel = signal<'TODAS' | 'CRITICO' | 'ADVERTENCIA' | 'INFO'>('TODAS');
+  filtroEstado = signal<'ACTIVAS' | EstadoAlerta>('ACTIVAS');
+  filtroNivel = signal<'TODAS' | NivelAlerta>('TODAS');
   filtroTipo = signal<'TODAS' | Alerta['tipo']>('TODAS');
   busqueda = signal<string>('');
 
+  // Historial: las resueltas no se mantienen en vivo, se cargan al elegir el filtro
+  resueltas = signal<Alerta[]>([]);
+  cargandoResueltas = signal(false);
+
+  // Alerta desplegada con su bitácora
+  detalle = signal<Alerta | null>(null);
+  nuevaNota = signal('');
+  procesando = signal<string | null>(null);
+  error = signal<string | null>(null);
+
   // Alertas filtradas
   alertasFiltradas = computed(() => {
-    let resultado = this.alertas();
+    const estado = this.filtroEstado();
+    let resultado = estado === 'RESUELTA' ? this.resueltas() : this.alertas();
+
+    // Filtrar por estado
+    if (estado === 'ABIERTA' || estado === 'RECONOCIDA') {
+      resultado = resultado.filter(a => a.estado === estado);
+    }
 
     // Filtrar por nivel
     if (this.filtroNivel() !== 'TODAS') {
@@ -54,13 +79,13 @@ export class AlertasComponent implements OnInit, OnDestroy {
   });
 
   ngOnInit() {
-    // Iniciar polling al cargar la página
-    this.alertaService.iniciarPolling(30000);
+    // Cargar alertas y mantenerlas al día con los eventos del servidor
+    this.alertaService.iniciarActualizacionEnVivo();
   }
 
   ngOnDestroy() {
-    // Detener polling al salir de la página
-    this.alertaService.detenerPolling();
+    // Dejar de escuchar eventos al salir de la página
+    this.alertaService.detenerActualizacionEnVivo();
   }
 
   irANAP(napId: string) {
@@ -69,14 +94,110 @@ export class AlertasComponent implements OnInit, OnDestroy {
 
   actualizarAlertas() {
     this.alertaService.actualizarAlertas();
+    if (this.filtroEstado() === 'RESUELTA') this.cargarResueltas();
+  }
+
+  cargarResueltas() {
+    this.cargandoResueltas.set(true);
+    this.alertaService.listarAlertas({ estado: 'RESUELTA', limit: 100 }).subscribe({
+      next: (response) => {
+        this.resueltas.set(response.data);
+        this.cargandoResueltas.set(false);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo cargar el historial de alertas');
+        this.cargandoResueltas.set(false);
+      }
+    });
+  }
+
+  alternarDetalle(alerta: Alerta, event: Event) {
+    event.stopPropagation();
+    if (this.detalle()?.id === alerta.id) {
+      this.detalle.set(null);
+      return;
+    }
+
+    this.nuevaNota.set('');
+    this.alertaService.obtenerDetalle(alerta.id).subscribe({
+      next: (completa) => this.detalle.set(completa),
+      error: (err: HttpErrorResponse) => this.error.set(err.error?.message || 'No se pudo cargar la alerta')
+    });
+  }
+
+  reconocer(alerta: Alerta, event: Event) {
+    event.stopPropagation();
+    this.ejecutar(alerta, this.alertaService.reconocer(alerta.id), 'No se pudo reconocer la alerta');
+  }
+
+  tomar(alerta: Alerta, event: Event) {
+    event.stopPropagation();
+    const usuarioId = this.usuarioId();
+    if (!usuarioId) return;
+    this.ejecutar(alerta, this.alertaService.asignar(alerta.id, usuarioId), 'No se pudo asignar la alerta');
+  }
+
+  resolver(alerta: Alerta, event: Event) {
+    event.stopPropagation();
+    if (!confirm(`¿Resolver la alerta "${alerta.mensaje}"? Si la condición sigue vigente se abrirá una nueva.`)) return;
+    this.ejecutar(alerta, this.alertaService.resolver(alerta.id), 'No se pudo resolver la alerta');
+  }
+
+  agregarNota(alerta: Alerta) {
+    const texto = this.nuevaNota().trim();
+    if (!texto) return;
+
+    this.procesando.set(alerta.id);
+    this.alertaService.agregarNota(alerta.id, texto).subscribe({
+      next: (nota) => {
+        this.detalle.update(actual => actual?.id === alerta.id
+          ? { ...actual, notas: [...(actual.notas ?? []), nota] }
+          : actual);
+        this.nuevaNota.set('');
+        this.procesando.set(null);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo agregar la nota');
+        this.procesando.set(null);
+      }
+    });
+  }
+
+  actualizarNuevaNota(event: Event) {
+    this.nuevaNota.set((event.target as HTMLTextAreaElement).value);
+  }
+
+  // Reconocer, tomar o resolver: la lista se actualiza también por el evento del servidor
+  private ejecutar(alerta: Alerta, accion: Observable<Alerta>, mensajeError: string) {
+    this.procesando.set(alerta.id);
+    this.error.set(null);
+
+    accion.subscribe({
+      next: (actualizada) => {
+        if (this.detalle()?.id === actualizada.id) this.detalle.set(actualizada);
+        this.procesando.set(null);
+        this.actualizarAlertas();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || mensajeError);
+        this.procesando.set(null);
+      }
+    });
   }
 
   limpiarFiltros() {
+    this.filtroEstado.set('ACTIVAS');
     this.filtroNivel.set('TODAS');
     this.filtroTipo.set('TODAS');
     this.busqueda.set('');
   }
 
+  cambiarFiltroEstado(event: Event) {
+    const valor = (event.target as HTMLSelectElement).value as any;
+    this.filtroEstado.set(valor);
+    if (valor === 'RESUELTA') this.cargarResueltas();
+  }
+
   cambiarFiltroNivel(event: Event) {
     const valor = (event.target as HTMLSelectElement).value as any;
     this.filtroNivel.set(valor);
@@ -92,15 +213,28 @@ export class AlertasComponent implements OnInit, OnDestroy {
     this.busqueda.set(valor);
   }
 
-  getColorBadge(nivel: 'CRITICO' | 'ADVERTENCIA' | 'INFO'): string {
+  getColorBadge(nivel: NivelAlerta): string {
     return this.alertaService.getColorPorNivel(nivel);
   }
 
+  getColorEstado(estado: EstadoAlerta): string {
+    return this.alertaService.getColorPorEstado(estado);
+  }
+
+  getNombreEstado(estado: EstadoAlerta): string {
+    switch (estado) {
+      case 'ABIERTA': return 'Abierta';
+      case 'RECONOCIDA': return 'Reconocida';
+      case 'RESUELTA': return 'Resuelta';
+      default: return estado;
+    }
+  }
+
   getIcono(tipo: Alerta['tipo']): string {
     return this.alertaService.getIconoPorTipo(tipo);
   }
 
-  getColorIcono(nivel: 'CRITICO' | 'ADVERTENCIA' | 'INFO'): string {
+  getColorIcono(nivel: NivelAlerta): string {
     switch (nivel) {
       case 'CRITICO': return 'text-red-600';
       case 'ADVERTENCIA': return 'text-yellow-600';
@@ -113,8 +247,14 @@ export class AlertasComponent implements OnInit, OnDestroy {
     switch (tipo) {
       case 'NAP_SATURADO': return 'NAP Saturado';
       case 'NAP_MANTENIMIENTO': return 'NAP en Mantenimiento';
-      case 'NAP_PROXIMO_SATURACION': return 'NAP Próximo a Saturación';
+      case 'NAP_OCUPACION': return 'Ocupación Alta';
+      case 'NAP_SATURACION_PREVISTA': return 'Saturación Prevista';
       case 'MANTENIMIENTO_CORRECTIVO': return 'Mantenimiento Correctivo';
+      case 'MANTENIMIENTO_VENCIDO': return 'Preventivo Vencido';
+      case 'MANTENIMIENTO_PROXIMO': return 'Preventivo Próximo';
+      case 'PUERTOS_EN_MANTENIMIENTO': return 'Puertos en Mantenimiento';
+      case 'SIN_PREVENTIVO': return 'Sin Preventivo';
+      case 'CONEXIONES_SUSPENDIDAS': return 'Conexiones Suspendidas';
       default: return tipo;
     }
   }
@@ -1,14 +1,26 @@
 import { Routes } from '@angular/router';
 import { AlertasComponent } from './alertas/alertas';
 import { AuditoriaComponent } from './auditoria/auditoria';
+import { Dashboard } from './dashboard/dashboard';
 import { authGuard, guestGuard } from './guards/auth.guard';
-import { adminGuard, adminOrSupervisorGuard } from './guards/role.guard';
+import { permisoGuard } from './guards/role.guard';
 import { Login } from './login/login';
 import { Mapa } from './mapa/mapa';
 import { NapsDetalle } from './naps-detalle/naps-detalle';
 import { NapsLista } from './naps-lista/naps-lista';
+import { OrdenesComponent } from './ordenes/ordenes';
+import { IncidentesComponent } from './incidentes/incidentes';
+import { PermisosComponent } from './permisos/permisos';
+import { ReglasAlertaComponent } from './reglas-alerta/reglas-alerta';
+import { CanalesNotificacionComponent } from './canales-notificacion/canales-notificacion';
 import { ReportesComponent } from './reportes/reportes';
+import { FacturacionComponent } from './facturacion/facturacion';
+import { ReportesProgramadosComponent } from './reportes-programados/reportes-programados';
+import { SeguridadComponent } from './seguridad/seguridad';
+import { CambiarClaveComponent } from './cambiar-clave/cambiar-clave';
+import { RecuperarClaveComponent } from './recuperar-clave/recuperar-clave';
 import { UsuariosComponent } from './usuarios/usuarios';
+import { ZonasComponent } from './zonas/zonas';
 
 export const routes: Routes = [
   { path: '', redirectTo: '/mapa', pathMatch: 'full' },
@@ -17,6 +29,21 @@ export const routes: Routes = [
     component: Login,
     canActivate: [guestGuard]
   },
+  {
+    path: 'olvide-clave',
+    component: RecuperarClaveComponent,
+    canActivate: [guestGuard]
+  },
+  {
+    path: 'restablecer-clave',
+    component: RecuperarClaveComponent,
+    canActivate: [guestGuard]
+  },
+  {
+    path: 'cambiar-clave',
+    component: CambiarClaveComponent,
+    canActivate: [authGuard]
+  },
   {
     path: 'mapa',
     component: Mapa,
@@ -35,27 +62,72 @@ export const routes: Routes = [
   {
     path: 'auditoria',
     component: AuditoriaComponent,
-    canActivate: [authGuard, adminOrSupervisorGuard]
+    canActivate: [authGuard, permisoGuard('auditoria:ver')]
   },
   {
     path: 'usuarios',
     component: UsuariosComponent,
-    canActivate: [authGuard, adminGuard]
+    canActivate: [authGuard, permisoGuard('usuarios:ver')]
+  },
+  {
+    path: 'permisos',
+    component: PermisosComponent,
+    canActivate: [authGuard, permisoGuard('permisos:gestionar')]
+  },
+  {
+    path: 'zonas',
+    component: ZonasComponent,
+    canActivate: [authGuard, permisoGuard('zonas:gestionar')]
+  },
+  {
+    path: 'ordenes',
+    component: OrdenesComponent,
+    canActivate: [authGuard, permisoGuard('ordenes:ver')]
+  },
+  {
+    path: 'incidentes',
+    component: IncidentesComponent,
+    canActivate: [authGuard, permisoGuard('incidentes:ver')]
   },
   {
     path: 'alertas',
     component: AlertasComponent,
-    canActivate: [authGuard]
+    canActivate: [authGuard, permisoGuard('alertas:ver')]
+  },
+  {
+    path: 'reglas-alerta',
+    component: ReglasAlertaComponent,
+    canActivate: [authGuard, permisoGuard('alertas:configurar')]
+  },
+  {
+    path: 'notificaciones',
+    component: CanalesNotificacionComponent,
+    canActivate: [authGuard, permisoGuard('alertas:ver')]
+  },
+  {
+    path: 'facturacion',
+    component: FacturacionComponent,
+    canActivate: [authGuard, permisoGuard('facturacion:ver')]
   },
   {
     path: 'reportes',
     component: ReportesComponent,
-    canActivate: [authGuard, adminOrSupervisorGuard]
+    canActivate: [authGuard, permisoGuard('reportes:ver')]
+  },
+  {
+    path: 'reportes-programados',
+    component: ReportesProgramadosComponent,
+    canActivate: [authGuard, permisoGuard('reportes:programar')]
+  },
+  {
+    path: 'seguridad',
+    component: SeguridadComponent,
+    canActivate: [authGuard]
+  },
+  {
+    path: 'dashboard',
+    component: Dashboard,
+    canActivate: [authGuard, permisoGuard('dashboard:ver')]
   },
-  // {
-  //   path: 'dashboard',
-  //   component: Dashboard,
-  //   canActivate: [authGuard]
-  // },
   { path: '**', redirectTo: '/mapa' }
 ];
@@ -22,6 +22,7 @@ export class AuditoriaComponent implements OnInit {
   private readonly router = inject(Router);
 
   user = this.authStore.user;
+  canExportAuditoria = this.authStore.canExportAuditoria;
   auditorias = signal<Auditoria[]>([]);
   estadisticas = signal<EstadisticasAuditoria | null>(null);
   tablasAuditadas = signal<TablaAuditada[]>([]);
@@ -181,6 +182,9 @@ export class AuditoriaComponent implements OnInit {
       case 'CREATE': return 'bg-green-100 text-green-800';
       case 'UPDATE': return 'bg-blue-100 text-blue-800';
       case 'DELETE': return 'bg-red-100 text-red-800';
+      case 'LOGIN': return 'bg-gray-100 text-gray-800';
+      case 'BLOQUEO': return 'bg-orange-100 text-orange-800';
+      case 'DESBLOQUEO': return 'bg-purple-100 text-purple-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   }
@@ -190,10 +194,17 @@ export class AuditoriaComponent implements OnInit {
       case 'CREATE': return '＋';
       case 'UPDATE': return '✎';
       case 'DELETE': return '✕';
+      case 'LOGIN': return '→';
+      case 'BLOQUEO': return '⊘';
+      case 'DESBLOQUEO': return '○';
       default: return '?';
     }
   }
 
+  esAccionDeAcceso(accion: string): boolean {
+    return ['LOGIN', 'BLOQUEO', 'DESBLOQUEO'].includes(accion);
+  }
+
   getNombreTablaLegible(tabla: string): string {
     const nombres: { [key: string]: string } = {
       'naps': 'NAPs',
@@ -218,6 +229,18 @@ export class AuditoriaComponent implements OnInit {
       return ['Registro eliminado'];
     }
 
+    if (auditoria.accion === 'LOGIN') {
+      return [`Inicio de sesión desde ${auditoria.datos_nuevos?.ip || 'IP desconocida'}`];
+    }
+
+    if (auditoria.accion === 'BLOQUEO') {
+      return [`Cuenta bloqueada tras ${auditoria.datos_nuevos?.intentos ?? '?'} intentos fallidos`];
+    }
+
+    if (auditoria.accion === 'DESBLOQUEO') {
+      return ['Cuenta desbloqueada por un administrador'];
+    }
+
     if (auditoria.accion === 'UPDATE' && auditoria.datos_nuevos) {
       Object.keys(auditoria.datos_nuevos).forEach(campo => {
         const valorAnterior = auditoria.datos_anteriores?.[campo];
@@ -238,7 +261,12 @@ export class AuditoriaComponent implements OnInit {
     velocidad_mbps: 'Velocidad (Mbps)', descripcion: 'Descripción', numero: 'Número',
     nota: 'Nota', nap_id: 'ID NAP', puerto_id: 'ID Puerto', cliente_id: 'ID Cliente',
     plan_id: 'ID Plan', creado_por: 'Creado por', realizado_por: 'Realizado por',
+    ip: 'IP', user_agent: 'Navegador', intentos: 'Intentos', bloqueado_hasta: 'Bloqueado hasta', motivo: 'Motivo',
     fecha_inicio: 'Fecha Inicio', fecha_fin: 'Fecha Fin', fecha: 'Fecha',
+    precio_mensual: 'Precio mensual', costo_instalacion: 'Costo instalación', moneda: 'Moneda',
+    impuesto_porcentaje: 'Impuesto (%)', periodo: 'Periodo', total: 'Total', pagado: 'Pagado', monto: 'Monto',
+    metodo: 'Método', referencia: 'Referencia', anulado: 'Anulado', motivo_anulacion: 'Motivo anulación',
+    suspension_automatica: 'Suspendida por mora',
     tipo: 'Tipo', createdAt: 'Creado en', updatedAt: 'Actualizado en',
   };
 
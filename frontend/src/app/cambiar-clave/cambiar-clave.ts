@@ -0,0 +1,72 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, signal } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { FormsModule } from '@angular/forms';
+import { Router } from '@angular/router';
+import { AuthService } from '../services/auth.service';
+import { AuthStore } from '../stores/auth.store';
+import { PasswordValidator, PasswordValidationResult } from '../utils/password-validator';
+
+@Component({
+  selector: 'app-cambiar-clave',
+  imports: [CommonModule, FormsModule],
+  templateUrl: './cambiar-clave.html',
+  styleUrl: './cambiar-clave.css'
+})
+export class CambiarClaveComponent {
+  private readonly authService = inject(AuthService);
+  private readonly authStore = inject(AuthStore);
+  private readonly router = inject(Router);
+
+  user = this.authStore.user;
+  obligatorio = this.authStore.debeCambiarClave;
+
+  isLoading = signal(false);
+  error = signal<string | null>(null);
+
+  claveActual = '';
+  claveNueva = '';
+  confirmacion = '';
+  passwordValidation = signal<PasswordValidationResult | null>(null);
+
+  PasswordValidator = PasswordValidator;
+
+  onPasswordChange() {
+    this.passwordValidation.set(this.claveNueva ? PasswordValidator.validate(this.claveNueva) : null);
+  }
+
+  guardar() {
+    const validacion = PasswordValidator.validate(this.claveNueva);
+    if (!validacion.isValid) {
+      this.passwordValidation.set(validacion);
+      return;
+    }
+
+    if (this.claveNueva !== this.confirmacion) {
+      this.error.set('Las contraseñas no coinciden');
+      return;
+    }
+
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    this.authService.cambiarClave(this.claveActual, this.claveNueva).subscribe({
+      next: () => {
+        this.isLoading.set(false);
+        this.router.navigate([this.authStore.debeActivar2FA() ? '/seguridad' : '/mapa']);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.errores?.[0]?.msg || err.error?.message || 'No se pudo cambiar la contraseña');
+      }
+    });
+  }
+
+  cancelar() {
+    this.router.navigate(['/mapa']);
+  }
+
+  logout() {
+    this.authService.logout();
+  }
+}
@@ -0,0 +1,256 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnInit, inject, signal } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { FormsModule } from '@angular/forms';
+import { Layout } from '../components/layout/layout';
+import { NivelAlerta } from '../services/alerta.service';
+import {
+  CanalNotificacion,
+  CanalNotificacionForm,
+  CanalNotificacionService,
+  EstadoNotificacion,
+  Notificacion,
+  TipoCanal
+} from '../services/canal-notificacion.service';
+import { AuthStore } from '../stores/auth.store';
+
+@Component({
+  selector: 'app-canales-notificacion',
+  imports: [CommonModule, FormsModule, Layout],
+  templateUrl: './canales-notificacion.html',
+  styleUrl: './canales-notificacion.css'
+})
+export class CanalesNotificacionComponent implements OnInit {
+  private readonly canalService = inject(CanalNotificacionService);
+  private readonly authStore = inject(AuthStore);
+
+  canManageNotifications = this.authStore.canManageNotifications;
+
+  canales = signal<CanalNotificacion[]>([]);
+  isLoading = signal(false);
+  isSaving = signal(false);
+  error = signal<string | null>(null);
+  mensaje = signal<string | null>(null);
+  // Secreto recién generado de un webhook: se muestra una sola vez
+  secretoNuevo = signal<{ canal: string; secreto: string } | null>(null);
+  probandoId = signal<string | null>(null);
+
+  // null: creando un canal nuevo
+  canalEnEdicion = signal<CanalNotificacion | null>(null);
+  mostrarFormulario = signal(false);
+  formulario: CanalNotificacionForm = this.formularioVacio();
+
+  // Registro de envíos
+  notificaciones = signal<Notificacion[]>([]);
+  totalNotificaciones = signal(0);
+  paginas = signal(1);
+  pagina = signal(1);
+  filtroEstado = signal<EstadoNotificacion | ''>('');
+  verTodas = signal(false);
+
+  readonly niveles: NivelAlerta[] = ['CRITICO', 'ADVERTENCIA', 'INFO'];
+
+  readonly etiquetasTipo: Record<TipoCanal, string> = {
+    CORREO: 'Correo',
+    WEBHOOK: 'Webhook',
+    CHAT: 'Chat (bot)'
+  };
+
+  ngOnInit() {
+    this.cargar();
+    this.cargarNotificaciones();
+  }
+
+  cargar() {
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    this.canalService.obtenerCanales().subscribe({
+      next: (canales) => {
+        this.canales.set(canales);
+        this.isLoading.set(false);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'No se pudieron cargar los canales');
+      }
+    });
+  }
+
+  cargarNotificaciones() {
+    this.canalService.obtenerNotificaciones({
+      estado: this.filtroEstado() || undefined,
+      todas: this.verTodas() || undefined,
+      page: this.pagina(),
+      limit: 20
+    }).subscribe({
+      next: (respuesta) => {
+        this.notificaciones.set(respuesta.data);
+        this.totalNotificaciones.set(respuesta.pagination.total);
+        this.paginas.set(Math.max(respuesta.pagination.pages, 1));
+      },
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo cargar el registro de envíos');
+      }
+    });
+  }
+
+  cambiarFiltroEstado(event: Event) {
+    this.filtroEstado.set((event.target as HTMLSelectElement).value as EstadoNotificacion | '');
+    this.pagina.set(1);
+    this.cargarNotificaciones();
+  }
+
+  cambiarVerTodas(event: Event) {
+    this.verTodas.set((event.target as HTMLInputElement).checked);
+    this.pagina.set(1);
+    this.cargarNotificaciones();
+  }
+
+  irAPagina(pagina: number) {
+    this.pagina.set(pagina);
+    this.cargarNotificaciones();
+  }
+
+  nuevo() {
+    this.canalEnEdicion.set(null);
+    this.formulario = this.formularioVacio();
+    this.mostrarFormulario.set(true);
+  }
+
+  editar(canal: CanalNotificacion) {
+    this.canalEnEdicion.set(canal);
+    this.formulario = this.aFormulario(canal);
+    this.mostrarFormulario.set(true);
+  }
+
+  private aFormulario(canal: CanalNotificacion): CanalNotificacionForm {
+    return {
+      tipo: canal.tipo,
+      nombre: canal.nombre,
+      destino: canal.destino ?? '',
+      niveles: [...canal.niveles],
+      activo: canal.activo
+    };
+  }
+
+  private formularioVacio(): CanalNotificacionForm {
+    return { tipo: 'CORREO', nombre: '', destino: '', niveles: ['CRITICO'], activo: true };
+  }
+
+  cancelar() {
+    this.mostrarFormulario.set(false);
+    this.canalEnEdicion.set(null);
+  }
+
+  tieneNivel(nivel: NivelAlerta): boolean {
+    return this.formulario.niveles.includes(nivel);
+  }
+
+  alternarNivel(nivel: NivelAlerta) {
+    this.formulario.niveles = this.tieneNivel(nivel)
+      ? this.formulario.niveles.filter(n => n !== nivel)
+      : [...this.formulario.niveles, nivel];
+  }
+
+  guardar() {
+    if (!this.formulario.nombre.trim()) {
+      this.error.set('El nombre es obligatorio');
+      return;
+    }
+    if (this.formulario.niveles.length === 0) {
+      this.error.set('Elija al menos un nivel de alerta');
+      return;
+    }
+
+    const canal = this.canalEnEdicion();
+    this.persistir(canal, this.formulario, () => this.cancelar());
+  }
+
+  regenerarSecreto(canal: CanalNotificacion) {
+    if (!confirm(`¿Generar un secreto nuevo para "${canal.nombre}"? El receptor deberá usarlo para verificar la firma.`)) return;
+    this.persistir(canal, { ...this.aFormulario(canal), regenerar_secreto: true });
+  }
+
+  cambiarActivo(canal: CanalNotificacion) {
+    this.persistir(canal, { ...this.aFormulario(canal), activo: !canal.activo });
+  }
+
+  private persistir(canal: CanalNotificacion | null, datos: CanalNotificacionForm, alTerminar?: () => void) {
+    const peticion = canal
+      ? this.canalService.actualizarCanal(canal.id, datos)
+      : this.canalService.crearCanal(datos);
+
+    this.isSaving.set(true);
+    this.error.set(null);
+
+    peticion.subscribe({
+      next: (guardado) => {
+        this.isSaving.set(false);
+        if (guardado.secreto) {
+          this.secretoNuevo.set({ canal: guardado.nombre, secreto: guardado.secreto });
+        }
+        alTerminar?.();
+        this.cargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudo guardar el canal');
+      }
+    });
+  }
+
+  probar(canal: CanalNotificacion) {
+    this.probandoId.set(canal.id);
+    this.error.set(null);
+    this.mensaje.set(null);
+
+    this.canalService.probarCanal(canal.id).subscribe({
+      next: (respuesta) => {
+        this.probandoId.set(null);
+        if (respuesta.success) {
+          this.mensaje.set(respuesta.message);
+        } else {
+          this.error.set(respuesta.message);
+        }
+      },
+      error: (err: HttpErrorResponse) => {
+        this.probandoId.set(null);
+        this.error.set(err.error?.message || 'No se pudo enviar el mensaje de prueba');
+      }
+    });
+  }
+
+  eliminar(canal: CanalNotificacion) {
+    if (!confirm(`¿Eliminar el canal "${canal.nombre}"? Dejarán de llegarle alertas por él.`)) return;
+
+    this.canalService.eliminarCanal(canal.id).subscribe({
+      next: () => this.cargar(),
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo eliminar el canal');
+      }
+    });
+  }
+
+  reintentar(notificacion: Notificacion) {
+    this.canalService.reintentar(notificacion.id).subscribe({
+      next: () => this.cargarNotificaciones(),
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo reintentar el envío');
+      }
+    });
+  }
+
+  getColorEstado(estado: EstadoNotificacion): string {
+    switch (estado) {
+      case 'ENVIADA': return 'bg-green-100 text-green-800';
+      case 'FALLIDA': return 'bg-red-100 text-red-800';
+      default: return 'bg-yellow-100 text-yellow-800';
+    }
+  }
+
+  describirDestino(canal: CanalNotificacion): string {
+    if (canal.destino) return canal.destino;
+    return canal.tipo === 'CORREO' ? 'Mi correo' : '—';
+  }
+}
@@ -0,0 +1,104 @@
+import { Component, computed, input } from '@angular/core';
+import { PuntoOcupacion } from '../../services/dashboard.service';
+
+const ANCHO = 640;
+const ALTO = 220;
+const MARGEN = { izquierda: 40, derecha: 12, arriba: 12, abajo: 28 };
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// 'AAAA-MM-DD' a número de día (UTC, sin saltos de horario)
+const dia = (fecha: string) =>
+  Date.UTC(Number(fecha.slice(0, 4)), Number(fecha.slice(5, 7)) - 1, Number(fecha.slice(8, 10))) / MS_POR_DIA;
+
+/**
+ * Línea del porcentaje de ocupación diario (histórico de ocupación), en SVG.
+ * El eje X respeta los días sin datos; la línea punteada marca el 90% (NAP crítico).
+ */
+@Component({
+  selector: 'app-grafico-ocupacion',
+  standalone: true,
+  template: `
+    @if (serie().length === 0) {
+      <p class="text-sm text-gray-500 py-8 text-center">
+        Todavía no hay histórico de ocupación para este periodo. Se registra una vez por día.
+      </p>
+    } @else {
+      <svg [attr.viewBox]="'0 0 ' + ancho + ' ' + alto" class="w-full h-auto" role="img" aria-label="Ocupación diaria">
+        @for (marca of marcasY; track marca) {
+          <line
+            [attr.x1]="margen.izquierda" [attr.x2]="ancho - margen.derecha"
+            [attr.y1]="y(marca)" [attr.y2]="y(marca)"
+            stroke="#e5e7eb"
+          />
+          <text [attr.x]="margen.izquierda - 6" [attr.y]="y(marca) + 4" text-anchor="end" font-size="10" fill="#6b7280">{{ marca }}%</text>
+        }
+        <line
+          [attr.x1]="margen.izquierda" [attr.x2]="ancho - margen.derecha"
+          [attr.y1]="y(90)" [attr.y2]="y(90)"
+          stroke="#ef4444" stroke-dasharray="4 4"
+        />
+        <path [attr.d]="geometria().area" fill="#3b82f6" fill-opacity="0.12" />
+        <polyline [attr.points]="geometria().linea" fill="none" stroke="#2563eb" stroke-width="2" />
+        @for (punto of geometria().puntos; track punto.fecha) {
+          <circle [attr.cx]="punto.x" [attr.cy]="punto.y" [attr.r]="geometria().radio" fill="#2563eb">
+            <title>{{ punto.etiqueta }}</title>
+          </circle>
+        }
+        @for (etiqueta of geometria().etiquetasX; track etiqueta.x) {
+          <text [attr.x]="etiqueta.x" [attr.y]="alto - 8" text-anchor="middle" font-size="10" fill="#6b7280">{{ etiqueta.texto }}</text>
+        }
+      </svg>
+    }
+  `
+})
+export class GraficoOcupacion {
+  serie = input.required<PuntoOcupacion[]>();
+
+  readonly ancho = ANCHO;
+  readonly alto = ALTO;
+  readonly margen = MARGEN;
+  readonly marcasY = [0, 25, 50, 75, 100];
+
+  geometria = computed(() => {
+    const serie = this.serie();
+    const primero = serie.length ? dia(serie[0].fecha) : 0;
+    const dias = serie.length ? Math.max(1, dia(serie[serie.length - 1].fecha) - primero) : 1;
+    const anchoUtil = ANCHO - MARGEN.izquierda - MARGEN.derecha;
+    const x = (fecha: string) => serie.length === 1
+      ? MARGEN.izquierda + anchoUtil / 2
+      : MARGEN.izquierda + ((dia(fecha) - primero) / dias) * anchoUtil;
+
+    const puntos = serie.map(p => ({
+      fecha: p.fecha,
+      x: x(p.fecha),
+      y: this.y(p.porcentaje_ocupacion),
+      etiqueta: `${this.fechaCorta(p.fecha)}: ${p.porcentaje_ocupacion}% (${p.puertos_ocupados}/${p.total_puertos} puertos)`
+    }));
+    const base = this.y(0);
+
+    // Como mucho 6 fechas en el eje X
+    const cada = Math.max(1, Math.ceil(serie.length / 6));
+    const etiquetasX = puntos
+      .filter((_, i) => i % cada === 0)
+      .map(p => ({ x: p.x, texto: this.fechaCorta(p.fecha) }));
+
+    return {
+      puntos,
+      radio: serie.length > 90 ? 0 : 2.5,
+      linea: puntos.map(p => `${p.x},${p.y}`).join(' '),
+      area: puntos.length
+        ? `M ${puntos[0].x},${base} ${puntos.map(p => `L ${p.x},${p.y}`).join(' ')} L ${puntos[puntos.length - 1].x},${base} Z`
+        : '',
+      etiquetasX
+    };
+  });
+
+  y(porcentaje: number): number {
+    const altoUtil = ALTO - MARGEN.arriba - MARGEN.abajo;
+    return MARGEN.arriba + altoUtil - (Math.min(100, Math.max(0, porcentaje)) / 100) * altoUtil;
+  }
+
+  private fechaCorta(fecha: string): string {
+    return `${fecha.slice(8, 10)}/${fecha.slice(5, 7)}`;
+  }
+}
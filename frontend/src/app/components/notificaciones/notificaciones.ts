@@ -1,7 +1,8 @@
 import { Component, inject, signal, OnInit, OnDestroy } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { Router } from '@angular/router';
-import { AlertaService, Alerta } from '../../services/alerta.service';
+import { AlertaService, Alerta, NivelAlerta } from '../../services/alerta.service';
+import { AuthStore } from '../../stores/auth.store';
 
 @Component({
   selector: 'app-notificaciones',
@@ -13,24 +14,35 @@ import { AlertaService, Alerta } from '../../services/alerta.service';
 export class NotificacionesComponent implements OnInit, OnDestroy {
   private readonly alertaService = inject(AlertaService);
   private readonly router = inject(Router);
+  private readonly authStore = inject(AuthStore);
 
   // Señales del servicio
   alertas = this.alertaService.alertas;
   totalAlertas = this.alertaService.totalAlertas;
+  alertasAbiertas = this.alertaService.alertasAbiertas;
   alertasCriticas = this.alertaService.alertasCriticas;
 
+  canViewAlerts = this.authStore.canViewAlerts;
+  canManageAlerts = this.authStore.canManageAlerts;
+  reconociendo = signal<string | null>(null);
+
   // Estado local
   mostrarDropdown = signal(false);
   mostrarSoloNoLeidas = signal(true);
 
+  // Sin alertas:ver la campana no se muestra ni se piden alertas
+  private escuchando = false;
+
   ngOnInit() {
-    // Iniciar polling al cargar el componente
-    this.alertaService.iniciarPolling(30000); // Cada 30 segundos
+    // Cargar alertas y mantenerlas al día con los eventos del servidor
+    if (this.canViewAlerts()) {
+      this.escuchando = true;
+      this.alertaService.iniciarActualizacionEnVivo();
+    }
   }
 
   ngOnDestroy() {
-    // Detener polling al destruir el componente
-    this.alertaService.detenerPolling();
+    if (this.escuchando) this.alertaService.detenerActualizacionEnVivo();
   }
 
   toggleDropdown() {
@@ -52,7 +64,22 @@ export class NotificacionesComponent implements OnInit, OnDestroy {
     this.cerrarDropdown();
   }
 
-  getColorBadge(nivel: 'CRITICO' | 'ADVERTENCIA' | 'INFO'): string {
+  reconocer(alerta: Alerta, event: Event) {
+    event.stopPropagation();
+    this.reconociendo.set(alerta.id);
+    this.alertaService.reconocer(alerta.id).subscribe({
+      next: () => {
+        this.reconociendo.set(null);
+        this.alertaService.actualizarAlertas();
+      },
+      error: (error) => {
+        console.error('Error al reconocer alerta:', error);
+        this.reconociendo.set(null);
+      }
+    });
+  }
+
+  getColorBadge(nivel: NivelAlerta): string {
     return this.alertaService.getColorPorNivel(nivel);
   }
 
@@ -61,8 +88,10 @@ export class NotificacionesComponent implements OnInit, OnDestroy {
   }
 
   getAlertasRecientes(): Alerta[] {
-    // Mostrar solo las últimas 5 alertas
-    return this.alertas().slice(0, 5);
+    // Mostrar solo las 5 más importantes; primero las que nadie reconoció
+    return [...this.alertas()]
+      .sort((a, b) => Number(b.estado === 'ABIERTA') - Number(a.estado === 'ABIERTA'))
+      .slice(0, 5);
   }
 
   actualizarAlertas() {
@@ -23,9 +23,18 @@ export class Sidebar {
   isMobileMenuOpen = signal(false);
 
   // Permissions
-  canManageUsers = this.authStore.canManageUsers;
+  canViewUsers = this.authStore.canViewUsers;
+  canViewStatistics = this.authStore.canViewStatistics;
+  canManagePermisos = this.authStore.canManagePermisos;
+  canManageZonas = this.authStore.canManageZonas;
+  canViewOrders = this.authStore.canViewOrders;
+  canViewIncidents = this.authStore.canViewIncidents;
+  canViewAlerts = this.authStore.canViewAlerts;
+  canConfigureAlerts = this.authStore.canConfigureAlerts;
   canViewAuditoria = this.authStore.canViewAuditoria;
   canGenerateReports = this.authStore.canGenerateReports;
+  canViewBilling = this.authStore.canViewBilling;
+  debeActivar2FA = this.authStore.debeActivar2FA;
 
   toggleSidebar() {
     this.sidebarService.toggle();
@@ -43,6 +52,12 @@ export class Sidebar {
     this.authService.logout();
   }
 
+  logoutTodas() {
+    if (confirm('¿Cerrar la sesión en todos tus dispositivos?')) {
+      this.authService.logoutTodas();
+    }
+  }
+
   isActiveRoute(route: string): boolean {
     return this.router.url.startsWith(route);
   }
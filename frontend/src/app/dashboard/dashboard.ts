@@ -1,25 +1,122 @@
-import { Component, inject, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { Component, OnInit, inject, signal } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+import { Layout } from '../components/layout/layout';
+import { GraficoOcupacion } from '../components/grafico-ocupacion/grafico-ocupacion';
+import {
+  CrecimientoPorGrupo,
+  DashboardService,
+  EstadisticasGenerales,
+  HistoricoOcupacion,
+  PronosticoCapacidad,
+  desdeHaceDias
+} from '../services/dashboard.service';
+import { Zona, ZonaService } from '../services/zona.service';
 import { AuthStore } from '../stores/auth.store';
-import { AuthService } from '../services/auth.service';
 
 @Component({
   selector: 'app-dashboard',
-  imports: [],
+  imports: [CommonModule, FormsModule, RouterLink, Layout, GraficoOcupacion],
   templateUrl: './dashboard.html',
   styleUrl: './dashboard.css'
 })
 export class Dashboard implements OnInit {
+  private readonly dashboardService = inject(DashboardService);
+  private readonly zonaService = inject(ZonaService);
   private readonly authStore = inject(AuthStore);
-  private readonly authService = inject(AuthService);
 
   user = this.authStore.user;
-  isAuthenticated = this.authStore.isAuthenticated;
+
+  readonly rangos = [30, 90, 180, 365];
+
+  estadisticas = signal<EstadisticasGenerales | null>(null);
+  historico = signal<HistoricoOcupacion | null>(null);
+  crecimientos = signal<CrecimientoPorGrupo[]>([]);
+  pronosticos = signal<PronosticoCapacidad[]>([]);
+  zonas = signal<Zona[]>([]);
+  isLoading = signal(false);
+  isLoadingHistorico = signal(false);
+  error = signal<string | null>(null);
+
+  // Filtros del histórico; sin zona, la red completa
+  zonaId = '';
+  dias = signal(90);
+  agrupar = signal<'nap' | 'zona'>('nap');
 
   ngOnInit() {
-    // El guard ya se encarga de verificar la autenticación
+    this.isLoading.set(true);
+    this.dashboardService.obtenerEstadisticas().subscribe({
+      next: (estadisticas) => {
+        this.estadisticas.set(estadisticas);
+        this.isLoading.set(false);
+      },
+      error: (err) => {
+        this.error.set(err.error?.message || 'Error al cargar las estadísticas');
+        this.isLoading.set(false);
+      }
+    });
+
+    this.zonaService.obtenerZonas(true).subscribe({
+      next: (zonas) => this.zonas.set(zonas),
+      error: () => {}
+    });
+
+    this.cargarHistorico();
+  }
+
+  cargarHistorico() {
+    const filtro = { zona_id: this.zonaId || undefined, desde: desdeHaceDias(this.dias()) };
+    this.isLoadingHistorico.set(true);
+
+    this.dashboardService.obtenerHistoricoOcupacion(filtro).subscribe({
+      next: (historico) => {
+        this.historico.set(historico);
+        this.isLoadingHistorico.set(false);
+      },
+      error: (err) => {
+        this.error.set(err.error?.message || 'Error al cargar el histórico de ocupación');
+        this.isLoadingHistorico.set(false);
+      }
+    });
+
+    this.dashboardService.obtenerCrecimientoOcupacion({ ...filtro, agrupar: this.agrupar(), limite: 10 }).subscribe({
+      next: (crecimientos) => this.crecimientos.set(crecimientos),
+      error: () => this.crecimientos.set([])
+    });
+
+    this.dashboardService.obtenerPronosticoCapacidad({ zona_id: filtro.zona_id, horizonte_dias: 90 }).subscribe({
+      next: (pronosticos) => this.pronosticos.set(pronosticos),
+      error: () => this.pronosticos.set([])
+    });
+  }
+
+  // "ya saturado" / "~1 semana" / "~6 semanas"
+  textoSaturacion(pronostico: PronosticoCapacidad): string {
+    if (pronostico.puertos_libres === 0) return 'Ya saturado';
+    const semanas = pronostico.semanas_para_saturar ?? 0;
+    return `~${semanas} semana${semanas !== 1 ? 's' : ''}`;
+  }
+
+  cambiarRango(dias: number) {
+    this.dias.set(dias);
+    this.cargarHistorico();
+  }
+
+  cambiarAgrupacion(agrupar: 'nap' | 'zona') {
+    this.agrupar.set(agrupar);
+    this.cargarHistorico();
+  }
+
+  // "+4,1" / "-2" con signo explícito para las tasas
+  conSigno(valor: number | undefined | null): string {
+    if (valor === undefined || valor === null) return '—';
+    return `${valor > 0 ? '+' : ''}${valor.toLocaleString('es-BO')}`;
   }
 
-  logout() {
-    this.authService.logout();
+  getColorOcupacion(porcentaje: number): string {
+    if (porcentaje >= 90) return 'text-red-600';
+    if (porcentaje >= 70) return 'text-orange-600';
+    return 'text-green-600';
   }
 }
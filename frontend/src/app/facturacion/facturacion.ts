@@ -0,0 +1,359 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnInit, inject, signal } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { FormsModule } from '@angular/forms';
+import { Layout } from '../components/layout/layout';
+import {
+  ClienteResumen,
+  EstadoCuenta,
+  EstadoFactura,
+  FacturacionService,
+  Factura,
+  MetodoPago,
+  Pago,
+  PagoForm
+} from '../services/facturacion.service';
+import { AuthStore } from '../stores/auth.store';
+
+type Pestana = 'facturas' | 'pagos';
+
+@Component({
+  selector: 'app-facturacion',
+  imports: [CommonModule, FormsModule, Layout],
+  templateUrl: './facturacion.html',
+  styleUrl: './facturacion.css'
+})
+export class FacturacionComponent implements OnInit {
+  private readonly facturacionService = inject(FacturacionService);
+  private readonly authStore = inject(AuthStore);
+
+  canManageBilling = this.authStore.canManageBilling;
+  canCollectPayments = this.authStore.canCollectPayments;
+
+  pestana = signal<Pestana>('facturas');
+  error = signal<string | null>(null);
+  mensaje = signal<string | null>(null);
+  isLoading = signal(false);
+  isSaving = signal(false);
+
+  // Facturas
+  facturas = signal<Factura[]>([]);
+  totalFacturas = signal(0);
+  paginasFacturas = signal(1);
+  paginaFacturas = signal(1);
+  filtroEstado = signal<EstadoFactura | ''>('');
+  filtroPeriodo = signal('');
+  soloVencidas = signal(false);
+  descargandoId = signal<string | null>(null);
+
+  // Generación manual; vacío = mes anterior. Sólo meses cerrados
+  mostrarGenerar = signal(false);
+  periodoGenerar = '';
+  readonly ultimoMesCerrado = new Date(new Date().getFullYear(), new Date().getMonth(), 0).toISOString().slice(0, 7);
+
+  // Pagos
+  pagos = signal<Pago[]>([]);
+  totalPagos = signal(0);
+  paginasPagos = signal(1);
+  paginaPagos = signal(1);
+
+  mostrarFormularioPago = signal(false);
+  formularioPago: PagoForm = this.pagoVacio();
+  busquedaCliente = '';
+  clientesEncontrados = signal<ClienteResumen[]>([]);
+  clientePago = signal<ClienteResumen | null>(null);
+
+  // Estado de cuenta del cliente elegido
+  estadoCuenta = signal<EstadoCuenta | null>(null);
+
+  readonly metodos: MetodoPago[] = ['EFECTIVO', 'TRANSFERENCIA', 'TARJETA', 'QR', 'OTRO'];
+
+  ngOnInit() {
+    this.cargarFacturas();
+  }
+
+  cambiarPestana(pestana: Pestana) {
+    this.pestana.set(pestana);
+    if (pestana === 'pagos') {
+      this.cargarPagos();
+    } else {
+      this.cargarFacturas();
+    }
+  }
+
+  cargarFacturas() {
+    this.isLoading.set(true);
+    this.facturacionService.obtenerFacturas({
+      estado: this.filtroEstado() || undefined,
+      periodo: this.filtroPeriodo() || undefined,
+      vencidas: this.soloVencidas() || undefined,
+      cliente_id: this.estadoCuenta()?.cliente.id,
+      page: this.paginaFacturas(),
+      limit: 20
+    }).subscribe({
+      next: (respuesta) => {
+        this.facturas.set(respuesta.data);
+        this.totalFacturas.set(respuesta.pagination.total);
+        this.paginasFacturas.set(Math.max(respuesta.pagination.pages, 1));
+        this.isLoading.set(false);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'No se pudieron cargar las facturas');
+      }
+    });
+  }
+
+  cargarPagos() {
+    this.isLoading.set(true);
+    this.facturacionService.obtenerPagos({
+      cliente_id: this.estadoCuenta()?.cliente.id,
+      page: this.paginaPagos(),
+      limit: 20
+    }).subscribe({
+      next: (respuesta) => {
+        this.pagos.set(respuesta.data);
+        this.totalPagos.set(respuesta.pagination.total);
+        this.paginasPagos.set(Math.max(respuesta.pagination.pages, 1));
+        this.isLoading.set(false);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'No se pudieron cargar los pagos');
+      }
+    });
+  }
+
+  private recargar() {
+    if (this.pestana() === 'pagos') {
+      this.cargarPagos();
+    } else {
+      this.cargarFacturas();
+    }
+    const cuenta = this.estadoCuenta();
+    if (cuenta) this.verEstadoCuenta(cuenta.cliente.id);
+  }
+
+  cambiarFiltroEstado(event: Event) {
+    this.filtroEstado.set((event.target as HTMLSelectElement).value as EstadoFactura | '');
+    this.paginaFacturas.set(1);
+    this.cargarFacturas();
+  }
+
+  cambiarFiltroPeriodo(event: Event) {
+    this.filtroPeriodo.set((event.target as HTMLInputElement).value);
+    this.paginaFacturas.set(1);
+    this.cargarFacturas();
+  }
+
+  cambiarSoloVencidas(event: Event) {
+    this.soloVencidas.set((event.target as HTMLInputElement).checked);
+    this.paginaFacturas.set(1);
+    this.cargarFacturas();
+  }
+
+  irAPaginaFacturas(pagina: number) {
+    this.paginaFacturas.set(pagina);
+    this.cargarFacturas();
+  }
+
+  irAPaginaPagos(pagina: number) {
+    this.paginaPagos.set(pagina);
+    this.cargarPagos();
+  }
+
+  generar() {
+    this.isSaving.set(true);
+    this.error.set(null);
+    this.mensaje.set(null);
+
+    this.facturacionService.generarFacturas(this.periodoGenerar || undefined).subscribe({
+      next: (respuesta) => {
+        this.isSaving.set(false);
+        this.mostrarGenerar.set(false);
+        this.mensaje.set(respuesta.message);
+        this.paginaFacturas.set(1);
+        this.cargarFacturas();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudieron generar las facturas');
+      }
+    });
+  }
+
+  descargar(factura: Factura) {
+    this.descargandoId.set(factura.id);
+    this.facturacionService.descargarPDF(factura).subscribe({
+      next: () => this.descargandoId.set(null),
+      error: () => {
+        this.descargandoId.set(null);
+        this.error.set('No se pudo descargar la factura');
+      }
+    });
+  }
+
+  anularFactura(factura: Factura) {
+    const motivo = prompt(`Motivo de la anulación de la factura N° ${factura.numero}:`);
+    if (!motivo?.trim()) return;
+
+    this.facturacionService.anularFactura(factura.id, motivo.trim()).subscribe({
+      next: () => {
+        this.mensaje.set(`Factura N° ${factura.numero} anulada`);
+        this.recargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo anular la factura');
+      }
+    });
+  }
+
+  anularPago(pago: Pago) {
+    const motivo = prompt(`Motivo de la anulación del pago de ${pago.monto} ${pago.moneda}:`);
+    if (!motivo?.trim()) return;
+
+    this.facturacionService.anularPago(pago.id, motivo.trim()).subscribe({
+      next: () => {
+        this.mensaje.set('Pago anulado');
+        this.recargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo anular el pago');
+      }
+    });
+  }
+
+  verEstadoCuenta(clienteId: string) {
+    this.facturacionService.obtenerEstadoCuenta(clienteId).subscribe({
+      next: (estado) => this.estadoCuenta.set(estado),
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo cargar el estado de cuenta');
+      }
+    });
+  }
+
+  filtrarPorCliente(clienteId: string) {
+    this.facturacionService.obtenerEstadoCuenta(clienteId).subscribe({
+      next: (estado) => {
+        this.estadoCuenta.set(estado);
+        this.paginaFacturas.set(1);
+        this.paginaPagos.set(1);
+        this.recargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo cargar el estado de cuenta');
+      }
+    });
+  }
+
+  quitarCliente() {
+    this.estadoCuenta.set(null);
+    this.paginaFacturas.set(1);
+    this.paginaPagos.set(1);
+    this.recargar();
+  }
+
+  // Pagos
+
+  nuevoPago(cliente?: ClienteResumen, moneda?: string, monto?: number) {
+    this.formularioPago = {
+      ...this.pagoVacio(),
+      cliente_id: cliente?.id ?? '',
+      moneda: moneda ?? 'BOB',
+      monto: monto && monto > 0 ? monto : null
+    };
+    this.clientePago.set(cliente ?? null);
+    this.busquedaCliente = '';
+    this.clientesEncontrados.set([]);
+    this.mostrarFormularioPago.set(true);
+  }
+
+  buscarClientes() {
+    const texto = this.busquedaCliente.trim();
+    if (texto.length < 2) {
+      this.clientesEncontrados.set([]);
+      return;
+    }
+    this.facturacionService.buscarClientes(texto).subscribe({
+      next: (clientes) => this.clientesEncontrados.set(clientes),
+      error: () => this.clientesEncontrados.set([])
+    });
+  }
+
+  elegirCliente(cliente: ClienteResumen) {
+    this.clientePago.set(cliente);
+    this.formularioPago.cliente_id = cliente.id;
+    this.clientesEncontrados.set([]);
+  }
+
+  cancelarPago() {
+    this.mostrarFormularioPago.set(false);
+    this.clientePago.set(null);
+  }
+
+  guardarPago() {
+    if (!this.formularioPago.cliente_id) {
+      this.error.set('Elija el cliente que paga');
+      return;
+    }
+    if (!this.formularioPago.monto || this.formularioPago.monto <= 0) {
+      this.error.set('El monto debe ser mayor a cero');
+      return;
+    }
+
+    this.isSaving.set(true);
+    this.error.set(null);
+
+    this.facturacionService.registrarPago(this.formularioPago).subscribe({
+      next: ({ conexiones_reactivadas }) => {
+        this.isSaving.set(false);
+        this.mensaje.set(conexiones_reactivadas
+          ? `Pago registrado; ${conexiones_reactivadas} conexión(es) reactivada(s)`
+          : 'Pago registrado');
+        const clienteId = this.formularioPago.cliente_id;
+        this.cancelarPago();
+        this.recargar();
+        if (!this.estadoCuenta()) this.verEstadoCuenta(clienteId);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudo registrar el pago');
+      }
+    });
+  }
+
+  private pagoVacio(): PagoForm {
+    return {
+      cliente_id: '',
+      monto: null,
+      moneda: 'BOB',
+      fecha: new Date().toLocaleDateString('en-CA'),
+      metodo: 'EFECTIVO',
+      referencia: '',
+      nota: ''
+    };
+  }
+
+  nombreCliente(cliente?: ClienteResumen | null): string {
+    if (!cliente) return '—';
+    return `${cliente.nombre} ${cliente.apellido ?? ''}`.trim();
+  }
+
+  saldo(factura: Factura): number {
+    return factura.estado === 'ANULADA' ? 0 : Number(factura.total) - Number(factura.pagado);
+  }
+
+  estaVencida(factura: Factura): boolean {
+    return (factura.estado === 'PENDIENTE' || factura.estado === 'PARCIAL') &&
+      factura.fecha_vencimiento < new Date().toLocaleDateString('en-CA');
+  }
+
+  getColorEstado(estado: EstadoFactura): string {
+    switch (estado) {
+      case 'PAGADA': return 'bg-green-100 text-green-800';
+      case 'PARCIAL': return 'bg-blue-100 text-blue-800';
+      case 'ANULADA': return 'bg-gray-100 text-gray-700';
+      default: return 'bg-yellow-100 text-yellow-800';
+    }
+  }
+}
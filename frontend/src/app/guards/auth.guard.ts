@@ -8,6 +8,10 @@ export const authGuard: CanActivateFn = (route, state) => {
   const router = inject(Router);
 
   if (authStore.isAuthenticated()) {
+    // Con un cambio de contraseña pendiente el backend rechaza todo lo demás
+    if (authStore.debeCambiarClave() && !state.url.startsWith('/cambiar-clave')) {
+      return router.createUrlTree(['/cambiar-clave']);
+    }
     return true;
   }
 
@@ -2,23 +2,17 @@ import { inject } from '@angular/core';
 import { Router, CanActivateFn } from '@angular/router';
 import { AuthStore } from '../stores/auth.store';
 
-export const adminGuard: CanActivateFn = () => {
+/**
+ * Deja pasar si el usuario tiene al menos uno de los permisos; si no, vuelve al mapa.
+ *
+ * @example
+ * { path: 'reportes', component: ReportesComponent, canActivate: [authGuard, permisoGuard('reportes:ver')] }
+ */
+export const permisoGuard = (...permisos: string[]): CanActivateFn => () => {
   const authStore = inject(AuthStore);
   const router = inject(Router);
 
-  if (authStore.isAdmin()) {
-    return true;
-  }
-
-  router.navigate(['/mapa']);
-  return false;
-};
-
-export const adminOrSupervisorGuard: CanActivateFn = () => {
-  const authStore = inject(AuthStore);
-  const router = inject(Router);
-
-  if (authStore.isAdmin() || authStore.isSupervisor()) {
+  if (authStore.tienePermiso(...permisos)) {
     return true;
   }
 
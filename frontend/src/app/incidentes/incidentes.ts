@@ -0,0 +1,211 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnInit, inject, signal } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { FormsModule } from '@angular/forms';
+import { Layout } from '../components/layout/layout';
+import { AuthStore } from '../stores/auth.store';
+import { NAPParaMapa, NAPService } from '../services/nap.service';
+import {
+  CategoriaIncidente,
+  EstadoIncidente,
+  Incidente,
+  IncidenteService
+} from '../services/incidente.service';
+
+@Component({
+  selector: 'app-incidentes',
+  imports: [CommonModule, FormsModule, Layout],
+  templateUrl: './incidentes.html',
+  styleUrl: './incidentes.css'
+})
+export class IncidentesComponent implements OnInit {
+  private readonly incidenteService = inject(IncidenteService);
+  private readonly napService = inject(NAPService);
+  private readonly authStore = inject(AuthStore);
+
+  canManageIncidents = this.authStore.canManageIncidents;
+
+  readonly categorias: Record<CategoriaIncidente, string> = {
+    CORTE_FIBRA: 'Corte de fibra',
+    FALLA_ENERGIA: 'Falla de energía',
+    FALLA_EQUIPO: 'Falla de equipo',
+    VANDALISMO: 'Vandalismo',
+    CLIMA: 'Clima',
+    CONFIGURACION: 'Configuración',
+    MANTENIMIENTO_PROGRAMADO: 'Mantenimiento programado',
+    OTRO: 'Otro'
+  };
+
+  readonly estados: Record<EstadoIncidente, string> = {
+    ABIERTO: 'Abierto',
+    RESUELTO: 'Resuelto'
+  };
+
+  incidentes = signal<Incidente[]>([]);
+  naps = signal<NAPParaMapa[]>([]);
+  isLoading = signal(false);
+  isSaving = signal(false);
+  error = signal<string | null>(null);
+  mensaje = signal<string | null>(null);
+
+  filtroEstado: EstadoIncidente | '' = 'ABIERTO';
+  filtroCategoria: CategoriaIncidente | '' = '';
+
+  // Formulario de apertura; sin puertos elegidos, cada NAP marcada cae completa
+  mostrarFormulario = signal(false);
+  titulo = '';
+  descripcion = '';
+  categoria: CategoriaIncidente = 'CORTE_FIBRA';
+  fechaInicio = '';
+  napsSeleccionadas = new Set<string>();
+  busquedaNAP = '';
+
+  // Incidente que se está resolviendo, o cuyo detalle (clientes afectados) se muestra
+  incidenteEnResolucion = signal<Incidente | null>(null);
+  solucion = '';
+  fechaResolucion = '';
+  detalle = signal<Incidente | null>(null);
+
+  ngOnInit() {
+    this.cargar();
+  }
+
+  cargar() {
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    this.incidenteService.obtenerIncidentes({ estado: this.filtroEstado, categoria: this.filtroCategoria }).subscribe({
+      next: (incidentes) => {
+        this.incidentes.set(incidentes);
+        this.isLoading.set(false);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'No se pudieron cargar los incidentes');
+      }
+    });
+  }
+
+  abrirFormulario() {
+    this.titulo = '';
+    this.descripcion = '';
+    this.categoria = 'CORTE_FIBRA';
+    this.fechaInicio = '';
+    this.napsSeleccionadas = new Set();
+    this.busquedaNAP = '';
+    this.mostrarFormulario.set(true);
+
+    if (this.naps().length === 0) {
+      this.napService.obtenerNAPsParaMapa().subscribe({
+        next: (response) => this.naps.set(response.data),
+        error: () => this.error.set('No se pudieron cargar los NAPs')
+      });
+    }
+  }
+
+  napsFiltradas(): NAPParaMapa[] {
+    const texto = this.busquedaNAP.trim().toLowerCase();
+    if (!texto) return this.naps();
+    return this.naps().filter(nap =>
+      nap.codigo.toLowerCase().includes(texto) || nap.ubicacion?.toLowerCase().includes(texto)
+    );
+  }
+
+  alternarNAP(id: string) {
+    if (this.napsSeleccionadas.has(id)) {
+      this.napsSeleccionadas.delete(id);
+    } else {
+      this.napsSeleccionadas.add(id);
+    }
+  }
+
+  registrar() {
+    if (this.titulo.trim().length < 3) {
+      this.error.set('El título debe tener al menos 3 caracteres');
+      return;
+    }
+    if (this.napsSeleccionadas.size === 0) {
+      this.error.set('Seleccione al menos un NAP afectado');
+      return;
+    }
+
+    this.isSaving.set(true);
+    this.error.set(null);
+
+    this.incidenteService.crear({
+      titulo: this.titulo.trim(),
+      descripcion: this.descripcion.trim() || undefined,
+      categoria: this.categoria,
+      fecha_inicio: this.fechaInicio ? new Date(this.fechaInicio).toISOString() : undefined,
+      afectados: [...this.napsSeleccionadas].map(nap_id => ({ nap_id }))
+    }).subscribe({
+      next: (incidente) => {
+        this.isSaving.set(false);
+        this.mostrarFormulario.set(false);
+        this.mensaje.set(`Incidente registrado: ${incidente.conexiones?.length ?? 0} conexión(es) afectada(s)`);
+        this.cargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudo registrar el incidente');
+      }
+    });
+  }
+
+  abrirResolucion(incidente: Incidente) {
+    this.incidenteEnResolucion.set(incidente);
+    this.solucion = '';
+    this.fechaResolucion = '';
+  }
+
+  confirmarResolucion() {
+    const incidente = this.incidenteEnResolucion();
+    if (!incidente) return;
+
+    if (this.solucion.trim().length < 5) {
+      this.error.set('Describa la solución (mínimo 5 caracteres)');
+      return;
+    }
+
+    this.isSaving.set(true);
+    this.error.set(null);
+
+    const fecha = this.fechaResolucion ? new Date(this.fechaResolucion).toISOString() : null;
+    this.incidenteService.resolver(incidente.id, this.solucion.trim(), fecha).subscribe({
+      next: () => {
+        this.isSaving.set(false);
+        this.incidenteEnResolucion.set(null);
+        this.mensaje.set('Incidente resuelto');
+        this.cargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudo resolver el incidente');
+      }
+    });
+  }
+
+  verDetalle(incidente: Incidente) {
+    if (this.detalle()?.id === incidente.id) {
+      this.detalle.set(null);
+      return;
+    }
+
+    this.incidenteService.obtenerIncidente(incidente.id).subscribe({
+      next: (completo) => this.detalle.set(completo),
+      error: (err: HttpErrorResponse) => this.error.set(err.error?.message || 'No se pudo cargar el incidente')
+    });
+  }
+
+  napsAfectadas(incidente: Incidente): string {
+    const codigos = incidente.afectados.map(a => a.puerto
+      ? `${a.nap?.codigo} (puerto ${a.puerto.numero})`
+      : `${a.nap?.codigo}`);
+    return codigos.join(', ');
+  }
+
+  duracion(minutos: number): string {
+    const horas = Math.floor(minutos / 60);
+    return horas > 0 ? `${horas} h ${minutos % 60} min` : `${minutos} min`;
+  }
+}
@@ -1,37 +1,63 @@
-import { HttpInterceptorFn, HttpErrorResponse } from '@angular/common/http';
+import { HttpInterceptorFn, HttpErrorResponse, HttpRequest } from '@angular/common/http';
 import { inject } from '@angular/core';
-import { catchError, throwError } from 'rxjs';
+import { Router } from '@angular/router';
+import { catchError, switchMap, throwError } from 'rxjs';
 import { AuthStore } from '../stores/auth.store';
+import { AuthService } from '../services/auth.service';
+
+// Endpoints donde un 401 no debe disparar el refresh (credenciales o refresh inválidos)
+const RUTAS_SIN_REFRESH = ['/auth/login', '/auth/refresh'];
 
 export const authInterceptor: HttpInterceptorFn = (req, next) => {
   const authStore = inject(AuthStore);
-  const token = authStore.token();
+  const authService = inject(AuthService);
+  const router = inject(Router);
 
-  // Clonar la petición y agregar headers necesarios
-  const headers: { [key: string]: string } = {
-    'Content-Type': 'application/json',
-    'Accept': 'application/json',
-  };
+  const conToken = (request: HttpRequest<unknown>, token: string | null) => {
+    // Clonar la petición y agregar headers necesarios
+    const headers: { [key: string]: string } = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+    };
 
-  // Si hay token, agregar el header de autorización
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
+    // Si hay token, agregar el header de autorización
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
 
-  const clonedReq = req.clone({
-    setHeaders: headers,
-    withCredentials: true // Importante para CORS con credentials
-  });
+    return request.clone({
+      setHeaders: headers,
+      withCredentials: true // Importante para CORS con credentials
+    });
+  };
 
-  return next(clonedReq).pipe(
+  return next(conToken(req, authStore.token())).pipe(
     catchError((error: HttpErrorResponse) => {
       // Manejar errores CORS y otros errores HTTP
       if (error.status === 0) {
         console.error('Error de conexión o CORS:', error);
-      } else if (error.status === 401) {
-        // Token inválido o expirado
-        console.warn('Token inválido o expirado');
-        authStore.logout();
+      } else if (error.status === 401 && !RUTAS_SIN_REFRESH.some(ruta => req.url.includes(ruta))) {
+        if (!authStore.refreshToken()) {
+          authStore.logout();
+          return throwError(() => error);
+        }
+
+        // Access token expirado: renovar y reintentar la petición una sola vez
+        return authService.refrescarToken().pipe(
+          switchMap(token => next(conToken(req, token))),
+          catchError((refreshError) => {
+            console.warn('No se pudo renovar la sesión');
+            authStore.logout();
+            return throwError(() => refreshError);
+          })
+        );
+      } else if (error.status === 403 && error.error?.codigo === '2FA_REQUERIDO') {
+        // El rol exige 2FA y el usuario no lo activó: llevarlo a activarlo
+        authStore.updateUser({ requiere_2fa: true, totp_activo: false });
+        router.navigate(['/seguridad']);
+      } else if (error.status === 403 && error.error?.codigo === 'CAMBIO_CLAVE_REQUERIDO') {
+        authStore.updateUser({ debe_cambiar_clave: true });
+        router.navigate(['/cambiar-clave']);
       }
       return throwError(() => error);
     })
@@ -1,13 +1,13 @@
-import { Component, inject, OnInit } from '@angular/core';
+import { Component, inject, OnInit, signal } from '@angular/core';
 import { FormsModule } from '@angular/forms';
-import { Router } from '@angular/router';
+import { Router, RouterLink } from '@angular/router';
 import { CommonModule } from '@angular/common';
-import { AuthService } from '../services/auth.service';
+import { AuthService, ResultadoLogin } from '../services/auth.service';
 import { AuthStore } from '../stores/auth.store';
 
 @Component({
   selector: 'app-login',
-  imports: [FormsModule, CommonModule],
+  imports: [FormsModule, CommonModule, RouterLink],
   templateUrl: './login.html',
   styleUrl: './login.css'
 })
@@ -19,6 +19,11 @@ export class Login implements OnInit {
   correo = '';
   clave = '';
 
+  // Segundo paso (2FA)
+  challengeToken = signal<string | null>(null);
+  codigo = '';
+  usarCodigoRecuperacion = signal(false);
+
   // Computed signals from store
   isLoading = this.authStore.isLoading;
   error = this.authStore.error;
@@ -34,9 +39,7 @@ export class Login implements OnInit {
         correo: this.correo,
         clave: this.clave
       }).subscribe({
-        next: () => {
-          this.router.navigate(['/mapa']);
-        },
+        next: (resultado) => this.continuar(resultado),
         error: (error) => {
           console.error('Login error:', error);
           // El error ya se maneja en el store
@@ -45,6 +48,51 @@ export class Login implements OnInit {
     }
   }
 
+  onSubmitCodigo() {
+    const challengeToken = this.challengeToken();
+    if (!challengeToken || !this.codigo) return;
+
+    this.authService.verificar2FA(challengeToken, this.codigo.trim()).subscribe({
+      next: (resultado) => this.continuar(resultado),
+      error: () => {
+        this.codigo = '';
+      }
+    });
+  }
+
+  alternarCodigoRecuperacion() {
+    this.usarCodigoRecuperacion.update(valor => !valor);
+    this.codigo = '';
+    this.clearError();
+  }
+
+  volverAlLogin() {
+    this.challengeToken.set(null);
+    this.usarCodigoRecuperacion.set(false);
+    this.codigo = '';
+    this.clave = '';
+    this.clearError();
+  }
+
+  private continuar(resultado: ResultadoLogin) {
+    if (resultado.requiere2FA) {
+      this.challengeToken.set(resultado.challengeToken);
+      this.codigo = '';
+      return;
+    }
+
+    if (resultado.codigosRecuperacionRestantes !== undefined) {
+      alert(`Usaste un código de recuperación. Te quedan ${resultado.codigosRecuperacionRestantes}.`);
+    }
+
+    // Primero el cambio de contraseña obligatorio; después, si el rol exige 2FA y no está activo, a activarlo
+    if (this.authStore.debeCambiarClave()) {
+      this.router.navigate(['/cambiar-clave']);
+    } else {
+      this.router.navigate([this.authStore.debeActivar2FA() ? '/seguridad' : '/mapa']);
+    }
+  }
+
   clearError() {
     this.authStore.clearError();
   }
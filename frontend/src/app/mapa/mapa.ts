@@ -1,11 +1,14 @@
 import { CommonModule, DecimalPipe } from '@angular/common';
 import { AfterViewInit, Component, ElementRef, inject, OnDestroy, OnInit, signal, ViewChild } from '@angular/core';
 import { FormsModule } from '@angular/forms';
+import { Subscription, merge } from 'rxjs';
 import { AuthService } from '../services/auth.service';
+import { EventoNAP, EventoPuerto, EventoTiempoReal, EventosService } from '../services/eventos.service';
 import { CreateNAPData, NAPParaMapa, NAPService } from '../services/nap.service';
 import { AuthStore } from '../stores/auth.store';
 import { Layout } from '../components/layout/layout';
 import { SidebarService } from '../services/sidebar.service';
+import { Zona, ZonaService } from '../services/zona.service';
 
 declare const L: any; // Declaración temporal para Leaflet
 
@@ -19,12 +22,16 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
   private readonly authService = inject(AuthService);
   private readonly authStore = inject(AuthStore);
   private readonly napService = inject(NAPService);
+  private readonly zonaService = inject(ZonaService);
+  private readonly eventosService = inject(EventosService);
   readonly sidebarService = inject(SidebarService);
   @ViewChild('mapContainer', { static: true }) mapContainer!: ElementRef;
 
   private map: any;
-  private markers: any[] = [];
+  // Marcadores visibles por id de NAP
+  private markers = new Map<string, any>();
   private baseLayers: any = {};
+  private suscripcionEventos: Subscription | null = null;
 
   user = this.authStore.user;
   naps = signal<NAPParaMapa[]>([]);
@@ -35,6 +42,10 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
   canCreateNAP = this.authStore.canCreateNAP;
   canUpdateNAP = this.authStore.canUpdateNAP;
   canViewStatistics = this.authStore.canViewStatistics;
+  canViewAllZonas = this.authStore.canViewAllZonas;
+
+  // Zonas que el usuario puede asignar a un NAP
+  zonas = signal<Zona[]>([]);
 
   // Filtros
   filtroEstado = signal<string>('');
@@ -63,13 +74,19 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
     total_puertos: 48,
     ubicacion: '',
     latitud: 0,
-    longitud: 0
+    longitud: 0,
+    zona_id: null
   });
 
   ngOnInit() {
     // Cargar Leaflet CSS dinámicamente
     this.loadLeafletStyles();
 
+    this.zonaService.obtenerZonas(true).subscribe({
+      next: (zonas) => this.zonas.set(zonas),
+      error: (error) => console.error('Error al cargar zonas:', error)
+    });
+
     // Exponer métodos al objeto window para el popup
     (window as any).editarNAP = (napId: string) => {
       this.abrirFormularioEdicion(napId);
@@ -90,6 +107,7 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
   }
 
   ngOnDestroy() {
+    this.suscripcionEventos?.unsubscribe();
     if (this.map) {
       this.map.remove();
     }
@@ -191,6 +209,43 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
 
     // Cargar NAPs del backend
     this.cargarNAPs();
+    this.escucharEventos();
+  }
+
+  // Ocupación y estado de los NAPs en vivo; tras un corte del canal se recarga todo
+  private escucharEventos() {
+    this.suscripcionEventos = merge(
+      this.eventosService.escuchar<EventoPuerto | EventoNAP>('puerto.actualizado', 'nap.actualizado'),
+      this.eventosService.reconectado$
+    ).subscribe(evento => {
+      if (evento) {
+        this.aplicarEvento(evento);
+      } else {
+        this.cargarNAPs();
+      }
+    });
+  }
+
+  private aplicarEvento(evento: EventoTiempoReal<EventoPuerto | EventoNAP>) {
+    const nap = this.naps().find(n => n.id === evento.datos.nap_id);
+    if (!nap) return;
+
+    const actualizado: NAPParaMapa = evento.tipo === 'puerto.actualizado'
+      ? { ...nap, estadisticas: { ...(evento.datos as EventoPuerto).estadisticas } }
+      : { ...nap, estado: (evento.datos as EventoNAP).estado };
+
+    this.naps.update(naps => naps.map(n => (n.id === actualizado.id ? actualizado : n)));
+    this.actualizarEstadisticas(this.naps());
+
+    const marker = this.markers.get(actualizado.id);
+    if (marker && this.aplicarFiltros([actualizado]).length > 0) {
+      // Actualizar en el lugar para no cerrar un popup abierto
+      marker.setIcon(this.getIconByStatus(actualizado.estado));
+      marker.setPopupContent(this.contenidoPopup(actualizado));
+    } else if (marker || this.aplicarFiltros([actualizado]).length > 0) {
+      // El cambio de estado lo saca o lo mete en el filtro
+      this.mostrarNAPsEnMapa(this.naps());
+    }
   }
 
   private cargarNAPs() {
@@ -219,7 +274,7 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
     this.markers.forEach(marker => {
       this.map.removeLayer(marker);
     });
-    this.markers = [];
+    this.markers.clear();
 
     // Aplicar filtros
     const napsFiltrados = this.aplicarFiltros(naps);
@@ -230,7 +285,14 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
 
       const marker = L.marker(coords, { icon })
         .addTo(this.map)
-        .bindPopup(`
+        .bindPopup(this.contenidoPopup(nap));
+
+      this.markers.set(nap.id, marker);
+    });
+  }
+
+  private contenidoPopup(nap: NAPParaMapa): string {
+    return `
           <div class="p-2 min-w-48 max-w-56">
             <!-- Header compacto -->
             <div class="flex items-center justify-between mb-2">
@@ -308,10 +370,7 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
               </button>
             ` : ''}
           </div>
-        `);
-
-      this.markers.push(marker);
-    });
+        `;
   }
 
   private aplicarFiltros(naps: NAPParaMapa[]): NAPParaMapa[] {
@@ -449,7 +508,9 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
       total_puertos: 48,
       ubicacion: '',
       latitud: 0,
-      longitud: 0
+      longitud: 0,
+      // Con una sola zona asignada no hay nada que elegir
+      zona_id: this.zonas().length === 1 ? this.zonas()[0].id : null
     });
   }
 
@@ -555,7 +616,8 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
             total_puertos: nap.total_puertos,
             ubicacion: nap.ubicacion,
             latitud: parseFloat(nap.latitud),
-            longitud: parseFloat(nap.longitud)
+            longitud: parseFloat(nap.longitud),
+            zona_id: nap.zona_id ?? null
           });
           this.editandoNAP.set(true);
           this.napEditandoId.set(napId);
@@ -612,6 +674,11 @@ export class Mapa implements OnInit, AfterViewInit, OnDestroy {
     this.napForm.update(form => ({ ...form, latitud: value }));
   }
 
+  updateZona(event: Event) {
+    const value = (event.target as HTMLSelectElement)?.value || null;
+    this.napForm.update(form => ({ ...form, zona_id: value }));
+  }
+
   updateLongitud(event: Event) {
     const value = +(event.target as HTMLInputElement)?.value || 0;
     this.napForm.update(form => ({ ...form, longitud: value }));
@@ -1,11 +1,15 @@
 import { CommonModule } from '@angular/common';
-import { Component, inject, OnInit, signal } from '@angular/core';
+import { Component, inject, OnDestroy, OnInit, signal } from '@angular/core';
 import { FormsModule } from '@angular/forms';
 import { ActivatedRoute, Router } from '@angular/router';
+import { Subscription, debounceTime, filter, merge } from 'rxjs';
 import { Layout } from '../components/layout/layout';
+import { GraficoOcupacion } from '../components/grafico-ocupacion/grafico-ocupacion';
 import { AuthService } from '../services/auth.service';
-import { NAPService } from '../services/nap.service';
-import { Plan, PuertoService } from '../services/puerto.service';
+import { EventoMantenimiento, EventoNAP, EventoPuerto, EventoTiempoReal, EventosService } from '../services/eventos.service';
+import { HistoricoOcupacion, desdeHaceDias } from '../services/dashboard.service';
+import { NAPService, RutaAscendente } from '../services/nap.service';
+import { Plan, PresupuestoOptico, PresupuestoOpticoPuerto, PuertoService } from '../services/puerto.service';
 import { MantenimientoService, Mantenimiento } from '../services/mantenimiento.service';
 import { AuthStore } from '../stores/auth.store';
 
@@ -47,24 +51,28 @@ interface NAPDetalle {
   latitud: number;
   longitud: number;
   puertos: Puerto[];
+  ruta_ascendente?: RutaAscendente | null;
 }
 
 @Component({
   selector: 'app-naps-detalle',
-  imports: [CommonModule, FormsModule, Layout],
+  imports: [CommonModule, FormsModule, Layout, GraficoOcupacion],
   templateUrl: './naps-detalle.html',
   styleUrl: './naps-detalle.css'
 })
-export class NapsDetalle implements OnInit {
+export class NapsDetalle implements OnInit, OnDestroy {
   private readonly authService = inject(AuthService);
   private readonly authStore = inject(AuthStore);
   private readonly napService = inject(NAPService);
   private readonly puertoService = inject(PuertoService);
   private readonly mantenimientoService = inject(MantenimientoService);
+  private readonly eventosService = inject(EventosService);
   private readonly route = inject(ActivatedRoute);
   private readonly router = inject(Router);
 
   user = this.authStore.user;
+  canAssignPorts = this.authStore.canAssignPorts;
+  canReleasePorts = this.authStore.canReleasePorts;
   nap = signal<NAPDetalle | null>(null);
   puertos = signal<Puerto[]>([]);
   isLoading = signal(false);
@@ -116,17 +124,54 @@ export class NapsDetalle implements OnInit {
     fecha: new Date().toISOString().split('T')[0]
   });
 
+  // Presupuesto óptico
+  presupuestoOptico = signal<PresupuestoOptico | null>(null);
+
+  // Histórico de ocupación
+  readonly rangosHistorico = [30, 90, 365];
+  diasHistorico = signal(90);
+  historicoOcupacion = signal<HistoricoOcupacion | null>(null);
+
   napId: string | null = null;
 
+  private suscripcionesEventos = new Subscription();
+
   ngOnInit() {
     this.napId = this.route.snapshot.paramMap.get('id');
     if (this.napId) {
       this.cargarDetallesNAP();
+      this.escucharEventos();
     } else {
       this.router.navigate(['/naps']);
     }
   }
 
+  ngOnDestroy() {
+    this.suscripcionesEventos.unsubscribe();
+  }
+
+  // Cambios que hacen otros usuarios sobre este NAP, en vivo
+  private escucharEventos() {
+    // El evento de puerto no trae cliente ni conexión: se recargan los puertos (una vez por ráfaga)
+    this.suscripcionesEventos.add(
+      merge(this.eventosService.escuchar<EventoPuerto>('puerto.actualizado').pipe(this.deEsteNAP()), this.eventosService.reconectado$)
+        .pipe(debounceTime(500))
+        .subscribe(() => this.refrescarPuertos())
+    );
+
+    this.suscripcionesEventos.add(
+      this.eventosService.escuchar<EventoNAP>('nap.actualizado').pipe(this.deEsteNAP()).subscribe(evento => {
+        const nap = this.nap();
+        if (nap) this.nap.set({ ...nap, estado: evento.datos.estado });
+      })
+    );
+
+    this.suscripcionesEventos.add(
+      merge(this.eventosService.escuchar<EventoMantenimiento>('mantenimiento.creado').pipe(this.deEsteNAP()), this.eventosService.reconectado$)
+        .subscribe(() => this.cargarMantenimientos())
+    );
+  }
+
   private cargarMantenimientos() {
     if (!this.napId) return;
     this.mantenimientoService.obtenerPorNAP(this.napId).subscribe({
@@ -135,6 +180,46 @@ export class NapsDetalle implements OnInit {
     });
   }
 
+  private cargarPresupuestoOptico() {
+    if (!this.napId) return;
+    this.puertoService.obtenerPresupuestoOptico(this.napId).subscribe({
+      next: (r) => { if (r.success) this.presupuestoOptico.set(r.data); },
+      error: () => {}
+    });
+  }
+
+  cargarHistoricoOcupacion(dias = this.diasHistorico()) {
+    if (!this.napId) return;
+    this.diasHistorico.set(dias);
+    this.napService.obtenerHistoricoOcupacion(this.napId, { desde: desdeHaceDias(dias) }).subscribe({
+      next: (historico) => this.historicoOcupacion.set(historico),
+      error: () => {}
+    });
+  }
+
+  // "+4,1" / "-2" con signo explícito para las tasas
+  conSigno(valor: number | undefined | null): string {
+    if (valor === undefined || valor === null) return '—';
+    return `${valor > 0 ? '+' : ''}${valor.toLocaleString('es-BO')}`;
+  }
+
+  getPresupuestoPuerto(puertoId: string): PresupuestoOpticoPuerto | null {
+    return this.presupuestoOptico()?.puertos.find(p => p.id === puertoId) ?? null;
+  }
+
+  getEstadoOpticoBadgeClass(estado: string): string {
+    switch (estado) {
+      case 'OK':
+        return 'bg-green-100 text-green-700';
+      case 'MARGINAL':
+        return 'bg-orange-100 text-orange-700';
+      case 'BAJO_SENSIBILIDAD':
+        return 'bg-red-100 text-red-700';
+      default:
+        return 'bg-gray-100 text-gray-600';
+    }
+  }
+
   private cargarDetallesNAP() {
     if (!this.napId) return;
 
@@ -162,6 +247,8 @@ export class NapsDetalle implements OnInit {
 
           this.isLoading.set(false);
           this.cargarMantenimientos();
+          this.cargarPresupuestoOptico();
+          this.cargarHistoricoOcupacion();
         }
       },
       error: (error) => {
@@ -172,6 +259,26 @@ export class NapsDetalle implements OnInit {
     });
   }
 
+  private deEsteNAP<T extends { nap_id: string }>() {
+    return filter((evento: EventoTiempoReal<T>) => evento.datos.nap_id === this.napId);
+  }
+
+  // Recarga el NAP y sus puertos sin el indicador de carga, para no tapar la página
+  private refrescarPuertos() {
+    if (!this.napId) return;
+
+    this.napService.obtenerNAPPorId(this.napId).subscribe({
+      next: (response) => {
+        if (!response.success) return;
+        const puertos = response.data.puertos || [];
+        const nap = this.nap();
+        if (nap) this.nap.set({ ...nap, estado: response.data.estado, puertos });
+        this.puertos.set(puertos);
+      },
+      error: () => {}
+    });
+  }
+
   puertosFiltrados(): Puerto[] {
     const filtrados = this.puertos().filter(puerto => {
       const coincideEstado = !this.filtroEstado() || puerto.estado === this.filtroEstado();
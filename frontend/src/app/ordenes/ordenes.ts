@@ -0,0 +1,181 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnInit, inject, signal } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { FormsModule } from '@angular/forms';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { Layout } from '../components/layout/layout';
+import { AuthStore } from '../stores/auth.store';
+import { EstadoOrden, OrdenTrabajo, OrdenTrabajoService, TipoOrden } from '../services/orden-trabajo.service';
+
+type Vista = 'mias' | 'todas';
+type Accion = 'completar' | 'cancelar';
+
+@Component({
+  selector: 'app-ordenes',
+  imports: [CommonModule, FormsModule, Layout],
+  templateUrl: './ordenes.html',
+  styleUrl: './ordenes.css'
+})
+export class OrdenesComponent implements OnInit {
+  private readonly ordenService = inject(OrdenTrabajoService);
+  private readonly authStore = inject(AuthStore);
+
+  canAssignOrders = this.authStore.canAssignOrders;
+  canExecuteOrders = this.authStore.canExecuteOrders;
+  canCancelOrders = this.authStore.canCancelOrders;
+
+  readonly tipos: Record<TipoOrden, string> = {
+    INSTALACION: 'Instalación',
+    REPARACION: 'Reparación',
+    RETIRO: 'Retiro',
+    TRASLADO: 'Traslado'
+  };
+
+  readonly estados: Record<EstadoOrden, string> = {
+    PENDIENTE: 'Pendiente',
+    ASIGNADA: 'Asignada',
+    EN_CURSO: 'En curso',
+    COMPLETADA: 'Completada',
+    CANCELADA: 'Cancelada'
+  };
+
+  vista = signal<Vista>('mias');
+  ordenes = signal<OrdenTrabajo[]>([]);
+  isLoading = signal(false);
+  isSaving = signal(false);
+  error = signal<string | null>(null);
+  mensaje = signal<string | null>(null);
+
+  // Filtros; en "mis órdenes" sin estado se ven las abiertas
+  filtroEstado: EstadoOrden | '' = '';
+  filtroTipo: TipoOrden | '' = '';
+
+  // Orden sobre la que se está completando o cancelando
+  ordenEnAccion = signal<OrdenTrabajo | null>(null);
+  accion = signal<Accion | null>(null);
+  textoAccion = '';
+
+  ngOnInit() {
+    this.cargar();
+  }
+
+  cambiarVista(vista: Vista) {
+    this.vista.set(vista);
+    this.filtroEstado = '';
+    this.filtroTipo = '';
+    this.cerrarAccion();
+    this.cargar();
+  }
+
+  cargar() {
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    const peticion: Observable<OrdenTrabajo[]> = this.vista() === 'mias'
+      ? this.ordenService.obtenerMisOrdenes(this.filtroEstado)
+      : this.ordenService.obtenerOrdenes({ estado: this.filtroEstado, tipo: this.filtroTipo, limit: 50 })
+        .pipe(map(resultado => resultado.data));
+
+    peticion.subscribe({
+      next: (ordenes) => {
+        this.ordenes.set(ordenes);
+        this.isLoading.set(false);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'No se pudieron cargar las órdenes de trabajo');
+      }
+    });
+  }
+
+  iniciar(orden: OrdenTrabajo) {
+    this.isSaving.set(true);
+    this.error.set(null);
+
+    this.ordenService.iniciar(orden.id).subscribe({
+      next: () => {
+        this.isSaving.set(false);
+        this.mensaje.set('Orden iniciada');
+        this.cargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudo iniciar la orden');
+      }
+    });
+  }
+
+  abrirAccion(orden: OrdenTrabajo, accion: Accion) {
+    this.ordenEnAccion.set(orden);
+    this.accion.set(accion);
+    this.textoAccion = '';
+  }
+
+  cerrarAccion() {
+    this.ordenEnAccion.set(null);
+    this.accion.set(null);
+    this.textoAccion = '';
+  }
+
+  confirmarAccion() {
+    const orden = this.ordenEnAccion();
+    const accion = this.accion();
+    if (!orden || !accion) return;
+
+    const texto = this.textoAccion.trim();
+    const minimo = accion === 'completar' ? 10 : 5;
+    if (texto.length < minimo) {
+      this.error.set(accion === 'completar'
+        ? 'Describa el trabajo realizado (mínimo 10 caracteres)'
+        : 'Indique el motivo de la cancelación (mínimo 5 caracteres)');
+      return;
+    }
+
+    const peticion = accion === 'completar'
+      ? this.ordenService.completar(orden.id, texto)
+      : this.ordenService.cancelar(orden.id, texto);
+
+    this.isSaving.set(true);
+    this.error.set(null);
+
+    peticion.subscribe({
+      next: () => {
+        this.isSaving.set(false);
+        this.mensaje.set(accion === 'completar' ? 'Orden completada' : 'Orden cancelada');
+        this.cerrarAccion();
+        this.cargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudo actualizar la orden');
+      }
+    });
+  }
+
+  esMia(orden: OrdenTrabajo): boolean {
+    return orden.tecnico_id === this.authStore.user()?.id;
+  }
+
+  puedeIniciar(orden: OrdenTrabajo): boolean {
+    return this.canExecuteOrders() && orden.estado === 'ASIGNADA' && (this.esMia(orden) || this.canAssignOrders());
+  }
+
+  puedeCompletar(orden: OrdenTrabajo): boolean {
+    return this.canExecuteOrders() && orden.estado === 'EN_CURSO' && (this.esMia(orden) || this.canAssignOrders());
+  }
+
+  puedeCancelar(orden: OrdenTrabajo): boolean {
+    return this.canCancelOrders() && !['COMPLETADA', 'CANCELADA'].includes(orden.estado);
+  }
+
+  claseEstado(estado: EstadoOrden): string {
+    switch (estado) {
+      case 'PENDIENTE': return 'bg-gray-100 text-gray-700';
+      case 'ASIGNADA': return 'bg-blue-100 text-blue-800';
+      case 'EN_CURSO': return 'bg-yellow-100 text-yellow-800';
+      case 'COMPLETADA': return 'bg-green-100 text-green-800';
+      case 'CANCELADA': return 'bg-red-100 text-red-800';
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnInit, computed, inject, signal } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { forkJoin } from 'rxjs';
+import { Layout } from '../components/layout/layout';
+import { AuthService } from '../services/auth.service';
+import { MatrizPermisos, Permiso, PermisoService, Rol } from '../services/permiso.service';
+import { AuthStore } from '../stores/auth.store';
+
+// El backend rechaza quitarle este permiso al ADMIN
+const PERMISO_GESTIONAR_PERMISOS = 'permisos:gestionar';
+
+interface GrupoPermisos {
+  recurso: string;
+  permisos: Permiso[];
+}
+
+@Component({
+  selector: 'app-permisos',
+  imports: [CommonModule, Layout],
+  templateUrl: './permisos.html',
+  styleUrl: './permisos.css'
+})
+export class PermisosComponent implements OnInit {
+  private readonly permisoService = inject(PermisoService);
+  private readonly authService = inject(AuthService);
+  private readonly authStore = inject(AuthStore);
+
+  matriz = signal<MatrizPermisos | null>(null);
+  // Copia editable de la asignación; se compara con matriz() para saber qué roles cambiaron
+  asignacion = signal<Record<string, string[]>>({});
+  isLoading = signal(false);
+  isSaving = signal(false);
+  error = signal<string | null>(null);
+
+  grupos = computed<GrupoPermisos[]>(() => {
+    const grupos: GrupoPermisos[] = [];
+    for (const permiso of this.matriz()?.catalogo ?? []) {
+      const recurso = permiso.clave.split(':')[0];
+      let grupo = grupos.find(g => g.recurso === recurso);
+      if (!grupo) {
+        grupo = { recurso, permisos: [] };
+        grupos.push(grupo);
+      }
+      grupo.permisos.push(permiso);
+    }
+    return grupos;
+  });
+
+  rolesModificados = computed<Rol[]>(() => {
+    const original = this.matriz();
+    if (!original) return [];
+
+    return original.roles.filter(rol => {
+      const antes = [...original.asignacion[rol]].sort().join(',');
+      const ahora = [...(this.asignacion()[rol] ?? [])].sort().join(',');
+      return antes !== ahora;
+    });
+  });
+
+  ngOnInit() {
+    this.cargar();
+  }
+
+  cargar() {
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    this.permisoService.obtenerMatriz().subscribe({
+      next: (matriz) => {
+        this.matriz.set(matriz);
+        this.asignacion.set(structuredClone(matriz.asignacion));
+        this.isLoading.set(false);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'No se pudieron cargar los permisos');
+      }
+    });
+  }
+
+  tiene(rol: Rol, clave: string): boolean {
+    return (this.asignacion()[rol] ?? []).includes(clave);
+  }
+
+  bloqueado(rol: Rol, clave: string): boolean {
+    return rol === 'ADMIN' && clave === PERMISO_GESTIONAR_PERMISOS;
+  }
+
+  alternar(rol: Rol, clave: string) {
+    if (this.bloqueado(rol, clave)) return;
+
+    this.asignacion.update(actual => {
+      const permisos = actual[rol] ?? [];
+      return {
+        ...actual,
+        [rol]: permisos.includes(clave) ? permisos.filter(p => p !== clave) : [...permisos, clave]
+      };
+    });
+  }
+
+  descartar() {
+    const matriz = this.matriz();
+    if (matriz) {
+      this.asignacion.set(structuredClone(matriz.asignacion));
+    }
+  }
+
+  guardar() {
+    const roles = this.rolesModificados();
+    if (roles.length === 0) return;
+
+    if (!confirm(`¿Guardar los permisos de ${roles.join(', ')}? Los usuarios afectados verán el cambio al recargar.`)) return;
+
+    this.isSaving.set(true);
+    this.error.set(null);
+
+    forkJoin(roles.map(rol => this.permisoService.actualizarPermisosRol(rol, this.asignacion()[rol] ?? []))).subscribe({
+      next: () => {
+        this.isSaving.set(false);
+        this.cargar();
+
+        // Si cambió el propio rol, el menú debe reflejarlo sin volver a iniciar sesión
+        const propio = this.authStore.user()?.rol;
+        if (propio && roles.includes(propio)) {
+          this.authService.refrescarPerfil().subscribe();
+        }
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudieron guardar los permisos');
+        this.cargar();
+      }
+    });
+  }
+}
@@ -0,0 +1,98 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, OnInit, signal } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { FormsModule } from '@angular/forms';
+import { ActivatedRoute, Router, RouterLink } from '@angular/router';
+import { AuthService } from '../services/auth.service';
+import { PasswordValidator, PasswordValidationResult } from '../utils/password-validator';
+
+/**
+ * Recuperación de contraseña sin sesión:
+ * - /olvide-clave: pide el correo y envía el enlace
+ * - /restablecer-clave?token=...: define la contraseña nueva
+ */
+@Component({
+  selector: 'app-recuperar-clave',
+  imports: [CommonModule, FormsModule, RouterLink],
+  templateUrl: './recuperar-clave.html',
+  styleUrl: './recuperar-clave.css'
+})
+export class RecuperarClaveComponent implements OnInit {
+  private readonly authService = inject(AuthService);
+  private readonly route = inject(ActivatedRoute);
+  private readonly router = inject(Router);
+
+  token = signal<string | null>(null);
+  isLoading = signal(false);
+  error = signal<string | null>(null);
+  mensaje = signal<string | null>(null);
+
+  correo = '';
+  claveNueva = '';
+  confirmacion = '';
+  passwordValidation = signal<PasswordValidationResult | null>(null);
+
+  PasswordValidator = PasswordValidator;
+
+  ngOnInit() {
+    this.token.set(this.route.snapshot.queryParamMap.get('token'));
+  }
+
+  onPasswordChange() {
+    this.passwordValidation.set(this.claveNueva ? PasswordValidator.validate(this.claveNueva) : null);
+  }
+
+  solicitarEnlace() {
+    if (!this.correo) return;
+
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    this.authService.olvideClave(this.correo).subscribe({
+      next: (mensaje) => {
+        this.isLoading.set(false);
+        this.mensaje.set(mensaje);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'No se pudo enviar el enlace');
+      }
+    });
+  }
+
+  restablecer() {
+    const token = this.token();
+    if (!token) return;
+
+    const validacion = PasswordValidator.validate(this.claveNueva);
+    if (!validacion.isValid) {
+      this.passwordValidation.set(validacion);
+      return;
+    }
+
+    if (this.claveNueva !== this.confirmacion) {
+      this.error.set('Las contraseñas no coinciden');
+      return;
+    }
+
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    this.authService.restablecerClave(token, this.claveNueva).subscribe({
+      next: (mensaje) => {
+        this.isLoading.set(false);
+        this.mensaje.set(mensaje);
+        this.claveNueva = '';
+        this.confirmacion = '';
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.errores?.[0]?.msg || err.error?.message || 'No se pudo restablecer la contraseña');
+      }
+    });
+  }
+
+  irAlLogin() {
+    this.router.navigate(['/login']);
+  }
+}
@@ -0,0 +1,199 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnInit, computed, inject, signal } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { FormsModule } from '@angular/forms';
+import { forkJoin } from 'rxjs';
+import { Layout } from '../components/layout/layout';
+import { NAPParaMapa, NAPService } from '../services/nap.service';
+import {
+  MetricaDisponible,
+  ReglaAlerta,
+  ReglaAlertaForm,
+  ReglaAlertaService
+} from '../services/regla-alerta.service';
+import { Zona, ZonaService } from '../services/zona.service';
+
+@Component({
+  selector: 'app-reglas-alerta',
+  imports: [CommonModule, FormsModule, Layout],
+  templateUrl: './reglas-alerta.html',
+  styleUrl: './reglas-alerta.css'
+})
+export class ReglasAlertaComponent implements OnInit {
+  private readonly reglaAlertaService = inject(ReglaAlertaService);
+  private readonly zonaService = inject(ZonaService);
+  private readonly napService = inject(NAPService);
+
+  reglas = signal<ReglaAlerta[]>([]);
+  metricas = signal<MetricaDisponible[]>([]);
+  zonas = signal<Zona[]>([]);
+  naps = signal<NAPParaMapa[]>([]);
+  isLoading = signal(false);
+  isSaving = signal(false);
+  error = signal<string | null>(null);
+
+  // Los modelos salen de los NAPs que el usuario ve
+  modelos = computed(() => [...new Set(this.naps().map(nap => nap.modelo))].sort());
+
+  // null: creando una regla nueva
+  reglaEnEdicion = signal<ReglaAlerta | null>(null);
+  mostrarFormulario = signal(false);
+  formulario: ReglaAlertaForm = this.formularioVacio();
+
+  ngOnInit() {
+    this.cargar();
+  }
+
+  cargar() {
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    forkJoin({
+      reglas: this.reglaAlertaService.obtenerReglas(),
+      metricas: this.reglaAlertaService.obtenerMetricas(),
+      zonas: this.zonaService.obtenerZonas(true),
+      naps: this.napService.obtenerNAPsParaMapa()
+    }).subscribe({
+      next: ({ reglas, metricas, zonas, naps }) => {
+        this.reglas.set(reglas);
+        this.metricas.set(metricas);
+        this.zonas.set(zonas);
+        this.naps.set(naps.data);
+        this.isLoading.set(false);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'No se pudieron cargar las reglas de alerta');
+      }
+    });
+  }
+
+  metrica(clave: string): MetricaDisponible | undefined {
+    return this.metricas().find(metrica => metrica.metrica === clave);
+  }
+
+  usaVentana(): boolean {
+    return this.metrica(this.formulario.metrica)?.usa_ventana ?? false;
+  }
+
+  describirAlcance(regla: ReglaAlerta): string {
+    switch (regla.alcance) {
+      case 'ZONA': return `Zona ${regla.zona?.nombre ?? ''}`;
+      case 'MODELO': return `Modelo ${regla.modelo_nap}`;
+      case 'NAP': return `NAP ${regla.nap?.codigo ?? ''}`;
+      default: return 'Todos los NAPs';
+    }
+  }
+
+  describirCondicion(regla: ReglaAlerta): string {
+    const metrica = this.metrica(regla.metrica);
+    const ventana = regla.ventana_horas ? ` en ${regla.ventana_horas} h` : '';
+    return `${metrica?.nombre ?? regla.metrica}${ventana} ${regla.comparador} ${Number(regla.umbral)}${metrica?.unidad === '%' ? '%' : ''}`;
+  }
+
+  getColorNivel(nivel: string): string {
+    switch (nivel) {
+      case 'CRITICO': return 'bg-red-100 text-red-800';
+      case 'ADVERTENCIA': return 'bg-yellow-100 text-yellow-800';
+      default: return 'bg-blue-100 text-blue-800';
+    }
+  }
+
+  nueva() {
+    this.reglaEnEdicion.set(null);
+    this.formulario = this.formularioVacio();
+    this.mostrarFormulario.set(true);
+  }
+
+  editar(regla: ReglaAlerta) {
+    this.reglaEnEdicion.set(regla);
+    this.formulario = this.aFormulario(regla);
+    this.mostrarFormulario.set(true);
+  }
+
+  private aFormulario(regla: ReglaAlerta): ReglaAlertaForm {
+    return {
+      nombre: regla.nombre,
+      metrica: regla.metrica,
+      comparador: regla.comparador,
+      umbral: Number(regla.umbral),
+      ventana_horas: regla.ventana_horas,
+      alcance: regla.alcance,
+      zona_id: regla.zona_id,
+      modelo_nap: regla.modelo_nap,
+      nap_id: regla.nap_id,
+      nivel: regla.nivel,
+      enfriamiento_minutos: regla.enfriamiento_minutos,
+      activa: regla.activa
+    };
+  }
+
+  private formularioVacio(): ReglaAlertaForm {
+    return {
+      nombre: '',
+      metrica: 'OCUPACION',
+      comparador: '>=',
+      umbral: 80,
+      ventana_horas: 24,
+      alcance: 'TODOS',
+      zona_id: null,
+      modelo_nap: null,
+      nap_id: null,
+      nivel: 'ADVERTENCIA',
+      enfriamiento_minutos: 0,
+      activa: true
+    };
+  }
+
+  cancelar() {
+    this.mostrarFormulario.set(false);
+    this.reglaEnEdicion.set(null);
+  }
+
+  guardar() {
+    if (!this.formulario.nombre.trim()) {
+      this.error.set('El nombre es obligatorio');
+      return;
+    }
+
+    const regla = this.reglaEnEdicion();
+    const peticion = regla
+      ? this.reglaAlertaService.actualizarRegla(regla.id, this.formulario)
+      : this.reglaAlertaService.crearRegla(this.formulario);
+
+    this.isSaving.set(true);
+    this.error.set(null);
+
+    peticion.subscribe({
+      next: () => {
+        this.isSaving.set(false);
+        this.cancelar();
+        this.cargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudo guardar la regla');
+      }
+    });
+  }
+
+  alternarActiva(regla: ReglaAlerta) {
+    this.reglaAlertaService.actualizarRegla(regla.id, { ...this.aFormulario(regla), activa: !regla.activa }).subscribe({
+      next: () => this.cargar(),
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo actualizar la regla');
+      }
+    });
+  }
+
+  eliminar(regla: ReglaAlerta) {
+    if (!confirm(`¿Eliminar la regla "${regla.nombre}"? Sus alertas abiertas se resolverán solas si ninguna otra regla las sostiene.`)) return;
+
+    this.reglaAlertaService.eliminarRegla(regla.id).subscribe({
+      next: () => this.cargar(),
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo eliminar la regla');
+      }
+    });
+  }
+}
@@ -0,0 +1,327 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnInit, inject, signal } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { FormsModule } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+import { Layout } from '../components/layout/layout';
+import { ReporteService, TipoReporte } from '../services/reporte.service';
+import {
+  EjecucionSuscripcion,
+  RangoSuscripcion,
+  SuscripcionReporte,
+  SuscripcionReporteService
+} from '../services/suscripcion-reporte.service';
+import { Zona, ZonaService } from '../services/zona.service';
+
+type FormatoArchivo = 'pdf' | 'excel' | 'csv';
+
+interface FormularioSuscripcion {
+  nombre: string;
+  tipo: string;
+  formato: FormatoArchivo;
+  zona_id: string;
+  cliente_id: string;
+  umbral_minutos: number | null;
+  umbral_usuarios: number | null;
+  horizonte_dias: number | null;
+  rango: RangoSuscripcion | '';
+  programacion: string;
+  destinatarios: string;
+  activo: boolean;
+}
+
+const FORMATOS_ARCHIVO: FormatoArchivo[] = ['pdf', 'excel', 'csv'];
+
+@Component({
+  selector: 'app-reportes-programados',
+  imports: [CommonModule, FormsModule, RouterLink, Layout],
+  templateUrl: './reportes-programados.html',
+  styleUrl: './reportes-programados.css'
+})
+export class ReportesProgramadosComponent implements OnInit {
+  private readonly suscripcionService = inject(SuscripcionReporteService);
+  private readonly reporteService = inject(ReporteService);
+  private readonly zonaService = inject(ZonaService);
+
+  suscripciones = signal<SuscripcionReporte[]>([]);
+  tiposReporte = signal<TipoReporte[]>([]);
+  zonas = signal<Zona[]>([]);
+  isLoading = signal(false);
+  isSaving = signal(false);
+  error = signal<string | null>(null);
+  mensaje = signal<string | null>(null);
+
+  // null: creando una suscripción nueva
+  suscripcionEnEdicion = signal<SuscripcionReporte | null>(null);
+  mostrarFormulario = signal(false);
+  formulario: FormularioSuscripcion = this.formularioVacio();
+
+  // Historial abierto y suscripción que se está enviando a pedido
+  suscripcionHistorial = signal<SuscripcionReporte | null>(null);
+  ejecuciones = signal<EjecucionSuscripcion[]>([]);
+  enviandoId = signal<string | null>(null);
+
+  readonly programacionesFrecuentes = [
+    { etiqueta: 'Lunes 07:00', expresion: '0 7 * * 1' },
+    { etiqueta: 'Todos los días 07:00', expresion: '0 7 * * *' },
+    { etiqueta: 'Día 1 de cada mes 08:00', expresion: '0 8 1 * *' },
+    { etiqueta: 'Inicio de trimestre 08:00', expresion: '0 8 1 1,4,7,10 *' }
+  ];
+
+  readonly etiquetasRango: Record<RangoSuscripcion, string> = {
+    ULTIMA_SEMANA: 'Últimos 7 días',
+    ULTIMO_MES: 'Último mes',
+    MES_ANTERIOR: 'Mes calendario anterior',
+    TRIMESTRE_ANTERIOR: 'Trimestre anterior'
+  };
+
+  ngOnInit() {
+    this.cargar();
+
+    this.reporteService.obtenerTiposReporte().subscribe({
+      next: (response) => {
+        this.tiposReporte.set(response.data.filter(tipo => this.formatosDe(tipo).length > 0));
+      },
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudieron cargar los tipos de reporte');
+      }
+    });
+
+    this.zonaService.obtenerZonas(true).subscribe({
+      next: (zonas) => this.zonas.set(zonas),
+      error: () => this.zonas.set([])
+    });
+  }
+
+  cargar() {
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    this.suscripcionService.obtenerSuscripciones().subscribe({
+      next: (suscripciones) => {
+        this.suscripciones.set(suscripciones);
+        this.isLoading.set(false);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'No se pudieron cargar los reportes programados');
+      }
+    });
+  }
+
+  tipoSeleccionado(): TipoReporte | undefined {
+    return this.tiposReporte().find(tipo => tipo.id === this.formulario.tipo);
+  }
+
+  nombreTipo(id: string): string {
+    return this.tiposReporte().find(tipo => tipo.id === id)?.nombre ?? id;
+  }
+
+  formatosDe(tipo: TipoReporte | undefined): FormatoArchivo[] {
+    return FORMATOS_ARCHIVO.filter(formato => tipo?.formatos.includes(formato));
+  }
+
+  necesitaParametro(parametro: string): boolean {
+    return this.tipoSeleccionado()?.parametros.includes(parametro) ?? false;
+  }
+
+  // Los reportes ATT van por periodos cerrados; los de fechas admiten también rangos móviles
+  rangosDisponibles(): RangoSuscripcion[] {
+    if (this.necesitaParametro('periodo')) return ['MES_ANTERIOR', 'TRIMESTRE_ANTERIOR'];
+    if (this.necesitaParametro('fecha_desde')) return ['ULTIMA_SEMANA', 'ULTIMO_MES', 'MES_ANTERIOR', 'TRIMESTRE_ANTERIOR'];
+    return [];
+  }
+
+  cambiarTipo() {
+    const formatos = this.formatosDe(this.tipoSeleccionado());
+    if (!formatos.includes(this.formulario.formato)) {
+      this.formulario.formato = formatos[0] ?? 'pdf';
+    }
+
+    const rangos = this.rangosDisponibles();
+    if (!rangos.includes(this.formulario.rango as RangoSuscripcion)) {
+      this.formulario.rango = rangos[0] ?? '';
+    }
+  }
+
+  nueva() {
+    this.suscripcionEnEdicion.set(null);
+    this.formulario = this.formularioVacio();
+    this.mensaje.set(null);
+    this.mostrarFormulario.set(true);
+  }
+
+  editar(suscripcion: SuscripcionReporte) {
+    this.suscripcionEnEdicion.set(suscripcion);
+    this.formulario = {
+      nombre: suscripcion.nombre,
+      tipo: suscripcion.tipo,
+      formato: suscripcion.formato,
+      zona_id: String(suscripcion.parametros['zona_id'] ?? ''),
+      cliente_id: String(suscripcion.parametros['cliente_id'] ?? ''),
+      umbral_minutos: (suscripcion.parametros['umbral_minutos'] as number) ?? null,
+      umbral_usuarios: (suscripcion.parametros['umbral_usuarios'] as number) ?? null,
+      horizonte_dias: (suscripcion.parametros['horizonte_dias'] as number) ?? null,
+      rango: suscripcion.rango ?? '',
+      programacion: suscripcion.programacion,
+      destinatarios: suscripcion.destinatarios.join(', '),
+      activo: suscripcion.activo
+    };
+    this.mensaje.set(null);
+    this.mostrarFormulario.set(true);
+  }
+
+  private formularioVacio(): FormularioSuscripcion {
+    return {
+      nombre: '',
+      tipo: '',
+      formato: 'pdf',
+      zona_id: '',
+      cliente_id: '',
+      umbral_minutos: null,
+      umbral_usuarios: null,
+      horizonte_dias: null,
+      rango: '',
+      programacion: '0 7 * * 1',
+      destinatarios: '',
+      activo: true
+    };
+  }
+
+  cancelar() {
+    this.mostrarFormulario.set(false);
+    this.suscripcionEnEdicion.set(null);
+  }
+
+  guardar() {
+    const destinatarios = this.formulario.destinatarios
+      .split(/[,;\s]+/)
+      .map(correo => correo.trim())
+      .filter(correo => correo.length > 0);
+
+    if (!this.formulario.nombre.trim() || !this.formulario.tipo) {
+      this.error.set('El nombre y el reporte son obligatorios');
+      return;
+    }
+    if (destinatarios.length === 0) {
+      this.error.set('Indique al menos un destinatario');
+      return;
+    }
+
+    // Sólo los filtros que acepta el reporte elegido
+    const parametros: Record<string, string | number> = {};
+    for (const clave of ['zona_id', 'cliente_id', 'umbral_minutos', 'umbral_usuarios', 'horizonte_dias'] as const) {
+      const valor = this.formulario[clave];
+      if (this.necesitaParametro(clave) && valor !== null && valor !== '') {
+        parametros[clave] = valor;
+      }
+    }
+
+    const datos = {
+      nombre: this.formulario.nombre.trim(),
+      tipo: this.formulario.tipo,
+      formato: this.formulario.formato,
+      parametros,
+      rango: this.formulario.rango || null,
+      programacion: this.formulario.programacion.trim(),
+      destinatarios,
+      activo: this.formulario.activo
+    };
+
+    const suscripcion = this.suscripcionEnEdicion();
+    const peticion = suscripcion
+      ? this.suscripcionService.actualizarSuscripcion(suscripcion.id, datos)
+      : this.suscripcionService.crearSuscripcion(datos);
+
+    this.isSaving.set(true);
+    this.error.set(null);
+
+    peticion.subscribe({
+      next: () => {
+        this.isSaving.set(false);
+        this.cancelar();
+        this.cargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudo guardar el reporte programado');
+      }
+    });
+  }
+
+  cambiarActivo(suscripcion: SuscripcionReporte) {
+    this.suscripcionService.actualizarSuscripcion(suscripcion.id, {
+      nombre: suscripcion.nombre,
+      tipo: suscripcion.tipo,
+      formato: suscripcion.formato,
+      parametros: suscripcion.parametros,
+      rango: suscripcion.rango,
+      programacion: suscripcion.programacion,
+      destinatarios: suscripcion.destinatarios,
+      activo: !suscripcion.activo
+    }).subscribe({
+      next: () => this.cargar(),
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo cambiar el estado del reporte programado');
+      }
+    });
+  }
+
+  enviarAhora(suscripcion: SuscripcionReporte) {
+    this.enviandoId.set(suscripcion.id);
+    this.error.set(null);
+    this.mensaje.set(null);
+
+    this.suscripcionService.ejecutarAhora(suscripcion.id).subscribe({
+      next: (response) => {
+        this.enviandoId.set(null);
+        if (response.success) {
+          this.mensaje.set(response.message);
+        } else {
+          this.error.set(response.message);
+        }
+        this.cargar();
+        if (this.suscripcionHistorial()?.id === suscripcion.id) {
+          this.verHistorial(suscripcion);
+        }
+      },
+      error: (err: HttpErrorResponse) => {
+        this.enviandoId.set(null);
+        this.error.set(err.error?.message || 'No se pudo enviar el reporte');
+      }
+    });
+  }
+
+  verHistorial(suscripcion: SuscripcionReporte) {
+    this.suscripcionHistorial.set(suscripcion);
+    this.ejecuciones.set([]);
+
+    this.suscripcionService.obtenerEjecuciones(suscripcion.id).subscribe({
+      next: (ejecuciones) => this.ejecuciones.set(ejecuciones),
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo cargar el historial de envíos');
+      }
+    });
+  }
+
+  cerrarHistorial() {
+    this.suscripcionHistorial.set(null);
+    this.ejecuciones.set([]);
+  }
+
+  eliminar(suscripcion: SuscripcionReporte) {
+    if (!confirm(`¿Eliminar el reporte programado ${suscripcion.nombre}? También se borra su historial de envíos.`)) return;
+
+    this.suscripcionService.eliminarSuscripcion(suscripcion.id).subscribe({
+      next: () => {
+        if (this.suscripcionHistorial()?.id === suscripcion.id) {
+          this.cerrarHistorial();
+        }
+        this.cargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo eliminar el reporte programado');
+      }
+    });
+  }
+}
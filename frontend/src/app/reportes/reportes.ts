@@ -1,39 +1,66 @@
-import { Component, inject, signal, OnInit, computed } from '@angular/core';
+import { Component, inject, signal, OnInit, OnDestroy, computed } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+import { Subscription, interval } from 'rxjs';
 import { Layout } from '../components/layout/layout';
-import { ReporteService, TipoReporte, RespuestaReporte } from '../services/reporte.service';
+import { ReporteService, TipoReporte, RespuestaReporte, ReporteGenerado } from '../services/reporte.service';
+import { Zona, ZonaService } from '../services/zona.service';
+import { AuthStore } from '../stores/auth.store';
 
 @Component({
   selector: 'app-reportes',
   standalone: true,
-  imports: [CommonModule, FormsModule, Layout],
+  imports: [CommonModule, FormsModule, RouterLink, Layout],
   templateUrl: './reportes.html',
   styleUrl: './reportes.css'
 })
-export class ReportesComponent implements OnInit {
+export class ReportesComponent implements OnInit, OnDestroy {
   private readonly reporteService = inject(ReporteService);
+  private readonly zonaService = inject(ZonaService);
+  private readonly authStore = inject(AuthStore);
+
+  canExportReports = this.authStore.canExportReports;
+  canScheduleReports = this.authStore.canScheduleReports;
 
   // Datos
   tiposReporte = signal<TipoReporte[]>([]);
+  zonas = signal<Zona[]>([]);
   reporteSeleccionado = signal<TipoReporte | null>(null);
   resultadoReporte = signal<RespuestaReporte | null>(null);
   isLoading = signal<boolean>(false);
   error = signal<string | null>(null);
 
   // Filtros por categoría
-  categoriaSeleccionada = signal<'TODAS' | 'Infraestructura' | 'Clientes'>('TODAS');
+  categoriaSeleccionada = signal<'TODAS' | 'Infraestructura' | 'Clientes' | 'Regulatorio'>('TODAS');
 
   // Parámetros del reporte
   parametros = signal<any>({
     fecha_desde: '',
     fecha_hasta: '',
     cliente_id: '',
-    meses: 6
+    zona_id: '',
+    meses: 6,
+    periodo: '',
+    umbral_minutos: '',
+    umbral_usuarios: '',
+    horizonte_dias: 90
   });
 
   periodoRapido = signal<string>('semana');
 
+  // Reportes en segundo plano
+  enSegundoPlano = signal<boolean>(false);
+  misReportes = signal<ReporteGenerado[]>([]);
+  mensajeCola = signal<string | null>(null);
+  private seguimientoCola: Subscription | null = null;
+
+  nombresTipo = computed(() => {
+    const nombres: { [id: string]: string } = {};
+    this.tiposReporte().forEach(t => nombres[t.id] = t.nombre);
+    return nombres;
+  });
+
   // Reportes filtrados por categoría
   tiposFiltrados = computed(() => {
     const categoria = this.categoriaSeleccionada();
@@ -45,6 +72,82 @@ export class ReportesComponent implements OnInit {
 
   ngOnInit() {
     this.cargarTiposReporte();
+    if (this.canExportReports()) {
+      this.cargarMisReportes();
+    }
+    this.zonaService.obtenerZonas().subscribe({
+      next: (zonas) => this.zonas.set(zonas),
+      error: (error) => console.error('Error al cargar zonas:', error)
+    });
+  }
+
+  ngOnDestroy() {
+    this.detenerSeguimiento();
+  }
+
+  cargarMisReportes() {
+    this.reporteService.obtenerMisReportes().subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.misReportes.set(response.data);
+          this.actualizarSeguimiento();
+        }
+      },
+      error: (error) => console.error('Error al cargar reportes generados:', error)
+    });
+  }
+
+  // Mientras haya reportes en cola se refresca la lista cada 3 segundos
+  private actualizarSeguimiento() {
+    const enCurso = this.misReportes().some(r => r.estado === 'PENDIENTE' || r.estado === 'PROCESANDO');
+    if (enCurso && !this.seguimientoCola) {
+      this.seguimientoCola = interval(3000).subscribe(() => this.cargarMisReportes());
+    } else if (!enCurso) {
+      this.detenerSeguimiento();
+    }
+  }
+
+  private detenerSeguimiento() {
+    this.seguimientoCola?.unsubscribe();
+    this.seguimientoCola = null;
+  }
+
+  encolarReporte(formato: 'pdf' | 'excel' | 'csv') {
+    const reporte = this.reporteSeleccionado();
+    if (!reporte) return;
+
+    this.error.set(null);
+    this.mensajeCola.set(null);
+    this.reporteService.generarEnSegundoPlano(reporte.id, this.construirParametros(), formato).subscribe({
+      next: () => {
+        this.mensajeCola.set('Reporte en cola. Lo encontrará en "Mis reportes generados" cuando esté listo.');
+        this.cargarMisReportes();
+      },
+      error: (error) => {
+        console.error('Error al encolar reporte:', error);
+        this.error.set(error.error?.message || 'Error al encolar el reporte');
+      }
+    });
+  }
+
+  descargarReporteGenerado(reporte: ReporteGenerado) {
+    this.reporteService.descargarReporteGenerado(reporte);
+  }
+
+  eliminarReporteGenerado(reporte: ReporteGenerado) {
+    this.reporteService.eliminarReporteGenerado(reporte.id).subscribe({
+      next: () => this.misReportes.update(lista => lista.filter(r => r.id !== reporte.id)),
+      error: (error) => alert(error.error?.message || 'Error al eliminar el reporte')
+    });
+  }
+
+  getColorEstadoCola(estado: string): string {
+    switch (estado) {
+      case 'COMPLETADO': return 'bg-green-100 text-green-800';
+      case 'ERROR': return 'bg-red-100 text-red-800';
+      case 'PROCESANDO': return 'bg-blue-100 text-blue-800';
+      default: return 'bg-gray-100 text-gray-800';
+    }
   }
 
   cargarTiposReporte() {
@@ -68,7 +171,13 @@ export class ReportesComponent implements OnInit {
     this.reporteSeleccionado.set(tipo);
     this.resultadoReporte.set(null);
     this.error.set(null);
-    this.parametros.set({ fecha_desde: '', fecha_hasta: '', cliente_id: '', meses: 6 });
+    this.mensajeCola.set(null);
+    this.parametros.set({ fecha_desde: '', fecha_hasta: '', cliente_id: '', zona_id: '', meses: 6, periodo: '', umbral_minutos: '', umbral_usuarios: '', horizonte_dias: 90 });
+
+    // Los reportes ATT piden un periodo cerrado: por defecto el mes anterior
+    if (tipo.parametros.includes('periodo')) {
+      this.setPeriodoATT('mes');
+    }
 
     // Si el reporte usa fechas, aplicar "última semana" por defecto
     if (tipo.parametros.includes('fecha_desde')) {
@@ -111,6 +220,22 @@ export class ReportesComponent implements OnInit {
     this.parametros.update(p => ({ ...p, fecha_desde: desde, fecha_hasta: hasta }));
   }
 
+  setPeriodoATT(tipo: 'mes' | 'trimestre') {
+    const hoy = new Date();
+    let periodo: string;
+
+    if (tipo === 'mes') {
+      const anterior = new Date(hoy.getFullYear(), hoy.getMonth() - 1, 1);
+      periodo = `${anterior.getFullYear()}-${String(anterior.getMonth() + 1).padStart(2, '0')}`;
+    } else {
+      const trimestreActual = Math.floor(hoy.getMonth() / 3);
+      const anio = trimestreActual === 0 ? hoy.getFullYear() - 1 : hoy.getFullYear();
+      periodo = `${anio}-T${trimestreActual === 0 ? 4 : trimestreActual}`;
+    }
+
+    this.parametros.update(p => ({ ...p, periodo }));
+  }
+
   generarReporte() {
     const reporte = this.reporteSeleccionado();
     if (!reporte) return;
@@ -129,7 +254,7 @@ export class ReportesComponent implements OnInit {
       },
       error: (error) => {
         console.error('Error al generar reporte:', error);
-        this.error.set('Error al generar el reporte');
+        this.error.set(error.error?.message || 'Error al generar el reporte');
         this.isLoading.set(false);
       }
     });
@@ -147,6 +272,11 @@ export class ReportesComponent implements OnInit {
     const reporte = this.reporteSeleccionado();
     if (!reporte) return;
 
+    if (this.enSegundoPlano()) {
+      this.encolarReporte('pdf');
+      return;
+    }
+
     const params = this.construirParametros();
     this.reporteService.descargarPDF(reporte.id, params);
   }
@@ -155,10 +285,32 @@ export class ReportesComponent implements OnInit {
     const reporte = this.reporteSeleccionado();
     if (!reporte) return;
 
+    if (this.enSegundoPlano()) {
+      this.encolarReporte('excel');
+      return;
+    }
+
     const params = this.construirParametros();
     this.reporteService.descargarExcel(reporte.id, params);
   }
 
+  descargarCSV() {
+    const reporte = this.reporteSeleccionado();
+    if (!reporte) return;
+
+    if (this.enSegundoPlano()) {
+      this.encolarReporte('csv');
+      return;
+    }
+
+    const params = this.construirParametros();
+    this.reporteService.descargarCSV(reporte.id, params);
+  }
+
+  admiteFormato(formato: string): boolean {
+    return this.reporteSeleccionado()?.formatos.includes(formato) ?? false;
+  }
+
   construirParametros(): any {
     const reporte = this.reporteSeleccionado();
     if (!reporte) return {};
@@ -177,9 +329,24 @@ export class ReportesComponent implements OnInit {
       if (paramNombre === 'cliente_id' && p.cliente_id) {
         params.cliente_id = p.cliente_id;
       }
+      if (paramNombre === 'zona_id' && p.zona_id) {
+        params.zona_id = p.zona_id;
+      }
       if (paramNombre === 'meses' && p.meses) {
         params.meses = p.meses;
       }
+      if (paramNombre === 'periodo' && p.periodo) {
+        params.periodo = p.periodo;
+      }
+      if (paramNombre === 'umbral_minutos' && p.umbral_minutos !== '') {
+        params.umbral_minutos = p.umbral_minutos;
+      }
+      if (paramNombre === 'umbral_usuarios' && p.umbral_usuarios !== '') {
+        params.umbral_usuarios = p.umbral_usuarios;
+      }
+      if (paramNombre === 'horizonte_dias' && p.horizonte_dias) {
+        params.horizonte_dias = p.horizonte_dias;
+      }
     });
 
     return params;
@@ -208,6 +375,7 @@ export class ReportesComponent implements OnInit {
     switch (categoria) {
       case 'Infraestructura': return '🏗️';
       case 'Clientes': return '👥';
+      case 'Regulatorio': return '📑';
       default: return '📊';
     }
   }
@@ -216,6 +384,7 @@ export class ReportesComponent implements OnInit {
     switch (categoria) {
       case 'Infraestructura': return 'bg-blue-100 text-blue-800';
       case 'Clientes': return 'bg-green-100 text-green-800';
+      case 'Regulatorio': return 'bg-purple-100 text-purple-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   }
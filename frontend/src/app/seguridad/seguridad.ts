@@ -0,0 +1,125 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject, signal } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { HttpErrorResponse } from '@angular/common/http';
+import { DomSanitizer, SafeUrl } from '@angular/platform-browser';
+import { RouterLink } from '@angular/router';
+import { Observable } from 'rxjs';
+import { Layout } from '../components/layout/layout';
+import { AuthService, Enrolamiento2FA } from '../services/auth.service';
+import { AuthStore } from '../stores/auth.store';
+
+@Component({
+  selector: 'app-seguridad',
+  imports: [CommonModule, FormsModule, RouterLink, Layout],
+  templateUrl: './seguridad.html',
+  styleUrl: './seguridad.css'
+})
+export class SeguridadComponent {
+  private readonly authService = inject(AuthService);
+  private readonly authStore = inject(AuthStore);
+  private readonly sanitizer = inject(DomSanitizer);
+
+  user = this.authStore.user;
+  debeActivar2FA = this.authStore.debeActivar2FA;
+
+  isLoading = signal(false);
+  error = signal<string | null>(null);
+
+  // Enrolamiento en curso
+  enrolamiento = signal<Enrolamiento2FA | null>(null);
+  codigo = '';
+
+  // Se muestran una sola vez, al activar o regenerar
+  codigosRecuperacion = signal<string[]>([]);
+
+  // Desactivar / regenerar
+  clave = '';
+  codigoGestion = '';
+
+  get totpActivo(): boolean {
+    return !!this.user()?.totp_activo;
+  }
+
+  // Angular bloquea los esquemas desconocidos en [href]; otpauth:// abre la app autenticadora en el celular
+  uriSegura(uri: string): SafeUrl {
+    return this.sanitizer.bypassSecurityTrustUrl(uri);
+  }
+
+  iniciar() {
+    this.ejecutar(this.authService.iniciar2FA(), (datos) => {
+      this.enrolamiento.set(datos);
+      this.codigo = '';
+    });
+  }
+
+  activar() {
+    if (!/^\d{6}$/.test(this.codigo.trim())) {
+      this.error.set('El código debe tener 6 dígitos');
+      return;
+    }
+
+    this.ejecutar(this.authService.activar2FA(this.codigo.trim()), (codigos) => {
+      this.enrolamiento.set(null);
+      this.codigo = '';
+      this.codigosRecuperacion.set(codigos);
+    });
+  }
+
+  cancelarEnrolamiento() {
+    this.enrolamiento.set(null);
+    this.codigo = '';
+    this.error.set(null);
+  }
+
+  regenerarCodigos() {
+    if (!/^\d{6}$/.test(this.codigoGestion.trim())) {
+      this.error.set('Ingresa el código de 6 dígitos de tu aplicación');
+      return;
+    }
+
+    this.ejecutar(this.authService.regenerarCodigosRecuperacion(this.codigoGestion.trim()), (codigos) => {
+      this.codigoGestion = '';
+      this.codigosRecuperacion.set(codigos);
+    });
+  }
+
+  desactivar() {
+    if (!this.clave || !this.codigoGestion) {
+      this.error.set('Ingresa tu contraseña y un código de verificación');
+      return;
+    }
+
+    if (!confirm('¿Desactivar la verificación en dos pasos?')) return;
+
+    this.ejecutar(this.authService.desactivar2FA(this.clave, this.codigoGestion.trim()), () => {
+      this.clave = '';
+      this.codigoGestion = '';
+      this.codigosRecuperacion.set([]);
+    });
+  }
+
+  cerrarCodigos() {
+    this.codigosRecuperacion.set([]);
+  }
+
+  copiarCodigos() {
+    navigator.clipboard?.writeText(this.codigosRecuperacion().join('\n'));
+  }
+
+  private ejecutar<T>(peticion: Observable<T>, alTerminar: (resultado: T) => void) {
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    peticion.subscribe({
+      next: (resultado) => {
+        this.isLoading.set(false);
+        alTerminar(resultado);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'Ha ocurrido un error');
+      }
+    });
+  }
+}
@@ -1,21 +1,73 @@
 import { Injectable, inject, signal } from '@angular/core';
-import { HttpClient } from '@angular/common/http';
-import { interval, switchMap, startWith, catchError, of } from 'rxjs';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable, Subscription, catchError, debounceTime, map, merge, of, startWith, switchMap } from 'rxjs';
 import { environment } from '../../environments/environment';
+import { EventosService } from './eventos.service';
+
+export type NivelAlerta = 'CRITICO' | 'ADVERTENCIA' | 'INFO';
+export type EstadoAlerta = 'ABIERTA' | 'RECONOCIDA' | 'RESUELTA';
+
+interface UsuarioAlerta {
+  id: string;
+  nombre: string;
+  correo: string;
+}
+
+export interface NotaAlerta {
+  id: string;
+  texto: string;
+  createdAt: string;
+  // Sin usuario: nota del sistema (p. ej. resolución automática)
+  usuario: UsuarioAlerta | null;
+}
 
 export interface Alerta {
-  tipo: 'NAP_SATURADO' | 'NAP_MANTENIMIENTO' | 'NAP_PROXIMO_SATURACION' | 'MANTENIMIENTO_CORRECTIVO';
-  nivel: 'CRITICO' | 'ADVERTENCIA' | 'INFO';
+  id: string;
+  tipo:
+    | 'NAP_SATURADO'
+    | 'NAP_MANTENIMIENTO'
+    | 'NAP_OCUPACION'
+    | 'NAP_SATURACION_PREVISTA'
+    | 'MANTENIMIENTO_CORRECTIVO'
+    | 'MANTENIMIENTO_VENCIDO'
+    | 'MANTENIMIENTO_PROXIMO'
+    | 'PUERTOS_EN_MANTENIMIENTO'
+    | 'SIN_PREVENTIVO'
+    | 'CONEXIONES_SUSPENDIDAS';
+  nivel: NivelAlerta;
+  estado: EstadoAlerta;
   mensaje: string;
   detalle: string;
   nap_id: string;
-  fecha: string;
+  primera_deteccion: string;
+  ultima_deteccion: string;
+  reconocida_en: string | null;
+  asignada_a: string | null;
+  resolucion: 'AUTOMATICA' | 'MANUAL' | null;
+  resuelta_en: string | null;
+  nap?: { id: string; codigo: string; ubicacion: string; estado: string; zona_id: string | null };
+  reconocida_por_usuario?: UsuarioAlerta | null;
+  asignada_a_usuario?: UsuarioAlerta | null;
+  resuelta_por_usuario?: UsuarioAlerta | null;
+  notas?: NotaAlerta[];
+}
+
+export interface FiltroAlertas {
+  // Uno o varios estados separados por coma; el servidor usa ABIERTA,RECONOCIDA si no se indica
+  estado?: string;
+  nivel?: NivelAlerta;
+  tipo?: Alerta['tipo'];
+  nap_id?: string;
+  asignada_a?: string;
+  page?: number;
+  limit?: number;
 }
 
 export interface RespuestaAlertas {
   success: boolean;
   data: Alerta[];
-  total: number;
+  pagination: { total: number; pages: number; currentPage: number; limit: number };
+  resumen: Record<EstadoAlerta | NivelAlerta, number>;
 }
 
 @Injectable({
@@ -23,24 +75,68 @@ export interface RespuestaAlertas {
 })
 export class AlertaService {
   private readonly http = inject(HttpClient);
-  private readonly apiUrl = `${environment.apiUrl}/dashboard`;
+  private readonly eventosService = inject(EventosService);
+  private readonly apiUrl = `${environment.apiUrl}/alertas`;
 
-  // Señales reactivas
+  // Señales reactivas: alertas sin resolver (abiertas y reconocidas)
   alertas = signal<Alerta[]>([]);
   totalAlertas = signal<number>(0);
+  alertasAbiertas = signal<number>(0);
   alertasCriticas = signal<number>(0);
   alertasAdvertencia = signal<number>(0);
-  isPolling = signal<boolean>(false);
+  enVivo = signal<boolean>(false);
+
+  // Las alertas cambian en ráfagas (una evaluación abre o resuelve varias): se recarga una vez por ráfaga
+  private readonly esperaRecarga = 1000;
+  // Alertas sin resolver que se mantienen en memoria para la campana y la página de alertas
+  private readonly limiteEnVivo = 100;
+  private suscripcionEventos: Subscription | null = null;
+  private consumidores = 0;
 
-  // Intervalo de polling (30 segundos por defecto)
-  private pollingInterval = 30000;
-  private pollingSubscription: any = null;
+  /**
+   * Lista alertas con filtros y paginación
+   */
+  listarAlertas(filtro: FiltroAlertas = {}): Observable<RespuestaAlertas> {
+    let params = new HttpParams();
+    for (const [clave, valor] of Object.entries(filtro)) {
+      if (valor !== undefined && valor !== '') params = params.set(clave, String(valor));
+    }
+    return this.http.get<RespuestaAlertas>(this.apiUrl, { params });
+  }
 
   /**
-   * Obtiene las alertas del servidor
+   * Obtiene las alertas sin resolver del servidor
    */
   obtenerAlertas() {
-    return this.http.get<RespuestaAlertas>(`${this.apiUrl}/alertas`);
+    return this.listarAlertas({ estado: 'ABIERTA,RECONOCIDA', limit: this.limiteEnVivo });
+  }
+
+  /**
+   * Alerta con sus responsables y su bitácora de notas
+   */
+  obtenerDetalle(id: string): Observable<Alerta> {
+    return this.http.get<{ success: boolean; data: Alerta }>(`${this.apiUrl}/${id}`)
+      .pipe(map(response => response.data));
+  }
+
+  reconocer(id: string, nota?: string): Observable<Alerta> {
+    return this.http.patch<{ success: boolean; data: Alerta }>(`${this.apiUrl}/${id}/reconocer`, { nota })
+      .pipe(map(response => response.data));
+  }
+
+  asignar(id: string, usuarioId: string): Observable<Alerta> {
+    return this.http.patch<{ success: boolean; data: Alerta }>(`${this.apiUrl}/${id}/asignar`, { usuario_id: usuarioId })
+      .pipe(map(response => response.data));
+  }
+
+  resolver(id: string, nota?: string): Observable<Alerta> {
+    return this.http.patch<{ success: boolean; data: Alerta }>(`${this.apiUrl}/${id}/resolver`, { nota })
+      .pipe(map(response => response.data));
+  }
+
+  agregarNota(id: string, texto: string): Observable<NotaAlerta> {
+    return this.http.post<{ success: boolean; data: NotaAlerta }>(`${this.apiUrl}/${id}/notas`, { texto })
+      .pipe(map(response => response.data));
   }
 
   /**
@@ -48,19 +144,7 @@ export class AlertaService {
    */
   actualizarAlertas() {
     this.obtenerAlertas().subscribe({
-      next: (response) => {
-        if (response.success) {
-          this.alertas.set(response.data);
-          this.totalAlertas.set(response.total);
-
-          // Calcular alertas por nivel
-          const criticas = response.data.filter(a => a.nivel === 'CRITICO').length;
-          const advertencias = response.data.filter(a => a.nivel === 'ADVERTENCIA').length;
-
-          this.alertasCriticas.set(criticas);
-          this.alertasAdvertencia.set(advertencias);
-        }
-      },
+      next: (response) => this.aplicarRespuesta(response),
       error: (error) => {
         console.error('Error al obtener alertas:', error);
       }
@@ -68,55 +152,59 @@ export class AlertaService {
   }
 
   /**
-   * Inicia el polling automático de alertas
+   * Carga las alertas y las recarga con cada evento de alerta del servidor
+   * (abierta, reconocida, asignada o resuelta). Cada componente que lo llama debe llamar a detenerActualizacionEnVivo al destruirse.
    */
-  iniciarPolling(intervalo: number = this.pollingInterval) {
-    if (this.isPolling()) {
-      return; // Ya está en polling
-    }
+  iniciarActualizacionEnVivo() {
+    this.consumidores++;
+    if (this.suscripcionEventos) return;
 
-    this.isPolling.set(true);
-    this.pollingInterval = intervalo;
-
-    // Usar RxJS interval para polling
-    this.pollingSubscription = interval(intervalo)
+    this.enVivo.set(true);
+    this.suscripcionEventos = merge(
+      this.eventosService.escuchar('alerta'),
+      this.eventosService.reconectado$
+    )
       .pipe(
-        startWith(0), // Ejecutar inmediatamente
-        switchMap(() => this.obtenerAlertas()),
-        catchError(error => {
-          console.error('Error en polling de alertas:', error);
-          return of({ success: false, data: [], total: 0 } as RespuestaAlertas);
-        })
+        debounceTime(this.esperaRecarga),
+        startWith(null), // Cargar inmediatamente
+        switchMap(() => this.obtenerAlertas().pipe(
+          catchError(error => {
+            console.error('Error al obtener alertas:', error);
+            return of({ success: false } as RespuestaAlertas);
+          })
+        ))
       )
-      .subscribe(response => {
-        if (response.success) {
-          this.alertas.set(response.data);
-          this.totalAlertas.set(response.total);
-
-          const criticas = response.data.filter(a => a.nivel === 'CRITICO').length;
-          const advertencias = response.data.filter(a => a.nivel === 'ADVERTENCIA').length;
-
-          this.alertasCriticas.set(criticas);
-          this.alertasAdvertencia.set(advertencias);
-        }
-      });
+      .subscribe(response => this.aplicarRespuesta(response));
   }
 
   /**
-   * Detiene el polling de alertas
+   * Deja de escuchar eventos cuando ya no queda ningún componente que muestre alertas
    */
-  detenerPolling() {
-    if (this.pollingSubscription) {
-      this.pollingSubscription.unsubscribe();
-      this.pollingSubscription = null;
-    }
-    this.isPolling.set(false);
+  detenerActualizacionEnVivo() {
+    this.consumidores = Math.max(0, this.consumidores - 1);
+    if (this.consumidores > 0 || !this.suscripcionEventos) return;
+
+    this.suscripcionEventos.unsubscribe();
+    this.suscripcionEventos = null;
+    this.enVivo.set(false);
+  }
+
+  private aplicarRespuesta(response: RespuestaAlertas) {
+    if (!response.success) return;
+
+    this.alertas.set(response.data);
+    this.totalAlertas.set(response.pagination.total);
+
+    // Conteos del servidor: cubren también las alertas que no entran en la página
+    this.alertasAbiertas.set(response.resumen.ABIERTA);
+    this.alertasCriticas.set(response.resumen.CRITICO);
+    this.alertasAdvertencia.set(response.resumen.ADVERTENCIA);
   }
 
   /**
    * Filtra alertas por nivel
    */
-  obtenerAlertasPorNivel(nivel: 'CRITICO' | 'ADVERTENCIA' | 'INFO'): Alerta[] {
+  obtenerAlertasPorNivel(nivel: NivelAlerta): Alerta[] {
     return this.alertas().filter(a => a.nivel === nivel);
   }
 
@@ -130,7 +218,7 @@ export class AlertaService {
   /**
    * Obtiene el color del badge según el nivel
    */
-  getColorPorNivel(nivel: 'CRITICO' | 'ADVERTENCIA' | 'INFO'): string {
+  getColorPorNivel(nivel: NivelAlerta): string {
     switch (nivel) {
       case 'CRITICO': return 'bg-red-100 text-red-800';
       case 'ADVERTENCIA': return 'bg-yellow-100 text-yellow-800';
@@ -139,6 +227,18 @@ export class AlertaService {
     }
   }
 
+  /**
+   * Obtiene el color del badge según el estado
+   */
+  getColorPorEstado(estado: EstadoAlerta): string {
+    switch (estado) {
+      case 'ABIERTA': return 'bg-red-50 text-red-700 border border-red-200';
+      case 'RECONOCIDA': return 'bg-amber-50 text-amber-700 border border-amber-200';
+      case 'RESUELTA': return 'bg-green-50 text-green-700 border border-green-200';
+      default: return 'bg-gray-100 text-gray-800';
+    }
+  }
+
   /**
    * Obtiene el ícono según el tipo de alerta
    */
@@ -146,8 +246,14 @@ export class AlertaService {
     switch (tipo) {
       case 'NAP_SATURADO': return '⚠️';
       case 'NAP_MANTENIMIENTO': return '🔧';
-      case 'NAP_PROXIMO_SATURACION': return '⚡';
+      case 'NAP_OCUPACION': return '⚡';
+      case 'NAP_SATURACION_PREVISTA': return '📈';
       case 'MANTENIMIENTO_CORRECTIVO': return 'ℹ️';
+      case 'MANTENIMIENTO_VENCIDO': return '⏰';
+      case 'MANTENIMIENTO_PROXIMO': return '📅';
+      case 'PUERTOS_EN_MANTENIMIENTO': return '🛠️';
+      case 'SIN_PREVENTIVO': return '🗓️';
+      case 'CONEXIONES_SUSPENDIDAS': return '⏸️';
       default: return '📢';
     }
   }
@@ -3,12 +3,14 @@ import { HttpClient, HttpHeaders, HttpParams } from '@angular/common/http';
 import { Observable } from 'rxjs';
 import { environment } from '../../environments/environment';
 
+export type AccionAuditoria = 'CREATE' | 'UPDATE' | 'DELETE' | 'LOGIN' | 'BLOQUEO' | 'DESBLOQUEO';
+
 export interface FiltrosAuditoria {
   page?: number;
   limit?: number;
   tabla?: string;
   registro_id?: string;
-  accion?: 'CREATE' | 'UPDATE' | 'DELETE';
+  accion?: AccionAuditoria;
   usuario_id?: string;
   fecha_desde?: string;
   fecha_hasta?: string;
@@ -18,16 +20,18 @@ export interface Auditoria {
   id: number;
   tabla: string;
   registro_id: string;
-  accion: 'CREATE' | 'UPDATE' | 'DELETE';
+  accion: AccionAuditoria;
   datos_anteriores: any;
   datos_nuevos: any;
   fecha: string;
+  // null cuando el cambio lo hizo un proceso automático (ver origen)
   usuario: {
     id: string;
     nombre: string;
     correo: string;
     rol: string;
-  };
+  } | null;
+  origen: string | null;
 }
 
 export interface EstadisticasAuditoria {
@@ -36,12 +40,15 @@ export interface EstadisticasAuditoria {
     CREATE: number;
     UPDATE: number;
     DELETE: number;
+    LOGIN?: number;
+    BLOQUEO?: number;
+    DESBLOQUEO?: number;
   };
   por_tabla: { [tabla: string]: number };
   por_usuario: Array<{
     usuario_id: string;
     nombre: string;
-    correo: string;
+    correo: string | null;
     cantidad: number;
   }>;
 }
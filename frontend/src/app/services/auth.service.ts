@@ -1,7 +1,7 @@
 import { Injectable, inject } from '@angular/core';
-import { HttpClient, HttpErrorResponse } from '@angular/common/http';
-import { Observable, throwError } from 'rxjs';
-import { catchError, map } from 'rxjs/operators';
+import { HttpBackend, HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { Observable, of, throwError } from 'rxjs';
+import { catchError, finalize, map, shareReplay } from 'rxjs/operators';
 import { AuthStore, User } from '../stores/auth.store';
 import { environment } from '../../environments/environment';
 
@@ -14,8 +14,38 @@ export interface LoginResponse {
   success: boolean;
   message?: string;
   data?: {
-    usuario: User;
+    usuario?: User;
+    token?: string;
+    refresh_token?: string;
+    // Presentes cuando el usuario tiene 2FA activo
+    requiere_2fa?: boolean;
+    challenge_token?: string;
+    codigos_recuperacion_restantes?: number;
+  };
+}
+
+export type ResultadoLogin =
+  | { requiere2FA: false; codigosRecuperacionRestantes?: number }
+  | { requiere2FA: true; challengeToken: string };
+
+export interface Enrolamiento2FA {
+  secreto: string;
+  uri: string;
+}
+
+interface RespuestaCodigosRecuperacion {
+  success: boolean;
+  message?: string;
+  data: { codigos_recuperacion: string[] };
+}
+
+export interface RefreshResponse {
+  success: boolean;
+  message?: string;
+  data?: {
     token: string;
+    // null dentro de la gracia del backend: otra pestaña ya rotó el refresh token
+    refresh_token: string | null;
   };
 }
 
@@ -27,29 +57,160 @@ export class AuthService {
   private readonly authStore = inject(AuthStore);
   private readonly apiUrl = environment.apiUrl;
 
-  login(credentials: LoginRequest): Observable<void> {
+  // Cliente sin interceptores: el refresh no debe volver a pasar por el manejo de 401
+  private readonly httpSinInterceptores = new HttpClient(inject(HttpBackend));
+  private refreshEnCurso$: Observable<string> | null = null;
+
+  login(credentials: LoginRequest): Observable<ResultadoLogin> {
     this.authStore.setLoading(true);
     this.authStore.clearError();
 
     return this.http.post<LoginResponse>(`${this.apiUrl}/auth/login`, credentials)
       .pipe(
-        map(response => {
-          if (response.success && response.data) {
-            this.authStore.login(response.data.usuario, response.data.token);
-          } else {
-            throw new Error(response.message || 'Error en el login');
-          }
-        }),
+        map(response => this.procesarLogin(response)),
+        catchError(this.handleError.bind(this))
+      );
+  }
+
+  /**
+   * Segundo paso del login: código de la app autenticadora o código de recuperación.
+   */
+  verificar2FA(challengeToken: string, codigo: string): Observable<ResultadoLogin> {
+    this.authStore.setLoading(true);
+    this.authStore.clearError();
+
+    return this.http.post<LoginResponse>(`${this.apiUrl}/auth/2fa/verificar`, { challenge_token: challengeToken, codigo })
+      .pipe(
+        map(response => this.procesarLogin(response)),
         catchError(this.handleError.bind(this))
       );
   }
 
+  iniciar2FA(): Observable<Enrolamiento2FA> {
+    return this.http.post<{ success: boolean; data: Enrolamiento2FA }>(`${this.apiUrl}/auth/2fa/iniciar`, {})
+      .pipe(map(response => response.data));
+  }
+
+  activar2FA(codigo: string): Observable<string[]> {
+    return this.http.post<RespuestaCodigosRecuperacion>(`${this.apiUrl}/auth/2fa/activar`, { codigo })
+      .pipe(
+        map(response => {
+          this.authStore.updateUser({ totp_activo: true });
+          return response.data.codigos_recuperacion;
+        })
+      );
+  }
+
+  desactivar2FA(clave: string, codigo: string): Observable<void> {
+    return this.http.post(`${this.apiUrl}/auth/2fa/desactivar`, { clave, codigo })
+      .pipe(map(() => this.authStore.updateUser({ totp_activo: false })));
+  }
+
+  olvideClave(correo: string): Observable<string> {
+    return this.http.post<{ success: boolean; message: string }>(`${this.apiUrl}/auth/olvide-clave`, { correo })
+      .pipe(map(response => response.message));
+  }
+
+  restablecerClave(token: string, claveNueva: string): Observable<string> {
+    return this.http.post<{ success: boolean; message: string }>(`${this.apiUrl}/auth/restablecer-clave`, { token, claveNueva })
+      .pipe(map(response => response.message));
+  }
+
+  cambiarClave(claveActual: string, claveNueva: string): Observable<void> {
+    return this.http.patch(`${this.apiUrl}/usuarios/cambiar-clave`, { claveActual, claveNueva })
+      .pipe(map(() => this.authStore.updateUser({ debe_cambiar_clave: false })));
+  }
+
+  regenerarCodigosRecuperacion(codigo: string): Observable<string[]> {
+    return this.http.post<RespuestaCodigosRecuperacion>(`${this.apiUrl}/auth/2fa/codigos-recuperacion`, { codigo })
+      .pipe(map(response => response.data.codigos_recuperacion));
+  }
+
+  /**
+   * Obtiene un access token nuevo con el refresh token guardado.
+   * Las peticiones que fallen con 401 al mismo tiempo comparten un único refresh.
+   * El refresh token se lee de localStorage: otra pestaña pudo haberlo rotado.
+   */
+  refrescarToken(): Observable<string> {
+    const refreshToken = localStorage.getItem('refresh_token') ?? this.authStore.refreshToken();
+    if (!refreshToken) {
+      return throwError(() => new Error('Sin refresh token'));
+    }
+
+    if (!this.refreshEnCurso$) {
+      this.refreshEnCurso$ = this.httpSinInterceptores
+        .post<RefreshResponse>(`${this.apiUrl}/auth/refresh`, { refresh_token: refreshToken })
+        .pipe(
+          map(response => {
+            if (!response.success || !response.data) {
+              throw new Error(response.message || 'No se pudo renovar la sesión');
+            }
+            this.authStore.setTokens(response.data.token, response.data.refresh_token);
+            return response.data.token;
+          }),
+          finalize(() => (this.refreshEnCurso$ = null)),
+          shareReplay(1)
+        );
+    }
+
+    return this.refreshEnCurso$;
+  }
+
   logout(): void {
-    this.authStore.logout();
+    const token = this.authStore.token();
+    if (!token) {
+      this.authStore.logout();
+      return;
+    }
+
+    // Se revoca la sesión en el servidor; aunque falle, la sesión local se cierra igual
+    this.httpSinInterceptores
+      .post(`${this.apiUrl}/auth/logout`, {}, { headers: { Authorization: `Bearer ${token}` } })
+      .pipe(catchError(() => of(null)))
+      .subscribe(() => this.authStore.logout());
+  }
+
+  logoutTodas(): void {
+    this.http.post(`${this.apiUrl}/auth/logout-todas`, {})
+      .pipe(catchError(() => of(null)))
+      .subscribe(() => this.authStore.logout());
+  }
+
+  private procesarLogin(response: LoginResponse): ResultadoLogin {
+    if (!response.success || !response.data) {
+      throw new Error(response.message || 'Error en el login');
+    }
+
+    const data = response.data;
+    if (data.requiere_2fa && data.challenge_token) {
+      this.authStore.setLoading(false);
+      return { requiere2FA: true, challengeToken: data.challenge_token };
+    }
+
+    this.authStore.login(data.usuario!, data.token!, data.refresh_token!);
+    return { requiere2FA: false, codigosRecuperacionRestantes: data.codigos_recuperacion_restantes };
+  }
+
+  /**
+   * Vuelve a leer /auth/perfil: los permisos del rol pueden haber cambiado desde el login.
+   */
+  refrescarPerfil(): Observable<User> {
+    return this.http.get<{ success: boolean; data: User }>(`${this.apiUrl}/auth/perfil`)
+      .pipe(
+        map(response => {
+          this.authStore.updateUser(response.data);
+          return response.data;
+        })
+      );
   }
 
   initializeAuth(): void {
     this.authStore.initializeFromStorage();
+
+    if (this.authStore.isAuthenticated()) {
+      // Si falla, el interceptor ya se ocupa de la sesión vencida
+      this.refrescarPerfil().pipe(catchError(() => of(null))).subscribe();
+    }
   }
 
   private handleError(error: HttpErrorResponse): Observable<never> {
@@ -61,7 +222,7 @@ export class AuthService {
     } else {
       // Error del servidor
       if (error.status === 401) {
-        errorMessage = 'Credenciales incorrectas';
+        errorMessage = error.error?.message || 'Credenciales incorrectas';
       } else if (error.status === 0) {
         errorMessage = 'No se puede conectar con el servidor';
       } else {
@@ -0,0 +1,105 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+import { NivelAlerta } from './alerta.service';
+
+export type TipoCanal = 'CORREO' | 'WEBHOOK' | 'CHAT';
+export type EstadoNotificacion = 'PENDIENTE' | 'ENVIADA' | 'FALLIDA';
+
+export interface CanalNotificacion {
+  id: string;
+  tipo: TipoCanal;
+  nombre: string;
+  destino: string | null;
+  niveles: NivelAlerta[];
+  activo: boolean;
+  // Sólo llega al crear el webhook o regenerar su secreto
+  secreto?: string;
+}
+
+export interface CanalNotificacionForm {
+  tipo: TipoCanal;
+  nombre: string;
+  destino: string | null;
+  niveles: NivelAlerta[];
+  activo: boolean;
+  regenerar_secreto?: boolean;
+}
+
+export interface Notificacion {
+  id: string;
+  canal: TipoCanal;
+  destino: string;
+  evento: 'ABIERTA' | 'ESCALADA';
+  nivel: NivelAlerta;
+  estado: EstadoNotificacion;
+  intentos: number;
+  proximo_intento: string | null;
+  ultimo_error: string | null;
+  enviada_en: string | null;
+  createdAt: string;
+  alerta?: { id: string; tipo: string; nivel: NivelAlerta; estado: string; mensaje: string } | null;
+  usuario?: { id: string; nombre: string; correo: string } | null;
+}
+
+export interface FiltroNotificaciones {
+  estado?: EstadoNotificacion;
+  canal?: TipoCanal;
+  todas?: boolean;
+  page?: number;
+  limit?: number;
+}
+
+export interface RespuestaNotificaciones {
+  data: Notificacion[];
+  pagination: { total: number; pages: number; currentPage: number; limit: number };
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class CanalNotificacionService {
+  private readonly http = inject(HttpClient);
+  private readonly apiUrl = `${environment.apiUrl}/notificaciones`;
+
+  // El backend devuelve sólo los canales del usuario
+  obtenerCanales(): Observable<CanalNotificacion[]> {
+    return this.http.get<{ success: boolean; data: CanalNotificacion[] }>(`${this.apiUrl}/canales`)
+      .pipe(map(response => response.data));
+  }
+
+  crearCanal(canal: CanalNotificacionForm): Observable<CanalNotificacion> {
+    return this.http.post<{ success: boolean; data: CanalNotificacion }>(`${this.apiUrl}/canales`, canal)
+      .pipe(map(response => response.data));
+  }
+
+  actualizarCanal(id: string, canal: CanalNotificacionForm): Observable<CanalNotificacion> {
+    return this.http.put<{ success: boolean; data: CanalNotificacion }>(`${this.apiUrl}/canales/${id}`, canal)
+      .pipe(map(response => response.data));
+  }
+
+  eliminarCanal(id: string): Observable<void> {
+    return this.http.delete<{ success: boolean }>(`${this.apiUrl}/canales/${id}`)
+      .pipe(map(() => undefined));
+  }
+
+  // success=false si el mensaje de prueba no se pudo entregar
+  probarCanal(id: string): Observable<{ success: boolean; message: string }> {
+    return this.http.post<{ success: boolean; message: string }>(`${this.apiUrl}/canales/${id}/probar`, {});
+  }
+
+  obtenerNotificaciones(filtro: FiltroNotificaciones = {}): Observable<RespuestaNotificaciones> {
+    let params = new HttpParams();
+    for (const [clave, valor] of Object.entries(filtro)) {
+      if (valor !== undefined && valor !== '') params = params.set(clave, String(valor));
+    }
+    return this.http.get<RespuestaNotificaciones>(this.apiUrl, { params });
+  }
+
+  reintentar(id: string): Observable<Notificacion> {
+    return this.http.post<{ success: boolean; data: Notificacion }>(`${this.apiUrl}/${id}/reintentar`, {})
+      .pipe(map(response => response.data));
+  }
+}
@@ -0,0 +1,135 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+
+export interface EstadisticasGenerales {
+  resumen: {
+    total_naps: number;
+    total_clientes: number;
+    total_planes: number;
+    total_conexiones: number;
+    conexiones_activas: number;
+    porcentaje_ocupacion: number;
+  };
+  naps: { total: number; activos: number; mantenimiento: number; saturados: number };
+  puertos: { total: number; libres: number; ocupados: number; mantenimiento: number; porcentaje_ocupacion: number };
+  conexiones: { total: number; activas: number; suspendidas: number; finalizadas: number };
+}
+
+// Un día del histórico (la ocupación al cierre)
+export interface PuntoOcupacion {
+  fecha: string;
+  total_puertos: number;
+  puertos_libres: number;
+  puertos_ocupados: number;
+  puertos_mantenimiento: number;
+  porcentaje_ocupacion: number;
+}
+
+export interface CrecimientoOcupacion {
+  desde: string;
+  hasta: string;
+  dias: number;
+  variacion_puertos: number;
+  variacion_porcentaje: number;
+  puertos_por_dia: number;
+  puertos_por_mes: number;
+  puntos_por_mes: number;
+}
+
+export interface HistoricoOcupacion {
+  zona?: { id: string; nombre: string } | null;
+  nap?: { id: string; codigo: string; total_puertos: number };
+  desde: string;
+  hasta: string;
+  serie: PuntoOcupacion[];
+  crecimiento: CrecimientoOcupacion | null;
+  pronostico?: PronosticoCapacidad;
+}
+
+// Fecha estimada de saturación según el ritmo de altas y bajas del NAP
+export interface PronosticoCapacidad {
+  nap?: { id: string; codigo: string; ubicacion: string; estado: string; zona?: { id: string; nombre: string } | null };
+  total_puertos: number;
+  puertos_ocupados: number;
+  puertos_libres: number;
+  porcentaje_ocupacion: number;
+  altas: number;
+  bajas: number;
+  crecimiento: CrecimientoOcupacion | null;
+  dias_para_saturar: number | null;
+  semanas_para_saturar: number | null;
+  fecha_saturacion: string | null;
+}
+
+export interface CrecimientoPorGrupo {
+  nap?: { id: string; codigo: string; ubicacion: string; estado: string; zona?: { id: string; nombre: string } | null };
+  zona?: { id: string; nombre: string } | null;
+  ocupacion_inicial: PuntoOcupacion;
+  ocupacion_actual: PuntoOcupacion;
+  crecimiento: CrecimientoOcupacion | null;
+}
+
+export interface FiltroHistorico {
+  zona_id?: string;
+  desde?: string;
+  hasta?: string;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class DashboardService {
+  private readonly http = inject(HttpClient);
+  private readonly apiUrl = `${environment.apiUrl}/dashboard`;
+
+  obtenerEstadisticas(): Observable<EstadisticasGenerales> {
+    return this.http.get<{ success: boolean; data: EstadisticasGenerales }>(`${this.apiUrl}/estadisticas`)
+      .pipe(map(response => response.data));
+  }
+
+  // Sin zona_id, la red completa (las zonas del usuario)
+  obtenerHistoricoOcupacion(filtro: FiltroHistorico = {}): Observable<HistoricoOcupacion> {
+    return this.http.get<{ success: boolean; data: HistoricoOcupacion }>(`${this.apiUrl}/ocupacion/historico`, {
+      params: parametrosHistorico(filtro)
+    }).pipe(map(response => response.data));
+  }
+
+  obtenerCrecimientoOcupacion(
+    filtro: FiltroHistorico & { agrupar?: 'nap' | 'zona'; limite?: number } = {}
+  ): Observable<CrecimientoPorGrupo[]> {
+    let params = parametrosHistorico(filtro);
+    if (filtro.agrupar) params = params.set('agrupar', filtro.agrupar);
+    if (filtro.limite) params = params.set('limite', filtro.limite);
+
+    return this.http.get<{ success: boolean; data: CrecimientoPorGrupo[] }>(`${this.apiUrl}/ocupacion/crecimiento`, { params })
+      .pipe(map(response => response.data));
+  }
+
+  // NAPs que se saturan dentro del horizonte, los más próximos primero
+  obtenerPronosticoCapacidad(filtro: { zona_id?: string; horizonte_dias?: number } = {}): Observable<PronosticoCapacidad[]> {
+    let params = new HttpParams();
+    if (filtro.zona_id) params = params.set('zona_id', filtro.zona_id);
+    if (filtro.horizonte_dias) params = params.set('horizonte_dias', filtro.horizonte_dias);
+
+    return this.http.get<{ success: boolean; data: PronosticoCapacidad[] }>(`${this.apiUrl}/capacidad/pronostico`, { params })
+      .pipe(map(response => response.data));
+  }
+}
+
+export function parametrosHistorico(filtro: FiltroHistorico): HttpParams {
+  let params = new HttpParams();
+  if (filtro.zona_id) params = params.set('zona_id', filtro.zona_id);
+  if (filtro.desde) params = params.set('desde', filtro.desde);
+  if (filtro.hasta) params = params.set('hasta', filtro.hasta);
+  return params;
+}
+
+// Primer día de un rango de N días que termina hoy (AAAA-MM-DD, hora local)
+export function desdeHaceDias(dias: number): string {
+  const fecha = new Date();
+  fecha.setDate(fecha.getDate() - (dias - 1));
+  return `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}-${String(fecha.getDate()).padStart(2, '0')}`;
+}
@@ -0,0 +1,190 @@
+import { HttpClient } from '@angular/common/http';
+import { Injectable, effect, inject, signal, untracked } from '@angular/core';
+import { Observable, Subject, Subscription, filter } from 'rxjs';
+import { environment } from '../../environments/environment';
+import { AuthStore } from '../stores/auth.store';
+
+export type TipoEvento =
+  | 'puerto.actualizado'
+  | 'nap.actualizado'
+  | 'mantenimiento.creado'
+  | 'alerta'
+  | 'sesion.finalizada';
+
+export interface EventoTiempoReal<T = any> {
+  id: string;
+  tipo: TipoEvento;
+  datos: T;
+  fecha: string;
+}
+
+// Ocupación del NAP después del cambio de un puerto
+export interface EventoPuerto {
+  puerto_id: string;
+  numero: number;
+  estado: 'LIBRE' | 'OCUPADO' | 'MANTENIMIENTO';
+  estado_anterior: string;
+  nap_id: string;
+  zona_id: string | null;
+  estadisticas: {
+    total_puertos: number;
+    puertos_libres: number;
+    puertos_ocupados: number;
+    puertos_mantenimiento: number;
+    porcentaje_ocupacion: number;
+  };
+}
+
+export interface EventoNAP {
+  nap_id: string;
+  codigo: string;
+  zona_id: string | null;
+  estado: 'ACTIVO' | 'MANTENIMIENTO' | 'FUERA_SERVICIO' | 'SATURADO';
+  estado_anterior: string;
+}
+
+export interface EventoMantenimiento {
+  mantenimiento_id: string;
+  nap_id: string;
+  codigo: string;
+  zona_id: string | null;
+  tipo: 'PREVENTIVO' | 'CORRECTIVO';
+  descripcion: string;
+  fecha: string;
+}
+
+const REINTENTO_MAXIMO_MS = 60000;
+
+/**
+ * Canal de eventos en tiempo real del backend (GET /eventos, Server-Sent Events).
+ * La conexión se abre con el primer suscriptor y se cierra con el último; si cambia el token
+ * (refresh o logout) se vuelve a abrir. Cada apertura pide un ticket (POST /eventos/ticket) y lo
+ * pasa en ?ticket=: el access token no viaja en la URL.
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class EventosService {
+  private readonly http = inject(HttpClient);
+  private readonly authStore = inject(AuthStore);
+  private readonly apiUrl = `${environment.apiUrl}/eventos`;
+
+  private fuente: EventSource | null = null;
+  private pedidoTicket: Subscription | null = null;
+  private suscriptores = 0;
+  private intentos = 0;
+  private reintento: ReturnType<typeof setTimeout> | null = null;
+  private huboCorte = false;
+  private readonly eventos$ = new Subject<EventoTiempoReal>();
+
+  conectado = signal(false);
+
+  // Emite al recuperar la conexión: lo ocurrido durante el corte no se reenvía, hay que recargar
+  readonly reconectado$ = new Subject<void>();
+
+  constructor() {
+    effect(() => {
+      this.authStore.token();
+      untracked(() => {
+        if (this.suscriptores > 0) this.abrir();
+      });
+    });
+  }
+
+  /**
+   * Eventos de los tipos indicados; mientras haya alguna suscripción el canal queda abierto
+   */
+  escuchar<T = any>(...tipos: TipoEvento[]): Observable<EventoTiempoReal<T>> {
+    return new Observable<EventoTiempoReal<T>>(subscriber => {
+      this.suscriptores++;
+      if (!this.fuente && !this.pedidoTicket && !this.reintento) this.abrir();
+
+      const suscripcion = this.eventos$
+        .pipe(filter(evento => tipos.includes(evento.tipo)))
+        .subscribe(subscriber);
+
+      return () => {
+        suscripcion.unsubscribe();
+        this.suscriptores--;
+        if (this.suscriptores === 0) this.cerrar();
+      };
+    });
+  }
+
+  private abrir() {
+    this.cerrar();
+
+    if (!this.authStore.token()) return;
+
+    // EventSource no envía headers: el canal se abre con un ticket de vida corta, nunca con el access token
+    this.pedidoTicket = this.http
+      .post<{ success: boolean; data: { ticket: string } }>(`${this.apiUrl}/ticket`, {})
+      .subscribe({
+        next: ({ data }) => {
+          this.pedidoTicket = null;
+          this.conectar(data.ticket);
+        },
+        error: () => {
+          this.pedidoTicket = null;
+          this.huboCorte = true;
+          this.programarReintento();
+        }
+      });
+  }
+
+  private conectar(ticket: string) {
+    const fuente = new EventSource(`${this.apiUrl}?ticket=${encodeURIComponent(ticket)}`);
+    this.fuente = fuente;
+
+    fuente.onopen = () => {
+      this.conectado.set(true);
+      this.intentos = 0;
+      if (this.huboCorte) {
+        this.huboCorte = false;
+        this.reconectado$.next();
+      }
+    };
+
+    fuente.onmessage = (mensaje) => {
+      const evento: EventoTiempoReal = JSON.parse(mensaje.data);
+      if (evento.tipo === 'sesion.finalizada') {
+        // Sesión revocada: la próxima petición HTTP cierra la sesión local
+        this.cerrar();
+        return;
+      }
+      this.eventos$.next(evento);
+    };
+
+    fuente.onerror = () => {
+      this.conectado.set(false);
+      this.huboCorte = true;
+
+      // El navegador reintenta solo con el mismo ticket salvo que el servidor responda con error
+      // (ticket vencido, 5xx): entonces se pide un ticket nuevo
+      if (fuente.readyState === EventSource.CLOSED) {
+        this.fuente = null;
+        this.programarReintento();
+      }
+    };
+  }
+
+  private programarReintento() {
+    const espera = Math.min(REINTENTO_MAXIMO_MS, 2000 * 2 ** this.intentos++);
+    this.reintento = setTimeout(() => {
+      this.reintento = null;
+      if (this.suscriptores > 0) this.abrir();
+    }, espera);
+  }
+
+  private cerrar() {
+    if (this.reintento) {
+      clearTimeout(this.reintento);
+      this.reintento = null;
+    }
+    this.pedidoTicket?.unsubscribe();
+    this.pedidoTicket = null;
+    this.fuente?.close();
+    this.fuente = null;
+    this.conectado.set(false);
+  }
+}
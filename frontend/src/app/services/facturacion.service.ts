@@ -0,0 +1,204 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+
+export type EstadoFactura = 'PENDIENTE' | 'PARCIAL' | 'PAGADA' | 'ANULADA';
+export type MetodoPago = 'EFECTIVO' | 'TRANSFERENCIA' | 'TARJETA' | 'QR' | 'OTRO';
+
+export interface ClienteResumen {
+  id: string;
+  nombre: string;
+  apellido: string | null;
+  ci: string | null;
+  telefono?: string | null;
+}
+
+export interface LineaFactura {
+  id: string;
+  conexion_id: string | null;
+  tipo: 'MENSUALIDAD' | 'INSTALACION';
+  concepto: string;
+  desde: string | null;
+  hasta: string | null;
+  dias: number | null;
+  dias_periodo: number | null;
+  precio: string;
+  importe: string;
+  impuesto_porcentaje: string;
+  impuesto: string;
+}
+
+// Los importes DECIMAL llegan como texto
+export interface Factura {
+  id: string;
+  numero: number;
+  cliente_id: string;
+  cliente_nombre: string;
+  periodo: string;
+  moneda: string;
+  fecha_emision: string;
+  fecha_vencimiento: string;
+  subtotal: string;
+  impuesto: string;
+  total: string;
+  pagado: string;
+  estado: EstadoFactura;
+  motivo_anulacion: string | null;
+  cliente?: ClienteResumen;
+  lineas?: LineaFactura[];
+}
+
+export interface Pago {
+  id: string;
+  cliente_id: string;
+  monto: string;
+  moneda: string;
+  fecha: string;
+  metodo: MetodoPago;
+  referencia: string | null;
+  nota: string | null;
+  anulado: boolean;
+  cliente?: ClienteResumen;
+  registrador?: { id: string; nombre: string } | null;
+}
+
+export interface PagoForm {
+  cliente_id: string;
+  monto: number | null;
+  moneda: string;
+  fecha: string;
+  metodo: MetodoPago;
+  referencia: string;
+  nota: string;
+}
+
+export interface CuentaCliente {
+  moneda: string;
+  facturado: number;
+  pagado: number;
+  // Negativo: saldo a favor del cliente
+  saldo: number;
+  vencido: number;
+  facturas_pendientes: number;
+  facturas_vencidas: number;
+  ultimo_pago: string | null;
+}
+
+export interface EstadoCuenta {
+  cliente: ClienteResumen;
+  cuentas: CuentaCliente[];
+  facturas_impagas: Factura[];
+}
+
+export interface FiltroFacturas {
+  estado?: EstadoFactura;
+  cliente_id?: string;
+  periodo?: string;
+  vencidas?: boolean;
+  page?: number;
+  limit?: number;
+}
+
+export interface FiltroPagos {
+  cliente_id?: string;
+  desde?: string;
+  hasta?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface Paginado<T> {
+  data: T[];
+  pagination: { total: number; pages: number; currentPage: number; limit: number };
+}
+
+// Al quedar al día, la cobranza reactiva las conexiones suspendidas por mora
+export interface ResultadoPago {
+  pago: Pago;
+  conexiones_reactivadas: number;
+}
+
+export interface ResultadoGeneracion {
+  periodo: string;
+  emitidas: number;
+  existentes: number;
+}
+
+const aParams = (filtro: object): HttpParams => {
+  let params = new HttpParams();
+  for (const [clave, valor] of Object.entries(filtro)) {
+    if (valor !== undefined && valor !== '') params = params.set(clave, String(valor));
+  }
+  return params;
+};
+
+@Injectable({
+  providedIn: 'root'
+})
+export class FacturacionService {
+  private readonly http = inject(HttpClient);
+  private readonly apiUrl = `${environment.apiUrl}/facturacion`;
+
+  obtenerFacturas(filtro: FiltroFacturas = {}): Observable<Paginado<Factura>> {
+    return this.http.get<Paginado<Factura>>(`${this.apiUrl}/facturas`, { params: aParams(filtro) });
+  }
+
+  obtenerFactura(id: string): Observable<Factura> {
+    return this.http.get<{ success: boolean; data: Factura }>(`${this.apiUrl}/facturas/${id}`)
+      .pipe(map(response => response.data));
+  }
+
+  descargarPDF(factura: Factura): Observable<void> {
+    return this.http.get(`${this.apiUrl}/facturas/${factura.id}/pdf`, { responseType: 'blob' })
+      .pipe(map(blob => {
+        const url = window.URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `factura_${factura.numero}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        window.URL.revokeObjectURL(url);
+      }));
+  }
+
+  // Sin periodo, el backend genera el mes anterior
+  generarFacturas(periodo?: string): Observable<{ data: ResultadoGeneracion; message: string }> {
+    return this.http.post<{ success: boolean; data: ResultadoGeneracion; message: string }>(
+      `${this.apiUrl}/facturas/generar`,
+      periodo ? { periodo } : {}
+    );
+  }
+
+  anularFactura(id: string, motivo: string): Observable<Factura> {
+    return this.http.post<{ success: boolean; data: Factura }>(`${this.apiUrl}/facturas/${id}/anular`, { motivo })
+      .pipe(map(response => response.data));
+  }
+
+  obtenerPagos(filtro: FiltroPagos = {}): Observable<Paginado<Pago>> {
+    return this.http.get<Paginado<Pago>>(`${this.apiUrl}/pagos`, { params: aParams(filtro) });
+  }
+
+  registrarPago(pago: PagoForm): Observable<ResultadoPago> {
+    return this.http.post<{ success: boolean; data: ResultadoPago }>(`${this.apiUrl}/pagos`, pago)
+      .pipe(map(response => response.data));
+  }
+
+  anularPago(id: string, motivo: string): Observable<Pago> {
+    return this.http.post<{ success: boolean; data: Pago }>(`${this.apiUrl}/pagos/${id}/anular`, { motivo })
+      .pipe(map(response => response.data));
+  }
+
+  obtenerEstadoCuenta(clienteId: string): Observable<EstadoCuenta> {
+    return this.http.get<{ success: boolean; data: EstadoCuenta }>(`${this.apiUrl}/clientes/${clienteId}/estado-cuenta`)
+      .pipe(map(response => response.data));
+  }
+
+  buscarClientes(buscar: string): Observable<ClienteResumen[]> {
+    return this.http.get<{ success: boolean; data: ClienteResumen[] }>(`${environment.apiUrl}/clientes`, {
+      params: aParams({ buscar, limit: 10 })
+    }).pipe(map(response => response.data));
+  }
+}
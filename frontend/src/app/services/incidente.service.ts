@@ -0,0 +1,90 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+
+export type CategoriaIncidente =
+  | 'CORTE_FIBRA'
+  | 'FALLA_ENERGIA'
+  | 'FALLA_EQUIPO'
+  | 'VANDALISMO'
+  | 'CLIMA'
+  | 'CONFIGURACION'
+  | 'MANTENIMIENTO_PROGRAMADO'
+  | 'OTRO';
+export type EstadoIncidente = 'ABIERTO' | 'RESUELTO';
+
+export interface IncidenteAfectado {
+  id: string;
+  nap_id: string;
+  puerto_id: string | null;
+  nap?: { id: string; codigo: string; ubicacion?: string; estado: string };
+  puerto?: { id: string; numero: number } | null;
+}
+
+export interface Incidente {
+  id: string;
+  titulo: string;
+  descripcion?: string | null;
+  categoria: CategoriaIncidente;
+  estado: EstadoIncidente;
+  fecha_inicio: string;
+  fecha_resolucion?: string | null;
+  solucion?: string | null;
+  minutos_caida: number;
+  afectados: IncidenteAfectado[];
+  conexiones?: {
+    id: string;
+    cliente?: { id: string; ci: string; nombre: string; apellido?: string; telefono?: string } | null;
+    nap?: { id: string; codigo: string };
+    puerto?: { id: string; numero: number };
+  }[];
+  abierto_por_usuario?: { id: string; nombre: string; correo: string };
+  resuelto_por_usuario?: { id: string; nombre: string; correo: string } | null;
+}
+
+export interface FiltroIncidentes {
+  estado?: EstadoIncidente | '';
+  categoria?: CategoriaIncidente | '';
+}
+
+export interface NuevoIncidente {
+  titulo: string;
+  descripcion?: string;
+  categoria: CategoriaIncidente;
+  fecha_inicio?: string;
+  afectados: { nap_id: string; puerto_ids?: string[] }[];
+}
+
+@Injectable({ providedIn: 'root' })
+export class IncidenteService {
+  private readonly http = inject(HttpClient);
+  private readonly apiUrl = `${environment.apiUrl}/incidentes`;
+
+  obtenerIncidentes(filtro: FiltroIncidentes = {}): Observable<Incidente[]> {
+    let params = new HttpParams();
+    if (filtro.estado) params = params.set('estado', filtro.estado);
+    if (filtro.categoria) params = params.set('categoria', filtro.categoria);
+
+    return this.http.get<{ success: boolean; data: Incidente[] }>(this.apiUrl, { params })
+      .pipe(map(response => response.data));
+  }
+
+  obtenerIncidente(id: string): Observable<Incidente> {
+    return this.http.get<{ success: boolean; data: Incidente }>(`${this.apiUrl}/${id}`)
+      .pipe(map(response => response.data));
+  }
+
+  crear(datos: NuevoIncidente): Observable<Incidente> {
+    return this.http.post<{ success: boolean; data: Incidente }>(this.apiUrl, datos)
+      .pipe(map(response => response.data));
+  }
+
+  resolver(id: string, solucion: string, fechaResolucion?: string | null): Observable<Incidente> {
+    return this.http.patch<{ success: boolean; data: Incidente }>(`${this.apiUrl}/${id}/resolver`, {
+      solucion,
+      ...(fechaResolucion ? { fecha_resolucion: fechaResolucion } : {})
+    }).pipe(map(response => response.data));
+  }
+}
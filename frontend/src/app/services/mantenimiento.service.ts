@@ -10,7 +10,9 @@ export interface Mantenimiento {
   descripcion: string;
   fecha: string;
   realizado_por: string;
+  plan_mantenimiento_id?: string | null;
   tecnico?: { id: string; nombre: string; correo: string };
+  plan_mantenimiento?: { id: string; nombre: string } | null;
 }
 
 @Injectable({ providedIn: 'root' })
@@ -24,7 +26,7 @@ export class MantenimientoService {
     );
   }
 
-  crear(datos: { nap_id: string; tipo: 'PREVENTIVO' | 'CORRECTIVO'; descripcion: string; fecha: string }): Observable<{ success: boolean; message: string; data: Mantenimiento }> {
+  crear(datos: { nap_id: string; tipo: 'PREVENTIVO' | 'CORRECTIVO'; descripcion: string; fecha: string; plan_mantenimiento_id?: string | null }): Observable<{ success: boolean; message: string; data: Mantenimiento }> {
     return this.http.post<{ success: boolean; message: string; data: Mantenimiento }>(
       this.apiUrl, datos
     );
@@ -1,7 +1,31 @@
 import { Injectable, inject } from '@angular/core';
 import { HttpClient, HttpParams, HttpHeaders } from '@angular/common/http';
 import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
 import { environment } from '../../environments/environment';
+import { FiltroHistorico, HistoricoOcupacion, parametrosHistorico } from './dashboard.service';
+
+export interface CableResumen {
+  id: string;
+  codigo: string;
+  longitud_m: number;
+  cantidad_fibras: number;
+}
+
+export interface RutaAscendente {
+  olt: { id: string; codigo: string; modelo: string; ubicacion: string | null; estado: string } | null;
+  puerto_pon: { id: string; slot: number; numero: number; estado: 'ACTIVO' | 'INACTIVO' | 'FALLA' } | null;
+  splitters: {
+    id: string;
+    codigo: string;
+    ratio: string;
+    nivel: number;
+    ubicacion: string | null;
+    cable: CableResumen | null;
+  }[];
+  cable_nap: CableResumen | null;
+  completa: boolean;
+}
 
 export interface NAP {
   id: string;
@@ -16,6 +40,11 @@ export interface NAP {
   createdAt: string;
   updatedAt: string;
   puertos: Puerto[];
+  splitter_id?: string | null;
+  cable_id?: string | null;
+  zona_id?: string | null;
+  zona?: { id: string; nombre: string } | null;
+  ruta_ascendente?: RutaAscendente | null;
   estadisticas: {
     puertos_ocupados: number;
     puertos_libres: number;
@@ -40,6 +69,7 @@ export interface NAPParaMapa {
   modelo: string;
   estado: 'ACTIVO' | 'MANTENIMIENTO' | 'FUERA_SERVICIO' | 'SATURADO';
   ubicacion: string;
+  zona_id?: string | null;
   coordenadas: {
     latitud: number;
     longitud: number;
@@ -70,6 +100,7 @@ export interface NAPMapaResponse {
 export interface NAPFiltros {
   estado?: 'ACTIVO' | 'MANTENIMIENTO' | 'FUERA_SERVICIO' | 'SATURADO';
   busqueda?: string;
+  zona_id?: string;
   limite?: number;
   pagina?: number;
 }
@@ -83,6 +114,7 @@ export interface CreateNAPData {
   ubicacion: string;
   latitud: number;
   longitud: number;
+  zona_id?: string | null;
 }
 
 @Injectable({
@@ -103,6 +135,10 @@ export class NAPService {
       params = params.set('busqueda', filtros.busqueda);
     }
 
+    if (filtros?.zona_id) {
+      params = params.set('zona_id', filtros.zona_id);
+    }
+
     if (filtros?.limite) {
       params = params.set('limite', filtros.limite.toString());
     }
@@ -129,4 +165,10 @@ export class NAPService {
   actualizarNAP(id: string, napData: CreateNAPData): Observable<{ success: boolean; data: NAP; message: string }> {
     return this.http.put<{ success: boolean; data: NAP; message: string }>(`${this.baseUrl}/naps/${id}`, napData);
   }
+
+  obtenerHistoricoOcupacion(id: string, filtro: FiltroHistorico = {}): Observable<HistoricoOcupacion> {
+    return this.http.get<{ success: boolean; data: HistoricoOcupacion }>(`${this.baseUrl}/naps/${id}/ocupacion-historica`, {
+      params: parametrosHistorico(filtro)
+    }).pipe(map(response => response.data));
+  }
 }
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+
+export type TipoOrden = 'INSTALACION' | 'REPARACION' | 'RETIRO' | 'TRASLADO';
+export type EstadoOrden = 'PENDIENTE' | 'ASIGNADA' | 'EN_CURSO' | 'COMPLETADA' | 'CANCELADA';
+
+export interface OrdenTrabajo {
+  id: string;
+  tipo: TipoOrden;
+  estado: EstadoOrden;
+  descripcion: string;
+  nap_id: string;
+  puerto_id?: string | null;
+  puerto_destino_id?: string | null;
+  cliente_id?: string | null;
+  plan_id?: string | null;
+  tecnico_id?: string | null;
+  fecha_programada?: string | null;
+  fecha_inicio?: string | null;
+  fecha_cierre?: string | null;
+  resultado?: string | null;
+  motivo_cancelacion?: string | null;
+  createdAt: string;
+  nap?: { id: string; codigo: string; ubicacion?: string; estado: string };
+  puerto?: { id: string; numero: number; estado: string } | null;
+  puerto_destino?: { id: string; numero: number; estado: string; nap_id: string } | null;
+  cliente?: { id: string; ci: string; nombre: string; apellido?: string; telefono?: string; direccion?: string } | null;
+  plan?: { id: string; nombre: string } | null;
+  tecnico?: { id: string; nombre: string; correo: string } | null;
+  creador?: { id: string; nombre: string; correo: string };
+}
+
+export interface FiltroOrdenes {
+  estado?: EstadoOrden | '';
+  tipo?: TipoOrden | '';
+  page?: number;
+  limit?: number;
+}
+
+@Injectable({ providedIn: 'root' })
+export class OrdenTrabajoService {
+  private readonly http = inject(HttpClient);
+  private readonly apiUrl = `${environment.apiUrl}/ordenes-trabajo`;
+
+  // Sin estado, el backend devuelve sólo las órdenes ASIGNADA y EN_CURSO
+  obtenerMisOrdenes(estado?: EstadoOrden | ''): Observable<OrdenTrabajo[]> {
+    let params = new HttpParams();
+    if (estado) {
+      params = params.set('estado', estado);
+    }
+    return this.http.get<{ success: boolean; data: OrdenTrabajo[] }>(`${this.apiUrl}/mias`, { params })
+      .pipe(map(response => response.data));
+  }
+
+  obtenerOrdenes(filtro: FiltroOrdenes = {}): Observable<{ data: OrdenTrabajo[]; pagination: { total: number; pages: number; currentPage: number } }> {
+    let params = new HttpParams()
+      .set('page', String(filtro.page ?? 1))
+      .set('limit', String(filtro.limit ?? 20));
+    if (filtro.estado) params = params.set('estado', filtro.estado);
+    if (filtro.tipo) params = params.set('tipo', filtro.tipo);
+
+    return this.http.get<{ success: boolean; data: OrdenTrabajo[]; pagination: { total: number; pages: number; currentPage: number } }>(this.apiUrl, { params })
+      .pipe(map(response => ({ data: response.data, pagination: response.pagination })));
+  }
+
+  iniciar(id: string): Observable<OrdenTrabajo> {
+    return this.http.patch<{ success: boolean; data: OrdenTrabajo }>(`${this.apiUrl}/${id}/iniciar`, {})
+      .pipe(map(response => response.data));
+  }
+
+  completar(id: string, resultado: string): Observable<OrdenTrabajo> {
+    return this.http.patch<{ success: boolean; data: OrdenTrabajo }>(`${this.apiUrl}/${id}/completar`, { resultado })
+      .pipe(map(response => response.data));
+  }
+
+  cancelar(id: string, motivo: string): Observable<OrdenTrabajo> {
+    return this.http.patch<{ success: boolean; data: OrdenTrabajo }>(`${this.apiUrl}/${id}/cancelar`, { motivo })
+      .pipe(map(response => response.data));
+  }
+
+  asignar(id: string, tecnicoId: string, fechaProgramada?: string | null): Observable<OrdenTrabajo> {
+    return this.http.patch<{ success: boolean; data: OrdenTrabajo }>(`${this.apiUrl}/${id}/asignar`, {
+      tecnico_id: tecnicoId,
+      fecha_programada: fechaProgramada || null
+    }).pipe(map(response => response.data));
+  }
+}
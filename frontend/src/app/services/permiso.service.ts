@@ -0,0 +1,36 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+
+export type Rol = 'ADMIN' | 'SUPERVISOR' | 'TECNICO';
+
+export interface Permiso {
+  clave: string;
+  descripcion: string;
+}
+
+export interface MatrizPermisos {
+  catalogo: Permiso[];
+  roles: Rol[];
+  asignacion: Record<Rol, string[]>;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class PermisoService {
+  private readonly http = inject(HttpClient);
+  private readonly apiUrl = `${environment.apiUrl}/permisos`;
+
+  obtenerMatriz(): Observable<MatrizPermisos> {
+    return this.http.get<{ success: boolean; data: MatrizPermisos }>(this.apiUrl)
+      .pipe(map(response => response.data));
+  }
+
+  actualizarPermisosRol(rol: Rol, permisos: string[]): Observable<string[]> {
+    return this.http.put<{ success: boolean; data: { rol: Rol; permisos: string[] } }>(`${this.apiUrl}/roles/${rol}`, { permisos })
+      .pipe(map(response => response.data.permisos));
+  }
+}
@@ -23,6 +23,37 @@ export interface Plan {
   descripcion?: string;
 }
 
+export interface PresupuestoOpticoPuerto {
+  id: string;
+  numero: number;
+  estado: string;
+  longitud_acometida_m: number | null;
+  perdida_acometida_db: number;
+  potencia_rx_dbm: number | null;
+  margen_db: number | null;
+  estado_optico: 'OK' | 'MARGINAL' | 'BAJO_SENSIBILIDAD' | 'SIN_DATOS';
+}
+
+export interface PresupuestoOptico {
+  parametros: { sensibilidad_ont_dbm: number; margen_seguridad_db: number };
+  presupuesto_nap: {
+    potencia_tx_dbm: number | null;
+    longitud_fibra_m: number;
+    perdidas: { splitters: number; fibra: number; conectores: number; empalmes: number; total: number };
+    potencia_nap_dbm: number | null;
+    calculable: boolean;
+  };
+  puertos: PresupuestoOpticoPuerto[];
+  resumen: {
+    total_puertos: number;
+    ok: number;
+    marginales: number;
+    bajo_sensibilidad: number;
+    sin_datos: number;
+    peor_potencia_rx_dbm: number | null;
+  };
+}
+
 @Injectable({
   providedIn: 'root'
 })
@@ -37,6 +68,12 @@ export class PuertoService {
     );
   }
 
+  obtenerPresupuestoOptico(napId: string): Observable<{ success: boolean; data: PresupuestoOptico }> {
+    return this.http.get<{ success: boolean; data: PresupuestoOptico }>(
+      `${this.baseUrl}/puertos/nap/${napId}/presupuesto-optico`
+    );
+  }
+
   obtenerPlanes(): Observable<{ success: boolean; data: Plan[] }> {
     return this.http.get<{ success: boolean; data: Plan[] }>(
       `${this.baseUrl}/planes`
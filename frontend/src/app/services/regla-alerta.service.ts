@@ -0,0 +1,85 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+import { NivelAlerta } from './alerta.service';
+
+export type MetricaRegla = 'OCUPACION' | 'PUERTOS_MANTENIMIENTO' | 'DIAS_SIN_PREVENTIVO' | 'CONEXIONES_SUSPENDIDAS' | 'CORRECTIVOS_RECIENTES';
+export type ComparadorRegla = '>' | '>=' | '<' | '<=' | '=';
+export type AlcanceRegla = 'TODOS' | 'ZONA' | 'MODELO' | 'NAP';
+
+export interface MetricaDisponible {
+  metrica: MetricaRegla;
+  nombre: string;
+  unidad: string;
+  tipo_alerta: string;
+  usa_ventana: boolean;
+}
+
+export interface ReglaAlerta {
+  id: string;
+  nombre: string;
+  metrica: MetricaRegla;
+  comparador: ComparadorRegla;
+  umbral: string;
+  ventana_horas: number | null;
+  alcance: AlcanceRegla;
+  zona_id: string | null;
+  modelo_nap: string | null;
+  nap_id: string | null;
+  nivel: NivelAlerta;
+  enfriamiento_minutos: number;
+  activa: boolean;
+  zona?: { id: string; nombre: string } | null;
+  nap?: { id: string; codigo: string; ubicacion: string } | null;
+  creador?: { id: string; nombre: string } | null;
+}
+
+export interface ReglaAlertaForm {
+  nombre: string;
+  metrica: MetricaRegla;
+  comparador: ComparadorRegla;
+  umbral: number;
+  ventana_horas?: number | null;
+  alcance: AlcanceRegla;
+  zona_id?: string | null;
+  modelo_nap?: string | null;
+  nap_id?: string | null;
+  nivel: NivelAlerta;
+  enfriamiento_minutos: number;
+  activa: boolean;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class ReglaAlertaService {
+  private readonly http = inject(HttpClient);
+  private readonly apiUrl = `${environment.apiUrl}/reglas-alerta`;
+
+  obtenerMetricas(): Observable<MetricaDisponible[]> {
+    return this.http.get<{ success: boolean; data: MetricaDisponible[] }>(`${this.apiUrl}/metricas`)
+      .pipe(map(response => response.data));
+  }
+
+  obtenerReglas(): Observable<ReglaAlerta[]> {
+    return this.http.get<{ success: boolean; data: ReglaAlerta[] }>(this.apiUrl)
+      .pipe(map(response => response.data));
+  }
+
+  crearRegla(regla: ReglaAlertaForm): Observable<ReglaAlerta> {
+    return this.http.post<{ success: boolean; data: ReglaAlerta }>(this.apiUrl, regla)
+      .pipe(map(response => response.data));
+  }
+
+  actualizarRegla(id: string, regla: ReglaAlertaForm): Observable<ReglaAlerta> {
+    return this.http.put<{ success: boolean; data: ReglaAlerta }>(`${this.apiUrl}/${id}`, regla)
+      .pipe(map(response => response.data));
+  }
+
+  eliminarRegla(id: string): Observable<void> {
+    return this.http.delete<{ success: boolean }>(`${this.apiUrl}/${id}`)
+      .pipe(map(() => undefined));
+  }
+}
@@ -7,7 +7,7 @@ export interface TipoReporte {
   id: string;
   nombre: string;
   descripcion: string;
-  categoria: 'Infraestructura' | 'Clientes';
+  categoria: 'Infraestructura' | 'Clientes' | 'Regulatorio';
   parametros: string[];
   formatos: string[];
 }
@@ -26,6 +26,35 @@ export interface RespuestaReporte {
   resumen: any;
 }
 
+export interface ReporteGenerado {
+  id: string;
+  tipo: string;
+  formato: 'pdf' | 'excel' | 'csv';
+  parametros: any;
+  estado: 'PENDIENTE' | 'PROCESANDO' | 'COMPLETADO' | 'ERROR';
+  progreso: number;
+  intentos: number;
+  error?: string | null;
+  archivo?: string | null;
+  tamano?: number | null;
+  fecha_inicio?: string | null;
+  fecha_fin?: string | null;
+  createdAt: string;
+  posicion_cola?: number;
+  url_descarga?: string;
+}
+
+export interface RespuestaReporteGenerado {
+  success: boolean;
+  data: ReporteGenerado;
+  message?: string;
+}
+
+export interface RespuestaReportesGenerados {
+  success: boolean;
+  data: ReporteGenerado[];
+}
+
 @Injectable({
   providedIn: 'root'
 })
@@ -151,6 +180,101 @@ export class ReporteService {
     });
   }
 
+  /**
+   * Descarga un reporte regulatorio en el CSV del portal de la ATT
+   */
+  descargarCSV(tipoReporte: string, parametros: any = {}) {
+    const params = { ...parametros, formato: 'csv' };
+    let queryParams = new HttpParams();
+
+    Object.keys(params).forEach(key => {
+      if (params[key] !== null && params[key] !== undefined && params[key] !== '') {
+        queryParams = queryParams.set(key, params[key].toString());
+      }
+    });
+
+    const endpoint = this.getEndpointPorTipo(tipoReporte);
+    const url = `${this.apiUrl}/${endpoint}?${queryParams.toString()}`;
+    const token = localStorage.getItem('token');
+
+    fetch(url, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return response.arrayBuffer();
+    })
+    .then(arrayBuffer => {
+      const blob = new Blob([arrayBuffer], { type: 'text/csv;charset=utf-8' });
+      const nombre = `${tipoReporte.replace(/\//g, '_')}_${parametros.periodo ?? ''}.csv`;
+      this.descargarArchivo(blob, nombre);
+    })
+    .catch(error => {
+      console.error('Error al descargar CSV:', error);
+      alert('Error al descargar el reporte CSV');
+    });
+  }
+
+  /**
+   * Pide un reporte en PDF, Excel o CSV para generarlo en segundo plano
+   */
+  generarEnSegundoPlano(tipoReporte: string, parametros: any = {}, formato: 'pdf' | 'excel' | 'csv'): Observable<RespuestaReporteGenerado> {
+    let params = new HttpParams().set('formato', formato).set('async', 'true');
+
+    Object.keys(parametros).forEach(key => {
+      if (parametros[key] !== null && parametros[key] !== undefined && parametros[key] !== '') {
+        params = params.set(key, parametros[key].toString());
+      }
+    });
+
+    const endpoint = this.getEndpointPorTipo(tipoReporte);
+    return this.http.get<RespuestaReporteGenerado>(`${this.apiUrl}/${endpoint}`, { params });
+  }
+
+  /**
+   * Reportes generados en segundo plano por el usuario
+   */
+  obtenerMisReportes(): Observable<RespuestaReportesGenerados> {
+    return this.http.get<RespuestaReportesGenerados>(`${this.apiUrl}/jobs`);
+  }
+
+  /**
+   * Elimina un reporte generado
+   */
+  eliminarReporteGenerado(id: string): Observable<any> {
+    return this.http.delete(`${this.apiUrl}/jobs/${id}`);
+  }
+
+  /**
+   * Descarga el archivo de un reporte generado en segundo plano
+   */
+  descargarReporteGenerado(reporte: ReporteGenerado) {
+    const token = localStorage.getItem('token');
+
+    fetch(`${this.apiUrl}/jobs/${reporte.id}/archivo`, {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      return response.blob();
+    })
+    .then(blob => {
+      this.descargarArchivo(blob, reporte.archivo || `reporte_${reporte.id}`);
+    })
+    .catch(error => {
+      console.error('Error al descargar reporte generado:', error);
+      alert('Error al descargar el reporte');
+    });
+  }
+
   /**
    * Descarga un archivo (helper)
    */
@@ -0,0 +1,85 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+
+export type RangoSuscripcion = 'ULTIMA_SEMANA' | 'ULTIMO_MES' | 'MES_ANTERIOR' | 'TRIMESTRE_ANTERIOR';
+
+export interface SuscripcionReporte {
+  id: string;
+  nombre: string;
+  tipo: string;
+  formato: 'pdf' | 'excel' | 'csv';
+  parametros: Record<string, string | number>;
+  rango: RangoSuscripcion | null;
+  programacion: string;
+  destinatarios: string[];
+  activo: boolean;
+  proxima_ejecucion: string | null;
+  ultima_ejecucion: string | null;
+  fallos_consecutivos: number;
+}
+
+export interface SuscripcionReporteForm {
+  nombre: string;
+  tipo: string;
+  formato: 'pdf' | 'excel' | 'csv';
+  parametros: Record<string, string | number>;
+  rango: RangoSuscripcion | null;
+  programacion: string;
+  destinatarios: string[];
+  activo: boolean;
+}
+
+export interface EjecucionSuscripcion {
+  id: string;
+  estado: 'EXITOSA' | 'FALLIDA';
+  manual: boolean;
+  parametros: Record<string, string | number>;
+  destinatarios: string[];
+  archivo?: string | null;
+  tamano?: number | null;
+  error?: string | null;
+  fecha_inicio: string;
+  fecha_fin?: string | null;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class SuscripcionReporteService {
+  private readonly http = inject(HttpClient);
+  private readonly apiUrl = `${environment.apiUrl}/reportes/suscripciones`;
+
+  // El backend devuelve sólo las suscripciones creadas por el usuario
+  obtenerSuscripciones(): Observable<SuscripcionReporte[]> {
+    return this.http.get<{ success: boolean; data: SuscripcionReporte[] }>(this.apiUrl)
+      .pipe(map(response => response.data));
+  }
+
+  crearSuscripcion(suscripcion: SuscripcionReporteForm): Observable<SuscripcionReporte> {
+    return this.http.post<{ success: boolean; data: SuscripcionReporte }>(this.apiUrl, suscripcion)
+      .pipe(map(response => response.data));
+  }
+
+  actualizarSuscripcion(id: string, suscripcion: SuscripcionReporteForm): Observable<SuscripcionReporte> {
+    return this.http.put<{ success: boolean; data: SuscripcionReporte }>(`${this.apiUrl}/${id}`, suscripcion)
+      .pipe(map(response => response.data));
+  }
+
+  eliminarSuscripcion(id: string): Observable<void> {
+    return this.http.delete<{ success: boolean }>(`${this.apiUrl}/${id}`)
+      .pipe(map(() => undefined));
+  }
+
+  obtenerEjecuciones(id: string): Observable<EjecucionSuscripcion[]> {
+    return this.http.get<{ success: boolean; data: EjecucionSuscripcion[] }>(`${this.apiUrl}/${id}/ejecuciones`)
+      .pipe(map(response => response.data));
+  }
+
+  // Genera y envía ya mismo; success=false si la ejecución quedó FALLIDA
+  ejecutarAhora(id: string): Observable<{ success: boolean; data: EjecucionSuscripcion; message: string }> {
+    return this.http.post<{ success: boolean; data: EjecucionSuscripcion; message: string }>(`${this.apiUrl}/${id}/ejecutar`, {});
+  }
+}
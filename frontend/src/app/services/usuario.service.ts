@@ -9,6 +9,9 @@ export interface Usuario {
   correo: string;
   rol: 'ADMIN' | 'TECNICO' | 'SUPERVISOR';
   activo: boolean;
+  bloqueado_hasta?: string | null;
+  totp_activo?: boolean;
+  zonas?: { id: string; nombre: string }[];
   createdAt: string;
   updatedAt: string;
 }
@@ -100,4 +103,12 @@ export class UsuarioService {
   activarUsuario(id: string): Observable<RespuestaUsuario> {
     return this.http.patch<RespuestaUsuario>(`${this.apiUrl}/${id}/activar`, {});
   }
+
+  desbloquearUsuario(id: string): Observable<{ success: boolean; message: string }> {
+    return this.http.patch<{ success: boolean; message: string }>(`${this.apiUrl}/${id}/desbloquear`, {});
+  }
+
+  reiniciar2FA(id: string): Observable<{ success: boolean; message: string }> {
+    return this.http.delete<{ success: boolean; message: string }>(`${this.apiUrl}/${id}/2fa`);
+  }
 }
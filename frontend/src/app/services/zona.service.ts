@@ -0,0 +1,63 @@
+import { Injectable, inject } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { environment } from '../../environments/environment';
+
+export interface Zona {
+  id: string;
+  nombre: string;
+  descripcion?: string | null;
+  departamento?: string | null;
+  municipio?: string | null;
+  codigo_municipio?: string | null;
+  activo: boolean;
+  total_naps?: number;
+}
+
+export interface ZonaForm {
+  nombre: string;
+  descripcion?: string | null;
+  departamento?: string | null;
+  municipio?: string | null;
+  codigo_municipio?: string | null;
+  activo?: boolean;
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class ZonaService {
+  private readonly http = inject(HttpClient);
+  private readonly apiUrl = `${environment.apiUrl}/zonas`;
+
+  // El backend devuelve sólo las zonas del usuario salvo que tenga zonas:todas
+  obtenerZonas(soloActivas = false): Observable<Zona[]> {
+    let params = new HttpParams();
+    if (soloActivas) {
+      params = params.set('activo', 'true');
+    }
+    return this.http.get<{ success: boolean; data: Zona[] }>(this.apiUrl, { params })
+      .pipe(map(response => response.data));
+  }
+
+  crearZona(zona: ZonaForm): Observable<Zona> {
+    return this.http.post<{ success: boolean; data: Zona }>(this.apiUrl, zona)
+      .pipe(map(response => response.data));
+  }
+
+  actualizarZona(id: string, zona: ZonaForm): Observable<Zona> {
+    return this.http.put<{ success: boolean; data: Zona }>(`${this.apiUrl}/${id}`, zona)
+      .pipe(map(response => response.data));
+  }
+
+  eliminarZona(id: string): Observable<void> {
+    return this.http.delete<{ success: boolean }>(`${this.apiUrl}/${id}`)
+      .pipe(map(() => undefined));
+  }
+
+  asignarZonasUsuario(usuarioId: string, zonaIds: string[]): Observable<Zona[]> {
+    return this.http.put<{ success: boolean; data: Zona[] }>(`${environment.apiUrl}/usuarios/${usuarioId}/zonas`, { zona_ids: zonaIds })
+      .pipe(map(response => response.data));
+  }
+}
@@ -7,11 +7,17 @@ export interface User {
   correo: string;
   nombre?: string;
   rol?: 'ADMIN' | 'SUPERVISOR' | 'TECNICO';
+  totp_activo?: boolean;
+  requiere_2fa?: boolean;
+  debe_cambiar_clave?: boolean;
+  // Permisos efectivos del rol ("recurso:accion"), según /auth/perfil
+  permisos?: string[];
 }
 
 export interface AuthState {
   user: User | null;
   token: string | null;
+  refreshToken: string | null;
   isLoading: boolean;
   error: string | null;
 }
@@ -19,6 +25,7 @@ export interface AuthState {
 const initialState: AuthState = {
   user: null,
   token: null,
+  refreshToken: null,
   isLoading: false,
   error: null,
 };
@@ -26,39 +33,82 @@ const initialState: AuthState = {
 export const AuthStore = signalStore(
   { providedIn: 'root' },
   withState(initialState),
-  withComputed((store) => ({
-    isAuthenticated: computed(() => !!store.token() && !!store.user()),
-    isLoggedOut: computed(() => !store.token() || !store.user()),
-
-    // Role checks
-    isAdmin: computed(() => store.user()?.rol === 'ADMIN'),
-    isSupervisor: computed(() => store.user()?.rol === 'SUPERVISOR'),
-    isTecnico: computed(() => store.user()?.rol === 'TECNICO'),
-
-    // Permission checks
-    canManageUsers: computed(() => store.user()?.rol === 'ADMIN'),
-    canViewAuditoria: computed(() => ['ADMIN', 'SUPERVISOR'].includes(store.user()?.rol || '')),
-    canGenerateReports: computed(() => ['ADMIN', 'SUPERVISOR'].includes(store.user()?.rol || '')),
-    canCreateNAP: computed(() => ['ADMIN', 'SUPERVISOR'].includes(store.user()?.rol || '')),
-    canDeleteNAP: computed(() => ['ADMIN', 'SUPERVISOR'].includes(store.user()?.rol || '')),
-    canUpdateNAP: computed(() => ['ADMIN', 'SUPERVISOR', 'TECNICO'].includes(store.user()?.rol || '')),
-    canManageClients: computed(() => ['ADMIN', 'SUPERVISOR'].includes(store.user()?.rol || '')),
-    canViewClients: computed(() => !!store.user()?.rol),
-    canManagePlanes: computed(() => ['ADMIN', 'SUPERVISOR'].includes(store.user()?.rol || '')),
-    canViewPlanes: computed(() => !!store.user()?.rol),
-    canCreateConnections: computed(() => ['ADMIN', 'SUPERVISOR'].includes(store.user()?.rol || '')),
-    canFinalizeConnections: computed(() => ['ADMIN', 'SUPERVISOR'].includes(store.user()?.rol || '')),
-    canUpdateConnections: computed(() => ['ADMIN', 'SUPERVISOR', 'TECNICO'].includes(store.user()?.rol || '')),
-    canEditPorts: computed(() => ['ADMIN', 'TECNICO'].includes(store.user()?.rol || '')),
-    canViewPorts: computed(() => !!store.user()?.rol),
-    canManageMaintenances: computed(() => ['ADMIN', 'TECNICO'].includes(store.user()?.rol || '')),
-    canViewMaintenances: computed(() => !!store.user()?.rol),
-    canViewStatistics: computed(() => ['ADMIN', 'SUPERVISOR'].includes(store.user()?.rol || '')),
-  })),
+  withComputed((store) => {
+    // true si el usuario tiene al menos uno de los permisos
+    const tiene = (...permisos: string[]) => {
+      const concedidos = store.user()?.permisos ?? [];
+      return permisos.some(permiso => concedidos.includes(permiso));
+    };
+
+    return {
+      isAuthenticated: computed(() => !!store.token() && !!store.user()),
+      isLoggedOut: computed(() => !store.token() || !store.user()),
+
+      // Role checks
+      isAdmin: computed(() => store.user()?.rol === 'ADMIN'),
+      isSupervisor: computed(() => store.user()?.rol === 'SUPERVISOR'),
+      isTecnico: computed(() => store.user()?.rol === 'TECNICO'),
+
+      // El rol exige 2FA y el usuario todavía no lo activó: el backend rechaza sus endpoints de rol
+      debeActivar2FA: computed(() => !!store.user()?.requiere_2fa && !store.user()?.totp_activo),
+
+      // Cuenta nueva o clave asignada por un administrador: sólo puede cambiar la contraseña
+      debeCambiarClave: computed(() => !!store.user()?.debe_cambiar_clave),
+
+      // Permission checks (los permisos de cada rol los define un ADMIN en /permisos)
+      canViewUsers: computed(() => tiene('usuarios:ver')),
+      canManageUsers: computed(() => tiene('usuarios:gestionar')),
+      canManagePermisos: computed(() => tiene('permisos:gestionar')),
+      canManageZonas: computed(() => tiene('zonas:gestionar')),
+      canViewAllZonas: computed(() => tiene('zonas:todas')),
+      canViewAuditoria: computed(() => tiene('auditoria:ver')),
+      canExportAuditoria: computed(() => tiene('auditoria:exportar')),
+      canGenerateReports: computed(() => tiene('reportes:ver')),
+      canExportReports: computed(() => tiene('reportes:exportar')),
+      canScheduleReports: computed(() => tiene('reportes:programar')),
+      canCreateNAP: computed(() => tiene('naps:crear')),
+      canUpdateNAP: computed(() => tiene('naps:editar')),
+      canManageClients: computed(() => tiene('clientes:crear', 'clientes:editar', 'clientes:eliminar')),
+      canViewClients: computed(() => tiene('clientes:ver')),
+      canManagePlanes: computed(() => tiene('planes:crear', 'planes:editar', 'planes:eliminar')),
+      canViewPlanes: computed(() => tiene('planes:ver')),
+      canCreateConnections: computed(() => tiene('conexiones:crear')),
+      canFinalizeConnections: computed(() => tiene('conexiones:finalizar')),
+      canUpdateConnections: computed(() => tiene('conexiones:editar')),
+      canEditPorts: computed(() => tiene('puertos:editar')),
+      canAssignPorts: computed(() => tiene('puertos:asignar')),
+      canReleasePorts: computed(() => tiene('puertos:liberar')),
+      canViewPorts: computed(() => tiene('puertos:ver')),
+      canManageMaintenances: computed(() => tiene('mantenimientos:crear', 'mantenimientos:editar')),
+      canViewMaintenances: computed(() => tiene('mantenimientos:ver')),
+      canViewStatistics: computed(() => tiene('dashboard:ver')),
+      canViewOrders: computed(() => tiene('ordenes:ver')),
+      canCreateOrders: computed(() => tiene('ordenes:crear')),
+      canAssignOrders: computed(() => tiene('ordenes:asignar')),
+      canExecuteOrders: computed(() => tiene('ordenes:ejecutar')),
+      canCancelOrders: computed(() => tiene('ordenes:cancelar')),
+      canViewIncidents: computed(() => tiene('incidentes:ver')),
+      canManageIncidents: computed(() => tiene('incidentes:gestionar')),
+      canViewAlerts: computed(() => tiene('alertas:ver')),
+      canManageAlerts: computed(() => tiene('alertas:gestionar')),
+      canAssignAlerts: computed(() => tiene('alertas:asignar')),
+      canConfigureAlerts: computed(() => tiene('alertas:configurar')),
+      canManageNotifications: computed(() => tiene('notificaciones:gestionar')),
+      canViewBilling: computed(() => tiene('facturacion:ver')),
+      canCollectPayments: computed(() => tiene('facturacion:cobrar')),
+      canManageBilling: computed(() => tiene('facturacion:gestionar')),
+    };
+  }),
   withMethods((store) => {
     const router = inject(Router);
 
     return {
+      // Para chequeos puntuales; en plantillas conviene usar los computed canX
+      tienePermiso(...permisos: string[]): boolean {
+        const concedidos = store.user()?.permisos ?? [];
+        return permisos.some(permiso => concedidos.includes(permiso));
+      },
+
       setLoading(isLoading: boolean) {
         patchState(store, { isLoading });
       },
@@ -67,39 +117,64 @@ export const AuthStore = signalStore(
         patchState(store, { error });
       },
 
-      login(user: User, token: string) {
+      login(user: User, token: string, refreshToken: string) {
         patchState(store, {
           user,
           token,
+          refreshToken,
           isLoading: false,
           error: null
         });
         // Guardar en localStorage
         localStorage.setItem('token', token);
+        localStorage.setItem('refresh_token', refreshToken);
         localStorage.setItem('user', JSON.stringify(user));
       },
 
+      // Actualiza datos del usuario en sesión (por ejemplo, al activar 2FA)
+      updateUser(cambios: Partial<User>) {
+        const user = store.user();
+        if (!user) return;
+        const actualizado = { ...user, ...cambios };
+        patchState(store, { user: actualizado });
+        localStorage.setItem('user', JSON.stringify(actualizado));
+      },
+
+      // Reemplaza el par de tokens tras un /auth/refresh exitoso.
+      // Sin refresh token nuevo se conserva el que guardó la pestaña que rotó
+      setTokens(token: string, refreshToken: string | null) {
+        const refresh = refreshToken ?? localStorage.getItem('refresh_token') ?? store.refreshToken();
+        patchState(store, { token, refreshToken: refresh });
+        localStorage.setItem('token', token);
+        if (refresh) {
+          localStorage.setItem('refresh_token', refresh);
+        }
+      },
+
       logout() {
         patchState(store, {
           user: null,
           token: null,
+          refreshToken: null,
           isLoading: false,
           error: null
         });
         // Limpiar localStorage
         localStorage.removeItem('token');
+        localStorage.removeItem('refresh_token');
         localStorage.removeItem('user');
         router.navigate(['/login']);
       },
 
       initializeFromStorage() {
         const token = localStorage.getItem('token');
+        const refreshToken = localStorage.getItem('refresh_token');
         const userStr = localStorage.getItem('user');
 
         if (token && userStr) {
           try {
             const user = JSON.parse(userStr);
-            patchState(store, { user, token });
+            patchState(store, { user, token, refreshToken });
           } catch (error) {
             this.logout();
           }
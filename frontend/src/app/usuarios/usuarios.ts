@@ -5,6 +5,7 @@ import { Router } from '@angular/router';
 import { Layout } from '../components/layout/layout';
 import { AuthService } from '../services/auth.service';
 import { UsuarioService, Usuario, FiltrosUsuarios } from '../services/usuario.service';
+import { Zona, ZonaService } from '../services/zona.service';
 import { AuthStore } from '../stores/auth.store';
 import { PasswordValidator, PasswordValidationResult } from '../utils/password-validator';
 
@@ -18,9 +19,12 @@ export class UsuariosComponent implements OnInit {
   private readonly authService = inject(AuthService);
   private readonly authStore = inject(AuthStore);
   private readonly usuarioService = inject(UsuarioService);
+  private readonly zonaService = inject(ZonaService);
   private readonly router = inject(Router);
 
   user = this.authStore.user;
+  canManageUsers = this.authStore.canManageUsers;
+  canManageZonas = this.authStore.canManageZonas;
   usuarios = signal<Usuario[]>([]);
   isLoading = signal(false);
   error = signal<string | null>(null);
@@ -53,6 +57,10 @@ export class UsuariosComponent implements OnInit {
     activo: true
   });
 
+  // Zonas del usuario en edición (sin zonas:todas sólo ve lo de estas zonas)
+  zonasDisponibles = signal<Zona[]>([]);
+  zonasSeleccionadas = signal<string[]>([]);
+
   // Modal de confirmación
   mostrarModalConfirmacion = signal(false);
   accionConfirmacion = signal<'activar' | 'desactivar' | null>(null);
@@ -67,6 +75,12 @@ export class UsuariosComponent implements OnInit {
 
   ngOnInit() {
     this.cargarUsuarios();
+    if (this.canManageZonas()) {
+      this.zonaService.obtenerZonas().subscribe({
+        next: (zonas) => this.zonasDisponibles.set(zonas),
+        error: (error) => console.error('Error al cargar zonas:', error)
+      });
+    }
   }
 
   cargarUsuarios() {
@@ -135,6 +149,7 @@ export class UsuariosComponent implements OnInit {
       clave: '',
       activo: true
     });
+    this.zonasSeleccionadas.set([]);
     this.mostrarModal.set(true);
   }
 
@@ -148,9 +163,41 @@ export class UsuariosComponent implements OnInit {
       clave: '',
       activo: usuario.activo
     });
+    this.zonasSeleccionadas.set((usuario.zonas ?? []).map(z => z.id));
     this.mostrarModal.set(true);
   }
 
+  alternarZona(zonaId: string) {
+    this.zonasSeleccionadas.update(actuales =>
+      actuales.includes(zonaId) ? actuales.filter(id => id !== zonaId) : [...actuales, zonaId]
+    );
+  }
+
+  nombresZonas(usuario: Usuario): string {
+    return (usuario.zonas ?? []).map(z => z.nombre).join(', ');
+  }
+
+  // Guarda las zonas (si corresponde) y cierra el modal
+  private finalizarGuardado(usuarioId: string) {
+    if (!this.canManageZonas()) {
+      this.cargarUsuarios();
+      this.cerrarModal();
+      return;
+    }
+
+    this.zonaService.asignarZonasUsuario(usuarioId, this.zonasSeleccionadas()).subscribe({
+      next: () => {
+        this.cargarUsuarios();
+        this.cerrarModal();
+      },
+      error: (error) => {
+        console.error('Error al asignar zonas:', error);
+        alert('El usuario se guardó, pero no se pudieron asignar sus zonas');
+        this.cargarUsuarios();
+      }
+    });
+  }
+
   cerrarModal() {
     this.mostrarModal.set(false);
     this.modoEdicion.set(false);
@@ -202,8 +249,7 @@ export class UsuariosComponent implements OnInit {
       this.usuarioService.actualizarUsuario(id, datos).subscribe({
         next: (response) => {
           if (response.success) {
-            this.cargarUsuarios();
-            this.cerrarModal();
+            this.finalizarGuardado(id);
           }
         },
         error: (error) => {
@@ -225,8 +271,7 @@ export class UsuariosComponent implements OnInit {
       }).subscribe({
         next: (response) => {
           if (response.success) {
-            this.cargarUsuarios();
-            this.cerrarModal();
+            this.finalizarGuardado(response.data.id);
           }
         },
         error: (error) => {
@@ -278,6 +323,38 @@ export class UsuariosComponent implements OnInit {
     }
   }
 
+  desbloquearUsuario(usuario: Usuario) {
+    this.usuarioService.desbloquearUsuario(usuario.id).subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.cargarUsuarios();
+        }
+      },
+      error: (error) => {
+        console.error('Error al desbloquear usuario:', error);
+        alert('Error al desbloquear usuario');
+      }
+    });
+  }
+
+  reiniciar2FA(usuario: Usuario) {
+    if (!confirm(`¿Reiniciar la verificación en dos pasos de ${usuario.nombre}? Deberá volver a activarla y se cerrarán sus sesiones.`)) {
+      return;
+    }
+
+    this.usuarioService.reiniciar2FA(usuario.id).subscribe({
+      next: (response) => {
+        if (response.success) {
+          this.cargarUsuarios();
+        }
+      },
+      error: (error) => {
+        console.error('Error al reiniciar 2FA:', error);
+        alert('Error al reiniciar la verificación en dos pasos');
+      }
+    });
+  }
+
   cerrarModalConfirmacion() {
     this.mostrarModalConfirmacion.set(false);
     this.accionConfirmacion.set(null);
@@ -0,0 +1,112 @@
+import { CommonModule } from '@angular/common';
+import { Component, OnInit, inject, signal } from '@angular/core';
+import { HttpErrorResponse } from '@angular/common/http';
+import { FormsModule } from '@angular/forms';
+import { Layout } from '../components/layout/layout';
+import { Zona, ZonaForm, ZonaService } from '../services/zona.service';
+
+@Component({
+  selector: 'app-zonas',
+  imports: [CommonModule, FormsModule, Layout],
+  templateUrl: './zonas.html',
+  styleUrl: './zonas.css'
+})
+export class ZonasComponent implements OnInit {
+  private readonly zonaService = inject(ZonaService);
+
+  zonas = signal<Zona[]>([]);
+  isLoading = signal(false);
+  isSaving = signal(false);
+  error = signal<string | null>(null);
+
+  // null: creando una zona nueva
+  zonaEnEdicion = signal<Zona | null>(null);
+  mostrarFormulario = signal(false);
+  formulario: ZonaForm = this.formularioVacio();
+
+  ngOnInit() {
+    this.cargar();
+  }
+
+  cargar() {
+    this.isLoading.set(true);
+    this.error.set(null);
+
+    this.zonaService.obtenerZonas().subscribe({
+      next: (zonas) => {
+        this.zonas.set(zonas);
+        this.isLoading.set(false);
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isLoading.set(false);
+        this.error.set(err.error?.message || 'No se pudieron cargar las zonas');
+      }
+    });
+  }
+
+  nueva() {
+    this.zonaEnEdicion.set(null);
+    this.formulario = this.formularioVacio();
+    this.mostrarFormulario.set(true);
+  }
+
+  editar(zona: Zona) {
+    this.zonaEnEdicion.set(zona);
+    this.formulario = {
+      nombre: zona.nombre,
+      descripcion: zona.descripcion ?? '',
+      departamento: zona.departamento ?? '',
+      municipio: zona.municipio ?? '',
+      codigo_municipio: zona.codigo_municipio ?? '',
+      activo: zona.activo
+    };
+    this.mostrarFormulario.set(true);
+  }
+
+  private formularioVacio(): ZonaForm {
+    return { nombre: '', descripcion: '', departamento: '', municipio: '', codigo_municipio: '', activo: true };
+  }
+
+  cancelar() {
+    this.mostrarFormulario.set(false);
+    this.zonaEnEdicion.set(null);
+  }
+
+  guardar() {
+    if (!this.formulario.nombre.trim()) {
+      this.error.set('El nombre es obligatorio');
+      return;
+    }
+
+    const zona = this.zonaEnEdicion();
+    const peticion = zona
+      ? this.zonaService.actualizarZona(zona.id, this.formulario)
+      : this.zonaService.crearZona(this.formulario);
+
+    this.isSaving.set(true);
+    this.error.set(null);
+
+    peticion.subscribe({
+      next: () => {
+        this.isSaving.set(false);
+        this.cancelar();
+        this.cargar();
+      },
+      error: (err: HttpErrorResponse) => {
+        this.isSaving.set(false);
+        this.error.set(err.error?.message || 'No se pudo guardar la zona');
+      }
+    });
+  }
+
+  eliminar(zona: Zona) {
+    if (!confirm(`¿Eliminar la zona ${zona.nombre}? Los usuarios asignados dejarán de tenerla.`)) return;
+
+    this.zonaService.eliminarZona(zona.id).subscribe({
+      next: () => this.cargar(),
+      error: (err: HttpErrorResponse) => {
+        this.error.set(err.error?.message || 'No se pudo eliminar la zona');
+      }
+    });
+  }
+}